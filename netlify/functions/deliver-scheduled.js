@@ -0,0 +1,68 @@
+// netlify/functions/deliver-scheduled.js
+// Scheduled function (see netlify.toml): emails gift certificates whose delivery date has come.
+//
+// ?action=deliver / the webhook leave a future-dated gift on its payment intent as
+//   certificate_delivery = "scheduled", certificate_send_on = YYYY-MM-DD
+// and this picks those up once certificate_send_on <= today (UTC), then hands the session
+// back to the same deliverCertificate, which sends and flips the marker to "sent".
+//
+// Run it by hand (e.g. to catch up after an outage) with
+//   STRIPE_SECRET_KEY=... npm run deliver:scheduled [-- YYYY-MM-DD]
+//
+// Env vars: STRIPE_SECRET_KEY, SITE_URL, CERT_SIGNING_SECRET, plus the mail transport's
+// (MAIL_TRANSPORT, default gmail: GMAIL_USER, GMAIL_APP_PASSWORD; see netlify/lib/mail.js)
+
+const { deliverCertificate } = require("../lib/delivery");
+const { stripeFromEnv } = require("../lib/stripe-client");
+
+async function deliverDue(stripe, today = new Date().toISOString().slice(0, 10)) {
+  const summary = { today, sent: [], waiting: 0, failed: [] };
+
+  const due = stripe.paymentIntents.search({
+    query: "metadata['certificate_delivery']:'scheduled'",
+    limit: 100,
+  });
+
+  for await (const pi of due) {
+    const meta = pi.metadata || {};
+    if (!meta.certificate_send_on || meta.certificate_send_on > today) {
+      summary.waiting++;
+      continue;
+    }
+
+    const sessionId = meta.certificate_session || "";
+    try {
+      if (!sessionId.startsWith("cs_")) throw new Error("Missing certificate_session");
+
+      const session = await stripe.checkout.sessions.retrieve(sessionId, {
+        expand: ["payment_intent"],
+      });
+      const out = await deliverCertificate(stripe, session, { today });
+
+      if (out.status === "sent" || out.status === "already_sent") {
+        summary.sent.push({ payment_intent: pi.id, to: out.to });
+      } else {
+        summary.failed.push({ payment_intent: pi.id, status: out.status, message: out.message });
+      }
+    } catch (err) {
+      summary.failed.push({
+        payment_intent: pi.id,
+        status: "error",
+        message: String(err?.message || err),
+      });
+    }
+  }
+
+  return summary;
+}
+
+exports.deliverDue = deliverDue;
+
+exports.handler = async () => {
+  const summary = await deliverDue(stripeFromEnv());
+  console.log(
+    `deliver-scheduled ${summary.today}: ${summary.sent.length} sent, ` +
+      `${summary.waiting} waiting, ${summary.failed.length} failed`
+  );
+  return { statusCode: 200, body: JSON.stringify(summary) };
+};
@@ -0,0 +1,60 @@
+// netlify/lib/actions/broadcast.js
+// POST ?action=broadcast: email a "drop" to every confirmed subscriber (admin token, see
+// netlify/lib/api/admin.js). Body: subject, text, optional html (plain text is turned into
+// paragraphs when it's absent), dry_run to just count recipients, test_to to send one copy
+// to yourself first. Each copy gets the subscriber's own unsubscribe link + headers.
+// Sends one by one within a single function run, so it's sized for a small list.
+
+const { escapeHtml } = require("../delivery");
+const { createMailTransport } = require("../mail");
+const { sendListEmail } = require("../mailing-list");
+const { field } = require("../api/schema");
+const { ok, requireEnv } = require("../api/http");
+
+const schema = {
+  subject: field.string({ required: true, max: 200 }),
+  text: field.string({ required: true, max: 20000 }),
+  html: field.string({ max: 100000, default: "" }),
+  dry_run: field.bool(),
+  test_to: field.email({ default: "" }),
+};
+
+function textToHtml(text) {
+  return text
+    .split(/\n{2,}/)
+    .map((p) => `<p style="margin:0 0 12px">${escapeHtml(p).replace(/\n/g, "<br>")}</p>`)
+    .join("\n");
+}
+
+async function handle({ input, list }) {
+  const siteUrl = requireEnv("SITE_URL");
+  const recipients = input.test_to
+    ? [input.test_to]
+    : (await list.list("confirmed")).map((r) => r.email);
+  if (input.dry_run) return ok({ status: "dry_run", recipients: recipients.length });
+
+  const message = {
+    subject: input.subject,
+    text: input.text,
+    html: input.html || textToHtml(input.text),
+  };
+  const transport = createMailTransport();
+  const failed = [];
+  for (const email of recipients) {
+    try {
+      await sendListEmail(siteUrl, email, message, { transport });
+    } catch (err) {
+      console.error(`broadcast to ${email}:`, err?.message || err);
+      failed.push(email);
+    }
+  }
+
+  return ok({
+    status: failed.length ? "partial" : "sent",
+    recipients: recipients.length,
+    sent: recipients.length - failed.length,
+    failed,
+  });
+}
+
+module.exports = { methods: ["POST"], admin: true, schema, handle };
@@ -0,0 +1,168 @@
+// netlify/lib/actions/create.js
+// POST ?action=create: re-check the spot, price the plot, hold the tile and open a Stripe
+// Checkout Session.
+
+const { parseSeed, LAND_MODES, plotMetadata } = require("../../../public/spot.js");
+const { CERT_THEMES, CERT_THEME_DEFAULT } = require("../../../public/certificate.js");
+const { CHECKOUT_SESSION_MS } = require("../tile-registry");
+const { resolvePrice, publicPrice } = require("../pricing");
+const { todayUTC } = require("../delivery");
+const { plotFields, plotFromRequest } = require("../plots");
+const { verifySpot } = require("../spot-check");
+const { HOUR_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok, fail, invalid, requireEnv } = require("../api/http");
+
+// --- Gifts -------------------------------------------------------------------
+// A gift certificate is emailed to the recipient instead of the buyer, optionally on a later
+// date. The recipient name + message are printed on the PNG and PDF.
+
+const GIFT_MESSAGE_MAX = 200;
+const GIFT_MAX_DAYS_AHEAD = 366;
+
+const schema = {
+  source: field.oneOf(["random", "chosen"], { default: "random" }),
+  country_code: field.string({
+    max: 2,
+    upper: true,
+    pattern: /^[A-Z]{2}$/,
+    message: "is not a country code",
+  }),
+  country: field.string({ max: 80 }),
+  mode: field.oneOf(Object.keys(LAND_MODES), { required: true }),
+  theme: field.oneOf(Object.keys(CERT_THEMES), { default: CERT_THEME_DEFAULT }),
+  seed: field.string({ max: 120, default: "" }),
+  lat: field.number({ required: true, min: -90, max: 90 }),
+  lon: field.number({ required: true, min: -180, max: 180 }),
+  ...plotFields,
+  currency: field.string({
+    max: 3,
+    lower: true,
+    pattern: /^[a-z]{3}$/,
+    message: "is not a currency code",
+    default: "",
+  }),
+
+  email: field.email({ default: "" }),
+  email_consent: field.yesNo(),
+
+  gift: field.yesNo(),
+  gift_name: field.string({ max: 80, default: "" }),
+  gift_email: field.email({ default: "" }),
+  gift_message: field.string({ max: GIFT_MESSAGE_MAX, default: "" }),
+  gift_date: field.date({ default: "" }),
+};
+
+// Rules that span fields
+function check(input) {
+  const fields = {};
+  // A rolled spot is replayed from its seed; a chosen one is named from the code below
+  if (input.source === "random" && !parseSeed(input.seed)) {
+    fields.seed = input.seed ? "is not a valid seed" : "is required";
+  }
+  if (input.source === "chosen" && !input.country_code) fields.country_code = "is required";
+  if (input.email_consent === "yes" && !input.email) {
+    fields.email = "is required to email the certificate";
+  }
+
+  if (input.gift === "yes") {
+    if (!input.gift_name) fields.gift_name = "is required for a gift";
+    if (!input.gift_email) fields.gift_email = "is required for a gift";
+    const latest = new Date(Date.now() + GIFT_MAX_DAYS_AHEAD * 86400000)
+      .toISOString()
+      .slice(0, 10);
+    if (input.gift_date && (input.gift_date < todayUTC() || input.gift_date > latest)) {
+      fields.gift_date = "must be between today and a year from now";
+    }
+  }
+  return Object.keys(fields).length ? fields : null;
+}
+
+// Gift metadata fields (empty if not a gift)
+function giftMetadata(input) {
+  if (input.gift !== "yes") return {};
+  return {
+    gift: "yes",
+    gift_name: input.gift_name,
+    gift_email: input.gift_email,
+    gift_message: input.gift_message,
+    gift_date: input.gift_date,
+  };
+}
+
+async function handle({ input, stripe, tiles }) {
+  const siteUrl = requireEnv("SITE_URL");
+  const { source, theme, email } = input;
+
+  // Sell the server's copy of the spot (replayed from the seed, land-checked), not the posted one
+  const verified = await verifySpot(input);
+  if (!verified.spot) {
+    return fail(verified.status, verified.code, verified.message, verified.fields);
+  }
+  const { country, countryCode, mode, seed } = verified.spot;
+  const lat = verified.spot.lat.toFixed(6);
+  const lon = verified.spot.lon.toFixed(6);
+
+  // Same rounding as the metadata, so the reserved plot is exactly the one sold
+  const { plot, fields } = plotFromRequest(Number(lat), Number(lon), input.tile_m, input.plot);
+  if (fields) return invalid(fields);
+
+  const price = await resolvePrice(stripe, {
+    countryCode,
+    plot,
+    source,
+    currency: input.currency,
+    theme,
+  });
+  if (price.status === 500) throw new Error(price.error);
+  if (price.error) {
+    return fail(400, "invalid_request", price.error, { [price.field]: price.error });
+  }
+
+  if (!(await tiles.isAvailable(plot))) {
+    return fail(409, "tile_taken", "Tile already taken");
+  }
+
+  const emailConsent = input.email_consent;
+  const session = await stripe.checkout.sessions.create({
+    mode: "payment",
+    line_items: price.lineItems,
+    success_url: `${siteUrl}/success.html?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${siteUrl}/cancel.html`,
+    allow_promotion_codes: true,
+    payment_method_types: price.paymentMethodTypes,
+    expires_at: Math.floor((Date.now() + CHECKOUT_SESSION_MS) / 1000),
+
+    // If opted-in, let Stripe also send the receipt email
+    ...(emailConsent === "yes" ? { customer_email: email } : {}),
+
+    metadata: {
+      country,
+      country_code: countryCode,
+      source,
+      mode,
+      theme,
+      seed,
+      lat,
+      lon,
+      tile_m: String(input.tile_m),
+      ...plotMetadata(plot),
+      email: emailConsent === "yes" ? email : "",
+      email_consent: emailConsent,
+      ...giftMetadata(input),
+    },
+  });
+
+  await tiles.reserve(session.id, plot);
+
+  return ok({ url: session.url, price: publicPrice(price) });
+}
+
+module.exports = {
+  methods: ["POST"],
+  schema,
+  check,
+  // Every call opens a Checkout Session and holds a tile for its lifetime
+  rateLimit: [{ by: "ip", limit: 20, windowMs: HOUR_MS }],
+  handle,
+};
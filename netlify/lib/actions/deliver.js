@@ -0,0 +1,32 @@
+// netlify/lib/actions/deliver.js
+// POST ?action=deliver: email the PDF certificate (buyer if opted in, or the gift
+// recipient). Safe to call repeatedly, see deliverCertificate.
+
+const { deliverCertificate } = require("../delivery");
+const { MINUTE_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok } = require("../api/http");
+
+const schema = {
+  session_id: field.sessionId({ required: true }),
+};
+
+async function handle({ input, stripe }) {
+  // Expand payment_intent so we can set metadata to prevent duplicates
+  const session = await stripe.checkout.sessions.retrieve(input.session_id, {
+    expand: ["payment_intent"],
+  });
+
+  return ok(await deliverCertificate(stripe, session));
+}
+
+module.exports = {
+  methods: ["POST"],
+  schema,
+  // The success page calls this once per visit; anything more is someone replaying ids
+  rateLimit: [
+    { by: "ip", limit: 20, windowMs: 10 * MINUTE_MS },
+    { by: "session_id", limit: 5, windowMs: 10 * MINUTE_MS },
+  ],
+  handle,
+};
@@ -0,0 +1,22 @@
+// netlify/lib/actions/form-token.js
+// GET ?action=form_token&form=subscribe: a signed token the form posts back (form-token.js).
+
+const { makeFormToken } = require("../form-token");
+const { MINUTE_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok } = require("../api/http");
+
+const schema = {
+  form: field.oneOf(["subscribe"], { required: true }),
+};
+
+async function handle({ input }) {
+  return ok({ token: makeFormToken(input.form) });
+}
+
+module.exports = {
+  methods: ["GET"],
+  schema,
+  rateLimit: [{ by: "ip", limit: 30, windowMs: 10 * MINUTE_MS }],
+  handle,
+};
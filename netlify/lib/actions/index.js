@@ -0,0 +1,50 @@
+// netlify/lib/actions/index.js
+// The /api/stripe actions (?action=<name>), one module each. See netlify/lib/api/router.js
+// for what a module exports.
+//  - create     : re-check the spot (seed, country, land) and create a Stripe Checkout Session
+//  - verify     : verify a session is paid + return its metadata
+//  - deliver    : email the PDF certificate if opted in, or to a gift recipient
+//                 (future-dated gifts are left for netlify/functions/deliver-scheduled.js)
+//  - webhook    : Stripe webhook (checkout.session.completed / async_payment_succeeded ->
+//                 deliver server-side; expired / async_payment_failed -> free the tile)
+//  - tile_status: is a candidate tile free? (paid or reserved tiles are taken)
+//  - quote      : price for a plot in a currency (same resolver as create)
+//  - replay     : regenerate a spot from its seed (same RNG as the browser)
+//  - lookup     : public certificate verification by certificate ID
+//  - login      : email a magic link to orders.html (order history)
+//  - orders     : paid orders for a magic-link token
+//  - order      : one of those orders, issuing its certificate when opened
+//  - order_pdf  : re-download an order's PDF (token + session_id)
+//  - pdf        : download a paid session's PDF from the success page (session_id)
+//  - resend     : email an order's PDF to the logged-in buyer again
+//  - subscribe  : footer mailing list subscribe (pending + confirm link email)
+//  - form_token : signed token the subscribe form posts back (netlify/lib/form-token.js)
+//  - list_confirm: confirm a subscription from the emailed link (double opt-in)
+//  - unsubscribe: leave the list (email link or one-click List-Unsubscribe)
+//  - list_export: subscribers as CSV/JSON (admin)
+//  - broadcast  : email a drop to every confirmed subscriber (admin)
+// Actions that send email or hit Stripe per request carry `rateLimit` rules
+// (netlify/lib/rate-limit.js).
+
+module.exports = {
+  create: require("./create"),
+  verify: require("./verify"),
+  deliver: require("./deliver"),
+  webhook: require("./webhook"),
+  tile_status: require("./tile-status"),
+  quote: require("./quote"),
+  replay: require("./replay"),
+  lookup: require("./lookup"),
+  login: require("./login"),
+  orders: require("./orders"),
+  order: require("./order"),
+  order_pdf: require("./order-pdf"),
+  pdf: require("./pdf"),
+  resend: require("./resend"),
+  subscribe: require("./subscribe"),
+  form_token: require("./form-token"),
+  list_confirm: require("./list-confirm"),
+  unsubscribe: require("./unsubscribe"),
+  list_export: require("./list-export"),
+  broadcast: require("./broadcast"),
+};
@@ -0,0 +1,31 @@
+// netlify/lib/actions/list-confirm.js
+// POST ?action=list_confirm: the second half of the mailing-list opt-in. subscribe.html
+// posts the token from the confirm link (netlify/lib/mailing-list.js).
+
+const { emailFromListToken, notifyOwner } = require("../mailing-list");
+const { MINUTE_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok, fail } = require("../api/http");
+
+const schema = {
+  token: field.string({ required: true, max: 600 }),
+};
+
+async function handle({ input, list }) {
+  const email = emailFromListToken(input.token, "confirm");
+  if (!email) return fail(400, "link", "Confirm link invalid or expired. Subscribe again.");
+
+  const before = await list.get(email);
+  const record = await list.confirm(email);
+  // Clicking twice shouldn't tell the owner twice
+  if (before?.status !== "confirmed") await notifyOwner(email);
+
+  return ok({ status: record.status, email });
+}
+
+module.exports = {
+  methods: ["POST"],
+  schema,
+  rateLimit: [{ by: "ip", limit: 30, windowMs: 10 * MINUTE_MS }],
+  handle,
+};
@@ -0,0 +1,24 @@
+// netlify/lib/actions/list-export.js
+// GET ?action=list_export[&status=confirmed|pending|unsubscribed|all][&format=csv|json]:
+// the mailing list for the owner (admin token, see netlify/lib/api/admin.js).
+
+const { subscribersCsv } = require("../mailing-list");
+const { field } = require("../api/schema");
+const { ok, file } = require("../api/http");
+
+const schema = {
+  status: field.oneOf(["confirmed", "pending", "unsubscribed", "all"], { default: "confirmed" }),
+  format: field.oneOf(["csv", "json"], { default: "csv" }),
+};
+
+async function handle({ input, list }) {
+  const records = await list.list(input.status);
+  if (input.format === "json") return ok({ count: records.length, subscribers: records });
+
+  return file(Buffer.from(subscribersCsv(records)), {
+    contentType: "text/csv; charset=utf-8",
+    filename: `subscribers-${input.status}-${new Date().toISOString().slice(0, 10)}.csv`,
+  });
+}
+
+module.exports = { methods: ["GET"], admin: true, schema, handle };
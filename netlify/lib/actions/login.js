@@ -0,0 +1,55 @@
+// netlify/lib/actions/login.js
+// POST ?action=login: email a magic link to the order history page (netlify/lib/login.js).
+
+const { makeLoginToken, paidSessionsFor } = require("../login");
+const { sendMail } = require("../mail");
+const { HOUR_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok, requireEnv } = require("../api/http");
+
+const schema = {
+  // Not lowercased: Stripe looks the address up as typed (see netlify/lib/login.js)
+  email: field.email({ required: true }),
+};
+
+async function handle({ input, stripe }) {
+  const siteUrl = requireEnv("SITE_URL");
+  const { email } = input;
+
+  // Same answer either way, so the form can't be used to probe who has bought
+  const reply = ok({ message: "If that email has orders, a sign-in link is on its way." });
+
+  const [first] = await paidSessionsFor(stripe, email, { limit: 1 });
+  if (!first) return reply;
+
+  const link = `${siteUrl}/orders.html#token=${makeLoginToken(email)}`;
+  await sendMail({
+    to: email,
+    subject: "Your Random Spot Certificate orders",
+    html: `
+      <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial;line-height:1.5">
+        <h2 style="margin:0 0 8px">Sign in to your orders</h2>
+        <p style="margin:0 0 12px;color:#444">
+          <a href="${link}">Open your order history</a> to view, download or re-send your
+          certificates. The link works for 24 hours.
+        </p>
+        <p style="margin:0;color:#666;font-size:12px">
+          Didn’t ask for this? You can ignore it; nothing changes without the link.
+        </p>
+      </div>
+    `,
+  });
+
+  return reply;
+}
+
+module.exports = {
+  methods: ["POST"],
+  schema,
+  // Each request can email a sign-in link, so cap it per sender and per inbox
+  rateLimit: [
+    { by: "ip", limit: 10, windowMs: HOUR_MS },
+    { by: "email", limit: 3, windowMs: HOUR_MS },
+  ],
+  handle,
+};
@@ -0,0 +1,67 @@
+// netlify/lib/actions/lookup.js
+// ?action=lookup: public certificate verification by certificate ID (verify.html).
+
+const { plotLabel, plotFromMetadata } = require("../../../public/spot.js");
+const { certificateIdFor, normalizeCertificateId } = require("../certificates");
+const { MINUTE_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok, fail } = require("../api/http");
+
+const schema = {
+  cert: field.string({
+    required: true,
+    max: 40,
+    test: (v) => !!normalizeCertificateId(v),
+    message: "is not a certificate ID",
+  }),
+};
+
+async function handle({ input, stripe }) {
+  const id = normalizeCertificateId(input.cert);
+
+  // Search is eventually consistent: a certificate issued seconds ago may not show yet
+  const found = await stripe.paymentIntents.search({
+    query: `metadata['certificate_id']:'${id}'`,
+    limit: 1,
+  });
+  const pi = found.data[0];
+  const sessionId = pi?.metadata?.certificate_session || "";
+
+  if (!pi || !sessionId.startsWith("cs_")) {
+    return fail(404, "not_found", "No certificate with that ID.");
+  }
+
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+  if (session.payment_status !== "paid" || certificateIdFor(session) !== id) {
+    return ok({ valid: false, message: "Certificate does not match its order." });
+  }
+
+  const meta = session.metadata || {};
+  const tileM = Number(meta.tile_m) || 1;
+  const plot = plotFromMetadata(meta);
+  const issuedAt = pi.metadata.certificate_issued_at || "";
+
+  return ok({
+    valid: true,
+    certificate: {
+      id,
+      issued: issuedAt.slice(0, 10),
+      country: meta.country || "",
+      mode: meta.mode || "",
+      seed: meta.seed || "",
+      source: meta.source || "random",
+      lat: meta.lat || "",
+      lon: meta.lon || "",
+      tile_m: String(tileM),
+      plot: plot ? plot.spec : "square",
+      plot_label: plot ? plotLabel(plot) : "",
+      area_m2: plot ? plot.areaM2.toFixed(2) : "",
+    },
+  });
+}
+
+module.exports = {
+  schema,
+  rateLimit: [{ by: "ip", limit: 60, windowMs: 10 * MINUTE_MS }],
+  handle,
+};
@@ -0,0 +1,32 @@
+// netlify/lib/actions/order-pdf.js
+// ?action=order_pdf: re-download an order's PDF from the order history (token + session_id,
+// plus the paper options in netlify/lib/certificates.js).
+
+const { emailFromLoginToken, ownedSession } = require("../login");
+const { issueCertificate, pdfFields, pdfResponse } = require("../certificates");
+const { MINUTE_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { fail } = require("../api/http");
+
+const schema = {
+  token: field.string({ required: true, max: 600 }),
+  session_id: field.sessionId({ required: true }),
+  ...pdfFields,
+};
+
+async function handle({ input, stripe }) {
+  const email = emailFromLoginToken(input.token);
+  if (!email) return fail(401, "login", "Sign-in link invalid or expired");
+
+  const session = await ownedSession(stripe, email, input.session_id);
+  if (!session) return fail(404, "not_found", "No such order");
+
+  const { cert } = await issueCertificate(stripe, session);
+  return pdfResponse(session.metadata || {}, cert, input);
+}
+
+module.exports = {
+  schema,
+  rateLimit: [{ by: "ip", limit: 30, windowMs: 10 * MINUTE_MS }],
+  handle,
+};
@@ -0,0 +1,32 @@
+// netlify/lib/actions/order.js
+// ?action=order: one order from the order history (token + session_id), opened by the buyer.
+// Same as verify: showing the order counts as fulfillment, so its certificate is issued here
+// if it hasn't been yet.
+
+const { emailFromLoginToken, ownedSession } = require("../login");
+const { issueCertificate } = require("../certificates");
+const { MINUTE_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok, fail } = require("../api/http");
+
+const schema = {
+  token: field.string({ required: true, max: 600 }),
+  session_id: field.sessionId({ required: true }),
+};
+
+async function handle({ input, stripe }) {
+  const email = emailFromLoginToken(input.token);
+  if (!email) return fail(401, "login", "Sign-in link invalid or expired");
+
+  const session = await ownedSession(stripe, email, input.session_id);
+  if (!session) return fail(404, "not_found", "No such order");
+
+  const { cert } = await issueCertificate(stripe, session);
+  return ok({ session_id: session.id, certificate: cert });
+}
+
+module.exports = {
+  schema,
+  rateLimit: [{ by: "ip", limit: 30, windowMs: 10 * MINUTE_MS }],
+  handle,
+};
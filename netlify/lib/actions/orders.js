@@ -0,0 +1,43 @@
+// netlify/lib/actions/orders.js
+// ?action=orders: paid orders for a magic-link token (orders.html). Only reads from Stripe:
+// certificates come from the expanded payment intents and are never issued here.
+
+const { emailFromLoginToken, paidSessionsFor } = require("../login");
+const { recordedCertificate } = require("../certificates");
+const { MINUTE_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok, fail } = require("../api/http");
+
+const schema = {
+  token: field.string({ required: true, max: 600 }),
+};
+
+async function handle({ input, stripe }) {
+  const email = emailFromLoginToken(input.token);
+  if (!email) return fail(401, "login", "Sign-in link invalid or expired");
+
+  const orders = [];
+  for (const session of await paidSessionsFor(stripe, email)) {
+    const pi = session.payment_intent;
+    orders.push({
+      session_id: session.id,
+      created: session.created,
+      amount_total: session.amount_total,
+      currency: session.currency,
+      metadata: session.metadata || {},
+      // Only what's already issued: a listing makes no Stripe writes. ?action=order issues
+      // the certificate when the buyer opens one.
+      certificate: recordedCertificate(session),
+      emailed_to: pi?.metadata?.certificate_email_to || "",
+    });
+  }
+
+  return ok({ email, orders });
+}
+
+module.exports = {
+  schema,
+  // Lists the buyer's sessions from Stripe on every call
+  rateLimit: [{ by: "ip", limit: 30, windowMs: 10 * MINUTE_MS }],
+  handle,
+};
@@ -0,0 +1,30 @@
+// netlify/lib/actions/pdf.js
+// ?action=pdf: the success page's PDF download. The session ID is the bearer, as for verify.
+
+const { issueCertificate, pdfFields, pdfResponse } = require("../certificates");
+const { MINUTE_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { fail } = require("../api/http");
+
+const schema = {
+  session_id: field.sessionId({ required: true }),
+  ...pdfFields,
+};
+
+async function handle({ input, stripe }) {
+  const session = await stripe.checkout.sessions.retrieve(input.session_id, {
+    expand: ["payment_intent"],
+  });
+  if (session.payment_status !== "paid") return fail(402, "unpaid", "Payment not confirmed");
+
+  const cert = process.env.CERT_SIGNING_SECRET
+    ? (await issueCertificate(stripe, session)).cert
+    : null;
+  return pdfResponse(session.metadata || {}, cert, input);
+}
+
+module.exports = {
+  schema,
+  rateLimit: [{ by: "ip", limit: 30, windowMs: 10 * MINUTE_MS }],
+  handle,
+};
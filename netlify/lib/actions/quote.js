@@ -0,0 +1,58 @@
+// netlify/lib/actions/quote.js
+// ?action=quote: price for a plot in a currency and theme, for the checkout summary and
+// currency picker. Same resolver as create.
+
+const { CERT_THEMES, CERT_THEME_DEFAULT } = require("../../../public/certificate.js");
+const { resolvePrice, publicPrice } = require("../pricing");
+const { plotFields, plotFromRequest } = require("../plots");
+const { MINUTE_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok, fail, invalid } = require("../api/http");
+
+const schema = {
+  lat: field.number({ default: 0, min: -90, max: 90 }),
+  lon: field.number({ default: 0, min: -180, max: 180 }),
+  ...plotFields,
+  country_code: field.string({
+    max: 2,
+    upper: true,
+    pattern: /^[A-Z]{2}$/,
+    message: "is not a country code",
+    default: "",
+  }),
+  source: field.oneOf(["random", "chosen"], { default: "random" }),
+  currency: field.string({
+    max: 3,
+    lower: true,
+    pattern: /^[a-z]{3}$/,
+    message: "is not a currency code",
+    default: "",
+  }),
+  theme: field.oneOf(Object.keys(CERT_THEMES), { default: CERT_THEME_DEFAULT }),
+};
+
+async function handle({ input, stripe }) {
+  const { plot, fields } = plotFromRequest(input.lat, input.lon, input.tile_m, input.plot);
+  if (fields) return invalid(fields);
+
+  const price = await resolvePrice(stripe, {
+    countryCode: input.country_code,
+    plot,
+    source: input.source,
+    currency: input.currency,
+    theme: input.theme,
+  });
+  if (price.status === 500) throw new Error(price.error);
+  if (price.error) {
+    return fail(400, "invalid_request", price.error, { [price.field]: price.error });
+  }
+
+  return ok({ price: publicPrice(price) });
+}
+
+module.exports = {
+  schema,
+  // The checkout page asks again on every currency / design change
+  rateLimit: [{ by: "ip", limit: 120, windowMs: 10 * MINUTE_MS }],
+  handle,
+};
@@ -0,0 +1,34 @@
+// netlify/lib/actions/replay.js
+// ?action=replay: regenerate a spot from its seed with the browser's RNG (support: prove a
+// certificate is what the generator produced).
+
+const { replaySeed } = require("../../../public/spot.js");
+const { plotFields, plotFromRequest } = require("../plots");
+const { field } = require("../api/schema");
+const { ok, invalid } = require("../api/http");
+
+const schema = {
+  seed: field.string({ required: true, max: 120 }),
+  ...plotFields,
+};
+
+async function handle({ input }) {
+  const spot = replaySeed(input.seed);
+  if (!spot) return invalid({ seed: "is not a seed" });
+
+  const { plot, fields } = plotFromRequest(spot.lat, spot.lon, input.tile_m, input.plot);
+  if (fields) return invalid(fields);
+
+  return ok({
+    seed: spot.seed,
+    country: spot.country,
+    countryCode: spot.countryCode,
+    mode: spot.mode,
+    rerolls: spot.rerolls,
+    lat: spot.lat.toFixed(6),
+    lon: spot.lon.toFixed(6),
+    tile: plot,
+  });
+}
+
+module.exports = { schema, handle };
@@ -0,0 +1,48 @@
+// netlify/lib/actions/resend.js
+// POST ?action=resend: email an order's PDF to the logged-in buyer again, at most once per
+// RESEND_GAP_MS per order.
+
+const { emailFromLoginToken, ownedSession } = require("../login");
+const { issueCertificate } = require("../certificates");
+const { sendCertificateEmail } = require("../delivery");
+const { HOUR_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok, fail } = require("../api/http");
+
+const RESEND_GAP_MS = 10 * 60 * 1000;
+
+const schema = {
+  token: field.string({ required: true, max: 600 }),
+  session_id: field.sessionId({ required: true }),
+};
+
+async function handle({ input, stripe }) {
+  const email = emailFromLoginToken(input.token);
+  if (!email) return fail(401, "login", "Sign-in link invalid or expired");
+
+  const session = await ownedSession(stripe, email, input.session_id);
+  if (!session) return fail(404, "not_found", "No such order");
+
+  const { cert, pi } = await issueCertificate(stripe, session);
+  const piMeta = pi.metadata || {};
+  const last = Date.parse(piMeta.certificate_resent_at || "") || 0;
+  if (Date.now() - last < RESEND_GAP_MS) {
+    return fail(429, "too_soon", "Just sent — check your inbox (and spam) first");
+  }
+
+  // Deliberately ignores certificate_emailed: that guards the automatic send only
+  await sendCertificateEmail(session.metadata || {}, cert, { to: email });
+  await stripe.paymentIntents.update(pi.id, {
+    metadata: { ...piMeta, certificate_resent_at: new Date().toISOString() },
+  });
+
+  return ok({ status: "sent", to: email });
+}
+
+module.exports = {
+  methods: ["POST"],
+  schema,
+  // RESEND_GAP_MS already spaces out one order; this caps a buyer cycling through many
+  rateLimit: [{ by: "ip", limit: 10, windowMs: HOUR_MS }],
+  handle,
+};
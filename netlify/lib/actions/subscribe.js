@@ -0,0 +1,56 @@
+// netlify/lib/actions/subscribe.js
+// POST ?action=subscribe: footer mailing list. Adds the address as pending and emails it a
+// confirm link (double opt-in, see netlify/lib/mailing-list.js). Rate limited per IP and
+// per address, and needs a single-use form token (?action=form_token) so the email can't be
+// triggered straight from a script.
+
+const { sendConfirmEmail } = require("../mailing-list");
+const { isDisposableEmail } = require("../disposable-domains");
+const { HOUR_MS, DAY_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok, fail, requireEnv } = require("../api/http");
+
+const FORM_TOKEN_MESSAGES = {
+  invalid: "This form has expired. Reload the page and try again.",
+  expired: "This form has expired. Reload the page and try again.",
+  too_fast: "That was quick! Give it a second and try again.",
+  used: "This form was already sent. Try again.",
+};
+
+const schema = {
+  email: field.email({ required: true, lower: true }),
+  form_token: field.string({ max: 300, default: "" }),
+  // Honeypot: hidden from people, so anything in it came from a bot
+  website: field.string({ max: 200, default: "" }),
+};
+
+async function handle({ input, list, formTokens }) {
+  const siteUrl = requireEnv("SITE_URL");
+  const { email } = input;
+
+  // Same answer whatever happens below, so bots don't learn what tripped them and nobody
+  // can probe who is already on the list
+  const reply = ok({ message: "Almost there ✅ Check your inbox to confirm." });
+
+  if (input.website) return reply;
+
+  const problem = await formTokens.redeem(input.form_token, "subscribe");
+  if (problem) return fail(400, "form_token", FORM_TOKEN_MESSAGES[problem]);
+
+  if (isDisposableEmail(email)) return reply;
+
+  const { confirm } = await list.subscribe(email);
+  if (confirm) await sendConfirmEmail(siteUrl, email);
+
+  return reply;
+}
+
+module.exports = {
+  methods: ["POST"],
+  schema,
+  rateLimit: [
+    { by: "ip", limit: 5, windowMs: HOUR_MS },
+    { by: "email", limit: 3, windowMs: DAY_MS },
+  ],
+  handle,
+};
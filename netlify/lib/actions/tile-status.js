@@ -0,0 +1,27 @@
+// netlify/lib/actions/tile-status.js
+// ?action=tile_status: is a candidate tile free? Lets the generator reroll past paid or
+// reserved tiles.
+
+const { plotFields, plotFromRequest } = require("../plots");
+const { field } = require("../api/schema");
+const { ok, invalid } = require("../api/http");
+
+const schema = {
+  lat: field.number({ required: true, min: -90, max: 90 }),
+  lon: field.number({ required: true, min: -180, max: 180 }),
+  ...plotFields,
+};
+
+async function handle({ input, tiles }) {
+  const { plot, fields } = plotFromRequest(
+    Number(input.lat.toFixed(6)),
+    Number(input.lon.toFixed(6)),
+    input.tile_m,
+    input.plot
+  );
+  if (fields) return invalid(fields);
+
+  return ok({ available: await tiles.isAvailable(plot) });
+}
+
+module.exports = { schema, handle };
@@ -0,0 +1,32 @@
+// netlify/lib/actions/unsubscribe.js
+// POST ?action=unsubscribe&token=…: leave the mailing list. Called by subscribe.html for the
+// link in every list email, and directly by mail providers for the one-click
+// List-Unsubscribe header (RFC 8058), which posts a form body we don't need: hence
+// `rawBody` and the token in the query string.
+
+const { emailFromListToken } = require("../mailing-list");
+const { MINUTE_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok, fail } = require("../api/http");
+
+const schema = {
+  token: field.string({ required: true, max: 600 }),
+};
+
+async function handle({ input, list }) {
+  const email = emailFromListToken(input.token, "unsubscribe");
+  if (!email) {
+    return fail(400, "link", "Unsubscribe link invalid. Reply to any list email instead.");
+  }
+
+  const record = await list.unsubscribe(email);
+  return ok({ status: record.status, email });
+}
+
+module.exports = {
+  methods: ["POST"],
+  rawBody: true,
+  schema,
+  rateLimit: [{ by: "ip", limit: 30, windowMs: 10 * MINUTE_MS }],
+  handle,
+};
@@ -0,0 +1,48 @@
+// netlify/lib/actions/verify.js
+// ?action=verify: is the session paid? Returns its metadata + the certificate for the
+// success page.
+
+const { issueCertificate } = require("../certificates");
+const { MINUTE_MS } = require("../rate-limit");
+const { field } = require("../api/schema");
+const { ok } = require("../api/http");
+
+const schema = {
+  session_id: field.sessionId({ required: true }),
+};
+
+async function handle({ input, stripe, tiles }) {
+  const session = await stripe.checkout.sessions.retrieve(input.session_id, {
+    expand: ["payment_intent"],
+  });
+  const paid = session.payment_status === "paid";
+  if (!paid) {
+    // Completed with a delayed method (konbini…): hold the tile while the money is on its way
+    const pending = session.status === "complete";
+    if (pending) await tiles.markPending(session);
+    return ok({ paid: false, pending, status: session.payment_status });
+  }
+
+  await tiles.markPaid(session);
+
+  // Reaching a verified success page counts as fulfillment: issue the certificate ID
+  const certificate = process.env.CERT_SIGNING_SECRET
+    ? (await issueCertificate(stripe, session)).cert
+    : null;
+
+  return ok({
+    paid: true,
+    status: session.payment_status,
+    created: session.created,
+    amount_total: session.amount_total,
+    currency: session.currency,
+    metadata: session.metadata || {},
+    certificate,
+  });
+}
+
+module.exports = {
+  schema,
+  rateLimit: [{ by: "ip", limit: 30, windowMs: 10 * MINUTE_MS }],
+  handle,
+};
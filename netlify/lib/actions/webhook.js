@@ -0,0 +1,74 @@
+// netlify/lib/actions/webhook.js
+// POST ?action=webhook: Stripe -> fulfill even if the buyer never reaches success.html, and
+// free the tile of an abandoned checkout. Needs STRIPE_WEBHOOK_SECRET, with the endpoint
+// subscribed to checkout.session.completed, .expired, .async_payment_succeeded and
+// .async_payment_failed (the last two for delayed methods such as konbini).
+
+const { deliverCertificate } = require("../delivery");
+const { ok, fail, requireEnv } = require("../api/http");
+
+async function handle({ event, stripe, tiles }) {
+  const secret = requireEnv("STRIPE_WEBHOOK_SECRET");
+
+  const headers = event.headers || {};
+  const sig = headers["stripe-signature"] || headers["Stripe-Signature"];
+  if (!sig) return fail(400, "invalid_signature", "Missing Stripe-Signature header");
+
+  // Signature is computed over the exact bytes Stripe sent
+  const raw = event.isBase64Encoded
+    ? Buffer.from(event.body || "", "base64").toString("utf8")
+    : event.body || "";
+
+  let evt;
+  try {
+    evt = stripe.webhooks.constructEvent(raw, sig, secret);
+  } catch {
+    return fail(400, "invalid_signature", "Invalid webhook signature");
+  }
+
+  const obj = evt.data?.object || {};
+
+  // Abandoned checkout, or a delayed payment (konbini…) that never arrived: free the tile
+  // straight away instead of waiting for the TTL
+  if (
+    evt.type === "checkout.session.expired" ||
+    evt.type === "checkout.session.async_payment_failed"
+  ) {
+    if (obj.id) await tiles.release(obj.id);
+    return ok({ received: true, released: true });
+  }
+
+  // completed: paid now, or unpaid with a delayed method; async_payment_succeeded: that
+  // delayed payment arrived
+  if (
+    evt.type !== "checkout.session.completed" &&
+    evt.type !== "checkout.session.async_payment_succeeded"
+  ) {
+    return ok({ received: true, ignored: evt.type });
+  }
+
+  if (!obj.id || !String(obj.id).startsWith("cs_")) {
+    return fail(400, "invalid_event", "Missing/invalid session in event");
+  }
+
+  // Re-fetch rather than trusting the event body, and expand payment_intent for the marker
+  const session = await stripe.checkout.sessions.retrieve(obj.id, {
+    expand: ["payment_intent"],
+  });
+
+  if (session.payment_status !== "paid") {
+    // Keep the tile until async_payment_succeeded / _failed says how it ended
+    await tiles.markPending(session);
+    return ok({ received: true, status: "awaiting_payment" });
+  }
+
+  await tiles.markPaid(session);
+
+  const out = await deliverCertificate(stripe, session);
+  // A non-2xx makes Stripe redeliver the event later, which retries the email
+  if (out.status === "mail_failed") return fail(502, "mail_failed", out.message);
+  return ok({ received: true, ...out });
+}
+
+// The signature covers the raw body, so the router must not parse it
+module.exports = { methods: ["POST"], rawBody: true, handle };
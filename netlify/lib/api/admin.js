@@ -0,0 +1,21 @@
+// netlify/lib/api/admin.js
+// Owner-only actions (`admin: true` in the module, enforced by the router) take
+// `Authorization: Bearer <ADMIN_TOKEN>`. With ADMIN_TOKEN unset they're simply off.
+
+const crypto = require("crypto");
+
+function isAdmin(event) {
+  const secret = process.env.ADMIN_TOKEN;
+  if (!secret) return false;
+
+  const headers = event?.headers || {};
+  const auth = String(headers.authorization || headers.Authorization || "");
+  const [scheme, token = ""] = auth.split(" ");
+  if (scheme !== "Bearer") return false;
+
+  // Hash both sides so the comparison is constant-time whatever the lengths
+  const digest = (s) => crypto.createHash("sha256").update(s).digest();
+  return crypto.timingSafeEqual(digest(token.trim()), digest(secret));
+}
+
+module.exports = { isAdmin };
@@ -0,0 +1,83 @@
+// netlify/lib/api/http.js
+// Response shapes for /api/stripe. Every JSON body carries `ok`:
+//   success: { ok: true, ...data }
+//   failure: { ok: false, error: { code, message, fields? } }
+// `code` is stable for the browser to branch on (tile_taken, login, too_soon…); `message` is
+// for people; `fields` maps request fields to what's wrong with them (400 invalid_request).
+// Server faults are logged, never echoed: the client only sees "server_error".
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+};
+
+const json = (statusCode, data) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json; charset=utf-8", ...CORS_HEADERS },
+  body: JSON.stringify(data),
+});
+
+const ok = (data = {}) => json(200, { ok: true, ...data });
+
+function fail(statusCode, code, message, fields) {
+  return json(statusCode, { ok: false, error: { code, message, ...(fields ? { fields } : {}) } });
+}
+
+// 400 with one message per bad field; the summary line names them in order
+function invalid(fields) {
+  const message = Object.entries(fields)
+    .map(([field, problem]) => `${field}: ${problem}`)
+    .join("; ");
+  return fail(400, "invalid_request", message, fields);
+}
+
+// 429 with Retry-After, for the router's rate limits (netlify/lib/rate-limit.js)
+function rateLimited(retryAfterMs) {
+  const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  const minutes = Math.ceil(seconds / 60);
+  let wait = `${Math.ceil(minutes / 60)} hours`;
+  if (seconds < 120) wait = `${seconds} seconds`;
+  else if (minutes < 120) wait = `${minutes} minutes`;
+  const res = fail(429, "rate_limited", `Too many requests. Try again in ${wait}.`);
+  res.headers["Retry-After"] = String(seconds);
+  return res;
+}
+
+// A file download (Netlify wants binary bodies base64-encoded)
+function file(buf, { contentType, filename }) {
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "private, no-store",
+      ...CORS_HEADERS,
+    },
+    body: buf.toString("base64"),
+    isBase64Encoded: true,
+  };
+}
+
+// Thrown (by a handler or a lib it calls) to fail with a specific status and code instead of
+// a bare 500, e.g. MailError (netlify/lib/mail.js). The router still logs it; `message` is
+// for the log, only `publicMessage` reaches the client.
+class ApiError extends Error {
+  constructor(statusCode, code, message, { publicMessage = message } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.statusCode = statusCode;
+    this.code = code;
+    this.publicMessage = publicMessage;
+  }
+}
+
+// Env vars an action can't run without. Missing ones are a deploy problem, so they surface
+// as a logged 500 rather than a message to the buyer.
+function requireEnv(name) {
+  const value = process.env[name];
+  if (!value) throw new Error(`Missing ${name}`);
+  return value;
+}
+
+module.exports = { json, ok, fail, invalid, rateLimited, file, ApiError, requireEnv };
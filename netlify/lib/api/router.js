@@ -0,0 +1,105 @@
+// netlify/lib/api/router.js
+// Turns a map of action modules into a Netlify handler. ?action=<name> (or `action` in a
+// JSON body) picks the module; the router then
+//   1. checks the HTTP method against `methods` (default GET or POST), and the admin token
+//      for `admin: true` modules (netlify/lib/api/admin.js) -> 401 unauthorized,
+//   2. parses the JSON body (left alone for `rawBody` actions such as the Stripe webhook),
+//   3. validates the merged body + query string against `schema` (netlify/lib/api/schema.js),
+//      then `check(input)` for rules spanning several fields -> 400 with field errors,
+//   4. counts the request against the module's `rateLimit` rules, if the context has a
+//      `limits` limiter (netlify/lib/rate-limit.js) -> 429 rate_limited,
+//   5. calls `handle({ input, event, ...context })` and returns its response.
+// Anything a handler throws is logged and becomes a bare 500 server_error (http.js), unless
+// it's an ApiError, which answers with its own status and code.
+//
+// An action module:
+//   module.exports = {
+//     methods: ["POST"],
+//     admin: false,
+//     schema: { session_id: field.sessionId({ required: true }) },
+//     check: (input) => null | { field: problem },
+//     rateLimit: [{ by: "ip" | "<input field>", limit: 5, windowMs: HOUR_MS }],
+//     async handle({ input, stripe, tiles, event }) { return ok({ ... }); },
+//   };
+//
+// context is an object of shared dependencies; getters on it are only evaluated when a
+// handler destructures them, so e.g. the Stripe client is built on first use.
+
+const { json, fail, invalid, rateLimited, ApiError } = require("./http");
+const { validate } = require("./schema");
+const { isAdmin } = require("./admin");
+
+function parseBody(event) {
+  if (event.httpMethod !== "POST" || !event.body) return {};
+  const raw = event.isBase64Encoded
+    ? Buffer.from(event.body, "base64").toString("utf8")
+    : event.body;
+  const body = JSON.parse(raw);
+  return body && typeof body === "object" && !Array.isArray(body) ? body : {};
+}
+
+function createRouter(actions, context = {}) {
+  const names = Object.keys(actions);
+
+  return async function handler(event) {
+    if (event.httpMethod === "OPTIONS") return json(200, { ok: true });
+
+    const q = event.queryStringParameters || {};
+    let body;
+    const readBody = () => {
+      if (body === undefined) body = parseBody(event);
+      return body;
+    };
+
+    let name = typeof q.action === "string" ? q.action : "";
+    try {
+      if (!name) name = String(readBody().action || "");
+    } catch {
+      return fail(400, "invalid_json", "Request body is not valid JSON");
+    }
+
+    const action = Object.hasOwn(actions, name) ? actions[name] : null;
+    if (!action) {
+      return fail(400, "unknown_action", `Unknown action. Use ?action=${names.join(" | ")}`);
+    }
+
+    const methods = action.methods || ["GET", "POST"];
+    if (!methods.includes(event.httpMethod)) {
+      return fail(405, "method_not_allowed", `${name} takes ${methods.join(" or ")}`);
+    }
+    if (action.admin && !isAdmin(event)) {
+      return fail(401, "unauthorized", "This action needs the admin token");
+    }
+
+    let input = { ...q };
+    if (!action.rawBody) {
+      try {
+        input = { ...readBody(), ...q };
+      } catch {
+        return fail(400, "invalid_json", "Request body is not valid JSON");
+      }
+    }
+
+    const { value, fields } = validate(action.schema || {}, input);
+    if (fields) return invalid(fields);
+    const crossFields = action.check ? action.check(value) : null;
+    if (crossFields) return invalid(crossFields);
+
+    try {
+      if (action.rateLimit && context.limits) {
+        const retryAfterMs = await context.limits.check(name, action.rateLimit, {
+          input: value,
+          event,
+        });
+        if (retryAfterMs > 0) return rateLimited(retryAfterMs);
+      }
+      return await action.handle(Object.assign(Object.create(context), { input: value, event }));
+    } catch (err) {
+      console.error(`api ${name}:`, err);
+      if (err instanceof ApiError) return fail(err.statusCode, err.code, err.publicMessage);
+      return fail(500, "server_error", "Something went wrong on our side. Please try again.");
+    }
+  };
+}
+
+module.exports = { createRouter };
@@ -0,0 +1,132 @@
+// netlify/lib/api/schema.js
+// Declarative request schemas for the /api/stripe actions. A schema maps field names to
+// field parsers; validate() runs each against the merged query + body and collects one
+// message per bad field, which the router returns as a 400 invalid_request:
+//
+//   schema: {
+//     lat: field.number({ required: true, min: -90, max: 90 }),
+//     plot: field.string({ max: 20, default: "square", test: parsePlotSpec }),
+//   }
+//
+// Parsers take the raw value and return { value } or { error }. Missing means undefined,
+// null or an empty/whitespace string; a missing field gets its `default` (or stays
+// undefined) unless it is `required`. Fields not in the schema are dropped.
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function looksLikeEmail(email) {
+  return EMAIL_RE.test(email);
+}
+
+const isMissing = (raw) =>
+  raw === undefined || raw === null || (typeof raw === "string" && raw.trim() === "");
+
+// Wraps a parser for present values with the required/default handling every field shares
+function optional(opts, parse) {
+  return (raw) => {
+    if (isMissing(raw)) {
+      if (opts.required) return { error: "is required" };
+      return { value: opts.default };
+    }
+    return parse(raw);
+  };
+}
+
+const field = {
+  // Trimmed string. max: length cap (over is an error, not a silent cut); pattern: RegExp it
+  // must match after upper/lower-casing; test(value) -> truthy for custom checks.
+  string(opts = {}) {
+    const { max = 200, pattern, upper = false, lower = false, test, message = "is invalid" } = opts;
+    return optional(opts, (raw) => {
+      if (typeof raw !== "string") return { error: "must be a string" };
+      let value = raw.trim();
+      if (value.length > max) return { error: `must be at most ${max} characters` };
+      if (upper) value = value.toUpperCase();
+      if (lower) value = value.toLowerCase();
+      if (pattern && !pattern.test(value)) return { error: message };
+      if (test && !test(value)) return { error: message };
+      return { value };
+    });
+  },
+
+  // Finite number (numeric strings accepted, as query strings are all strings). min/max are
+  // inclusive; above: exclusive lower bound.
+  number(opts = {}) {
+    const { min = -Infinity, max = Infinity, above } = opts;
+    return optional(opts, (raw) => {
+      const value = typeof raw === "string" ? Number(raw.trim()) : raw;
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { error: "must be a number" };
+      }
+      if (above !== undefined && value <= above) return { error: `must be more than ${above}` };
+      if (value < min || value > max) return { error: `must be between ${min} and ${max}` };
+      return { value };
+    });
+  },
+
+  // One of a fixed list (case-insensitive), returned as listed
+  oneOf(values, opts = {}) {
+    return optional(opts, (raw) => {
+      const s = String(raw).trim().toLowerCase();
+      const value = values.find((v) => v.toLowerCase() === s);
+      if (value === undefined) return { error: `must be one of ${values.join(", ")}` };
+      return { value };
+    });
+  },
+
+  email(opts = {}) {
+    return field.string({ max: 120, ...opts, pattern: EMAIL_RE, message: "is not an email" });
+  },
+
+  // The "yes"/"no" flags the forms send -> "yes" | "no" (absent is "no")
+  yesNo(opts = {}) {
+    return optional({ default: "no", ...opts }, (raw) => {
+      const s = String(raw).trim().toLowerCase();
+      if (s !== "yes" && s !== "no") return { error: "must be yes or no" };
+      return { value: s };
+    });
+  },
+
+  // Query-string switch: 1/true/yes -> true, 0/false/no -> false (absent is false)
+  bool(opts = {}) {
+    return optional({ default: false, ...opts }, (raw) => {
+      const s = String(raw).trim().toLowerCase();
+      if (["1", "true", "yes"].includes(s)) return { value: true };
+      if (["0", "false", "no"].includes(s)) return { value: false };
+      return { error: "must be 1 or 0" };
+    });
+  },
+
+  // Calendar date as YYYY-MM-DD (a real one: 2025-02-30 is rejected)
+  date(opts = {}) {
+    return optional(opts, (raw) => {
+      const value = String(raw).trim();
+      const t = Date.parse(`${value}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !Number.isFinite(t)) {
+        return { error: "must be a date (YYYY-MM-DD)" };
+      }
+      if (new Date(t).toISOString().slice(0, 10) !== value) return { error: "is not a real date" };
+      return { value };
+    });
+  },
+
+  // Stripe Checkout Session ID
+  sessionId(opts = {}) {
+    return field.string({ max: 200, ...opts, pattern: /^cs_\w+$/, message: "is not a session ID" });
+  },
+};
+
+// Run a schema over an input object -> { value, fields } where fields is null when every
+// field passed, otherwise { name: problem }
+function validate(schema, input = {}) {
+  const value = {};
+  const fields = {};
+  for (const [name, parse] of Object.entries(schema)) {
+    const out = parse(input[name]);
+    if (out.error) fields[name] = out.error;
+    else if (out.value !== undefined) value[name] = out.value;
+  }
+  return { value, fields: Object.keys(fields).length ? fields : null };
+}
+
+module.exports = { field, validate, looksLikeEmail };
@@ -0,0 +1,267 @@
+// netlify/lib/certificate-pdf.js
+// pdf-lib backend for the shared certificate template (public/certificate.js): the PDF is
+// the PNG layout scaled onto a page (A4 landscape unless asked otherwise). Map tiles are
+// fetched and embedded only when MAP_TILE_URL is set; otherwise the inset is drawn as vectors
+// (see the map inset section of public/certificate.js).
+//
+// Text is set in DejaVu (the dejavu-fonts-ttf package), embedded and subset through
+// fontkit, so "×", "²", "•" and most non-Latin names print as typed. If the TTFs aren't
+// deployed (netlify.toml included_files) it falls back to the standard PDF fonts, which
+// only cover WinAnsi.
+//
+// print: true adds 3 mm of bleed (the background runs past the trim) and crop marks in a
+// slug around it, with TrimBox/BleedBox set for the print shop's RIP.
+
+const fs = require("fs");
+const path = require("path");
+const fontkit = require("@pdf-lib/fontkit");
+const {
+  PDFDocument,
+  StandardFonts,
+  rgb,
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath,
+} = require("pdf-lib");
+const {
+  certificateTemplate,
+  certificatePaper,
+  certificateFit,
+  renderCertificate,
+  loadMapInset,
+} = require("../../public/certificate.js");
+
+const PT_PER_MM = 72 / 25.4;
+const BLEED_MM = 3;
+// Room outside the bleed for the crop marks
+const SLUG_MM = 10;
+const CROP_MARK_MM = 6;
+
+const DEJAVU_FONTS = {
+  sans: "DejaVuSans.ttf",
+  "sans-bold": "DejaVuSans-Bold.ttf",
+  "sans-italic": "DejaVuSans-Oblique.ttf",
+  mono: "DejaVuSansMono.ttf",
+  "mono-bold": "DejaVuSansMono-Bold.ttf",
+  "mono-italic": "DejaVuSansMono-Oblique.ttf",
+  serif: "DejaVuSerif.ttf",
+  "serif-bold": "DejaVuSerif-Bold.ttf",
+  "serif-italic": "DejaVuSerif-Italic.ttf",
+};
+
+const STANDARD_FONTS = {
+  sans: StandardFonts.Helvetica,
+  "sans-bold": StandardFonts.HelveticaBold,
+  "sans-italic": StandardFonts.HelveticaOblique,
+  mono: StandardFonts.Courier,
+  "mono-bold": StandardFonts.CourierBold,
+  "mono-italic": StandardFonts.CourierOblique,
+  serif: StandardFonts.TimesRoman,
+  "serif-bold": StandardFonts.TimesRomanBold,
+  "serif-italic": StandardFonts.TimesRomanItalic,
+};
+
+// TTF bytes per font name, read once per warm function; null when the package isn't there
+let dejavuCache;
+function dejavuFontBytes() {
+  if (dejavuCache !== undefined) return dejavuCache;
+  try {
+    const dir = path.join(path.dirname(require.resolve("dejavu-fonts-ttf/package.json")), "ttf");
+    dejavuCache = {};
+    for (const [name, file] of Object.entries(DEJAVU_FONTS)) {
+      dejavuCache[name] = fs.readFileSync(path.join(dir, file));
+    }
+  } catch {
+    dejavuCache = null;
+  }
+  return dejavuCache;
+}
+
+// Embed just the fonts a template draws with (the map block labels in sans / sans-bold)
+async function embedFonts(pdfDoc, template) {
+  const names = new Set(["sans", "sans-bold"]);
+  for (const b of template.blocks) if (b.type === "text") names.add(b.font);
+
+  const bytes = dejavuFontBytes();
+  if (bytes) pdfDoc.registerFontkit(fontkit);
+  const fonts = {};
+  for (const name of names) {
+    if (bytes?.[name]) fonts[name] = await pdfDoc.embedFont(bytes[name], { subset: true });
+    else if (STANDARD_FONTS[name]) fonts[name] = await pdfDoc.embedFont(STANDARD_FONTS[name]);
+  }
+  return fonts;
+}
+
+// Swap anything the font has no glyph for (emoji, and anything at all outside WinAnsi with
+// the standard fonts) for "?" so drawText doesn't throw or print tofu on buyer-typed text
+function pdfSafe(font, text) {
+  const supported = new Set(font.getCharacterSet());
+  return Array.from(String(text))
+    .map((ch) => (supported.has(ch.codePointAt(0)) ? ch : "?"))
+    .join("");
+}
+
+// Draws in template units: box places the template's top-left corner on the page (points)
+// and scales it; y is flipped to pdf-lib's bottom-up
+function pdfCertificateBackend(page, fonts, { left, top, scale: s }) {
+  const color = ([r, g, b]) => rgb(r / 255, g / 255, b / 255);
+  const fontFor = (name) => fonts[name] || fonts.sans;
+  // SVG paths are drawn y-down from the template's top-left corner
+  const svgPath = (d, opts) => page.drawSvgPath(d, { x: left, y: top, scale: s, ...opts });
+
+  return {
+    rect(x, y, w, h, c) {
+      page.drawRectangle({
+        x: left + x * s,
+        y: top - (y + h) * s,
+        width: w * s,
+        height: h * s,
+        color: color(c),
+        opacity: c[3],
+      });
+    },
+    image(img, x, y, w, h) {
+      page.drawImage(img, {
+        x: left + x * s,
+        y: top - (y + h) * s,
+        width: w * s,
+        height: h * s,
+      });
+    },
+    clip(x, y, w, h, draw) {
+      page.pushOperators(
+        pushGraphicsState(),
+        rectangle(left + x * s, top - (y + h) * s, w * s, h * s),
+        clip(),
+        endPath()
+      );
+      draw();
+      page.pushOperators(popGraphicsState());
+    },
+    roundRect(x, y, w, h, r, c, lineWidth) {
+      const d =
+        `M ${x + r} ${y} H ${x + w - r} A ${r} ${r} 0 0 1 ${x + w} ${y + r} ` +
+        `V ${y + h - r} A ${r} ${r} 0 0 1 ${x + w - r} ${y + h} H ${x + r} ` +
+        `A ${r} ${r} 0 0 1 ${x} ${y + h - r} V ${y + r} A ${r} ${r} 0 0 1 ${x + r} ${y} Z`;
+      svgPath(d, { borderColor: color(c), borderOpacity: c[3], borderWidth: lineWidth });
+    },
+    line(x1, y1, x2, y2, c, lineWidth) {
+      page.drawLine({
+        start: { x: left + x1 * s, y: top - y1 * s },
+        end: { x: left + x2 * s, y: top - y2 * s },
+        thickness: lineWidth * s,
+        color: color(c),
+        opacity: c[3],
+      });
+    },
+    polygon(points, { fill, stroke, lineWidth }) {
+      const d = `M ${points.map(([x, y]) => `${x} ${y}`).join(" L ")} Z`;
+      svgPath(d, {
+        ...(fill ? { color: color(fill), opacity: fill[3] } : {}),
+        ...(stroke ? { borderColor: color(stroke), borderOpacity: stroke[3] } : {}),
+        borderWidth: lineWidth,
+      });
+    },
+    text(str, x, y, font, size, c) {
+      const f = fontFor(font);
+      page.drawText(pdfSafe(f, str), {
+        x: left + x * s,
+        y: top - y * s,
+        size: size * s,
+        font: f,
+        color: color(c),
+        opacity: c[3],
+      });
+    },
+    measure(str, font, size) {
+      const f = fontFor(font);
+      return f.widthOfTextAtSize(pdfSafe(f, str), size);
+    },
+  };
+}
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47];
+
+// Tile bytes -> embedded PDF images; any tile that won't embed drops back to the vector map
+async function embedMapTiles(pdfDoc, map) {
+  try {
+    const tiles = [];
+    for (const t of map.tiles) {
+      const isPng = PNG_SIGNATURE.every((b, i) => t.data[i] === b);
+      const data = isPng ? await pdfDoc.embedPng(t.data) : await pdfDoc.embedJpg(t.data);
+      tiles.push({ ...t, data });
+    }
+    return { ...map, tiles };
+  } catch {
+    return { ...map, tiles: [] };
+  }
+}
+
+// Crop marks at each trim corner, in the slug and clear of the bleed
+function drawCropMarks(page, trim, offset) {
+  const len = CROP_MARK_MM * PT_PER_MM;
+  const mark = (x1, y1, x2, y2) =>
+    page.drawLine({
+      start: { x: x1, y: y1 },
+      end: { x: x2, y: y2 },
+      thickness: 0.25,
+      color: rgb(0, 0, 0),
+    });
+  const xs = [trim.x, trim.x + trim.width];
+  const ys = [trim.y, trim.y + trim.height];
+  for (const x of xs) {
+    for (const y of ys) {
+      const dx = x === trim.x ? -1 : 1;
+      const dy = y === trim.y ? -1 : 1;
+      mark(x + dx * offset, y, x + dx * (offset + len), y);
+      mark(x, y + dy * offset, x, y + dy * (offset + len));
+    }
+  }
+}
+
+// Render a certificate PDF for a session's metadata (+ the issued certificate, if any), in
+// the theme the buyer picked. options: { paper: "a4" | "letter" | "a3", orientation:
+// "landscape" | "portrait", print } (see the header for print).
+async function generateCertificatePDFBuffer(meta, cert = null, options = {}) {
+  const { paper = "a4", orientation = "landscape", print = false } = options;
+  const template = certificateTemplate(meta.theme, orientation);
+  const size = certificatePaper(paper, orientation);
+  const trimW = size.width * PT_PER_MM;
+  const trimH = size.height * PT_PER_MM;
+  const bleed = print ? BLEED_MM * PT_PER_MM : 0;
+  const margin = print ? bleed + SLUG_MM * PT_PER_MM : 0;
+
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([trimW + margin * 2, trimH + margin * 2]);
+  const trim = { x: margin, y: margin, width: trimW, height: trimH };
+
+  // The background color runs to the bleed edge, so papers with another aspect ratio than
+  // the template (Letter) don't show white bands either
+  const background = template.palette.background;
+  page.drawRectangle({
+    x: margin - bleed,
+    y: margin - bleed,
+    width: trimW + bleed * 2,
+    height: trimH + bleed * 2,
+    color: rgb(background[0] / 255, background[1] / 255, background[2] / 255),
+  });
+
+  const fit = certificateFit(template, trimW, trimH);
+  const box = { left: margin + fit.x, top: margin + trimH - fit.y, scale: fit.scale };
+  const fonts = await embedFonts(pdfDoc, template);
+  const map = await embedMapTiles(pdfDoc, await loadMapInset(meta, { template }));
+  renderCertificate(pdfCertificateBackend(page, fonts, box), meta, cert, template, { map });
+
+  if (print) {
+    page.setBleedBox(margin - bleed, margin - bleed, trimW + bleed * 2, trimH + bleed * 2);
+    page.setTrimBox(trim.x, trim.y, trim.width, trim.height);
+    drawCropMarks(page, trim, bleed + 2 * PT_PER_MM);
+  }
+
+  const bytes = await pdfDoc.save();
+  return Buffer.from(bytes);
+}
+
+module.exports = { generateCertificatePDFBuffer };
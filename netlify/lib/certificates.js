@@ -0,0 +1,134 @@
+// netlify/lib/certificates.js
+// Certificate IDs and the certificate PDF as a download.
+//
+// The ID is an HMAC over the session id + the metadata printed on the certificate, so it
+// can't be forged without CERT_SIGNING_SECRET and is stable if issued twice. It is
+// recorded on the payment intent so ?action=lookup can find the session again.
+
+const crypto = require("crypto");
+const { CERT_PAPER_SIZES } = require("../../public/certificate.js");
+const { generateCertificatePDFBuffer } = require("./certificate-pdf");
+const { field } = require("./api/schema");
+const { file } = require("./api/http");
+
+const CERT_ID_RE = /^RSC(-[0-9A-HJKMNP-TV-Z]{4}){4}$/;
+const CERT_SIGNED_FIELDS = ["country", "mode", "seed", "lat", "lon", "tile_m"];
+
+function base32Crockford(buf) {
+  const alphabet = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += alphabet[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function certificateIdFor(session) {
+  const secret = process.env.CERT_SIGNING_SECRET;
+  if (!secret) throw new Error("Missing CERT_SIGNING_SECRET");
+
+  const meta = session.metadata || {};
+  const fields = CERT_SIGNED_FIELDS.map((k) => meta[k] || "");
+  // Single-tile rolled plots sign exactly as before plots/choosing existed (old IDs still verify)
+  if (meta.plot && meta.plot !== "square") fields.push(meta.plot);
+  if (meta.source === "chosen") fields.push("chosen");
+  const payload = ["cert-v1", session.id, ...fields].join("|");
+  const mac = crypto.createHmac("sha256", secret).update(payload).digest();
+  const code = base32Crockford(mac.subarray(0, 10)); // 80 bits -> 16 chars
+  return `RSC-${code.match(/.{4}/g).join("-")}`;
+}
+
+function normalizeCertificateId(v) {
+  const s = String(v || "")
+    .slice(0, 40)
+    .toUpperCase().replace(/[\s_]+/g, "");
+  // Crockford base32: read I/L as 1 and O as 0 so hand-typed IDs still match
+  const bare = s
+    .replace(/^RSC-?/, "")
+    .replace(/-/g, "")
+    .replace(/[IL]/g, "1")
+    .replace(/O/g, "0");
+  if (bare.length !== 16) return "";
+  const id = `RSC-${bare.match(/.{4}/g).join("-")}`;
+  return CERT_ID_RE.test(id) ? id : "";
+}
+
+function certificateUrl(id) {
+  return `${process.env.SITE_URL || ""}/verify.html?cert=${encodeURIComponent(id)}`;
+}
+
+// Issue (or re-read) the certificate ID for a paid session with an expanded payment_intent.
+// Returns the certificate plus the payment intent as it is after any metadata update.
+async function issueCertificate(stripe, session) {
+  let pi = session.payment_intent;
+  if (!pi || typeof pi !== "object" || !pi.id) throw new Error("Missing payment_intent");
+
+  const piMeta = pi.metadata || {};
+  const id = certificateIdFor(session);
+
+  if (piMeta.certificate_id !== id) {
+    pi = await stripe.paymentIntents.update(pi.id, {
+      metadata: {
+        ...piMeta,
+        certificate_id: id,
+        certificate_session: session.id,
+        certificate_issued_at: piMeta.certificate_issued_at || new Date().toISOString(),
+      },
+    });
+  }
+
+  const issuedAt = pi.metadata.certificate_issued_at;
+  return {
+    cert: { id, issued: issuedAt.slice(0, 10), issued_at: issuedAt, url: certificateUrl(id) },
+    pi,
+  };
+}
+
+// The certificate already recorded on an expanded payment_intent, or null if none was issued
+// yet. Read-only, for listings that mustn't write to Stripe per row.
+function recordedCertificate(session) {
+  const meta = session.payment_intent?.metadata || {};
+  const id = meta.certificate_id;
+  if (!id || meta.certificate_session !== session.id) return null;
+  const issuedAt = meta.certificate_issued_at || "";
+  return { id, issued: issuedAt.slice(0, 10), issued_at: issuedAt, url: certificateUrl(id) };
+}
+
+// Same naming as the PNG download on the success page
+function certificateFilename(meta, ext) {
+  const country = String(meta.country || "XX").replace(/\s+/g, "_");
+  return `certificate-${country}-${String(meta.seed || "seed").slice(0, 10)}.${ext}`;
+}
+
+// Paper / orientation / print-marks choice for a PDF download (order_pdf, pdf)
+const pdfFields = {
+  paper: field.oneOf(Object.keys(CERT_PAPER_SIZES), { default: "a4" }),
+  orientation: field.oneOf(["landscape", "portrait"], { default: "landscape" }),
+  print: field.bool(),
+};
+
+async function pdfResponse(meta, cert, { paper, orientation, print }) {
+  const pdfBuf = await generateCertificatePDFBuffer(meta, cert, { paper, orientation, print });
+  return file(pdfBuf, {
+    contentType: "application/pdf",
+    filename: certificateFilename(meta, "pdf"),
+  });
+}
+
+module.exports = {
+  certificateIdFor,
+  normalizeCertificateId,
+  issueCertificate,
+  recordedCertificate,
+  certificateFilename,
+  pdfFields,
+  pdfResponse,
+};
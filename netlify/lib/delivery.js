@@ -0,0 +1,186 @@
+// netlify/lib/delivery.js
+// Emailing the PDF certificate: to the buyer if they opted in, or to a gift recipient,
+// possibly on a later day (netlify/functions/deliver-scheduled.js sends those).
+
+const { modeLabel, plotLabel, plotFromMetadata } = require("../../public/spot.js");
+const { certificateTheme } = require("../../public/certificate.js");
+const { generateCertificatePDFBuffer } = require("./certificate-pdf");
+const { issueCertificate, certificateFilename } = require("./certificates");
+const { sendMail, MailError } = require("./mail");
+const { looksLikeEmail } = require("./api/schema");
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// Delivery dates are whole UTC days
+function todayUTC() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Render the PDF for a session's metadata and email it. Gift wording is for the recipient;
+// the buyer's own copies (deliver, resend) use the plain wording.
+async function sendCertificateEmail(meta, cert, { to, isGift = false }) {
+  const pdfBuf = await generateCertificatePDFBuffer(meta, cert);
+  const filename = certificateFilename(meta, "pdf");
+
+  const plot = plotFromMetadata(meta);
+  // Same theme as the attached PDF
+  const t = certificateTheme(meta.theme).email;
+  const font = t.font || "system-ui,-apple-system,Segoe UI,Roboto,Arial";
+  const subject = isGift
+    ? `A Random Spot Certificate for ${meta.gift_name} (PDF)`
+    : "Your Random Spot Certificate (PDF)";
+  const seedText = meta.source === "chosen" ? "— (chosen on the map)" : meta.seed || "?";
+  const giftNote = meta.gift_message
+    ? `<p style="margin:0 0 12px;padding:12px;background:${t.card};border-radius:10px">
+        ${escapeHtml(meta.gift_message)}
+      </p>`
+    : "";
+  const intro = isGift
+    ? `<h2 style="margin:0 0 8px">Hi ${escapeHtml(meta.gift_name)}, someone sent you a spot</h2>
+      ${giftNote}
+      <p style="margin:0 0 12px;color:${t.muted}">Your PDF certificate is attached.</p>`
+    : `<h2 style="margin:0 0 8px">Your certificate is attached</h2>
+      <p style="margin:0 0 12px;color:${t.muted}">
+        Attached is your PDF certificate. Below is the key info + legal notes.
+      </p>`;
+  const html = `
+    <div style="font-family:${font};line-height:1.5;background:${t.background};color:${t.ink};
+      padding:20px;border-radius:12px">
+      ${intro}
+
+      <div style="padding:12px;border:1px solid ${t.line};background:${t.card};border-radius:10px;
+        margin:0 0 12px">
+        <div><b>Country:</b> ${meta.country || "?"}</div>
+        <div><b>Mode:</b> ${meta.mode ? modeLabel(meta.mode) : "?"}</div>
+        <div><b>Center:</b> ${meta.lat || "?"}, ${meta.lon || "?"}</div>
+        <div><b>Plot:</b> ${plot ? `${plotLabel(plot)} (${plot.areaM2.toFixed(2)} m²)` : "?"}</div>
+        <div><b>Seed:</b> ${seedText}</div>
+        <div><b>Certificate ID:</b> ${cert.id}</div>
+      </div>
+
+      <p style="margin:0 0 12px;color:${t.muted}">
+        Anyone can check it’s genuine at
+        <a href="${cert.url}" style="color:${t.accent}">${cert.url}</a>.
+      </p>
+
+      <h3 style="margin:18px 0 6px">Legal info (quick)</h3>
+      <ul style="margin:0 0 12px;color:${t.muted}">
+        <li>This is a novelty certificate referencing a randomly generated geographic area tile.</li>
+        <li>No ownership, property rights, access rights, or permissions are granted.</li>
+        <li>The location may be private, restricted, closed, unsafe, or inaccessible.</li>
+        <li>If you visit, follow local rules and obtain permission where required.</li>
+      </ul>
+
+      <p style="margin:0;color:${t.muted}">Full terms are on the site’s Terms page.</p>
+    </div>
+  `;
+
+  await sendMail({
+    to,
+    subject,
+    html,
+    attachments: [{ filename, content: pdfBuf, contentType: "application/pdf" }],
+  });
+}
+
+// Email the PDF certificate for a Checkout Session (payment_intent must be expanded).
+// Shared by ?action=deliver, the Stripe webhook and deliver-scheduled; the certificate_emailed
+// marker on the payment intent keeps it idempotent across all of them.
+// Resolves { delivered, status, to?, send_on?, message? }; status is one of unpaid,
+// not_opted_in, invalid_email, already_sent, scheduled, sent, mail_failed (the transport
+// gave up after its retries; nothing is marked, so calling again retries the send).
+// Gifts go to the recipient; one dated after `today` is only marked certificate_delivery =
+// "scheduled" (with certificate_send_on) for deliver-scheduled to pick up on the day.
+async function deliverCertificate(stripe, session, { today = todayUTC() } = {}) {
+  if (session.payment_status !== "paid") {
+    return { delivered: false, status: "unpaid", message: "Payment not confirmed." };
+  }
+
+  const meta = session.metadata || {};
+  const isGift = meta.gift === "yes";
+  const consentYes = isGift || (meta.email_consent || "").toLowerCase() === "yes";
+  const to = String((isGift ? meta.gift_email : meta.email) || "").trim();
+
+  if (!consentYes) {
+    return { delivered: false, status: "not_opted_in", message: "Email delivery not opted in." };
+  }
+  if (!to || !looksLikeEmail(to)) {
+    return {
+      delivered: false,
+      status: "invalid_email",
+      message: "Missing/invalid email in metadata.",
+    };
+  }
+
+  const pi = session.payment_intent;
+  if (!pi || typeof pi !== "object" || !pi.id) throw new Error("Missing payment_intent");
+
+  if ((pi.metadata?.certificate_emailed || "").toLowerCase() === "yes") {
+    return {
+      delivered: true,
+      status: "already_sent",
+      to,
+      message: "Already emailed (idempotent).",
+    };
+  }
+
+  const issued = await issueCertificate(stripe, session);
+  const cert = issued.cert;
+  const piMeta = issued.pi.metadata || {};
+
+  if (isGift && meta.gift_date && meta.gift_date > today) {
+    const alreadyQueued =
+      piMeta.certificate_delivery === "scheduled" && piMeta.certificate_send_on === meta.gift_date;
+    if (!alreadyQueued) {
+      await stripe.paymentIntents.update(pi.id, {
+        metadata: {
+          ...piMeta,
+          certificate_delivery: "scheduled",
+          certificate_send_on: meta.gift_date,
+        },
+      });
+    }
+    return {
+      delivered: false,
+      status: "scheduled",
+      to,
+      send_on: meta.gift_date,
+      message: `Scheduled for ${meta.gift_date}.`,
+    };
+  }
+
+  try {
+    await sendCertificateEmail(meta, cert, { to, isGift });
+  } catch (err) {
+    if (!(err instanceof MailError)) throw err;
+    console.error(`Certificate email to ${to} failed:`, err.message);
+    return {
+      delivered: false,
+      status: "mail_failed",
+      to,
+      message: "We couldn’t send the email just now. Try again later, or download the PDF.",
+    };
+  }
+
+  // Mark as sent (prevents re-sends)
+  await stripe.paymentIntents.update(pi.id, {
+    metadata: {
+      ...piMeta,
+      certificate_emailed: "yes",
+      certificate_emailed_at: new Date().toISOString(),
+      certificate_email_to: to,
+      ...(isGift ? { certificate_delivery: "sent" } : {}),
+    },
+  });
+
+  return { delivered: true, status: "sent", to };
+}
+
+module.exports = {
+  escapeHtml,
+  todayUTC,
+  sendCertificateEmail,
+  deliverCertificate,
+};
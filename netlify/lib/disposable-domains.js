@@ -0,0 +1,86 @@
+// netlify/lib/disposable-domains.js
+// Throwaway-inbox domains the mailing list won't take (subscribe pretends to succeed, so
+// bots don't learn to switch). Matching is by domain and its parents, so a subdomain of a
+// listed domain is caught too.
+//
+// Keep the list sorted and lowercase, one domain per line. When a new service shows up in
+// the subscriber export, add its domains here rather than a pattern elsewhere.
+
+const DISPOSABLE_DOMAINS = new Set([
+  "10minutemail.com",
+  "10minutemail.net",
+  "20minutemail.com",
+  "33mail.com",
+  "anonbox.net",
+  "burnermail.io",
+  "discard.email",
+  "discardmail.com",
+  "dispostable.com",
+  "dropmail.me",
+  "emailondeck.com",
+  "fakeinbox.com",
+  "fakemail.net",
+  "getairmail.com",
+  "getnada.com",
+  "guerrillamail.biz",
+  "guerrillamail.com",
+  "guerrillamail.de",
+  "guerrillamail.info",
+  "guerrillamail.net",
+  "guerrillamail.org",
+  "guerrillamailblock.com",
+  "harakirimail.com",
+  "inboxkitten.com",
+  "incognitomail.org",
+  "jetable.org",
+  "mailcatch.com",
+  "maildrop.cc",
+  "mailinator.com",
+  "mailinator.net",
+  "mailinator2.com",
+  "mailnesia.com",
+  "mailpoof.com",
+  "mintemail.com",
+  "moakt.com",
+  "mohmal.com",
+  "mytemp.email",
+  "nada.email",
+  "sharklasers.com",
+  "spam4.me",
+  "spambox.us",
+  "spamgourmet.com",
+  "temp-mail.io",
+  "temp-mail.org",
+  "tempail.com",
+  "tempinbox.com",
+  "tempmail.com",
+  "tempmail.net",
+  "tempmailo.com",
+  "tempr.email",
+  "throwawaymail.com",
+  "tmail.ws",
+  "tmpmail.net",
+  "tmpmail.org",
+  "trashmail.com",
+  "trashmail.de",
+  "trashmail.net",
+  "wegwerfmail.de",
+  "yopmail.com",
+  "yopmail.fr",
+  "yopmail.net",
+]);
+
+function emailDomain(email) {
+  const at = String(email || "").lastIndexOf("@");
+  return at < 0 ? "" : String(email).slice(at + 1).trim().toLowerCase().replace(/\.$/, "");
+}
+
+function isDisposableEmail(email) {
+  const parts = emailDomain(email).split(".");
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (DISPOSABLE_DOMAINS.has(parts.slice(i).join("."))) return true;
+  }
+  return false;
+}
+
+module.exports = { DISPOSABLE_DOMAINS, emailDomain, isDisposableEmail };
@@ -0,0 +1,79 @@
+// netlify/lib/form-token.js
+// Signed form tokens for public forms that send email (the subscribe footer). The page
+// fetches one from ?action=form_token when the form mounts and posts it back; a bot that
+// posts straight to the API has none, and one that fetches and posts in the same breath is
+// too fast. Like login.js it's an HMAC (CERT_SIGNING_SECRET, "form-v1" domain) over the
+// form name + issue time + a random nonce.
+//
+// Each token is single use: createFormTokenLedger() records a redeemed token's nonce in a
+// store (netlify/lib/store.js, "form-tokens" namespace) for FORM_TTL_MS, so a bot can't
+// fetch one token and replay it past the honeypot. formTokenProblem() alone only checks the
+// signature and age.
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+
+// A person needs a moment to type an address; a page left open for a day should reload
+const FORM_MIN_AGE_MS = 2 * 1000;
+const FORM_TTL_MS = 24 * 60 * 60 * 1000;
+
+function formSignature(payload) {
+  const secret = process.env.CERT_SIGNING_SECRET;
+  if (!secret) throw new Error("Missing CERT_SIGNING_SECRET");
+  return crypto.createHmac("sha256", secret).update(`form-v1|${payload}`).digest("base64url");
+}
+
+function makeFormToken(form, now = Date.now()) {
+  const claims = { f: form, t: now, n: crypto.randomBytes(12).toString("base64url") };
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${payload}.${formSignature(payload)}`;
+}
+
+// -> "" when the token is good for this form, else "invalid" | "too_fast" | "expired"
+function formTokenProblem(token, form, now = Date.now()) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig) return "invalid";
+
+  const expected = Buffer.from(formSignature(payload));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return "invalid";
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return "invalid";
+  }
+  if (claims?.f !== form || !Number.isFinite(claims.t) || typeof claims.n !== "string") {
+    return "invalid";
+  }
+  if (now - claims.t < FORM_MIN_AGE_MS) return "too_fast";
+  if (now - claims.t > FORM_TTL_MS) return "expired";
+  return "";
+}
+
+function createFormTokenLedger(store = createStore("form-tokens")) {
+  // -> "" and marks the token used when it's good, else a formTokenProblem() result or "used"
+  async function redeem(token, form, now = Date.now()) {
+    const problem = formTokenProblem(token, form, now);
+    if (problem) return problem;
+
+    const { n } = JSON.parse(Buffer.from(token.split(".")[0], "base64url").toString("utf8"));
+    const key = `${form}:${n}`;
+    if (await store.get(key)) return "used";
+    await store.set(key, true, { ttlMs: FORM_TTL_MS });
+    return "";
+  }
+
+  return { redeem };
+}
+
+module.exports = {
+  FORM_MIN_AGE_MS,
+  FORM_TTL_MS,
+  makeFormToken,
+  formTokenProblem,
+  createFormTokenLedger,
+};
@@ -0,0 +1,78 @@
+// netlify/lib/login.js
+// Magic-link login for the order history. ?action=login emails a link to orders.html
+// carrying a token for the address; the token is then the bearer for ?action=orders /
+// order / order_pdf / resend. It's an HMAC (CERT_SIGNING_SECRET, separate "login-v1" domain)
+// over the email + expiry, so nothing is stored.
+//
+// The email keeps the case it was typed in: Stripe's customer_details.email filter is an
+// exact match, and Checkout keeps whatever case the buyer used there. Ownership checks
+// compare case-insensitively.
+
+const crypto = require("crypto");
+const { looksLikeEmail } = require("./api/schema");
+
+const LOGIN_TTL_MS = 24 * 60 * 60 * 1000;
+
+function loginSignature(payload) {
+  const secret = process.env.CERT_SIGNING_SECRET;
+  if (!secret) throw new Error("Missing CERT_SIGNING_SECRET");
+  return crypto.createHmac("sha256", secret).update(`login-v1|${payload}`).digest("base64url");
+}
+
+function makeLoginToken(email, now = Date.now()) {
+  const payload = Buffer.from(
+    JSON.stringify({ e: email.trim(), x: now + LOGIN_TTL_MS })
+  ).toString("base64url");
+  return `${payload}.${loginSignature(payload)}`;
+}
+
+// Token -> email, or "" if it's malformed, forged or expired
+function emailFromLoginToken(token, now = Date.now()) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig) return "";
+
+  const expected = Buffer.from(loginSignature(payload));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return "";
+
+  try {
+    const { e, x } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return typeof e === "string" && looksLikeEmail(e) && Number(x) > now ? e : "";
+  } catch {
+    return "";
+  }
+}
+
+// Paid Checkout Sessions whose Stripe-collected email is this one, newest first. Looks the
+// address up as given and lowercased (the usual forms) and merges the two.
+async function paidSessionsFor(stripe, email, { limit = 100 } = {}) {
+  const wanted = email.toLowerCase();
+  const byId = new Map();
+  for (const variant of new Set([email, wanted])) {
+    const list = stripe.checkout.sessions.list({
+      customer_details: { email: variant },
+      limit: Math.min(limit, 100),
+      expand: ["data.payment_intent"],
+    });
+    let found = 0;
+    for await (const session of list) {
+      if (session.payment_status !== "paid") continue;
+      if ((session.customer_details?.email || "").toLowerCase() !== wanted) continue;
+      byId.set(session.id, session);
+      if (++found >= limit) break;
+    }
+  }
+  return [...byId.values()].sort((a, b) => b.created - a.created).slice(0, limit);
+}
+
+// A session the logged-in customer may act on, or null. Case-insensitive like the login.
+async function ownedSession(stripe, email, sessionId) {
+  if (!sessionId.startsWith("cs_")) return null;
+  const session = await stripe.checkout.sessions.retrieve(sessionId, {
+    expand: ["payment_intent"],
+  });
+  const buyer = (session.customer_details?.email || "").toLowerCase();
+  return session.payment_status === "paid" && buyer === email.toLowerCase() ? session : null;
+}
+
+module.exports = { makeLoginToken, emailFromLoginToken, paidSessionsFor, ownedSession };
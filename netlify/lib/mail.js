@@ -0,0 +1,207 @@
+// netlify/lib/mail.js
+// Outgoing email for every function (certificates, sign-in links, the mailing list).
+// MAIL_TRANSPORT picks the backend:
+//  - gmail : Gmail SMTP with an app password (GMAIL_USER, GMAIL_APP_PASSWORD). Default, as
+//            before; fine for a handful of emails a day.
+//  - smtp  : any SMTP server. SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for
+//            TLS from the first byte, usually port 465; otherwise STARTTLS is required),
+//            SMTP_USER / SMTP_PASS.
+//  - file  : append each message as one JSON line to MAIL_FILE (default .data/mail.jsonl),
+//            attachments base64-encoded. For local runs and tests; nothing leaves the box.
+//  - http  : POST each message as JSON to MAIL_HTTP_URL (default Resend's /emails) with
+//            MAIL_HTTP_TOKEN as a bearer token. The body is Resend's shape
+//            { from, to, subject, html, text, headers, attachments: [{ filename, content }] },
+//            which most HTTP mail APIs accept or can be mapped to.
+// MAIL_FROM is the sender address (default GMAIL_USER, then SMTP_USER); owner notifications
+// go to MAIL_OWNER (default the sender).
+//
+// sendMail() retries transient failures (timeouts, SMTP 4xx, HTTP 429/5xx) MAIL_RETRIES
+// times (default 2) with backoff, then throws a MailError: the router answers that with a
+// 502 mail_failed instead of a bare 500, and deliverCertificate turns it into a status.
+
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { ApiError, requireEnv } = require("./api/http");
+
+const SENDER_NAME = "Random Spot Certificate";
+
+class MailError extends ApiError {
+  constructor(transport, message, { transient = false } = {}) {
+    super(502, "mail_failed", `${transport}: ${message}`, {
+      publicMessage: "We couldn't send the email right now. Please try again in a few minutes.",
+    });
+    this.name = "MailError";
+    this.transport = transport;
+    this.transient = transient;
+    this.attempts = 1;
+  }
+}
+
+function senderAddress() {
+  return process.env.MAIL_FROM || process.env.GMAIL_USER || process.env.SMTP_USER || "";
+}
+
+// Where "New subscriber" and other notes for the site owner go
+function ownerAddress() {
+  return process.env.MAIL_OWNER || senderAddress();
+}
+
+// --- Transports --------------------------------------------------------------
+// Each is { name, send(message) } and throws MailError; `transient` marks failures worth
+// another try.
+
+// Nodemailer's connection-level codes; SMTP replies carry responseCode (4xx = try later)
+const TRANSIENT_SMTP_CODES = ["ECONNECTION", "ETIMEDOUT", "ESOCKET", "EDNS", "ECONNRESET"];
+
+function nodemailerTransport(name, options) {
+  const transporter = nodemailer.createTransport(options);
+  return {
+    name,
+    async send(message) {
+      try {
+        await transporter.sendMail(message);
+      } catch (err) {
+        const code = Number(err?.responseCode) || 0;
+        const transient =
+          TRANSIENT_SMTP_CODES.includes(err?.code) || (code >= 400 && code < 500);
+        throw new MailError(name, String(err?.message || err), { transient });
+      }
+    },
+  };
+}
+
+function createGmailTransport() {
+  return nodemailerTransport("gmail", {
+    service: "gmail",
+    auth: { user: requireEnv("GMAIL_USER"), pass: requireEnv("GMAIL_APP_PASSWORD") },
+  });
+}
+
+function createSmtpTransport() {
+  const secure = String(process.env.SMTP_SECURE || "").toLowerCase() === "true";
+  const user = process.env.SMTP_USER;
+  return nodemailerTransport("smtp", {
+    host: requireEnv("SMTP_HOST"),
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    // Without implicit TLS, refuse to send over a connection that didn't upgrade
+    requireTLS: !secure,
+    ...(user ? { auth: { user, pass: requireEnv("SMTP_PASS") } } : {}),
+  });
+}
+
+const attachmentsAsBase64 = (attachments = []) =>
+  attachments.map((a) => ({
+    filename: a.filename,
+    content: Buffer.from(a.content).toString("base64"),
+    ...(a.contentType ? { contentType: a.contentType } : {}),
+  }));
+
+function createFileTransport(file = process.env.MAIL_FILE || path.join(".data", "mail.jsonl")) {
+  return {
+    name: "file",
+    async send(message) {
+      const line = {
+        sent_at: new Date().toISOString(),
+        ...message,
+        attachments: attachmentsAsBase64(message.attachments),
+      };
+      try {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(line)}\n`);
+      } catch (err) {
+        throw new MailError("file", String(err?.message || err));
+      }
+    },
+  };
+}
+
+function createHttpTransport() {
+  const url = process.env.MAIL_HTTP_URL || "https://api.resend.com/emails";
+  const token = requireEnv("MAIL_HTTP_TOKEN");
+  const timeoutMs = Number(process.env.MAIL_HTTP_TIMEOUT_MS) || 15000;
+
+  return {
+    name: "http",
+    async send(message) {
+      const body = {
+        from: message.from,
+        to: [message.to].flat(),
+        subject: message.subject,
+        ...(message.html ? { html: message.html } : {}),
+        ...(message.text ? { text: message.text } : {}),
+        ...(message.headers ? { headers: message.headers } : {}),
+        ...(message.attachments?.length
+          ? { attachments: attachmentsAsBase64(message.attachments) }
+          : {}),
+      };
+
+      let r;
+      try {
+        r = await fetch(url, {
+          method: "POST",
+          headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (err) {
+        const why = err?.name === "TimeoutError" ? "timed out" : String(err?.message || err);
+        throw new MailError("http", why, { transient: true });
+      }
+      if (!r.ok) {
+        const detail = (await r.text().catch(() => "")).slice(0, 200);
+        throw new MailError("http", `HTTP ${r.status} ${detail}`.trim(), {
+          transient: r.status === 429 || r.status >= 500,
+        });
+      }
+    },
+  };
+}
+
+const TRANSPORTS = {
+  gmail: createGmailTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  http: createHttpTransport,
+};
+
+function createMailTransport(name = process.env.MAIL_TRANSPORT || "gmail") {
+  const make = TRANSPORTS[String(name).toLowerCase()];
+  if (!make) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  return make();
+}
+
+// --- Sending -----------------------------------------------------------------
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// message: { to, subject, html?, text?, headers?, attachments?: [{ filename, content,
+// contentType }] }; `from` defaults to the site's sender. Pass `transport` to reuse one
+// across many sends (a broadcast).
+async function sendMail(message, { transport = null, retries = null } = {}) {
+  const mailer = transport || createMailTransport();
+  const fromEnv = Number.parseInt(process.env.MAIL_RETRIES, 10);
+  const maxRetries = retries ?? (Number.isInteger(fromEnv) && fromEnv >= 0 ? fromEnv : 2);
+  const full = { from: `${SENDER_NAME} <${senderAddress()}>`, ...message };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await mailer.send(full);
+      return { transport: mailer.name, attempts: attempt };
+    } catch (err) {
+      if (!(err instanceof MailError)) throw err;
+      err.attempts = attempt;
+      if (!err.transient || attempt > maxRetries) throw err;
+      await sleep(500 * 3 ** (attempt - 1));
+    }
+  }
+}
+
+module.exports = {
+  MailError,
+  senderAddress,
+  ownerAddress,
+  createMailTransport,
+  sendMail,
+};
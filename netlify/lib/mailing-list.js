@@ -0,0 +1,209 @@
+// netlify/lib/mailing-list.js
+// The footer mailing list ("drops"). Subscribers live in a store (netlify/lib/store.js,
+// "subscribers" namespace) keyed by lowercased email:
+//   { email, status: "pending" | "confirmed" | "unsubscribed", subscribed_at,
+//     confirmed_at?, unsubscribed_at? }
+// Double opt-in: ?action=subscribe stores a pending entry and emails a confirm link; only
+// confirmed addresses get broadcasts. Every list email carries an unsubscribe link plus
+// List-Unsubscribe / List-Unsubscribe-Post headers (RFC 8058 one-click).
+//
+// Links are HMAC tokens like login.js (CERT_SIGNING_SECRET, separate "list-v1" domain) over
+// the purpose + email (+ expiry for confirm links), so nothing extra is stored. The links in
+// the email body open subscribe.html, which POSTs the token back: mail scanners that
+// prefetch links would otherwise confirm or unsubscribe on the reader's behalf. The
+// one-click header points at the API itself, since mail providers POST to it directly.
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+const { sendMail, ownerAddress } = require("./mail");
+const { looksLikeEmail } = require("./api/schema");
+
+const CONFIRM_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const LIST_PURPOSES = ["confirm", "unsubscribe"];
+
+function listSignature(payload) {
+  const secret = process.env.CERT_SIGNING_SECRET;
+  if (!secret) throw new Error("Missing CERT_SIGNING_SECRET");
+  return crypto.createHmac("sha256", secret).update(`list-v1|${payload}`).digest("base64url");
+}
+
+// Unsubscribe tokens don't expire: an old email's link should still work
+function makeListToken(purpose, email, now = Date.now()) {
+  const claims = { p: purpose, e: email.toLowerCase() };
+  if (purpose === "confirm") claims.x = now + CONFIRM_TTL_MS;
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${payload}.${listSignature(payload)}`;
+}
+
+// Token -> email, or "" if it's malformed, forged, expired or for the other purpose
+function emailFromListToken(token, purpose, now = Date.now()) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig || !LIST_PURPOSES.includes(purpose)) return "";
+
+  const expected = Buffer.from(listSignature(payload));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return "";
+
+  try {
+    const { p, e, x } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (p !== purpose || typeof e !== "string" || !looksLikeEmail(e)) return "";
+    if (x !== undefined && !(Number(x) > now)) return "";
+    return e;
+  } catch {
+    return "";
+  }
+}
+
+function listLinks(siteUrl, email) {
+  const unsubscribe = makeListToken("unsubscribe", email);
+  return {
+    confirmUrl: `${siteUrl}/subscribe.html#confirm=${makeListToken("confirm", email)}`,
+    unsubscribeUrl: `${siteUrl}/subscribe.html#unsubscribe=${unsubscribe}`,
+    oneClickUrl: `${siteUrl}/api/stripe?action=unsubscribe&token=${unsubscribe}`,
+  };
+}
+
+function createMailingList(store = createStore("subscribers")) {
+  const now = () => new Date().toISOString();
+
+  async function get(email) {
+    return store.get(email.toLowerCase());
+  }
+
+  async function save(record) {
+    await store.set(record.email, record);
+    return record;
+  }
+
+  // -> { record, confirm } where confirm says whether a confirm email should go out.
+  // Pending and unsubscribed addresses both (re)start the opt-in.
+  async function subscribe(email) {
+    const key = email.toLowerCase();
+    const existing = await get(key);
+    if (existing?.status === "confirmed") return { record: existing, confirm: false };
+    const record = await save({ email: key, status: "pending", subscribed_at: now() });
+    return { record, confirm: true };
+  }
+
+  // A valid confirm token is proof enough, even if the pending entry has gone (e.g. a
+  // memory store after a cold start)
+  async function confirm(email) {
+    const key = email.toLowerCase();
+    const existing = await get(key);
+    if (existing?.status === "confirmed") return existing;
+    return save({
+      email: key,
+      subscribed_at: existing?.subscribed_at || now(),
+      status: "confirmed",
+      confirmed_at: now(),
+    });
+  }
+
+  async function unsubscribe(email) {
+    const key = email.toLowerCase();
+    const existing = await get(key);
+    if (existing?.status === "unsubscribed") return existing;
+    return save({
+      ...(existing || { email: key, subscribed_at: "" }),
+      status: "unsubscribed",
+      unsubscribed_at: now(),
+    });
+  }
+
+  // Oldest first; status "all" for every entry
+  async function list(status = "confirmed") {
+    const records = (await store.list()).map(({ value }) => value);
+    return records
+      .filter((r) => status === "all" || r.status === status)
+      .sort((a, b) => String(a.subscribed_at).localeCompare(String(b.subscribed_at)));
+  }
+
+  return { get, subscribe, confirm, unsubscribe, list };
+}
+
+// --- Emails ------------------------------------------------------------------
+
+const FONT = "system-ui,-apple-system,Segoe UI,Roboto,Arial";
+
+// One list email: `html` is the body content; the unsubscribe footer and headers are added.
+// Pass `transport` (mail.js) to reuse one across a broadcast.
+async function sendListEmail(siteUrl, email, { subject, html, text = "" }, { transport } = {}) {
+  const { unsubscribeUrl, oneClickUrl } = listLinks(siteUrl, email);
+
+  await sendMail(
+    {
+      to: email,
+      subject,
+      headers: {
+        "List-Unsubscribe": `<${oneClickUrl}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+      html: `
+        <div style="font-family:${FONT};line-height:1.5">
+          ${html}
+          <p style="margin:18px 0 0;color:#666;font-size:12px">
+            You’re getting this because you joined the Random Spot Certificate list.
+            <a href="${unsubscribeUrl}">Unsubscribe</a> any time, one click.
+          </p>
+        </div>
+      `,
+      ...(text ? { text: `${text}\n\n--\nUnsubscribe: ${unsubscribeUrl}\n` } : {}),
+    },
+    { transport }
+  );
+}
+
+async function sendConfirmEmail(siteUrl, email) {
+  const { confirmUrl } = listLinks(siteUrl, email);
+
+  // No list headers: they aren't on the list until they click
+  await sendMail({
+    to: email,
+    subject: "Confirm your subscription",
+    html: `
+      <div style="font-family:${FONT};line-height:1.5">
+        <h2 style="margin:0 0 8px">One more click</h2>
+        <p style="margin:0 0 12px;color:#444">
+          <a href="${confirmUrl}">Confirm your subscription</a> to get occasional updates from
+          Random Spot Certificate. No spam — just drops / changes / new ideas.
+        </p>
+        <p style="margin:0;color:#666;font-size:12px">
+          Didn’t sign up? Ignore this email and you won’t hear from us. The link works for
+          7 days.
+        </p>
+      </div>
+    `,
+  });
+}
+
+// Heads-up to the site owner, as the footer form always did
+async function notifyOwner(email) {
+  await sendMail({
+    to: ownerAddress(),
+    subject: `New subscriber: ${email}`,
+    text: `New mailing list subscriber (confirmed):\n\n${email}\n\n(Collected via site footer)\n`,
+  });
+}
+
+// Cells a spreadsheet would run as a formula get a leading quote
+function subscribersCsv(records) {
+  const cell = (v) => {
+    const s = /^[=+\-@]/.test(String(v)) ? `'${v}` : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const cols = ["email", "status", "subscribed_at", "confirmed_at", "unsubscribed_at"];
+  const rows = records.map((r) => cols.map((c) => cell(r[c] || "")).join(","));
+  return `${[cols.join(","), ...rows].join("\n")}\n`;
+}
+
+module.exports = {
+  CONFIRM_TTL_MS,
+  makeListToken,
+  emailFromListToken,
+  listLinks,
+  createMailingList,
+  sendListEmail,
+  sendConfirmEmail,
+  notifyOwner,
+  subscribersCsv,
+};
@@ -0,0 +1,28 @@
+// netlify/lib/plots.js
+// Plots from request fields, shared by create / tile_status / quote / replay: a centre plus
+// tile_m and a plot spec (spot.js parsePlotSpec: square, block:3x2, circle, hex…).
+
+const { parsePlotSpec, makePlot } = require("../../public/spot.js");
+const { field } = require("./api/schema");
+
+// Largest plot we sell (1 km²); tile_m and block sides are capped separately
+const MAX_PLOT_M2 = 1e6;
+
+const plotFields = {
+  tile_m: field.number({ default: 1, above: 0, max: 1000 }),
+  plot: field.string({
+    max: 20,
+    default: "square",
+    test: (spec) => !!parsePlotSpec(spec),
+    message: "is not a plot shape",
+  }),
+};
+
+// Validated tile_m + plot spec around a centre -> { plot } | { fields }
+function plotFromRequest(lat, lon, tileM, plotSpec) {
+  const plot = makePlot(lat, lon, tileM, parsePlotSpec(plotSpec));
+  if (plot.areaM2 > MAX_PLOT_M2) return { fields: { plot: "is larger than 1 km²" } };
+  return { plot };
+}
+
+module.exports = { MAX_PLOT_M2, plotFields, plotFromRequest };
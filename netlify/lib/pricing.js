@@ -0,0 +1,247 @@
+// netlify/lib/pricing.js
+// Regional pricing for ?action=create / ?action=quote.
+//
+// The Stripe quantity is the plot's area in price units: ceil(areaM2 /
+// PRICE_UNIT_M2), at least 1, with PRICE_UNIT_M2 defaulting to 1 m². Every shape (square,
+// block, circle, hexagon) is charged by its true area, so the price scales with it.
+//
+// PRICE_TABLE is keyed by country code, then by tile size tier (the smallest tile edge in
+// metres the tier applies from), then by currency. Amounts are per price unit, in the
+// currency's minor unit (cents; JPY has none): the table sets the unit price, the area the
+// quantity. The first currency listed for a country is its default. Chosen-on-the-map spots
+// cost CHOSEN_FACTOR × the rolled price.
+//
+// Countries not in the table keep using the Stripe Price objects from the env
+// (STRIPE_PRICE_ID / STRIPE_PRICE_ID_CHOSEN) in whatever currency those were created in,
+// with the same area quantity.
+//
+// Themes flagged `upsell` in public/certificate.js add one extra line item: a Stripe Price
+// from STRIPE_PRICE_ID_THEME_<THEME> (e.g. STRIPE_PRICE_ID_THEME_PARCHMENT) if set, otherwise
+// THEME_UPSELL in the order's currency.
+//
+// Payment methods default to card; add more per currency with
+//   PAYMENT_METHODS_<CURRENCY>=card,afterpay_clearpay   (e.g. PAYMENT_METHODS_JPY=card,konbini)
+// Each extra type has to be enabled on the Stripe account first. Delayed methods (konbini,
+// bank transfers) finish checkout unpaid: the webhook holds the tile and delivers on
+// checkout.session.async_payment_succeeded, so the endpoint must be subscribed to it.
+
+const { CERT_THEMES, CERT_THEME_DEFAULT } = require("../../public/certificate.js");
+
+const PRICE_TABLE = {
+  NZ: {
+    0: { nzd: 900, aud: 850, usd: 550 },
+    5: { nzd: 1500, aud: 1400, usd: 900 },
+    25: { nzd: 2900, aud: 2700, usd: 1750 },
+  },
+  AU: {
+    0: { aud: 850, nzd: 900, usd: 550 },
+    5: { aud: 1400, nzd: 1500, usd: 900 },
+    25: { aud: 2700, nzd: 2900, usd: 1750 },
+  },
+  US: {
+    0: { usd: 599 },
+    5: { usd: 999 },
+    25: { usd: 1899 },
+  },
+  GB: {
+    0: { gbp: 450, usd: 599 },
+    5: { gbp: 750, usd: 999 },
+    25: { gbp: 1450, usd: 1899 },
+  },
+  JP: {
+    0: { jpy: 800, usd: 599 },
+    5: { jpy: 1400, usd: 999 },
+    25: { jpy: 2600, usd: 1899 },
+  },
+};
+
+const CHOSEN_FACTOR = 1.5;
+
+// Premium certificate design add-on, per order, minor units
+const THEME_UPSELL = { nzd: 500, aud: 450, usd: 300, gbp: 250, jpy: 450 };
+
+// Currencies Stripe takes in whole units
+const ZERO_DECIMAL = ["jpy"];
+
+function paymentMethodTypes(currency) {
+  const raw = process.env[`PAYMENT_METHODS_${currency.toUpperCase()}`] || "";
+  const extra = raw
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => /^[a-z_]+$/.test(s));
+  return ["card", ...extra.filter((t) => t !== "card")];
+}
+
+function formatAmount(amount, currency) {
+  const major = ZERO_DECIMAL.includes(currency) ? amount : amount / 100;
+  try {
+    const code = currency.toUpperCase();
+    return new Intl.NumberFormat("en", { style: "currency", currency: code }).format(major);
+  } catch {
+    return `${major} ${currency.toUpperCase()}`;
+  }
+}
+
+function priceUnitM2() {
+  const unit = Number(process.env.PRICE_UNIT_M2);
+  return Number.isFinite(unit) && unit > 0 ? unit : 1;
+}
+
+// Stripe quantity for a plot (see header). The epsilon keeps a 1 m tile whose area comes out
+// a hair over 1 m² from costing two units.
+function priceQuantity(areaM2) {
+  return Math.max(1, Math.ceil(areaM2 / priceUnitM2() - 1e-9));
+}
+
+function tierFor(row, tileM) {
+  const tiers = Object.keys(row)
+    .map(Number)
+    .sort((a, b) => a - b);
+  let tier = tiers[0];
+  for (const t of tiers) if (tileM >= t) tier = t;
+  return row[tier];
+}
+
+function currenciesFor(countryCode) {
+  const row = PRICE_TABLE[countryCode];
+  return row ? Object.keys(row[0]) : [];
+}
+
+// Upsell line for a theme in the order's currency -> { amount, lineItem } | null (free theme)
+// | { error, status, field }
+async function themeUpsell(stripe, theme, currency) {
+  const def = CERT_THEMES[theme];
+  if (!def?.upsell) return null;
+
+  const priceId = process.env[`STRIPE_PRICE_ID_THEME_${theme.toUpperCase()}`];
+  if (priceId) {
+    const price = await stripe.prices.retrieve(priceId);
+    if (price.currency !== currency) {
+      const error = `${def.label} design not offered in ${currency.toUpperCase()}`;
+      return { error, status: 400, field: "theme" };
+    }
+    return { amount: price.unit_amount || 0, lineItem: { price: priceId, quantity: 1 } };
+  }
+
+  const amount = THEME_UPSELL[currency];
+  if (!amount) {
+    const error = `${def.label} design not offered in ${currency.toUpperCase()}`;
+    return { error, status: 400, field: "theme" };
+  }
+  return {
+    amount,
+    lineItem: {
+      price_data: {
+        currency,
+        unit_amount: amount,
+        product_data: { name: `${def.label} certificate design` },
+      },
+      quantity: 1,
+    },
+  };
+}
+
+// Tile price + theme upsell combined into the resolved shape (see resolvePrice)
+async function withTheme(stripe, tiles, theme) {
+  const upsell = await themeUpsell(stripe, theme, tiles.currency);
+  if (upsell?.error) return upsell;
+
+  const themeAmount = upsell ? upsell.amount : 0;
+  const amount = tiles.unitAmount * tiles.quantity + themeAmount;
+  const { lineItem, ...rest } = tiles;
+  return {
+    ...rest,
+    theme,
+    themeAmount,
+    amount,
+    formatted: formatAmount(amount, tiles.currency),
+    paymentMethodTypes: paymentMethodTypes(tiles.currency),
+    lineItems: upsell ? [lineItem, upsell.lineItem] : [lineItem],
+  };
+}
+
+// Resolve what a plot costs. Returns { error, status, field? } for bad input (field is the
+// request field at fault) / missing config, otherwise { currency, unitAmount, quantity,
+// themeAmount, amount, formatted, currencies, paymentMethodTypes, lineItems } where
+// lineItems go straight into line_items.
+async function resolvePrice(
+  stripe,
+  { countryCode, plot, source = "random", currency = "", theme = CERT_THEME_DEFAULT }
+) {
+  if (!CERT_THEMES[theme]) return { error: "Unknown theme", status: 400, field: "theme" };
+  const quantity = priceQuantity(plot.areaM2);
+  const row = PRICE_TABLE[countryCode];
+
+  if (row) {
+    const amounts = tierFor(row, plot.sizeMeters);
+    const cur = currency || Object.keys(amounts)[0];
+    if (!amounts[cur]) {
+      return { error: `Currency not offered for ${countryCode}`, status: 400, field: "currency" };
+    }
+
+    const base = amounts[cur];
+    const unitAmount = source === "chosen" ? Math.round(base * CHOSEN_FACTOR) : base;
+    const tiles = {
+      currency: cur,
+      unitAmount,
+      quantity,
+      currencies: currenciesFor(countryCode),
+      lineItem: {
+        price_data: {
+          currency: cur,
+          unit_amount: unitAmount,
+          product_data: { name: "Random Spot Certificate" },
+        },
+        quantity,
+      },
+    };
+    return withTheme(stripe, tiles, theme);
+  }
+
+  const priceId =
+    source === "chosen" ? process.env.STRIPE_PRICE_ID_CHOSEN : process.env.STRIPE_PRICE_ID;
+  if (!priceId) {
+    const name = source === "chosen" ? "STRIPE_PRICE_ID_CHOSEN" : "STRIPE_PRICE_ID";
+    return { error: `Missing ${name}`, status: 500 };
+  }
+
+  const price = await stripe.prices.retrieve(priceId);
+  if (currency && currency !== price.currency) {
+    return { error: `Currency not offered for ${countryCode}`, status: 400, field: "currency" };
+  }
+
+  const tiles = {
+    currency: price.currency,
+    unitAmount: price.unit_amount || 0,
+    quantity,
+    currencies: [price.currency],
+    lineItem: { price: priceId, quantity },
+  };
+  return withTheme(stripe, tiles, theme);
+}
+
+// What the browser gets back: no Stripe internals
+function publicPrice(p) {
+  return {
+    currency: p.currency,
+    unit_amount: p.unitAmount,
+    quantity: p.quantity,
+    unit_m2: priceUnitM2(),
+    theme: p.theme,
+    theme_amount: p.themeAmount,
+    theme_formatted: p.themeAmount ? formatAmount(p.themeAmount, p.currency) : "",
+    amount: p.amount,
+    formatted: p.formatted,
+    currencies: p.currencies,
+  };
+}
+
+module.exports = {
+  PRICE_TABLE,
+  CHOSEN_FACTOR,
+  THEME_UPSELL,
+  resolvePrice,
+  publicPrice,
+  formatAmount,
+  priceQuantity,
+};
@@ -0,0 +1,61 @@
+// netlify/lib/rate-limit.js
+// Fixed-window request counters for /api/stripe. An action module opts in with
+//   rateLimit: [{ by: "ip", limit: 5, windowMs: HOUR_MS }, { by: "email", limit: 2, ... }]
+// where `by` is "ip" (the caller's address) or a field of the validated input; every rule
+// has to pass. The router (api/router.js) checks them after validation, before `handle`.
+//
+// Counters live in a store (netlify/lib/store.js: memory by default, file with
+// STORE_DRIVER=file, or any adapter with the same methods), keyed by a hash so the store
+// never holds raw IPs or email addresses. Counting isn't atomic across instances; it only
+// has to stop floods, not be exact.
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Netlify puts the caller's address in its own header; x-forwarded-for is the fallback
+function clientIp(event) {
+  const headers = event?.headers || {};
+  const forwarded = String(headers["x-forwarded-for"] || "").split(",")[0];
+  return String(headers["x-nf-client-connection-ip"] || forwarded || "").trim() || "unknown";
+}
+
+function counterKey(action, by, value, windowStart) {
+  const id = crypto
+    .createHash("sha256")
+    .update(String(value).toLowerCase())
+    .digest("base64url")
+    .slice(0, 22);
+  return `${action}:${by}:${id}:${windowStart}`;
+}
+
+function createRateLimiter(store = createStore("rate-limits")) {
+  // One hit against one rule -> ms until its window resets if over the limit, else 0
+  async function hit(key, { limit, windowMs }, windowStart, now) {
+    const count = Number(await store.get(key)) || 0;
+    if (count >= limit) return windowStart + windowMs - now;
+    await store.set(key, count + 1, { ttlMs: windowStart + windowMs - now });
+    return 0;
+  }
+
+  // -> 0 when allowed, else the ms to wait before trying again
+  async function check(action, rules, { input = {}, event = null } = {}, now = Date.now()) {
+    let retryAfterMs = 0;
+    for (const rule of rules) {
+      const value = rule.by === "ip" ? clientIp(event) : input[rule.by];
+      // Optional fields left empty aren't counted
+      if (value === undefined || value === "") continue;
+      const windowStart = now - (now % rule.windowMs);
+      const key = counterKey(action, rule.by, value, windowStart);
+      retryAfterMs = Math.max(retryAfterMs, await hit(key, rule, windowStart, now));
+    }
+    return retryAfterMs;
+  }
+
+  return { check };
+}
+
+module.exports = { MINUTE_MS, HOUR_MS, DAY_MS, clientIp, createRateLimiter };
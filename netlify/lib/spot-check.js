@@ -0,0 +1,124 @@
+// netlify/lib/spot-check.js
+// Re-checks a spot the browser submits to ?action=create before anything is sold. A rolled
+// spot is replayed from its seed (spot.js replaySeed, the same RNG as rollCenter) and has to
+// match what was posted; every spot has to lie inside its country and pass the mode's land
+// check (land.js strongLandCheck) again here, whatever the browser reported.
+//
+// LAND_RECHECK=mask limits the re-run to the offline land mask, for when the function
+// shouldn't call Nominatim/Overpass; the default (full) also runs the mode's online rules.
+// LAND_RECHECK_BUDGET_MS (default 6 s) caps the whole re-check, keeping create inside
+// Netlify's 10 s limit; LAND_TIMEOUT_MS / LAND_RETRIES (land.js) tune each lookup.
+
+const {
+  replaySeed,
+  pointInCountry,
+  countryName,
+  LAND_MODES,
+  modeLabel,
+} = require("../../public/spot.js");
+const { strongLandCheck } = require("../../public/land.js");
+
+// Seeds replay to 6 decimals (rollCenter), the precision the metadata stores
+const sameCoord = (a, b) => Number(a).toFixed(6) === Number(b).toFixed(6);
+
+function rejected(status, code, message, fields = undefined) {
+  return { status, code, message, fields };
+}
+
+// Posted spot -> the server's copy of it, or why it was rejected
+function spotFromRequest({ source, seed, country_code: countryCode, country, mode, lat, lon }) {
+  if (source === "chosen") {
+    if (!pointInCountry(countryCode, lat, lon)) {
+      return rejected(400, "outside_country", "Chosen spot is outside the selected country");
+    }
+    return { spot: { country: countryName(countryCode), countryCode, mode, seed: "", lat, lon } };
+  }
+
+  // The seed's syntax was validated with the request (create.js check)
+  const replayed = replaySeed(seed);
+  const fields = {};
+  const mismatch = "doesn't match the seed";
+  if (countryCode && countryCode !== replayed.countryCode) fields.country_code = mismatch;
+  if (country && country !== replayed.country) fields.country = mismatch;
+  if (mode !== replayed.mode) fields.mode = mismatch;
+  if (!sameCoord(lat, replayed.lat)) fields.lat = mismatch;
+  if (!sameCoord(lon, replayed.lon)) fields.lon = mismatch;
+  if (Object.keys(fields).length) {
+    return rejected(400, "seed_mismatch", "This spot isn't the one its seed rolls", fields);
+  }
+
+  // rsc1 seeds sampled country boxes, so an old one can still replay into the sea next door
+  if (!pointInCountry(replayed.countryCode, replayed.lat, replayed.lon)) {
+    return rejected(400, "outside_country", `This spot is outside ${replayed.country}`);
+  }
+  return { spot: replayed };
+}
+
+// Netlify cuts a synchronous function off at 10 s, so the online lookups (with their own
+// timeouts, retries and throttling) get a total budget and count as unavailable past it
+const DEFAULT_LAND_BUDGET_MS = 6000;
+
+function landBudgetMs() {
+  const ms = Number(process.env.LAND_RECHECK_BUDGET_MS);
+  return Number.isFinite(ms) && ms > 0 ? ms : DEFAULT_LAND_BUDGET_MS;
+}
+
+// The land check within the budget -> { check } | { error } when a lookup failed or ran out
+// of time. A failed Overpass rule that errored (no onError "pass") comes back as a check,
+// not a throw; that's an outage too, not a verdict on the spot.
+async function runLandCheck(landCheck, lat, lon, mode) {
+  let timer;
+  const budget = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ error: "land check timed out" }), landBudgetMs());
+  });
+  const run = landCheck(lat, lon, mode, { refine: process.env.LAND_RECHECK !== "mask" }).then(
+    (check) => {
+      const failedRule = check.level === "overpass" ? check.nearby?.at(-1) : null;
+      if (!check.ok && failedRule?.error) return { error: failedRule.error };
+      return { check };
+    },
+    (err) => ({ error: String(err?.message || err) })
+  );
+
+  try {
+    return await Promise.race([run, budget]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// -> { spot: { country, countryCode, mode, seed, lat, lon }, check }
+//  | { status, code, message, fields? }
+async function verifySpot(input, { landCheck = strongLandCheck } = {}) {
+  const result = spotFromRequest(input);
+  if (!result.spot) return result;
+  const { spot } = result;
+  const { country, countryCode, mode, seed, lat, lon } = spot;
+
+  let { check, error } = await runLandCheck(landCheck, lat, lon, mode);
+  if (error) {
+    // Same rule as the generator: a lookup that fails only counts against strict modes
+    if (LAND_MODES[mode].strict === false) {
+      check = { ok: true, level: "error", error };
+    } else {
+      console.warn("Land re-check unavailable:", error);
+      return rejected(
+        503,
+        "land_check_unavailable",
+        "We couldn't confirm this spot right now. Please try again in a minute."
+      );
+    }
+  }
+
+  if (!check.ok) {
+    const why =
+      check.level === "mask"
+        ? "is in open water"
+        : `doesn't pass the ${modeLabel(mode)} checks`;
+    return rejected(400, "land_check_failed", `This spot ${why}`);
+  }
+
+  return { spot: { country, countryCode, mode, seed, lat, lon }, check };
+}
+
+module.exports = { verifySpot };
@@ -0,0 +1,122 @@
+// netlify/lib/store.js
+// Small async key/value store used by the Netlify functions (tile registry, etc).
+//
+// Backends (STORE_DRIVER):
+//  - memory : per-process Map. Default. Lost on cold start, so only good for local runs.
+//  - file   : one JSON file per namespace under STORE_DIR (default: ./.data). Fine for
+//             `netlify dev` or a single long-lived host.
+//
+// Anything with the same four async methods can be passed in instead (e.g. a Netlify
+// Blobs or Redis adapter in production):
+//   get(key) -> value | null
+//   set(key, value, { ttlMs }?)
+//   delete(key)
+//   list() -> [{ key, value }]
+// Expired entries are never returned.
+
+const fs = require("fs");
+const path = require("path");
+
+const isLive = (entry, now) => !!entry && (!entry.expiresAt || entry.expiresAt > now);
+
+function entryFor(value, opts = {}) {
+  const ttlMs = Number(opts.ttlMs);
+  return { value, expiresAt: Number.isFinite(ttlMs) && ttlMs > 0 ? Date.now() + ttlMs : 0 };
+}
+
+function createMemoryStore() {
+  const map = new Map();
+
+  return {
+    async get(key) {
+      const entry = map.get(key);
+      if (!isLive(entry, Date.now())) {
+        map.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, opts) {
+      map.set(key, entryFor(value, opts));
+    },
+    async delete(key) {
+      map.delete(key);
+    },
+    async list() {
+      const now = Date.now();
+      const out = [];
+      for (const [key, entry] of map) {
+        if (isLive(entry, now)) out.push({ key, value: entry.value });
+        else map.delete(key);
+      }
+      return out;
+    },
+  };
+}
+
+function createFileStore(namespace, dir = process.env.STORE_DIR || ".data") {
+  const file = path.resolve(dir, `${namespace}.json`);
+
+  function read() {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+      return {};
+    }
+  }
+
+  // Write-then-rename so a crash mid-write never leaves a truncated file
+  function write(data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function prune(data) {
+    const now = Date.now();
+    for (const key of Object.keys(data)) {
+      if (!isLive(data[key], now)) delete data[key];
+    }
+    return data;
+  }
+
+  return {
+    async get(key) {
+      const entry = read()[key];
+      return isLive(entry, Date.now()) ? entry.value : null;
+    },
+    async set(key, value, opts) {
+      const data = prune(read());
+      data[key] = entryFor(value, opts);
+      write(data);
+    },
+    async delete(key) {
+      const data = prune(read());
+      delete data[key];
+      write(data);
+    },
+    async list() {
+      const data = prune(read());
+      return Object.keys(data).map((key) => ({ key, value: data[key].value }));
+    },
+  };
+}
+
+// One store per namespace per process, so every caller sees the same memory backend
+const stores = new Map();
+
+function createStore(namespace) {
+  if (stores.has(namespace)) return stores.get(namespace);
+
+  const driver = String(process.env.STORE_DRIVER || "memory").toLowerCase();
+  let store;
+  if (driver === "memory") store = createMemoryStore();
+  else if (driver === "file") store = createFileStore(namespace);
+  else throw new Error(`Unknown STORE_DRIVER: ${driver}`);
+
+  stores.set(namespace, store);
+  return store;
+}
+
+module.exports = { createStore, createMemoryStore, createFileStore };
@@ -0,0 +1,12 @@
+// netlify/lib/stripe-client.js
+// The Stripe client every function uses, pinned to the API version the code was written for.
+
+const Stripe = require("stripe");
+
+function stripeFromEnv() {
+  const key = process.env.STRIPE_SECRET_KEY;
+  if (!key) throw new Error("Missing STRIPE_SECRET_KEY");
+  return new Stripe(key, { apiVersion: "2024-06-20" });
+}
+
+module.exports = { stripeFromEnv };
@@ -0,0 +1,101 @@
+// netlify/lib/tile-registry.js
+// Exclusive tiles: one record per Checkout Session, keyed by session id.
+//  - reserved : checkout is open; expires just after the session (RESERVATION_MS)
+//  - pending  : checkout finished with a delayed payment method (e.g. konbini) and the money
+//               hasn't arrived yet; held for ASYNC_PAYMENT_HOLD_MS or until Stripe reports
+//               the outcome (webhook: async_payment_succeeded / _failed)
+//  - paid     : permanent
+// A candidate tile is taken if it overlaps any live record. Linear scan — fine for the
+// volumes this site sees; swap in an indexed store if that ever changes.
+// "Tile" here is any plot from spot.js (single tile, block, circle, hex); overlap is checked
+// on its lat/lon bounding box, so round plots are held a little generously.
+
+const { createStore } = require("./store");
+const { plotFromMetadata, tilesOverlap } = require("../../public/spot.js");
+
+// Checkout Session lifetime. Stripe rejects an expires_at under 30 minutes out, measured when
+// the request arrives, so keep a margin for clock skew and the request itself.
+const CHECKOUT_SESSION_MS = 32 * 60 * 1000;
+// The hold outlives its session a little, so a payment completing right at expiry still
+// finds its tile held until verify / the webhook marks it paid
+const RESERVATION_MS = CHECKOUT_SESSION_MS + 3 * 60 * 1000;
+// Delayed methods give the buyer days to pay (konbini: 3 by default); a week covers them
+const ASYNC_PAYMENT_HOLD_MS = 7 * 24 * 60 * 60 * 1000;
+
+function tileFromMetadata(meta = {}) {
+  return plotFromMetadata(meta);
+}
+
+function createTileRegistry(store = createStore("tiles")) {
+  async function findConflict(tile, { ignoreSession = "" } = {}) {
+    const records = await store.list();
+    const hit = records.find(
+      ({ key, value }) => key !== ignoreSession && tilesOverlap(tile.bounds, value.bounds)
+    );
+    return hit ? { session: hit.key, ...hit.value } : null;
+  }
+
+  async function isAvailable(tile) {
+    return !(await findConflict(tile));
+  }
+
+  async function reserve(sessionId, tile) {
+    await store.set(
+      sessionId,
+      {
+        status: "reserved",
+        bounds: tile.bounds,
+        tile_m: tile.sizeMeters,
+        plot: tile.spec || "square",
+        at: new Date().toISOString(),
+      },
+      { ttlMs: RESERVATION_MS }
+    );
+  }
+
+  // Record for a session's own plot; null if its metadata has none
+  function recordFor(session, status) {
+    const tile = tileFromMetadata(session.metadata);
+    if (!tile) return null;
+    return {
+      status,
+      bounds: tile.bounds,
+      tile_m: tile.sizeMeters,
+      plot: tile.spec || "square",
+      at: new Date().toISOString(),
+    };
+  }
+
+  // Idempotent: called from verify and the webhook
+  async function markPaid(session) {
+    const existing = await store.get(session.id);
+    if (existing?.status === "paid") return;
+
+    const record = recordFor(session, "paid");
+    if (record) await store.set(session.id, record);
+  }
+
+  // Checkout completed but unpaid (delayed payment method): outlive the session's hold
+  async function markPending(session) {
+    const existing = await store.get(session.id);
+    if (existing?.status === "paid" || existing?.status === "pending") return;
+
+    const record = recordFor(session, "pending");
+    if (record) await store.set(session.id, record, { ttlMs: ASYNC_PAYMENT_HOLD_MS });
+  }
+
+  async function release(sessionId) {
+    const existing = await store.get(sessionId);
+    if (existing && existing.status !== "paid") await store.delete(sessionId);
+  }
+
+  return { findConflict, isAvailable, reserve, markPaid, markPending, release };
+}
+
+module.exports = {
+  createTileRegistry,
+  tileFromMetadata,
+  CHECKOUT_SESSION_MS,
+  RESERVATION_MS,
+  ASYNC_PAYMENT_HOLD_MS,
+};
@@ -25,211 +25,89 @@ function loadSpot(){
   catch { return null; }
 }
 
-// --- RNG --------------------------------------------------------------------
-
-function hashStrToSeed(str) {
-  let h = 2166136261 >>> 0;
-  for (let i=0;i<str.length;i++){
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619);
-  }
-  return h >>> 0;
-}
-function mulberry32(seed){
-  let t = seed >>> 0;
-  return function(){
-    t += 0x6D2B79F5;
-    let x = Math.imul(t ^ (t >>> 15), 1 | t);
-    x ^= x + Math.imul(x ^ (x >>> 7), 61 | x);
-    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-const COUNTRY_BOUNDS = {
-  NZ: { name:"New Zealand", latMin:-47.5, latMax:-34.0, lonMin:166.0, lonMax:179.8 },
-  AU: { name:"Australia",   latMin:-43.8, latMax:-10.0, lonMin:112.0, lonMax:154.0 },
-  US: { name:"USA (lower 48)", latMin:24.5, latMax:49.5, lonMin:-125.0, lonMax:-66.5 },
-  GB: { name:"United Kingdom", latMin:49.8, latMax:59.0, lonMin:-8.6, lonMax:1.8 },
-  JP: { name:"Japan", latMin:30.0, latMax:45.8, lonMin:129.0, lonMax:145.8 }
-};
-
-function modeLabel(m){
-  if (m === "publicish") return "Publicish (check rules)";
-  if (m === "anywhere") return "Anywhere";
-  return m || "—";
-}
-
-function rollCenter(countryCode, mode, userSeed, rerolls){
-  const bounds = COUNTRY_BOUNDS[countryCode] || COUNTRY_BOUNDS.NZ;
-  const base = `${countryCode}|${mode}|${userSeed}|${rerolls}`;
-  const seed32 = hashStrToSeed(base);
-  const rng = mulberry32(seed32);
-
-  const lat = bounds.latMin + rng() * (bounds.latMax - bounds.latMin);
-  const lon = bounds.lonMin + rng() * (bounds.lonMax - bounds.lonMin);
-
-  return {
-    brand: BRAND,
-    country: bounds.name,
-    countryCode,
-    mode,
-    lat: Number(lat.toFixed(6)),
-    lon: Number(lon.toFixed(6)),
-    seed: `${countryCode}-${mode}-${seed32.toString(16)}`,
-    rerolls
-  };
-}
-
-// --- Tile math --------------------------------------------------------------
-// NOTE: This is an approximation, fine for small tiles.
-
-function metersToLatDeg(m){ return m / 111320; }
-function metersToLonDeg(m, latDeg){
-  const cos = Math.cos((latDeg * Math.PI) / 180);
-  return m / (111320 * Math.max(cos, 0.12));
-}
-
-function makeTileFromCenter(lat, lon, sizeMeters = 1) {
-  const half = sizeMeters / 2;
-  const dLat = metersToLatDeg(half);
-  const dLon = metersToLonDeg(half, lat);
-
-  const north = lat + dLat;
-  const south = lat - dLat;
-  const east  = lon + dLon;
-  const west  = lon - dLon;
-
-  return {
-    sizeMeters,
-    areaM2: Number((sizeMeters * sizeMeters).toFixed(2)),
-    center: { lat, lon },
-    bounds: { north, south, east, west },
-    corners: {
-      NW: { lat: north, lon: west },
-      NE: { lat: north, lon: east },
-      SW: { lat: south, lon: west },
-      SE: { lat: south, lon: east }
-    }
-  };
-}
+// --- Modes ------------------------------------------------------------------
+// RNG, countries, LAND_MODES/modeLabel(), seeds and tile math live in spot.js (shared with the server).
 
 // --- Land checks ------------------------------------------------------------
-// Nominatim reverse + Overpass nearby roads (publicish only)
-
-async function reverseCheckNominatim(lat, lon) {
-  const url = new URL("https://nominatim.openstreetmap.org/reverse");
-  url.searchParams.set("format", "jsonv2");
-  url.searchParams.set("lat", String(lat));
-  url.searchParams.set("lon", String(lon));
-  url.searchParams.set("zoom", "18");
-  url.searchParams.set("addressdetails", "1");
-
-  const r = await fetch(url.toString(), { headers: { "Accept": "application/json" } });
-  if (!r.ok) throw new Error("Nominatim reverse failed");
-  const data = await r.json();
-
-  const type = String(data?.type || "").toLowerCase();
-  const category = String(data?.category || "").toLowerCase();
-  const display = String(data?.display_name || "").trim();
-  const addr = data?.address || {};
-
-  const waterWords = ["ocean","sea","bay","strait","channel","water","river","lake","reservoir","reef","coastline","beach"];
-  const looksWater =
-    waterWords.some(w => type.includes(w)) ||
-    waterWords.some(w => category.includes(w)) ||
-    (category === "natural" && (type === "water" || type === "coastline"));
-
-  const hasRoadish = !!(addr.road || addr.pedestrian || addr.footway || addr.cycleway);
-  const hasPlaceish = !!(addr.city || addr.town || addr.village || addr.hamlet || addr.suburb || addr.neighbourhood);
-  const hasCountry = !!addr.country;
-
-  const ok = !looksWater && hasCountry && (hasRoadish || hasPlaceish || display.length > 12);
-
-  return {
-    ok,
-    looksWater,
-    place: display || "Unknown",
-    type,
-    category,
-    signals: { hasRoadish, hasPlaceish, hasCountry }
-  };
-}
-
-async function overpassHasHighwayNearby(lat, lon, radiusMeters = 3000) {
-  // 3km by default: kills ocean + super remote
-  const query = `
-[out:json][timeout:12];
-(
-  way["highway"](around:${radiusMeters},${lat},${lon});
-  node["highway"](around:${radiusMeters},${lat},${lon});
-  relation["highway"](around:${radiusMeters},${lat},${lon});
-);
-out tags 1;
-  `.trim();
-
-  const r = await fetch("https://overpass-api.de/api/interpreter", {
-    method: "POST",
-    headers: { "Content-Type": "text/plain;charset=UTF-8" },
-    body: query
-  });
-
-  if (!r.ok) throw new Error("Overpass failed");
-  const data = await r.json();
-  const count = Array.isArray(data?.elements) ? data.elements.length : 0;
-  return { ok: count > 0, count, radiusMeters };
+// Offline mask, Nominatim/Overpass providers and strongLandCheck() live in land.js.
+
+function describeCheckStep(e){
+  if (e.step === "mask") return "checking offline land mask";
+  if (e.step === "nominatim") return "looking up the place (Nominatim)";
+  if (e.step === "overpass") return `checking for ${e.feature || "map features"} nearby (Overpass)`;
+  if (e.step === "cache") return "using a cached lookup";
+  if (e.step === "backoff") return `${e.provider} is busy, retrying in ${Math.ceil(e.delayMs / 1000)}s`;
+  if (e.step === "availability") return "checking the tile isn’t taken";
+  return e.step || "";
 }
 
-async function strongLandCheck(lat, lon, mode) {
-  const nom = await reverseCheckNominatim(lat, lon);
-
-  if (mode !== "publicish") {
-    return { ok: true, level: "lite", place: nom.place, nom };
-  }
-
-  if (!nom.ok) {
-    return { ok: false, level: "nominatim", place: nom.place, nom };
-  }
-
-  try {
-    const roads = await overpassHasHighwayNearby(lat, lon, 3000);
-    if (!roads.ok) return { ok: false, level: "overpass", place: nom.place, nom, roads };
-    return { ok: true, level: "strong", place: nom.place, nom, roads };
-  } catch (e) {
-    // Fallback: still better than nothing
-    return { ok: nom.ok, level: "fallback", place: nom.place, nom, roads: { ok: null, error: String(e?.message || e) } };
-  }
-}
-
-async function rollUntilGood({ countryCode, mode, tileMeters, maxAttempts = 30 }) {
+// onProgress({ attempt, maxAttempts, step, … }) fires for every check step of every attempt
+// plotSpec: from parsePlotSpec() (spot.js); a single square tile when omitted
+async function rollUntilGood({ countryCode, mode, tileMeters, plotSpec = undefined, refine = true, maxAttempts = 30, onProgress = null }) {
   const userSeed = crypto.randomUUID();
   let best = null;
 
   for (let i = 1; i <= maxAttempts; i++) {
+    const onStep = (e) => onProgress?.({ attempt: i, maxAttempts, ...e });
     const center = rollCenter(countryCode, mode, userSeed, i);
-    const tile = makeTileFromCenter(center.lat, center.lon, tileMeters);
+    const tile = makePlot(center.lat, center.lon, tileMeters, plotSpec);
 
     let check;
     try {
-      check = await strongLandCheck(center.lat, center.lon, mode);
+      check = await strongLandCheck(center.lat, center.lon, mode, { refine, onStep });
     } catch (e) {
-      check = { ok: mode !== "publicish", level: "error", place: "Lookup unavailable", error: String(e?.message || e) };
+      check = { ok: LAND_MODES[mode]?.strict === false, level: "error", place: "Lookup unavailable", error: String(e?.message || e) };
     }
 
-    const spot = { ...center, tile, check };
+    const spot = { ...center, brand: BRAND, tile, check };
     best = spot;
 
-    if (mode !== "publicish") return spot;
-    if (check.ok) return spot;
+    // Water (mask) is never OK; remote-check failures only count against strict modes
+    if (!check.ok) continue;
+
+    // Someone already bought (or is buying) an overlapping tile: keep rolling
+    onStep({ step: "availability" });
+    if (await tileIsTaken(tile)) {
+      spot.check = { ...check, ok: false, level: "taken" };
+      continue;
+    }
+    return spot;
   }
 
-  if (best) {
-    best.check = { ...(best.check || {}), ok: false, level: "exhausted", note: "Could not confidently avoid water/remote picks." };
+  if (best && best.check?.level !== "taken") {
+    best.check = { ...(best.check || {}), ok: false, level: "exhausted", note: `No candidate passed the ${modeLabel(mode)} checks.` };
   }
   return best;
 }
 
 // --- Netlify function calls -------------------------------------------------
 
+// Best effort: if the lookup fails we let it through and `create` re-checks server-side
+async function tileIsTaken(tile){
+  const q = new URLSearchParams({
+    action: "tile_status",
+    lat: String(tile.center.lat),
+    lon: String(tile.center.lon),
+    tile_m: String(tile.sizeMeters),
+    plot: tile.spec || "square"
+  });
+  try {
+    const data = await getJSON(`/api/stripe?${q}`);
+    return data.available === false;
+  } catch {
+    return false;
+  }
+}
+
+// Failed /api/stripe calls answer { ok: false, error: { code, message, fields? } }
+function requestError(data){
+  const e = data.error || {};
+  const err = new Error(e.message || "Request failed");
+  err.code = e.code || "";
+  err.fields = e.fields || {};
+  return err;
+}
+
 async function postJSON(url, payload){
   const r = await fetch(url, {
     method:"POST",
@@ -237,13 +115,13 @@ async function postJSON(url, payload){
     body: JSON.stringify(payload)
   });
   const data = await r.json().catch(() => ({}));
-  if (!r.ok) throw new Error(data.error || data.message || "Request failed");
+  if (!r.ok) throw requestError(data);
   return data;
 }
 async function getJSON(url){
   const r = await fetch(url);
   const data = await r.json().catch(() => ({}));
-  if (!r.ok) throw new Error(data.error || data.message || "Request failed");
+  if (!r.ok) throw requestError(data);
   return data;
 }
 
@@ -290,7 +168,7 @@ h1{margin:10px 0 6px;font-size:34px;letter-spacing:-.4px}
 .sectionTitle{font-size:12px;color:var(--muted);text-transform:uppercase;letter-spacing:.18em;margin-bottom:10px}
 .field{display:flex;flex-direction:column;gap:6px;margin-top:10px}
 label{font-size:12px;color:var(--muted)}
-select,input{
+select,input,textarea{
   background:rgba(255,255,255,.03);
   border:1px solid var(--line);
   color:var(--txt);
@@ -298,9 +176,15 @@ select,input{
   border-radius:12px;
   outline:none;
 }
-select:focus,input:focus{border-color:rgba(124,92,255,.35)}
+textarea{font:inherit;resize:vertical;min-height:64px}
+select:focus,input:focus,textarea:focus{border-color:rgba(124,92,255,.35)}
 .hint{margin-top:6px;font-size:12px;color:var(--muted)}
+.check{display:flex;gap:8px;align-items:center;margin-top:10px;font-size:12px;color:var(--muted);cursor:pointer}
+.check input{margin:0;padding:0;width:auto}
 .row{display:flex;gap:10px;align-items:center;flex-wrap:wrap;margin-top:12px}
+.dims{margin-top:8px}
+.dims input{width:80px}
+.dims .hint{margin-top:0}
 .btn{border:1px solid var(--line);background:rgba(255,255,255,.03);color:var(--txt);
   padding:10px 12px;border-radius:12px;cursor:pointer;transition:background .15s ease,border-color .15s ease,transform .05s ease
 }
@@ -351,114 +235,61 @@ function makeMap(divId, lat, lon) {
   }).addTo(map);
 
   const marker = L.marker([lat, lon]).addTo(map);
-  return { map, marker, rect: null };
+  return { map, marker, outline: null };
 }
 
-function updateMap(mapObj, lat, lon, tileBounds) {
+// plot: from makePlot()/plotFromMetadata() — its GeoJSON ring is drawn as-is (longitudes are
+// already continuous with the centre, so antimeridian plots don't wrap the world)
+function updateMap(mapObj, lat, lon, plot) {
   if (!mapObj) return;
   mapObj.map.setView([lat, lon], Math.max(mapObj.map.getZoom(), 15));
   mapObj.marker.setLatLng([lat, lon]);
 
-  if (tileBounds) {
-    const sw = [tileBounds.south, tileBounds.west];
-    const ne = [tileBounds.north, tileBounds.east];
+  const ring = plot?.geometry?.coordinates?.[0];
+  if (ring) {
+    const latlngs = ring.slice(0, -1).map(([x, y]) => [y, x]);
 
-    if (!mapObj.rect) {
-      mapObj.rect = L.rectangle([sw, ne], {
+    if (!mapObj.outline) {
+      mapObj.outline = L.polygon(latlngs, {
         weight: 2,
         color: "#7c5cff",
         fillOpacity: 0.08
       }).addTo(mapObj.map);
     } else {
-      mapObj.rect.setBounds([sw, ne]);
+      mapObj.outline.setLatLngs(latlngs);
     }
   }
 }
 
 // --- Certificate PNG --------------------------------------------------------
 
-function drawCertificatePNG(meta){
+// cert: { id, issued, url } from ?action=verify (optional — older sessions have none)
+// Layout comes from the shared template in certificate.js (same one the PDF uses).
+// map: loadMapInset(meta, { template }) for imagery in the map inset, loaded for the same
+// orientation; without it the inset is vector-only.
+// options.scale renders at a multiple of the template size (print exports).
+function drawCertificatePNG(meta, cert = null, map = null, options = {}){
+  const { orientation = "landscape", scale = 1 } = options;
+  const template = certificateTemplate(meta.theme, orientation);
   const c = document.createElement("canvas");
-  c.width = 1400; c.height = 820;
+  c.width = Math.round(template.width * scale);
+  c.height = Math.round(template.height * scale);
   const ctx = c.getContext("2d");
-  const W = c.width, H = c.height;
-
-  ctx.fillStyle = "#0f1116";
-  ctx.fillRect(0,0,W,H);
-
-  const g = ctx.createLinearGradient(0,0,W,H);
-  g.addColorStop(0, "rgba(124,92,255,.18)");
-  g.addColorStop(1, "rgba(0,0,0,0)");
-  ctx.fillStyle = g;
-  ctx.fillRect(0,0,W,H);
-
-  ctx.strokeStyle = "rgba(255,255,255,.10)";
-  ctx.lineWidth = 4;
-  roundRect(44, 44, W-88, H-88, 26);
-  ctx.stroke();
-
-  ctx.fillStyle = "rgba(255,255,255,.92)";
-  ctx.font = "900 54px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-  ctx.fillText(BRAND.toUpperCase(), 96, 140);
-
-  ctx.fillStyle = "rgba(255,255,255,.70)";
-  ctx.font = "650 22px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-  ctx.fillText(`${meta.country || "?"} • ${modeLabel(meta.mode)}`, 96, 182);
-
-  ctx.fillStyle = "rgba(255,255,255,.92)";
-  ctx.font = "900 64px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace";
-  ctx.fillText(`${meta.lat || "?"} , ${meta.lon || "?"}`, 96, 290);
-
-  ctx.fillStyle = "rgba(255,255,255,.70)";
-  ctx.font = "650 22px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace";
-  ctx.fillText(`Seed: ${meta.seed || "—"}`, 96, 338);
-
-  const tileM = Number(meta.tile_m || 1);
-  const areaM2 = (tileM * tileM).toFixed(2);
-
-  ctx.fillStyle = "rgba(255,255,255,.85)";
-  ctx.font = "800 28px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-  ctx.fillText(`Area tile: ${tileM} m × ${tileM} m (${areaM2} m²)`, 96, 400);
-
-  ctx.fillStyle = "rgba(255,255,255,.78)";
-  ctx.font = "650 22px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-  ctx.fillText("Novelty certificate only. No ownership or access rights.", 96, 454);
-
-  ctx.fillStyle = "rgba(255,255,255,.62)";
-  ctx.font = "500 20px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-  wrapText(
-    "Access varies by local rules, closures, and conditions. Always check at the time of visit. This certificate grants no permissions or guarantees.",
-    96, 494, W-192, 26
-  );
-
-  ctx.fillStyle = "rgba(255,255,255,.52)";
-  ctx.font = "500 16px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace";
-  ctx.fillText(`Issued: ${new Date().toISOString().slice(0,10)}`, 96, H-110);
-
+  ctx.scale(scale, scale);
+  renderCertificate(canvasCertificateBackend(ctx), meta, cert, template, { map });
   return c;
+}
 
-  function roundRect(x,y,w,h,r){
-    ctx.beginPath();
-    ctx.moveTo(x+r,y);
-    ctx.arcTo(x+w,y, x+w,y+h, r);
-    ctx.arcTo(x+w,y+h, x,y+h, r);
-    ctx.arcTo(x,y+h, x,y, r);
-    ctx.arcTo(x,y, x+w,y, r);
-    ctx.closePath();
-  }
-  function wrapText(text, x, y, maxW, lineH){
-    const words = String(text).split(" ");
-    let line = "", yy = y;
-    for (let i=0;i<words.length;i++){
-      const test = line + words[i] + " ";
-      if (ctx.measureText(test).width > maxW && i>0){
-        ctx.fillText(line, x, yy);
-        line = words[i] + " ";
-        yy += lineH;
-      } else line = test;
-    }
-    ctx.fillText(line, x, yy);
-  }
+// Template scale that prints a paper size at dpi (the template fitted to the page, as in
+// the PDF)
+function certificatePrintScale(template, paper, dpi){
+  const size = certificatePaper(paper, template.width > template.height ? "landscape" : "portrait");
+  return certificateFit(template, size.width / 25.4 * dpi, size.height / 25.4 * dpi).scale;
+}
+
+// Same naming as the emailed PDF
+function certificateFilename(meta, ext){
+  return `certificate-${(meta.country||"XX").replace(/\s+/g,"_")}-${(meta.seed||"seed").slice(0,10)}.${ext}`;
 }
 
 function downloadCanvasPNG(canvas, filename){
@@ -470,17 +301,54 @@ function downloadCanvasPNG(canvas, filename){
   a.remove();
 }
 
+function downloadBlob(blob, filename){
+  const a = document.createElement("a");
+  a.download = filename;
+  a.href = URL.createObjectURL(blob);
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// Print-size canvases are too big for a data: URL in some browsers, so go through a blob
+function downloadCanvasBlob(canvas, filename){
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) return reject(new Error("Image too large for this browser"));
+      downloadBlob(blob, filename);
+      resolve();
+    }, "image/png");
+  });
+}
+
+// GET a PDF from the function and save it; errors carry the JSON error like getJSON's
+async function downloadPDF(params, filename){
+  const r = await fetch(`/api/stripe?${new URLSearchParams(params)}`);
+  if (!r.ok) throw requestError(await r.json().catch(() => ({})));
+  downloadBlob(await r.blob(), filename);
+}
+
 // --- Pages ------------------------------------------------------------------
 
 async function pageIndex(){
   const brandText = $("#brandText");
   if (brandText) brandText.textContent = BRAND;
 
+  const methodEl = $("#pickMethod");
   const countryEl = $("#country");
   const modeEl = $("#mode");
+  const modeHintEl = $("#modeHint");
   const tileEl = $("#tileSize");
   const rerollBtn = $("#reroll");
   const lockBtn = $("#lock");
+  const refineEl = $("#refine");
+  const plotEl = $("#plotShape");
+  const dimsEl = $("#blockDims");
+  const colsEl = $("#blockCols");
+  const rowsEl = $("#blockRows");
+  const seedEl = $("#seedInput");
+  const loadSeedBtn = $("#loadSeed");
 
   const pCoords = $("#pCoords");
   const pSeed = $("#pSeed");
@@ -492,19 +360,41 @@ async function pageIndex(){
   let current = null;
   let mapObj = null;
 
+  const choosing = () => methodEl?.value === "choose";
+
+  const codes = Object.keys(COUNTRIES).sort((a, b) => COUNTRIES[a].name.localeCompare(COUNTRIES[b].name));
+  countryEl.innerHTML = codes.map((code) => `<option value="${code}">${COUNTRIES[code].name}</option>`).join("");
+  countryEl.value = "NZ";
+
+  modeEl.innerHTML = Object.entries(LAND_MODES).map(([key, m]) => `<option value="${key}">${m.picker}</option>`).join("");
+  modeEl.value = "publicish";
+  function renderModeHint(){
+    if (modeHintEl) modeHintEl.textContent = LAND_MODES[modeEl.value]?.hint || "";
+  }
+  renderModeHint();
+
   function tileMetersFromUI(){
     const v = Number(tileEl?.value ?? 1);
     if (!Number.isFinite(v) || v <= 0) return 1;
     return clamp(v, 0.1, 100);
   }
 
+  function plotSpecFromUI(){
+    const shape = plotEl?.value || "square";
+    if (dimsEl) dimsEl.style.display = shape === "block" ? "" : "none";
+    if (shape !== "block") return parsePlotSpec(shape);
+
+    const side = (el) => clamp(Math.round(Number(el?.value) || 1), 1, MAX_BLOCK_SIDE);
+    return parsePlotSpec(`block:${side(colsEl)}x${side(rowsEl)}`);
+  }
+
   function render(spot){
     pCoords.textContent = `${fmt6(spot.lat)}, ${fmt6(spot.lon)}`;
-    pSeed.textContent = spot.seed;
+    pSeed.textContent = spot.source === "chosen" ? "— (chosen on the map)" : spot.seed;
 
     const t = spot.tile;
     if (t) {
-      pArea.textContent = `${t.sizeMeters} m × ${t.sizeMeters} m (${t.areaM2.toFixed(2)} m²)`;
+      pArea.textContent = `${plotLabel(t)} (${t.areaM2.toFixed(2)} m²)`;
       const C = t.corners;
       pCorners.textContent =
         `NW ${fmt6(C.NW.lat)}, ${fmt6(C.NW.lon)} | ` +
@@ -521,8 +411,86 @@ async function pageIndex(){
     pCheck.textContent = `${okText} (${chk.level || "—"})`;
     pPlace.textContent = chk.place || "—";
 
-    if (!mapObj && $("#map") && window.L) mapObj = makeMap("map", spot.lat, spot.lon);
-    updateMap(mapObj, spot.lat, spot.lon, spot.tile?.bounds || null);
+    ensureMap(spot.lat, spot.lon);
+    updateMap(mapObj, spot.lat, spot.lon, spot.tile || null);
+  }
+
+  function ensureMap(lat, lon){
+    if (mapObj || !$("#map") || !window.L) return;
+    mapObj = makeMap("map", lat, lon);
+    mapObj.map.on("click", (e) => {
+      if (!choosing()) return;
+      const p = e.latlng.wrap();
+      chooseAt(p.lat, p.lng);
+    });
+  }
+
+  // Choose mode: the clicked point must be inside the selected country, then it gets the same
+  // land checks and availability check as a rolled spot. Lock in only once it passes.
+  async function chooseAt(lat, lon){
+    const countryCode = countryEl.value;
+    if (!pointInCountry(countryCode, lat, lon)) {
+      setStatus(`That point isn’t inside ${countryName(countryCode)}. Click somewhere within its borders.`, "bad");
+      return;
+    }
+
+    rerollBtn.disabled = true;
+    lockBtn.disabled = true;
+
+    const spot = {
+      country: countryName(countryCode),
+      countryCode,
+      mode: modeEl.value,
+      lat: Number(lat.toFixed(6)),
+      lon: Number(lon.toFixed(6)),
+      seed: "",
+      source: "chosen",
+      brand: BRAND
+    };
+    spot.tile = makePlot(spot.lat, spot.lon, tileMetersFromUI(), plotSpecFromUI());
+
+    try {
+      spot.check = await strongLandCheck(spot.lat, spot.lon, spot.mode, {
+        refine: refineEl ? refineEl.checked : true,
+        onStep: (e) => setStatus(`Checking your spot • ${describeCheckStep(e)}…`)
+      });
+    } catch (e) {
+      spot.check = { ok: LAND_MODES[spot.mode]?.strict === false, level: "error", place: "Lookup unavailable", error: String(e?.message || e) };
+    }
+    if (spot.check.ok && await tileIsTaken(spot.tile)) spot.check = { ...spot.check, ok: false, level: "taken" };
+
+    current = spot;
+    render(current);
+
+    if (spot.check.level === "taken") setStatus("Someone already has that spot. Click somewhere else.", "bad");
+    else if (!spot.check.ok) setStatus(`That spot doesn’t pass the ${modeLabel(spot.mode)} checks. Try another.`, "bad");
+    else setStatus("Your spot passes ✅ Lock it in when you’re happy.", "good");
+
+    lockBtn.disabled = !spot.check.ok;
+  }
+
+  // Switching to choose mode: zoom out to the country so there's something to click on
+  function startChoosing(){
+    rerollBtn.disabled = true;
+    lockBtn.disabled = true;
+    current = null;
+
+    const shape = COUNTRIES[countryEl.value];
+    ensureMap(shape ? (shape.bbox[1] + shape.bbox[3]) / 2 : 0, shape ? (shape.bbox[0] + shape.bbox[2]) / 2 : 0);
+    if (mapObj && shape) {
+      const [w, s, e, n] = shape.bbox;
+      mapObj.map.fitBounds([[s, w], [n, e]]);
+    }
+    setStatus(`Click the map inside ${countryName(countryEl.value)} to place your plot.`);
+  }
+
+  // Settings changed: reroll, or re-check the chosen point under the new settings
+  function refresh(){
+    if (!choosing()) return rollAndCheck();
+    if (current?.source === "chosen" && current.countryCode === countryEl.value) {
+      return chooseAt(current.lat, current.lon);
+    }
+    return startChoosing();
   }
 
   async function rollAndCheck(){
@@ -535,26 +503,86 @@ async function pageIndex(){
       countryCode: countryEl.value,
       mode: modeEl.value,
       tileMeters,
-      maxAttempts: modeEl.value === "publicish" ? 35 : 5
+      plotSpec: plotSpecFromUI(),
+      refine: refineEl ? refineEl.checked : true,
+      maxAttempts: 35,
+      onProgress: (e) => setStatus(`Attempt ${e.attempt}/${e.maxAttempts} • ${describeCheckStep(e)}…`)
     });
 
     current = spot;
     render(current);
 
-    if (modeEl.value === "publicish" && current?.check && !current.check.ok) {
-      setStatus("Couldn’t confidently avoid water/remote this time. Reroll.", "bad");
+    if (current?.check?.level === "taken") {
+      setStatus("Every candidate this time was already taken. Reroll.", "bad");
+    } else if (current?.check && !current.check.ok) {
+      setStatus(`Couldn’t find a spot passing the ${modeLabel(modeEl.value)} checks this time. Reroll.`, "bad");
     } else {
       setStatus("Ready ✅", "good");
     }
 
     rerollBtn.disabled = false;
-    lockBtn.disabled = false;
+    lockBtn.disabled = !current?.check?.ok;
+  }
+
+  async function loadFromSeed(token){
+    const parsed = parseSeed(token);
+    if (!parsed) {
+      setStatus("That doesn’t look like a valid seed (expected rsc2.…).", "bad");
+      return;
+    }
+
+    rerollBtn.disabled = true;
+    lockBtn.disabled = true;
+    setStatus("Replaying seed… running checks…");
+
+    // Reflect the seed's settings in the UI without triggering a fresh roll
+    if (methodEl) methodEl.value = "roll";
+    countryEl.value = parsed.countryCode;
+    modeEl.value = parsed.mode;
+    renderModeHint();
+
+    const center = replaySeed(token);
+    const tile = makePlot(center.lat, center.lon, tileMetersFromUI(), plotSpecFromUI());
+
+    let check;
+    try {
+      check = await strongLandCheck(center.lat, center.lon, center.mode, {
+        refine: refineEl ? refineEl.checked : true,
+        onStep: (e) => setStatus(`Replaying seed • ${describeCheckStep(e)}…`)
+      });
+    } catch (e) {
+      check = { ok: LAND_MODES[center.mode]?.strict === false, level: "error", place: "Lookup unavailable", error: String(e?.message || e) };
+    }
+
+    if (await tileIsTaken(tile)) check = { ...check, ok: false, level: "taken" };
+
+    current = { ...center, brand: BRAND, tile, check };
+    render(current);
+    if (check.level === "taken") setStatus("Seed replayed, but that tile is already taken.", "bad");
+    else if (!check.ok) setStatus(`Seed replayed, but the spot doesn’t pass the ${modeLabel(center.mode)} checks.`, "bad");
+    else setStatus("Seed replayed ✅", "good");
+
+    rerollBtn.disabled = false;
+    lockBtn.disabled = !check.ok;
   }
 
+  loadSeedBtn?.addEventListener("click", () => loadFromSeed(seedEl.value));
+  seedEl?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") loadFromSeed(seedEl.value);
+  });
+
   rerollBtn.addEventListener("click", rollAndCheck);
-  countryEl.addEventListener("change", rollAndCheck);
-  modeEl.addEventListener("change", rollAndCheck);
-  tileEl?.addEventListener("change", rollAndCheck);
+  methodEl?.addEventListener("change", () => (choosing() ? startChoosing() : rollAndCheck()));
+  countryEl.addEventListener("change", refresh);
+  modeEl.addEventListener("change", () => {
+    renderModeHint();
+    refresh();
+  });
+  tileEl?.addEventListener("change", refresh);
+  refineEl?.addEventListener("change", refresh);
+  plotEl?.addEventListener("change", refresh);
+  colsEl?.addEventListener("change", refresh);
+  rowsEl?.addEventListener("change", refresh);
 
   lockBtn.addEventListener("click", () => {
     if (!current) return;
@@ -563,7 +591,14 @@ async function pageIndex(){
     setTimeout(() => { location.href = "checkout.html"; }, 200);
   });
 
-  await rollAndCheck();
+  // index.html?seed=rsc2.… opens straight onto a replayed spot (handy for support)
+  const seedParam = new URL(location.href).searchParams.get("seed");
+  if (seedParam) {
+    if (seedEl) seedEl.value = seedParam;
+    await loadFromSeed(seedParam);
+  } else {
+    await rollAndCheck();
+  }
 }
 
 function pageCheckout(){
@@ -573,6 +608,13 @@ function pageCheckout(){
   const spot = loadSpot();
   const wrap = $("#summaryWrap");
   const payBtn = $("#payBtn");
+  const emailEl = $("#buyerEmail");
+  const consentEl = $("#emailConsent");
+  const currencyEl = $("#currency");
+  const themeEl = $("#theme");
+  const giftEl = $("#isGift");
+  const giftFields = $("#giftFields");
+  const giftDateEl = $("#giftDate");
 
   if (!spot) {
     wrap.innerHTML = `<div class="note"><b>No tile saved.</b> Go back and roll one first.</div>`;
@@ -581,7 +623,10 @@ function pageCheckout(){
     return;
   }
 
-  const t = spot.tile || makeTileFromCenter(spot.lat, spot.lon, 1);
+  // Spots saved before plots existed carry a bare tile (no spec/geometry)
+  const t = spot.tile?.geometry
+    ? spot.tile
+    : makePlot(spot.lat, spot.lon, spot.tile?.sizeMeters || 1, parsePlotSpec("square"));
 
   wrap.innerHTML = `
     <div class="mini">
@@ -590,33 +635,166 @@ function pageCheckout(){
         <div class="k">Country</div><div class="v">${spot.country}</div>
         <div class="k">Mode</div><div class="v">${modeLabel(spot.mode)}</div>
         <div class="k">Center</div><div class="v">${fmt6(spot.lat)}, ${fmt6(spot.lon)}</div>
-        <div class="k">Tile</div><div class="v">${t.sizeMeters} m × ${t.sizeMeters} m (${t.areaM2.toFixed(2)} m²)</div>
-        <div class="k">Seed</div><div class="v">${spot.seed}</div>
+        <div class="k">Plot</div><div class="v">${plotLabel(t)} (${t.areaM2.toFixed(2)} m²)</div>
+        <div class="k">Seed</div><div class="v">${spot.source === "chosen" ? "— (chosen on the map)" : spot.seed}</div>
         <div class="k">Nearby</div><div class="v">${spot.check?.place || "—"}</div>
         <div class="k">Checks</div><div class="v">${spot.check?.ok ? "Pass ✅" : "Uncertain ❌"} (${spot.check?.level || "—"})</div>
+        <div class="k">Price</div><div class="v" id="sumPrice">…</div>
       </div>
     </div>
   `;
 
+  // Same fields the server prices on in ?action=create
+  const priceQuery = () => ({
+    country_code: spot.countryCode || "",
+    source: spot.source || "random",
+    lat: String(spot.lat),
+    lon: String(spot.lon),
+    tile_m: String(t.sizeMeters),
+    plot: t.spec,
+    currency: currencyEl?.value || "",
+    theme: themeEl?.value || CERT_THEME_DEFAULT
+  });
+
+  function showPrice(price){
+    const unit = price.unit_m2 === 1 ? "m²" : `× ${price.unit_m2} m²`;
+    const qty = price.quantity > 1 ? ` (${price.quantity} ${unit})` : "";
+    const design = price.theme_formatted ? ` incl. ${price.theme_formatted} design` : "";
+    $("#sumPrice").textContent = `${price.formatted}${qty}${design}`;
+    if (currencyEl && currencyEl.options.length !== price.currencies.length) {
+      currencyEl.innerHTML = price.currencies
+        .map((c) => `<option value="${c}">${c.toUpperCase()}</option>`)
+        .join("");
+    }
+    if (currencyEl) currencyEl.value = price.currency;
+  }
+
+  async function refreshPrice(){
+    $("#sumPrice").textContent = "…";
+    try {
+      const data = await getJSON(`/api/stripe?${new URLSearchParams({ action: "quote", ...priceQuery() })}`);
+      showPrice(data.price);
+    } catch (e) {
+      $("#sumPrice").textContent = `Unavailable (${e.message})`;
+    }
+  }
+
+  // Themes come from certificate.js, same list the server validates against
+  if (themeEl) {
+    themeEl.innerHTML = Object.entries(CERT_THEMES)
+      .map(([key, th]) => `<option value="${key}">${th.label}${th.upsell ? " (premium)" : ""}</option>`)
+      .join("");
+    themeEl.value = CERT_THEME_DEFAULT;
+  }
+
+  // What the certificate will carry, minus the ID it gets once paid
+  const previewMeta = (theme) => ({
+    country: spot.country,
+    mode: spot.mode,
+    seed: spot.seed,
+    source: spot.source || "random",
+    lat: fmt6(spot.lat),
+    lon: fmt6(spot.lon),
+    tile_m: String(t.sizeMeters),
+    ...plotMetadata(t),
+    theme
+  });
+  let previewMap = null;
+
+  function showTheme(){
+    const theme = themeEl?.value || CERT_THEME_DEFAULT;
+    const hint = $("#themeHint");
+    if (hint) hint.textContent = certificateTheme(theme).hint;
+
+    const canvas = $("#themePreview");
+    if (!canvas) return;
+    canvas.getContext("2d").drawImage(drawCertificatePNG(previewMeta(theme), null, previewMap), 0, 0);
+  }
+
+  currencyEl?.addEventListener("change", refreshPrice);
+  themeEl?.addEventListener("change", () => { showTheme(); refreshPrice(); });
+  showTheme();
+  refreshPrice();
+  // Vector inset first, imagery once the tiles arrive (same for every theme)
+  loadMapInset(previewMeta(CERT_THEME_DEFAULT)).then((map) => {
+    previewMap = map;
+    if (map.tiles.length) showTheme();
+  });
+
+  // Gift delivery dates are UTC days, same as the server's check
+  const todayUTC = new Date().toISOString().slice(0, 10);
+  if (giftDateEl) giftDateEl.min = todayUTC;
+  giftEl?.addEventListener("change", () => {
+    if (giftFields) giftFields.style.display = giftEl.checked ? "" : "none";
+  });
+
+  function giftFromForm(){
+    if (!giftEl?.checked) return { gift: "no" };
+    return {
+      gift: "yes",
+      gift_name: ($("#giftName")?.value || "").trim(),
+      gift_email: ($("#giftEmail")?.value || "").trim(),
+      gift_message: ($("#giftMessage")?.value || "").trim(),
+      gift_date: giftDateEl?.value || ""
+    };
+  }
+
   payBtn.addEventListener("click", async () => {
+    const email = (emailEl?.value || "").trim();
+    const consent = !!consentEl?.checked;
+    const gift = giftFromForm();
+
+    if (consent && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      setStatus("Enter a valid email to get the PDF, or untick email delivery.", "bad");
+      return;
+    }
+    if (gift.gift === "yes") {
+      if (!gift.gift_name) {
+        setStatus("Enter the recipient’s name for the gift.", "bad");
+        return;
+      }
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(gift.gift_email)) {
+        setStatus("Enter a valid recipient email for the gift.", "bad");
+        return;
+      }
+      if (gift.gift_date && gift.gift_date < todayUTC) {
+        setStatus("The gift delivery date can’t be in the past.", "bad");
+        return;
+      }
+    }
+
     payBtn.disabled = true;
     payBtn.textContent = "Opening…";
     setStatus("Creating secure checkout…");
 
     try {
       const data = await postJSON("/api/stripe?action=create", {
+        ...priceQuery(),
         country: spot.country,
         mode: spot.mode,
         seed: spot.seed,
-        lat: String(spot.lat),
-        lon: String(spot.lon),
-        tile_m: String(t.sizeMeters)
+        email: consent ? email : "",
+        email_consent: consent ? "yes" : "no",
+        ...gift
       });
 
       if (!data.url) throw new Error("No checkout URL returned");
-      setStatus("Redirecting…", "good");
-      location.href = data.url;
+      // Show the amount Stripe will charge before handing over
+      if (data.price) showPrice(data.price);
+      setStatus(data.price ? `Redirecting to pay ${data.price.formatted}…` : "Redirecting…", "good");
+      setTimeout(() => { location.href = data.url; }, data.price ? 900 : 0);
     } catch (e) {
+      if (e.code === "tile_taken") {
+        setStatus("Someone just took this tile. Go back and reroll for a new one.", "bad");
+        payBtn.textContent = "Tile taken";
+        return;
+      }
+      // The server re-checks the spot against its seed, country and mode before selling it
+      if (["seed_mismatch", "outside_country", "land_check_failed"].includes(e.code)) {
+        setStatus(`${e.message}. Go back and reroll for a new one.`, "bad");
+        payBtn.textContent = "Spot rejected";
+        return;
+      }
       setStatus(`Error: ${e.message}`, "bad");
       payBtn.disabled = false;
       payBtn.textContent = "Pay with Stripe";
@@ -632,9 +810,19 @@ async function pageSuccess(){
   const session_id = url.searchParams.get("session_id") || "";
 
   const dlBtn = $("#downloadBtn");
+  const pdfBtn = $("#pdfBtn");
+  const png300Btn = $("#png300Btn");
+  const paperSel = $("#paperSel");
+  const orientSel = $("#orientSel");
   const canvas = $("#certPreview");
 
   dlBtn.disabled = true;
+  for (const [key, p] of Object.entries(CERT_PAPER_SIZES)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = p.label;
+    paperSel.appendChild(opt);
+  }
 
   if (!session_id) {
     setStatus("Missing session_id. This page only works after Stripe redirects here.", "bad");
@@ -645,6 +833,10 @@ async function pageSuccess(){
 
   try {
     const data = await getJSON(`/api/stripe?action=verify&session_id=${encodeURIComponent(session_id)}`);
+    if (!data.paid && data.pending) {
+      setStatus("Order placed — waiting for your payment. Your certificate is emailed once it clears.");
+      return;
+    }
     if (!data.paid) {
       setStatus("Payment not confirmed yet. Refresh in a few seconds.", "bad");
       return;
@@ -660,33 +852,356 @@ async function pageSuccess(){
     $("#metaCountry").textContent = meta.country || "?";
     $("#metaMode").textContent = modeLabel(meta.mode);
     $("#metaCoords").textContent = `${meta.lat || "?"}, ${meta.lon || "?"}`;
-    $("#metaSeed").textContent = meta.seed || "?";
-    $("#metaTile").textContent = `${tileM} m × ${tileM} m (${(tileM*tileM).toFixed(2)} m²)`;
-
-    const tile = makeTileFromCenter(lat, lon, tileM);
+    $("#metaSeed").textContent = meta.source === "chosen" ? "— (chosen on the map)" : meta.seed || "?";
+    const plot = plotFromMetadata(meta);
+    $("#metaTile").textContent = plot ? `${plotLabel(plot)} (${plot.areaM2.toFixed(2)} m²)` : `${tileM} m × ${tileM} m`;
+
+    const certificate = data.certificate || null;
+    const certEl = $("#metaCert");
+    if (certEl) {
+      if (certificate) {
+        certEl.innerHTML = "";
+        const a = document.createElement("a");
+        a.href = `verify.html?cert=${encodeURIComponent(certificate.id)}`;
+        a.textContent = certificate.id;
+        a.style.textDecoration = "underline";
+        certEl.appendChild(a);
+      } else {
+        certEl.textContent = "—";
+      }
+    }
 
     if ($("#mapSuccess") && window.L && Number.isFinite(lat) && Number.isFinite(lon)) {
       const m = makeMap("mapSuccess", lat, lon);
-      updateMap(m, lat, lon, tile.bounds);
+      updateMap(m, lat, lon, plot);
     }
 
-    const cert = drawCertificatePNG(meta);
-    const ctx = canvas.getContext("2d");
-    canvas.width = cert.width;
-    canvas.height = cert.height;
-    ctx.drawImage(cert, 0, 0);
+    // Map imagery per orientation (the inset differs in size), fetched once
+    const maps = {};
+    const mapFor = (orientation) => {
+      if (!maps[orientation]) {
+        maps[orientation] = loadMapInset(meta, { template: certificateTemplate(meta.theme, orientation) });
+      }
+      return maps[orientation];
+    };
+    const printChoice = () => ({ paper: paperSel.value, orientation: orientSel.value });
+
+    async function preview(){
+      const { orientation } = printChoice();
+      const cert = drawCertificatePNG(meta, certificate, await mapFor(orientation), { orientation });
+      canvas.width = cert.width;
+      canvas.height = cert.height;
+      canvas.getContext("2d").drawImage(cert, 0, 0);
+    }
+
+    await preview();
+    orientSel.addEventListener("change", preview);
 
     dlBtn.disabled = false;
     dlBtn.addEventListener("click", () => {
-      const fn = `certificate-${(meta.country||"XX").replace(/\s+/g,"_")}-${(meta.seed||"seed").slice(0,10)}.png`;
-      downloadCanvasPNG(canvas, fn);
+      downloadCanvasPNG(canvas, certificateFilename(meta, "png"));
+    });
+
+    pdfBtn.disabled = false;
+    pdfBtn.addEventListener("click", async () => {
+      const { paper, orientation } = printChoice();
+      pdfBtn.disabled = true;
+      setStatus("Rendering PDF…");
+      try {
+        const params = { action: "pdf", session_id, paper, orientation };
+        if ($("#printMarks").checked) params.print = "1";
+        await downloadPDF(params, certificateFilename(meta, "pdf"));
+        setStatus("PDF downloaded ✅", "good");
+      } catch (e) {
+        setStatus(`Couldn’t download: ${e.message}`, "bad");
+      }
+      pdfBtn.disabled = false;
     });
 
+    png300Btn.disabled = false;
+    png300Btn.addEventListener("click", async () => {
+      const { paper, orientation } = printChoice();
+      png300Btn.disabled = true;
+      setStatus("Rendering 300 DPI PNG…");
+      try {
+        const scale = certificatePrintScale(certificateTemplate(meta.theme, orientation), paper, 300);
+        const hi = drawCertificatePNG(meta, certificate, await mapFor(orientation), { orientation, scale });
+        await downloadCanvasBlob(hi, certificateFilename(meta, "png").replace(/\.png$/, `-${paper}-300dpi.png`));
+        setStatus("PNG downloaded ✅", "good");
+      } catch (e) {
+        setStatus(`Couldn’t export: ${e.message}`, "bad");
+      }
+      png300Btn.disabled = false;
+    });
+
+    await deliverByEmail(session_id);
+
   } catch (e) {
     setStatus(`Error: ${e.message}`, "bad");
   }
 }
 
+async function deliverByEmail(session_id){
+  const el = $("#metaEmail");
+  if (!el) return;
+  el.textContent = "Sending…";
+
+  try {
+    const out = await postJSON("/api/stripe?action=deliver", { session_id });
+    if (out.status === "sent") el.textContent = `Sent to ${out.to} ✅`;
+    else if (out.status === "scheduled") el.textContent = `Gift scheduled for ${out.send_on} to ${out.to} 🎁`;
+    else if (out.status === "already_sent") el.textContent = `Already sent to ${out.to} ✅`;
+    else if (out.status === "not_opted_in") el.textContent = "Not requested (PNG download only)";
+    else el.textContent = out.message || "Not sent";
+  } catch (e) {
+    el.textContent = `Couldn’t send: ${e.message}`;
+  }
+}
+
+async function pageVerify(){
+  const brandText = $("#brandText");
+  if (brandText) brandText.textContent = BRAND;
+
+  const form = $("#verifyForm");
+  const certEl = $("#certId");
+  const result = $("#verifyResult");
+
+  function show(c){
+    $("#vId").textContent = c?.id || "—";
+    $("#vIssued").textContent = c?.issued || "—";
+    $("#vCountry").textContent = c ? `${c.country} • ${modeLabel(c.mode)}` : "—";
+    $("#vCoords").textContent = c ? `${c.lat}, ${c.lon}` : "—";
+    $("#vTile").textContent = c ? `${c.plot_label || `Tile ${c.tile_m} m × ${c.tile_m} m`} (${c.area_m2} m²)` : "—";
+    $("#vSeed").textContent = c?.source === "chosen" ? "— (chosen on the map)" : c?.seed || "—";
+    result.style.display = c ? "block" : "none";
+  }
+
+  async function lookup(id){
+    id = String(id || "").trim();
+    if (!id) return;
+
+    show(null);
+    setStatus("Checking…");
+
+    try {
+      const data = await getJSON(`/api/stripe?action=lookup&cert=${encodeURIComponent(id)}`);
+      if (!data.valid) {
+        setStatus(data.message || "Not a valid certificate.", "bad");
+        return;
+      }
+      show(data.certificate);
+      setStatus("Genuine certificate ✅ Paid and issued by Random Spot Certificate.", "good");
+      history.replaceState(null, "", `?cert=${encodeURIComponent(data.certificate.id)}`);
+    } catch (e) {
+      setStatus(`Not verified: ${e.message}`, "bad");
+    }
+  }
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    lookup(certEl.value);
+  });
+
+  const fromUrl = new URL(location.href).searchParams.get("cert");
+  if (fromUrl) {
+    certEl.value = fromUrl;
+    await lookup(fromUrl);
+  }
+}
+
+const LOGIN_KEY = "rsc_login_v1";
+
+async function pageOrders(){
+  const brandText = $("#brandText");
+  if (brandText) brandText.textContent = BRAND;
+
+  const loginWrap = $("#loginWrap");
+  const ordersWrap = $("#ordersWrap");
+  const list = $("#ordersList");
+  const canvas = $("#certPreview");
+
+  // The magic link lands as #token=…; keep it for this tab only and out of the address bar
+  const fromLink = new URLSearchParams(location.hash.slice(1)).get("token");
+  if (fromLink) {
+    sessionStorage.setItem(LOGIN_KEY, fromLink);
+    history.replaceState(null, "", location.pathname);
+  }
+  const token = sessionStorage.getItem(LOGIN_KEY) || "";
+
+  function signedOut(message = "", kind = ""){
+    sessionStorage.removeItem(LOGIN_KEY);
+    loginWrap.style.display = "";
+    ordersWrap.style.display = "none";
+    setStatus(message, kind);
+  }
+
+  $("#loginForm").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const btn = $("#loginBtn");
+    const email = ($("#loginEmail").value || "").trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      setStatus("That email doesn’t look valid.", "bad");
+      return;
+    }
+
+    btn.disabled = true;
+    setStatus("Sending…");
+    try {
+      const out = await postJSON("/api/stripe?action=login", { email });
+      setStatus(out.message || "Check your inbox.", "good");
+    } catch (err) {
+      setStatus(`Error: ${err.message}`, "bad");
+    }
+    btn.disabled = false;
+  });
+
+  $("#logoutBtn").addEventListener("click", () => signedOut("Signed out."));
+
+  if (!token) return;
+
+  // The listing only carries certificates already issued; opening an order issues its own
+  async function ensureCertificate(order){
+    if (order.certificate) return;
+    const q = new URLSearchParams({ action: "order", token, session_id: order.session_id });
+    order.certificate = (await getJSON(`/api/stripe?${q}`)).certificate;
+    order.showCertificate?.();
+  }
+
+  // Map imagery per order, fetched once
+  const maps = new Map();
+  async function preview(order){
+    try {
+      await ensureCertificate(order);
+    } catch (err) {
+      if (err.code === "login") return signedOut("Sign-in expired. Request a new link.", "bad");
+      setStatus(`Couldn’t open the order: ${err.message}`, "bad");
+      return false;
+    }
+    if (!maps.has(order.session_id)) maps.set(order.session_id, loadMapInset(order.metadata));
+    const cert = drawCertificatePNG(order.metadata, order.certificate, await maps.get(order.session_id));
+    canvas.width = cert.width;
+    canvas.height = cert.height;
+    canvas.getContext("2d").drawImage(cert, 0, 0);
+    return true;
+  }
+
+  async function orderPDF(order, btn){
+    btn.disabled = true;
+    setStatus("Rendering PDF…");
+    try {
+      const params = { action: "order_pdf", token, session_id: order.session_id };
+      await downloadPDF(params, certificateFilename(order.metadata, "pdf"));
+      setStatus("PDF downloaded ✅", "good");
+    } catch (err) {
+      if (err.code === "login") return signedOut("Sign-in expired. Request a new link.", "bad");
+      setStatus(`Couldn’t download: ${err.message}`, "bad");
+    }
+    btn.disabled = false;
+  }
+
+  async function resend(order, btn){
+    btn.disabled = true;
+    setStatus("Sending…");
+    try {
+      const out = await postJSON("/api/stripe?action=resend", { token, session_id: order.session_id });
+      setStatus(`Sent to ${out.to} ✅`, "good");
+    } catch (err) {
+      if (err.code === "login") return signedOut("Sign-in expired. Request a new link.", "bad");
+      setStatus(`Couldn’t send: ${err.message}`, "bad");
+    }
+    btn.disabled = false;
+  }
+
+  function renderOrder(order){
+    const meta = order.metadata || {};
+    const plot = plotFromMetadata(meta);
+    const el = document.createElement("div");
+    el.className = "mini";
+    el.innerHTML = `
+      <div class="kv">
+        <div class="k">Ordered</div><div class="v"></div>
+        <div class="k">Country</div><div class="v"></div>
+        <div class="k">Center</div><div class="v"></div>
+        <div class="k">Plot</div><div class="v"></div>
+        <div class="k">Certificate</div><div class="v"></div>
+      </div>
+      <div class="row">
+        <button class="btn" data-act="view">View</button>
+        <button class="btn good" data-act="png">PNG</button>
+        <button class="btn good" data-act="pdf">PDF</button>
+        <button class="btn" data-act="email">Email me the PDF</button>
+      </div>
+    `;
+
+    // Metadata is buyer-typed in places (gift names): fill as text, not HTML
+    const values = el.querySelectorAll(".v");
+    values[0].textContent = new Date(order.created * 1000).toISOString().slice(0, 10);
+    values[1].textContent = `${meta.country || "?"} • ${modeLabel(meta.mode)}`;
+    values[2].textContent = `${meta.lat || "?"}, ${meta.lon || "?"}`;
+    values[3].textContent = plot ? `${plotLabel(plot)} (${plot.areaM2.toFixed(2)} m²)` : "—";
+    order.showCertificate = () => { values[4].textContent = order.certificate?.id || "issued when opened"; };
+    order.showCertificate();
+    if (meta.gift === "yes") values[1].textContent += ` • gift for ${meta.gift_name}`;
+
+    el.querySelector('[data-act="view"]').addEventListener("click", () => preview(order));
+    el.querySelector('[data-act="png"]').addEventListener("click", async () => {
+      if (await preview(order)) downloadCanvasPNG(canvas, certificateFilename(meta, "png"));
+    });
+    el.querySelector('[data-act="pdf"]').addEventListener("click", (e) => orderPDF(order, e.currentTarget));
+    el.querySelector('[data-act="email"]').addEventListener("click", (e) => resend(order, e.currentTarget));
+    return el;
+  }
+
+  loginWrap.style.display = "none";
+  ordersWrap.style.display = "";
+  setStatus("Loading orders…");
+
+  try {
+    const data = await getJSON(`/api/stripe?action=orders&token=${encodeURIComponent(token)}`);
+    $("#ordersEmail").textContent = data.email;
+    list.innerHTML = "";
+    data.orders.forEach((order) => list.appendChild(renderOrder(order)));
+
+    if (!data.orders.length) {
+      setStatus("No paid orders for this email.", "bad");
+      return;
+    }
+    preview(data.orders[0]);
+    setStatus(`${data.orders.length} order${data.orders.length === 1 ? "" : "s"} ✅`, "good");
+  } catch (err) {
+    if (err.code === "login") signedOut("Sign-in link invalid or expired. Request a new one.", "bad");
+    else setStatus(`Error: ${err.message}`, "bad");
+  }
+}
+
+// Confirm / unsubscribe links from list emails land as #confirm=… or #unsubscribe=…; the
+// page posts the token back so link scanners that only fetch can't act on it
+async function pageSubscribe(){
+  const brandText = $("#brandText");
+  if (brandText) brandText.textContent = BRAND;
+
+  const params = new URLSearchParams(location.hash.slice(1));
+  const confirmToken = params.get("confirm");
+  const unsubscribeToken = params.get("unsubscribe");
+  history.replaceState(null, "", location.pathname);
+
+  try {
+    if (confirmToken) {
+      setStatus("Confirming…");
+      const out = await postJSON("/api/stripe?action=list_confirm", { token: confirmToken });
+      $("#listTitle").textContent = "You’re in";
+      setStatus(`Subscribed ✅ ${out.email} will get the next drop.`, "good");
+    } else if (unsubscribeToken) {
+      setStatus("Unsubscribing…");
+      const out = await postJSON(`/api/stripe?action=unsubscribe&token=${encodeURIComponent(unsubscribeToken)}`, {});
+      $("#listTitle").textContent = "Unsubscribed";
+      setStatus(`${out.email} won’t get any more list emails.`, "good");
+    }
+  } catch (err) {
+    setStatus(err.message, "bad");
+  }
+}
+
 // --- Boot ------------------------------------------------------------------
 function mountSubscribeFooter() {
   // Don't double-inject
@@ -704,7 +1219,7 @@ function mountSubscribeFooter() {
 
         <form class="subForm" id="subscribeForm">
           <input id="subscribeEmail" type="email" placeholder="email@example.com" autocomplete="email" required />
-          <input id="subscribeTrap" type="text" tabindex="-1" autocomplete="off" aria-hidden="true" />
+          <input id="subscribeTrap" name="website" type="text" tabindex="-1" autocomplete="off" aria-hidden="true" />
           <button class="btn good" type="submit" id="subscribeBtn">Subscribe</button>
         </form>
       </div>
@@ -772,6 +1287,37 @@ function mountSubscribeFooter() {
     msg.dataset.kind = kind;
   }
 
+  // The server wants a signed form token; fetched now so it has aged by the time they submit.
+  // It refuses tokens younger than FORM_MIN_AGE_MS (netlify/lib/form-token.js, 2 s), so a
+  // failed fetch is retried in the background and a fresh token is aged before it's posted.
+  const FORM_TOKEN_MIN_AGE_MS = 2500;
+  let formToken = "";
+  let formTokenAt = 0;
+  let formTokenRetry = 0;
+  let formTokenLoading = null;
+  const loadFormToken = () => {
+    clearTimeout(formTokenRetry);
+    if (formTokenLoading) return formTokenLoading;
+    formTokenLoading = getJSON("/api/stripe?action=form_token&form=subscribe")
+      .then((out) => {
+        formToken = out.token || "";
+        formTokenAt = Date.now();
+      })
+      .catch(() => {
+        formToken = "";
+        formTokenRetry = setTimeout(loadFormToken, 5000);
+      })
+      .finally(() => { formTokenLoading = null; });
+    return formTokenLoading;
+  };
+  const agedFormToken = async () => {
+    if (!formToken) await loadFormToken();
+    const wait = formTokenAt + FORM_TOKEN_MIN_AGE_MS - Date.now();
+    if (formToken && wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    return formToken;
+  };
+  loadFormToken();
+
   form.addEventListener("submit", async (e) => {
     e.preventDefault();
 
@@ -787,24 +1333,28 @@ function mountSubscribeFooter() {
       return;
     }
 
-    // Honeypot: bots fill this
-    if ((trapEl.value || "").trim()) {
-      showMsg("Nope.", "bad");
-      return;
-    }
-
     btn.disabled = true;
     btn.textContent = "Subscribing…";
     showMsg("");
 
     try {
-      const out = await postJSON("/api/stripe?action=subscribe", { email });
+      const token = await agedFormToken();
+      // The honeypot goes along as-is: the server decides what a filled one means
+      const out = await postJSON("/api/stripe?action=subscribe", {
+        email,
+        website: (trapEl.value || "").trim(),
+        form_token: token
+      });
       localStorage.setItem("sub_last_ts", String(Date.now()));
-      showMsg(out.message || "Subscribed ✅ Check your inbox.", "good");
+      // Tokens are single use: have the next one aged by the time it's needed
+      formToken = "";
+      loadFormToken();
+      showMsg(out.message || "Almost there ✅ Check your inbox to confirm.", "good");
       btn.textContent = "Subscribe";
       btn.disabled = false;
       emailEl.value = "";
     } catch (err) {
+      if (err.code === "form_token") loadFormToken();
       showMsg(`Subscribe error: ${err.message}`, "bad");
       btn.textContent = "Subscribe";
       btn.disabled = false;
@@ -820,4 +1370,7 @@ function mountSubscribeFooter() {
   if (page === "index") pageIndex();
   else if (page === "checkout") pageCheckout();
   else if (page === "success") pageSuccess();
+  else if (page === "verify") pageVerify();
+  else if (page === "orders") pageOrders();
+  else if (page === "subscribe") pageSubscribe();
 })();
@@ -0,0 +1,660 @@
+// Random Spot Certificate — certificate template
+// One declarative layout for every rendering of a certificate: the PNG drawn on a canvas in
+// the browser (loaded as a plain <script> after spot.js) and the PDF drawn with pdf-lib in
+// the Netlify function (require()d, see netlify/lib/certificate-pdf.js).
+//
+// The layout lives in template units (CERT_TEMPLATE.width × height, y down, text y is the
+// baseline). A backend only knows how to draw primitives; renderCertificate walks the
+// blocks and hands it rects, lines and text. To put a new field on the certificate, add it
+// to certificateFields and give it a block.
+//
+// The map inset shows the plot on real map tiles. Tiles are fetched up front with
+// loadMapInset (rendering itself stays synchronous) and the block falls back to a vector
+// drawing of the plot when they can't be had.
+//
+// Themes (CERT_THEMES) restyle the same layout: palette, font families and a few extra
+// decoration blocks. The buyer's pick travels in the session metadata as `theme`.
+//
+// There are two layouts, landscape (CERT_TEMPLATE) and portrait (CERT_TEMPLATE_PORTRAIT),
+// both at the ISO 216 aspect ratio so A4 and A3 pages are the template scaled. Other papers
+// (CERT_PAPER_SIZES) get the template fitted and centred on the background color.
+
+const CERT_SPOT =
+  typeof module !== "undefined" && module.exports
+    ? require("./spot.js")
+    : { modeLabel, plotLabel, plotDiagram, plotFromMetadata };
+
+// qrcode-generator: a global from its <script> in the browser, a dependency on the server
+function certQRFactory(){
+  if (typeof module !== "undefined" && module.exports) return require("qrcode-generator");
+  return typeof qrcode !== "undefined" ? qrcode : null;
+}
+
+// --- Template ---------------------------------------------------------------
+
+// Same aspect ratio as A4 landscape, so the PDF page is the PNG scaled down
+const CERT_WIDTH = 1400;
+const CERT_HEIGHT = 990;
+
+const CERT_LEGAL_HEADING = "Novelty certificate only. No ownership or access rights.";
+const CERT_LEGAL_BODY =
+  "This certificate references a geographic area tile. No ownership, property rights, " +
+  "access rights, or permissions are granted. The location may be private, restricted, " +
+  "closed, unsafe, or inaccessible. If you visit, follow local rules and obtain permission " +
+  "where required. See the website Terms page for full details.";
+
+// Colors are [r, g, b, alpha], r/g/b 0–255
+const CERT_TEMPLATE = {
+  width: CERT_WIDTH,
+  height: CERT_HEIGHT,
+  palette: {
+    background: [15, 17, 22, 1],
+    frame: [255, 255, 255, 0.1],
+    ink: [255, 255, 255, 0.92],
+    inkSoft: [255, 255, 255, 0.78],
+    inkMuted: [255, 255, 255, 0.62],
+    inkFaint: [255, 255, 255, 0.52],
+    accent: [124, 92, 255, 1],
+    accentFill: [124, 92, 255, 0.14],
+    accentGrid: [124, 92, 255, 0.45],
+    gift: [220, 214, 255, 0.85],
+    qrDark: [0, 0, 0, 1],
+    qrLight: [255, 255, 255, 1],
+  },
+  // Font names every backend maps: sans / serif / mono, each regular, bold or italic
+  blocks: [
+    { type: "background", color: "background" },
+    { type: "frame", x: 44, y: 44, w: CERT_WIDTH - 88, h: CERT_HEIGHT - 88, radius: 26, color: "frame", lineWidth: 4 },
+
+    { type: "text", field: "brand", x: 96, y: 140, font: "sans-bold", size: 54, color: "ink" },
+    { type: "text", field: "countryMode", x: 96, y: 184, font: "sans-bold", size: 22, color: "inkSoft" },
+    { type: "text", field: "coords", x: 96, y: 292, font: "mono-bold", size: 60, color: "ink" },
+    { type: "text", field: "origin", x: 96, y: 340, font: "mono", size: 22, color: "inkSoft" },
+    { type: "text", field: "plotLine", x: 96, y: 402, font: "sans-bold", size: 28, color: "ink" },
+    { type: "map", x: CERT_WIDTH - 96 - 260, y: 96, size: 260, frame: "frame", grid: "accentGrid", fill: "accentFill", stroke: "accent", scale: "ink", scaleBg: "background", attribution: "inkFaint" },
+
+    { type: "text", field: "legalHeading", x: 96, y: 470, font: "sans-bold", size: 22, color: "inkSoft" },
+    { type: "text", field: "legalBody", x: 96, y: 508, font: "sans", size: 19, color: "inkMuted", maxWidth: 1000, lineHeight: 26, maxLines: 4 },
+
+    { type: "text", field: "giftFor", x: 96, y: 660, font: "sans-bold", size: 28, color: "ink" },
+    { type: "text", field: "giftMessage", x: 96, y: 698, font: "sans-italic", size: 21, color: "gift", maxWidth: 1000, lineHeight: 28, maxLines: 3 },
+
+    { type: "qr", field: "url", x: CERT_WIDTH - 96 - 170, y: CERT_HEIGHT - 96 - 170 - 24, size: 170, dark: "qrDark", light: "qrLight" },
+    { type: "text", field: "scanHint", x: CERT_WIDTH - 96 - 170, y: CERT_HEIGHT - 100, font: "sans", size: 16, color: "inkFaint" },
+    { type: "text", field: "certId", x: 96, y: CERT_HEIGHT - 142, font: "mono-bold", size: 20, color: "ink" },
+    { type: "text", field: "issued", x: 96, y: CERT_HEIGHT - 110, font: "mono", size: 16, color: "inkFaint" },
+  ],
+};
+
+// The same blocks stacked for an upright page: the map moves under the plot line and the
+// long lines wrap to the narrower width
+const CERT_TEMPLATE_PORTRAIT = {
+  width: CERT_HEIGHT,
+  height: CERT_WIDTH,
+  palette: CERT_TEMPLATE.palette,
+  blocks: [
+    { type: "background", color: "background" },
+    { type: "frame", x: 44, y: 44, w: CERT_HEIGHT - 88, h: CERT_WIDTH - 88, radius: 26, color: "frame", lineWidth: 4 },
+
+    { type: "text", field: "brand", x: 96, y: 150, font: "sans-bold", size: 46, color: "ink" },
+    { type: "text", field: "countryMode", x: 96, y: 194, font: "sans-bold", size: 22, color: "inkSoft" },
+    { type: "text", field: "coords", x: 96, y: 300, font: "mono-bold", size: 52, color: "ink" },
+    { type: "text", field: "origin", x: 96, y: 344, font: "mono", size: 22, color: "inkSoft" },
+    { type: "text", field: "plotLine", x: 96, y: 400, font: "sans-bold", size: 28, color: "ink", maxWidth: CERT_HEIGHT - 192, lineHeight: 36, maxLines: 2 },
+    { type: "map", x: 96, y: 470, size: 420, frame: "frame", grid: "accentGrid", fill: "accentFill", stroke: "accent", scale: "ink", scaleBg: "background", attribution: "inkFaint" },
+
+    { type: "text", field: "legalHeading", x: 96, y: 950, font: "sans-bold", size: 22, color: "inkSoft" },
+    { type: "text", field: "legalBody", x: 96, y: 988, font: "sans", size: 19, color: "inkMuted", maxWidth: CERT_HEIGHT - 192, lineHeight: 26, maxLines: 5 },
+
+    { type: "text", field: "giftFor", x: 96, y: 1140, font: "sans-bold", size: 28, color: "ink" },
+    { type: "text", field: "giftMessage", x: 96, y: 1176, font: "sans-italic", size: 21, color: "gift", maxWidth: 560, lineHeight: 28, maxLines: 2 },
+
+    { type: "qr", field: "url", x: CERT_HEIGHT - 96 - 170, y: CERT_WIDTH - 96 - 170 - 24, size: 170, dark: "qrDark", light: "qrLight" },
+    { type: "text", field: "scanHint", x: CERT_HEIGHT - 96 - 170, y: CERT_WIDTH - 100, font: "sans", size: 16, color: "inkFaint" },
+    { type: "text", field: "certId", x: 96, y: CERT_WIDTH - 142, font: "mono-bold", size: 20, color: "ink" },
+    { type: "text", field: "issued", x: 96, y: CERT_WIDTH - 110, font: "mono", size: 16, color: "inkFaint" },
+  ],
+};
+
+const CERT_LAYOUTS = { landscape: CERT_TEMPLATE, portrait: CERT_TEMPLATE_PORTRAIT };
+
+// Trim sizes in millimetres, portrait way up
+const CERT_PAPER_SIZES = {
+  a4: { label: "A4", width: 210, height: 297 },
+  letter: { label: "US Letter", width: 215.9, height: 279.4 },
+  a3: { label: "A3", width: 297, height: 420 },
+};
+
+// A paper turned to an orientation -> { key, label, width, height } in mm (unknown names
+// get A4 landscape)
+function certificatePaper(paper, orientation = "landscape"){
+  const key = CERT_PAPER_SIZES[paper] ? paper : "a4";
+  const { label, width, height } = CERT_PAPER_SIZES[key];
+  return orientation === "portrait"
+    ? { key, label, width, height }
+    : { key, label, width: height, height: width };
+}
+
+// Largest uniform scale that fits the template in a width × height box, and the offsets
+// that centre it (same units as the box)
+function certificateFit(template, width, height){
+  const scale = Math.min(width / template.width, height / template.height);
+  return {
+    scale,
+    x: (width - template.width * scale) / 2,
+    y: (height - template.height * scale) / 2,
+  };
+}
+
+// --- Themes -----------------------------------------------------------------
+// palette: overrides on CERT_TEMPLATE.palette. fonts: swaps font names in every text block
+// (e.g. sans -> serif). decor: blocks drawn right after the frame, placed by `inset` from the
+// page edge so they fit either orientation. email: colors for the
+// HTML email that carries the PDF. upsell: priced as an add-on at checkout
+// (see netlify/lib/pricing.js).
+
+const CERT_THEME_DEFAULT = "midnight";
+
+const CERT_THEMES = {
+  midnight: {
+    label: "Midnight",
+    hint: "The original dark design.",
+    upsell: false,
+    palette: {},
+    email: { background: "#0f1116", card: "#171a22", ink: "#f2f2f7", muted: "#a9abb6", accent: "#9d85ff", line: "#2a2e3a" },
+  },
+  parchment: {
+    label: "Parchment",
+    hint: "Warm paper, serif type and a double border.",
+    upsell: true,
+    palette: {
+      background: [244, 236, 216, 1],
+      frame: [122, 88, 48, 0.75],
+      ink: [58, 40, 22, 0.95],
+      inkSoft: [88, 64, 38, 0.85],
+      inkMuted: [88, 64, 38, 0.7],
+      inkFaint: [88, 64, 38, 0.6],
+      accent: [150, 104, 38, 1],
+      accentFill: [190, 150, 80, 0.18],
+      accentGrid: [150, 104, 38, 0.35],
+      gift: [120, 70, 30, 0.9],
+      qrLight: [244, 236, 216, 1],
+      qrDark: [58, 40, 22, 1],
+    },
+    fonts: { "sans": "serif", "sans-bold": "serif-bold", "sans-italic": "serif-italic" },
+    decor: [
+      { type: "frame", inset: 60, radius: 14, color: "frame", lineWidth: 1.5 },
+    ],
+    email: { background: "#f4ecd8", card: "#fbf6ea", ink: "#3a2816", muted: "#6b5236", accent: "#966826", line: "#d9c7a0", font: "Georgia,'Times New Roman',serif" },
+  },
+  minimal: {
+    label: "Minimal",
+    hint: "White, black and nothing else. Cheapest to print.",
+    upsell: false,
+    palette: {
+      background: [255, 255, 255, 1],
+      frame: [0, 0, 0, 0.35],
+      ink: [0, 0, 0, 1],
+      inkSoft: [0, 0, 0, 0.8],
+      inkMuted: [0, 0, 0, 0.65],
+      inkFaint: [0, 0, 0, 0.55],
+      accent: [0, 0, 0, 1],
+      accentFill: [0, 0, 0, 0],
+      accentGrid: [0, 0, 0, 0.25],
+      gift: [0, 0, 0, 0.8],
+    },
+    email: { background: "#ffffff", card: "#ffffff", ink: "#111111", muted: "#555555", accent: "#111111", line: "#dddddd" },
+  },
+  retro: {
+    label: "Retro map",
+    hint: "Old survey-map paper with a graticule and typewriter type.",
+    upsell: true,
+    palette: {
+      background: [226, 232, 214, 1],
+      frame: [44, 84, 96, 0.8],
+      ink: [28, 58, 68, 1],
+      inkSoft: [44, 84, 96, 0.9],
+      inkMuted: [44, 84, 96, 0.75],
+      inkFaint: [44, 84, 96, 0.65],
+      accent: [196, 64, 44, 1],
+      accentFill: [196, 64, 44, 0.15],
+      accentGrid: [196, 64, 44, 0.4],
+      gift: [150, 52, 36, 0.95],
+      graticule: [44, 84, 96, 0.12],
+      qrLight: [226, 232, 214, 1],
+      qrDark: [28, 58, 68, 1],
+    },
+    fonts: { "sans": "mono", "sans-bold": "mono-bold", "sans-italic": "mono-italic" },
+    decor: [
+      { type: "graticule", inset: 44, step: 90, color: "graticule" },
+    ],
+    email: { background: "#e2e8d6", card: "#eef2e6", ink: "#1c3a44", muted: "#2c5460", accent: "#c4402c", line: "#b9c6ac", font: "ui-monospace,Menlo,Consolas,monospace" },
+  },
+};
+
+function certificateTheme(name){
+  return CERT_THEMES[name] || CERT_THEMES[CERT_THEME_DEFAULT];
+}
+
+// A layout restyled for a theme (unknown/missing names get the default theme and the
+// landscape layout)
+function certificateTemplate(themeName, orientation = "landscape"){
+  const layout = CERT_LAYOUTS[orientation] || CERT_TEMPLATE;
+  const theme = certificateTheme(themeName);
+  const fonts = theme.fonts || {};
+  const decor = (theme.decor || []).map(({ inset, ...b }) => ({
+    ...b,
+    x: inset,
+    y: inset,
+    w: layout.width - inset * 2,
+    h: layout.height - inset * 2,
+  }));
+  const blocks = [];
+  for (const b of layout.blocks) {
+    blocks.push(b.type === "text" && fonts[b.font] ? { ...b, font: fonts[b.font] } : b);
+    if (b.type === "frame") blocks.push(...decor);
+  }
+  return { ...layout, palette: { ...layout.palette, ...theme.palette }, blocks };
+}
+
+// Everything printed on a certificate, from the Checkout Session metadata (+ the issued
+// certificate when there is one). Empty strings are simply not drawn.
+function certificateFields(meta, cert = null){
+  const plot = CERT_SPOT.plotFromMetadata(meta);
+  const gift = meta.gift === "yes" && meta.gift_name;
+  return {
+    brand: "RANDOM SPOT CERTIFICATE",
+    countryMode: `${meta.country || "?"} • ${meta.mode ? CERT_SPOT.modeLabel(meta.mode) : "?"}`,
+    coords: `${meta.lat || "?"}, ${meta.lon || "?"}`,
+    origin: meta.source === "chosen" ? "Chosen on the map" : `Seed: ${meta.seed || "—"}`,
+    plotLine: plot ? `${CERT_SPOT.plotLabel(plot)} (${plot.areaM2.toFixed(2)} m²)` : "Tile: ?",
+    plot,
+    legalHeading: CERT_LEGAL_HEADING,
+    legalBody: CERT_LEGAL_BODY,
+    giftFor: gift ? `For ${meta.gift_name}` : "",
+    giftMessage: gift ? meta.gift_message || "" : "",
+    url: cert?.url || "",
+    scanHint: cert ? "Scan to verify" : "",
+    certId: cert ? `Certificate ID: ${cert.id}` : "",
+    issued: `Issued: ${cert?.issued || new Date().toISOString().slice(0, 10)}`,
+  };
+}
+
+// --- Map inset ----------------------------------------------------------------
+// Slippy-map tiles (Web Mercator, 256 px) from a configurable tile server; one template
+// unit is one map pixel at the chosen zoom. Config, last wins:
+//   defaults below (OpenStreetMap's tile server; mind its usage policy)
+//   browser: window.RSC_MAP_TILES, then localStorage "rsc_map_tiles" ({ url, maxZoom, … })
+//   node   : MAP_TILE_URL / MAP_TILE_MAX_ZOOM / MAP_TILE_ATTRIBUTION
+// url "" or "none" disables imagery (vector drawing only). On the server there is no default
+// url: functions (webhook, deliver, pdf…) draw the vector inset unless MAP_TILE_URL names a
+// tile server, since OSM's usage policy forbids bulk fetching from servers and every fetch
+// eats into a 10 s function budget. The OSM default is for the browser preview only.
+// scripts/tile-stub-server.js serves stand-in tiles locally.
+
+const MAP_TILE_DEFAULTS = {
+  url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+  maxZoom: 19,
+  attribution: "© OpenStreetMap contributors",
+  timeoutMs: 6000
+};
+
+const MAP_TILE_SIZE = 256;
+const WEB_MERCATOR_R = 6378137;
+
+function mapTileConfig(){
+  let over = {};
+  if (typeof window === "undefined") {
+    const env = process.env;
+    over = {
+      url: env.MAP_TILE_URL || "",
+      ...(env.MAP_TILE_MAX_ZOOM ? { maxZoom: Number(env.MAP_TILE_MAX_ZOOM) } : {}),
+      ...(env.MAP_TILE_ATTRIBUTION !== undefined ? { attribution: env.MAP_TILE_ATTRIBUTION } : {})
+    };
+  } else {
+    let stored = {};
+    try { stored = JSON.parse(localStorage.getItem("rsc_map_tiles") || "{}") || {}; }
+    catch { stored = {}; }
+    over = { ...(window.RSC_MAP_TILES || {}), ...stored };
+  }
+  const cfg = { ...MAP_TILE_DEFAULTS, ...over };
+  if (cfg.url === "none") cfg.url = "";
+  return cfg;
+}
+
+function mercatorPx(lat, lon, zoom){
+  const world = MAP_TILE_SIZE * 2 ** zoom;
+  const phi = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+  return [
+    (lon + 180) / 360 * world,
+    (1 - Math.log(Math.tan(phi) + 1 / Math.cos(phi)) / Math.PI) / 2 * world
+  ];
+}
+
+// Ground metres per map pixel at a latitude and zoom
+function mercatorMetersPerPx(lat, zoom){
+  return 2 * Math.PI * WEB_MERCATOR_R * Math.cos(lat * Math.PI / 180) / (MAP_TILE_SIZE * 2 ** zoom);
+}
+
+// Zoom + tile grid for a size × size inset centred on the plot: the plot spans about a
+// quarter of the inset, as far as maxZoom allows. project() maps lat/lon to inset units.
+function mapInsetView(plot, size, maxZoom = MAP_TILE_DEFAULTS.maxZoom){
+  const { lat, lon } = plot.center;
+  const extentM = Math.max(plot.sizeMeters * plot.cols, plot.sizeMeters * plot.rows);
+  let zoom = Math.floor(Math.log2(mercatorMetersPerPx(lat, 0) / (extentM * 4 / size)));
+  zoom = Math.max(2, Math.min(maxZoom, zoom));
+
+  const [cx, cy] = mercatorPx(lat, lon, zoom);
+  const left = cx - size / 2, top = cy - size / 2;
+  const n = 2 ** zoom;
+  const tiles = [];
+  for (let ty = Math.floor(top / MAP_TILE_SIZE); ty * MAP_TILE_SIZE < top + size; ty++) {
+    if (ty < 0 || ty >= n) continue;
+    for (let tx = Math.floor(left / MAP_TILE_SIZE); tx * MAP_TILE_SIZE < left + size; tx++) {
+      // x wraps across the antimeridian
+      const x = ((tx % n) + n) % n;
+      tiles.push({ z: zoom, x, y: ty, dx: tx * MAP_TILE_SIZE - left, dy: ty * MAP_TILE_SIZE - top });
+    }
+  }
+
+  const project = (pLat, pLon) => {
+    const dLon = ((pLon - lon + 540) % 360) - 180;
+    const [px, py] = mercatorPx(pLat, lon + dLon, zoom);
+    return [px - left, py - top];
+  };
+  return { zoom, tiles, project, metersPerUnit: mercatorMetersPerPx(lat, zoom) };
+}
+
+// fetch -> an ImageBitmap in the browser (CORS-clean, so the canvas still exports) or the
+// raw bytes on the server (pdf-lib embeds them)
+async function fetchMapTile(url, timeoutMs){
+  const headers = typeof window === "undefined"
+    ? { "User-Agent": "RandomSpotCertificate/1.0 (certificate map inset)" }
+    : {};
+  const r = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+  if (!r.ok) throw new Error(`tile ${r.status}`);
+  if (typeof window === "undefined") return new Uint8Array(await r.arrayBuffer());
+  return createImageBitmap(await r.blob());
+}
+
+// Fetch the imagery for a certificate's map block. Resolves { tiles, attribution } with
+// tiles [] (vector fallback) when imagery is off, the template has no map, or any tile
+// fails: a half-drawn map is worse than none.
+async function loadMapInset(meta, options = {}){
+  const {
+    template = certificateTemplate(meta.theme),
+    config = mapTileConfig(),
+    loadTile = fetchMapTile
+  } = options;
+  const none = { tiles: [], attribution: "" };
+  const block = template.blocks.find((b) => b.type === "map");
+  const plot = CERT_SPOT.plotFromMetadata(meta);
+  if (!block || !plot || !config.url) return none;
+
+  const view = mapInsetView(plot, block.size, config.maxZoom);
+  try {
+    const tiles = await Promise.all(view.tiles.map(async (t) => {
+      const url = config.url.replace("{z}", t.z).replace("{x}", t.x).replace("{y}", t.y);
+      return { ...t, data: await loadTile(url, config.timeoutMs) };
+    }));
+    return { tiles, attribution: config.attribution || "", zoom: view.zoom };
+  } catch {
+    return none;
+  }
+}
+
+// Scale bar length: the largest 1/2/5 × 10^n metres that fits in maxUnits
+function scaleBarFor(metersPerUnit, maxUnits){
+  const maxM = metersPerUnit * maxUnits;
+  let nice = 10 ** Math.floor(Math.log10(maxM));
+  if (5 * nice <= maxM) nice *= 5;
+  else if (2 * nice <= maxM) nice *= 2;
+  const label = nice >= 1000 ? `${nice / 1000} km` : nice >= 1 ? `${nice} m` : `${Math.round(nice * 100)} cm`;
+  return { units: nice / metersPerUnit, label };
+}
+
+// --- Rendering --------------------------------------------------------------
+
+// Greedy word wrap; the last allowed line gets an ellipsis if text is left over
+function wrapCertificateText(text, maxWidth, maxLines, measure){
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = "";
+  for (let i=0;i<words.length;i++){
+    const next = line ? `${line} ${words[i]}` : words[i];
+    if (line && measure(next) > maxWidth) {
+      if (lines.length === maxLines - 1) {
+        lines.push(`${line}…`);
+        return lines;
+      }
+      lines.push(line);
+      line = words[i];
+    } else line = next;
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// QR modules as filled rects, dark runs merged per row (keeps the PDF small)
+function qrRects(text, size){
+  const factory = certQRFactory();
+  if (!factory) return [];
+  const qr = factory(0, "M");
+  qr.addData(text);
+  qr.make();
+
+  const n = qr.getModuleCount();
+  const quiet = 2;
+  const cell = size / (n + quiet * 2);
+  const rects = [];
+  for (let r=0;r<n;r++){
+    let c = 0;
+    while (c < n) {
+      if (!qr.isDark(r, c)) { c++; continue; }
+      const start = c;
+      while (c < n && qr.isDark(r, c)) c++;
+      rects.push({ x: (quiet + start) * cell, y: (quiet + r) * cell, w: (c - start) * cell, h: cell });
+    }
+  }
+  return rects;
+}
+
+// Draw a certificate through a backend:
+//   rect(x, y, w, h, color)
+//   image(data, x, y, w, h)                             (a map tile as loaded by loadMapInset)
+//   clip(x, y, w, h, draw)                              (draw() is clipped to the rect)
+//   roundRect(x, y, w, h, radius, color, lineWidth)     (stroke only)
+//   line(x1, y1, x2, y2, color, lineWidth)
+//   polygon(points, { fill, stroke, lineWidth })
+//   text(str, x, y, font, size, color)
+//   measure(str, font, size) -> width
+// Colors arrive resolved to [r, g, b, alpha]. The template defaults to the one for meta.theme.
+// options.map is loadMapInset()'s result; without it the map block draws vector-only.
+function renderCertificate(backend, meta, cert = null, template = certificateTemplate(meta.theme), options = {}){
+  const fields = certificateFields(meta, cert);
+  const color = (name) => template.palette[name] || [0, 0, 0, 1];
+
+  for (const b of template.blocks) {
+    if (b.type === "background") {
+      backend.rect(0, 0, template.width, template.height, color(b.color));
+    } else if (b.type === "frame") {
+      backend.roundRect(b.x, b.y, b.w, b.h, b.radius, color(b.color), b.lineWidth);
+    } else if (b.type === "text") {
+      const value = fields[b.field];
+      if (!value) continue;
+      const lines = b.maxWidth
+        ? wrapCertificateText(value, b.maxWidth, b.maxLines || Infinity, (s) => backend.measure(s, b.font, b.size))
+        : [value];
+      lines.forEach((line, i) => {
+        backend.text(line, b.x, b.y + i * (b.lineHeight || b.size * 1.25), b.font, b.size, color(b.color));
+      });
+    } else if (b.type === "graticule") {
+      for (let x = b.x + b.step; x < b.x + b.w; x += b.step) backend.line(x, b.y, x, b.y + b.h, color(b.color), 1);
+      for (let y = b.y + b.step; y < b.y + b.h; y += b.step) backend.line(b.x, y, b.x + b.w, y, color(b.color), 1);
+    } else if (b.type === "map") {
+      if (fields.plot) drawMapBlock(backend, b, fields.plot, options.map, color);
+    } else if (b.type === "qr") {
+      const value = fields[b.field];
+      if (!value) continue;
+      backend.rect(b.x, b.y, b.size, b.size, color(b.light));
+      for (const r of qrRects(value, b.size)) {
+        backend.rect(b.x + r.x, b.y + r.y, r.w, r.h, color(b.dark));
+      }
+    }
+  }
+}
+
+// Map block: imagery with the plot drawn on it, or the plot fitted to the box when there is
+// no imagery; a scale bar either way
+function drawMapBlock(backend, b, plot, map, color){
+  const fill = color(b.fill), stroke = color(b.stroke);
+  const imagery = map && map.tiles.length;
+  let metersPerUnit;
+
+  backend.rect(b.x, b.y, b.size, b.size, color(b.scaleBg));
+  if (imagery) {
+    const view = mapInsetView(plot, b.size, map.zoom);
+    metersPerUnit = view.metersPerUnit;
+    const ring = plot.geometry.coordinates[0].map(([lon, lat]) => {
+      const [x, y] = view.project(lat, lon);
+      return [b.x + x, b.y + y];
+    });
+
+    backend.clip(b.x, b.y, b.size, b.size, () => {
+      for (const t of map.tiles) {
+        backend.image(t.data, b.x + t.dx, b.y + t.dy, MAP_TILE_SIZE, MAP_TILE_SIZE);
+      }
+      backend.polygon(ring, { fill, stroke, lineWidth: 3 });
+
+      // A plot only a few pixels across at max zoom still gets a visible marker
+      const xs = ring.map((p) => p[0]), ys = ring.map((p) => p[1]);
+      if (Math.max(...xs) - Math.min(...xs) < 12) {
+        const cx = b.x + b.size / 2, cy = b.y + b.size / 2;
+        const marker = Array.from({ length: 24 }, (_, i) => {
+          const a = i * Math.PI / 12;
+          return [cx + 14 * Math.cos(a), cy + 14 * Math.sin(a)];
+        });
+        backend.polygon(marker, { stroke, lineWidth: 2 });
+      }
+    });
+    if (map.attribution) {
+      backend.text(map.attribution, b.x + 6, b.y + b.size - 6, "sans", 10, color(b.attribution));
+    }
+  } else {
+    const { outline, grid, metersPerUnit: mpu } = CERT_SPOT.plotDiagram(plot, b.size);
+    metersPerUnit = mpu;
+    for (const [x1, y1, x2, y2] of grid) {
+      backend.line(b.x + x1, b.y + y1, b.x + x2, b.y + y2, color(b.grid), 1);
+    }
+    backend.polygon(outline.map(([px, py]) => [b.x + px, b.y + py]), { fill, stroke, lineWidth: 3 });
+  }
+
+  // Scale bar, top left of the inset
+  const bar = scaleBarFor(metersPerUnit, b.size * 0.4);
+  const sx = b.x + 12, sy = b.y + 24;
+  const labelW = backend.measure(bar.label, "sans-bold", 12);
+  backend.rect(sx - 6, sy - 18, bar.units + labelW + 20, 26, color(b.scaleBg));
+  backend.line(sx, sy, sx + bar.units, sy, color(b.scale), 2);
+  backend.line(sx, sy - 5, sx, sy + 1, color(b.scale), 2);
+  backend.line(sx + bar.units, sy - 5, sx + bar.units, sy + 1, color(b.scale), 2);
+  backend.text(bar.label, sx + bar.units + 6, sy + 4, "sans-bold", 12, color(b.scale));
+
+  backend.roundRect(b.x, b.y, b.size, b.size, 14, color(b.frame), 2);
+}
+
+// --- Canvas backend (PNG) ---------------------------------------------------
+
+const CERT_CANVAS_FONTS = {
+  "sans": "500 {size}px system-ui, -apple-system, Segoe UI, Roboto, Arial",
+  "sans-bold": "800 {size}px system-ui, -apple-system, Segoe UI, Roboto, Arial",
+  "sans-italic": "italic 500 {size}px system-ui, -apple-system, Segoe UI, Roboto, Arial",
+  "mono": "500 {size}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace",
+  "mono-bold": "700 {size}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace",
+  "mono-italic": "italic 500 {size}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace",
+  "serif": "400 {size}px Georgia, 'Times New Roman', Times, serif",
+  "serif-bold": "700 {size}px Georgia, 'Times New Roman', Times, serif",
+  "serif-italic": "italic 400 {size}px Georgia, 'Times New Roman', Times, serif",
+};
+
+function canvasCertificateBackend(ctx){
+  const css = ([r, g, b, a]) => `rgba(${r},${g},${b},${a})`;
+  const setFont = (font, size) => {
+    ctx.font = (CERT_CANVAS_FONTS[font] || CERT_CANVAS_FONTS.sans).replace("{size}", size);
+  };
+  return {
+    rect(x, y, w, h, color){
+      ctx.fillStyle = css(color);
+      ctx.fillRect(x, y, w, h);
+    },
+    image(data, x, y, w, h){
+      ctx.drawImage(data, x, y, w, h);
+    },
+    clip(x, y, w, h, draw){
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(x, y, w, h);
+      ctx.clip();
+      draw();
+      ctx.restore();
+    },
+    roundRect(x, y, w, h, r, color, lineWidth){
+      ctx.beginPath();
+      ctx.moveTo(x+r, y);
+      ctx.arcTo(x+w, y, x+w, y+h, r);
+      ctx.arcTo(x+w, y+h, x, y+h, r);
+      ctx.arcTo(x, y+h, x, y, r);
+      ctx.arcTo(x, y, x+w, y, r);
+      ctx.closePath();
+      ctx.strokeStyle = css(color);
+      ctx.lineWidth = lineWidth;
+      ctx.stroke();
+    },
+    line(x1, y1, x2, y2, color, lineWidth){
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.strokeStyle = css(color);
+      ctx.lineWidth = lineWidth;
+      ctx.stroke();
+    },
+    polygon(points, { fill, stroke, lineWidth }){
+      ctx.beginPath();
+      points.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      ctx.closePath();
+      if (fill) { ctx.fillStyle = css(fill); ctx.fill(); }
+      if (stroke) { ctx.strokeStyle = css(stroke); ctx.lineWidth = lineWidth; ctx.stroke(); }
+    },
+    text(str, x, y, font, size, color){
+      setFont(font, size);
+      ctx.fillStyle = css(color);
+      ctx.fillText(str, x, y);
+    },
+    measure(str, font, size){
+      setFont(font, size);
+      return ctx.measureText(str).width;
+    },
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    CERT_TEMPLATE,
+    CERT_TEMPLATE_PORTRAIT,
+    CERT_PAPER_SIZES,
+    certificatePaper,
+    certificateFit,
+    CERT_THEMES,
+    CERT_THEME_DEFAULT,
+    certificateTheme,
+    certificateTemplate,
+    CERT_WIDTH,
+    CERT_HEIGHT,
+    certificateFields,
+    wrapCertificateText,
+    renderCertificate,
+    mapTileConfig,
+    mapInsetView,
+    loadMapInset,
+    scaleBarFor,
+  };
+}
@@ -0,0 +1,52 @@
+// Generated by scripts/build-countries.js — do not edit by hand.
+// Simplified country boundaries from Natural Earth 1:50m (public domain) via world-atlas.
+// { code: { name, bbox: [west, south, east, north], wrap?, polygons: [[ring, ...holes]] } }
+// Rings are flat [lon, lat, lon, lat, …]. wrap: longitudes are shifted into (0, 360).
+
+const COUNTRY_SHAPES = {
+  NZ: {"name":"New Zealand","bbox":[165.89,-50.85,183.82,-34.43],"wrap":true,"polygons":[[[173.12,-41.28,173.23,-41.29,173.95,-40.92,174,-40.92,173.89,-41.01,173.92,-41.07,173.8,-41.27,173.9,-41.24,174.02,-41.07,174,-40.99,174.3,-41.02,174.2,-41.16,174.04,-41.24,174.14,-41.25,174.37,-41.1,174.3,-41.26,174.07,-41.43,174.16,-41.56,174.09,-41.67,174.17,-41.66,174.28,-41.74,174.21,-41.85,173.55,-42.52,173.22,-42.98,172.62,-43.27,172.74,-43.35,172.53,-43.47,172.69,-43.44,172.81,-43.62,173.07,-43.68,173.1,-43.84,172.92,-43.89,172.75,-43.81,172.5,-43.84,172.58,-43.77,172.48,-43.73,172.3,-43.87,172.04,-43.7,172.18,-43.9,171.66,-44.12,171.44,-44.14,171.36,-44.26,171.24,-44.26,171.31,-44.3,171.15,-44.91,171,-44.91,171.13,-44.98,171.11,-45.04,170.94,-45.22,170.7,-45.68,170.78,-45.87,170.33,-45.99,169.69,-46.55,169.1,-46.63,168.77,-46.57,168.38,-46.61,168.23,-46.39,167.84,-46.37,167.68,-46.19,167.54,-46.15,167.37,-46.24,166.83,-46.23,166.71,-46.13,166.92,-45.96,166.73,-46.05,166.65,-46.04,166.72,-45.89,166.49,-45.96,166.51,-45.81,167,-45.71,166.81,-45.7,166.8,-45.65,166.99,-45.53,166.73,-45.54,166.78,-45.41,166.92,-45.41,166.87,-45.31,167.16,-45.41,167.12,-45.32,167.23,-45.29,167.03,-45.22,167.03,-45.12,167.13,-45.05,167.26,-45.08,167.17,-45,167.41,-44.83,167.46,-44.96,167.46,-44.8,167.7,-44.64,167.79,-44.6,167.91,-44.67,167.86,-44.5,168.37,-44.08,168.65,-43.97,168.81,-43.99,169.07,-43.86,169.18,-43.91,169.17,-43.78,169.83,-43.54,169.83,-43.46,169.91,-43.45,169.86,-43.43,170.24,-43.16,170.4,-43.18,170.3,-43.11,170.46,-43.04,170.61,-43.09,170.52,-43.01,170.67,-42.96,170.73,-43.03,170.74,-42.93,170.97,-42.72,171.04,-42.86,171.03,-42.7,171.19,-42.5,171.31,-42.46,171.25,-42.4,171.49,-41.8,171.73,-41.72,171.95,-41.54,172.14,-40.95,172.27,-40.76,172.64,-40.52,172.94,-40.52,172.73,-40.54,172.7,-40.67,172.77,-40.77,172.99,-40.85,173.12,-41.28]],[[173.92,-40.86,173.78,-40.92,173.81,-40.79,173.96,-40.71,173.92,-40.86]],[[166.74,-45.66,166.73,-45.73,166.53,-45.7,166.69,-45.61,166.74,-45.66]],[[168.15,-46.86,168.04,-46.93,168.24,-46.98,168.24,-47.07,167.52,-47.26,167.8,-46.91,167.79,-46.7,167.95,-46.69,168.15,-46.86]],[[175.54,-36.28,175.55,-36.33,175.35,-36.22,175.39,-36.08,175.54,-36.28]],[[173.27,-34.93,173.29,-34.98,173.45,-34.84,173.47,-34.95,174.1,-35.14,174.14,-35.3,174.32,-35.25,174.54,-35.58,174.51,-35.67,174.58,-35.79,174.39,-35.8,174.8,-36.31,174.75,-36.49,174.82,-36.61,174.72,-36.84,174.89,-36.91,174.95,-36.85,175.3,-36.99,175.38,-37.21,175.54,-37.2,175.49,-36.69,175.38,-36.56,175.46,-36.48,175.68,-36.75,175.77,-36.73,175.99,-37.44,176.13,-37.59,176.04,-37.6,176.11,-37.64,176.77,-37.89,177.27,-37.99,177.56,-37.9,177.73,-37.71,178.01,-37.55,178.27,-37.57,178.53,-37.69,178.39,-37.96,178.27,-38.55,177.98,-38.72,177.91,-39.02,177.97,-39.14,177.91,-39.24,177.79,-39.11,177.52,-39.07,177.08,-39.22,176.95,-39.37,176.94,-39.56,177.11,-39.67,176.84,-40.16,175.98,-41.21,175.31,-41.61,175.22,-41.57,175.17,-41.42,174.88,-41.42,174.87,-41.22,174.76,-41.32,174.64,-41.29,175.16,-40.62,175.26,-40.29,175.21,-40.2,175.01,-39.95,173.93,-39.51,173.76,-39.32,173.84,-39.14,174.4,-38.96,174.57,-38.84,174.72,-38.23,174.84,-38.02,174.8,-37.9,174.93,-37.8,174.73,-37.45,174.77,-37.34,174.71,-37.33,174.59,-37.1,174.66,-37.09,174.73,-37.22,174.81,-37.11,174.93,-37.09,174.78,-36.94,174.6,-36.98,174.47,-36.94,174.19,-36.49,174.4,-36.6,174.46,-36.51,174.36,-36.38,174.39,-36.24,174.27,-36.16,174.25,-36.25,174.03,-36.12,173.92,-35.91,173.92,-36.02,174.17,-36.33,174.15,-36.38,174.06,-36.36,173.41,-35.54,173.63,-35.32,173.49,-35.36,173.38,-35.5,173.31,-35.44,173.12,-35.21,173.19,-35.02,172.71,-34.46,173.04,-34.43,172.97,-34.54,173.27,-34.93]],[[166.22,-50.76,166.24,-50.85,166.01,-50.78,165.89,-50.81,166.08,-50.68,166.1,-50.54,166.27,-50.56,166.18,-50.71,166.22,-50.76]],[[183.82,-43.74,183.62,-43.87,183.59,-43.76,183.5,-43.77,183.56,-43.82,183.5,-43.86,183.66,-44.05,183.48,-44.12,183.4,-44.11,183.37,-44.04,183.48,-43.9,183.45,-43.85,183.15,-43.82,183.43,-43.72,183.82,-43.74]]]},
+  AU: {"name":"Australia","bbox":[112.95,-43.61,153.62,-10.59],"polygons":[[[143.18,-11.96,143.11,-12.3,143.25,-12.4,143.4,-12.64,143.59,-13.44,143.55,-13.74,143.75,-14.35,143.96,-14.46,144.21,-14.3,144.47,-14.23,144.65,-14.49,145.29,-14.94,145.27,-15.48,145.46,-16.06,145.43,-16.41,145.76,-16.88,145.91,-16.91,145.9,-17.07,146.13,-17.64,146.03,-18.27,146.22,-18.51,146.33,-18.55,146.3,-18.84,146.38,-18.98,146.69,-19.19,147,-19.26,147.14,-19.39,147.42,-19.38,147.74,-19.77,148.6,-20.15,148.76,-20.29,148.88,-20.48,148.73,-20.47,148.68,-20.58,149.21,-21.12,149.33,-21.48,149.45,-21.58,149.59,-22.26,149.71,-22.44,149.82,-22.39,149.98,-22.55,149.94,-22.31,149.98,-22.18,150.08,-22.16,150.23,-22.37,150.54,-22.56,150.57,-22.38,150.67,-22.42,150.76,-22.58,150.84,-23.46,151.15,-23.78,151.5,-24.01,151.83,-24.12,152.13,-24.6,152.46,-24.8,152.65,-25.2,152.91,-25.43,152.92,-25.69,153.03,-25.87,153.17,-25.96,153.08,-26.3,153.16,-26.98,153.12,-27.19,153.58,-28.24,153.62,-28.67,153.6,-28.86,153.35,-29.29,153.27,-29.89,153.03,-30.56,153.05,-30.91,152.95,-31.43,152.79,-31.79,152.56,-32.05,152.47,-32.44,152.21,-32.68,152.14,-32.68,152.16,-32.76,151.81,-32.9,151.48,-33.35,151.43,-33.52,151.29,-33.58,151.28,-33.93,151.12,-34.01,151.23,-34.03,150.96,-34.3,150.87,-34.5,150.8,-35.01,150.7,-35.04,150.69,-35.18,150.57,-35.21,150.2,-35.83,149.96,-36.85,149.99,-37.26,149.93,-37.53,149.81,-37.55,149.48,-37.77,148.26,-37.83,147.88,-37.93,147.39,-38.22,146.86,-38.66,146.22,-38.73,146.34,-38.89,146.47,-38.84,146.48,-39.06,146.4,-39.15,146.16,-38.87,146.07,-38.83,145.94,-38.9,145.79,-38.67,145.61,-38.66,145.4,-38.54,145.54,-38.39,145.48,-38.24,145.29,-38.24,145.19,-38.38,144.96,-38.5,144.72,-38.34,144.91,-38.34,145.12,-38.09,144.89,-37.9,144.4,-38.14,144.67,-38.21,144.1,-38.46,143.81,-38.7,143.54,-38.82,143.23,-38.74,142.46,-38.39,142.19,-38.4,141.93,-38.28,141.72,-38.27,141.59,-38.39,141.43,-38.36,141.01,-38.08,140.63,-38.03,140.39,-37.9,140.21,-37.64,139.78,-37.25,139.74,-37.06,139.86,-36.66,139.73,-36.37,139.55,-36.1,138.97,-35.58,139.07,-35.6,139.18,-35.52,139.29,-35.61,139.33,-35.43,139.28,-35.38,139.19,-35.35,138.88,-35.54,138.52,-35.64,138.19,-35.61,138.4,-35.33,138.51,-35.02,138.49,-34.76,138.09,-34.17,137.92,-34.46,137.87,-34.73,137.69,-35.14,136.88,-35.24,137.02,-34.92,137.39,-34.91,137.49,-34.6,137.49,-34.16,137.65,-33.86,137.93,-33.58,137.85,-33.2,137.99,-33.09,137.91,-32.77,137.78,-32.58,137.79,-32.82,137.44,-33.19,137.24,-33.63,136.43,-34.03,135.89,-34.66,135.97,-34.98,135.79,-34.86,135.65,-34.94,135.32,-34.64,135.12,-34.59,135.22,-34.49,135.38,-34.6,135.45,-34.58,135.22,-33.96,134.89,-33.63,134.72,-33.26,134.61,-33.19,134.3,-33.17,134.1,-32.75,134.23,-32.73,134.23,-32.55,133.66,-32.21,133.21,-32.18,132.76,-31.96,132.21,-32.01,131.72,-31.7,131.14,-31.5,130.78,-31.6,130.13,-31.58,128.95,-31.7,128.07,-32.07,127.32,-32.26,125.92,-32.3,124.76,-32.88,124.24,-33.01,123.87,-33.6,123.51,-33.92,123.36,-33.91,123.21,-33.99,123.07,-33.9,122.78,-33.89,122.15,-33.99,122.06,-33.87,121.41,-33.83,120.42,-33.96,119.85,-33.97,119.63,-34.1,119.45,-34.37,119.25,-34.46,118.9,-34.48,118.14,-34.99,117.86,-35.05,117.58,-35.1,116.52,-34.99,115.99,-34.8,115.57,-34.43,115.28,-34.3,115.13,-34.34,115.01,-34.26,114.99,-33.51,115.18,-33.64,115.36,-33.64,115.52,-33.53,115.68,-33.19,115.62,-32.67,115.71,-32.57,115.72,-32.4,115.7,-31.7,115.08,-30.56,114.97,-30.04,114.96,-29.43,114.86,-29.14,114.63,-28.87,114.54,-28.54,114.17,-28.08,114.03,-27.35,113.18,-26.18,113.32,-26.24,113.36,-26.08,113.58,-26.56,113.73,-26.59,113.83,-26.5,113.85,-26.33,113.59,-26.1,113.4,-25.71,113.45,-25.6,113.54,-25.62,113.71,-25.83,113.72,-26.13,113.77,-26.16,113.85,-26.02,113.99,-26.32,114.09,-26.39,114.22,-26.29,114.21,-25.85,113.67,-24.98,113.42,-24.44,113.49,-23.87,113.76,-23.42,113.8,-22.91,113.68,-22.64,114.02,-21.88,114.12,-21.83,114.14,-22.48,114.38,-22.34,114.71,-21.82,115.45,-21.49,116.01,-21.03,116.71,-20.65,117.14,-20.64,117.41,-20.72,118.2,-20.37,118.75,-20.26,119.11,-19.99,119.58,-20.04,120.43,-19.84,121,-19.6,121.34,-19.32,121.83,-18.48,122.35,-18.11,122.36,-18.04,122.24,-17.97,122.14,-17.43,122.33,-17.06,122.72,-16.79,122.92,-16.43,122.97,-16.44,123.14,-16.86,123.56,-17.52,123.59,-17.03,123.83,-17.12,123.88,-16.92,123.49,-16.49,123.63,-16.42,123.61,-16.22,123.73,-16.19,123.86,-16.38,124.04,-16.27,124.3,-16.39,124.77,-16.4,124.4,-16.3,124.42,-16.13,124.58,-16.11,124.65,-15.87,124.65,-15.81,124.51,-15.97,124.38,-15.76,124.44,-15.49,124.56,-15.5,124.69,-15.36,124.69,-15.27,125.02,-15.47,125.06,-15.44,125.07,-15.31,124.91,-15.31,124.84,-15.16,125.02,-15.07,125.04,-15,125.36,-15.12,125.38,-15.02,125.24,-14.94,125.18,-14.72,125.28,-14.58,125.58,-14.48,125.63,-14.26,125.7,-14.29,125.66,-14.53,125.74,-14.44,125.82,-14.47,125.89,-14.62,126.02,-14.5,126.11,-14.11,126.05,-13.98,126.18,-14,126.26,-14.16,126.4,-14.02,126.57,-14.16,126.78,-13.96,126.78,-13.79,126.9,-13.74,127.46,-14.03,128.18,-14.71,128.07,-15.33,128.16,-15.23,128.25,-15.3,128.17,-15.1,128.22,-14.99,128.48,-14.79,128.58,-14.77,129.06,-14.88,129.16,-14.99,129.21,-15.16,129.27,-14.87,129.46,-14.93,129.64,-15.14,129.64,-14.85,129.85,-14.83,129.6,-14.65,129.7,-14.56,129.61,-14.56,129.38,-14.39,129.46,-14.21,129.71,-13.98,129.84,-13.57,130.14,-13.45,130.26,-13.3,130.14,-13.15,130.17,-12.96,130.32,-12.88,130.4,-12.69,130.62,-12.65,130.62,-12.43,130.74,-12.43,130.87,-12.56,130.87,-12.37,131.03,-12.34,131.02,-12.21,131.22,-12.18,131.29,-12.07,131.34,-12.21,131.44,-12.28,131.89,-12.23,132.07,-12.28,132.25,-12.19,132.41,-12.3,132.51,-12.13,132.71,-12.12,132.63,-12.04,132.67,-11.65,132.48,-11.49,132.13,-11.5,131.82,-11.3,131.96,-11.18,132.16,-11.31,132.26,-11.2,132.34,-11.22,132.68,-11.51,132.86,-11.39,132.96,-11.41,133.19,-11.71,133.53,-11.82,133.91,-11.83,134.42,-12.05,134.73,-11.98,135.03,-12.19,135.22,-12.22,135.92,-11.83,135.84,-11.9,135.89,-11.99,135.7,-12.15,135.71,-12.21,135.94,-12.15,136.01,-12.19,136.08,-12.42,136.26,-12.43,136.33,-12.31,136.27,-12.13,136.44,-11.95,136.54,-11.96,136.61,-12.13,136.72,-12.23,136.9,-12.24,136.95,-12.35,136.54,-12.79,136.59,-13,136.46,-13.23,136.3,-13.14,135.93,-13.3,135.99,-13.81,135.95,-13.93,135.89,-14.15,135.41,-14.76,135.45,-14.92,136.21,-15.4,136.29,-15.57,136.58,-15.71,136.71,-15.69,136.7,-15.84,136.79,-15.89,137,-15.88,137.7,-16.23,137.91,-16.48,138.25,-16.72,139.01,-16.9,139.25,-17.33,140.04,-17.7,140.51,-17.63,140.83,-17.41,140.96,-17.01,141.22,-16.65,141.41,-16.07,141.45,-15.61,141.63,-15.06,141.52,-14.47,141.59,-14.15,141.47,-13.8,141.65,-13.26,141.61,-12.94,141.78,-12.78,141.92,-12.8,141.93,-12.74,141.85,-12.58,141.68,-12.49,141.69,-12.35,141.87,-11.98,141.96,-12.05,142.17,-10.95,142.33,-10.88,142.46,-10.71,142.61,-10.75,142.55,-10.87,142.78,-11.12,142.87,-11.82,142.99,-11.92,143.18,-11.96]],[[153.08,-25.75,153.01,-25.73,152.98,-25.55,153.04,-25.19,153.23,-25.01,153.24,-24.92,153.14,-24.82,153.26,-24.73,153.35,-25.06,153.08,-25.75]],[[139.51,-16.57,139.36,-16.7,139.15,-16.71,139.29,-16.47,139.59,-16.4,139.7,-16.52,139.51,-16.57]],[[136.71,-13.8,136.8,-13.84,136.85,-13.75,136.89,-13.79,136.75,-14.07,136.79,-14.16,136.95,-14.18,136.89,-14.29,136.34,-14.21,136.43,-14.13,136.43,-13.86,136.66,-13.68,136.7,-13.68,136.71,-13.8]],[[130.46,-11.68,130.61,-11.82,130.04,-11.79,130.07,-11.68,130.2,-11.66,130.15,-11.48,130.29,-11.34,130.46,-11.68]],[[130.62,-11.38,131.02,-11.33,131.27,-11.19,131.54,-11.44,131.46,-11.59,131.38,-11.58,131.29,-11.71,130.95,-11.93,130.51,-11.62,130.38,-11.19,130.62,-11.38]],[[113.18,-26.05,113.16,-26.09,112.96,-25.78,112.95,-25.53,113.18,-26.05]],[[137.6,-35.74,137.93,-35.73,138.12,-35.85,138.01,-35.91,137.67,-35.9,137.59,-36.03,137.45,-36.08,137.21,-35.98,137.15,-36.04,136.76,-36.03,136.54,-35.89,136.64,-35.75,137.33,-35.59,137.58,-35.62,137.63,-35.66,137.6,-35.74]],[[145.31,-38.49,145.36,-38.56,145.13,-38.53,145.22,-38.46,145.31,-38.49]],[[151.15,-23.49,151.24,-23.53,151.3,-23.72,151.24,-23.78,151.03,-23.53,151.06,-23.46,151.15,-23.49]],[[153.54,-27.44,153.43,-27.71,153.44,-27.41,153.54,-27.44]],[[153.44,-27.32,153.36,-27.14,153.43,-27.03,153.44,-27.32]],[[142.28,-10.71,142.19,-10.76,142.13,-10.64,142.2,-10.59,142.28,-10.71]],[[146.28,-18.23,146.34,-18.4,146.3,-18.48,146.1,-18.25,146.28,-18.23]],[[136.6,-11.38,136.53,-11.44,136.78,-11.01,136.74,-11.19,136.6,-11.38]],[[137.09,-15.78,137.05,-15.82,136.94,-15.71,137.01,-15.6,137.09,-15.78]],[[139.46,-17.11,139.41,-17.09,139.49,-16.99,139.57,-17.09,139.46,-17.11]],[[136.24,-13.82,136.12,-13.82,136.22,-13.67,136.27,-13.79,136.24,-13.82]],[[132.59,-11.3,132.48,-11.04,132.58,-10.97,132.63,-11.17,132.59,-11.3]],[[115.45,-20.79,115.39,-20.87,115.32,-20.85,115.43,-20.67,115.45,-20.79]],[[145.04,-40.79,145.28,-40.77,145.82,-41.02,146.32,-41.16,146.72,-41.08,146.85,-41.17,146.86,-41.06,146.99,-40.99,147.32,-40.96,147.46,-41,147.62,-40.84,147.87,-40.87,147.97,-40.78,148.22,-40.85,148.29,-40.95,148.34,-42.22,148.29,-42.26,148.28,-42.14,148.18,-42.06,148.24,-42.02,148.22,-41.97,148.02,-42.26,147.91,-42.66,147.98,-43.16,147.79,-43.22,147.65,-43.02,147.77,-43,147.8,-42.93,147.57,-42.85,147.54,-43,147.45,-43.03,147.3,-42.79,147.34,-42.96,147.24,-43.22,147.17,-43.26,147,-43.16,146.99,-43.22,147.08,-43.28,146.87,-43.61,146.7,-43.6,146.55,-43.51,146.04,-43.55,145.99,-43.38,146.23,-43.36,146.21,-43.32,145.87,-43.29,145.49,-42.93,145.27,-42.54,145.2,-42.23,145.37,-42.34,145.47,-42.49,145.52,-42.35,145.33,-42.15,145.23,-42.2,145.24,-42.02,144.77,-41.39,144.65,-40.98,144.72,-40.67,145.04,-40.79]],[[143.93,-40.12,143.84,-39.9,143.88,-39.7,144,-39.58,144.09,-39.64,144.14,-39.95,143.93,-40.12]],[[148,-39.76,148.3,-39.99,148.25,-40.1,148.31,-40.17,148.11,-40.26,147.89,-40.01,147.88,-39.9,147.77,-39.87,147.93,-39.73,148,-39.76]],[[147.35,-43.4,147.31,-43.5,147.15,-43.5,147.11,-43.43,147.28,-43.28,147.35,-43.4]],[[148.33,-40.31,148.47,-40.43,148.4,-40.49,148.32,-40.43,148.1,-40.45,148.01,-40.38,148.33,-40.31]]]},
+  US: {"name":"USA (lower 48)","bbox":[-124.71,24.95,-66.99,49.37],"polygons":[[[-74.71,45,-71.52,45.01,-71.33,45.29,-71.13,45.26,-71,45.34,-70.86,45.27,-70.8,45.4,-70.69,45.43,-70.7,45.55,-70.42,45.74,-70.3,45.91,-70.25,46.25,-70.07,46.44,-70.01,46.71,-69.24,47.46,-69.05,47.43,-69.05,47.27,-68.94,47.21,-68.31,47.36,-67.81,47.08,-67.8,45.73,-67.43,45.6,-67.42,45.53,-67.5,45.47,-67.43,45.38,-67.47,45.28,-67.32,45.15,-67.25,45.2,-67.12,45.17,-67.11,44.88,-66.99,44.83,-67.19,44.67,-67.37,44.7,-67.56,44.65,-67.6,44.58,-67.84,44.58,-67.91,44.45,-68.06,44.39,-68.15,44.5,-68.37,44.45,-68.45,44.51,-68.53,44.26,-68.81,44.34,-68.71,44.44,-68.79,44.45,-68.76,44.57,-68.96,44.43,-69.14,44.04,-69.52,43.9,-69.56,43.98,-69.62,43.88,-69.65,43.99,-69.73,43.85,-69.8,43.91,-69.81,43.77,-69.87,43.82,-69.98,43.79,-69.96,43.86,-70.06,43.83,-70.27,43.67,-70.2,43.63,-70.52,43.35,-70.73,43.07,-70.83,42.83,-70.74,42.67,-70.62,42.67,-70.61,42.62,-70.83,42.55,-71.04,42.33,-70.74,42.23,-70.62,42.04,-70.66,41.99,-70.55,41.94,-70.52,41.8,-70.43,41.76,-70.3,41.73,-70,41.83,-70.11,42.03,-70.24,42.09,-70.11,42.08,-69.98,41.96,-69.95,41.68,-70.4,41.63,-70.66,41.53,-70.7,41.72,-71.17,41.49,-71.2,41.64,-71.15,41.75,-71.27,41.68,-71.39,41.79,-71.44,41.45,-71.52,41.38,-72.92,41.28,-73.58,41.02,-73.99,40.75,-73.87,41.06,-73.88,41.17,-73.97,41.25,-73.93,40.91,-74.26,40.53,-74.24,40.46,-74,40.45,-73.97,40.4,-74.08,39.79,-74.07,39.99,-74.26,39.61,-74.33,39.54,-74.41,39.55,-74.43,39.39,-74.6,39.29,-74.8,39,-74.95,38.95,-74.9,39.15,-75.13,39.21,-75.52,39.49,-75.42,39.79,-75.15,39.87,-75.07,39.98,-75.4,39.83,-75.59,39.64,-75.57,39.48,-75.41,39.28,-75.39,39.09,-75.18,38.82,-75.09,38.78,-75.19,38.59,-75.07,38.58,-75.04,38.43,-75.07,38.37,-75.12,38.41,-75.16,38.26,-75.35,38.06,-75.59,37.56,-75.81,37.43,-75.93,37.15,-76,37.26,-75.97,37.4,-75.66,37.95,-75.85,37.97,-75.8,38.09,-75.93,38.17,-75.86,38.36,-76.05,38.28,-76.26,38.44,-76.26,38.6,-76.02,38.62,-76.21,38.76,-76.34,38.71,-76.3,38.82,-76.17,38.85,-76.24,38.94,-76.33,38.91,-76.31,39.01,-76.19,38.99,-76.14,39.08,-76.13,39.12,-76.22,39.06,-76.24,39.19,-76.07,39.37,-75.88,39.38,-76,39.41,-75.87,39.51,-75.97,39.51,-75.96,39.58,-76.06,39.56,-76.1,39.43,-76.21,39.38,-76.25,39.44,-76.28,39.32,-76.33,39.4,-76.42,39.23,-76.57,39.27,-76.43,39.13,-76.47,39.03,-76.56,39.07,-76.5,38.94,-76.5,38.53,-76.39,38.37,-76.57,38.44,-76.68,38.61,-76.67,38.54,-76.41,38.27,-76.34,38.09,-76.77,38.26,-76.87,38.39,-76.89,38.29,-77,38.44,-77.23,38.41,-77.22,38.54,-77.02,38.78,-77.03,38.89,-77.05,38.78,-77.26,38.6,-77.31,38.4,-77.27,38.35,-77.05,38.36,-76.91,38.2,-76.55,38.09,-76.26,37.89,-76.34,37.68,-76.49,37.68,-76.94,38.1,-77.11,38.16,-76.55,37.67,-76.3,37.57,-76.37,37.53,-76.27,37.49,-76.26,37.36,-76.4,37.39,-76.39,37.3,-76.45,37.27,-76.76,37.51,-76.61,37.32,-76.33,37.15,-76.28,37.05,-76.4,36.99,-76.63,37.22,-77.25,37.33,-76.67,37.17,-76.49,36.9,-76.24,36.95,-76,36.91,-75.76,36.23,-75.53,35.82,-75.81,36.27,-75.95,36.66,-75.99,36.47,-75.82,36.11,-76.15,36.28,-76.15,36.15,-76.27,36.19,-76.23,36.12,-76.38,36.13,-76.56,36.02,-76.68,36.07,-76.73,36.23,-76.73,35.96,-76.07,35.97,-76.08,35.69,-76,35.72,-75.98,35.9,-75.85,35.96,-75.76,35.84,-75.78,35.65,-76.17,35.35,-76.49,35.4,-76.58,35.53,-76.74,35.43,-77.04,35.53,-76.51,35.27,-76.63,35.07,-76.78,34.99,-77.07,35.15,-76.97,35.02,-76.74,34.94,-76.46,34.99,-76.36,34.94,-76.44,34.84,-76.73,34.71,-77.13,34.71,-77.29,34.6,-77.41,34.73,-77.38,34.53,-77.75,34.28,-77.93,33.94,-77.95,34.17,-78.01,33.91,-78.41,33.92,-78.84,33.72,-79.14,33.41,-79.2,33.24,-79.23,33.4,-79.27,33.14,-79.59,33,-79.62,32.91,-79.8,32.79,-79.93,32.81,-79.89,32.73,-79.94,32.67,-80.36,32.5,-80.64,32.51,-80.47,32.42,-80.58,32.29,-80.65,32.4,-80.71,32.34,-80.8,32.45,-80.69,32.22,-80.85,32.11,-80.92,31.94,-81.11,31.88,-81.07,31.79,-81.2,31.7,-81.17,31.61,-81.26,31.54,-81.18,31.53,-81.29,31.37,-81.38,31.35,-81.29,31.26,-81.37,31.17,-81.44,31.2,-81.52,30.8,-81.25,29.79,-80.9,29.05,-80.52,28.49,-80.59,28.27,-80.46,27.9,-80.61,28.18,-80.61,28.52,-80.69,28.34,-80.73,28.46,-80.69,28.58,-80.84,28.76,-80.75,28.38,-80.12,27.08,-80.05,26.81,-80.13,25.83,-80.16,25.88,-80.3,25.62,-80.37,25.33,-80.48,25.23,-81.11,25.14,-81.17,25.23,-81.14,25.31,-80.97,25.22,-80.94,25.26,-81.11,25.37,-81.37,25.83,-81.72,25.98,-81.81,26.15,-81.87,26.43,-81.96,26.49,-81.83,26.69,-82.04,26.55,-82.07,26.89,-82.01,26.96,-82.18,26.94,-82.18,26.84,-82.29,26.87,-82.72,27.5,-82.64,27.52,-82.41,27.86,-82.68,27.96,-82.6,27.87,-82.61,27.78,-82.74,27.71,-82.84,27.85,-82.66,28.49,-82.65,28.89,-82.77,29.05,-83.29,29.45,-83.7,29.93,-84.04,30.1,-84.31,30.06,-84.38,29.91,-85.32,29.68,-85.41,29.77,-85.41,29.84,-85.32,29.76,-85.36,29.88,-85.68,30.12,-85.61,30.15,-85.66,30.19,-85.6,30.29,-85.74,30.24,-85.75,30.17,-86.45,30.4,-86.13,30.4,-86.26,30.49,-87.2,30.34,-86.99,30.43,-87,30.57,-87.07,30.5,-87.17,30.54,-87.28,30.34,-87.48,30.29,-87.45,30.39,-87.62,30.26,-88,30.23,-87.79,30.29,-87.93,30.45,-87.92,30.56,-88.01,30.69,-88.13,30.37,-88.69,30.35,-88.9,30.42,-89.32,30.35,-89.59,30.17,-90.13,30.37,-90.23,30.38,-90.33,30.28,-90.41,30.14,-90.18,30.03,-89.74,30.17,-89.66,30.12,-89.82,30.01,-89.63,29.9,-89.5,30.06,-89.4,30.05,-89.35,29.82,-89.53,29.77,-89.72,29.62,-89.51,29.42,-89.18,29.34,-89.02,29.2,-89.16,29.02,-89.24,29.08,-89.38,28.98,-89.35,29.07,-89.52,29.25,-89.79,29.33,-89.88,29.46,-90.16,29.54,-90.05,29.43,-90.05,29.34,-90.1,29.18,-90.21,29.1,-90.38,29.3,-90.59,29.27,-90.75,29.13,-91.29,29.29,-91.15,29.32,-91.25,29.56,-91.33,29.51,-91.51,29.56,-91.67,29.75,-91.82,29.75,-91.89,29.84,-92.13,29.7,-92.08,29.59,-92.26,29.56,-92.67,29.6,-93.17,29.78,-93.83,29.72,-93.88,29.81,-93.77,29.95,-93.84,29.98,-93.94,29.81,-93.89,29.69,-94.1,29.67,-94.76,29.38,-94.53,29.55,-94.78,29.55,-94.74,29.75,-94.83,29.75,-94.89,29.68,-95.02,29.7,-94.89,29.37,-95.14,29.17,-95.27,28.96,-96.23,28.49,-96.01,28.63,-96.37,28.66,-96.45,28.59,-96.64,28.71,-96.53,28.49,-96.42,28.46,-96.68,28.34,-96.77,28.42,-96.84,28.2,-96.89,28.16,-96.93,28.22,-97.16,28.14,-97.14,28.06,-97.03,28.09,-97.07,27.99,-97.17,27.88,-97.43,27.84,-97.29,27.67,-97.44,27.33,-97.52,27.31,-97.77,27.46,-97.69,27.29,-97.48,27.24,-97.56,26.97,-97.44,26.49,-97.21,26.07,-97.15,26.06,-97.15,25.96,-97.36,25.87,-97.8,26.04,-98.28,26.11,-99.11,26.45,-99.23,26.76,-99.46,27.06,-99.51,27.55,-99.76,27.73,-100.3,28.33,-100.33,28.5,-100.76,29.18,-101.38,29.74,-101.55,29.81,-101.99,29.8,-102.34,29.87,-102.73,29.64,-102.89,29.22,-103.09,29.04,-103.26,29,-104.4,29.57,-104.62,29.85,-104.68,30.13,-104.92,30.58,-106.15,31.45,-106.44,31.77,-108.21,31.78,-108.22,31.33,-111.04,31.33,-114.84,32.51,-114.72,32.72,-117.13,32.53,-117.14,32.65,-117.24,32.66,-117.32,33.1,-117.47,33.3,-118.08,33.72,-118.41,33.74,-118.39,33.86,-118.51,34.02,-118.83,34.02,-119.14,34.11,-119.27,34.26,-119.61,34.42,-120.48,34.47,-120.65,34.58,-120.63,35.08,-120.86,35.21,-120.9,35.43,-121.28,35.68,-121.88,36.33,-121.92,36.57,-121.79,36.73,-121.81,36.85,-121.88,36.94,-122.17,36.99,-122.4,37.21,-122.5,37.54,-122.51,37.77,-122.45,37.8,-122.39,37.79,-122.37,37.66,-122.3,37.59,-122.07,37.48,-122.39,37.96,-122.31,38.01,-121.52,38.06,-122.03,38.12,-122.15,38.07,-122.39,38.14,-122.48,38.11,-122.47,37.84,-122.52,37.83,-122.93,38.06,-123,37.99,-122.98,38.23,-122.88,38.12,-122.91,38.2,-123.12,38.45,-123.7,38.91,-123.82,39.37,-123.78,39.52,-123.83,39.78,-124.33,40.25,-124.37,40.49,-124.28,40.71,-124.22,40.7,-124.19,40.77,-124.07,41.46,-124.16,41.72,-124.25,41.79,-124.21,41.98,-124.35,42.12,-124.4,42.58,-124.54,42.81,-124.35,43.34,-124.2,43.42,-124.29,43.41,-124.15,43.69,-123.93,45.58,-123.99,46.22,-123.67,46.18,-123.52,46.22,-123.22,46.15,-123.47,46.27,-124.07,46.28,-124.04,46.61,-123.95,46.43,-123.89,46.66,-124.07,46.74,-124.11,46.86,-123.84,46.96,-124.11,47.04,-124.14,46.95,-124.38,47.66,-124.66,47.97,-124.71,48.38,-123.98,48.17,-123.12,48.15,-122.98,48.07,-122.78,48.14,-122.66,47.88,-123.05,47.55,-123.14,47.36,-122.92,47.41,-123.07,47.4,-123.06,47.45,-122.59,47.86,-122.59,47.93,-122.53,47.92,-122.53,47.77,-122.62,47.71,-122.61,47.62,-122.68,47.61,-122.56,47.46,-122.58,47.29,-122.71,47.32,-122.77,47.22,-122.83,47.34,-123.03,47.14,-122.7,47.11,-122.35,47.37,-122.4,47.78,-122.24,48.01,-122.42,48.18,-122.4,48.08,-122.52,48.16,-122.52,48.23,-122.41,48.29,-122.67,48.46,-122.5,48.51,-122.51,48.67,-122.56,48.78,-122.69,48.79,-122.79,48.99,-95.16,48.99,-95.15,49.37,-94.94,49.35,-94.86,49.3,-94.81,49,-94.62,48.74,-94.06,48.66,-93.71,48.53,-93.38,48.62,-93,48.61,-92.5,48.44,-92.41,48.28,-92.17,48.34,-92,48.3,-91.52,48.06,-90.92,48.21,-90.74,48.11,-90.09,48.12,-89.9,48,-89.46,48,-88.38,48.3,-84.88,46.9,-84.78,46.64,-84.56,46.46,-84.12,46.53,-84.11,46.29,-83.98,46.08,-83.62,46.12,-83.47,45.99,-83.59,45.82,-82.55,45.35,-82.14,43.57,-82.41,43.07,-82.55,42.62,-83.07,42.3,-83.15,42.14,-83.14,41.98,-83.03,41.83,-82.69,41.68,-82.44,41.68,-81.28,42.21,-80.25,42.37,-79.04,42.8,-78.91,42.91,-79.03,43.02,-79.06,43.28,-79.17,43.47,-78.85,43.58,-76.82,43.63,-76.46,44.06,-76.15,44.3,-75.88,44.42,-75.18,44.9,-74.71,45]],[[-72.51,40.99,-72.58,40.92,-72.18,41.05,-71.9,41.06,-73.19,40.65,-73.9,40.57,-73.8,40.64,-74.01,40.58,-74.03,40.64,-73.88,40.79,-73.65,40.84,-73.57,40.92,-72.63,40.99,-72.27,41.15,-72.51,40.99]],[[-68.19,44.33,-68.31,44.32,-68.32,44.25,-68.41,44.29,-68.3,44.46,-68.19,44.33]],[[-70.51,41.38,-70.83,41.36,-70.62,41.46,-70.51,41.38]],[[-69.98,41.27,-70.23,41.29,-70.06,41.33,-70.04,41.4,-69.98,41.27]],[[-75.54,35.24,-75.69,35.22,-75.54,35.28,-75.5,35.77,-75.45,35.56,-75.54,35.24]],[[-80.38,25.14,-80.58,24.95,-80.35,25.3,-80.26,25.35,-80.38,25.14]],[[-91.79,29.5,-92.01,29.61,-91.87,29.64,-91.76,29.57,-91.79,29.5]],[[-97.35,27.3,-97.39,27.24,-97.3,27.52,-97.06,27.82,-97.35,27.3]],[[-97.17,26.16,-97.18,26.11,-97.4,26.82,-97.39,27.2,-97.35,26.8,-97.17,26.16]],[[-120.05,33.92,-120.17,33.92,-120.25,34.01,-120.07,34.03,-119.98,33.97,-120.05,33.92]],[[-119.88,34.08,-119.55,34.03,-119.81,33.97,-119.89,34,-119.88,34.08]],[[-118.35,33.39,-118.3,33.31,-118.45,33.32,-118.57,33.46,-118.35,33.39]],[[-122.78,48.67,-122.84,48.63,-122.9,48.66,-122.89,48.59,-123,48.65,-122.9,48.71,-122.78,48.67]],[[-122.57,48.16,-122.53,48.03,-122.5,48.08,-122.37,47.99,-122.38,47.92,-122.56,47.99,-122.62,48.15,-122.74,48.23,-122.63,48.38,-122.54,48.29,-122.7,48.23,-122.57,48.16]]]},
+  GB: {"name":"United Kingdom","bbox":[-8.15,50.04,1.74,60.81],"polygons":[[[-2.67,51.62,-3.29,51.39,-3.56,51.41,-3.89,51.59,-4.24,51.57,-4.09,51.66,-4.39,51.74,-4.6,51.74,-4.9,51.63,-5.12,51.71,-5.26,51.88,-5.09,52,-4.38,52.2,-4.15,52.33,-3.98,52.54,-4.08,52.61,-4.04,52.7,-4.12,52.82,-4.1,52.92,-4.68,52.81,-4.27,53.14,-3.81,53.3,-3.43,53.34,-3.1,53.26,-3.17,53.39,-3.07,53.43,-2.92,53.3,-2.75,53.31,-2.91,53.35,-3.07,53.51,-2.93,53.73,-3.03,53.77,-3.03,53.91,-2.9,53.96,-2.87,54.18,-3.17,54.13,-3.57,54.47,-3.59,54.56,-3.47,54.77,-3.27,54.91,-3.04,54.95,-3.55,54.95,-3.96,54.78,-4.13,54.78,-4.25,54.85,-4.52,54.76,-4.82,54.85,-4.91,54.69,-5.14,54.86,-5.17,54.99,-5.06,54.99,-4.68,55.5,-4.89,55.7,-4.83,55.93,-4.58,55.94,-4.84,56.05,-4.8,56.16,-4.93,56.03,-5.23,55.89,-5.22,56.07,-5,56.23,-5.38,56.02,-5.39,55.77,-5.56,55.39,-5.65,55.33,-5.77,55.36,-5.68,55.62,-5.51,55.8,-5.62,55.81,-5.54,56.25,-5.19,56.76,-5.65,56.53,-5.87,56.56,-5.97,56.69,-6.13,56.72,-5.73,56.85,-5.86,56.9,-5.59,57.1,-5.56,57.23,-5.82,57.44,-5.58,57.55,-5.74,57.67,-5.61,57.88,-5.16,57.88,-5.41,58.07,-5.34,58.24,-5.01,58.26,-5.09,58.38,-5.07,58.52,-4.98,58.58,-4.71,58.51,-4.49,58.57,-4.43,58.51,-3.05,58.63,-3.11,58.41,-3.21,58.32,-3.99,57.96,-4.03,57.85,-3.86,57.82,-4.13,57.58,-3.3,57.71,-2.08,57.7,-1.87,57.61,-1.78,57.47,-2.02,57.26,-2.26,56.86,-2.5,56.64,-2.68,56.51,-3.31,56.36,-2.89,56.4,-2.65,56.32,-2.67,56.25,-3.36,56.03,-3.79,56.09,-3.61,56.02,-3.05,55.95,-2.6,56.03,-2.15,55.9,-1.65,55.57,-1.23,54.7,-0.67,54.5,-0.08,54.12,-0.21,54.02,0.12,53.61,-0.27,53.74,-0.66,53.72,-0.29,53.69,0.27,53.34,0.35,53.16,0.05,52.91,0.28,52.81,0.56,52.97,1.27,52.92,1.66,52.75,1.74,52.58,1.59,52.12,1.41,51.99,1.23,51.97,1.28,51.84,0.75,51.73,0.9,51.69,0.89,51.57,0.42,51.47,0.53,51.49,0.69,51.39,0.89,51.36,1.42,51.36,1.4,51.18,1.05,51.05,0.96,50.93,0.77,50.93,0.2,50.76,-0.2,50.82,-0.79,50.76,-1.42,50.9,-1.33,50.82,-1.6,50.73,-2.03,50.72,-1.96,50.63,-2.04,50.6,-2.43,50.6,-3,50.72,-3.4,50.63,-3.68,50.24,-3.79,50.23,-4.2,50.39,-4.73,50.29,-5.01,50.16,-5.12,50.04,-5.43,50.11,-5.65,50.08,-5.57,50.2,-5.34,50.25,-4.89,50.53,-4.58,50.78,-4.52,50.98,-4.3,51.03,-4.19,51.19,-3.14,51.21,-2.43,51.74,-2.67,51.62]],[[-4.2,53.32,-4.05,53.31,-4.37,53.13,-4.55,53.26,-4.57,53.39,-4.31,53.42,-4.2,53.32]],[[-1.04,60.51,-1.16,60.6,-1.09,60.72,-0.99,60.69,-1.05,60.65,-1.04,60.51]],[[-1.31,60.54,-1.29,60.47,-1.16,60.42,-1.05,60.44,-1.3,59.88,-1.36,59.91,-1.29,60.15,-1.48,60.17,-1.67,60.28,-1.37,60.33,-1.45,60.47,-1.57,60.5,-1.36,60.61,-1.3,60.61,-1.31,60.54]],[[-0.78,60.81,-0.83,60.68,-0.92,60.7,-0.92,60.81,-0.78,60.81]],[[-3.17,58.79,-3.28,58.78,-3.39,58.91,-3.27,58.9,-3.17,58.79]],[[-3.06,59.03,-2.76,58.96,-2.83,58.89,-3.17,58.92,-3.35,59.02,-3.25,59.14,-3.05,59.1,-3.06,59.03]],[[-2.73,59.19,-2.82,59.16,-2.86,59.25,-3.05,59.32,-2.98,59.35,-2.73,59.19]],[[-5.11,55.45,-5.33,55.48,-5.37,55.67,-5.19,55.69,-5.11,55.45]],[[-5.78,56.34,-6.31,56.29,-6.19,56.36,-6.14,56.49,-6.32,56.57,-6.1,56.65,-5.76,56.49,-5.78,56.34]],[[-6.13,55.93,-6.06,55.72,-6.09,55.66,-6.31,55.61,-6.3,55.78,-6.49,55.7,-6.41,55.85,-6.13,55.93]],[[-5.97,55.81,-6.04,55.81,-6.07,55.89,-5.91,55.97,-5.97,55.99,-5.94,56.05,-5.73,56.12,-5.97,55.81]],[[-6.2,58.36,-6.33,58.19,-6.55,58.09,-6.4,58.08,-6.42,58.02,-6.96,57.75,-7.08,57.81,-6.86,57.92,-7.06,58,-6.99,58.05,-7.09,58.1,-7.03,58.22,-6.73,58.19,-6.78,58.3,-6.24,58.5,-6.2,58.36]],[[-6.14,57.51,-6.14,57.31,-5.67,57.23,-5.99,57.04,-6.04,57.2,-6.32,57.2,-6.44,57.33,-6.68,57.36,-6.76,57.44,-6.58,57.51,-6.62,57.56,-6.38,57.6,-6.36,57.67,-6.25,57.65,-6.14,57.51]],[[-7.21,57.68,-7.09,57.63,-7.18,57.53,-7.52,57.6,-7.21,57.68]],[[-7.25,57.12,-7.38,57.13,-7.41,57.38,-7.27,57.37,-7.25,57.12]],[[-6.22,54.09,-6.65,54.06,-6.67,54.18,-6.8,54.21,-6.94,54.37,-7.05,54.41,-7.2,54.3,-7.16,54.24,-7.32,54.13,-7.61,54.14,-7.85,54.22,-8.15,54.45,-7.75,54.59,-7.91,54.7,-7.55,54.77,-7.38,55.03,-7.22,55.09,-7.1,55.05,-6.95,55.18,-6.47,55.24,-6.13,55.22,-5.72,54.82,-5.71,54.76,-5.88,54.64,-5.58,54.66,-5.47,54.5,-5.48,54.44,-5.67,54.55,-5.66,54.38,-5.56,54.37,-5.61,54.27,-5.83,54.24,-6.02,54.05,-6.22,54.09]],[[-1.06,50.69,-1.25,50.59,-1.56,50.67,-1.31,50.77,-1.06,50.69]]]},
+  JP: {"name":"Japan","bbox":[123.68,24.28,145.83,45.51],"polygons":[[[133.37,36.2,133.24,36.18,133.21,36.29,133.3,36.34,133.37,36.2]],[[138.34,37.82,138.23,37.83,138.32,37.97,138.25,37.99,138.25,38.08,138.5,38.32,138.45,38.08,138.57,38.07,138.5,37.9,138.34,37.82]],[[134.93,34.29,134.82,34.2,134.73,34.21,134.67,34.29,134.83,34.47,135,34.54,134.91,34.4,134.93,34.29]],[[130.62,30.26,130.45,30.26,130.39,30.39,130.5,30.47,130.64,30.39,130.62,30.26]],[[130.96,30.4,130.87,30.39,130.87,30.44,131.06,30.83,130.96,30.4]],[[130.08,32.23,130,32.19,129.96,32.24,130.02,32.29,130.01,32.52,130.17,32.54,130.2,32.34,130.08,32.23]],[[129.28,34.12,129.21,34.08,129.19,34.14,129.21,34.32,129.34,34.28,129.28,34.12]],[[129.39,34.35,129.37,34.31,129.27,34.37,129.33,34.61,129.45,34.69,129.48,34.54,129.39,34.35]],[[128.67,32.78,128.84,32.76,128.89,32.65,128.69,32.6,128.67,32.78]],[[141.07,45.33,141.03,45.27,140.97,45.46,141.06,45.45,141.07,45.33]],[[141.3,45.12,141.14,45.15,141.13,45.21,141.25,45.23,141.33,45.15,141.3,45.12]],[[139.48,42.08,139.43,42.08,139.43,42.2,139.56,42.24,139.48,42.08]],[[134.35,34.48,134.25,34.42,134.18,34.52,134.33,34.53,134.35,34.48]],[[129.08,32.84,129,32.95,129.11,33.13,129.18,32.99,129.08,32.84]],[[129.49,33.22,129.37,33.18,129.46,33.33,129.57,33.36,129.49,33.22]],[[132.27,33.94,132.44,33.91,132.36,33.85,132.21,33.87,132.21,33.95,132.27,33.94]],[[143.82,44.12,144.1,44.1,144.48,43.95,144.72,43.93,145.37,44.33,145.13,43.87,145.14,43.66,145.34,43.3,145.49,43.28,145.67,43.39,145.83,43.39,145.5,43.18,145.35,43.18,144.92,43,144.63,42.95,144.2,42.97,143.97,42.88,143.43,42.42,143.24,42,142.51,42.26,141.85,42.58,141.41,42.55,140.99,42.34,140.71,42.56,140.48,42.56,140.35,42.44,140.33,42.29,140.53,42.13,140.73,42.12,141.15,41.81,141,41.74,140.66,41.82,140.39,41.52,140.15,41.42,140.04,41.47,140,41.58,140.11,41.91,140.06,42.07,139.83,42.28,139.86,42.58,140.43,42.95,140.49,43.05,140.4,43.17,140.39,43.3,140.49,43.34,140.78,43.21,141.14,43.18,141.3,43.2,141.38,43.28,141.4,43.64,141.65,44.02,141.66,44.26,141.76,44.48,141.78,44.72,141.58,45.16,141.67,45.4,141.94,45.51,142.88,44.67,143.82,44.12]],[[131.18,33.6,131.37,33.57,131.58,33.65,131.69,33.6,131.71,33.5,131.54,33.27,131.9,33.25,131.85,33.12,131.95,33.05,131.91,32.97,132.01,32.92,131.66,32.47,131.46,31.88,131.46,31.67,131.34,31.4,131.07,31.44,131.04,31.38,131.1,31.26,130.69,31.01,130.79,31.27,130.7,31.58,130.79,31.62,130.78,31.71,130.65,31.72,130.56,31.56,130.54,31.4,130.64,31.27,130.59,31.18,130.2,31.29,130.15,31.41,130.29,31.45,130.32,31.6,130.19,31.77,130.19,32.09,130.4,32.22,130.64,32.62,130.5,32.66,130.57,32.73,130.55,32.83,130.38,33.09,130.24,33.18,130.13,33.1,130.18,32.85,130.33,32.85,130.34,32.7,130.24,32.68,130.05,32.77,129.77,32.57,129.83,32.73,129.69,32.88,129.68,33.06,129.83,32.89,129.99,32.85,129.9,33.02,129.58,33.24,129.61,33.34,129.84,33.32,129.83,33.44,130.37,33.63,130.49,33.84,130.72,33.93,130.95,33.87,131.06,33.67,131.18,33.6]],[[134.36,34.26,134.64,34.23,134.68,33.85,134.74,33.82,134.38,33.61,134.18,33.25,133.96,33.45,133.63,33.51,133.29,33.36,132.98,32.84,132.8,32.75,132.64,32.76,132.71,32.9,132.49,32.92,132.43,33.06,132.51,33.29,132.4,33.33,132.41,33.43,132.03,33.34,132.64,33.69,132.79,33.99,132.94,34.1,133.19,33.93,133.58,34.02,133.64,34.13,133.6,34.24,133.95,34.35,134.36,34.26]],[[141.23,41.37,141.45,41.4,141.4,41.1,141.43,40.72,141.46,40.61,141.8,40.29,141.99,39.79,141.98,39.43,141.9,39.11,141.66,38.98,141.55,38.76,141.47,38.4,141.11,38.34,140.96,38.15,140.93,37.95,141.04,37.47,141,37.11,140.73,36.73,140.57,36.23,140.62,36.06,140.87,35.72,140.64,35.66,140.46,35.51,140.36,35.18,140.06,35.04,139.92,34.9,139.8,34.96,139.83,35.3,140.1,35.59,139.99,35.67,139.83,35.66,139.77,35.49,139.65,35.41,139.74,35.25,139.68,35.15,139.47,35.3,139.25,35.28,139.13,35.15,139.09,34.84,138.9,34.63,138.76,34.7,138.8,34.97,138.9,35.02,138.72,35.12,138.58,35.09,138.19,34.6,137.54,34.66,137.06,34.58,137.29,34.7,137.27,34.77,137.03,34.77,136.96,34.84,136.91,34.71,136.85,34.98,136.9,35.03,136.8,35.05,136.69,34.98,136.53,34.68,136.88,34.43,136.85,34.32,136.33,34.18,135.92,33.56,135.69,33.49,135.45,33.55,135.13,34.01,135.1,34.29,135.31,34.42,135.42,34.62,135.04,34.63,134.74,34.77,134.25,34.71,133.97,34.53,133.44,34.43,133.14,34.3,133.02,34.33,132.66,34.25,132.42,34.35,132.31,34.32,132.14,33.84,131.74,34.05,131.23,33.95,131.07,34.02,130.92,33.98,130.89,34.26,131,34.39,131.35,34.41,132.26,35.02,132.7,35.42,132.92,35.51,133.27,35.56,133.38,35.46,133.98,35.51,135.18,35.75,135.27,35.72,135.23,35.59,135.33,35.53,135.68,35.5,135.9,35.61,136.09,35.77,136.01,35.99,136.07,36.12,136.7,36.74,136.75,36.95,136.72,37.2,136.84,37.38,137.32,37.52,137.34,37.44,136.9,37.12,136.99,37.03,137.02,36.84,137.25,36.75,137.34,36.77,137.51,36.95,138.32,37.22,138.63,37.47,138.88,37.84,139.4,38.14,139.52,38.5,139.8,38.88,140.04,39.41,140.06,39.62,140,39.86,139.74,39.92,139.91,40.02,140.01,40.26,139.92,40.53,139.97,40.67,140.28,40.85,140.34,41.01,140.32,41.16,140.39,41.23,140.63,41.2,140.68,40.89,140.75,40.83,140.94,40.94,141.12,40.88,141.22,40.99,141.25,41.21,141.2,41.24,140.8,41.14,140.8,41.25,140.94,41.5,141.23,41.37]],[[124.29,24.52,124.24,24.36,124.13,24.35,124.08,24.44,124.21,24.46,124.3,24.59,124.29,24.52]],[[123.89,24.28,123.68,24.32,123.77,24.41,123.94,24.36,123.89,24.28]],[[125.45,24.74,125.27,24.73,125.28,24.87,125.45,24.74]],[[128.26,26.65,127.87,26.44,127.9,26.33,127.79,26.26,127.8,26.15,127.65,26.09,127.73,26.43,127.95,26.59,127.91,26.69,128.1,26.67,128.26,26.88,128.33,26.81,128.26,26.65]],[[129,27.72,128.9,27.73,128.91,27.9,128.95,27.91,129,27.72]],[[129.45,28.21,129.37,28.13,129.16,28.25,129.69,28.52,129.71,28.43,129.46,28.27,129.45,28.21]]]},
+  CA: {"name":"Canada","bbox":[-141,41.68,-52.65,83.12],"polygons":[[[-132.66,54.13,-132.56,54.07,-132.3,54.1,-132.17,53.96,-132.17,53.85,-132.57,53.69,-132.53,53.65,-132.19,53.68,-132.11,53.86,-132.13,54.03,-131.67,54.14,-131.89,53.71,-131.93,53.38,-132.01,53.26,-132.52,53.19,-132.75,53.31,-132.66,53.37,-132.43,53.34,-132.85,53.51,-133.05,53.78,-133.1,54.01,-133.05,54.16,-132.66,54.13]],[[-131.75,53.2,-131.65,53.1,-131.63,52.92,-131.97,52.88,-131.45,52.7,-131.59,52.58,-131.43,52.42,-131.26,52.42,-131.32,52.3,-131.14,52.29,-131.12,52.22,-131.22,52.15,-132.17,52.78,-132.26,52.91,-132.14,53,-132.55,53.14,-131.89,53.23,-131.75,53.2]],[[-127.2,50.64,-125.48,50.32,-124.93,49.73,-124.83,49.53,-123.99,49.22,-123.85,49.12,-123.5,48.58,-123.44,48.69,-123.39,48.67,-123.31,48.41,-123.45,48.43,-123.57,48.32,-125.02,48.71,-125.14,48.82,-124.85,49.03,-124.81,49.21,-124.93,49.01,-125.54,48.95,-125.83,49.09,-125.64,49.19,-125.83,49.28,-125.95,49.25,-125.93,49.4,-126.55,49.42,-126.54,49.59,-126.13,49.67,-126.53,49.72,-126.68,49.88,-126.9,49.94,-127.12,49.88,-127.25,50.14,-127.35,50.05,-127.47,50.16,-127.86,50.13,-127.84,50.29,-127.96,50.35,-127.91,50.45,-127.64,50.48,-127.49,50.41,-127.53,50.54,-127.46,50.58,-127.75,50.61,-127.73,50.54,-128.06,50.5,-128.35,50.7,-128.24,50.83,-127.92,50.86,-127.2,50.64]],[[-130.02,55.89,-130.1,56.11,-130.41,56.12,-130.48,56.23,-130.74,56.34,-131.58,56.6,-131.82,56.59,-131.87,56.79,-132.11,56.86,-132.03,57.03,-132.34,57.08,-132.23,57.2,-133.42,58.34,-133.4,58.41,-133.82,58.71,-134.3,58.9,-134.44,59.09,-134.95,59.29,-135.07,59.44,-135.05,59.58,-135.47,59.79,-136.32,59.6,-136.25,59.53,-136.28,59.48,-136.46,59.46,-136.47,59.28,-136.58,59.15,-136.81,59.15,-137.44,58.9,-137.52,58.92,-137.48,58.99,-137.59,59.23,-138.63,59.78,-138.7,59.9,-139.19,60.08,-139.08,60.34,-139.68,60.33,-139.97,60.18,-140.45,60.3,-140.53,60.22,-141,60.3,-141,69.65,-139.98,69.62,-139.18,69.52,-138.13,69.15,-137.26,68.96,-136.12,68.88,-135.26,68.68,-135.44,68.84,-135.9,68.93,-135.92,68.99,-135.58,69.03,-135.91,69.11,-135.69,69.31,-135.29,69.31,-135.14,69.47,-134.46,69.48,-134.5,69.57,-134.41,69.68,-133.88,69.51,-134.18,69.25,-133.16,69.43,-132.84,69.65,-132.4,69.66,-132.57,69.7,-132.54,69.73,-132.16,69.7,-131.44,69.92,-131.14,69.91,-130.93,70.05,-130.67,70.13,-129.95,70.09,-129.68,70.19,-129.54,70.11,-129.65,70,-130.83,69.65,-131.94,69.53,-132.33,69.31,-132.69,69.26,-133.42,68.84,-133.2,68.74,-133.14,68.75,-133.34,68.83,-132.58,68.85,-132.54,68.89,-132.74,68.92,-132.77,69.01,-132.72,69.08,-131.92,69.29,-131.79,69.37,-131.79,69.43,-131.34,69.44,-131.32,69.36,-131.06,69.45,-130.99,69.36,-130.97,69.21,-130.52,69.57,-130.12,69.72,-129.11,69.88,-128.9,69.97,-128.94,69.87,-129.16,69.8,-129.06,69.7,-128.85,69.75,-128.39,69.96,-128.28,70.11,-127.68,70.26,-127.97,70.29,-128.04,70.33,-127.99,70.36,-128.17,70.42,-128.13,70.52,-127.99,70.57,-127.23,70.3,-126.61,69.73,-126.06,69.47,-125.73,69.38,-125.39,69.35,-125.17,69.43,-125.34,69.66,-125.22,69.73,-125.2,69.83,-125.08,69.82,-124.77,69.99,-124.99,70.03,-124.56,70.15,-124.44,70.11,-124.47,69.92,-124.41,69.77,-124.12,69.69,-124.48,69.43,-124.34,69.36,-123.53,69.39,-123.21,69.54,-123.03,69.81,-121.74,69.8,-120.96,69.66,-120.14,69.38,-118.87,69.26,-118.09,69.04,-117.23,68.91,-116.06,68.84,-116.24,68.97,-115.44,68.94,-114.62,68.75,-113.96,68.4,-114.1,68.27,-114.76,68.27,-115.13,68.13,-115.19,68.08,-115.17,68.02,-115.43,67.9,-115.13,67.82,-113.89,67.71,-112.43,67.68,-111.29,67.82,-110.99,67.79,-110.07,67.99,-109.63,67.73,-109.04,67.69,-108.85,67.42,-108.72,67.58,-108.61,67.6,-108.35,67.4,-107.99,67.26,-107.91,67.16,-107.99,67.1,-108.22,67.05,-108.5,67.09,-107.29,66.4,-107.71,66.74,-107.75,66.96,-107.62,67,-107.16,66.88,-107.35,67.06,-107.28,67.1,-107.57,67.27,-107.65,67.51,-107.95,67.7,-107.96,67.82,-107.76,67.91,-107.73,67.96,-107.8,68.04,-106.92,68.11,-106.67,68.22,-106.43,68.2,-106.4,68.32,-105.93,68.44,-105.75,68.59,-105.93,68.64,-106.46,68.52,-106.61,68.36,-106.85,68.39,-107.3,68.3,-107.62,68.33,-107.74,68.29,-107.68,68.2,-107.73,68.17,-108.32,68.15,-108.72,68.3,-108.34,68.6,-107.44,68.69,-106.16,68.92,-105.68,68.83,-105.54,68.72,-105.38,68.41,-105.1,68.3,-104.94,68.3,-104.91,68.25,-104.65,68.23,-104.66,68.15,-104.49,68.06,-103.9,68.04,-103.47,68.11,-102.84,67.85,-102.32,67.74,-101.56,67.69,-100.46,67.84,-99.03,67.72,-98.41,67.81,-98.7,67.97,-98.72,68.04,-98.63,68.07,-97.93,67.71,-97.45,67.62,-97.2,67.7,-97.14,67.8,-97.55,67.96,-98.19,67.92,-98.5,68.12,-98.38,68.13,-98.65,68.36,-98.22,68.32,-97.79,68.39,-97.91,68.45,-97.93,68.52,-97.41,68.5,-96.98,68.26,-96.63,68.25,-96.43,68.31,-96.72,68.04,-95.97,68.25,-96.2,67.72,-96.37,67.51,-96.14,67.27,-95.72,67.32,-95.78,67.18,-95.53,67.21,-95.42,67.16,-95.42,67.01,-95.77,66.97,-96.22,67,-96.35,67.07,-96.42,67.04,-95.89,66.74,-95.79,66.62,-95.74,66.69,-96.04,66.94,-95.4,66.95,-95.26,67.26,-95.46,67.61,-95.65,67.74,-95.46,68.02,-94.74,68.07,-93.93,68.47,-93.45,68.62,-93.64,68.63,-93.68,68.89,-93.85,69,-94.06,68.78,-94.48,68.74,-94.6,68.8,-94.56,68.91,-94.09,69.12,-94.25,69.15,-94.25,69.31,-93.62,69.42,-93.82,69.25,-93.75,69.23,-93.43,69.37,-93.54,69.38,-93.53,69.48,-93.65,69.52,-94.27,69.45,-94.63,69.65,-94.82,69.58,-95.96,69.8,-96.55,70.21,-96.54,70.33,-96.3,70.51,-95.88,70.55,-95.99,70.62,-95.89,70.69,-96.26,70.64,-96.55,70.81,-96.47,71.07,-96.53,71.13,-96.42,71.18,-96.45,71.24,-96.06,71.41,-95.56,71.34,-95.41,71.49,-95.77,71.51,-95.87,71.57,-95.2,71.9,-94.61,71.99,-94.31,71.77,-93.75,71.74,-93.76,71.64,-93.03,71.34,-92.88,71.07,-92.9,70.92,-92.98,70.85,-92.36,70.64,-92.05,70.39,-92.05,70.3,-91.76,70.33,-91.57,70.18,-91.86,70.13,-92.32,70.24,-92.51,70.1,-91.98,70.04,-92.89,69.67,-92.31,69.67,-91.91,69.53,-91.2,69.65,-91.15,69.64,-91.44,69.53,-90.67,69.52,-90.42,69.46,-90.68,69.43,-90.89,69.27,-91.06,69.32,-91.24,69.29,-90.74,69.11,-90.48,68.88,-90.54,68.82,-90.51,68.69,-90.58,68.48,-90.25,68.27,-89.9,68.49,-89.9,68.59,-89.67,69.02,-89.28,69.26,-89.06,69.27,-88.04,68.81,-87.81,68.35,-87.89,68.25,-88.11,68.25,-88.24,68.34,-88.35,68.29,-88.31,67.95,-88.2,67.77,-87.5,67.36,-87.36,67.18,-86.56,67.48,-86.4,67.8,-85.95,68.07,-85.73,68.44,-85.69,68.67,-85.49,68.77,-84.87,68.77,-85.11,68.84,-85.09,68.91,-84.92,68.96,-84.86,69.07,-85.39,69.23,-85.42,69.55,-85.5,69.65,-85.45,69.78,-85.51,69.85,-84.32,69.84,-83.67,69.7,-82.37,69.64,-82.5,69.53,-82.76,69.49,-82.31,69.41,-82.23,69.25,-81.95,69.28,-81.38,69.19,-81.33,69.12,-81.96,68.88,-81.38,68.85,-81.25,68.74,-81.28,68.66,-81.91,68.46,-82.21,68.51,-82.55,68.45,-82.22,68.15,-82.01,68.19,-82.1,68.02,-82.06,67.93,-81.29,67.5,-81.3,67.36,-81.47,67.07,-81.92,66.97,-82.2,66.76,-83.41,66.37,-83.59,66.39,-84,66.73,-84.33,66.78,-84.36,66.82,-84.27,66.84,-84.54,66.97,-84.85,67.03,-85.11,66.91,-85.02,66.87,-84.74,66.93,-84.22,66.68,-83.83,66.29,-83.8,66.24,-83.87,66.21,-84.29,66.29,-84.48,66.18,-84.63,66.21,-85.1,66.32,-85.44,66.54,-85.6,66.57,-86.71,66.52,-86.69,66.46,-86.75,66.42,-86.68,66.36,-86,66.19,-85.96,66.12,-86.04,66.02,-87.08,65.44,-87.45,65.34,-87.97,65.35,-88.74,65.68,-89.75,65.94,-89.95,65.93,-89.85,65.87,-89.89,65.87,-91.43,65.95,-91.04,65.83,-91.06,65.9,-90.98,65.92,-89.92,65.78,-88.97,65.35,-87.03,65.2,-87.03,65.06,-87.28,64.83,-88.11,64.18,-88.82,63.99,-89.2,64.11,-89.13,63.97,-89.62,64.03,-89.81,64.18,-90.04,64.14,-89.86,63.96,-90.17,63.98,-90.01,63.8,-90.15,63.69,-90.37,63.63,-90.6,63.66,-90.81,63.58,-91.93,63.76,-91.98,63.82,-92.2,63.78,-92.55,63.83,-93.43,64.03,-93.7,64.15,-93.6,64.04,-93.66,63.94,-93.56,63.86,-93.27,63.84,-93.38,63.95,-92.16,63.69,-92.47,63.56,-91.84,63.7,-90.97,63.44,-90.71,63.3,-90.7,63.06,-90.78,62.97,-91.45,62.8,-92.03,62.86,-92.36,62.82,-92.31,62.71,-91.96,62.64,-91.94,62.59,-92.01,62.54,-92.27,62.59,-92.55,62.55,-92.77,62.35,-92.53,62.17,-93.21,62.36,-92.9,62.22,-93.07,62.15,-93.02,62.09,-93.07,62.06,-93.35,62.03,-93.28,61.96,-93.33,61.93,-93.58,61.94,-93.31,61.77,-93.91,61.48,-93.89,61.34,-94.09,61.3,-94.07,61.14,-94.51,60.6,-94.76,60.5,-94.65,60.42,-94.79,59.95,-94.79,59.27,-94.87,59.09,-94.96,59.07,-94.78,59.02,-94.67,58.87,-94.29,58.72,-94.33,58.3,-94.12,58.74,-93.78,58.77,-93.18,58.73,-93.1,58.49,-92.43,57.32,-92.61,57.04,-92.8,56.92,-92.46,57.04,-92.3,57.05,-92.36,56.97,-91.11,57.24,-90.59,57.22,-89.79,56.98,-88.83,56.81,-88.08,56.47,-87.48,56.02,-85.68,55.6,-85.22,55.35,-85.37,55.08,-85.06,55.29,-83.91,55.31,-82.99,55.23,-82.39,55.07,-82.22,54.81,-82.42,54.24,-82.24,54.04,-82.14,53.82,-82.19,53.61,-82.16,53.26,-82.29,53.03,-81.6,52.43,-81.61,52.32,-81.83,52.22,-81.47,52.2,-80.66,51.76,-80.44,51.39,-80.85,51.12,-80.48,51.31,-80.1,51.28,-79.84,51.17,-79.35,50.76,-79.71,51.12,-79.69,51.35,-79.5,51.57,-79.3,51.62,-79.26,51.55,-79.04,51.46,-78.9,51.2,-78.86,51.38,-78.73,51.5,-78.98,51.78,-78.45,52.26,-78.53,52.31,-78.56,52.49,-78.75,52.66,-78.72,52.86,-78.9,53.04,-79.1,53.66,-79.04,53.82,-78.94,53.84,-79.08,53.93,-79.01,54.02,-79.24,54.1,-79.14,54.17,-79.36,54.26,-79.6,54.6,-79.71,54.67,-78.48,55.01,-77.78,55.29,-77.16,55.66,-76.76,56,-76.55,56.36,-76.52,56.89,-76.57,57.18,-76.89,57.76,-77.16,58.02,-78.46,58.6,-78.51,58.68,-78.43,58.9,-77.76,59.38,-77.86,59.48,-77.75,59.56,-77.73,59.68,-77.35,59.58,-77.49,59.68,-77.33,59.8,-77.37,59.93,-77.29,60.02,-77.59,60.09,-77.45,60.15,-77.68,60.43,-77.5,60.54,-77.79,60.64,-77.6,60.82,-78.18,60.82,-77.73,61.21,-77.74,61.44,-77.51,61.56,-78.02,61.83,-78.14,62.11,-78.13,62.28,-77.9,62.43,-77.37,62.57,-76.88,62.52,-75.67,62.25,-75.79,62.18,-75.34,62.31,-74.63,62.11,-74.69,62.18,-74.64,62.21,-73.71,62.47,-72.88,62.13,-72.69,62.13,-72.63,62.03,-72.77,61.84,-72.51,61.92,-72.23,61.83,-72.04,61.68,-72.21,61.59,-71.87,61.69,-71.64,61.62,-71.62,61.57,-71.85,61.44,-71.65,61.41,-71.74,61.34,-71.42,61.16,-70.72,61.06,-70.28,61.07,-70.16,61.02,-70.09,60.88,-69.99,60.86,-69.71,60.92,-69.62,61.05,-69.47,61.01,-69.4,60.85,-69.64,60.69,-69.75,60.49,-69.74,60.33,-69.63,60.22,-69.67,60.08,-69.96,60.02,-70.66,60.03,-69.73,59.92,-69.58,59.68,-69.69,59.49,-69.68,59.34,-69.35,59.3,-69.45,59.18,-69.41,59.09,-69.53,58.87,-69.65,58.82,-69.78,58.96,-69.87,58.86,-70.16,58.76,-69.79,58.69,-69.27,58.88,-68.7,58.9,-68.38,58.74,-68.23,58.48,-68.36,58.16,-68.47,58.08,-69.04,57.9,-68.41,58.05,-68.18,58.4,-68.02,58.48,-67.89,58.3,-68.06,58.14,-67.75,58.4,-67.68,57.99,-67.57,58.21,-66.72,58.49,-66.36,58.79,-66.09,58.66,-66,58.43,-65.92,58.57,-66.04,58.82,-65.85,58.85,-65.92,58.92,-65.84,58.98,-65.7,58.97,-65.72,59.02,-65.38,59.06,-65.64,59.13,-65.7,59.21,-65.61,59.21,-65.51,59.35,-65.41,59.31,-65.48,59.47,-65.04,59.39,-65.41,59.54,-65.49,59.65,-65.43,59.78,-65.29,59.82,-65.03,59.77,-65.16,59.83,-65.17,59.91,-64.82,60.33,-64.5,60.27,-64.42,60.17,-64.77,60.01,-64.28,60.06,-64.18,59.97,-64.23,59.74,-64.06,59.82,-63.75,59.51,-63.95,59.38,-63.78,59.35,-63.78,59.28,-63.54,59.33,-63.42,59.19,-63.65,59.08,-63.97,59.05,-63.25,59.07,-63.31,59.03,-63.21,58.93,-63.28,58.87,-63.05,58.88,-62.87,58.67,-63.39,58.45,-63.54,58.33,-63.21,58.47,-63.13,58.41,-62.61,58.5,-62.67,58.32,-62.81,58.2,-63.26,58.01,-62.49,58.15,-62.3,57.97,-61.96,57.91,-61.9,57.86,-61.99,57.77,-61.93,57.67,-61.97,57.61,-62.49,57.49,-61.92,57.42,-61.85,57.37,-61.98,57.25,-61.63,57.18,-61.33,57.01,-61.37,56.68,-62.06,56.7,-62.38,56.79,-62.3,56.83,-62.5,56.8,-61.74,56.53,-62.01,56.45,-61.94,56.42,-61.43,56.36,-61.71,56.29,-61.71,56.23,-61.36,56.22,-61.3,56.05,-61.45,56,-61.19,55.96,-61.09,55.87,-60.74,55.94,-60.56,55.73,-60.48,55.8,-60.34,55.79,-60.41,55.65,-60.19,55.48,-60.62,55.06,-60.21,55.24,-59.76,55.31,-59.69,55.2,-59.44,55.18,-59.84,54.81,-59.26,55.2,-59,55.15,-58.78,54.84,-58.4,54.77,-58.2,54.87,-57.96,54.88,-57.93,54.77,-57.83,54.72,-57.4,54.59,-57.7,54.39,-58.15,54.35,-58.43,54.23,-58.63,54.05,-58.92,54.03,-59.5,53.83,-59.82,53.83,-60.06,53.73,-60.14,53.6,-60.4,53.65,-60.1,53.49,-60.29,53.39,-60.25,53.34,-60.33,53.27,-60.15,53.31,-59.83,53.5,-59.32,53.64,-58.65,53.98,-57.93,54.1,-58.32,54.11,-58.36,54.16,-58.31,54.2,-57.42,54.16,-57.13,53.79,-57.52,53.61,-57.42,53.58,-57.33,53.47,-56.84,53.74,-56.53,53.77,-56.35,53.62,-56.11,53.59,-55.96,53.47,-55.8,53.21,-55.89,53,-55.83,52.88,-55.87,52.74,-55.8,52.64,-56.32,52.54,-55.74,52.47,-55.71,52.43,-55.78,52.36,-56.01,52.39,-55.67,52.19,-56.02,51.93,-56.98,51.46,-57.46,51.47,-58.02,51.32,-58.51,51.29,-59.16,50.78,-59.82,50.42,-59.88,50.32,-60.08,50.25,-60.81,50.25,-61.72,50.1,-61.92,50.23,-62.71,50.3,-63.14,50.29,-63.24,50.24,-63.86,50.32,-64.17,50.27,-65.27,50.32,-65.76,50.26,-65.95,50.29,-66.13,50.2,-66.41,50.22,-66.94,49.99,-67.37,49.35,-68.28,49.2,-68.22,49.15,-68.54,49.06,-68.93,48.83,-69.37,48.39,-69.67,48.2,-71.02,48.46,-70.84,48.37,-70.5,48.35,-69.97,48.21,-69.77,48.1,-69.99,47.74,-70.45,47.42,-70.71,47.14,-71.27,46.8,-71.88,46.69,-72.2,46.56,-72.68,46.29,-72.98,46.21,-73.47,45.74,-73.71,45.71,-74.04,45.5,-74.31,45.53,-74,45.43,-73.98,45.35,-74.71,45,-75,44.97,-75.4,44.77,-76.46,44.06,-76.82,43.63,-78.85,43.58,-79.17,43.47,-79.06,43.28,-79.03,43.02,-78.91,42.91,-79.04,42.8,-80.25,42.37,-81.28,42.21,-82.44,41.68,-82.69,41.68,-83.03,41.83,-83.14,41.98,-83.15,42.14,-83.07,42.3,-82.55,42.62,-82.41,43.07,-82.14,43.57,-82.55,45.35,-83.59,45.82,-83.47,45.99,-83.62,46.12,-83.98,46.08,-84.09,46.23,-84.15,46.54,-84.56,46.46,-84.78,46.64,-84.88,46.9,-88.38,48.3,-89.46,48,-89.9,48,-90.09,48.12,-90.74,48.11,-90.92,48.21,-91.52,48.06,-92,48.3,-92.17,48.34,-92.41,48.28,-92.5,48.44,-93,48.61,-93.38,48.62,-93.71,48.53,-94.06,48.66,-94.62,48.74,-94.81,49,-94.86,49.3,-95.15,49.37,-95.16,48.99,-122.79,48.99,-122.96,49.07,-123.08,48.98,-123.08,49.13,-123.18,49.13,-123.23,49.26,-122.95,49.29,-122.88,49.4,-123.02,49.32,-123.28,49.34,-123.19,49.68,-123.32,49.58,-123.34,49.46,-123.53,49.4,-123.89,49.49,-124.03,49.6,-123.99,49.74,-123.82,49.59,-123.58,49.68,-123.76,49.66,-123.88,49.74,-123.9,49.98,-123.79,50.09,-123.83,50.15,-123.95,50.18,-123.86,50.07,-123.98,49.88,-124.28,49.77,-124.48,49.81,-124.78,50.02,-125.06,50.42,-124.86,50.64,-124.86,50.87,-125.06,50.51,-125.48,50.5,-125.54,50.65,-125.64,50.47,-126.09,50.5,-126.41,50.53,-126.45,50.59,-125.91,50.7,-126.51,50.68,-126.37,50.84,-126.52,50.87,-126.52,51.06,-126.63,50.92,-127.06,50.87,-127.36,50.95,-127.71,51.15,-127.69,51.34,-127.42,51.61,-126.69,51.7,-127.34,51.71,-127.44,51.68,-127.64,51.48,-127.71,51.49,-127.87,51.78,-127.73,51.99,-127.86,51.99,-127.8,52.19,-127.24,52.39,-126.71,52.06,-126.94,52.31,-127.13,52.37,-127.19,52.46,-127.19,52.54,-126.95,52.72,-127.02,52.84,-127.07,52.65,-127.52,52.36,-127.84,52.25,-128.1,51.79,-128.19,52,-128.36,52.16,-128.04,52.32,-128.05,52.45,-127.94,52.55,-128.27,52.36,-128.05,52.91,-128.36,52.83,-128.45,52.88,-128.52,53.14,-128.65,53.24,-129.08,53.37,-129.17,53.53,-129.02,53.69,-128.85,53.7,-128.9,53.56,-128.54,53.42,-128.13,53.42,-127.93,53.28,-128.21,53.48,-128.51,53.48,-128.67,53.55,-128.76,53.75,-128.53,53.86,-128.7,53.92,-128.96,53.84,-129.21,53.64,-129.26,53.42,-129.56,53.25,-129.82,53.41,-129.91,53.55,-130.33,53.72,-130.09,53.98,-130.04,54.13,-129.62,54.23,-130.09,54.18,-130.29,54.27,-130.43,54.42,-130.35,54.66,-130.22,54.73,-129.89,55.16,-129.56,55.46,-129.7,55.44,-129.79,55.56,-129.84,55.32,-130.05,55.06,-130.09,55.11,-129.98,55.36,-130.1,55.7,-130.02,55.89]],[[-109.82,78.65,-109.47,78.57,-109.34,78.46,-109.35,78.37,-109.49,78.32,-110.42,78.29,-111.17,78.39,-111.52,78.28,-112.13,78.37,-113.17,78.28,-113.29,78.33,-112.86,78.47,-111.71,78.57,-110.88,78.74,-110.41,78.76,-109.82,78.65]],[[-110.46,78.1,-109.62,78.06,-109.77,77.96,-110.86,77.83,-110.15,77.76,-110.12,77.62,-110.2,77.53,-111.95,77.34,-112.37,77.36,-113.17,77.53,-113.21,77.58,-113.12,77.63,-113.28,77.81,-113.19,77.91,-112.3,78.01,-110.46,78.1]],[[-115.55,77.36,-115.47,77.31,-116.33,77.14,-115.81,76.94,-116.25,76.9,-115.94,76.71,-116.22,76.61,-117,76.53,-117.05,76.37,-117.23,76.28,-117.49,76.27,-117.99,76.41,-117.96,76.57,-117.78,76.78,-117.88,76.8,-118.3,76.74,-118.47,76.55,-118.79,76.51,-118.8,76.46,-118.62,76.37,-118.99,76.15,-119.17,76.13,-119.58,76.33,-119.65,76.28,-119.64,76.16,-119.74,76.12,-119.55,76.05,-119.54,75.98,-119.91,75.86,-120.41,75.83,-120.56,76.01,-120.85,76.18,-121.02,76.02,-121.22,75.98,-121.91,76.03,-122.4,75.94,-122.64,76.01,-122.55,76.08,-122.59,76.16,-122.9,76.13,-122.42,76.39,-121.56,76.45,-121.1,76.66,-120.48,76.79,-120.31,76.9,-119.09,77.3,-118,77.38,-117.42,77.32,-116.84,77.34,-116.7,77.38,-117.04,77.46,-116.51,77.55,-115.55,77.36]],[[-108.29,76.06,-107.85,76.06,-107.72,76,-108.02,75.8,-107.54,75.9,-107.21,75.89,-107.05,75.84,-106.91,75.68,-106.89,75.78,-106.69,75.81,-106.86,75.93,-106.68,76.02,-106.4,76.06,-105.9,76.01,-105.61,75.93,-105.48,75.7,-105.86,75.19,-106.09,75.09,-107.15,74.93,-107.82,75,-108.47,74.95,-108.75,74.99,-108.63,75.02,-108.83,75.07,-109.5,74.88,-110.39,74.81,-110.94,74.64,-112.52,74.42,-113.51,74.43,-114.38,74.67,-114.13,74.77,-112.84,74.98,-111.67,75.02,-111.03,75.23,-111.18,75.26,-112.21,75.13,-112.6,75.21,-112.95,75.11,-113.71,75.07,-113.85,75.11,-113.85,75.26,-113.47,75.42,-113.88,75.38,-114.01,75.43,-114.17,75.24,-114.52,75.28,-114.36,75.17,-114.45,75.09,-115.02,74.98,-115.41,75.12,-115.73,74.97,-116.48,75.17,-117.01,75.16,-117.5,75.2,-117.6,75.27,-117.26,75.46,-116.08,75.49,-115.14,75.68,-116.43,75.59,-117.16,75.65,-116.8,75.77,-114.99,75.9,-116.34,75.88,-116.66,75.96,-116.55,76.02,-116.59,76.1,-116.21,76.19,-114.78,76.17,-115.83,76.3,-115.58,76.44,-115,76.5,-114.19,76.45,-114.06,76.3,-113.82,76.21,-113.17,76.26,-112.7,76.2,-111.87,75.94,-112.06,75.83,-111.55,75.82,-111.28,75.61,-111.05,75.55,-109.09,75.51,-108.95,75.54,-108.92,75.67,-109.8,75.86,-109.87,75.93,-109.45,76.02,-109.43,76.11,-110.2,76.29,-110.31,76.4,-109.34,76.76,-108.83,76.82,-108.47,76.74,-108.63,76.59,-108.51,76.44,-108.19,76.33,-108.12,76.23,-108.41,76.08,-108.29,76.06]],[[-114.52,72.59,-113.58,72.65,-113.5,72.69,-113.45,72.86,-113.08,73,-112.05,72.89,-111.27,72.71,-111.35,72.57,-111.89,72.36,-111.67,72.3,-111.31,72.45,-111.25,72.45,-111.27,72.36,-111.14,72.37,-110.78,72.53,-110.21,72.66,-110.2,72.76,-110.56,72.86,-110.69,72.94,-110.66,73.01,-110.01,72.98,-109.12,72.73,-108.97,72.65,-108.99,72.6,-108.76,72.55,-108.19,71.72,-107.81,71.63,-107.35,71.82,-107.38,71.89,-107.3,71.9,-107.7,72.15,-108.24,73.15,-107.93,73.22,-108.08,73.28,-108.03,73.35,-107.11,73.19,-106.95,73.28,-106.48,73.2,-105.81,73.01,-105.41,72.79,-105.23,72.41,-104.88,71.98,-104.38,71.58,-104.36,71.38,-104.56,71.13,-104.51,71.06,-103.59,70.63,-103.08,70.51,-103,70.54,-103.08,70.62,-103.05,70.65,-101.99,70.28,-101.64,70.27,-101.56,70.14,-101.09,70.14,-100.97,70.03,-100.91,69.81,-100.94,69.72,-101.04,69.67,-101.34,69.71,-101.48,69.85,-101.65,69.7,-102.24,69.84,-102.6,69.72,-102.53,69.62,-102.62,69.55,-103.43,69.67,-103.42,69.61,-103.05,69.47,-103.12,69.2,-102.45,69.48,-102.15,69.49,-101.98,69.43,-102.07,69.34,-102.04,69.26,-101.79,69.18,-101.86,69.02,-102.89,68.82,-103.47,68.81,-104.35,68.93,-104.57,68.87,-105.1,68.92,-105.17,68.95,-105.02,69.08,-106.14,69.16,-106.34,69.22,-106.34,69.34,-106.42,69.41,-106.66,69.44,-107.03,69.18,-107.44,69,-108.37,68.94,-109.47,68.68,-113.02,68.48,-113.23,68.53,-113.55,68.77,-113.69,69.19,-114.32,69.27,-115.62,69.28,-116.51,69.43,-117.1,69.8,-117.19,70.05,-116.55,70.18,-114.59,70.31,-112.64,70.23,-111.63,70.31,-112.11,70.45,-113.76,70.69,-115.99,70.59,-117.59,70.63,-118.38,70.97,-117.81,71.16,-115.89,71.38,-116.05,71.42,-115.98,71.47,-115.3,71.49,-115.59,71.55,-117.94,71.39,-118.23,71.47,-117.88,71.56,-117.74,71.66,-118.58,71.65,-118.87,71.69,-118.99,71.76,-118.94,71.99,-118.59,72.17,-118.21,72.26,-118.48,72.43,-118.37,72.53,-117.55,72.83,-116.57,73.06,-114.64,73.37,-114.21,73.3,-114.05,73.07,-114.08,72.91,-114.52,72.59]],[[-119.74,74.11,-119.47,74.2,-119.21,74.2,-119.12,74.02,-118.54,74.24,-117.51,74.23,-115.63,73.67,-115.39,73.5,-115.52,73.42,-118.96,72.68,-119.51,72.3,-120.18,72.21,-120.44,71.63,-120.62,71.51,-121.47,71.39,-121.75,71.44,-122.16,71.27,-122.84,71.1,-123.09,71.09,-123.31,71.17,-123.68,71.49,-124.01,71.68,-125.3,71.97,-125.84,71.98,-125.76,72.14,-125.59,72.18,-125.63,72.25,-124.99,72.59,-125.03,72.65,-124.97,72.84,-124.57,72.94,-124.59,73,-124.82,73.06,-124.8,73.13,-124.42,73.42,-124.11,73.53,-124.03,73.64,-123.8,73.77,-124.19,73.9,-124.7,74.35,-121.5,74.54,-119.94,74.25,-119.56,74.23,-119.74,74.11]],[[-69.49,83.02,-66.42,82.93,-66.84,82.82,-68.47,82.65,-67.4,82.67,-65.73,82.84,-65.3,82.8,-65.11,82.89,-64.9,82.9,-64.5,82.78,-63.99,82.83,-63.5,82.79,-63.64,82.71,-63.09,82.56,-63.25,82.45,-62.48,82.52,-61.7,82.49,-61.48,82.47,-61.21,82.34,-62.18,82.04,-64.44,81.74,-65.23,81.74,-65.7,81.64,-66.62,81.62,-66.92,81.49,-68.69,81.29,-68.72,81.26,-68.54,81.25,-65.73,81.49,-64.78,81.49,-65.48,81.29,-68.63,80.68,-69.55,80.38,-70.14,80.4,-70.71,80.54,-70.21,80.28,-70.26,80.23,-72.06,80.12,-71.62,80.07,-70.76,80.12,-70.56,80.07,-71.35,79.91,-71.11,79.85,-71.39,79.76,-72.44,79.69,-73.45,79.83,-74.39,79.87,-74.66,79.84,-73.47,79.76,-73.2,79.6,-73.47,79.5,-75.5,79.41,-76.9,79.51,-75.6,79.24,-74.48,79.23,-74.53,79.05,-75.23,79.04,-75.91,79.12,-78.58,79.08,-77.88,78.94,-76.25,79.01,-75.79,78.89,-75.1,78.86,-74.43,78.72,-74.55,78.62,-74.88,78.54,-76.42,78.51,-75.19,78.33,-75.55,78.22,-75.97,77.99,-76.97,77.93,-78.01,77.95,-78.08,77.85,-78.08,77.52,-78.49,77.37,-80.57,77.32,-81.66,77.53,-81.28,77.37,-82.06,77.3,-81.76,77.2,-81.12,77.27,-80.22,77.15,-79.5,77.2,-79.34,77.16,-79.27,77.03,-79.32,76.98,-79.22,76.94,-78.79,76.88,-78.29,76.98,-78,76.85,-77.98,76.75,-78.28,76.57,-79.51,76.31,-80.8,76.17,-81,76.21,-80.83,76.37,-80.97,76.47,-81.72,76.49,-82.04,76.63,-82.53,76.72,-82.26,76.57,-82.23,76.47,-83.89,76.45,-84.22,76.67,-84.28,76.36,-85.14,76.3,-85.68,76.35,-86.11,76.44,-86.45,76.58,-86.68,76.38,-87.35,76.45,-87.49,76.59,-87.5,76.39,-88.4,76.41,-88.49,76.77,-88.61,76.65,-88.54,76.42,-89.57,76.49,-89.5,76.83,-88.56,77.07,-86.81,77.19,-87.68,77.44,-88.09,77.72,-88.02,77.78,-87.23,77.89,-86.76,77.86,-86.17,77.75,-85.59,77.46,-84.49,77.37,-83.61,77.44,-82.9,77.73,-82.59,77.99,-83.43,77.62,-83.78,77.53,-84.49,77.56,-84.86,77.5,-85.29,77.56,-85.29,77.76,-85.55,77.93,-84.62,78.2,-84.22,78.18,-84.55,78.25,-84.91,78.24,-84.78,78.53,-85.02,78.31,-85.59,78.11,-86.22,78.08,-85.92,78.34,-86.91,78.13,-87.55,78.18,-87.49,78.42,-86.81,78.77,-85,78.91,-83.27,78.77,-82.99,78.84,-82.15,78.86,-81.75,78.98,-82.44,78.9,-84.41,79,-84.57,79.07,-84.26,79.12,-83.58,79.05,-84.2,79.22,-85.27,79.66,-86.03,79.72,-86.42,79.84,-86.49,80.02,-86.62,80.12,-86.5,80.26,-86.31,80.32,-83.72,80.23,-82.68,79.99,-81.69,79.69,-80.48,79.61,-80.12,79.67,-81.01,79.69,-82.68,80.17,-82.99,80.32,-80.98,80.45,-78.39,80.78,-76.86,80.87,-78.72,80.95,-78.63,81.04,-78.29,81.17,-76.88,81.43,-77.97,81.33,-78.73,81.15,-79.2,81.12,-79.76,80.84,-81.01,80.66,-82.89,80.58,-82.22,80.77,-82.5,80.76,-83.4,80.71,-84.22,80.54,-85.15,80.52,-86.62,80.63,-86.25,80.79,-85.25,80.99,-83.35,81.1,-83.29,81.15,-85.78,81.04,-87.33,80.67,-87.71,80.66,-89.06,80.83,-89.26,80.91,-88.41,81,-86.48,81.04,-84.94,81.29,-85.4,81.29,-87.27,81.08,-89.62,81.03,-89.98,81.12,-89.95,81.17,-89.21,81.25,-89.68,81.33,-89.43,81.39,-88.62,81.5,-87.6,81.53,-88.48,81.57,-90.31,81.4,-90.61,81.43,-89.82,81.63,-90.63,81.66,-91.29,81.57,-91.68,81.64,-90.94,81.83,-89.38,81.92,-88.06,82.1,-87.64,82.09,-87.02,81.96,-86.63,82.05,-85.65,81.95,-85.05,81.98,-86.62,82.22,-84.9,82.45,-83.59,82.33,-82.63,82.08,-82.33,82.09,-82.75,82.2,-82.54,82.25,-79.43,81.85,-80.13,82.03,-81.47,82.19,-82.45,82.39,-82.27,82.46,-81.68,82.52,-82.12,82.63,-80.81,82.59,-81.18,82.75,-81.01,82.78,-78.75,82.68,-79.83,82.82,-80.16,82.91,-79.89,82.94,-77.48,82.88,-76.01,82.54,-75.57,82.61,-77.13,83.01,-74.41,83.01,-73.27,82.77,-72.66,82.72,-73.23,82.84,-73.44,82.95,-72.81,83.08,-72.07,83.11,-70.94,82.9,-71.42,83.02,-70.87,83.1,-69.97,83.12,-69.49,83.02]],[[-95.49,77.79,-93.47,77.76,-93.13,77.66,-93.34,77.63,-93.55,77.47,-93.84,77.45,-95.99,77.48,-96.28,77.63,-96.14,77.71,-95.49,77.79]],[[-93.54,75.03,-93.46,74.86,-93.57,74.67,-94.54,74.64,-95.29,74.79,-95.87,74.83,-96.09,74.93,-96.3,74.93,-96.39,75,-96.56,74.99,-96.6,75.06,-96.38,75.21,-96.18,75.24,-96.13,75.36,-95.95,75.44,-94.88,75.63,-94.43,75.59,-93.91,75.42,-93.5,75.14,-93.54,75.03]],[[-100,73.95,-99.16,73.73,-97.67,73.89,-97.11,73.79,-97,73.67,-97.63,73.5,-97.35,73.48,-97.23,73.42,-97.27,73.39,-97.8,73.29,-98.38,73.04,-98.43,72.96,-97.63,73.03,-97.33,72.94,-97.38,72.86,-97.08,72.76,-97.13,72.63,-96.54,72.7,-96.45,72.55,-96.47,72.43,-96.8,72.32,-96.59,72.2,-96.77,72.05,-96.62,71.97,-96.61,71.83,-97.58,71.63,-98.18,71.66,-98.28,71.71,-98.32,71.85,-98.46,71.77,-98.23,71.56,-98.2,71.44,-98.66,71.3,-99.17,71.37,-99.73,71.76,-100.59,72.15,-100.98,72.21,-101.21,72.32,-101.72,72.32,-101.97,72.49,-102.4,72.6,-102.71,72.77,-102.55,72.98,-102.2,73.08,-101.92,73.06,-101.27,72.72,-100.49,72.77,-100.4,72.98,-100.13,72.91,-100.1,72.96,-100.24,73.1,-100.53,73.14,-100.54,73.2,-100.34,73.27,-99.82,73.21,-100.37,73.36,-100.89,73.28,-101.52,73.49,-101.32,73.57,-100.98,73.6,-100.52,73.45,-100.61,73.58,-100.9,73.66,-100.99,73.77,-100.48,73.84,-99.99,73.79,-99.91,73.85,-100.23,73.89,-100,73.95]],[[-84.92,65.26,-84.5,65.46,-84.08,65.22,-83.49,65.13,-83.22,64.97,-82.67,64.78,-82.05,64.64,-81.79,64.43,-81.68,64.21,-81.68,64.15,-81.89,64.02,-81.34,64.08,-81.02,64.03,-80.83,64.09,-80.57,63.93,-80.67,63.9,-80.26,63.8,-81.05,63.46,-82.38,63.71,-82.47,63.93,-83.03,64.02,-83.02,64.13,-83.07,64.16,-83.3,64.14,-83.58,64.06,-83.73,63.81,-84.31,63.59,-84.63,63.31,-85.39,63.12,-85.5,63.14,-85.77,63.7,-86.58,63.66,-86.91,63.57,-87.18,63.6,-87.16,63.72,-86.93,63.9,-86.25,64.14,-86.37,64.57,-86.19,65.01,-86.08,65.53,-85.81,65.83,-85.55,65.92,-85.24,65.8,-85.11,65.62,-85.24,65.51,-85.06,65.44,-84.92,65.26]],[[-97.7,76.47,-97.74,76.33,-97.53,76.18,-97.53,76.11,-97.65,75.98,-97.6,75.85,-97.89,75.76,-97.41,75.67,-97.34,75.42,-97.65,75.51,-97.88,75.42,-97.85,75.26,-97.66,75.15,-97.84,75.12,-98.07,75.2,-97.95,75.06,-97.99,75.05,-100.23,75.01,-100.48,75.19,-100.14,75.25,-100.73,75.35,-100.71,75.41,-100.28,75.46,-99.76,75.63,-99.19,75.7,-102.54,75.51,-102.8,75.6,-102.25,75.78,-102.15,75.87,-101.26,75.76,-100.97,75.8,-101.29,75.79,-101.5,75.92,-101.43,75.99,-101.72,76.01,-101.87,76.08,-101.56,76.24,-102.14,76.28,-101.79,76.45,-101.34,76.41,-101.14,76.34,-101.05,76.25,-99.87,75.92,-99.69,75.96,-100.11,76.12,-99.54,76.15,-100.41,76.24,-99.98,76.31,-100.89,76.48,-100.57,76.58,-100.07,76.63,-99.67,76.62,-99.17,76.45,-98.89,76.47,-99.02,76.61,-98.71,76.69,-97.7,76.47]],[[-103.43,79.32,-102.92,79.23,-102.65,79.09,-102.73,78.97,-102.6,78.94,-102.58,78.88,-102.43,78.93,-102.39,79.01,-101.7,79.08,-101.04,78.94,-101.13,78.8,-100.44,78.82,-100.01,78.73,-99.58,78.56,-99.85,78.44,-99.75,78.3,-99.13,78.12,-99,78,-99.16,77.86,-99.96,77.79,-100.59,77.89,-100.76,77.98,-100.82,78.09,-101.07,78.19,-102.06,78.28,-102.61,78.25,-102.77,78.31,-102.73,78.37,-103.95,78.26,-104.51,78.29,-104.88,78.4,-105,78.52,-104.73,78.58,-103.57,78.54,-103.48,78.59,-104.02,78.63,-103.37,78.74,-104.18,78.78,-103.88,78.9,-104.15,78.99,-104.9,78.81,-104.97,78.86,-104.75,79.03,-105.54,79.03,-105.58,79.11,-105.39,79.32,-103.43,79.32]],[[-91.89,81.13,-91.27,80.85,-90.68,80.69,-90.64,80.59,-89.86,80.5,-89.24,80.51,-89.14,80.44,-89.2,80.41,-89.15,80.36,-89.2,80.26,-88.86,80.17,-88.2,80.11,-88.38,80.22,-88.61,80.26,-88.66,80.35,-88.52,80.42,-87.67,80.37,-87.63,80.19,-87.92,80.1,-87.2,80.04,-86.98,79.89,-87.14,79.66,-87.3,79.58,-86.34,79.63,-86.18,79.61,-86.01,79.48,-85.65,79.61,-85.04,79.28,-86.96,78.97,-87.08,78.87,-87.62,78.68,-87.92,78.75,-87.96,78.89,-87.83,79.05,-88.04,79,-88.16,78.93,-88.17,78.75,-88.25,78.67,-88,78.62,-87.98,78.54,-88.15,78.48,-88.58,78.6,-88.74,78.58,-88.61,78.39,-88.79,78.19,-89.1,78.21,-90.04,78.61,-90.07,78.55,-89.49,78.17,-90.46,78.33,-90.65,78.31,-90.33,78.19,-91.41,78.19,-92.35,78.31,-92.85,78.46,-91.87,78.54,-93.27,78.61,-93.64,78.75,-93.16,78.78,-93.9,78.87,-94.17,78.97,-93.29,79.14,-92.68,79.18,-92.55,79.28,-91.3,79.37,-92.25,79.37,-92.82,79.45,-93.93,79.29,-94.11,79.32,-93.94,79.39,-94.11,79.4,-95.1,79.29,-95.73,79.42,-95.66,79.53,-94.52,79.67,-94.4,79.74,-95.3,79.65,-95.86,79.67,-96.46,79.85,-96.77,80.14,-94.65,80.05,-94.58,80.14,-94.26,80.2,-95.41,80.13,-95.65,80.23,-96.03,80.22,-96.39,80.32,-96.11,80.38,-95.55,80.37,-96.15,80.55,-96.13,80.69,-95.93,80.72,-95.23,80.69,-94.89,80.57,-93.93,80.56,-95.51,80.84,-95.27,81,-93.24,81.13,-93.41,81.21,-94.19,81.24,-94.23,81.32,-94.18,81.34,-93.03,81.35,-92.21,81.24,-91.89,81.13]],[[-94.29,76.91,-93.81,76.91,-93.21,76.75,-93.2,76.67,-93.53,76.45,-92.99,76.62,-91.31,76.68,-90.54,76.5,-91.4,76.51,-91.41,76.46,-89.29,76.3,-89.22,76.26,-89.41,76.19,-90.31,76.16,-91.41,76.22,-90.71,76.08,-90.25,76.05,-89.7,75.85,-89.28,75.79,-89.2,75.74,-89.65,75.57,-89.28,75.56,-88.92,75.45,-88.8,75.5,-88.85,75.62,-88.65,75.66,-88.2,75.51,-87.73,75.58,-87.54,75.49,-87.26,75.62,-86.81,75.49,-85.95,75.4,-85.91,75.44,-86.07,75.5,-84.61,75.65,-83.93,75.82,-83.24,75.75,-82.15,75.83,-81.27,75.76,-81.15,75.74,-81.17,75.67,-81,75.64,-80.32,75.63,-80.12,75.56,-80.26,75.48,-79.66,75.45,-79.51,75.26,-80.38,75.03,-80.14,74.99,-79.66,75.02,-79.4,74.92,-79.94,74.83,-80.35,74.9,-80.15,74.8,-80.28,74.58,-81.23,74.57,-81.94,74.47,-82.93,74.57,-83.12,74.69,-83.1,74.82,-83.52,74.9,-83.34,74.77,-83.53,74.59,-84.43,74.51,-85.06,74.61,-85.13,74.52,-85.47,74.6,-85.54,74.53,-85.81,74.5,-86.73,74.56,-86.67,74.49,-88.42,74.49,-88.56,74.57,-88.34,74.78,-88.53,74.83,-88.85,74.69,-88.94,74.79,-89.19,74.74,-89.2,74.64,-89.56,74.56,-90.55,74.61,-90.97,74.71,-90.88,74.82,-91.13,74.74,-91.13,74.65,-91.51,74.65,-91.96,74.79,-92.17,75.05,-92.08,75.12,-92.39,75.26,-92.41,75.41,-92.07,75.66,-92.18,75.85,-93.09,76.35,-93.66,76.27,-95.27,76.26,-95.45,76.36,-96.04,76.49,-95.65,76.58,-95.97,76.57,-96.9,76.75,-96.88,76.8,-96.4,76.8,-96.77,76.89,-96.81,76.91,-96.76,76.97,-95.85,77.07,-94.29,76.91]],[[-96.21,78.53,-95.56,78.52,-94.92,78.39,-94.89,78.34,-95.33,78.22,-94.93,78.08,-95.2,77.97,-96.99,77.81,-97.06,77.86,-97.02,77.91,-97.43,77.98,-97.66,78.09,-96.94,78.15,-97.82,78.23,-98.05,78.33,-98.07,78.39,-98.32,78.48,-98.06,78.56,-98.34,78.75,-98.21,78.8,-97.38,78.78,-96.48,78.67,-96.21,78.53]],[[-93.17,74.16,-92.22,73.97,-91.09,74.01,-90.36,73.87,-90.56,73.69,-90.94,73.53,-91.25,73.3,-91.55,73.24,-91.42,73.2,-91.79,72.92,-92.12,72.75,-92.39,72.72,-93.34,72.8,-94.21,72.76,-93.77,72.67,-93.55,72.53,-93.54,72.44,-93.87,72.25,-94.04,72.03,-94.14,72,-95.19,72.03,-95.17,72.18,-95.25,72.5,-95.6,72.88,-95.63,73.7,-95.38,73.75,-94.7,73.66,-95.06,73.81,-95.15,73.91,-95.12,73.99,-94.97,74.04,-93.17,74.16]],[[-97.44,69.64,-97.24,69.67,-96.3,69.34,-95.75,68.9,-95.59,68.83,-95.37,68.89,-95.27,68.83,-96.4,68.47,-96.6,68.46,-97.47,68.54,-98.24,68.74,-98.32,68.84,-98.7,68.8,-98.91,68.93,-99.25,68.86,-99.44,68.92,-99.56,69.03,-99.46,69.13,-98.91,69.17,-98.5,69.31,-98.45,69.35,-98.56,69.46,-98.45,69.48,-98.55,69.57,-98.04,69.46,-98.3,69.67,-98.24,69.78,-98.08,69.83,-97.69,69.84,-97.41,69.74,-97.44,69.64]],[[-61.11,45.94,-60.86,45.98,-61.04,45.88,-60.97,45.84,-61.09,45.75,-61.06,45.7,-60.74,45.75,-60.46,45.97,-60.73,45.96,-60.57,46.06,-60.5,46.2,-60.3,46.31,-60.23,46.2,-59.87,46.16,-59.94,46.02,-59.83,45.96,-60.39,45.65,-60.67,45.59,-61.29,45.57,-61.45,45.72,-61.49,45.94,-61.41,46.17,-60.87,46.8,-60.49,47.01,-60.41,47,-60.33,46.74,-60.49,46.27,-60.58,46.17,-61.11,45.94]],[[-67.12,45.17,-67.37,45.17,-67.47,45.28,-67.43,45.38,-67.5,45.47,-67.42,45.53,-67.43,45.6,-67.8,45.73,-67.81,47.08,-68.31,47.36,-68.94,47.21,-69.05,47.27,-69.05,47.43,-69.24,47.46,-70.01,46.71,-70.07,46.44,-70.25,46.25,-70.3,45.91,-70.42,45.74,-70.7,45.55,-70.69,45.43,-70.8,45.4,-70.86,45.27,-71,45.34,-71.13,45.26,-71.33,45.29,-71.52,45.01,-74.71,45,-73.76,45.4,-73.56,45.42,-73.16,46.01,-72.73,46.18,-72.11,46.55,-71.26,46.76,-70.52,47.03,-70.07,47.38,-69.47,47.97,-68.82,48.37,-68.24,48.63,-66.6,49.13,-65.52,49.27,-64.83,49.19,-64.57,49.11,-64.22,48.87,-64.21,48.81,-64.51,48.84,-64.24,48.69,-64.26,48.55,-64.35,48.42,-64.63,48.36,-64.82,48.2,-65.26,48.02,-65.48,48.03,-65.93,48.19,-66.08,48.1,-66.45,48.12,-66.7,48.02,-66.36,48.06,-65.85,47.91,-65.61,47.67,-65,47.85,-65.05,47.79,-64.7,47.73,-64.85,47.57,-64.91,47.37,-65.32,47.1,-65.19,47.05,-64.83,47.06,-64.91,46.89,-64.82,46.7,-64.73,46.67,-64.65,46.36,-64.54,46.24,-63.92,46.17,-63.83,46.11,-64.06,46.02,-63.7,45.86,-63.51,45.87,-63.29,45.75,-62.7,45.74,-62.75,45.65,-62.48,45.62,-61.95,45.87,-61.77,45.66,-61.49,45.69,-61.35,45.57,-61.28,45.44,-61.46,45.37,-61.11,45.35,-61.03,45.29,-63.3,44.64,-63.6,44.68,-63.55,44.54,-63.61,44.48,-63.82,44.51,-64,44.65,-64.1,44.49,-64.17,44.59,-64.29,44.55,-64.34,44.44,-64.28,44.33,-64.86,43.87,-65.09,43.73,-65.23,43.73,-65.33,43.67,-65.35,43.55,-65.48,43.52,-65.74,43.56,-65.89,43.79,-65.98,43.82,-66.04,43.74,-66.13,43.81,-66.19,44.14,-66.1,44.37,-65.87,44.57,-66.15,44.44,-66.09,44.5,-65.92,44.62,-65.62,44.68,-65.5,44.76,-65.73,44.7,-64.9,45.12,-64.45,45.26,-64.41,45.31,-64.45,45.34,-64.33,45.31,-64.36,45.14,-64.14,45.02,-64.18,45.15,-64.09,45.22,-63.37,45.36,-64.6,45.41,-64.75,45.32,-64.87,45.36,-64.91,45.37,-64.83,45.48,-64.32,45.84,-64.48,45.81,-64.63,45.95,-64.59,45.81,-64.78,45.64,-65.89,45.22,-66.11,45.32,-66.03,45.42,-66.18,45.33,-66.11,45.26,-66.44,45.1,-66.51,45.14,-66.87,45.07,-66.92,45.15,-67.12,45.17]],[[-55.46,51.54,-55.58,51.39,-56.03,51.33,-56,51.2,-55.8,51.17,-55.8,51.03,-56.7,50.06,-56.85,49.76,-56.82,49.61,-56.18,50.12,-56.12,50.06,-56.16,49.94,-55.93,50.02,-55.77,49.96,-55.5,49.98,-55.58,49.89,-56.14,49.62,-55.87,49.67,-55.89,49.58,-56.09,49.45,-55.82,49.51,-55.68,49.44,-55.38,49.49,-55.35,49.37,-55.28,49.41,-55.28,49.51,-55.23,49.51,-55.2,49.41,-55.35,49.08,-55.18,49.24,-55.02,49.3,-54.98,49.27,-54.5,49.53,-54.45,49.33,-54.32,49.42,-53.96,49.44,-53.62,49.32,-53.57,49.14,-53.84,48.92,-54.16,48.79,-53.85,48.81,-53.97,48.71,-53.71,48.66,-53.79,48.53,-54.11,48.39,-53.03,48.63,-53.13,48.4,-53.61,48.21,-53.57,48.09,-53.87,48.02,-53.64,48.02,-53.86,47.8,-53.8,47.68,-53.67,47.65,-53.28,48,-52.92,48.15,-52.86,48.11,-53.15,47.73,-53.17,47.51,-53.12,47.45,-52.94,47.55,-52.78,47.77,-52.71,47.75,-52.65,47.55,-52.91,47.1,-52.89,46.97,-53.07,46.68,-53.17,46.65,-53.32,46.72,-53.59,46.64,-53.6,47.15,-54.01,46.84,-54.18,46.88,-53.85,47.44,-53.99,47.76,-54.19,47.86,-54.49,47.4,-54.56,47.37,-54.47,47.55,-54.65,47.41,-54.86,47.38,-55.32,46.91,-55.79,46.87,-55.95,46.93,-55.92,47.02,-55.49,47.16,-55.19,47.45,-54.87,47.57,-54.78,47.66,-54.95,47.62,-55.37,47.66,-55.44,47.5,-55.58,47.46,-55.86,47.53,-56.13,47.5,-55.87,47.59,-55.86,47.82,-56.12,47.79,-56.26,47.66,-56.77,47.57,-58.33,47.68,-58.34,47.73,-58.94,47.58,-59.26,47.63,-59.34,47.93,-58.6,48.41,-58.33,48.52,-59.17,48.56,-58.84,48.75,-58.91,48.65,-58.71,48.6,-58.41,49.08,-57.99,48.99,-58.1,49.08,-57.98,49.23,-58.19,49.26,-58.21,49.39,-58.02,49.54,-57.79,49.49,-57.93,49.7,-57.43,50.51,-57.33,50.61,-57.18,50.62,-57.3,50.7,-57.05,50.86,-57.04,51.01,-56.82,51.13,-56.68,51.33,-56.03,51.57,-55.69,51.47,-55.67,51.58,-55.52,51.6,-55.46,51.54]],[[-86.59,71.01,-85.64,71.15,-85.1,71.15,-85,71.14,-85.07,71.08,-84.99,71.03,-84.82,71.03,-84.66,71.52,-84.7,71.63,-85.34,71.7,-85.91,71.99,-85.32,72.23,-84.28,72.04,-84.84,72.31,-84.62,72.38,-85.34,72.42,-85.61,72.61,-85.65,72.72,-85.57,72.86,-85.26,72.95,-84.26,72.8,-85.38,73.04,-85.46,73.11,-85.02,73.34,-84.42,73.46,-83.78,73.42,-83.9,73.53,-83.41,73.63,-82.66,73.73,-81.6,73.7,-81.34,73.6,-81.15,73.31,-80.6,73.12,-80.59,72.93,-80.28,72.77,-81.23,72.31,-80.61,72.45,-80.94,72.21,-80.69,72.1,-80.92,72.07,-80.95,71.92,-80.8,71.93,-80.18,72.21,-79.88,72.18,-80.11,72.33,-79.83,72.45,-79.58,72.31,-79.32,72.39,-79,72.27,-79.01,72.04,-78.58,71.88,-78.86,72.1,-78.82,72.27,-78.7,72.35,-77.52,72.18,-78.29,72.36,-78.48,72.47,-78.42,72.57,-77.75,72.73,-77.25,72.74,-76.7,72.7,-76.19,72.57,-75.7,72.57,-75.29,72.48,-75.07,72.32,-75.05,72.23,-75.54,72.01,-75.92,71.72,-75.6,71.92,-75.15,72.06,-74.7,72.1,-74.27,72.04,-74.21,71.94,-74.32,71.84,-75.21,71.71,-74.7,71.68,-74.83,71.57,-74.84,71.41,-75,71.22,-74.76,71.34,-74.6,71.58,-74.49,71.65,-73.87,71.77,-73.71,71.72,-74.2,71.4,-73.71,71.59,-73.18,71.28,-73.31,71.48,-73.28,71.54,-72.9,71.68,-71.64,71.52,-71.33,71.4,-71.19,71.28,-71.49,71.11,-71.94,71.09,-72.63,70.83,-72.31,70.83,-72.01,71.01,-71.74,71.05,-71.37,70.98,-71.19,70.98,-70.83,71.11,-70.67,71.05,-70.64,70.9,-70.76,70.79,-71.89,70.43,-71.73,70.4,-71.43,70.55,-71.28,70.5,-71.43,70.13,-70.98,70.58,-70.08,70.83,-69.29,70.78,-68.5,70.61,-68.36,70.52,-68.48,70.41,-69.44,70.25,-70.06,70.04,-69.8,70.05,-69.48,70.16,-68.78,70.2,-68.72,70.15,-69.01,69.98,-68.74,69.94,-68.23,70.11,-68.33,70.18,-68.12,70.31,-67.86,70.28,-67.36,70.03,-67.2,69.86,-67.19,69.76,-68.02,69.77,-68.37,69.64,-68.84,69.62,-69.25,69.51,-68.51,69.58,-67.91,69.46,-67.24,69.46,-66.77,69.34,-66.68,69.26,-66.68,69.19,-66.8,69.15,-67.61,69.17,-67.94,69.25,-68.62,69.21,-69.04,69.1,-68.31,69.17,-67.75,69.04,-67.75,68.93,-67.88,68.78,-69.32,68.86,-68.21,68.7,-67.94,68.52,-67.66,68.55,-66.71,68.45,-67.03,68.33,-66.83,68.22,-66.92,68.07,-66.73,68.13,-66.66,68.03,-66.61,68.11,-66.63,68.21,-66.21,68.28,-66.27,68.04,-66.53,67.85,-66.39,67.83,-65.94,68.07,-65.98,67.96,-65.86,67.92,-65.7,67.99,-65.51,67.97,-65.54,67.77,-65.4,67.68,-65.41,67.88,-64.98,68.04,-64.83,67.99,-65.03,67.89,-65.07,67.82,-65.02,67.79,-64.64,67.84,-64.16,67.62,-64.02,67.65,-63.85,67.57,-64.08,67.5,-64.01,67.35,-64.7,67.35,-64.59,67.32,-64.36,67.26,-63.84,67.26,-63.82,67.32,-63.59,67.38,-63.04,67.23,-63.16,67.17,-63.26,67.02,-63.7,66.82,-62.96,66.95,-62.38,66.91,-62.12,67.05,-61.97,67.02,-61.3,66.65,-61.53,66.56,-61.9,66.68,-62.12,66.64,-61.65,66.5,-61.58,66.41,-61.57,66.37,-61.86,66.31,-62.55,66.41,-62.4,66.32,-62.53,66.23,-61.99,66.03,-62.59,66.03,-62.38,65.83,-62.66,65.64,-63.17,65.66,-63.46,65.85,-63.42,65.71,-63.65,65.66,-63.34,65.62,-63.36,65.23,-63.61,64.93,-63.9,65.11,-64.15,65.07,-64.35,65.17,-64.27,65.4,-64.55,65.12,-65.11,65.46,-65.4,65.76,-65.18,65.94,-64.85,66.02,-64.45,66.32,-64.65,66.29,-65,66.08,-65.41,65.99,-65.82,66,-65.89,66.02,-65.86,66.09,-65.66,66.2,-66.06,66.13,-66.48,66.28,-66.79,66.56,-66.99,66.63,-66.97,66.55,-67.08,66.53,-67.31,66.57,-67.19,66.43,-67.23,66.31,-67.88,66.47,-67.7,66.27,-67.18,66.03,-67.35,65.93,-67.83,65.97,-68.46,66.25,-68.75,66.2,-68.22,66.08,-68.26,65.94,-68.19,65.87,-67.87,65.77,-67.94,65.56,-67.57,65.64,-67.12,65.44,-67.34,65.35,-67.07,65.24,-66.97,65.09,-66.83,65.07,-66.7,64.82,-66.63,65,-66.22,64.85,-66.3,64.78,-66.21,64.72,-65.94,64.89,-65.51,64.71,-65.43,64.73,-65.27,64.63,-65.53,64.51,-65.18,64.51,-65.08,64.44,-65.21,64.3,-65.58,64.29,-65.35,64.23,-65.15,64.09,-65.17,64.03,-64.68,64.03,-64.69,63.96,-64.8,63.92,-64.58,63.9,-64.41,63.71,-64.56,63.68,-64.51,63.26,-64.67,63.24,-64.93,63.6,-65.19,63.76,-65,63.33,-65.05,63.23,-64.67,62.92,-64.87,62.88,-65.16,62.93,-65.05,62.7,-65.11,62.63,-66.22,63.11,-66.23,62.99,-66.42,63.03,-66.66,63.26,-66.63,63.08,-66.72,63.08,-67.02,63.32,-67.26,63.34,-67.89,63.73,-67.72,63.42,-68.49,63.73,-68.86,63.75,-68.91,63.7,-68.14,63.17,-67.68,63.09,-67.74,63.01,-66.65,62.6,-66.28,62.3,-65.98,62.21,-66.13,62.1,-66.06,61.91,-66.33,61.87,-67.44,62.15,-68.63,62.28,-69.13,62.42,-69.6,62.77,-70.23,62.76,-71.11,63,-70.95,63.12,-71.35,63.07,-71.99,63.42,-71.61,63.44,-71.38,63.58,-71.73,63.71,-72.29,63.73,-72.18,63.89,-72.5,63.82,-72.68,64.02,-73.45,64.4,-73.27,64.58,-73.91,64.58,-73.95,64.47,-74.07,64.43,-74.13,64.61,-74.46,64.64,-74.68,64.83,-74.92,64.77,-74.64,64.56,-74.7,64.5,-75.07,64.46,-75.71,64.52,-75.77,64.39,-76.86,64.24,-77.79,64.37,-78.17,64.62,-78.19,64.75,-78.05,64.98,-77.36,65.2,-77.46,65.36,-77.33,65.45,-76.48,65.37,-75.83,65.23,-75.52,65.06,-75.59,64.9,-75.45,64.84,-75.36,65.01,-75.8,65.3,-75.17,65.28,-74.98,65.38,-74.49,65.37,-73.99,65.52,-73.55,65.48,-73.74,65.77,-74.28,66.01,-74.42,66.17,-73.28,66.68,-73.03,66.73,-72.79,67.03,-72.37,67.13,-72.22,67.26,-72.35,67.34,-72.73,67.81,-73.33,68.27,-73.28,68.36,-73.64,68.3,-73.82,68.36,-73.87,68.46,-73.78,68.62,-73.85,68.7,-74.12,68.7,-73.99,68.55,-74.42,68.58,-74.65,68.71,-74.7,68.81,-74.91,68.82,-74.74,68.91,-74.95,68.96,-74.72,69.04,-74.85,69.07,-75.21,68.91,-75.52,68.95,-76.24,68.73,-76.59,68.7,-76.56,69.01,-75.96,69.03,-75.65,69.21,-75.79,69.32,-76.41,69.44,-76.52,69.52,-76.46,69.62,-76.23,69.66,-76.51,69.68,-76.74,69.57,-77.09,69.64,-77.13,69.65,-76.86,69.78,-77.02,69.84,-77.59,69.85,-77.77,70.24,-78.28,70.23,-79.07,70.6,-79.35,70.48,-79.4,70.4,-78.93,70.29,-78.81,70.18,-78.82,70.01,-79.09,69.93,-79.52,69.89,-80.67,70.05,-81.65,70.1,-80.92,69.85,-80.84,69.77,-80.92,69.73,-81.56,69.94,-82.3,69.84,-83.15,70.01,-83.86,69.96,-85.43,70.11,-85.78,70.04,-86.32,70.15,-86.5,70.35,-86.4,70.47,-86.71,70.39,-87.12,70.41,-87.17,70.4,-87.07,70.32,-87.62,70.32,-87.9,70.25,-88.4,70.44,-88.85,70.52,-89.21,70.76,-89.46,71.06,-87.85,70.94,-87.14,71.01,-87.87,71.21,-89.08,71.29,-89.69,71.42,-89.84,71.49,-90.02,71.95,-89.66,72.17,-89.86,72.25,-89.82,72.47,-89.36,72.8,-89.23,73.11,-88.76,73.31,-88.71,73.4,-87.72,73.72,-86.77,73.83,-85.95,73.85,-85.01,73.78,-84.97,73.69,-85.68,73.46,-86.09,73.26,-86.63,72.87,-86.67,72.76,-86.32,72.46,-86.34,72.12,-86.22,71.9,-86.04,71.77,-85.02,71.35,-85.41,71.23,-86.59,71.01]],[[-61.8,49.09,-62.22,49.08,-63.04,49.23,-63.57,49.4,-63.78,49.6,-64.49,49.89,-64.13,49.94,-62.86,49.71,-61.82,49.28,-61.7,49.14,-61.8,49.09]],[[-63.81,46.47,-63.68,46.56,-63.13,46.42,-62.16,46.49,-62.02,46.42,-62.53,46.2,-62.54,46.03,-62.48,46,-62.8,45.97,-62.91,46.07,-63.02,46.07,-62.89,46.12,-63.06,46.22,-62.98,46.32,-63.27,46.2,-63.15,46.19,-63.21,46.16,-63.57,46.21,-63.73,46.29,-63.8,46.37,-63.76,46.4,-64.11,46.42,-64.14,46.6,-64.39,46.64,-64.4,46.69,-63.99,47.06,-63.98,46.91,-64.09,46.78,-63.9,46.64,-63.86,46.57,-63.91,46.51,-63.81,46.47]],[[-82,62.96,-81.96,62.83,-82.12,62.65,-83.02,62.21,-83.38,62.24,-83.7,62.16,-83.76,62.3,-83.91,62.43,-83.38,62.9,-82.96,62.87,-82.71,62.94,-82,62.96]],[[-79.54,62.41,-79.34,62.29,-79.27,62.19,-79.32,62.03,-79.67,61.64,-79.81,61.59,-80.26,61.82,-80.28,62.05,-80.18,62.21,-79.93,62.39,-79.54,62.41]],[[-75.67,68.32,-75.15,68.23,-75.06,68.14,-75.13,67.97,-75.13,67.54,-75.4,67.37,-76.05,67.26,-76.95,67.25,-77.16,67.41,-77.31,67.69,-77.13,67.95,-76.69,68.26,-76.37,68.32,-75.67,68.32]],[[-79.54,73.65,-78.29,73.67,-77.21,73.5,-77.01,73.36,-76.76,73.31,-76.57,73.16,-76.29,73.08,-76.31,73,-76.09,72.88,-76.4,72.82,-78.31,72.88,-79.5,72.76,-79.94,72.86,-80.18,73.23,-80.78,73.33,-80.82,73.43,-80.74,73.48,-80.83,73.53,-80.86,73.67,-80.76,73.76,-80.41,73.77,-79.54,73.65]],[[-80.73,52.75,-81.1,52.78,-82.04,53.05,-81.85,53.19,-81.14,53.21,-80.77,52.92,-80.73,52.75]],[[-78.83,56.14,-78.91,56.13,-78.8,56.38,-78.67,56.44,-78.67,56.26,-78.83,56.14]],[[-78.94,56.27,-79.17,55.88,-79.27,55.92,-79.14,56.14,-79.18,56.21,-79.49,55.87,-79.76,55.81,-79.5,56.09,-79.54,56.13,-79.9,55.87,-80.01,55.91,-79.52,56.33,-79.46,56.54,-79.43,56.45,-79.54,56.18,-79.39,56.28,-79.27,56.6,-78.96,56.42,-78.94,56.27]],[[-79.98,56.21,-80.09,56.21,-80.06,56.29,-79.58,56.47,-79.69,56.33,-79.98,56.21]],[[-89.83,77.27,-90.23,77.21,-90.99,77.33,-91.15,77.39,-91.18,77.56,-91.11,77.63,-90.84,77.66,-90.17,77.59,-89.72,77.44,-89.71,77.31,-89.83,77.27]],[[-104.56,77.14,-105.22,77.18,-106.07,77.72,-105.59,77.74,-105.29,77.64,-105.01,77.51,-104.95,77.42,-104.5,77.31,-104.46,77.22,-104.56,77.14]],[[-98.79,79.98,-98.79,79.79,-98.95,79.72,-99.3,79.78,-99.51,79.89,-100,79.88,-100.13,80,-100.05,80.09,-99.73,80.14,-99.02,80.11,-98.79,79.98]],[[-105.29,72.92,-106.07,73.2,-106.18,73.3,-106.95,73.51,-106.61,73.7,-105.51,73.77,-105.12,73.74,-104.59,73.58,-104.55,73.46,-104.62,73.31,-105,73.04,-105.29,72.92]],[[-102.23,76.02,-102.01,75.94,-102.42,75.87,-102.58,75.78,-103.32,75.77,-103.04,75.92,-103.2,75.96,-103.77,75.89,-103.99,75.93,-103.8,76.04,-104.24,76.05,-104.41,76.11,-104.35,76.18,-104.01,76.22,-102.73,76.31,-102.58,76.28,-102.49,76.09,-102.23,76.02]],[[-104.02,76.58,-103.72,76.6,-103.03,76.43,-103.47,76.33,-104.27,76.33,-104.41,76.37,-104.6,76.58,-104.2,76.67,-103.96,76.64,-104.02,76.58]],[[-118.33,75.58,-118.82,75.52,-119.39,75.62,-118.63,75.91,-117.75,76.11,-117.5,76.08,-118.33,75.58]],[[-113.83,77.75,-114.29,77.72,-114.61,77.77,-115.03,77.97,-114.33,78.08,-114.28,78,-113.62,77.83,-113.83,77.75]],[[-130.93,54.48,-130.91,54.63,-130.76,54.61,-130.93,54.48]],[[-131.03,51.96,-131.1,52.01,-131.1,52.15,-131.01,52.09,-131.03,51.96]],[[-130.24,53.96,-130.38,53.84,-130.63,53.94,-130.67,53.85,-130.71,53.92,-130.45,54.09,-130.24,53.96]],[[-129.85,53.17,-130.52,53.54,-130.4,53.62,-129.95,53.44,-129.75,53.25,-129.85,53.17]],[[-130.58,54.77,-130.22,55.03,-130.2,54.95,-130.35,54.81,-130.58,54.77]],[[-128.55,52.94,-128.51,52.52,-128.68,52.29,-128.77,52.6,-128.75,52.76,-128.9,52.67,-129.19,52.99,-129.03,53.28,-128.63,53.11,-128.55,52.94]],[[-126.09,49.35,-126.06,49.26,-126.23,49.3,-126.21,49.38,-126.09,49.35]],[[-124.15,49.53,-124.65,49.76,-124.42,49.73,-124.15,49.53]],[[-126.64,49.61,-126.94,49.72,-126.92,49.84,-126.74,49.84,-126.65,49.75,-126.64,49.61]],[[-125.19,50.1,-125.2,50.04,-125.36,50.31,-125.3,50.41,-125.2,50.39,-125.07,50.22,-125.19,50.1]],[[-128.94,52.51,-128.97,52.46,-129.15,52.61,-129.26,52.8,-128.99,52.66,-128.94,52.51]],[[-127.93,51.47,-128.09,51.51,-128.12,51.67,-128,51.7,-127.91,51.59,-127.93,51.47]],[[-128.37,52.4,-128.44,52.39,-128.44,52.7,-128.36,52.78,-128.25,52.78,-128.37,52.4]],[[-129.17,53.12,-129.32,53.14,-129.24,53.33,-129.17,53.12]],[[-123.44,48.75,-123.52,48.75,-123.58,48.93,-123.47,48.87,-123.44,48.75]],[[-59.79,43.94,-60.04,43.91,-60.12,43.95,-59.73,44,-59.79,43.94]],[[-61.92,47.28,-61.77,47.26,-62.01,47.23,-61.93,47.42,-61.55,47.63,-61.4,47.64,-61.68,47.5,-61.92,47.28]],[[-64.51,47.89,-64.53,47.81,-64.68,47.75,-64.66,47.86,-64.51,47.89]],[[-66.76,44.68,-66.9,44.63,-66.8,44.81,-66.75,44.79,-66.76,44.68]],[[-73.56,45.47,-73.96,45.44,-73.47,45.7,-73.56,45.47]],[[-54.55,49.59,-54.79,49.5,-54.86,49.58,-54.56,49.63,-54.55,49.59]],[[-54.09,49.74,-53.98,49.66,-54.29,49.59,-54.28,49.71,-54.09,49.74]],[[-64.82,62.56,-64.51,62.55,-64.42,62.49,-64.66,62.38,-64.96,62.46,-64.84,62.49,-64.82,62.56]],[[-68.23,60.24,-68.37,60.25,-68.37,60.31,-68.14,60.56,-67.98,60.57,-67.82,60.45,-67.92,60.34,-68.23,60.24]],[[-70.34,62.55,-70.77,62.6,-70.99,62.79,-71.22,62.87,-70.44,62.73,-70.27,62.58,-70.34,62.55]],[[-64.83,61.37,-65.39,61.56,-65.43,61.65,-64.79,61.66,-64.67,61.59,-64.7,61.47,-64.83,61.37]],[[-65.03,61.88,-64.85,61.76,-65.17,61.8,-65.23,61.9,-65.13,61.94,-65.03,61.88]],[[-69.16,59.04,-69.22,58.97,-69.35,58.96,-69.3,59.14,-69.19,59.15,-69.16,59.04]],[[-64.41,60.37,-64.44,60.3,-64.74,60.38,-64.83,60.5,-64.65,60.51,-64.41,60.37]],[[-60.99,56.04,-61.2,56.06,-61.09,56.14,-60.96,56.1,-60.99,56.04]],[[-61.74,57.55,-61.66,57.52,-61.64,57.42,-61.8,57.42,-62.01,57.55,-61.74,57.55]],[[-67.92,69.54,-68.22,69.62,-67.91,69.68,-67.75,69.63,-67.92,69.54]],[[-62.68,67.06,-62.87,67.06,-62.62,67.18,-62.4,67.18,-62.68,67.06]],[[-79.06,75.93,-79.05,75.87,-79.36,75.83,-79.7,75.88,-79.01,76.15,-78.85,76.11,-79.05,75.99,-79.06,75.93]],[[-79.38,51.95,-79.65,52.01,-79.27,52.09,-79.38,51.95]],[[-124.98,50.03,-125.03,50.13,-124.99,50.22,-124.91,50.08,-124.98,50.03]],[[-73.62,67.78,-74.48,67.81,-74.68,67.91,-74.75,68.02,-74.38,68.09,-73.44,67.97,-73.41,67.79,-73.62,67.78]],[[-77.88,63.47,-77.7,63.43,-77.53,63.23,-77.94,63.11,-78.54,63.42,-78.23,63.49,-77.88,63.47]],[[-94.53,75.75,-94.75,75.77,-94.9,75.93,-94.5,75.99,-94.3,75.79,-94.53,75.75]],[[-80.06,59.77,-80.17,59.76,-80.04,59.87,-79.9,59.85,-80.06,59.77]],[[-96.78,72.94,-96.94,72.93,-97.09,73,-97.07,73.13,-96.86,73.19,-96.6,73.07,-96.67,72.96,-96.78,72.94]],[[-97.35,74.53,-97.66,74.47,-97.75,74.51,-97.42,74.63,-97.29,74.58,-97.35,74.53]],[[-98.27,73.87,-98.97,73.81,-99.42,73.9,-98.06,74.11,-97.66,74.07,-98.27,73.87]],[[-90.2,69.42,-90.18,69.36,-90.33,69.25,-90.49,69.37,-90.2,69.42]],[[-90.49,69.22,-90.77,69.29,-90.77,69.34,-90.6,69.37,-90.49,69.22]],[[-74,62.62,-74.63,62.71,-74.11,62.68,-74,62.62]],[[-74.88,68.35,-75.31,68.47,-75.4,68.53,-75.4,68.59,-75.29,68.69,-74.98,68.65,-74.8,68.46,-74.88,68.35]],[[-78.53,60.73,-78.67,60.72,-78.61,60.77,-78.24,60.82,-78.53,60.73]],[[-78.98,68.19,-79.17,68.23,-79.15,68.33,-78.95,68.35,-78.83,68.27,-78.98,68.19]],[[-76.68,63.39,-76.92,63.41,-77.36,63.59,-77.13,63.68,-76.65,63.5,-76.68,63.39]],[[-79.43,69.79,-79.36,69.71,-79.55,69.63,-80.05,69.63,-79.98,69.51,-80.79,69.69,-80.73,69.74,-80.47,69.74,-80.42,69.8,-80.21,69.8,-80.12,69.74,-79.43,69.79]],[[-78.03,69.72,-77.97,69.64,-78.04,69.61,-78.85,69.48,-78.58,69.64,-78.3,69.67,-78.2,69.74,-78.03,69.72]],[[-77.64,63.99,-77.72,63.95,-77.96,63.99,-77.56,64.02,-77.64,63.99]],[[-83.12,66.28,-82.93,66.26,-83.06,66.2,-83.24,66.33,-83.12,66.28]],[[-79.21,68.85,-79.36,68.86,-79.4,68.92,-79.24,69.05,-78.66,69.26,-78.65,69.35,-78.33,69.39,-78.23,69.31,-78.78,68.95,-79.21,68.85]],[[-77,69.14,-77.32,69.19,-77.38,69.27,-77.34,69.4,-77.11,69.44,-76.67,69.37,-77,69.14]],[[-86.91,70.11,-86.61,70.11,-86.51,70.02,-86.73,69.98,-87.32,70.08,-87.11,70.15,-86.91,70.11]],[[-83.72,65.8,-83.23,65.7,-83.38,65.63,-83.61,65.7,-83.79,65.67,-83.7,65.76,-83.81,65.79,-84.12,65.77,-84.14,65.92,-84.47,66.09,-84.41,66.13,-83.79,65.97,-83.7,65.92,-83.76,65.83,-83.72,65.8]],[[-86.6,67.74,-86.89,67.84,-86.85,68.01,-86.96,68.1,-86.7,68.31,-86.42,68.18,-86.4,67.89,-86.6,67.74]],[[-84.67,65.57,-84.78,65.57,-85.1,65.76,-85.15,66.02,-84.94,66.01,-84.76,65.86,-84.6,65.66,-84.67,65.57]],[[-101.23,76.58,-101.61,76.61,-100.89,76.74,-100.27,76.73,-101.23,76.58]],[[-103,78.15,-103.27,78.17,-102.97,78.27,-102.79,78.22,-103,78.15]],[[-101.69,77.7,-102.38,77.73,-102.46,77.77,-102.47,77.87,-101.64,77.89,-101.19,77.83,-101,77.74,-101.69,77.7]],[[-89.73,76.51,-90.16,76.52,-90.56,76.75,-89.95,76.84,-89.7,76.74,-89.82,76.63,-89.73,76.51]],[[-96.08,75.51,-96.46,75.49,-96.86,75.37,-97.02,75.47,-96.37,75.65,-95.96,75.55,-96.08,75.51]],[[-95.31,74.5,-95.85,74.58,-95.51,74.64,-95.28,74.54,-95.31,74.5]],[[-121.07,75.75,-121.24,75.75,-121.03,75.85,-120.99,75.93,-120.89,75.93,-120.92,75.81,-121.07,75.75]],[[-113.56,76.74,-114.84,76.79,-113.89,76.9,-113.52,76.83,-113.49,76.78,-113.56,76.74]],[[-104.12,75.04,-104.63,75.06,-104.89,75.15,-104.65,75.35,-104.35,75.43,-103.85,75.37,-103.64,75.19,-103.81,75.08,-104.12,75.04]],[[-100.22,68.81,-100.4,68.72,-100.5,68.79,-100.6,68.77,-100.61,68.99,-100.52,69.03,-100.33,69,-100.18,68.9,-100.22,68.81]],[[-100,69.01,-100.02,68.95,-100.14,68.97,-100.25,69.05,-100.15,69.13,-100,69.01]],[[-100.31,70.5,-100.62,70.55,-100.68,70.65,-100.28,70.6,-100.31,70.5]],[[-95.51,69.57,-95.38,69.51,-95.5,69.35,-95.73,69.35,-95.67,69.44,-95.76,69.56,-95.89,69.35,-95.99,69.39,-95.98,69.51,-95.87,69.61,-95.51,69.57]],[[-101.17,69.4,-101.27,69.39,-101.29,69.44,-101.21,69.48,-101.35,69.56,-101.1,69.54,-101,69.46,-101.17,69.4]],[[-101.85,68.59,-102.31,68.68,-102.01,68.83,-101.83,68.8,-101.72,68.72,-101.73,68.65,-101.85,68.59]],[[-104.54,68.41,-104.85,68.45,-105.05,68.56,-104.6,68.56,-104.45,68.47,-104.54,68.41]],[[-107.9,67.4,-107.95,67.32,-108.15,67.43,-108.13,67.63,-108.05,67.66,-107.99,67.62,-107.9,67.4]],[[-108.09,67.01,-107.8,67,-107.95,66.86,-108.09,67.01]],[[-139.04,69.58,-139.13,69.54,-139.29,69.6,-139.14,69.65,-138.88,69.59,-139.04,69.58]]]},
+  MX: {"name":"Mexico","bbox":[-118.4,14.54,-86.76,32.72],"polygons":[[[-117.13,32.53,-114.72,32.72,-114.84,32.51,-111.04,31.33,-108.22,31.33,-108.21,31.78,-106.44,31.77,-106.15,31.45,-104.92,30.58,-104.68,30.13,-104.62,29.85,-104.4,29.57,-103.26,29,-103.09,29.04,-102.89,29.22,-102.73,29.64,-102.61,29.75,-102.27,29.87,-101.99,29.8,-101.44,29.78,-100.76,29.18,-100.33,28.5,-100.3,28.33,-99.76,27.73,-99.51,27.55,-99.46,27.06,-99.23,26.76,-99.11,26.45,-98.28,26.11,-97.8,26.04,-97.38,25.87,-97.15,25.96,-97.16,25.75,-97.51,25.01,-97.67,24.39,-97.74,23.76,-97.75,22.94,-97.84,22.51,-97.76,22.11,-97.58,21.81,-97.31,21.56,-97.41,21.27,-97.38,21.57,-97.59,21.76,-97.75,22.03,-97.64,21.6,-97.52,21.48,-97.18,20.72,-96.46,19.87,-96.29,19.34,-95.78,18.81,-95.92,18.82,-95.63,18.69,-95.58,18.69,-95.72,18.77,-95.18,18.7,-95.01,18.57,-94.8,18.52,-94.55,18.17,-94.46,18.17,-94.19,18.2,-93.55,18.43,-92.89,18.47,-92.71,18.61,-92.44,18.67,-91.98,18.72,-91.88,18.64,-91.91,18.53,-91.53,18.46,-91.27,18.62,-91.28,18.72,-91.37,18.81,-91.34,18.9,-91.47,18.83,-91.44,18.89,-90.96,19.15,-90.74,19.35,-90.69,19.73,-90.49,19.95,-90.49,20.56,-90.35,21.01,-89.82,21.28,-88.88,21.41,-88.47,21.57,-88.01,21.6,-87.25,21.45,-87.19,21.55,-87.39,21.55,-87.13,21.62,-86.82,21.42,-86.77,21.15,-86.92,20.79,-87.42,20.23,-87.46,19.82,-87.59,19.78,-87.69,19.64,-87.64,19.55,-87.43,19.58,-87.48,19.44,-87.66,19.35,-87.66,19.26,-87.55,19.32,-87.5,19.29,-87.8,18.36,-87.88,18.27,-88.04,18.48,-88.01,18.73,-88.07,18.83,-88.2,18.72,-88.3,18.47,-88.52,18.45,-88.81,17.96,-88.9,17.91,-89.05,18,-89.14,17.97,-89.16,17.82,-90.99,17.82,-90.99,17.25,-91.41,17.26,-90.71,16.71,-90.63,16.51,-90.42,16.39,-90.45,16.07,-91.74,16.07,-92.21,15.28,-92.08,15.07,-92.16,14.96,-92.16,14.69,-92.23,14.54,-93.17,15.45,-93.92,16.05,-94.37,16.28,-94.43,16.23,-94,16.02,-94.66,16.2,-94.59,16.32,-94.62,16.35,-94.79,16.29,-94.79,16.36,-94.9,16.42,-95.02,16.28,-94.8,16.21,-95.13,16.18,-95.46,15.98,-96.21,15.69,-96.51,15.65,-97.18,15.91,-97.75,15.97,-98.14,16.21,-98.52,16.31,-98.76,16.53,-99.69,16.72,-100.03,16.92,-100.85,17.2,-101.6,17.65,-101.92,17.96,-102.22,17.96,-102.7,18.06,-103.44,18.33,-103.91,18.83,-104.94,19.31,-105.48,19.98,-105.67,20.38,-105.54,20.5,-105.26,20.58,-105.33,20.75,-105.51,20.81,-105.24,21.12,-105.21,21.49,-105.43,21.62,-105.65,21.99,-105.64,22.33,-105.79,22.63,-106.4,23.2,-106.94,23.88,-107.77,24.47,-107.53,24.36,-107.51,24.49,-107.95,24.62,-108.01,24.78,-108.28,25.08,-108.14,25.02,-108.05,25.07,-108.7,25.38,-108.79,25.54,-109.03,25.48,-109.07,25.55,-108.97,25.59,-108.88,25.73,-109.08,25.62,-109.31,25.63,-109.39,25.73,-109.42,26.03,-109.2,26.3,-109.12,26.25,-109.28,26.53,-109.48,26.71,-109.76,26.7,-109.94,27.08,-110.38,27.23,-110.59,27.54,-110.62,27.65,-110.53,27.86,-110.92,27.89,-111.12,27.97,-111.47,28.38,-111.68,28.47,-112.16,29.02,-112.22,29.27,-112.38,29.35,-112.41,29.54,-112.74,29.98,-112.82,30.3,-113.06,30.65,-113.12,31.05,-113.04,31.09,-113.05,31.18,-113.62,31.35,-113.63,31.47,-113.76,31.56,-113.95,31.63,-114,31.52,-114.15,31.51,-114.93,31.9,-114.79,31.65,-114.88,31.16,-114.7,30.76,-114.63,30.51,-114.65,30.24,-114.55,30.02,-113.76,29.37,-113.55,29.1,-113.5,28.93,-113.38,28.95,-113.32,28.81,-113.2,28.8,-113.09,28.51,-112.87,28.42,-112.73,27.83,-112.33,27.52,-112.19,27.19,-112,27.08,-112.01,26.97,-111.88,26.84,-111.86,26.68,-111.7,26.58,-111.82,26.76,-111.79,26.88,-111.57,26.71,-111.33,26.13,-111.29,25.79,-111.15,25.57,-111.03,25.53,-110.89,25.14,-110.69,24.87,-110.74,24.59,-110.66,24.34,-110.37,24.1,-110.3,24.2,-110.32,24.31,-110.26,24.34,-109.81,23.94,-109.68,23.66,-109.51,23.6,-109.42,23.48,-109.46,23.21,-109.82,22.92,-110,22.89,-110.18,23.34,-110.36,23.61,-110.63,23.74,-111.04,24.11,-111.68,24.56,-111.8,24.54,-111.85,24.67,-112.07,24.84,-112.13,25.04,-112.06,25.49,-112.18,25.91,-112.38,26.21,-112.66,26.32,-113.02,26.58,-113.12,26.72,-113.15,26.95,-113.27,26.79,-113.6,26.72,-113.84,26.97,-114.45,27.22,-114.54,27.43,-114.99,27.74,-115.04,27.84,-114.57,27.78,-114.3,27.87,-114.3,27.77,-114.07,27.68,-114.18,27.83,-114.16,27.92,-114.27,27.93,-114.18,28.01,-114.05,28.43,-114.14,28.6,-114.94,29.35,-115.17,29.43,-115.67,29.76,-115.81,29.96,-115.81,30.3,-115.99,30.41,-116.06,30.8,-116.3,30.97,-116.33,31.2,-116.66,31.56,-116.72,31.73,-116.62,31.76,-116.62,31.85,-116.85,32,-117.13,32.53]],[[-86.94,20.3,-86.99,20.27,-86.98,20.49,-86.76,20.58,-86.94,20.3]],[[-106.5,21.61,-106.53,21.53,-106.61,21.56,-106.64,21.7,-106.5,21.61]],[[-110.92,18.74,-110.98,18.72,-111.06,18.78,-111.04,18.83,-110.99,18.86,-110.92,18.74]],[[-113.15,29.05,-113.5,29.31,-113.58,29.41,-113.59,29.57,-113.42,29.49,-113.37,29.34,-113.2,29.3,-113.15,29.05]],[[-115.17,28.07,-115.35,28.1,-115.23,28.37,-115.15,28.17,-115.17,28.07]],[[-112.2,29.01,-112.28,28.77,-112.51,28.85,-112.42,29.2,-112.28,29.24,-112.2,29.01]],[[-118.24,28.94,-118.28,28.9,-118.4,29.11,-118.37,29.19,-118.31,29.18,-118.24,28.94]],[[-111.1,26.02,-111.22,25.84,-111.18,26.04,-111.09,26.08,-111.1,26.02]],[[-111.7,24.39,-111.71,24.35,-112.01,24.53,-111.86,24.54,-111.7,24.39]],[[-112.06,24.55,-112.18,24.73,-112.3,24.79,-112.16,25.29,-112.19,24.84,-112.06,24.55]]]},
+  BR: {"name":"Brazil","bbox":[-74,-33.74,-34.81,5.24],"polygons":[[[-66.88,1.22,-66.35,0.77,-66.06,0.79,-65.68,0.98,-65.52,0.84,-65.55,0.69,-65.47,0.69,-65.1,1.11,-64.73,1.25,-64.49,1.45,-64.31,1.46,-64.2,1.53,-64.11,1.62,-64.01,1.93,-63.43,2.16,-63.39,2.41,-64.05,2.5,-64.01,2.67,-64.22,3.21,-64.22,3.59,-64.67,4.01,-64.82,4.23,-64.79,4.28,-64.58,4.14,-64.19,4.13,-64.02,3.93,-63.53,3.89,-63.34,3.94,-62.97,3.59,-62.86,3.59,-62.76,3.67,-62.71,4.02,-62.47,4.14,-62.15,4.1,-61.56,4.29,-61.28,4.52,-61,4.54,-60.91,4.69,-60.63,4.89,-60.63,5.08,-60.74,5.2,-60.65,5.22,-60.14,5.24,-59.99,5.08,-60.03,4.74,-60.15,4.53,-59.83,4.48,-59.7,4.38,-59.74,4.23,-59.55,3.93,-59.68,3.7,-59.86,3.59,-59.83,3.35,-59.97,2.99,-59.99,2.69,-59.89,2.36,-59.76,2.27,-59.76,1.9,-59.67,1.84,-59.67,1.75,-59.54,1.7,-59.23,1.38,-58.97,1.3,-58.86,1.2,-58.51,1.29,-58.51,1.44,-58.39,1.48,-58.34,1.59,-58.03,1.52,-57.98,1.65,-57.6,1.7,-57.37,1.94,-57.12,2.01,-56.84,1.88,-56.48,1.94,-55.96,1.86,-55.91,2.04,-56.14,2.26,-55.96,2.52,-55.73,2.41,-55.38,2.44,-54.98,2.6,-54.88,2.45,-54.72,2.44,-54.66,2.33,-54.13,2.12,-53.77,2.35,-53.51,2.25,-53.33,2.34,-53.23,2.21,-52.97,2.18,-52.65,2.43,-52.33,3.18,-51.77,3.99,-51.65,4.06,-51.55,4.31,-51.46,4.31,-51.22,4.09,-51.08,3.67,-51.05,3.28,-50.68,2.21,-50.72,2.13,-50.61,2.1,-50.46,1.83,-50.19,1.79,-49.96,1.66,-49.88,1.42,-49.9,1.16,-50.29,0.84,-50.76,0.22,-50.97,0.13,-51.1,-0.03,-51.28,-0.08,-51.4,-0.39,-51.7,-0.76,-51.72,-1.02,-51.92,-1.18,-51.98,-1.37,-52.23,-1.36,-52.66,-1.55,-52.31,-1.56,-52.2,-1.64,-51.95,-1.59,-50.9,-0.94,-50.84,-1.04,-50.92,-1.12,-50.68,-1.64,-50.69,-1.76,-50.4,-2.01,-50,-1.83,-49.72,-1.93,-49.32,-1.73,-49.64,-2.66,-49.46,-2.5,-49.21,-1.92,-48.99,-1.83,-48.71,-1.49,-48.6,-1.49,-48.46,-1.61,-48.45,-1.52,-48.35,-1.48,-48.47,-1.39,-48.41,-1.23,-48.45,-1.15,-48.31,-1.04,-48.32,-0.96,-48.12,-0.74,-48.03,-0.71,-47.96,-0.77,-47.81,-0.66,-47.69,-0.73,-47.56,-0.67,-47.42,-0.77,-47.44,-0.65,-47.27,-0.65,-47.13,-0.75,-46.81,-0.78,-46.62,-0.97,-46.22,-1.03,-46.22,-1.1,-46.05,-1.1,-45.64,-1.35,-45.46,-1.36,-45.33,-1.72,-45.18,-1.51,-45.08,-1.47,-44.72,-1.73,-44.78,-1.8,-44.65,-1.75,-44.54,-2.05,-44.66,-2.23,-44.76,-2.26,-44.66,-2.37,-44.58,-2.23,-44.44,-2.17,-44.38,-2.37,-44.52,-2.41,-44.59,-2.57,-44.72,-3.2,-44.44,-2.94,-44.31,-2.54,-44.23,-2.47,-44.11,-2.49,-44.22,-2.75,-44.19,-2.81,-43.93,-2.58,-43.45,-2.5,-43.38,-2.38,-42.94,-2.46,-42.25,-2.79,-42,-2.81,-41.88,-2.75,-41.48,-2.92,-40.47,-2.8,-39.97,-2.86,-39.02,-3.39,-38.69,-3.65,-38.48,-3.72,-38.05,-4.22,-37.63,-4.59,-37.3,-4.71,-37.18,-4.91,-36.86,-4.97,-36.59,-5.1,-35.98,-5.05,-35.55,-5.13,-35.39,-5.25,-35.24,-5.57,-35.09,-6.18,-34.99,-6.39,-34.81,-7.29,-34.88,-7.75,-34.84,-7.97,-34.97,-8.41,-35.16,-8.93,-35.6,-9.54,-35.76,-9.7,-35.89,-9.69,-35.85,-9.77,-35.89,-9.85,-36.4,-10.48,-36.94,-10.82,-37.09,-11.05,-37.18,-11.07,-37.18,-11.19,-37.36,-11.4,-37.32,-11.22,-37.36,-11.25,-37.47,-11.65,-37.69,-12.1,-38.24,-12.84,-38.4,-12.97,-38.5,-12.96,-38.53,-12.76,-38.69,-12.62,-38.75,-12.75,-38.85,-12.79,-38.76,-12.91,-38.84,-13.15,-39.03,-13.36,-39.09,-13.59,-39.03,-13.56,-38.99,-13.61,-39.05,-14.04,-39.01,-14.1,-38.94,-14.03,-39.06,-14.65,-38.88,-15.86,-39.2,-17.18,-39.16,-17.7,-39.49,-17.99,-39.65,-18.25,-39.74,-18.64,-39.7,-19.28,-39.78,-19.57,-40,-19.74,-40.39,-20.57,-40.79,-20.91,-40.96,-21.24,-41.05,-21.5,-41,-22,-41.7,-22.31,-41.98,-22.58,-41.94,-22.79,-42.04,-22.95,-42.96,-22.97,-43.08,-22.9,-43.09,-22.72,-43.16,-22.73,-43.24,-22.79,-43.22,-22.99,-43.9,-23.1,-43.97,-23.06,-43.68,-23.01,-43.86,-22.91,-44.15,-23.01,-44.64,-23.06,-44.67,-23.21,-44.57,-23.27,-44.95,-23.38,-45.33,-23.6,-45.46,-23.8,-45.97,-23.79,-46.87,-24.24,-47.14,-24.49,-47.99,-25.04,-47.91,-25.07,-47.93,-25.17,-48.2,-25.42,-48.24,-25.4,-48.18,-25.31,-48.4,-25.27,-48.48,-25.44,-48.65,-25.44,-48.73,-25.37,-48.69,-25.49,-48.4,-25.6,-48.54,-25.82,-48.67,-25.84,-48.58,-25.94,-48.62,-26.18,-48.75,-26.27,-48.65,-26.41,-48.68,-26.7,-48.56,-27.2,-48.64,-27.56,-48.62,-28.08,-48.8,-28.44,-48.8,-28.58,-49.27,-28.87,-49.75,-29.36,-50.04,-29.8,-50.3,-30.43,-50.92,-31.26,-52.04,-32.12,-52.06,-31.83,-51.89,-31.87,-51.68,-31.78,-51.27,-31.48,-51.17,-31.34,-51.16,-31.12,-50.98,-31.09,-50.94,-30.9,-50.69,-30.7,-50.72,-30.43,-50.58,-30.44,-50.56,-30.25,-51.03,-30.37,-51.04,-30.26,-51.18,-30.21,-51.3,-30.04,-51.28,-30.24,-51.16,-30.36,-51.25,-30.47,-51.28,-30.75,-51.36,-30.67,-51.51,-31.11,-51.97,-31.38,-52.2,-31.89,-52.13,-32.17,-52.34,-32.44,-52.65,-33.14,-53.37,-33.74,-53.53,-33.66,-53.53,-33.17,-53.12,-32.74,-53.6,-32.4,-53.76,-32.06,-54.22,-31.86,-54.59,-31.49,-54.9,-31.39,-55.04,-31.28,-55.17,-31.28,-55.6,-30.85,-55.81,-31.04,-56,-31.08,-56.04,-30.78,-56.83,-30.11,-57.12,-30.15,-57.21,-30.28,-57.55,-30.26,-57.61,-30.19,-56.77,-29.42,-55.89,-28.37,-55.69,-28.38,-55.73,-28.2,-55.24,-27.9,-55.1,-27.87,-54.91,-27.71,-54.83,-27.55,-54.33,-27.42,-54.16,-27.25,-53.84,-27.12,-53.72,-26.88,-53.75,-26.75,-53.67,-26.29,-53.89,-25.67,-54.15,-25.52,-54.45,-25.62,-54.61,-25.58,-54.61,-25.43,-54.44,-25.12,-54.28,-24.31,-54.32,-24.13,-54.24,-24.05,-54.63,-23.81,-55.08,-24,-55.42,-23.95,-55.46,-23.69,-55.54,-23.58,-55.52,-23.42,-55.65,-22.89,-55.62,-22.67,-55.8,-22.35,-56.25,-22.27,-56.45,-22.08,-56.63,-22.23,-56.94,-22.27,-57.57,-22.18,-57.72,-22.1,-57.96,-22.11,-57.94,-21.49,-57.83,-21,-58.16,-20.16,-57.86,-19.98,-58.13,-19.74,-57.8,-19.08,-57.72,-19.04,-57.73,-18.92,-57.78,-18.91,-57.57,-18.28,-57.49,-18.22,-57.59,-18.12,-57.83,-17.51,-57.99,-17.51,-58.39,-17.23,-58.48,-16.7,-58.35,-16.49,-58.34,-16.28,-58.54,-16.33,-60.18,-16.27,-60.24,-15.48,-60.58,-15.1,-60.27,-15.09,-60.3,-14.62,-60.48,-14.18,-60.4,-14.02,-60.51,-13.79,-61.08,-13.49,-61.79,-13.53,-62.12,-13.16,-62.76,-13,-63.02,-12.81,-63.07,-12.67,-63.35,-12.68,-63.69,-12.48,-63.94,-12.53,-64.42,-12.44,-64.51,-12.25,-64.99,-11.98,-65.09,-11.74,-65.18,-11.75,-65.18,-11.65,-65.39,-11.25,-65.32,-11.02,-65.45,-10.51,-65.3,-10.15,-65.31,-9.87,-65.4,-9.71,-65.56,-9.8,-65.93,-9.79,-66.57,-9.9,-67.11,-10.27,-67.42,-10.39,-67.72,-10.68,-68.07,-10.7,-68.31,-10.97,-68.62,-11.11,-69.23,-10.96,-69.96,-10.93,-70.29,-11.06,-70.39,-11.06,-70.53,-10.95,-70.64,-11.01,-70.64,-9.82,-70.57,-9.71,-70.59,-9.54,-70.54,-9.44,-71.24,-9.97,-72.18,-10,-72.17,-9.84,-72.38,-9.51,-72.81,-9.41,-73.21,-9.41,-72.97,-9.12,-72.97,-8.99,-73.3,-8.65,-73.36,-8.48,-73.55,-8.35,-73.64,-8.07,-73.78,-7.94,-73.72,-7.78,-74,-7.56,-73.96,-7.38,-73.72,-7.31,-73.81,-7.08,-73.76,-6.91,-73.14,-6.47,-73.24,-6.1,-72.98,-5.63,-72.89,-5.12,-72.7,-5.07,-72.35,-4.79,-71.84,-4.5,-70.97,-4.35,-70.8,-4.17,-70.4,-4.15,-70.24,-4.3,-69.97,-4.3,-69.4,-1.2,-69.45,-1,-69.61,-0.76,-69.63,-0.51,-69.92,-0.32,-70.07,-0.14,-70.05,0.58,-69.47,0.73,-69.28,0.63,-69.15,0.64,-69.16,0.86,-69.31,1.05,-69.85,1.06,-69.85,1.71,-69.54,1.77,-69.32,1.72,-68.18,1.72,-68.25,1.85,-68.19,1.99,-67.93,1.75,-67.82,1.79,-67.56,2.07,-67.4,2.12,-67.09,1.62,-67.08,1.18,-66.88,1.22]],[[-49.63,-0.23,-49.12,-0.16,-48.39,-0.3,-48.5,-0.66,-48.57,-0.69,-48.57,-0.89,-48.84,-1.23,-48.83,-1.39,-49.04,-1.51,-49.17,-1.41,-49.23,-1.6,-49.51,-1.51,-49.59,-1.71,-49.8,-1.79,-50.07,-1.7,-50.51,-1.79,-50.6,-1.7,-50.76,-1.24,-50.73,-1.13,-50.6,-1.15,-50.58,-1.1,-50.78,-1.01,-50.79,-0.91,-50.65,-0.27,-50.25,-0.12,-49.63,-0.23]],[[-44.13,-23.14,-44.1,-23.17,-44.32,-23.21,-44.36,-23.17,-44.24,-23.07,-44.13,-23.14]],[[-48.58,-26.4,-48.67,-26.29,-48.54,-26.17,-48.5,-26.22,-48.58,-26.4]],[[-45.26,-23.89,-45.26,-23.94,-45.45,-23.9,-45.3,-23.73,-45.23,-23.83,-45.26,-23.89]],[[-44.5,-2.94,-44.6,-3.04,-44.57,-2.79,-44.48,-2.72,-44.5,-2.94]],[[-38.75,-13.1,-38.79,-13.06,-38.68,-12.97,-38.67,-12.88,-38.6,-12.99,-38.75,-13.1]],[[-49.74,0.27,-49.7,0.22,-49.92,-0.02,-50.34,0.04,-50.27,0.23,-49.88,0.3,-49.74,0.27]],[[-50.3,1.94,-50.46,1.91,-50.49,2.13,-50.34,2.14,-50.3,1.94]],[[-50.65,-0.13,-50.93,-0.33,-51.04,-0.23,-51,-0.11,-50.84,-0.05,-50.67,-0.06,-50.65,-0.13]],[[-49.44,-0.11,-49.71,-0.14,-49.83,-0.09,-49.5,0.08,-49.37,0,-49.44,-0.11]],[[-50.43,0.14,-50.45,-0.01,-50.63,0.05,-50.61,0.21,-50.45,0.33,-50.37,0.59,-50.33,0.26,-50.43,0.14]],[[-50.15,0.39,-50.26,0.36,-50.28,0.52,-50.25,0.59,-50.06,0.64,-50.04,0.52,-50.15,0.39]],[[-51.83,-1.43,-51.94,-1.45,-51.68,-1.09,-51.68,-0.86,-51.55,-0.65,-51.26,-0.54,-51.16,-0.67,-51.28,-1.02,-51.64,-1.34,-51.83,-1.43]],[[-48.49,-27.77,-48.56,-27.81,-48.54,-27.57,-48.42,-27.4,-48.38,-27.45,-48.49,-27.77]]]},
+  AR: {"name":"Argentina","bbox":[-73.58,-55.03,-53.67,-21.8],"polygons":[[[-57.61,-30.19,-57.87,-30.59,-57.81,-30.86,-57.9,-30.97,-57.89,-31.2,-58.03,-31.42,-57.99,-31.62,-58.19,-31.92,-58.12,-32.25,-58.22,-32.56,-58.17,-32.96,-58.25,-33.08,-58.42,-33.11,-58.55,-33.66,-58.39,-34.19,-58.52,-34.3,-58.28,-34.68,-57.55,-35.02,-57.17,-35.36,-57.16,-35.51,-57.35,-35.72,-57.38,-35.9,-57.26,-36.14,-57.08,-36.3,-56.72,-36.39,-56.67,-36.73,-56.73,-36.96,-57.09,-37.45,-57.4,-37.75,-57.55,-38.09,-58.18,-38.44,-59.83,-38.84,-61.11,-38.99,-61.85,-38.96,-62.34,-38.8,-62.38,-38.85,-62.3,-38.99,-62.3,-39.24,-62.05,-39.37,-62.18,-39.38,-62.08,-39.46,-62.13,-39.83,-62.29,-39.89,-62.4,-40.2,-62.39,-40.46,-62.25,-40.67,-62.39,-40.89,-62.96,-41.11,-63.62,-41.16,-64.85,-40.81,-64.81,-40.76,-64.87,-40.74,-65.07,-40.81,-65.13,-40.88,-65.16,-41.11,-65.02,-41.57,-65.06,-41.97,-64.99,-42.1,-64.54,-42.26,-64.57,-42.42,-64.42,-42.43,-64.1,-42.39,-64.06,-42.27,-64.23,-42.22,-63.79,-42.11,-63.63,-42.28,-63.62,-42.7,-63.69,-42.81,-64.04,-42.88,-64.13,-42.86,-64.32,-42.57,-64.49,-42.51,-64.97,-42.67,-65.03,-42.76,-64.32,-42.97,-64.84,-43.19,-65.25,-43.57,-65.31,-43.79,-65.24,-44.05,-65.31,-44.16,-65.29,-44.36,-65.36,-44.48,-65.65,-44.66,-65.7,-44.8,-65.6,-44.88,-65.64,-45.01,-66.19,-44.97,-66.58,-45.18,-66.94,-45.26,-67.26,-45.58,-67.6,-46.05,-67.51,-46.44,-66.78,-47.01,-65.85,-47.16,-65.74,-47.35,-65.77,-47.57,-65.89,-47.7,-66.22,-47.83,-65.93,-47.83,-65.81,-47.94,-66.39,-48.34,-67.13,-48.69,-67.47,-48.95,-67.69,-49.25,-67.78,-49.86,-67.91,-49.98,-68.26,-50.1,-68.49,-49.98,-68.67,-49.75,-68.66,-49.94,-68.98,-50,-68.6,-50.01,-68.42,-50.16,-68.94,-50.38,-69.09,-50.58,-69.15,-50.86,-69.36,-51.03,-69.2,-50.99,-69.06,-51.3,-69.06,-51.55,-69.46,-51.58,-68.96,-51.68,-68.4,-52.31,-68.44,-52.36,-68.46,-52.29,-69.96,-52.01,-71.97,-51.96,-71.95,-51.88,-72.41,-51.54,-72.3,-51.3,-72.38,-51.1,-72.28,-50.91,-72.34,-50.68,-72.51,-50.61,-73.15,-50.74,-73.38,-50.23,-73.5,-50.12,-73.53,-49.91,-73.47,-49.79,-73.58,-49.58,-73.46,-49.31,-73.14,-49.3,-73.15,-49.19,-73.03,-49.01,-72.61,-48.79,-72.61,-48.52,-72.36,-48.37,-72.29,-48.23,-72.33,-48.11,-72.51,-47.97,-72.52,-47.88,-72.34,-47.49,-72.04,-47.24,-71.91,-47.2,-71.94,-46.83,-71.7,-46.65,-71.76,-46.32,-71.88,-46.16,-71.63,-45.95,-71.75,-45.84,-71.75,-45.58,-71.51,-45.51,-71.35,-45.33,-71.35,-45.23,-71.6,-44.98,-72.04,-44.9,-72.06,-44.77,-71.26,-44.76,-71.16,-44.56,-71.21,-44.44,-71.82,-44.38,-71.81,-44.11,-71.68,-43.93,-71.79,-43.75,-71.74,-43.7,-71.75,-43.59,-71.91,-43.44,-71.91,-43.35,-71.75,-43.24,-71.78,-43.17,-72.05,-43.1,-72.15,-42.99,-72.14,-42.58,-72.05,-42.47,-72.11,-42.25,-72.03,-42.15,-71.86,-42.15,-71.75,-42.05,-71.91,-41.65,-71.87,-40.89,-71.93,-40.69,-71.8,-40.44,-71.71,-40.38,-71.82,-40.18,-71.66,-40.02,-71.64,-39.89,-71.72,-39.64,-71.54,-39.6,-71.42,-39.29,-71.4,-38.93,-70.95,-38.74,-70.86,-38.6,-70.85,-38.54,-70.97,-38.45,-71.03,-38.04,-71.17,-37.76,-71.13,-37.44,-71.2,-37.3,-71.12,-37.12,-71.19,-36.84,-71.06,-36.52,-70.75,-36.39,-70.72,-36.28,-70.4,-36.06,-70.41,-35.52,-70.47,-35.33,-70.56,-35.25,-70.39,-35.15,-70.29,-34.73,-70.05,-34.3,-69.85,-34.22,-69.89,-33.73,-69.82,-33.28,-70.02,-33.27,-70.08,-33.2,-70.09,-33.03,-70.02,-32.88,-70.12,-32.81,-70.17,-32.47,-70.32,-32.27,-70.36,-32.08,-70.25,-31.96,-70.45,-31.84,-70.58,-31.57,-70.56,-31.32,-70.52,-31.15,-70.39,-31.12,-70.31,-31.02,-70.35,-30.9,-70.17,-30.39,-69.96,-30.36,-69.84,-30.17,-69.96,-30.08,-69.93,-29.77,-70.03,-29.32,-69.83,-29.1,-69.66,-28.41,-69.17,-27.92,-68.85,-27.15,-68.71,-27.11,-68.59,-27.14,-68.32,-26.97,-68.32,-26.88,-68.59,-26.47,-68.58,-26.35,-68.41,-26.15,-68.6,-25.49,-68.54,-25.24,-68.38,-25.09,-68.56,-24.84,-68.51,-24.63,-68.25,-24.39,-67.35,-24.03,-67.01,-23,-67.2,-22.82,-67.03,-22.55,-66.8,-22.41,-66.71,-22.22,-66.36,-22.11,-66.22,-21.8,-66.1,-21.83,-65.77,-22.1,-64.99,-22.11,-64.6,-22.23,-64.32,-22.83,-64.27,-22.6,-63.92,-22.03,-62.84,-22,-62.62,-22.29,-62.21,-22.61,-61.93,-23.06,-61.21,-23.56,-61.03,-23.75,-60.5,-23.96,-59.89,-24.09,-59.19,-24.56,-58.37,-24.96,-57.96,-25.05,-57.65,-25.33,-57.57,-25.53,-57.75,-25.7,-57.89,-26.01,-58.11,-26.18,-58.2,-26.38,-58.19,-26.63,-58.32,-26.86,-58.62,-27.13,-58.6,-27.31,-58.17,-27.27,-57.11,-27.47,-56.61,-27.47,-56.44,-27.55,-56.16,-27.32,-55.72,-27.41,-55.43,-27.01,-55.14,-26.93,-54.75,-26.53,-54.63,-26.01,-54.61,-25.58,-54.45,-25.62,-54.15,-25.52,-53.89,-25.67,-53.67,-26.29,-53.75,-26.75,-53.72,-26.88,-53.84,-27.12,-54.16,-27.25,-54.33,-27.42,-54.83,-27.55,-54.91,-27.71,-55.1,-27.87,-55.24,-27.9,-55.73,-28.2,-55.69,-28.38,-55.89,-28.37,-56.77,-29.42,-57.61,-30.19]],[[-68.65,-54.85,-68.63,-52.65,-68.34,-52.9,-68.24,-53.08,-68.33,-53.02,-68.43,-53.06,-68.52,-53.18,-68.49,-53.26,-68.16,-53.31,-68.01,-53.56,-67.29,-54.05,-66.24,-54.53,-65.75,-54.65,-65.18,-54.68,-65.35,-54.88,-65.47,-54.91,-65.95,-54.92,-66.51,-55.03,-67.13,-54.9,-68.22,-54.82,-68.65,-54.85]],[[-64.55,-54.72,-63.82,-54.73,-63.97,-54.81,-64.32,-54.8,-64.64,-54.9,-64.76,-54.83,-64.55,-54.72]]]},
+  CL: {"name":"Chile","bbox":[-75.71,-55.78,-66.44,-17.51],"polygons":[[[-70.42,-18.35,-70.18,-18.32,-69.93,-18.21,-69.8,-17.99,-69.85,-17.7,-69.51,-17.51,-69.31,-17.94,-69.09,-18.05,-69.14,-18.14,-68.97,-18.97,-68.46,-19.43,-68.7,-19.72,-68.56,-19.97,-68.6,-20.05,-68.76,-20.09,-68.69,-20.31,-68.76,-20.42,-68.49,-20.63,-68.56,-20.72,-68.56,-20.9,-68.43,-20.95,-68.2,-21.3,-68.19,-21.62,-68.08,-21.98,-67.99,-22.06,-67.88,-22.49,-67.88,-22.82,-67.58,-22.89,-67.2,-22.82,-67.01,-23,-67.35,-24.03,-68.25,-24.39,-68.56,-24.75,-68.56,-24.84,-68.38,-25.09,-68.5,-25.16,-68.59,-25.42,-68.41,-26.15,-68.58,-26.35,-68.59,-26.47,-68.32,-26.88,-68.32,-26.97,-68.59,-27.14,-68.71,-27.11,-68.85,-27.15,-69.17,-27.92,-69.66,-28.41,-69.83,-29.1,-70.03,-29.32,-69.93,-29.77,-69.96,-30.08,-69.84,-30.17,-69.96,-30.36,-70.15,-30.36,-70.35,-30.9,-70.31,-31.02,-70.39,-31.12,-70.52,-31.15,-70.58,-31.57,-70.45,-31.84,-70.25,-31.96,-70.36,-32.08,-70.32,-32.27,-70.17,-32.47,-70.12,-32.81,-70.02,-32.88,-70.09,-33.03,-70.08,-33.2,-70.02,-33.27,-69.82,-33.28,-69.89,-33.73,-69.85,-34.22,-70.05,-34.3,-70.29,-34.73,-70.39,-35.15,-70.56,-35.25,-70.47,-35.33,-70.41,-35.52,-70.4,-36.06,-70.72,-36.28,-70.75,-36.39,-71.06,-36.52,-71.19,-36.84,-71.12,-37.12,-71.2,-37.3,-71.13,-37.44,-71.17,-37.76,-71.03,-38.04,-70.97,-38.45,-70.85,-38.54,-70.95,-38.74,-71.4,-38.93,-71.42,-39.29,-71.54,-39.6,-71.72,-39.64,-71.64,-39.89,-71.66,-40.02,-71.82,-40.18,-71.7,-40.34,-71.8,-40.44,-71.94,-40.79,-71.87,-40.89,-71.91,-41.65,-71.75,-42.05,-71.86,-42.15,-72.03,-42.15,-72.11,-42.25,-72.05,-42.47,-72.14,-42.58,-72.1,-43.07,-71.78,-43.17,-71.75,-43.24,-71.91,-43.35,-71.91,-43.44,-71.75,-43.59,-71.74,-43.7,-71.79,-43.75,-71.68,-43.93,-71.81,-44.11,-71.82,-44.38,-71.21,-44.44,-71.16,-44.56,-71.26,-44.76,-72.06,-44.77,-72.04,-44.9,-71.6,-44.98,-71.35,-45.23,-71.35,-45.33,-71.51,-45.51,-71.75,-45.58,-71.75,-45.84,-71.63,-45.95,-71.88,-46.16,-71.76,-46.32,-71.7,-46.65,-71.94,-46.83,-71.91,-47.2,-72.04,-47.24,-72.34,-47.49,-72.52,-47.88,-72.51,-47.97,-72.33,-48.11,-72.29,-48.23,-72.36,-48.37,-72.61,-48.52,-72.61,-48.79,-73.03,-49.01,-73.15,-49.19,-73.14,-49.3,-73.46,-49.31,-73.58,-49.58,-73.47,-49.79,-73.53,-49.91,-73.5,-50.12,-73.38,-50.23,-73.15,-50.74,-72.51,-50.61,-72.34,-50.68,-72.28,-50.91,-72.38,-51.1,-72.3,-51.3,-72.41,-51.54,-71.95,-51.88,-71.97,-51.96,-69.96,-52.01,-68.46,-52.29,-68.44,-52.36,-69.24,-52.21,-69.45,-52.27,-69.62,-52.46,-70.8,-52.77,-70.98,-53.37,-70.95,-53.57,-70.99,-53.78,-71.3,-53.88,-72.18,-53.63,-72.38,-53.47,-72.41,-53.35,-72.3,-53.25,-71.94,-53.23,-71.85,-53.29,-71.83,-53.4,-71.89,-53.52,-71.79,-53.48,-71.74,-53.23,-71.29,-53.03,-71.16,-52.89,-71.23,-52.81,-71.39,-52.76,-72.28,-53.13,-72.49,-53.29,-72.55,-53.46,-73.05,-53.24,-72.92,-53.12,-72.89,-52.87,-72.73,-52.76,-72.45,-52.81,-72.12,-52.65,-71.8,-52.68,-71.51,-52.61,-72.23,-52.52,-72.44,-52.63,-72.5,-52.56,-72.71,-52.54,-72.8,-52.71,-73.02,-52.89,-73.02,-53.02,-73.12,-53.07,-73.34,-53.06,-73.64,-52.84,-73.24,-52.71,-73.07,-52.53,-73.12,-52.49,-73.18,-52.49,-73.24,-52.62,-73.38,-52.6,-73.59,-52.69,-74.01,-52.64,-74.04,-52.4,-74.15,-52.38,-74.3,-52.12,-73.83,-52.23,-73.7,-52.2,-73.68,-52.08,-73.53,-52.15,-73.26,-52.16,-72.79,-51.95,-72.69,-51.99,-72.57,-52.2,-72.72,-52.36,-72.63,-52.37,-72.52,-52.25,-72.63,-52.01,-72.5,-51.85,-72.54,-51.71,-72.76,-51.57,-73.17,-51.45,-72.65,-51.7,-72.58,-51.74,-72.6,-51.8,-72.93,-51.86,-73.38,-52.07,-73.52,-52.04,-73.75,-51.79,-73.97,-51.78,-74.19,-51.68,-74.07,-51.58,-73.93,-51.62,-73.9,-51.33,-73.94,-51.27,-74.81,-51.06,-75.09,-50.68,-74.68,-50.66,-74.65,-50.62,-74.77,-50.47,-74.64,-50.36,-74.36,-50.49,-74.14,-50.82,-73.81,-50.94,-73.82,-50.84,-73.74,-50.7,-73.62,-50.65,-73.69,-50.57,-73.65,-50.49,-73.98,-50.83,-74.2,-50.61,-74.18,-50.49,-73.95,-50.51,-74.43,-50.35,-74.63,-50.19,-74.34,-49.98,-73.96,-49.99,-74.32,-49.78,-74.29,-49.6,-74.1,-49.56,-73.83,-49.61,-74.09,-49.43,-74.01,-49.09,-73.94,-49.02,-74.03,-49.03,-74.22,-49.5,-74.37,-49.4,-74.34,-48.6,-74.01,-48.48,-74.17,-48.43,-74.34,-48.49,-74.48,-48.46,-74.58,-48.27,-74.58,-48,-73.85,-48.04,-73.53,-48.2,-73.39,-48.15,-73.61,-47.99,-73.72,-47.66,-73.94,-47.93,-74.23,-47.97,-74.35,-47.94,-74.37,-47.83,-74.66,-47.7,-74.53,-47.57,-74.24,-47.68,-74.13,-47.59,-74.48,-47.43,-74.16,-47.18,-74.21,-47.08,-74.15,-46.97,-74.31,-46.79,-74.45,-46.77,-74.51,-46.89,-75,-46.74,-75.05,-46.63,-74.98,-46.51,-75.54,-46.7,-75.39,-46.86,-75.43,-46.93,-75.63,-46.86,-75.71,-46.7,-75.66,-46.61,-74.93,-46.16,-75.07,-46.01,-75.07,-45.88,-74.16,-45.77,-74.08,-45.68,-74.12,-45.5,-73.96,-45.4,-73.82,-45.45,-73.96,-45.84,-74.06,-45.95,-74.02,-46.06,-74.08,-46.13,-74.39,-46.22,-74.09,-46.22,-73.97,-46.15,-73.88,-45.85,-73.73,-45.81,-73.71,-46.07,-73.81,-46.38,-73.95,-46.53,-73.85,-46.57,-73.66,-46.3,-73.59,-45.9,-73.59,-45.78,-73.76,-45.7,-73.78,-45.63,-73.73,-45.48,-73.55,-45.48,-73.27,-45.35,-72.93,-45.45,-73.23,-45.26,-73.45,-45.24,-73.41,-45.1,-73.36,-44.98,-73.08,-44.92,-72.74,-44.73,-72.68,-44.59,-72.66,-44.44,-73.27,-44.17,-73.22,-43.9,-73.07,-43.86,-73,-43.63,-73.1,-43.46,-73.08,-43.32,-72.94,-43.21,-72.88,-43.05,-72.76,-43.04,-72.85,-42.67,-72.77,-42.51,-72.63,-42.51,-72.77,-42.26,-72.63,-42.2,-72.43,-42.43,-72.41,-42.39,-72.5,-41.98,-72.74,-42,-72.82,-41.91,-72.66,-41.74,-72.36,-41.65,-72.32,-41.5,-72.43,-41.65,-72.54,-41.69,-72.95,-41.51,-73.24,-41.78,-73.73,-41.74,-73.62,-41.58,-73.86,-41.45,-73.98,-40.97,-73.67,-39.96,-73.41,-39.79,-73.25,-39.42,-73.23,-39.22,-73.52,-38.51,-73.46,-38.04,-73.66,-37.7,-73.6,-37.48,-73.66,-37.34,-73.6,-37.19,-73.37,-37.22,-73.22,-37.17,-73.12,-36.69,-73.01,-36.64,-72.87,-36.39,-72.78,-35.98,-72.59,-35.76,-72.63,-35.59,-72.22,-35.1,-72.06,-34.62,-72,-34.17,-71.83,-33.82,-71.66,-33.65,-71.64,-33.52,-71.74,-33.09,-71.59,-32.97,-71.45,-32.66,-71.42,-32.39,-71.51,-32.21,-71.71,-30.76,-71.67,-30.33,-71.4,-30.14,-71.31,-29.65,-71.33,-29.44,-71.48,-29.2,-71.52,-28.93,-71.31,-28.67,-71.19,-28.38,-71.09,-27.81,-70.93,-27.59,-70.9,-27.19,-70.65,-26.33,-70.63,-25.99,-70.71,-25.78,-70.45,-25.25,-70.57,-24.64,-70.51,-23.89,-70.39,-23.57,-70.59,-23.37,-70.59,-23.25,-70.56,-23.06,-70.45,-23.03,-70.33,-22.85,-70.09,-21.49,-70.2,-20.73,-70.16,-19.71,-70.27,-19.27,-70.36,-18.4,-70.42,-18.35]],[[-68.63,-52.65,-68.65,-54.85,-69.08,-54.91,-69.49,-54.86,-69.72,-54.71,-70.03,-54.82,-70.28,-54.75,-70.5,-54.81,-71.44,-54.62,-71.9,-54.6,-71.93,-54.53,-71.8,-54.43,-71.57,-54.5,-71.39,-54.4,-71.08,-54.44,-70.8,-54.33,-70.7,-54.35,-70.7,-54.49,-70.31,-54.53,-70.3,-54.49,-70.54,-54.3,-70.76,-54.24,-70.86,-54.11,-70.87,-53.88,-70.65,-53.82,-70.7,-53.73,-70.53,-53.63,-70.38,-53.99,-70.63,-54,-70.53,-54.14,-70.38,-54.18,-70.17,-54.38,-69.74,-54.31,-69.42,-54.41,-69.31,-54.57,-69.25,-54.56,-69.04,-54.41,-69.99,-54.11,-70.15,-53.89,-70.15,-53.76,-70.09,-53.72,-69.39,-53.5,-69.36,-53.42,-69.64,-53.33,-70.09,-53.42,-70.33,-53.38,-70.46,-53.21,-70.44,-53.09,-70.13,-52.94,-70.38,-52.75,-70.19,-52.72,-69.94,-52.82,-69.5,-52.49,-69.41,-52.49,-69.17,-52.67,-68.79,-52.58,-68.63,-52.65]],[[-67.08,-55.15,-67.34,-55.29,-67.5,-55.18,-67.77,-55.26,-68.07,-55.22,-68.3,-54.98,-68.11,-54.93,-67.25,-54.98,-67.11,-55.06,-67.08,-55.15]],[[-73.77,-43.35,-74.12,-43.36,-74.39,-43.23,-74.21,-42.88,-74.17,-42.27,-74.06,-42.06,-74.04,-41.8,-73.53,-41.9,-73.42,-42.19,-73.44,-42.28,-73.53,-42.31,-73.47,-42.47,-73.79,-42.59,-73.44,-42.94,-73.54,-43.07,-73.75,-43.16,-73.77,-43.35]],[[-74.48,-49.15,-74.52,-49.62,-74.46,-49.69,-74.59,-50.01,-74.76,-50.01,-74.88,-49.73,-74.72,-49.42,-74.96,-49.53,-75.03,-49.84,-75.55,-49.79,-75.52,-49.62,-75.34,-49.63,-75.31,-49.49,-75.47,-49.36,-75.33,-49.27,-75.09,-49.27,-75.09,-49.19,-75.21,-49.15,-74.95,-48.96,-74.98,-48.82,-74.9,-48.73,-74.55,-48.77,-74.48,-49.15]],[[-75.51,-48.76,-75.62,-48.77,-75.65,-48.59,-75.52,-48.33,-75.56,-48.07,-75.39,-48.02,-75.16,-48.43,-75.16,-48.62,-75.51,-48.76]],[[-74.39,-52.92,-73.65,-53.07,-73.14,-53.35,-73.57,-53.31,-73.87,-53.1,-74.27,-53.08,-74.56,-52.92,-74.71,-52.75,-74.57,-52.77,-74.39,-52.92]],[[-74.57,-48.59,-74.92,-48.63,-75.21,-48.14,-75.25,-48.03,-75.2,-47.97,-74.83,-47.85,-74.85,-48.02,-74.6,-48.37,-74.57,-48.59]],[[-72.92,-53.48,-72.88,-53.58,-72.48,-53.59,-72.2,-53.81,-72.41,-54,-72.87,-54.13,-72.96,-54.07,-72.78,-53.95,-72.76,-53.86,-73.04,-53.83,-73.08,-54,-73.21,-53.99,-73.31,-53.94,-73.31,-53.73,-73.47,-53.74,-73.64,-53.57,-73.85,-53.55,-73.69,-53.43,-73.45,-53.41,-73.1,-53.51,-73.11,-53.42,-73.05,-53.39,-72.92,-53.48]],[[-74.82,-51.63,-74.78,-51.82,-74.54,-51.96,-74.7,-52.28,-74.85,-52.27,-75.11,-51.79,-74.91,-51.74,-74.91,-51.65,-74.82,-51.63]],[[-69.7,-54.92,-68.9,-55.02,-68.46,-54.96,-68.4,-55.04,-68.61,-55.16,-68.28,-55.25,-68.33,-55.33,-68.09,-55.48,-68.05,-55.64,-68.23,-55.6,-68.34,-55.5,-68.87,-55.45,-68.93,-55.37,-68.89,-55.24,-69.01,-55.26,-69.19,-55.17,-69.3,-55.17,-69.36,-55.3,-69.18,-55.48,-69.46,-55.42,-69.64,-55.32,-69.66,-55.23,-69.82,-55.24,-69.98,-55.15,-69.89,-54.88,-69.7,-54.92]],[[-71.39,-54.03,-71.02,-54.11,-71.01,-54.25,-71.14,-54.37,-71.47,-54.23,-71.76,-54.23,-71.95,-54.3,-71.97,-54.21,-72.21,-54.05,-72.15,-53.94,-72,-53.88,-71.39,-54.03]],[[-73.73,-44.39,-73.98,-44.49,-74,-44.59,-73.83,-44.84,-73.73,-45.12,-73.75,-45.27,-73.85,-45.34,-74.1,-45.32,-74.09,-45.2,-74.62,-44.65,-74.48,-44.59,-74.5,-44.47,-74.1,-44.39,-74.08,-44.19,-73.99,-44.14,-73.9,-44.14,-73.7,-44.27,-73.73,-44.39]],[[-72.99,-44.78,-73.23,-44.86,-73.4,-44.77,-73.45,-44.64,-73.28,-44.49,-73.26,-44.35,-73.03,-44.38,-72.78,-44.51,-72.99,-44.78]],[[-75.3,-50.68,-75.33,-50.77,-75.44,-50.74,-75.48,-50.65,-75.43,-50.48,-75.12,-50.51,-75.29,-50.6,-75.3,-50.68]],[[-75.11,-48.84,-75.12,-48.92,-75.39,-49.16,-75.51,-49.23,-75.64,-49.2,-75.49,-49.08,-75.64,-48.94,-75.58,-48.86,-75.12,-48.77,-75.11,-48.84]],[[-75.11,-47.84,-75.18,-47.85,-75.26,-47.76,-75.09,-47.69,-74.93,-47.72,-75.11,-47.84]],[[-73.63,-44.82,-73.69,-44.83,-73.82,-44.65,-73.78,-44.56,-73.69,-44.55,-73.64,-44.61,-73.63,-44.82]],[[-74.56,-51.28,-74.62,-51.4,-75.05,-51.4,-75.29,-51.62,-75.15,-51.28,-75.04,-51.32,-74.61,-51.21,-74.56,-51.28]],[[-75.06,-50.3,-75.25,-50.38,-75.45,-50.34,-75.33,-50.01,-74.88,-50.11,-74.84,-50.2,-75.06,-50.3]],[[-73.81,-43.83,-73.79,-43.88,-73.96,-43.92,-74.14,-43.87,-74.14,-43.82,-73.86,-43.78,-73.81,-43.83]],[[-74.14,-51.93,-74.43,-51.85,-74.48,-51.73,-74.13,-51.87,-74.14,-51.93]],[[-74.31,-45.69,-74.46,-45.76,-74.68,-45.74,-74.69,-45.66,-74.49,-45.43,-74.5,-45.28,-74.31,-45.17,-74.31,-45.46,-74.23,-45.61,-74.31,-45.69]],[[-66.47,-55.23,-66.55,-55.27,-66.63,-55.23,-66.52,-55.17,-66.44,-55.19,-66.47,-55.23]],[[-70.99,-54.87,-70.8,-54.97,-70.42,-54.91,-70.3,-55.11,-70.48,-55.18,-70.6,-55.08,-70.94,-55.06,-71.2,-54.89,-71.39,-54.93,-71.44,-54.89,-71.37,-54.83,-70.99,-54.87]],[[-67.29,-55.78,-67.56,-55.71,-67.37,-55.59,-67.29,-55.78]]]},
+  PE: {"name":"Peru","bbox":[-81.34,-18.35,-68.69,-0.04],"polygons":[[[-69.96,-4.24,-70.05,-4.33,-70.24,-4.3,-70.4,-4.15,-70.8,-4.17,-70.97,-4.35,-71.84,-4.5,-72.35,-4.79,-72.7,-5.07,-72.89,-5.12,-72.98,-5.63,-73.24,-6.1,-73.14,-6.47,-73.76,-6.91,-73.81,-7.08,-73.72,-7.31,-73.96,-7.38,-74,-7.56,-73.72,-7.78,-73.78,-7.94,-73.64,-8.07,-73.55,-8.35,-73.36,-8.48,-73.3,-8.65,-72.97,-8.99,-72.97,-9.12,-73.21,-9.41,-72.81,-9.41,-72.38,-9.51,-72.17,-9.84,-72.18,-10,-71.24,-9.97,-70.54,-9.44,-70.59,-9.54,-70.57,-9.71,-70.64,-9.82,-70.64,-11.01,-70.53,-10.95,-70.39,-11.06,-70.29,-11.06,-69.96,-10.93,-69.58,-10.95,-68.69,-12.5,-68.76,-12.69,-68.98,-12.88,-68.98,-13.5,-69.08,-13.68,-68.87,-14.17,-69,-14.27,-69.01,-14.38,-69.36,-14.8,-69.37,-14.96,-69.17,-15.24,-69.42,-15.64,-69.22,-16.15,-68.84,-16.34,-69.03,-16.48,-69.02,-16.64,-69.2,-16.77,-69.44,-17.09,-69.63,-17.2,-69.51,-17.51,-69.85,-17.7,-69.8,-17.99,-69.93,-18.21,-70.18,-18.32,-70.42,-18.35,-71.34,-17.68,-71.4,-17.42,-71.53,-17.3,-72.11,-17,-72.47,-16.71,-73.73,-16.2,-74.15,-15.91,-75.11,-15.41,-75.53,-14.9,-75.93,-14.63,-76.17,-14.23,-76.29,-14.13,-76.3,-13.95,-76.38,-13.86,-76.26,-13.8,-76.18,-13.52,-76.23,-13.37,-76.5,-12.98,-76.83,-12.35,-77.15,-12.06,-77.22,-11.66,-77.63,-11.29,-77.74,-10.84,-78.19,-10.09,-78.76,-8.62,-79.01,-8.21,-79.38,-7.84,-79.62,-7.3,-79.99,-6.77,-80.11,-6.65,-81.14,-6.06,-81.16,-5.88,-81.09,-5.81,-80.93,-5.84,-80.88,-5.63,-81.17,-5.17,-81.11,-5.03,-81.34,-4.67,-81.23,-4.23,-80.8,-3.73,-80.33,-3.39,-80.27,-3.42,-80.18,-3.88,-80.3,-4,-80.49,-4.01,-80.49,-4.17,-80.35,-4.21,-80.48,-4.43,-80.38,-4.46,-80.14,-4.3,-79.8,-4.48,-79.64,-4.46,-79.52,-4.54,-79.5,-4.67,-79.33,-4.93,-79.03,-4.97,-78.92,-4.86,-78.91,-4.71,-78.69,-4.56,-78.68,-4.33,-78.42,-3.78,-78.35,-3.4,-78.23,-3.49,-78.16,-3.46,-78.18,-3.35,-77.86,-2.98,-76.68,-2.56,-76.09,-2.13,-75.57,-1.53,-75.41,-0.92,-75.25,-0.95,-75.26,-0.59,-75.63,-0.12,-75.34,-0.14,-75.22,-0.04,-74.8,-0.2,-74.76,-0.3,-74.62,-0.37,-74.42,-0.58,-74.25,-0.97,-73.67,-1.25,-73.52,-1.45,-73.5,-1.69,-73.2,-1.83,-73.13,-2.08,-73.15,-2.28,-72.94,-2.39,-72.63,-2.35,-72.39,-2.43,-72.22,-2.4,-71.98,-2.33,-71.75,-2.15,-71.4,-2.33,-70.97,-2.21,-70.09,-2.66,-70.07,-2.75,-70.74,-3.78,-70.53,-3.87,-70.34,-3.82,-69.96,-4.24]]]},
+  CO: {"name":"Colombia","bbox":[-79.03,-4.24,-66.88,12.43],"polygons":[[[-71.32,11.86,-71.96,11.67,-72.25,11.2,-72.45,11.11,-72.69,10.84,-72.87,10.49,-73.01,9.79,-73.37,9.19,-73.06,9.26,-72.96,9.14,-72.8,9.11,-72.66,8.63,-72.42,8.38,-72.36,8.15,-72.45,7.97,-72.47,7.52,-72.39,7.42,-72.21,7.37,-72.01,7.03,-71.13,6.99,-70.74,7.09,-70.13,6.95,-69.43,6.12,-69.27,6.1,-68.94,6.2,-68.47,6.16,-67.86,6.29,-67.48,6.18,-67.47,5.93,-67.57,5.83,-67.64,5.56,-67.83,5.27,-67.86,4.51,-67.66,3.86,-67.31,3.42,-67.83,2.89,-67.86,2.79,-67.62,2.79,-67.21,2.39,-67.13,2,-66.88,1.36,-66.88,1.22,-67.08,1.18,-67.09,1.62,-67.4,2.12,-67.56,2.07,-67.82,1.79,-67.93,1.75,-68.19,1.99,-68.25,1.85,-68.18,1.72,-69.32,1.72,-69.54,1.77,-69.85,1.71,-69.85,1.06,-69.31,1.05,-69.16,0.86,-69.15,0.64,-69.28,0.63,-69.47,0.73,-70.05,0.58,-70.07,-0.14,-69.92,-0.32,-69.63,-0.51,-69.61,-0.76,-69.45,-1,-69.4,-1.2,-69.96,-4.24,-70.34,-3.82,-70.53,-3.87,-70.74,-3.78,-70.07,-2.75,-70.09,-2.66,-70.97,-2.21,-71.4,-2.33,-71.75,-2.15,-71.98,-2.33,-72.22,-2.4,-72.39,-2.43,-72.63,-2.35,-72.94,-2.39,-73.15,-2.28,-73.13,-2.08,-73.2,-1.83,-73.5,-1.69,-73.52,-1.45,-73.67,-1.25,-74.25,-0.97,-74.42,-0.58,-74.8,-0.2,-74.94,-0.19,-75.14,-0.05,-75.29,-0.11,-75.78,0.09,-76.07,0.35,-76.27,0.44,-76.39,0.41,-76.43,0.26,-76.5,0.23,-76.83,0.25,-77.4,0.39,-77.47,0.64,-77.65,0.72,-77.7,0.84,-77.83,0.83,-78.31,1.05,-78.68,1.28,-79.03,1.62,-78.96,1.75,-78.79,1.85,-78.58,1.77,-78.55,1.92,-78.63,2.06,-78.59,2.36,-78.42,2.48,-78.06,2.51,-77.87,2.73,-77.81,2.72,-77.67,2.88,-77.69,3.04,-77.56,3.08,-77.42,3.34,-77.36,3.35,-77.08,3.91,-77.16,3.86,-77.26,3.89,-77.28,4.06,-77.36,3.94,-77.43,4.06,-77.41,4.25,-77.52,4.21,-77.35,4.4,-77.29,4.72,-77.37,5.32,-77.54,5.54,-77.25,5.78,-77.47,6.18,-77.47,6.28,-77.4,6.27,-77.37,6.57,-77.44,6.69,-77.52,6.69,-77.9,7.23,-77.74,7.54,-77.76,7.7,-77.59,7.54,-77.54,7.57,-77.35,7.71,-77.34,7.84,-77.2,7.97,-77.48,8.5,-77.39,8.64,-76.85,8.09,-76.92,7.97,-76.79,7.93,-76.74,8,-76.77,8.31,-76.92,8.57,-76.28,8.99,-76.03,9.37,-75.64,9.45,-75.6,9.54,-75.68,9.73,-75.54,10.2,-75.71,10.14,-75.55,10.33,-75.45,10.61,-74.84,11.11,-74.33,11,-74.49,10.93,-74.52,10.86,-74.4,10.77,-74.14,11.32,-73.31,11.3,-72.72,11.71,-72.28,11.89,-72.14,12.19,-71.71,12.42,-71.49,12.43,-71.26,12.33,-71.14,12.05,-71.32,11.86]]]},
+  ZA: {"name":"South Africa","bbox":[16.45,-34.79,32.88,-22.15],"polygons":[[[29.36,-22.19,29.66,-22.15,30.19,-22.29,31.07,-22.31,31.29,-22.4,31.55,-23.48,31.8,-23.89,31.95,-24.33,31.95,-25.96,31.87,-25.98,31.42,-25.75,31.21,-25.84,30.8,-26.41,30.81,-26.79,30.88,-26.79,31.06,-27.11,31.28,-27.24,31.74,-27.31,31.96,-27.31,32,-26.82,32.88,-26.85,32.54,-28.2,32.38,-28.5,32.03,-28.84,31.78,-28.94,31.34,-29.38,30.29,-30.97,29.97,-31.32,29.48,-31.67,28.86,-32.29,27.86,-33.05,27.08,-33.52,26.61,-33.71,26.43,-33.76,25.81,-33.74,25.65,-33.85,25.64,-34.01,25.57,-34.04,25,-33.97,24.83,-34.17,24.6,-34.17,23.7,-33.99,23.27,-34.08,22.55,-34.01,22.25,-34.07,21.79,-34.37,20.99,-34.37,20.53,-34.46,20.02,-34.79,19.64,-34.75,19.39,-34.6,19.3,-34.62,19.33,-34.49,19.1,-34.35,18.83,-34.36,18.81,-34.11,18.75,-34.08,18.5,-34.11,18.46,-34.35,18.33,-34.07,18.35,-33.94,18.47,-33.89,18.43,-33.72,18.26,-33.42,17.99,-33.15,17.85,-32.83,17.97,-32.71,18.04,-32.78,18.12,-32.75,18.33,-32.5,18.31,-32.12,18.21,-31.74,17.68,-31.02,17.35,-30.45,16.95,-29.4,16.45,-28.62,16.76,-28.45,16.88,-28.13,17.06,-28.03,17.36,-28.27,17.35,-28.5,17.45,-28.7,18.1,-28.87,19.25,-28.9,19.27,-28.78,19.54,-28.57,19.98,-28.45,19.98,-24.78,20.43,-25.15,20.79,-25.92,20.81,-26.16,20.63,-26.44,20.68,-26.82,21.7,-26.84,21.79,-26.71,22.01,-26.64,22.22,-26.39,22.6,-26.13,22.88,-25.46,23.06,-25.31,23.39,-25.29,23.9,-25.6,24.19,-25.63,24.33,-25.74,24.75,-25.82,25.44,-25.71,25.58,-25.61,25.91,-24.75,26.4,-24.61,26.84,-24.24,26.99,-23.7,27.08,-23.58,27.76,-23.2,28.21,-22.69,28.38,-22.59,28.84,-22.48,29.13,-22.21,29.36,-22.19],[28.74,-30.1,29.1,-29.92,29.14,-29.7,29.3,-29.57,29.39,-29.27,29.3,-29.09,28.95,-28.88,28.63,-28.58,27.74,-28.94,27.36,-29.46,27.06,-29.63,27.39,-30.32,27.75,-30.6,28.06,-30.63,28.39,-30.15,28.74,-30.1]]]},
+  KE: {"name":"Kenya","bbox":[33.9,-4.68,41.88,5.49],"polygons":[[[33.9,-1,33.94,0.17,34.16,0.6,34.41,0.87,34.48,1.04,34.8,1.25,34.79,1.38,34.97,1.64,34.98,1.77,34.86,2.59,34.45,3.16,34.4,3.41,34.44,3.65,34.17,3.81,34.18,3.87,33.98,4.22,35.27,5.49,35.33,5.36,35.47,5.42,35.75,5.34,35.8,5.16,35.76,4.81,36.02,4.47,36.91,4.41,38.09,3.65,39.49,3.46,39.84,3.85,40.77,4.27,41.14,3.96,41.88,3.98,41.34,3.2,40.96,2.81,40.98,-0.87,41.52,-1.57,41.53,-1.7,41.27,-1.95,41,-1.95,40.95,-2.06,40.89,-2.02,40.9,-2.27,40.64,-2.54,40.41,-2.56,40.22,-2.69,40.12,-3.25,39.86,-3.58,39.73,-3.99,39.38,-4.63,39.29,-4.61,39.19,-4.68,37.8,-3.67,37.61,-3.5,37.68,-3.31,37.64,-3.05,33.9,-1]]]},
+  EG: {"name":"Egypt","bbox":[24.7,21.99,36.87,31.65],"polygons":[[[36.87,22,31.43,22,31.49,22.15,31.4,22.2,31.21,21.99,24.98,22,24.98,29.18,24.7,30.2,24.88,30.46,24.98,30.78,24.85,31.34,25.15,31.65,25.23,31.53,25.38,31.51,25.89,31.62,27.25,31.38,27.54,31.21,27.83,31.19,27.97,31.1,28.51,31.05,29.07,30.83,29.43,30.93,29.93,31.23,30.22,31.26,30.4,31.46,30.92,31.57,30.56,31.42,31,31.46,31.08,31.6,31.52,31.46,31.89,31.54,32.14,31.34,31.89,31.48,31.77,31.29,32.01,31.22,32.1,31.09,32.28,31.2,32.21,31.29,32.6,31.07,33.13,31.17,33.19,31.08,33.67,31.13,34.2,31.32,34.9,29.48,34.73,29.27,34.62,28.76,34.45,28.36,34.4,28.02,34.22,27.76,33.76,28.05,33.25,28.57,33.13,28.98,32.72,29.52,32.56,29.97,32.47,29.93,32.49,29.85,32.36,29.63,32.6,29.32,32.66,28.93,32.9,28.56,33.55,27.9,33.55,27.61,33.85,27.18,33.96,26.65,34.57,25.69,35.2,24.47,35.48,24.16,35.78,23.94,35.54,23.92,35.51,23.78,35.52,23.44,35.7,22.95,35.91,22.74,36.23,22.63,36.42,22.39,36.83,22.1,36.87,22]]]},
+  MA: {"name":"Morocco","bbox":[-17,21.42,-1.06,35.93],"polygons":[[[-2.22,35.1,-2.13,34.97,-1.79,34.75,-1.85,34.61,-1.73,34.47,-1.79,34.37,-1.71,34.18,-1.72,33.78,-1.63,33.57,-1.68,33.32,-1.45,32.79,-1.06,32.47,-1.24,32.34,-1.23,32.11,-2.45,32.13,-2.86,32.08,-3.02,31.83,-3.44,31.71,-3.77,31.69,-3.85,31.62,-3.79,31.36,-3.83,31.2,-3.62,31.07,-3.67,30.96,-3.99,30.91,-4.32,30.7,-4.97,30.47,-5.18,30.17,-5.45,29.96,-6,29.83,-6.48,29.82,-6.52,29.66,-6.64,29.57,-7.16,29.61,-7.49,29.39,-7.68,29.35,-8.66,28.72,-8.69,27.66,-8.82,27.66,-8.75,27.19,-8.79,27.12,-9.41,27.09,-9.82,26.85,-10.03,26.91,-10.25,26.86,-10.76,27.02,-11.39,26.88,-11.32,26.75,-11.34,26.63,-11.64,26.3,-11.72,26.1,-12.06,25.99,-12.43,24.83,-13.06,24.4,-13.31,23.98,-13.89,23.69,-14.04,23.34,-14.22,22.31,-14.63,21.86,-14.61,21.75,-14.75,21.5,-14.97,21.44,-16.04,21.5,-17,21.42,-16.93,21.9,-16.79,22.16,-16.52,22.33,-16.36,22.59,-16.3,22.83,-16.17,23.03,-16.21,23.1,-15.79,23.79,-15.8,23.84,-15.98,23.67,-15.9,23.84,-14.91,24.72,-14.79,25.4,-14.41,26.25,-13.58,26.74,-13.18,27.65,-12.95,27.91,-11.99,28.13,-11.55,28.31,-11.08,28.71,-10.49,29.06,-10.2,29.38,-9.67,30.11,-9.65,30.45,-9.88,30.72,-9.81,31.42,-9.68,31.71,-9.35,32.09,-9.25,32.57,-8.51,33.25,-6.9,33.97,-6.35,34.78,-5.92,35.79,-5.4,35.93,-5.28,35.9,-5.34,35.74,-5.25,35.61,-4.84,35.28,-4.63,35.21,-4.33,35.16,-3.69,35.28,-3.39,35.21,-3.21,35.24,-2.97,35.41,-2.84,35.13,-2.22,35.1]]]},
+  NG: {"name":"Nigeria","bbox":[2.69,4.28,14.62,13.87],"polygons":[[[7.3,4.42,7.14,4.39,7.23,4.53,7.33,4.49,7.3,4.42]],[[13.61,13.7,14.06,13.08,14.2,12.38,14.52,12.3,14.62,12.15,14.57,11.53,14.2,11.27,13.98,11.21,13.7,10.87,13.53,10.61,13.42,10.17,13.27,10.04,13.2,9.56,12.93,9.43,12.73,8.74,12.58,8.62,12.4,8.6,12.23,8.28,12.02,7.59,11.77,7.27,11.86,7.12,11.58,6.89,11.55,6.7,11.4,6.53,11.24,6.45,11.11,6.46,11.01,6.74,10.61,7.06,10.41,6.88,10.2,6.89,10.14,7,9.78,6.76,9.66,6.53,9.06,6.01,8.93,5.78,8.8,5.2,8.56,4.76,8.43,4.75,8.24,4.91,8.33,4.66,8.29,4.56,7.64,4.52,7.53,4.65,7.46,4.56,7.28,4.55,7.08,4.72,7.17,4.61,7.16,4.51,6.92,4.39,6.77,4.72,6.79,4.47,6.86,4.37,6.63,4.34,6.58,4.48,6.55,4.34,6.26,4.31,6.27,4.43,6.17,4.28,5.97,4.34,5.59,4.65,5.38,5.13,5.48,5.15,5.39,5.17,5.37,5.26,5.37,5.34,5.5,5.38,5.55,5.47,5.39,5.4,5.2,5.53,5.46,5.61,5.35,5.62,5.33,5.71,5.17,5.6,5.11,5.64,5.09,5.77,4.86,6.03,4.43,6.35,3.45,6.43,3.72,6.6,3.43,6.52,3.34,6.4,2.71,6.37,2.77,6.71,2.72,6.98,2.78,7.48,2.69,7.87,2.77,9.05,3.04,9.08,3.15,9.32,3.14,9.45,3.33,9.67,3.32,9.78,3.56,9.91,3.6,10.01,3.65,10.16,3.58,10.27,3.61,10.35,3.79,10.44,3.84,10.61,3.72,11.08,3.49,11.4,3.49,11.5,3.66,11.76,3.61,11.89,3.65,12.53,3.95,12.78,4.04,12.93,4.15,13.46,4.42,13.65,4.82,13.76,5.24,13.76,5.49,13.87,6.3,13.66,6.94,13.01,7.36,13.11,7.83,13.34,8.09,13.29,8.75,12.91,9.62,12.81,10.05,13.21,10.47,13.33,11.41,13.35,11.99,13.19,12.12,13.09,12.46,13.09,12.66,13.33,12.87,13.45,13.33,13.67,13.61,13.7]]]},
+  FR: {"name":"France (metropolitan)","bbox":[-4.76,41.39,9.56,51.1],"polygons":[[[9.48,42.81,9.46,42.66,9.53,42.55,9.56,42.16,9.4,41.93,9.37,41.68,9.19,41.39,8.81,41.59,8.89,41.7,8.72,41.76,8.74,41.93,8.62,41.93,8.7,42.1,8.59,42.16,8.57,42.22,8.67,42.28,8.57,42.36,8.81,42.61,9.14,42.73,9.32,42.71,9.36,43.02,9.46,42.98,9.48,42.81]],[[7.62,47.59,7.34,47.43,7.14,47.49,6.97,47.45,6.9,47.39,7,47.32,6.67,47.03,6.46,46.95,6.41,46.75,6.16,46.61,6.07,46.46,6.12,46.38,6.1,46.28,5.97,46.21,6.01,46.14,6.2,46.19,6.27,46.25,6.23,46.33,6.43,46.43,6.78,46.41,6.82,46.28,6.77,46.16,7.02,45.93,6.81,45.81,6.79,45.74,7.16,45.4,7.08,45.24,6.84,45.13,6.69,45.14,6.63,45.07,6.74,44.92,6.99,44.83,7.03,44.72,6.84,44.51,6.9,44.34,7.32,44.14,7.64,44.16,7.68,44.08,7.48,43.86,7.49,43.77,7.18,43.66,6.72,43.37,6.57,43.2,6.11,43.07,5.81,43.1,5.41,43.23,5.32,43.35,5.07,43.37,5.06,43.44,4.71,43.37,4.22,43.48,4.05,43.59,3.91,43.56,3.26,43.19,3.05,42.91,3.09,42.59,3.21,42.43,2.89,42.46,2.67,42.39,2.65,42.34,2.2,42.42,2.03,42.35,1.7,42.5,1.71,42.6,1.5,42.64,1.43,42.6,1.35,42.69,0.77,42.84,0.67,42.84,0.63,42.69,-0.04,42.69,-0.3,42.83,-0.59,42.8,-0.76,42.94,-1.18,43.02,-1.3,43.1,-1.4,43.03,-1.48,43.07,-1.41,43.24,-1.76,43.32,-1.79,43.41,-1.63,43.44,-1.49,43.56,-1.24,44.56,-1.08,44.69,-1.15,44.76,-1.24,44.67,-1.08,45.53,-0.83,45.38,-0.69,45.09,-0.55,45,-0.64,45.09,-0.79,45.47,-1.2,45.71,-1.21,45.77,-1.03,45.74,-1.15,46.31,-1.79,46.52,-2.06,46.81,-2.09,46.92,-2.02,47.04,-2.2,47.16,-2.03,47.27,-1.74,47.22,-1.97,47.31,-2.5,47.31,-2.53,47.38,-2.43,47.47,-2.77,47.51,-2.73,47.6,-2.79,47.63,-3.07,47.62,-3.16,47.69,-3.9,47.84,-4.31,47.82,-4.43,47.97,-4.68,48.04,-4.33,48.17,-4.58,48.29,-4.24,48.3,-4.39,48.37,-4.72,48.36,-4.76,48.45,-4.72,48.54,-4.53,48.62,-3.71,48.71,-3.23,48.84,-3,48.79,-2.69,48.54,-2.45,48.65,-2.08,48.65,-2,48.58,-1.91,48.7,-1.82,48.63,-1.38,48.65,-1.56,48.8,-1.58,49.2,-1.81,49.49,-1.86,49.68,-1.26,49.68,-1.23,49.49,-1.14,49.39,-0.16,49.3,0.42,49.45,0.13,49.51,0.19,49.7,1.24,50,1.59,50.25,1.55,50.29,1.58,50.74,1.67,50.88,1.91,50.99,2.53,51.1,2.6,50.88,2.76,50.75,2.84,50.71,3.11,50.78,3.27,50.53,3.59,50.48,3.69,50.31,3.95,50.34,4.17,50.25,4.15,49.97,4.55,49.96,4.82,50.15,4.86,50.14,4.79,49.96,4.87,49.79,5.28,49.68,5.51,49.51,5.79,49.54,6.01,49.45,6.24,49.49,6.54,49.4,6.73,49.16,6.89,49.21,7.04,49.11,7.45,49.15,7.61,49.06,8.13,48.97,8.14,48.89,7.84,48.64,7.62,48.16,7.53,47.67,7.62,47.59]],[[-1.18,45.9,-1.22,45.82,-1.39,46.05,-1.18,45.9]]]},
+  DE: {"name":"Germany","bbox":[5.86,47.28,15.02,55.06],"polygons":[[[9.52,47.52,9.18,47.67,8.88,47.66,8.57,47.78,8.4,47.69,8.56,47.62,8.43,47.59,7.57,47.61,7.53,47.67,7.62,48.16,7.84,48.64,8.14,48.89,8.13,48.97,7.61,49.06,7.45,49.15,7.04,49.11,6.89,49.21,6.73,49.16,6.54,49.4,6.35,49.45,6.49,49.8,6.26,49.87,6.11,50.09,6.18,50.23,6.36,50.32,6.34,50.45,6.18,50.52,6.24,50.6,5.99,50.75,6.05,50.91,5.86,51.03,6.13,51.15,6.08,51.22,6.19,51.41,6.19,51.49,5.95,51.8,6.17,51.88,6.36,51.82,6.74,51.91,6.8,51.98,6.72,52.08,6.98,52.21,7.04,52.38,6.69,52.53,6.75,52.63,7.01,52.63,7.18,52.97,7.2,53.28,7.05,53.38,7.21,53.66,8.01,53.69,8.17,53.54,8.11,53.47,8.25,53.45,8.33,53.61,8.49,53.51,8.49,53.39,8.53,53.78,8.62,53.88,9.21,53.86,9.59,53.6,9.78,53.55,9.63,53.6,9.31,53.86,8.98,53.93,8.9,54,8.91,54.26,8.65,54.29,8.65,54.4,8.95,54.47,8.96,54.54,8.68,54.79,8.67,54.9,9.25,54.81,9.62,54.85,9.89,54.78,10.02,54.67,10.03,54.58,9.87,54.47,10.14,54.49,10.21,54.41,10.36,54.44,10.73,54.32,11.01,54.38,11.06,54.28,11.01,54.18,10.81,54.08,10.92,54,11.4,53.95,11.8,54.14,12.11,54.17,12.58,54.47,13.03,54.41,13.15,54.28,13.45,54.14,13.73,54.15,13.87,53.85,14.26,53.73,14.41,53.22,14.13,52.88,14.62,52.53,14.55,52.36,14.75,52.08,14.6,51.83,14.74,51.63,14.73,51.52,14.93,51.43,15.02,51.25,14.96,51.09,14.77,50.82,14.61,50.86,14.55,50.99,14.32,51.04,14.25,51,14.37,50.9,13.56,50.7,13.44,50.6,13.02,50.49,12.94,50.41,12.55,50.39,12.28,50.18,12.13,50.31,12.09,50.27,12.21,50.1,12.51,49.9,12.39,49.74,12.63,49.46,13.29,49.1,13.4,48.98,13.55,48.96,13.77,48.82,13.82,48.77,13.79,48.59,13.67,48.52,13.49,48.58,13.38,48.36,12.76,48.11,12.95,47.89,12.9,47.72,13.06,47.66,13.02,47.48,12.81,47.54,12.77,47.64,12.68,47.67,12.48,47.64,12.21,47.72,12.18,47.62,11.72,47.58,11.04,47.39,10.87,47.52,10.44,47.55,10.37,47.37,10.18,47.28,10.2,47.36,10.07,47.39,9.97,47.5,9.75,47.58,9.52,47.52]],[[13.71,54.38,13.71,54.28,13.48,54.34,13.37,54.25,13.16,54.37,13.18,54.54,13.24,54.64,13.42,54.7,13.66,54.56,13.58,54.46,13.71,54.38]],[[14.21,53.95,14.21,53.87,13.93,53.88,13.92,54,13.83,54.06,13.83,54.13,14.21,53.95]],[[11.28,54.42,11.01,54.47,11.09,54.53,11.23,54.5,11.28,54.42]],[[8.31,54.79,8.3,54.91,8.4,55.06,8.45,55.05,8.38,54.9,8.63,54.89,8.35,54.85,8.31,54.79]]]},
+  ES: {"name":"Spain (mainland + Balearics)","bbox":[-9.24,36.03,4.32,43.77],"polygons":[[[3.14,39.79,3.45,39.76,3.46,39.7,3.25,39.39,3.07,39.3,2.8,39.39,2.7,39.54,2.5,39.48,2.37,39.57,2.78,39.85,3.16,39.97,3.2,39.89,3.14,39.79]],[[4.29,39.84,3.87,39.96,3.85,40.06,4.22,40.03,4.32,39.9,4.29,39.84]],[[1.45,38.92,1.41,38.86,1.22,38.9,1.35,39.08,1.61,39.09,1.63,39.04,1.45,38.92]],[[-1.79,43.41,-1.76,43.32,-1.41,43.24,-1.48,43.07,-1.43,43.04,-1.3,43.1,-1.18,43.02,-0.76,42.94,-0.59,42.8,-0.3,42.83,-0.04,42.69,0.63,42.69,0.7,42.85,1.35,42.69,1.45,42.44,1.7,42.5,1.99,42.36,2.2,42.42,2.65,42.34,2.67,42.39,2.89,42.46,3.21,42.43,3.31,42.29,3.17,42.26,3.25,41.94,3,41.77,2.31,41.47,2.08,41.29,1.03,41.06,0.71,40.82,0.89,40.72,0.6,40.61,-0.33,39.52,-0.2,39.06,0.2,38.76,-0.52,38.32,-0.82,37.77,-0.72,37.63,-1.33,37.56,-1.64,37.39,-2.11,36.78,-2.19,36.74,-2.45,36.83,-2.79,36.72,-3.15,36.76,-3.43,36.71,-3.83,36.76,-4.37,36.72,-4.67,36.51,-5.17,36.42,-5.36,36.14,-5.45,36.15,-5.46,36.07,-5.63,36.03,-6.04,36.19,-6.23,36.43,-6.27,36.6,-6.38,36.64,-6.41,36.73,-6.22,36.91,-6.4,36.83,-6.49,36.95,-6.89,37.19,-6.86,37.28,-6.98,37.2,-7.41,37.18,-7.5,37.59,-7.44,37.73,-7.18,38.01,-7.02,38.05,-6.96,38.19,-7.1,38.18,-7.34,38.46,-7.28,38.72,-7.05,38.91,-7,39.06,-7.17,39.14,-7.34,39.47,-7.54,39.66,-7.12,39.68,-6.98,39.8,-6.9,40.02,-7.03,40.17,-6.81,40.34,-6.83,40.78,-6.93,41.01,-6.21,41.53,-6.31,41.64,-6.54,41.67,-6.56,41.87,-6.62,41.94,-7.15,41.98,-7.21,41.9,-7.4,41.83,-7.92,41.88,-8.15,41.81,-8.22,41.9,-8.14,42.04,-8.27,42.14,-8.85,41.93,-8.89,42.11,-8.69,42.27,-8.81,42.28,-8.73,42.41,-8.81,42.47,-8.81,42.64,-9.03,42.59,-8.93,42.8,-9.04,42.81,-9.24,42.98,-9.18,43.17,-8.87,43.33,-8.54,43.34,-8.25,43.44,-8.26,43.58,-7.7,43.77,-7.06,43.55,-5.85,43.65,-4.52,43.42,-3.61,43.52,-3.04,43.37,-2.87,43.45,-2.34,43.33,-1.79,43.41]]]},
+  IT: {"name":"Italy","bbox":[6.63,36.69,18.48,47.08],"polygons":[[[7.02,45.93,7.13,45.88,7.54,45.98,7.79,45.92,7.99,46.02,8.12,46.16,8.09,46.27,8.42,46.45,8.46,46.25,8.64,46.11,8.82,46.08,8.78,46,8.96,45.83,9.05,45.88,9,46.02,9.25,46.29,9.3,46.5,9.43,46.48,9.53,46.31,9.94,46.36,10.08,46.23,10.15,46.25,10.04,46.48,10.09,46.6,10.43,46.55,10.4,46.66,10.45,46.87,10.99,46.78,11.24,46.98,11.77,46.99,12.17,47.08,12.16,46.94,12.39,46.7,13.7,46.52,13.38,46.26,13.63,46.18,13.49,45.99,13.6,45.98,13.58,45.81,13.88,45.61,13.72,45.59,13.78,45.63,13.63,45.77,13.47,45.71,13.21,45.77,13.03,45.64,12.43,45.47,12.54,45.54,12.49,45.55,12.27,45.45,12.22,45.24,12.52,44.97,12.39,44.8,12.28,44.83,12.25,44.72,12.4,44.22,12.69,43.99,13.56,43.57,14.01,42.69,14.54,42.24,15.17,41.93,16.17,41.9,16.15,41.76,15.91,41.62,15.9,41.51,17.1,41.06,17.47,40.84,17.96,40.65,18.46,40.22,18.48,40.1,18.39,39.9,18.34,39.82,18.08,39.94,17.87,40.28,17.48,40.31,17.26,40.4,17.18,40.5,16.93,40.46,16.67,40.14,16.52,39.75,16.6,39.64,16.82,39.58,17.11,39.38,17.17,39,17.1,38.92,16.95,38.94,16.62,38.8,16.56,38.72,16.54,38.41,16.28,38.25,16.06,37.94,15.72,37.94,15.65,38.03,15.64,38.18,15.82,38.3,15.93,38.67,16.2,38.76,16.21,38.94,16.11,39.02,16.02,39.35,15.69,39.99,15.59,40.05,15.29,40.07,14.95,40.24,14.95,40.47,14.77,40.67,14.34,40.6,14.46,40.73,14.31,40.81,14.05,40.81,13.73,41.24,13.04,41.27,12.85,41.41,12.63,41.47,12.08,41.94,11.81,42.08,11.64,42.29,11.3,42.42,11.14,42.39,11.1,42.42,11.18,42.46,11.17,42.53,10.71,42.94,10.51,42.97,10.52,43.2,10.32,43.51,10.25,43.85,10.05,44.02,9.73,44.1,9.29,44.32,8.76,44.42,8.55,44.35,8,43.88,7.49,43.77,7.48,43.86,7.68,44.08,7.64,44.16,7.32,44.14,6.9,44.34,6.84,44.51,7.03,44.72,6.99,44.83,6.74,44.92,6.63,45.07,6.69,45.14,6.84,45.13,7.08,45.24,7.15,45.38,6.79,45.74,6.81,45.81,7.02,45.93]],[[10.4,42.86,10.42,42.71,10.11,42.78,10.4,42.86]],[[15.58,38.22,15.23,37.78,15.1,37.46,15.12,37.34,15.23,37.24,15.17,37.21,15.29,37.06,15.11,36.84,15.11,36.69,14.5,36.8,14.37,36.97,14.14,37.1,13.91,37.1,13.17,37.48,12.64,37.59,12.44,37.82,12.55,38.05,12.74,38.18,12.9,38.03,13.16,38.19,13.35,38.18,13.79,37.98,14.51,38.05,14.79,38.17,15.12,38.15,15.5,38.29,15.63,38.27,15.58,38.22]],[[9.63,40.88,9.8,40.5,9.64,40.27,9.71,40.02,9.56,39.17,9.06,39.24,8.97,38.96,8.88,38.91,8.65,38.93,8.42,39.21,8.4,39.48,8.45,39.72,8.54,39.73,8.55,39.84,8.41,39.92,8.47,40.29,8.19,40.65,8.2,40.87,8.22,40.91,8.47,40.83,8.7,40.9,9.23,41.26,9.61,41.02,9.55,40.93,9.63,40.88]]]},
+  PT: {"name":"Portugal (mainland)","bbox":[-9.47,37.01,-6.21,42.14],"polygons":[[[-8.78,41.94,-8.27,42.14,-8.14,42.04,-8.22,41.9,-8.15,41.81,-7.92,41.88,-7.4,41.83,-7.21,41.9,-7.15,41.98,-6.62,41.94,-6.56,41.87,-6.54,41.67,-6.31,41.64,-6.21,41.53,-6.93,41.01,-6.83,40.78,-6.81,40.34,-7.03,40.17,-6.9,40.02,-6.98,39.8,-7.12,39.68,-7.54,39.66,-7.34,39.47,-7.17,39.14,-7,39.06,-7.05,38.91,-7.28,38.72,-7.34,38.46,-7.1,38.18,-6.96,38.19,-7.02,38.05,-7.18,38.01,-7.44,37.73,-7.5,37.59,-7.41,37.18,-7.84,37.01,-8.6,37.12,-9,37.03,-8.81,37.43,-8.79,37.73,-8.88,37.96,-8.81,38.3,-8.88,38.45,-8.67,38.42,-8.8,38.52,-9.21,38.45,-9.25,38.66,-9.02,38.75,-8.94,39,-8.79,39.08,-8.96,39.02,-9.14,38.74,-9.47,38.73,-9.38,39.34,-9.15,39.54,-8.84,40.12,-8.87,40.26,-8.69,40.75,-8.66,41.09,-8.81,41.65,-8.76,41.7,-8.89,41.77,-8.78,41.94]]]},
+  IE: {"name":"Ireland","bbox":[-10.39,51.48,-6.03,55.36],"polygons":[[[-9.95,53.91,-10.27,53.98,-10,54,-9.95,53.91]],[[-7.22,55.09,-7.38,55.03,-7.55,54.77,-7.91,54.7,-7.75,54.59,-8.15,54.45,-7.85,54.22,-7.61,54.14,-7.32,54.13,-7.16,54.24,-7.2,54.3,-7.01,54.41,-6.8,54.21,-6.65,54.16,-6.65,54.06,-6.3,54.09,-6.18,54.05,-6.16,54.02,-6.31,54.01,-6.35,53.94,-6.14,53.58,-6.15,53.37,-6.03,52.93,-6.17,52.74,-6.22,52.54,-6.46,52.34,-6.32,52.25,-6.89,52.16,-6.96,52.25,-7,52.17,-7.53,52.1,-7.63,51.99,-8.06,51.83,-8.41,51.89,-8.34,51.79,-8.41,51.71,-9.3,51.5,-9.84,51.48,-9.52,51.68,-10.12,51.6,-9.6,51.87,-10.09,51.77,-10.34,51.8,-10.38,51.87,-9.91,52.12,-10.39,52.13,-10.36,52.21,-10.13,52.28,-9.77,52.25,-9.91,52.4,-9.63,52.55,-8.78,52.68,-8.99,52.76,-9.17,52.63,-9.56,52.65,-9.92,52.57,-9.52,52.78,-9.39,52.9,-9.46,52.95,-9.3,53.1,-8.93,53.21,-9.51,53.24,-9.62,53.33,-9.88,53.34,-9.79,53.39,-10.09,53.41,-10.05,53.48,-10.12,53.55,-9.72,53.6,-9.91,53.66,-9.9,53.73,-9.58,53.8,-9.58,53.88,-9.91,53.86,-9.86,54.09,-9.93,54.08,-9.98,54.19,-10.09,54.16,-10.06,54.26,-9.56,54.31,-9.32,54.3,-9.15,54.21,-9,54.29,-8.54,54.24,-8.62,54.35,-8.23,54.51,-8.13,54.64,-8.46,54.61,-8.76,54.68,-8.38,54.89,-8.39,55.02,-8.27,55.15,-7.75,55.19,-7.76,55.25,-7.67,55.26,-7.56,55.12,-7.66,54.97,-7.48,55.05,-7.52,55.25,-7.3,55.3,-7.37,55.36,-6.96,55.24,-7.22,55.09]]]},
+  NL: {"name":"Netherlands","bbox":[3.35,50.75,7.2,53.44],"polygons":[[[5.99,50.75,5.75,50.76,5.64,50.84,5.75,50.95,5.8,51.15,5.48,51.29,5.21,51.28,5.03,51.47,4.85,51.4,4.76,51.49,4.64,51.42,4.5,51.47,4.38,51.43,4.37,51.36,4.01,51.44,3.59,51.45,3.45,51.54,3.74,51.6,4.14,51.46,4.28,51.47,4.01,51.6,4.18,51.61,3.95,51.81,4.08,51.99,4.48,52.31,4.77,52.94,4.89,52.91,5.06,52.96,5.36,53.1,5.53,53.27,5.87,53.38,6.82,53.44,6.97,53.33,7.2,53.28,7.19,53,7.03,52.65,6.75,52.63,6.69,52.53,6.75,52.46,7,52.42,7.02,52.27,6.72,52.08,6.8,51.98,6.74,51.91,6.36,51.82,6.17,51.88,5.95,51.8,6.2,51.45,6.08,51.22,6.13,51.15,5.86,51.03,6.05,50.91,5.99,50.75]],[[4.22,51.39,4.17,51.31,3.9,51.21,3.58,51.29,3.43,51.25,3.35,51.38,4.22,51.39]],[[4.89,53.07,4.79,53,4.71,53.04,4.89,53.18,4.89,53.07]],[[3.95,51.74,4.07,51.65,3.95,51.63,3.7,51.71,3.95,51.74]]]},
+  NO: {"name":"Norway (mainland)","bbox":[4.8,58.02,30.96,71.14],"polygons":[[[20.62,69.04,20.12,69.02,20.35,68.85,20.24,68.67,19.97,68.54,20.24,68.48,19.97,68.36,18.3,68.56,18.16,68.53,18.18,68.2,17.92,67.97,17.33,68.1,16.79,67.9,16.59,67.63,16.19,67.51,16.13,67.43,16.44,67.15,16.4,67.06,15.42,66.49,15.49,66.31,15.04,66.17,14.54,66.13,14.64,65.79,14.48,65.3,13.65,64.58,14.08,64.46,14.15,64.26,14.06,64.1,13.96,64.01,13.2,64.07,12.79,64,12.17,63.6,12.21,63.49,12,63.29,12.22,63,12.11,62.92,12.12,62.59,12.3,62.28,12.16,61.72,12.88,61.35,12.71,61.06,12.3,61,12.59,60.45,12.49,60.11,12.17,59.91,11.93,59.86,11.84,59.7,11.68,59.59,11.8,59.29,11.64,58.93,11.47,58.91,11.37,59.1,10.83,59.18,10.64,59.39,10.6,59.76,10.54,59.7,10.57,59.59,10.4,59.52,10.43,59.28,10.18,59.01,9.84,58.96,9.64,59.12,9.56,59.11,9.7,59.01,9.31,58.86,9.39,58.81,9.32,58.75,8.17,58.14,7.46,58.02,7,58.02,6.88,58.15,6.8,58.16,6.73,58.07,6.59,58.1,6.55,58.12,6.69,58.22,6.66,58.26,6.39,58.27,6.05,58.38,5.71,58.52,5.52,58.73,5.61,59.01,6.1,58.87,6.36,59,6.1,58.95,5.89,59.1,5.97,59.19,5.95,59.3,6.4,59.56,5.56,59.29,5.36,59.17,5.17,59.16,5.13,59.23,5.19,59.45,5.3,59.64,5.47,59.71,5.77,59.66,6.22,59.82,5.83,59.8,5.73,59.86,6.35,60.35,6.52,60.41,6.57,60.36,6.53,60.15,6.72,60.42,7,60.51,6.15,60.35,5.88,60.07,5.7,60.01,5.5,59.83,5.15,59.64,5.12,59.83,5.22,59.98,5.21,60.09,5.69,60.12,5.29,60.21,5.14,60.44,5.65,60.69,5.24,60.57,5.12,60.64,5.05,60.71,5.01,61.04,6.78,61.14,6.97,61.06,7.04,60.95,7.04,61.09,7.61,61.21,7.4,61.22,7.35,61.3,7.44,61.43,7.33,61.37,7.28,61.18,7.17,61.17,6.66,61.21,6.6,61.29,6.49,61.15,6.38,61.13,6.08,61.17,5.33,61.11,5.11,61.19,5.02,61.25,5,61.43,5.34,61.48,4.93,61.71,4.93,61.88,5.47,61.9,6.02,61.79,6.73,61.87,6.13,61.85,5.27,61.94,5.1,62.03,5.14,62.16,5.36,62.15,5.54,62.31,5.72,62.38,5.91,62.42,6.21,62.35,6.69,62.47,6.14,62.41,6.12,62.45,6.35,62.61,6.96,62.63,7.49,62.54,7.69,62.59,7.53,62.61,7.54,62.67,8.09,62.73,8.04,62.77,6.73,62.72,6.94,62.93,7.57,63.1,8.1,63.09,8.21,62.99,8.62,62.85,8.16,63.16,8.27,63.29,8.63,63.34,8.6,63.43,8.39,63.44,8.36,63.5,8.67,63.62,9.14,63.59,9.08,63.5,9.16,63.46,9.32,63.57,9.7,63.63,10.02,63.39,10.19,63.46,10.76,63.46,10.67,63.56,10.73,63.63,11.37,63.81,11.18,63.9,11.46,64,11.31,64.05,11.08,63.99,10.91,63.92,11.05,63.85,10.94,63.77,10.06,63.51,9.92,63.52,9.77,63.7,9.57,63.71,10.01,64.08,10.56,64.42,11.63,64.81,11.3,64.76,11.35,64.91,11.49,64.98,12.16,65.18,12.31,65.09,12.51,65.1,12.92,65.34,12.42,65.18,12.13,65.28,12.12,65.36,12.27,65.57,12.69,65.9,13.03,65.96,12.79,66.1,13.67,66.18,14.03,66.3,13.12,66.23,13.07,66.43,13.11,66.54,13.19,66.54,13.21,66.64,13.62,66.8,13.96,66.8,13.65,66.91,13.88,66.97,14.11,67.12,15.42,67.2,15.44,67.25,14.44,67.27,14.96,67.57,15.41,67.47,15.59,67.35,15.58,67.44,15.69,67.52,15.49,67.52,15.25,67.6,15.22,67.66,15.35,67.73,15.31,67.77,14.78,67.68,14.8,67.81,15.13,67.97,15.62,67.95,15.29,68.04,16.01,68.23,16.12,68.03,16.31,67.88,16.26,68,16.39,68.09,16.26,68.14,16.17,68.28,16.21,68.32,16.39,68.39,16.95,68.35,17.55,68.43,17.43,68.48,16.58,68.47,16.52,68.53,16.65,68.63,17.13,68.69,17.39,68.8,17.7,69.1,18.1,69.16,18.08,69.32,18.26,69.47,18.48,69.36,18.86,69.31,18.92,69.33,18.62,69.43,18.61,69.49,18.99,69.56,19.04,69.66,19.2,69.75,19.69,69.81,19.64,69.42,19.96,69.82,20.32,69.95,20.39,69.87,20.34,69.62,20.04,69.36,20.11,69.34,20.49,69.54,20.74,69.52,20.53,69.69,20.55,69.85,20.62,69.91,21.16,69.89,21.25,70,21.43,70.01,21.98,69.83,21.8,70.07,21.36,70.23,21.78,70.23,22.22,70.31,22.32,70.27,22.42,70.34,22.69,70.37,22.94,70.31,23.05,70.1,23.36,69.98,23.4,70.02,23.29,70.11,23.38,70.25,23.66,70.4,24.04,70.49,24.42,70.7,24.26,70.83,24.66,71,25.26,70.84,25.44,70.91,25.77,70.85,25.21,70.49,25.15,70.32,24.99,70.22,24.98,70.14,25.04,70.11,25.42,70.24,25.47,70.34,26.51,70.91,26.66,70.94,26.74,70.85,26.56,70.67,26.65,70.64,26.58,70.41,26.99,70.51,27.18,70.74,27.55,70.8,27.24,70.95,27.6,71.09,28.39,70.98,28.33,70.82,27.9,70.68,28.27,70.67,28.2,70.58,28.19,70.25,28.61,70.76,28.83,70.86,29.1,70.86,29.74,70.65,30.07,70.7,30.24,70.62,30.21,70.54,30.59,70.52,30.96,70.34,30.94,70.27,30.26,70.12,28.78,70.15,28.81,70.09,29.6,69.98,29.65,69.94,29.62,69.82,29.69,69.74,30.09,69.72,30.24,69.86,30.35,69.83,30.43,69.72,30.48,69.79,30.87,69.78,30.92,69.65,30.9,69.56,30.79,69.53,30.16,69.63,30.19,69.54,30.09,69.43,29.39,69.3,29.17,69.07,28.96,69.02,28.83,69.12,28.85,69.18,29.33,69.47,29.14,69.67,28.41,69.82,27.89,70.06,27.75,70.06,27.13,69.91,26.53,69.91,26.07,69.69,25.77,69.28,25.75,68.99,25.58,68.89,25.25,68.82,25.09,68.64,24.94,68.59,24,68.8,23.32,68.65,22.41,68.72,22.3,68.86,21.59,69.27,21.07,69.21,21.13,69.08,21.07,69.04,20.62,69.04]],[[4.96,61.09,4.8,61.08,4.83,61.18,4.92,61.2,4.96,61.09]],[[5.09,60.31,5.09,60.19,5,60.2,4.94,60.27,4.96,60.45,5.09,60.31]],[[29.96,69.8,29.75,69.79,29.84,69.91,30.05,69.84,29.96,69.8]],[[11.97,65.63,11.77,65.63,11.87,65.71,12,65.68,11.97,65.63]],[[8.47,63.67,8.29,63.69,8.73,63.8,8.81,63.77,8.79,63.7,8.47,63.67]],[[8.1,63.34,7.8,63.41,8.07,63.47,8.14,63.43,8.1,63.34]],[[23.44,70.82,23.07,70.59,22.83,70.54,22.36,70.52,21.99,70.66,22.96,70.71,23.2,70.82,23.44,70.82]],[[25.59,71.14,26.15,71.04,26.13,71,25.76,70.95,25.31,71.03,25.59,71.14]],[[23.61,70.55,23.64,70.46,23.27,70.3,23.1,70.3,23.09,70.38,22.92,70.39,23.02,70.49,23.55,70.62,23.61,70.55]],[[24.02,70.57,23.83,70.53,23.67,70.6,23.66,70.68,23.78,70.75,23.96,70.7,24.08,70.65,24.02,70.57]],[[13.87,68.27,14.12,68.25,13.78,68.11,13.42,68.08,13.39,68.02,13.23,67.99,13.2,68.09,13.3,68.16,13.43,68.16,13.54,68.25,13.87,68.27]],[[12.97,67.87,12.83,67.82,12.96,68.02,13.12,68.05,13.1,67.96,12.97,67.87]],[[15.21,68.94,15.4,68.78,15.35,68.67,15.22,68.62,14.89,68.61,14.74,68.68,14.52,68.63,14.37,68.71,14.55,68.82,14.8,68.79,14.87,68.91,15.04,68.89,15.04,69,15.21,68.94]],[[19.77,70.22,20.09,70.1,19.78,70.08,19.6,70.27,19.77,70.22]],[[20.78,70.09,20.46,70.08,20.41,70.15,20.78,70.22,20.78,70.09]],[[19.25,70.07,19.34,70.01,19.61,70.02,19.33,69.82,19.01,69.76,18.78,69.58,18.28,69.54,18.06,69.6,18.23,69.64,18.35,69.77,18.68,69.78,18.69,69.89,19.05,70.04,19.13,70.24,19.21,70.25,19.25,70.07]],[[12.51,65.9,12.43,65.94,12.55,66,12.78,65.99,12.51,65.9]],[[12.42,66.04,12.33,66.04,12.46,66.19,12.62,66.18,12.58,66.07,12.42,66.04]],[[11.23,64.87,10.74,64.87,11.02,64.98,11.13,64.98,11.23,64.87]],[[17.5,69.6,18.01,69.5,18.08,69.4,17.94,69.33,17.95,69.2,17.49,69.2,17.08,69.01,16.81,69.07,16.97,69.14,17,69.36,17.36,69.38,17.37,69.44,17.23,69.48,17.45,69.53,17.5,69.6]],[[15.76,68.56,16.06,68.68,16.15,68.84,16.27,68.87,16.43,68.84,16.55,68.72,16.52,68.63,15.98,68.4,15.76,68.41,15.44,68.31,15.28,68.37,14.63,68.2,14.26,68.19,14.26,68.26,14.59,68.4,15.1,68.44,15.41,68.62,15.56,68.87,15.44,68.92,15.48,69.04,15.89,69.28,16.13,69.27,15.99,69.11,15.81,69.02,15.91,68.91,15.93,68.73,15.76,68.56]]]},
+  SE: {"name":"Sweden","bbox":[11.15,55.35,24.15,69.04],"polygons":[[[19.07,57.84,18.82,57.71,18.79,57.48,18.91,57.4,18.48,57.16,18.34,56.98,18.15,56.92,18.29,57.08,18.11,57.27,18.14,57.56,18.54,57.83,18.8,57.83,18.9,57.92,19.07,57.84]],[[16.53,56.29,16.43,56.24,16.4,56.31,16.41,56.57,16.63,56.88,16.73,56.9,17,57.32,17.12,57.32,16.53,56.29]],[[11.39,59.04,11.47,58.91,11.64,58.93,11.8,59.29,11.68,59.59,11.84,59.7,11.93,59.86,12.17,59.91,12.49,60.11,12.59,60.45,12.3,61,12.71,61.06,12.88,61.35,12.16,61.72,12.3,62.28,12.12,62.59,12.11,62.92,12.22,63,12,63.29,12.21,63.49,12.17,63.6,12.79,64,13.2,64.07,13.96,64.01,14.14,64.17,14.08,64.46,13.65,64.58,14.48,65.3,14.64,65.79,14.54,66.13,15.04,66.17,15.49,66.31,15.42,66.49,16.4,67.06,16.44,67.15,16.13,67.43,16.19,67.51,16.46,67.55,16.59,67.63,16.79,67.9,17.33,68.1,17.92,67.97,18.18,68.2,18.16,68.53,18.38,68.56,19.97,68.36,20.24,68.48,19.97,68.54,20.24,68.67,20.35,68.85,20.12,69.02,20.62,69.04,20.9,68.98,20.92,68.91,22,68.52,22.85,68.37,23.1,68.26,23.18,68.14,23.32,68.13,23.64,67.95,23.5,67.87,23.54,67.61,23.46,67.46,23.73,67.42,23.78,67.33,23.63,67.23,23.64,67.13,23.99,66.81,23.87,66.58,23.7,66.48,23.7,66.25,24,66.06,24.15,65.81,23.69,65.83,23.1,65.74,22.75,65.87,22.54,65.8,22.4,65.86,22.29,65.75,22.25,65.6,22.09,65.61,22.15,65.55,21.92,65.53,21.95,65.47,21.88,65.42,21.57,65.41,21.52,65.36,21.61,65.26,21.41,65.32,21.57,65.13,21.14,64.81,21.52,64.46,21.47,64.38,21.02,64.18,20.76,63.87,19.91,63.61,19.72,63.46,19.5,63.51,19.5,63.42,19.36,63.48,19.04,63.24,18.82,63.26,18.86,63.21,18.61,63.18,18.53,63.06,18.31,63,18.5,62.99,18.46,62.9,18.17,62.79,17.88,62.87,17.97,62.72,17.9,62.66,18.04,62.6,17.65,62.45,17.41,62.51,17.38,62.46,17.43,62.34,17.63,62.23,17.51,62.17,17.38,61.87,17.47,61.68,17.2,61.72,17.22,61.66,17.13,61.57,17.2,60.95,17.28,60.81,17.25,60.7,17.56,60.64,17.66,60.54,17.96,60.59,18.16,60.41,18.56,60.25,18.53,60.15,18.79,60.08,18.99,59.83,18.97,59.76,18.58,59.57,17.97,59.36,18.13,59.32,18.51,59.41,18.62,59.33,18.42,59.29,18.29,59.11,16.98,58.65,16.21,58.64,16.79,58.59,16.93,58.49,16.65,58.43,16.77,58.21,16.7,58.16,16.7,57.92,16.6,57.91,16.55,57.81,16.65,57.5,16.48,57.26,16.53,57.07,16.35,56.71,15.92,56.17,14.72,56.13,14.75,56.03,14.56,56.05,14.21,55.83,14.2,55.73,14.34,55.53,14.18,55.4,13.81,55.43,13.32,55.35,12.89,55.41,12.97,55.75,12.47,56.29,12.8,56.26,12.66,56.44,12.86,56.45,12.92,56.52,12.88,56.62,12.72,56.66,12.42,56.91,12.15,57.23,12.05,57.45,11.96,57.43,11.88,57.68,11.73,57.72,11.7,57.97,11.55,58,11.45,58.12,11.43,58.34,11.25,58.37,11.21,58.87,11.15,58.99,11.19,59.08,11.39,59.04]],[[19.16,57.92,19.14,57.86,19.04,57.91,19.14,57.98,19.33,57.96,19.16,57.92]]]},
+  FI: {"name":"Finland","bbox":[20.62,59.83,31.53,70.06],"polygons":[[[24.15,65.81,24,66.06,23.7,66.25,23.7,66.48,23.87,66.58,23.99,66.81,23.64,67.13,23.63,67.23,23.78,67.33,23.73,67.42,23.46,67.46,23.54,67.61,23.5,67.87,23.64,67.95,23.32,68.13,23.18,68.14,23.1,68.26,22.85,68.37,22,68.52,20.92,68.91,20.9,68.98,20.62,69.04,21.07,69.04,21.13,69.08,21.07,69.21,21.59,69.27,22.3,68.86,22.41,68.72,23.32,68.65,24,68.8,24.94,68.59,25.09,68.64,25.25,68.82,25.58,68.89,25.75,68.99,25.77,69.28,26.01,69.65,26.53,69.91,27.13,69.91,27.89,70.06,28.41,69.82,29.14,69.67,29.33,69.47,28.85,69.18,28.83,69.12,28.96,69.02,28.41,68.9,28.77,68.84,28.47,68.49,28.69,68.19,29.34,68.06,29.99,67.67,29.94,67.55,29.24,67.1,29.06,66.89,29.9,66.09,30.09,65.79,30.09,65.68,29.72,65.63,29.82,65.57,29.73,65.47,29.72,65.34,29.61,65.25,29.81,65.2,29.83,65.15,29.62,65.04,29.6,64.97,29.78,64.8,30.11,64.73,30.12,64.64,29.99,64.52,30.11,64.37,30.49,64.24,30.53,64.08,30.21,63.8,29.99,63.73,31.18,63.21,31.53,62.89,31.29,62.57,30.94,62.32,29.25,61.29,27.8,60.54,27.46,60.47,27.2,60.54,26.53,60.41,26.57,60.63,26.38,60.42,25.95,60.47,26.04,60.34,25.76,60.27,25.66,60.33,24.6,60.11,24.45,60.02,23.46,59.99,23.18,59.84,22.96,59.83,23.2,60.02,22.87,60.22,22.79,60.08,22.46,60.03,22.44,60.16,22.59,60.23,22.51,60.28,22.58,60.38,21.85,60.51,21.8,60.59,21.61,60.53,21.44,60.6,21.36,60.97,21.51,61.28,21.51,61.48,21.57,61.48,21.5,61.55,21.61,61.59,21.39,61.92,21.26,61.99,21.34,62.28,21.17,62.41,21.11,62.62,21.14,62.74,21.46,62.95,21.47,63.03,21.65,63.04,21.54,63.21,21.9,63.21,22.32,63.31,22.24,63.44,22.35,63.44,22.32,63.5,22.4,63.49,22.53,63.58,22.53,63.65,22.76,63.68,23.6,64.04,23.65,64.13,24.28,64.52,24.56,64.8,24.94,64.88,25.29,64.86,25.23,64.95,25.37,65.01,25.26,65.14,25.35,65.48,24.68,65.67,24.58,65.76,24.63,65.86,24.4,65.78,24.15,65.81]],[[21.22,63.24,21.42,63.25,21.25,63.15,21.08,63.28,21.23,63.28,21.22,63.24]],[[22.17,60.37,22.42,60.3,22.31,60.27,22.36,60.17,22.26,60.17,22.08,60.29,22.17,60.37]],[[21.45,60.53,21.3,60.48,21.21,60.6,21.27,60.64,21.45,60.53]],[[24.85,64.99,24.58,64.98,24.58,65.04,24.78,65.09,25,65.04,24.85,64.99]]]},
+  IS: {"name":"Iceland","bbox":[-24.47,63.41,-13.57,66.52],"polygons":[[[-15.54,66.23,-14.86,66.38,-14.6,66.38,-14.91,66.28,-15.11,66.1,-14.7,66.02,-14.69,65.9,-14.83,65.76,-14.39,65.79,-14.32,65.68,-14.47,65.57,-14.17,65.64,-13.62,65.52,-13.67,65.4,-13.8,65.35,-13.65,65.29,-13.65,65.24,-13.75,65.19,-13.58,65.14,-13.57,65.07,-13.85,64.99,-13.85,64.86,-14.05,64.74,-14.38,64.74,-14.38,64.68,-14.47,64.64,-14.43,64.54,-14.63,64.42,-15.02,64.3,-15.83,64.18,-16.64,63.86,-17.81,63.71,-17.95,63.53,-18.25,63.53,-18.22,63.47,-18.65,63.41,-20.2,63.56,-20.49,63.69,-20.47,63.75,-20.36,63.77,-20.41,63.81,-20.65,63.74,-21.14,63.89,-21.09,63.93,-21.15,63.94,-21.45,63.86,-22.65,63.83,-22.74,64.02,-22.7,64.08,-22.51,63.99,-22.06,64.07,-21.67,64.35,-21.46,64.38,-22.05,64.31,-21.9,64.39,-22,64.41,-21.95,64.52,-21.59,64.63,-22.16,64.54,-22.33,64.63,-22.25,64.73,-22.47,64.8,-23.35,64.82,-23.82,64.74,-24.02,64.86,-22.79,65.05,-21.89,65.05,-21.78,65.19,-22.04,65.13,-22.51,65.2,-21.84,65.45,-22.9,65.58,-23.9,65.41,-24.47,65.52,-24.25,65.61,-23.86,65.54,-24.01,65.62,-24.09,65.78,-23.61,65.68,-23.29,65.75,-23.7,65.78,-23.83,65.85,-23.52,65.88,-23.78,66.02,-23.74,66.07,-23.43,66.02,-23.6,66.11,-23.45,66.18,-23.06,66.09,-23.02,65.98,-22.66,66.03,-22.62,65.87,-22.44,65.91,-22.44,66.07,-22.95,66.21,-22.48,66.27,-22.69,66.34,-23.12,66.34,-22.89,66.44,-22.43,66.43,-21.41,66.03,-21.52,65.97,-21.31,65.9,-21.38,65.74,-21.66,65.72,-21.36,65.58,-21.43,65.47,-21.23,65.42,-21.13,65.27,-20.94,65.57,-20.8,65.64,-20.68,65.66,-20.45,65.57,-20.36,65.72,-20.36,66.03,-20.21,66.1,-19.49,65.77,-19.38,66.08,-18.84,66.18,-18.28,65.89,-18.14,65.73,-18.1,65.83,-18.32,66.09,-18.3,66.16,-17.91,66.14,-17.55,65.96,-17.15,66.2,-16.84,66.12,-16.49,66.2,-16.43,66.28,-16.54,66.45,-16.25,66.52,-15.99,66.51,-15.54,66.23]]]},
+  PL: {"name":"Poland","bbox":[14.13,49.02,24.1,54.84],"polygons":[[[23.6,51.52,23.66,51.31,24.1,50.87,23.98,50.79,24.09,50.53,23.97,50.41,23.71,50.38,23.41,50.17,22.65,49.54,22.73,49.29,22.71,49.17,22.85,49.08,22.81,49.02,22.02,49.21,21.89,49.34,21.64,49.41,21.08,49.42,20.87,49.32,20.62,49.39,20.36,49.38,20.16,49.32,20.06,49.18,19.76,49.2,19.77,49.37,19.63,49.41,19.44,49.6,19.15,49.4,18.97,49.4,18.94,49.5,18.83,49.51,18.81,49.61,18.6,49.76,18.56,49.88,18.03,50.04,17.88,49.97,17.63,50.12,17.59,50.16,17.74,50.23,17.7,50.31,17.42,50.25,16.88,50.43,16.99,50.24,16.64,50.1,16.21,50.42,16.42,50.57,16.28,50.66,16.01,50.61,15.73,50.74,15.36,50.81,15.26,50.96,14.99,51.01,14.98,50.89,14.81,50.86,15.02,51.25,14.91,51.46,14.73,51.52,14.74,51.63,14.6,51.83,14.75,52.08,14.55,52.36,14.62,52.53,14.13,52.88,14.41,53.22,14.26,53.73,14.58,53.64,14.56,53.82,14.21,53.87,14.2,53.92,16.19,54.29,16.56,54.55,17.26,54.73,18.08,54.84,18.32,54.84,18.76,54.68,18.8,54.63,18.44,54.75,18.67,54.43,18.98,54.35,19.6,54.46,22.17,54.36,22.89,54.39,23.45,54.14,23.6,53.6,23.89,53.03,23.9,52.7,23.41,52.52,23.18,52.29,23.65,52.04,23.63,51.81,23.55,51.71,23.6,51.52]]]},
+  GR: {"name":"Greece","bbox":[19.65,34.93,28.23,41.72],"polygons":[[[20.61,38.38,20.63,38.27,20.79,38.14,20.76,38.07,20.52,38.11,20.45,38.23,20.35,38.18,20.41,38.34,20.52,38.33,20.56,38.48,20.61,38.38]],[[20.89,37.81,20.99,37.71,20.91,37.73,20.82,37.66,20.62,37.85,20.69,37.93,20.89,37.81]],[[20.69,38.61,20.55,38.58,20.59,38.76,20.69,38.84,20.69,38.61]],[[20.08,39.43,20.1,39.38,19.88,39.46,19.65,39.77,19.84,39.82,19.92,39.77,19.85,39.67,19.96,39.47,20.08,39.43]],[[23.42,38.96,23.52,38.81,24.13,38.65,24.28,38.22,24.56,38.15,24.58,38.02,24.5,37.97,24.36,38.02,24.21,38.12,24.04,38.39,23.65,38.44,23.62,38.55,23.25,38.8,22.87,38.87,23.26,39.03,23.42,38.96]],[[24.68,38.81,24.54,38.79,24.56,38.83,24.46,38.89,24.49,38.98,24.68,38.81]],[[24.77,40.61,24.65,40.58,24.52,40.69,24.62,40.79,24.72,40.79,24.79,40.7,24.77,40.61]],[[23.05,36.19,23.04,36.15,22.91,36.22,22.95,36.38,23.1,36.25,23.05,36.19]],[[27.17,35.47,27.14,35.41,27.07,35.6,27.22,35.82,27.16,35.63,27.23,35.48,27.17,35.47]],[[27.02,36.96,26.92,36.94,26.89,37.09,27.04,37,27.02,36.96]],[[26.95,36.73,27.21,36.9,27.35,36.87,26.95,36.73]],[[25.55,36.97,25.46,36.93,25.36,37.07,25.53,37.2,25.59,37.15,25.55,36.97]],[[25.28,37.07,25.2,36.99,25.1,37.03,25.23,37.15,25.28,37.07]],[[26.83,37.81,27.04,37.77,27.06,37.71,26.84,37.64,26.58,37.72,26.83,37.81]],[[26.03,37.53,25.98,37.53,26.09,37.64,26.35,37.67,26.03,37.53]],[[25.86,36.79,25.74,36.79,26,36.94,26.07,36.9,25.86,36.79]],[[26.46,36.59,26.33,36.51,26.27,36.55,26.37,36.64,26.46,36.59]],[[24.44,37.34,24.38,37.31,24.37,37.42,24.43,37.48,24.48,37.41,24.44,37.34]],[[24.54,36.76,24.53,36.68,24.33,36.66,24.36,36.74,24.54,36.76]],[[24.99,37.76,24.96,37.69,24.7,37.96,24.79,37.99,24.96,37.9,24.99,37.76]],[[25.26,37.6,25.16,37.55,25,37.68,25.26,37.6]],[[26.09,38.22,26,38.16,25.89,38.24,25.99,38.35,25.85,38.57,26.01,38.6,26.16,38.54,26.16,38.3,26.09,38.22]],[[26.41,39.33,26.39,39.27,26.58,39.11,26.58,39.03,26.49,39.07,26.55,38.99,26.16,39.03,26.11,39.08,26.27,39.2,26.18,39.19,26.07,39.1,25.84,39.2,25.91,39.29,26.09,39.3,26.17,39.37,26.35,39.38,26.41,39.33]],[[25.68,40.43,25.57,40.4,25.45,40.48,25.57,40.52,25.68,40.43]],[[25.44,39.98,25.36,39.81,25.26,39.82,25.25,39.89,25.18,39.83,25.06,39.85,25.06,40,25.28,39.96,25.45,40.03,25.44,39.98]],[[27.84,35.93,27.71,35.96,27.76,36.07,27.71,36.17,27.91,36.35,28.23,36.43,28.07,36.13,28.09,36.07,27.97,36.05,27.84,35.93]],[[23.85,35.53,24.17,35.6,24.2,35.54,24.11,35.49,24.26,35.47,24.31,35.36,24.72,35.43,25.48,35.31,25.73,35.35,25.75,35.14,25.79,35.12,26.17,35.22,26.32,35.31,26.25,35.05,26.17,35.02,24.8,34.93,24.71,35.09,24.46,35.16,23.59,35.26,23.57,35.53,23.67,35.51,23.74,35.65,23.85,35.53]],[[26.32,41.72,26.58,41.6,26.62,41.4,26.33,41.24,26.35,41,26.11,40.75,25.1,40.99,24.79,40.86,24.48,40.95,24.08,40.72,23.76,40.75,23.74,40.68,23.88,40.54,23.83,40.48,23.87,40.42,24.21,40.33,24.34,40.15,23.91,40.36,23.73,40.33,23.97,40.11,24,40.02,23.95,39.97,23.66,40.22,23.43,40.26,23.39,40.22,23.47,40.07,23.68,39.96,23.39,39.99,23.31,40.22,22.9,40.4,22.85,40.49,22.92,40.59,22.63,40.5,22.59,40.04,22.84,39.8,22.98,39.56,23.23,39.36,23.33,39.18,23.15,39.1,23.16,39.26,22.92,39.31,22.84,39.26,22.89,39.17,22.97,39.03,23.07,39.04,22.8,38.9,22.57,38.87,23.25,38.66,23.37,38.53,23.57,38.49,23.68,38.35,23.97,38.27,24.05,37.71,23.97,37.68,23.5,38.03,23.03,37.88,23.15,37.8,23.2,37.62,23.39,37.58,23.49,37.44,23.16,37.33,23.1,37.44,22.94,37.52,22.78,37.59,22.73,37.54,23.06,36.85,23.04,36.64,23.16,36.45,22.98,36.53,22.72,36.79,22.61,36.78,22.49,36.57,22.49,36.45,22.43,36.48,22.38,36.51,22.38,36.7,22.08,37.03,21.95,36.99,21.89,36.74,21.74,36.86,21.58,37.08,21.68,37.39,21.57,37.54,21.33,37.67,21.29,37.77,21.12,37.89,21.31,38.03,21.4,38.2,21.66,38.18,21.83,38.33,21.95,38.32,22.92,37.96,22.89,38.05,23.12,38.07,23.18,38.13,22.42,38.44,22.32,38.36,21.97,38.41,21.47,38.32,21.33,38.49,21.3,38.37,21.18,38.35,21.11,38.39,20.99,38.65,20.78,38.81,20.77,38.87,20.78,38.93,20.89,38.94,21.11,38.9,21.12,39.03,20.78,39.01,20.3,39.33,20.19,39.55,20,39.71,20.25,39.68,20.31,39.8,20.38,39.8,20.31,39.98,20.66,40.12,20.81,40.45,20.95,40.49,21.03,40.62,20.96,40.85,21.4,40.91,21.58,40.87,21.99,41.13,22.49,41.12,22.73,41.18,22.78,41.33,23.64,41.39,24.01,41.46,24.06,41.53,24.52,41.55,24.77,41.36,24.99,41.36,25.25,41.24,25.92,41.31,26.16,41.44,26.08,41.7,26.32,41.72]]]},
+  TR: {"name":"Turkey","bbox":[25.67,35.83,44.82,42.09],"polygons":[[[25.97,40.14,25.67,40.14,25.92,40.24,25.97,40.14]],[[41.51,41.52,41.82,41.43,41.92,41.5,42.47,41.44,42.61,41.58,42.79,41.56,43.15,41.31,43.21,41.2,43.43,41.16,43.45,41.06,43.63,40.93,43.72,40.72,43.57,40.48,43.71,40.17,43.67,40.13,43.94,40.02,44.4,40,44.82,39.65,44.59,39.77,44.46,39.67,44.39,39.42,44.02,39.38,44.18,39.14,44.17,38.93,44.27,38.84,44.3,38.39,44.45,38.34,44.21,37.91,44.59,37.71,44.55,37.66,44.57,37.44,44.79,37.29,44.76,37.14,44.61,37.18,44.28,36.98,44.2,37.05,44.19,37.25,44.11,37.3,43.68,37.23,43.09,37.37,42.94,37.32,42.77,37.37,42.46,37.13,42.36,37.11,42.31,37.23,42.2,37.3,42.06,37.21,41.51,37.09,40.71,37.1,40.02,36.83,39.36,36.68,38.77,36.69,38.44,36.86,38.19,36.9,37.43,36.64,37.07,36.65,36.94,36.76,36.66,36.8,36.54,36.46,36.64,36.23,36.38,36.17,36.35,36,36.13,35.83,35.89,35.92,35.96,36,35.81,36.31,36.19,36.66,36.18,36.81,36.05,36.91,35.66,36.72,35.54,36.6,35.39,36.57,34.7,36.82,34.3,36.6,33.95,36.3,33.69,36.18,32.79,36.04,32.38,36.18,32.02,36.53,31.35,36.8,30.65,36.87,30.45,36.27,30.23,36.31,29.69,36.16,29.22,36.32,29.04,36.69,28.97,36.72,28.82,36.68,28.31,36.81,28.2,36.69,28.02,36.63,28.09,36.75,27.66,36.68,27.46,36.71,28.01,36.83,28.24,37.03,27.26,36.98,27.3,37.13,27.53,37.16,27.52,37.25,27.22,37.39,27.15,37.6,27.07,37.66,27.23,37.73,27.23,37.98,26.88,38.06,26.68,38.2,26.58,38.15,26.29,38.28,26.34,38.37,26.42,38.37,26.37,38.56,26.44,38.64,26.59,38.56,26.6,38.42,26.67,38.34,26.73,38.42,26.86,38.37,27.14,38.45,26.91,38.48,26.76,38.71,27.01,38.89,26.81,38.96,26.85,39.12,26.68,39.29,26.9,39.55,26.11,39.47,26.18,39.99,26.31,40.02,26.74,40.4,27.28,40.46,27.48,40.32,27.73,40.33,27.85,40.38,27.73,40.48,27.87,40.51,27.99,40.49,27.96,40.37,29.01,40.39,29.05,40.42,28.79,40.53,29.05,40.65,29.85,40.74,29.36,40.81,29.12,40.94,29.05,41.01,29.15,41.22,29.92,41.15,30.35,41.2,30.81,41.08,31.25,41.11,31.46,41.32,32.3,41.73,33.28,42,34.75,41.96,35,42.06,35.16,42.03,35.12,41.89,35.3,41.73,35.56,41.63,35.92,41.71,36.05,41.68,36.18,41.43,36.41,41.27,36.78,41.36,37.07,41.18,38.38,40.93,39.43,41.11,39.81,40.98,40.26,40.96,41.08,41.26,41.51,41.52]],[[28.01,41.97,27.99,41.86,28.2,41.56,29.06,41.23,28.96,41.01,28.78,40.97,28.17,41.08,27.92,40.99,27.5,40.97,27.26,40.69,26.77,40.5,26.2,40.07,26.25,40.31,26.79,40.63,26.11,40.61,26.04,40.73,26.33,40.95,26.33,41.24,26.62,41.4,26.58,41.6,26.32,41.72,26.33,41.77,26.51,41.83,26.62,41.97,27.24,42.09,27.53,41.92,28.01,41.97]]]},
+  IN: {"name":"India","bbox":[68.16,6.75,97.34,35.5],"polygons":[[[68.16,23.86,68.38,23.95,68.72,23.96,68.73,24.27,68.78,24.31,68.83,24.26,69.56,24.27,69.81,24.17,70.02,24.19,70.1,24.29,70.49,24.41,70.55,24.42,70.58,24.28,70.72,24.24,71.04,24.4,70.97,24.57,71.05,24.69,70.65,25.42,70.65,25.67,70.26,25.71,70.1,25.91,70.15,26.51,69.51,26.74,69.47,26.8,69.54,27.12,69.9,27.47,70.14,27.85,70.4,28.02,70.63,27.94,70.69,27.77,70.8,27.71,71.87,27.96,71.95,28.18,72.13,28.35,72.34,28.75,72.95,29.09,73.38,29.93,73.81,30.09,73.93,30.22,73.9,30.43,74.34,30.89,74.63,31.04,74.52,31.19,74.59,31.47,74.51,31.71,74.55,31.82,75.33,32.22,75.24,32.37,74.68,32.49,74.66,32.76,74.35,32.77,74.3,32.99,74,33.19,74.15,33.51,73.98,33.72,74.25,33.95,73.9,34.07,73.97,34.24,73.8,34.38,73.96,34.65,74.3,34.77,75.71,34.5,76.04,34.67,76.6,34.74,77,34.99,77.05,35.11,77.8,35.5,78.04,35.48,78.01,35.25,78.33,34.61,78.67,34.52,78.97,34.3,78.97,34.23,78.73,34.01,78.8,33.5,79.13,33.17,79.1,33.05,79.2,32.95,79.22,32.5,78.92,32.36,78.7,32.6,78.39,32.52,78.5,32.22,78.73,31.96,78.69,31.74,78.8,31.62,78.73,31.47,78.74,31.32,78.85,31.3,78.97,31.33,79.01,31.41,79.11,31.4,79.49,30.99,79.79,30.97,80.15,30.79,80.19,30.57,80.68,30.42,80.98,30.24,81.01,30.16,80.85,30.14,80.4,29.73,80.25,29.42,80.23,29.19,80.08,28.99,80.07,28.83,80.42,28.61,80.59,28.65,81.85,27.87,81.99,27.91,82.45,27.67,82.68,27.67,82.73,27.52,83.29,27.37,83.45,27.47,83.83,27.38,84.09,27.49,84.61,27.3,84.69,27.04,85.12,26.86,85.24,26.75,85.65,26.83,85.79,26.6,86.01,26.65,86.7,26.43,87.01,26.56,87.09,26.43,87.29,26.36,87.41,26.42,87.85,26.44,87.99,26.38,88.16,26.72,87.98,27.13,88.15,27.75,88.1,27.91,88.14,27.95,88.58,28.09,88.8,28.01,88.85,27.87,88.75,27.52,88.76,27.43,88.89,27.32,88.74,27.18,88.86,26.96,89.15,26.82,89.33,26.85,89.77,26.7,90.12,26.75,90.34,26.89,90.74,26.77,91.29,26.79,91.43,26.87,91.67,26.8,92,26.85,92.07,26.92,91.99,27.1,92.08,27.29,91.99,27.45,91.74,27.44,91.59,27.56,91.63,27.76,91.98,27.73,92.1,27.81,92.55,27.88,92.69,27.99,92.65,28.06,92.7,28.15,93.12,28.4,93.25,28.63,93.76,28.73,93.97,28.86,94.02,28.96,94.62,29.31,94.77,29.18,95.39,29.04,95.51,29.21,96.04,29.45,96.23,29.25,96.36,29.25,96.12,29.08,96.14,28.92,96.44,29.05,96.58,28.76,96.28,28.41,96.39,28.37,96.6,28.46,96.77,28.37,97.08,28.37,97.32,28.22,97.34,27.94,96.88,27.59,96.9,27.44,97.1,27.12,96.95,27.13,96.73,27.33,96.19,27.26,95.46,26.76,95.13,26.6,95.05,26.35,95.13,26.04,95.01,25.91,94.95,25.7,94.58,25.32,94.55,25.22,94.71,25.05,94.29,24.32,94.13,23.88,93.68,24.01,93.49,23.97,93.33,24.06,93.42,23.68,93.37,23.13,93.31,23.03,93.16,23.03,93.08,22.72,93.15,22.23,93.07,22.21,92.91,21.99,92.72,22.13,92.57,21.98,92.49,22.68,92.36,22.93,92.25,23.68,91.93,23.69,91.94,23.5,91.76,23.29,91.75,23.05,91.62,22.98,91.51,23.03,91.44,23.2,91.37,23.2,91.37,23.07,91.32,23.11,91.17,23.58,91.23,23.92,91.37,24.09,91.88,24.2,91.95,24.36,92.1,24.41,92.23,24.88,92.44,24.85,92.47,24.94,92.05,25.17,90.44,25.16,89.83,25.29,89.82,25.94,89.67,26.21,89.59,26.19,89.55,26.01,89.37,26.01,89.19,26.11,89.02,26.41,88.92,26.38,88.97,26.25,88.83,26.25,88.68,26.29,88.62,26.43,88.37,26.56,88.35,26.48,88.44,26.37,88.15,26.09,88.08,25.89,88.5,25.54,88.77,25.49,88.95,25.26,88.82,25.18,88.45,25.19,88.31,24.88,88.15,24.91,88.02,24.63,88.15,24.49,88.29,24.48,88.72,24.28,88.7,24,88.57,23.67,88.74,23.44,88.72,23.25,88.93,23.19,88.85,23.04,89.05,22.28,89.03,21.94,88.95,21.94,89.05,21.65,88.91,21.65,88.86,21.74,88.75,21.58,88.69,21.73,88.74,22.01,88.64,22.12,88.58,21.66,88.45,21.61,88.29,21.76,88.25,21.62,88.12,21.64,88.06,21.69,88.2,22.14,87.99,22.26,87.94,22.37,87.96,22.25,88.16,22.12,87.95,21.83,87.68,21.65,87.1,21.5,86.86,21.24,86.84,21.11,86.98,20.7,86.76,20.42,86.75,20.31,86.5,20.17,86.38,20.01,86.24,20.05,86.31,19.99,86.22,19.9,85.57,19.69,85.5,19.7,85.56,19.75,85.56,19.87,85.5,19.89,85.25,19.76,85.18,19.59,85.37,19.68,85.44,19.63,84.77,19.13,84.11,18.29,83.66,18.07,83.2,17.61,82.36,17.1,82.28,16.94,82.36,16.78,82.26,16.56,81.76,16.33,81.29,16.34,81.13,15.96,80.98,15.76,80.83,15.77,80.78,15.87,80.65,15.9,80.29,15.71,80.1,15.32,80.05,15.07,80.18,14.48,80.11,14.21,80.31,13.49,80.16,13.71,80.06,13.61,80.34,13.36,80.23,12.69,79.86,11.99,79.75,11.57,79.79,11.45,79.69,11.31,79.8,11.34,79.84,11.27,79.84,10.32,79.53,10.33,79.31,10.26,79.26,10.03,78.94,9.57,78.92,9.45,79.02,9.33,79.27,9.28,79.41,9.19,78.98,9.27,78.42,9.1,78.19,8.89,78.06,8.38,77.52,8.08,77.3,8.15,77.06,8.32,76.55,8.9,76.33,9.45,76.24,9.93,76.34,9.83,76.38,9.54,76.46,9.54,76.35,9.92,76.22,10.02,76.2,10.2,75.72,11.36,75.52,11.7,75.2,12.06,74.94,12.56,74.77,13.08,74.67,13.67,74.38,14.49,73.95,15.07,73.8,15.4,73.93,15.4,73.77,15.57,73.83,15.66,73.68,15.71,73.47,16.05,73.34,16.46,73.15,17.62,72.87,18.64,73.01,19.02,72.97,19.15,72.83,18.98,72.8,19.08,72.81,19.3,72.99,19.28,72.79,19.36,72.8,19.52,72.73,19.58,72.67,19.83,72.9,20.67,72.81,21.12,72.69,21.18,72.63,21.37,72.73,21.47,72.61,21.46,73.11,21.75,72.54,21.7,72.59,21.88,72.7,21.97,72.52,21.98,72.55,22.16,72.81,22.23,72.18,22.27,72.3,22.19,72.28,22.09,72.04,21.82,72.21,21.73,72.25,21.53,72.02,21.16,71.02,20.74,70.72,20.74,70.48,20.84,70.03,21.18,69.19,21.99,68.97,22.29,69.05,22.44,69.28,22.29,70.18,22.57,70.51,23,70.49,23.09,70.34,22.94,70.12,22.95,69.67,22.76,69.24,22.85,68.64,23.19,68.42,23.57,68.78,23.85,68.23,23.6,68.16,23.86]],[[93.89,6.83,93.83,6.75,93.66,7.02,93.69,7.18,93.82,7.24,93.93,6.97,93.89,6.83]],[[92.5,10.56,92.37,10.55,92.35,10.75,92.51,10.9,92.57,10.7,92.5,10.56]],[[92.72,11.54,92.67,11.54,92.53,11.87,92.68,12.19,92.79,12.23,92.72,12.54,92.86,13.36,92.93,13.49,93.06,13.54,93.08,13.4,93.02,13.34,93.07,13.22,92.89,12.94,92.97,12.85,92.99,12.54,92.86,12.44,92.87,12.18,92.75,11.99,92.8,11.87,92.72,11.54]]]},
+  CN: {"name":"China","bbox":[73.61,18.22,134.75,53.55],"polygons":[[[121.86,31.49,121.78,31.46,121.52,31.55,121.34,31.64,121.21,31.81,121.46,31.76,121.86,31.49]],[[122.3,29.96,122.03,30.01,121.97,30.14,122.28,30.07,122.3,29.96]],[[119.82,25.46,119.7,25.43,119.72,25.64,119.84,25.59,119.82,25.46]],[[110.39,21.09,110.52,21.08,110.5,20.97,110.26,21.03,110.39,21.09]],[[121.25,28.09,121.13,28.06,121.13,28.14,121.2,28.2,121.25,28.09]],[[112.79,21.6,112.71,21.7,112.78,21.77,112.86,21.75,112.79,21.6]],[[107.97,21.51,107.76,21.66,107.35,21.61,107.27,21.71,107.06,21.79,106.97,21.92,106.66,21.98,106.65,22.24,106.55,22.34,106.55,22.5,106.78,22.78,106.54,22.91,106.28,22.86,106.15,22.97,105.84,22.92,105.55,23.07,105.27,23.34,104.86,23.14,104.8,22.91,104.69,22.82,104.53,22.8,104.37,22.7,104.14,22.8,104.05,22.75,103.94,22.54,103.62,22.78,103.49,22.59,103.3,22.76,103.01,22.45,102.47,22.75,102.13,22.38,102.02,22.44,101.84,22.39,101.71,22.49,101.52,22.25,101.6,21.99,101.74,21.83,101.72,21.32,101.8,21.24,101.73,21.16,101.54,21.23,101.25,21.2,101.17,21.41,101.2,21.52,101.08,21.76,100.6,21.47,100.15,21.48,100.1,21.66,99.94,21.76,99.92,22.03,99.17,22.15,99.34,22.5,99.38,22.83,99.51,22.96,99.34,23.1,98.86,23.19,98.88,23.38,98.8,23.52,98.83,23.62,98.68,23.91,98.83,24.12,98.59,24.07,98.21,24.11,97.69,23.9,97.56,23.91,97.71,24.23,97.67,24.38,97.53,24.49,97.53,24.63,97.58,24.78,97.74,24.87,97.71,25.03,97.82,25.25,98.01,25.29,98.14,25.57,98.33,25.59,98.47,25.79,98.66,25.86,98.56,26.07,98.69,26.19,98.74,26.7,98.65,27.57,98.45,27.66,98.3,27.55,98.1,28.14,97.89,28.36,97.77,28.36,97.66,28.5,97.54,28.51,97.32,28.22,97.08,28.37,96.77,28.37,96.6,28.46,96.39,28.37,96.28,28.41,96.58,28.76,96.44,29.05,96.14,28.92,96.12,29.08,96.36,29.25,96.23,29.25,96.04,29.45,95.51,29.21,95.39,29.04,94.77,29.18,94.62,29.31,94.02,28.96,93.97,28.86,93.76,28.73,93.25,28.63,93.12,28.4,92.7,28.15,92.65,28.06,92.69,27.99,92.55,27.88,92.1,27.81,91.98,27.73,91.63,27.76,91.64,27.92,91.27,28.08,91.02,27.97,90.72,28.07,90.35,28.08,90.35,28.24,89.9,28.29,89.48,28.06,88.95,27.46,88.89,27.32,88.76,27.43,88.75,27.52,88.85,27.87,88.8,28.01,88.62,28.09,88.14,27.95,88.11,27.87,87.86,27.89,87.62,27.81,87.14,27.84,86.62,28.1,86.55,28.09,86.52,27.96,86.41,27.93,86.14,28.12,86.08,28.08,86.06,27.93,86,27.91,85.68,28.28,85.12,28.32,85.16,28.59,84.8,28.56,84.23,28.91,84.1,29.22,83.94,29.28,83.58,29.18,83.16,29.61,82.85,29.68,82.22,30.06,82.04,30.33,81.64,30.39,81.42,30.34,81.25,30.09,81.11,30.04,80.98,30.24,80.68,30.42,80.19,30.57,80.15,30.79,79.79,30.97,79.49,30.99,79.11,31.4,78.76,31.3,78.73,31.47,78.8,31.62,78.69,31.74,78.73,31.96,78.5,32.22,78.39,32.52,78.7,32.6,78.92,32.36,79.22,32.5,79.2,32.95,79.1,33.05,79.13,33.17,78.8,33.5,78.73,34.01,78.97,34.23,78.97,34.3,78.67,34.52,78.28,34.65,78.01,35.25,78.04,35.48,77.45,35.48,77.09,35.55,76.63,35.73,76.56,35.77,76.55,35.89,76.18,35.81,76.07,35.98,75.91,36.05,75.97,36.38,75.84,36.65,75.67,36.74,75.42,36.74,75.35,36.91,74.54,37.02,74.37,37.14,74.73,37.29,74.89,37.23,75.12,37.39,74.89,37.6,74.94,37.77,74.77,38.19,74.84,38.4,74.75,38.51,74.28,38.66,74.13,38.66,73.97,38.53,73.8,38.61,73.69,38.85,73.81,38.97,73.61,39.23,73.63,39.45,73.82,39.49,73.91,39.58,73.83,39.8,73.99,40.04,74.41,40.14,74.68,40.31,74.83,40.33,74.84,40.48,75.24,40.48,75.52,40.63,75.58,40.61,75.68,40.31,75.87,40.3,76.26,40.43,76.32,40.35,76.48,40.45,76.66,40.78,76.91,41.02,77.58,40.99,78.12,41.08,78.35,41.28,78.36,41.37,78.74,41.56,79.77,41.9,79.84,42,80.24,42.04,80.25,42.27,80.16,42.67,80.25,42.8,80.54,42.87,80.38,42.97,80.39,43.04,80.62,43.13,80.75,43.1,80.79,43.16,80.67,43.31,80.7,43.43,80.65,43.56,80.35,44.1,80.35,44.55,80.38,44.66,80.48,44.71,80.25,44.81,80,44.8,79.87,44.88,80.06,45.01,80.86,45.13,81.69,45.35,81.87,45.18,82.27,45.22,82.52,45.13,82.62,45.29,82.61,45.42,82.33,45.52,82.32,45.6,82.98,46.97,83.03,47.19,84.02,46.97,84.67,46.97,84.79,46.83,85.23,47.04,85.48,47.06,85.66,47.25,85.52,47.92,85.65,48.25,85.75,48.38,86.55,48.53,86.72,48.7,86.75,49.01,86.89,49.09,87.42,49.08,87.81,49.16,87.87,49,87.74,48.88,88.06,48.71,87.98,48.55,88.52,48.38,88.58,48.22,89.05,48,89.48,48.03,89.78,47.83,90.03,47.88,90.1,47.75,90.31,47.68,90.5,47.29,90.72,47,90.87,46.95,91.03,46.57,90.91,46.27,91,46.04,90.71,45.73,90.66,45.53,90.88,45.2,91.05,45.22,91.58,45.08,92.79,45.04,93.52,44.94,93.96,44.67,94.2,44.65,94.71,44.35,95.05,44.26,95.35,44.28,95.33,44.04,95.53,43.95,95.86,43.28,96.3,42.93,96.39,42.72,97.21,42.79,99.47,42.57,99.98,42.68,101.49,42.54,101.66,42.5,101.97,42.22,102.16,42.16,103.07,42.01,103.71,41.75,104.5,41.88,104.5,41.66,104.98,41.6,105.2,41.74,106.77,42.29,108.17,42.45,109.34,42.44,110.4,42.77,111.01,43.34,111.55,43.5,111.93,43.71,111.84,43.94,111.6,44.11,111.4,44.37,111.62,44.83,111.9,45.06,112.41,45.06,112.71,44.88,113.59,44.75,114.08,44.97,114.42,45.2,114.56,45.39,115.68,45.46,116.2,45.74,116.26,45.96,116.56,46.29,116.86,46.39,117.33,46.36,117.44,46.59,117.74,46.52,118.07,46.67,118.31,46.72,118.72,46.69,118.84,46.76,119.33,46.61,119.71,46.61,119.87,46.67,119.9,46.86,119.71,47.15,119.16,47.53,119.08,47.65,118.76,47.76,118.5,47.98,118.15,48.03,117.77,47.99,117.35,47.65,117.07,47.81,116.76,47.87,116.23,47.86,115.9,47.69,115.62,47.87,115.52,48.13,115.79,48.25,115.82,48.58,116.02,48.78,116.68,49.82,117.24,49.62,117.87,49.51,118.45,49.84,119.26,50.07,119.35,50.28,119.16,50.41,119.45,50.7,120.07,51.6,120.68,51.97,120.75,52.1,120.66,52.3,120.7,52.49,120.66,52.57,120.17,52.6,120.07,52.63,120.05,52.72,120.7,53.17,120.98,53.28,122.34,53.49,123.61,53.55,124.81,53.13,125.07,53.2,125.65,53.04,125.73,52.89,125.87,52.87,126.05,52.74,126.02,52.61,126.34,52.36,126.51,51.93,126.7,51.7,126.71,51.57,126.81,51.51,126.92,51.1,127.31,50.71,127.34,50.35,127.59,50.21,127.49,49.97,127.55,49.8,127.71,49.67,128,49.57,128.7,49.6,128.82,49.46,129.07,49.37,129.5,49.39,130.2,48.89,130.55,48.86,130.62,48.77,130.55,48.6,130.81,48.34,130.71,48.13,130.73,48.02,131,47.69,132.48,47.71,132.71,47.95,133.15,48.11,133.47,48.1,133.84,48.27,134.29,48.37,134.66,48.25,134.67,48.15,134.57,48.02,134.75,47.71,134.6,47.52,134.29,47.41,134.17,47.3,134.2,47.13,133.87,46.5,133.86,46.25,133.7,46.14,133.65,45.95,133.51,45.88,133.44,45.61,133.19,45.49,133.11,45.13,132.94,45.03,131.98,45.24,131.85,45.33,131.45,44.98,130.98,44.85,131.26,44.07,131.17,43.7,131.18,43.5,131.26,43.38,131.07,42.9,130.58,42.81,130.42,42.73,130.58,42.62,130.53,42.54,130.29,42.69,130.24,42.89,129.9,43,129.7,42.45,129.52,42.39,129.32,42.41,129.2,42.22,128.92,42.04,128.04,41.99,128.06,41.86,128.29,41.61,128.15,41.39,128.01,41.45,127.69,41.44,127.18,41.53,127.01,41.74,126.9,41.78,126.72,41.72,126.6,41.64,126.49,41.36,125.99,40.9,125.73,40.87,125.42,40.66,124.89,40.46,124.39,40.1,124.27,39.92,124.11,39.84,123.76,39.82,123.65,39.88,123.58,39.79,122.84,39.6,122.33,39.37,121.98,39.05,121.68,39,121.65,38.86,121.16,38.73,121.11,38.92,121.68,39.11,121.63,39.22,121.82,39.39,121.28,39.39,121.27,39.55,121.52,39.64,121.47,39.76,121.52,39.85,121.8,39.95,122.26,40.5,122.14,40.69,121.86,40.84,121.83,40.97,121.73,40.85,121.18,40.9,120.77,40.59,120.48,40.23,119.59,39.9,119.39,39.75,119.22,39.41,118.98,39.18,118.63,39.18,118.3,39.07,118.04,39.23,117.78,39.13,117.55,38.69,117.65,38.42,118.01,38.18,118.54,38.1,118.8,38.13,118.94,38.04,119.09,37.7,118.99,37.64,118.95,37.33,119.11,37.2,119.45,37.13,119.76,37.15,119.89,37.25,119.88,37.35,120.31,37.62,120.26,37.68,120.75,37.83,121.64,37.46,121.96,37.44,122.06,37.53,122.34,37.4,122.67,37.4,122.57,37.32,122.59,37.18,122.45,37.07,122.52,36.95,122.34,36.83,122.24,36.85,122.16,36.96,121.93,36.96,121.05,36.61,120.81,36.63,120.89,36.44,120.71,36.41,120.64,36.13,120.39,36.05,120.33,36.11,120.33,36.23,120.18,36.2,120.1,36.12,120.29,35.98,120.06,35.86,119.98,35.74,119.72,35.59,119.43,35.3,119.17,34.85,119.2,34.75,119.35,34.75,119.58,34.58,120.27,34.27,120.51,33.64,120.87,33.02,120.86,32.66,121.34,32.43,121.45,32.15,121.83,31.9,121.87,31.7,121.76,31.7,121.35,31.86,120.97,31.87,120.79,32.03,120.52,32.11,120.03,31.94,120.19,31.91,120.5,32.02,120.71,31.98,120.79,31.82,121.06,31.72,121.66,31.32,121.83,31.06,121.88,30.92,121.42,30.79,121,30.56,120.82,30.35,120.45,30.39,120.2,30.24,120.5,30.3,120.63,30.13,120.91,30.16,121.26,30.3,121.43,30.23,121.68,29.98,122.08,29.87,121.51,29.48,121.89,29.63,121.97,29.49,121.92,29.13,121.72,29.26,121.54,29.24,121.45,29.13,121.68,28.95,121.54,28.93,121.66,28.85,121.47,28.64,121.61,28.29,121.51,28.32,121.27,28.22,121.22,28.35,121.15,28.33,120.96,28.04,120.75,28.01,120.83,27.89,120.59,27.58,120.61,27.41,120.28,27.1,120.04,26.63,119.88,26.61,119.83,26.85,119.71,26.73,119.59,26.79,119.64,26.62,119.79,26.55,119.88,26.33,119.46,26.05,119.14,26.12,119.33,25.95,119.62,26,119.65,25.92,119.54,25.59,119.62,25.39,119.42,25.46,119.18,25.45,119.17,25.35,119.29,25.23,118.98,25.21,118.91,25.13,118.95,25,118.91,24.93,118.64,24.84,118.72,24.75,118.66,24.62,118.3,24.57,118.09,24.63,118.01,24.48,117.84,24.47,117.88,24.4,118.03,24.38,118.06,24.25,117.84,24.01,117.74,24.01,117.63,23.84,117.47,23.84,117.37,23.59,117.29,23.71,117.08,23.58,116.91,23.65,116.86,23.45,116.63,23.35,116.7,23.28,116.54,23.18,116.47,22.95,116.25,22.98,116.16,22.89,115.85,22.8,115.64,22.85,115.5,22.72,115.2,22.82,114.85,22.62,114.75,22.63,114.65,22.75,114.54,22.62,114.55,22.53,114.34,22.59,114.01,22.51,113.83,22.61,113.62,22.86,113.62,23.13,113.52,23.1,113.45,23.05,113.44,22.94,113.33,22.91,113.55,22.59,113.55,22.22,113.15,22.08,113.09,22.21,112.95,21.91,112.81,21.95,112.59,21.78,112.36,21.98,112.39,21.8,112.3,21.74,111.94,21.85,111.87,21.72,111.78,21.72,111.6,21.56,111.32,21.49,111.02,21.51,111,21.43,110.77,21.39,110.57,21.21,110.46,21.23,110.41,21.34,110.38,21.17,110.16,20.94,110.18,20.86,110.36,20.84,110.31,20.67,110.51,20.52,110.45,20.36,110.35,20.29,110.12,20.26,109.94,20.29,109.88,20.36,109.89,20.41,109.98,20.4,109.97,20.45,109.86,20.51,109.66,20.92,109.68,21.13,109.78,21.34,109.92,21.38,109.93,21.48,109.83,21.48,109.76,21.56,109.69,21.53,109.57,21.69,109.52,21.69,109.54,21.54,109.15,21.43,109.08,21.44,109.1,21.59,108.77,21.63,108.61,21.77,108.59,21.9,108.48,21.9,108.5,21.63,108.45,21.61,108.32,21.69,108.25,21.56,107.97,21.51]],[[110.89,19.99,111.01,19.66,110.82,19.56,110.64,19.29,110.45,18.75,110.05,18.5,110.02,18.42,109.82,18.4,109.7,18.26,109.52,18.22,108.7,18.54,108.64,18.87,108.67,19.3,109.28,19.76,109.18,19.77,109.26,19.88,110.21,20.06,110.39,19.98,110.39,20.06,110.59,19.98,110.65,20.14,110.89,19.99]]]},
+  KR: {"name":"South Korea","bbox":[126.01,33.22,129.57,38.62],"polygons":[[[126.63,37.78,126.67,37.92,127.09,38.28,128.04,38.31,128.17,38.36,128.38,38.62,128.62,38.18,129.34,37.27,129.42,37.06,129.47,36.74,129.41,36.05,129.46,36.01,129.57,36.05,129.56,35.95,129.42,35.5,129.21,35.18,128.98,35.1,128.51,35.1,128.42,35.02,128.44,34.87,128.09,34.93,128.04,35.02,127.71,34.96,127.64,34.89,127.74,34.78,127.72,34.72,127.63,34.69,127.52,34.84,127.4,34.82,127.39,34.74,127.48,34.63,127.32,34.46,127.17,34.55,127.26,34.66,127.25,34.76,126.9,34.44,126.76,34.51,126.53,34.31,126.48,34.49,126.27,34.67,126.3,34.72,126.53,34.7,126.47,34.76,126.59,34.82,126.42,34.82,126.29,35.15,126.49,35.5,126.62,35.57,126.49,35.65,126.72,35.77,126.75,35.87,126.65,35.92,126.69,36.01,126.54,36.17,126.49,36.69,126.39,36.65,126.18,36.69,126.16,36.77,126.22,36.87,126.49,37.01,126.78,36.95,126.87,36.82,126.98,36.94,126.87,36.98,126.74,37.19,126.79,37.3,126.65,37.45,126.56,37.72,126.63,37.78]],[[128.74,34.8,128.65,34.74,128.49,34.86,128.72,35.01,128.74,34.8]],[[128.07,34.81,128.06,34.71,127.94,34.77,127.88,34.73,127.83,34.88,127.91,34.92,128.04,34.88,128.07,34.81]],[[126.23,34.37,126.17,34.35,126.12,34.44,126.25,34.56,126.35,34.55,126.38,34.5,126.23,34.37]],[[126.52,37.74,126.51,37.6,126.46,37.61,126.37,37.77,126.41,37.82,126.52,37.74]],[[126.17,34.73,126.11,34.71,126.01,34.87,126.08,34.92,126.17,34.83,126.17,34.73]],[[126.33,33.22,126.24,33.22,126.17,33.31,126.34,33.46,126.76,33.55,126.9,33.52,126.93,33.44,126.87,33.34,126.71,33.27,126.33,33.22]]]},
+  TH: {"name":"Thailand","bbox":[97.38,5.64,105.64,20.42],"polygons":[[[102.43,11.99,102.3,11.98,102.28,12.15,102.43,11.99]],[[98.41,7.9,98.4,7.83,98.3,7.78,98.26,7.93,98.32,8.17,98.43,8.09,98.41,7.9]],[[100.12,20.32,100.14,20.25,100.32,20.39,100.52,20.18,100.54,20.09,100.4,19.76,100.51,19.55,100.63,19.5,100.96,19.61,101.21,19.55,101.2,19.33,101.29,18.98,101.05,18.44,101.14,18.14,100.91,17.58,100.96,17.54,101.17,17.5,101.69,17.89,101.77,18.03,101.95,18.08,102.1,18.21,102.55,17.96,102.66,17.82,102.81,17.95,103.05,18.03,103.15,18.22,103.28,18.31,103.29,18.41,103.95,18.32,104.43,17.7,104.74,17.46,104.82,17.3,104.74,16.88,104.82,16.47,105.05,16.16,105.41,15.99,105.4,15.83,105.64,15.66,105.49,15.26,105.55,14.93,105.48,14.53,105.07,14.23,104.97,14.37,104.78,14.43,103.98,14.36,103.6,14.42,103.2,14.33,102.91,14.14,102.55,13.66,102.55,13.58,102.32,13.54,102.33,13.29,102.46,13.02,102.5,12.67,102.75,12.43,102.74,12.09,102.93,11.71,102.6,12.2,102.54,12.11,102.26,12.39,102.23,12.33,101.84,12.64,101.72,12.69,101.44,12.62,100.9,12.65,100.96,13.43,100.6,13.57,100.23,13.48,100.02,13.35,99.99,13.24,100.09,13.04,99.96,12.69,99.99,12.17,99.63,11.46,99.49,10.89,99.16,10.32,99.16,9.73,99.29,9.41,99.25,9.27,99.4,9.21,99.72,9.31,99.83,9.29,99.99,8.59,100.13,8.43,100.16,8.51,100.28,8.27,100.54,7.23,100.44,7.28,100.38,7.54,100.28,7.55,100.32,7.72,100.26,7.77,100.16,7.73,100.16,7.6,100.42,7.19,100.59,7.18,101.02,6.86,101.3,6.91,101.5,6.86,101.8,6.47,102.1,6.24,101.87,5.82,101.68,5.78,101.56,5.91,101.26,5.79,101.11,5.64,100.98,5.77,101.08,5.96,101.05,6.24,100.87,6.25,100.76,6.46,100.35,6.55,100.26,6.68,100.18,6.67,100.12,6.44,99.7,6.88,99.72,7.11,99.55,7.22,99.6,7.36,99.36,7.37,99.26,7.62,99.18,7.72,99.08,7.72,99.05,7.89,98.79,8.06,98.7,8.26,98.58,8.34,98.42,8.18,98.36,8.19,98.24,8.42,98.24,8.77,98.7,10.19,98.76,10.66,99.19,11.11,99.61,11.78,99.41,12.55,99.22,12.74,99.13,13.03,99.18,13.23,99.14,13.72,98.93,14.05,98.57,14.36,98.25,14.81,98.2,14.98,98.19,15.2,98.56,15.37,98.59,16.05,98.82,16.18,98.89,16.35,98.84,16.42,98.66,16.33,98.48,16.73,98.44,16.98,97.71,17.8,97.74,17.94,97.63,18.29,97.45,18.36,97.38,18.52,97.52,18.5,97.75,18.59,97.71,18.93,97.8,19.13,97.82,19.46,98.02,19.75,98.37,19.69,98.92,19.77,99.07,20.1,99.34,20.08,99.49,20.15,99.46,20.36,99.72,20.33,99.89,20.42,100.12,20.32]],[[100.07,9.59,100.05,9.46,99.96,9.42,99.94,9.56,100.07,9.59]]]},
+  VN: {"name":"Vietnam","bbox":[102.13,8.6,109.45,23.34],"polygons":[[[104.06,10.39,104.02,10.03,103.85,10.37,103.99,10.43,104.06,10.39]],[[107.97,21.51,107.81,21.5,107.41,21.28,107.35,21.05,107.16,20.95,107.07,21,106.89,20.95,106.68,21,106.75,20.74,106.55,20.53,106.52,20.29,106.17,19.99,105.98,19.94,105.81,19.59,105.79,19.29,105.62,18.97,105.89,18.5,106.5,17.95,106.48,17.72,106.35,17.77,107.12,17.06,107.18,16.9,107.73,16.49,107.83,16.32,108.03,16.33,108.27,16.09,108.58,15.58,108.82,15.38,109.09,14.72,109.09,14.55,109.3,13.86,109.29,13.77,109.25,13.85,109.27,13.28,109.42,12.96,109.45,12.6,109.33,12.75,109.22,12.65,109.31,12.39,109.21,12.41,109.26,11.95,109.25,11.91,109.2,12,109.2,11.73,109.13,11.6,109.04,11.59,108.99,11.34,108.82,11.32,108.27,10.93,108.1,10.9,108,10.72,107.84,10.7,107.26,10.4,107.09,10.5,107.01,10.66,106.95,10.4,106.81,10.43,106.73,10.54,106.61,10.47,106.74,10.44,106.76,10.3,106.47,10.3,106.79,10.12,106.6,9.86,106.14,10.22,106.51,9.82,106.57,9.64,106.38,9.56,105.83,10,106.16,9.59,106.21,9.5,106.17,9.4,105.5,9.09,105.32,8.8,105.12,8.63,104.77,8.6,104.9,8.75,104.82,8.8,104.85,9.61,104.9,9.82,105.09,9.94,105.03,10.07,104.8,10.2,104.66,10.17,104.43,10.41,104.56,10.52,104.85,10.53,105.05,10.7,105.05,10.91,105.31,10.85,105.41,10.95,105.76,10.99,105.85,10.86,106.16,10.8,106.16,11.04,105.86,11.3,105.85,11.64,106,11.76,106.4,11.69,106.42,11.95,106.7,11.98,107.21,12.3,107.33,12.32,107.39,12.26,107.51,12.36,107.56,12.54,107.47,13.03,107.61,13.44,107.33,14.13,107.37,14.37,107.53,14.65,107.48,14.98,107.65,15.25,107.17,15.8,107.39,15.95,107.4,16.04,106.93,16.35,106.85,16.52,106.74,16.45,106.66,16.49,106.54,16.65,106.5,16.95,105.69,17.74,105.46,18.15,105.16,18.34,105.09,18.45,105.15,18.65,104.72,18.8,103.89,19.3,104.06,19.48,104.03,19.67,104.59,19.62,104.93,20.02,104.85,20.2,104.7,20.21,104.62,20.37,104.37,20.44,104.58,20.65,104.1,20.95,103.64,20.7,103.1,20.89,102.85,21.27,102.95,21.68,102.82,21.81,102.74,21.68,102.66,21.68,102.58,21.9,102.13,22.38,102.47,22.75,102.83,22.59,102.98,22.45,103.33,22.77,103.49,22.59,103.62,22.78,103.94,22.54,104.05,22.75,104.14,22.8,104.37,22.7,104.53,22.8,104.69,22.82,104.8,22.91,104.86,23.14,105.27,23.34,105.55,23.07,105.84,22.92,106.15,22.97,106.28,22.86,106.54,22.91,106.78,22.78,106.55,22.5,106.55,22.34,106.65,22.24,106.66,21.98,106.97,21.92,107.06,21.79,107.27,21.71,107.35,21.61,107.76,21.66,107.97,21.51]],[[107.6,21.22,107.41,21.09,107.48,21.27,107.6,21.22]]]},
+  ID: {"name":"Indonesia","bbox":[95.21,-10.91,140.98,5.63],"polygons":[[[97.48,1.47,97.93,0.97,97.82,0.56,97.69,0.6,97.6,0.83,97.4,0.95,97.3,1.19,97.08,1.43,97.25,1.42,97.36,1.54,97.48,1.47]],[[99.16,-1.78,99.07,-1.78,98.83,-1.61,98.6,-1.2,98.68,-0.97,98.87,-0.92,98.93,-0.95,99.27,-1.63,99.27,-1.74,99.16,-1.78]],[[116.64,-8.61,116.51,-8.82,116.59,-8.89,116.24,-8.91,115.86,-8.79,115.87,-8.74,116.08,-8.75,116.06,-8.44,116.4,-8.2,116.72,-8.34,116.64,-8.61]],[[115.45,-8.16,115.7,-8.41,115.33,-8.62,115.22,-8.82,115.15,-8.85,115.09,-8.83,115.14,-8.7,115.06,-8.57,114.84,-8.43,114.61,-8.38,114.47,-8.17,114.5,-8.12,114.94,-8.19,115.15,-8.07,115.45,-8.16]],[[106.04,-1.67,106.16,-1.87,106.21,-2.19,106.36,-2.46,106.82,-2.57,106.71,-2.66,106.61,-2.9,106.67,-3.07,106,-2.83,105.91,-2.64,105.94,-2.49,105.79,-2.18,105.55,-2.08,105.34,-2.12,105.13,-2.04,105.19,-1.92,105.37,-1.81,105.37,-1.66,105.46,-1.57,105.58,-1.53,105.7,-1.73,105.75,-1.66,105.72,-1.53,105.91,-1.5,106.04,-1.67]],[[123.18,-4.55,123.2,-4.82,123.12,-4.72,123.05,-4.75,122.97,-5.14,123.2,-5.27,123.19,-5.33,122.97,-5.41,122.81,-5.67,122.64,-5.66,122.59,-5.49,122.77,-5.21,122.85,-4.62,122.95,-4.44,123.08,-4.39,123.18,-4.55]],[[122.64,-5.27,122.57,-5.39,122.39,-5.34,122.31,-5.38,122.28,-5.32,122.4,-5.07,122.33,-4.85,122.37,-4.77,122.7,-4.62,122.76,-4.93,122.62,-5.14,122.64,-5.27]],[[108.32,3.69,108.18,3.65,108.1,3.71,108.24,3.81,108.09,3.85,108,3.98,108,4.04,108.25,4.22,108.39,3.99,108.4,3.84,108.32,3.69]],[[108.21,-3,108.17,-3.14,108.06,-3.23,107.98,-3.22,107.86,-3.09,107.82,-3.16,107.61,-3.21,107.56,-2.92,107.67,-2.57,107.84,-2.53,108.22,-2.7,108.29,-2.83,108.21,-3]],[[135.38,-0.65,135.89,-0.73,136.16,-0.98,136.37,-1.09,136.17,-1.21,135.91,-1.18,135.84,-1.12,135.75,-0.82,135.64,-0.88,135.43,-0.77,135.38,-0.65]],[[135.47,-1.59,136.2,-1.66,136.89,-1.8,136.23,-1.89,135.49,-1.67,135.47,-1.59]],[[130.81,0,131.28,-0.15,131.34,-0.29,131.22,-0.37,131.01,-0.36,130.62,-0.09,130.76,-0.29,130.9,-0.34,130.9,-0.42,130.75,-0.44,130.69,-0.3,130.55,-0.37,130.5,-0.27,130.24,-0.21,130.36,-0.07,130.81,0]],[[128.45,2.05,128.3,2.04,128.22,2.3,128.33,2.47,128.6,2.6,128.69,2.47,128.62,2.22,128.45,2.05]],[[128.15,-1.66,128.06,-1.71,127.56,-1.73,127.39,-1.65,127.46,-1.45,127.65,-1.33,127.9,-1.44,128.15,-1.6,128.15,-1.66]],[[126.05,-2.45,125.98,-2.42,125.86,-2.08,125.92,-1.97,125.99,-2.01,126.05,-2.45]],[[126.02,-1.79,126.33,-1.82,125.96,-1.92,125.48,-1.94,125.39,-1.84,126.02,-1.79]],[[124.97,-1.71,125.19,-1.71,125.2,-1.78,125.32,-1.81,125.32,-1.88,125.01,-1.94,124.83,-1.9,124.42,-2,124.33,-1.86,124.42,-1.66,124.66,-1.64,124.97,-1.71]],[[131.32,-8,131.12,-8,131.14,-7.68,131.53,-7.17,131.64,-7.11,131.74,-7.2,131.64,-7.27,131.69,-7.44,131.62,-7.63,131.32,-8]],[[126.8,-7.67,126.81,-7.74,126.58,-7.81,126.47,-7.95,126.04,-7.89,125.8,-7.98,125.81,-7.88,125.97,-7.66,126.22,-7.71,126.61,-7.57,126.8,-7.67]],[[124.57,-8.14,124.6,-8.2,125.05,-8.18,125.12,-8.21,125.13,-8.33,124.38,-8.42,124.43,-8.18,124.57,-8.14]],[[131,-1.32,130.85,-1.32,130.78,-1.26,130.67,-0.96,130.9,-0.89,131.03,-0.92,131.08,-0.97,131,-1.32]],[[96.49,5.23,96.84,5.27,97.55,5.21,97.91,4.88,98,4.66,98.25,4.42,98.24,4.19,98.31,4.09,98.66,3.93,98.78,3.76,99.15,3.58,99.73,3.18,100.53,2.19,100.89,1.95,100.83,2.24,100.94,2.29,101.05,2.26,101.3,2.01,101.48,1.69,101.79,1.62,102.1,1.36,102.24,0.99,102.39,0.84,102.57,0.75,102.85,0.72,103.03,0.58,103.07,0.49,103.01,0.42,102.55,0.22,102.89,0.28,103.34,0.51,103.48,0.48,103.67,0.29,103.79,0.05,103.43,-0.19,103.41,-0.36,103.51,-0.47,103.44,-0.58,103.53,-0.75,103.72,-0.89,104.38,-1.07,104.51,-1.82,104.57,-1.92,104.85,-2.09,104.83,-2.23,104.65,-2.43,104.65,-2.59,104.97,-2.37,105.4,-2.38,105.58,-2.49,106.04,-3.11,106.06,-3.22,105.9,-3.41,105.84,-3.61,105.93,-3.83,105.83,-4.16,105.89,-5.01,105.82,-5.68,105.75,-5.82,105.62,-5.8,105.35,-5.55,105.08,-5.75,104.64,-5.52,104.68,-5.89,104.6,-5.91,103.83,-5.08,102.54,-4.15,102.13,-3.6,101.58,-3.17,101.31,-2.73,101.12,-2.59,100.89,-2.25,100.86,-1.94,100.49,-1.3,100.31,-0.83,99.86,-0.31,99.67,0.05,99.16,0.35,98.8,1.5,98.6,1.87,98.08,2.19,97.7,2.36,97.59,2.85,97.39,2.98,96.97,3.58,96.8,3.71,96.44,3.82,95.58,4.66,95.21,5.28,95.23,5.56,95.4,5.63,95.63,5.61,96.13,5.29,96.49,5.23]],[[122.78,-8.61,121.65,-8.9,121.59,-8.82,121.41,-8.81,121.33,-8.92,121.04,-8.93,120.55,-8.8,120.12,-8.78,119.91,-8.86,119.81,-8.7,119.88,-8.42,119.96,-8.44,120.35,-8.26,120.61,-8.24,121.45,-8.58,121.97,-8.46,122.32,-8.63,122.43,-8.6,122.55,-8.43,122.85,-8.3,122.92,-8.22,122.76,-8.19,122.85,-8.09,122.92,-8.1,122.98,-8.15,123,-8.33,122.81,-8.48,122.85,-8.56,122.78,-8.61]],[[120.01,-9.38,120.22,-9.51,120.29,-9.65,120.44,-9.65,120.56,-9.72,120.78,-9.96,120.8,-10.11,120.44,-10.29,120.25,-10.24,119.6,-9.77,119.08,-9.71,118.96,-9.52,119.03,-9.44,119.3,-9.37,119.8,-9.38,119.94,-9.3,120.01,-9.38]],[[118.24,-8.32,118.34,-8.35,118.61,-8.28,118.71,-8.42,118.75,-8.33,118.93,-8.3,119.13,-8.67,119,-8.75,118.9,-8.7,118.75,-8.73,118.83,-8.83,118.48,-8.86,118.4,-8.81,118.38,-8.67,118.19,-8.84,117.06,-9.1,116.79,-9.01,116.83,-8.53,117.16,-8.37,117.57,-8.43,117.81,-8.71,117.97,-8.73,118.23,-8.59,117.82,-8.34,117.76,-8.15,117.92,-8.09,118.12,-8.12,118.24,-8.32]],[[124.89,1,124.43,0.47,123.75,0.31,123.27,0.33,123,0.49,121.84,0.44,121.52,0.5,121.01,0.44,120.58,0.53,120.35,0.45,120.19,0.27,120.01,-0.2,120.06,-0.55,120.24,-0.87,120.52,-1.04,120.67,-1.37,121.04,-1.41,121.15,-1.34,121.28,-1.12,121.58,-0.83,121.74,-0.93,121.97,-0.93,122.28,-0.76,122.89,-0.75,122.83,-0.66,123.17,-0.57,123.38,-0.65,123.43,-0.78,123.38,-1,123.23,-1,123.05,-0.87,122.9,-0.9,122.25,-1.55,121.86,-1.69,121.65,-1.9,121.4,-1.83,121.36,-1.88,121.35,-1.95,121.58,-2.15,121.77,-2.24,122.08,-2.75,122.29,-2.91,122.4,-3.2,122.32,-3.28,122.25,-3.62,122.58,-3.88,122.69,-4.08,122.85,-4.07,122.87,-4.39,122.72,-4.34,122.72,-4.41,122.47,-4.42,122.12,-4.54,122.04,-4.83,121.59,-4.76,121.49,-4.58,121.62,-4.09,121.31,-3.92,120.89,-3.52,121.05,-3.17,121.05,-2.75,120.88,-2.65,120.65,-2.67,120.26,-2.95,120.44,-3.71,120.36,-4.09,120.42,-4.62,120.28,-5.15,120.43,-5.59,120.31,-5.54,119.95,-5.58,119.72,-5.69,119.56,-5.61,119.38,-5.42,119.36,-5.32,119.59,-4.52,119.62,-4.03,119.48,-3.73,119.47,-3.51,119.36,-3.46,118.99,-3.54,118.92,-3.48,118.83,-3.28,118.86,-2.93,118.78,-2.72,119.09,-2.48,119.17,-2.14,119.32,-1.93,119.31,-1.41,119.51,-0.91,119.71,-0.68,119.84,-0.86,119.72,-0.09,119.84,-0.02,119.81,0.24,120.27,0.97,120.32,0.98,120.42,0.85,120.6,0.85,120.87,1.25,121.08,1.33,121.41,1.24,121.59,1.07,122.44,1.02,122.84,0.85,123.07,0.94,123.85,0.84,124.28,1.02,124.41,1.18,124.53,1.23,124.6,1.39,124.79,1.47,124.95,1.67,125.11,1.69,125.23,1.5,124.89,1]],[[107.37,-6.01,107.67,-6.22,108.33,-6.29,108.52,-6.47,108.68,-6.79,109.3,-6.87,109.5,-6.81,109.82,-6.9,110.43,-6.95,110.58,-6.81,110.7,-6.52,110.84,-6.42,110.97,-6.44,111.18,-6.69,111.54,-6.65,112.09,-6.89,112.54,-6.93,112.65,-7.22,112.79,-7.3,112.79,-7.55,113.01,-7.66,113.5,-7.72,114.07,-7.63,114.41,-7.79,114.44,-8,114.39,-8.41,114.48,-8.6,114.59,-8.68,114.58,-8.77,114.28,-8.62,113.94,-8.57,113.25,-8.29,112.68,-8.41,111.51,-8.3,110.61,-8.15,109.85,-7.83,109.28,-7.71,108.74,-7.67,108.45,-7.8,107.92,-7.72,107.29,-7.47,106.45,-7.37,106.42,-7.24,106.52,-7.05,106.2,-6.93,105.84,-6.85,105.26,-6.84,105.27,-6.73,105.37,-6.66,105.39,-6.75,105.48,-6.78,105.66,-6.47,105.79,-6.46,105.87,-6.12,106.07,-5.91,106.83,-6.1,107.01,-6.01,107.05,-5.9,107.37,-6.01]],[[109.63,2.03,109.54,1.9,109.64,1.78,109.66,1.62,110.5,0.86,111.1,1.05,111.81,1.01,111.92,1.11,112.08,1.14,112.19,1.44,112.48,1.56,112.94,1.57,113.01,1.43,113.62,1.24,113.9,1.43,114.39,1.5,114.51,1.45,114.7,1.85,114.83,1.98,114.79,2.25,115.18,2.52,115.08,2.63,115.12,2.89,115.25,3.03,115.45,3.04,115.57,3.45,115.57,3.94,115.68,4.19,115.86,4.35,116.02,4.29,116.24,4.36,116.42,4.31,116.51,4.37,117.1,4.34,117.58,4.17,117.46,4.08,117.78,3.69,117.63,3.64,117.51,3.73,117.45,3.63,117.06,3.62,117.34,3.43,117.35,3.19,117.61,3.06,117.64,2.95,117.57,2.93,117.7,2.89,117.64,2.83,117.78,2.75,118.06,2.32,118.04,2.22,117.79,2.03,118.08,1.7,118.64,1.32,118.99,0.98,118.89,0.89,118.53,0.81,118.19,0.87,117.91,1.1,117.96,0.89,117.74,0.73,117.52,0.24,117.46,-0.32,117.56,-0.77,117.24,-0.93,116.91,-1.22,116.8,-1.18,116.74,-1.04,116.75,-1.33,116.28,-1.79,116.42,-1.79,116.45,-1.92,116.42,-2.05,116.32,-2.14,116.53,-2.21,116.56,-2.3,116.53,-2.51,116.32,-2.55,116.31,-2.6,116.38,-2.58,116.33,-2.9,116.23,-2.98,116.17,-2.93,116.26,-3.13,116.06,-3.35,115.96,-3.59,114.7,-4.17,114.63,-4.11,114.53,-3.38,114.45,-3.48,114.34,-3.44,114.34,-3.24,114.23,-3.36,114.08,-3.28,113.96,-3.39,113.71,-3.46,113.63,-3.42,113.61,-3.2,113.34,-3.25,113.04,-2.93,112.97,-3.19,112.76,-3.32,112.6,-3.4,112.28,-3.32,111.86,-3.55,111.82,-3.06,111.7,-2.89,111.62,-2.97,111.37,-2.93,110.93,-3.07,110.83,-3,110.9,-2.91,110.7,-3.02,110.57,-2.89,110.26,-2.97,110.1,-2,109.96,-1.86,110.04,-1.53,109.98,-1.28,109.79,-1.01,109.26,-0.81,109.37,-0.64,109.16,-0.49,109.12,-0.39,109.19,-0.01,109.26,0.03,108.95,0.36,108.92,0.91,108.96,1.13,109.13,1.25,109.01,1.24,109.08,1.5,109.27,1.71,109.38,1.92,109.63,2.03]],[[127.73,0.85,127.88,0.83,127.97,1.04,128.16,1.16,128.16,1.32,128.22,1.4,128.54,1.56,128.69,1.57,128.7,1.11,128.3,0.88,128.26,0.73,128.61,0.55,128.69,0.36,128.9,0.22,128.45,0.39,127.98,0.47,127.89,0.3,127.98,-0.25,128.25,-0.73,128.43,-0.89,128.28,-0.87,128.24,-0.79,128.05,-0.71,127.89,-0.42,127.69,-0.24,127.71,0.29,127.55,0.49,127.54,0.61,127.61,0.85,127.43,1.14,127.63,1.84,127.9,2.14,128.04,2.2,127.89,1.83,128.01,1.7,128.01,1.33,127.89,1.16,127.65,1.01,127.63,0.94,127.73,0.85]],[[129.75,-2.87,129.98,-2.98,130.38,-2.99,130.57,-3.13,130.67,-3.39,130.77,-3.42,130.86,-3.57,130.81,-3.86,130.02,-3.47,129.84,-3.33,129.51,-3.33,129.52,-3.43,129.47,-3.45,128.97,-3.33,128.96,-3.24,128.86,-3.24,128.64,-3.43,128.52,-3.45,128.13,-3.16,127.9,-3.5,127.88,-3.22,128.2,-2.87,128.99,-2.83,129.17,-2.93,129.48,-2.79,129.75,-2.87]],[[126.86,-3.09,127.03,-3.17,127.23,-3.39,127.23,-3.63,126.69,-3.82,126.22,-3.61,126.06,-3.42,126.03,-3.17,126.09,-3.11,126.22,-3.15,126.55,-3.07,126.86,-3.09]],[[124.92,-8.94,124.94,-9.05,125.1,-9,125.15,-9.04,125.1,-9.19,124.96,-9.21,125.07,-9.51,124.96,-9.67,124.43,-10.15,124.17,-10.18,123.86,-10.34,123.65,-10.31,123.61,-10.22,123.72,-10.08,123.59,-9.97,123.71,-9.62,124.04,-9.34,124.09,-9.42,124.32,-9.41,124.44,-9.19,124.92,-8.94]],[[134.75,-5.71,134.72,-6.3,134.64,-6.37,134.44,-6.33,134.15,-6.06,134.15,-6.02,134.3,-6.01,134.34,-5.83,134.2,-5.71,134.34,-5.71,134.51,-5.44,134.57,-5.43,134.75,-5.71]],[[134.54,-6.44,134.5,-6.59,134.32,-6.85,134.2,-6.91,134.09,-6.83,134.11,-6.47,134.19,-6.46,134.12,-6.43,134.11,-6.19,134.54,-6.44]],[[138.53,-8.27,138.3,-8.41,137.65,-8.39,137.83,-7.93,138.08,-7.57,138.3,-7.44,138.77,-7.39,138.96,-7.59,138.99,-7.7,138.79,-8.06,138.53,-8.27]],[[140.97,-2.61,140.98,-6.35,140.86,-6.74,140.98,-6.91,140.98,-9.12,139.98,-8.17,140.12,-7.92,139.94,-8.1,139.38,-8.19,139.28,-8.11,139.25,-7.98,139.19,-8.09,138.93,-8.26,138.89,-8.24,138.86,-8.14,139.09,-7.59,138.75,-7.25,139.18,-7.19,138.84,-7.14,138.6,-6.94,138.87,-6.86,138.44,-6.34,138.3,-5.95,138.38,-5.84,138.2,-5.81,138.34,-5.68,138.09,-5.71,138.06,-5.47,137.31,-5.01,137.28,-4.95,137.2,-4.99,136.62,-4.82,135.98,-4.53,135.19,-4.45,134.75,-4.2,134.68,-4.08,134.71,-3.95,134.89,-3.94,134.27,-3.95,134.15,-3.8,133.97,-3.82,133.68,-3.48,133.7,-3.25,133.84,-3.05,133.7,-3.09,133.65,-3.36,133.52,-3.41,133.54,-3.52,133.42,-3.73,133.4,-3.9,133.25,-4.06,132.92,-4.06,132.75,-3.7,132.87,-3.55,132.75,-3.29,132.35,-2.97,132.05,-2.91,131.97,-2.79,132.23,-2.68,132.72,-2.79,133.03,-2.49,133.19,-2.44,133.61,-2.55,133.7,-2.62,133.75,-2.45,133.91,-2.39,133.9,-2.3,133.79,-2.29,133.92,-2.1,133.71,-2.19,132.96,-2.27,132.31,-2.24,132.02,-1.99,131.93,-1.56,131.3,-1.39,131.06,-1.45,131,-1.38,131.19,-1.17,131.26,-0.86,131.8,-0.7,132.13,-0.45,132.39,-0.36,132.86,-0.42,133.47,-0.73,133.97,-0.74,134.11,-0.85,134.07,-1,134.26,-1.36,134.11,-1.72,134.19,-2.31,134.46,-2.83,134.48,-2.58,134.57,-2.51,134.63,-2.54,134.7,-2.93,134.84,-2.91,134.92,-3.25,135.25,-3.37,135.49,-3.34,135.86,-3,136.01,-2.73,136.24,-2.58,136.39,-2.27,137.07,-2.11,137.17,-2.03,137.12,-1.84,137.81,-1.48,138.65,-1.79,138.81,-1.92,139.79,-2.35,140.15,-2.35,140.25,-2.41,140.62,-2.45,140.75,-2.61,140.97,-2.61]],[[138.89,-8.39,138.6,-8.37,138.56,-8.31,138.68,-8.2,138.8,-8.17,138.89,-8.39]],[[101.71,2.08,101.77,1.94,101.72,1.79,101.6,1.72,101.5,1.73,101.4,1.9,101.41,2.02,101.64,2.13,101.71,2.08]],[[102.43,0.99,102.38,0.96,102.28,1.08,102.26,1.4,102.44,1.23,102.43,0.99]],[[102.49,1.46,102.5,1.33,102.08,1.5,102.02,1.61,102.47,1.51,102.49,1.46]],[[103.03,0.75,103.01,0.71,102.49,0.86,102.51,1.09,102.55,1.13,103,0.86,103.03,0.75]],[[103.17,0.87,103.09,0.85,102.7,1.05,102.73,1.16,103,1.07,103.17,0.87]],[[103.28,0.54,103.14,0.55,103.19,0.7,103.29,0.61,103.28,0.54]],[[103.45,0.66,103.34,0.78,103.39,0.87,103.5,0.72,103.45,0.66]],[[104.02,1.18,104.14,1.17,104.06,0.99,103.93,1.07,104.02,1.18]],[[104.59,1.22,104.66,1.05,104.58,0.83,104.43,0.96,104.44,1.05,104.25,1.01,104.25,1.1,104.36,1.18,104.59,1.22]],[[104.78,-0.18,104.84,-0.14,105,-0.28,104.91,-0.32,104.7,-0.21,104.56,-0.25,104.45,-0.19,104.54,0.02,104.78,-0.18]],[[104.47,-0.33,104.59,-0.47,104.51,-0.6,104.41,-0.58,104.36,-0.66,104.26,-0.46,104.3,-0.39,104.47,-0.33]],[[103.74,-0.35,103.46,-0.36,103.55,-0.23,103.72,-0.28,103.74,-0.35]],[[109.71,-1.18,109.46,-1.28,109.48,-0.99,109.74,-1.04,109.71,-1.18]],[[113.85,-7.1,113.65,-7.11,113.47,-7.22,113.13,-7.22,112.76,-7.14,112.73,-7.07,112.87,-6.9,113.07,-6.88,113.98,-6.87,114.07,-6.96,113.85,-7.1]],[[134.96,-1.12,134.86,-1.11,134.83,-0.98,134.94,-0.98,135,-1.03,134.96,-1.12]],[[127.25,-0.5,127.12,-0.52,127.13,-0.28,127.29,-0.28,127.25,-0.5]],[[127.57,-0.32,127.68,-0.47,127.61,-0.61,127.66,-0.69,127.84,-0.72,127.84,-0.85,127.76,-0.88,127.62,-0.77,127.46,-0.81,127.47,-0.64,127.3,-0.5,127.32,-0.34,127.45,-0.41,127.57,-0.32]],[[132.93,-5.9,132.85,-5.99,133.11,-5.31,133.17,-5.35,133.12,-5.58,132.97,-5.74,132.93,-5.9]],[[132.81,-5.85,132.75,-5.95,132.68,-5.91,132.63,-5.61,132.74,-5.66,132.81,-5.85]],[[128.27,-3.67,128.19,-3.74,128.11,-3.69,127.98,-3.77,127.93,-3.7,128.02,-3.6,128.33,-3.52,128.27,-3.67]],[[126.82,4.03,126.71,4.02,126.71,4.07,126.81,4.26,126.72,4.34,126.76,4.55,126.86,4.48,126.92,4.29,126.82,4.03]],[[125.66,3.44,125.51,3.46,125.47,3.73,125.66,3.44]],[[130.86,-8.32,130.78,-8.35,131.02,-8.09,131.18,-8.13,130.91,-8.25,130.86,-8.32]],[[129.84,-7.95,129.78,-8.05,129.71,-8.04,129.59,-7.92,129.61,-7.8,129.81,-7.82,129.84,-7.95]],[[127.82,-8.1,128.12,-8.17,128.02,-8.26,127.82,-8.19,127.82,-8.1]],[[130.35,-1.69,130.42,-1.8,130.38,-1.9,130.42,-1.97,130.25,-2.05,129.89,-1.99,129.74,-1.87,130.35,-1.69]],[[102.37,-5.48,102.29,-5.48,102.11,-5.32,102.2,-5.29,102.37,-5.37,102.37,-5.48]],[[100.42,-3.18,100.46,-3.33,100.21,-2.99,100.2,-2.79,100.45,-3,100.42,-3.18]],[[100.21,-2.74,100.13,-2.82,100.01,-2.82,99.99,-2.53,100.2,-2.68,100.21,-2.74]],[[99.84,-2.34,99.61,-2.26,99.54,-2.16,99.57,-2.03,99.69,-2.06,99.84,-2.34]],[[98.46,-0.53,98.4,-0.58,98.31,-0.53,98.43,-0.23,98.32,0,98.42,-0.02,98.55,-0.26,98.46,-0.53]],[[96.46,2.36,95.81,2.65,95.72,2.83,95.81,2.92,95.9,2.89,96.42,2.51,96.46,2.36]],[[122.04,-5.44,121.98,-5.46,121.81,-5.26,121.91,-5.07,122.04,-5.16,122.04,-5.44]],[[123.21,-1.17,123.24,-1.39,123.34,-1.25,123.44,-1.24,123.55,-1.34,123.51,-1.45,123.37,-1.51,123.27,-1.44,123.17,-1.62,123.12,-1.56,123.18,-1.49,123.15,-1.3,122.89,-1.59,122.81,-1.43,122.91,-1.18,123.21,-1.17]],[[121.86,-0.41,121.88,-0.5,121.65,-0.53,121.75,-0.41,121.86,-0.41]],[[120.53,-6.3,120.49,-6.46,120.43,-6.18,120.48,-5.78,120.55,-5.97,120.53,-6.3]],[[115.38,-6.97,115.22,-6.95,115.24,-6.86,115.42,-6.84,115.54,-6.94,115.38,-6.97]],[[116.3,-3.87,116.09,-4.05,116.02,-3.61,116.12,-3.34,116.27,-3.25,116.3,-3.87]],[[122.95,-10.91,122.83,-10.9,122.85,-10.76,123.06,-10.7,123.37,-10.47,123.42,-10.65,122.95,-10.91]],[[124.29,-8.33,124.15,-8.53,124.07,-8.55,124.02,-8.44,123.93,-8.45,124.01,-8.32,124.11,-8.36,124.24,-8.2,124.3,-8.23,124.29,-8.33]],[[123.93,-8.27,123.79,-8.3,123.55,-8.57,123.23,-8.53,123.48,-8.32,123.39,-8.28,123.6,-8.29,123.77,-8.19,123.93,-8.27]],[[123.32,-8.35,123.3,-8.4,123.03,-8.39,123.22,-8.23,123.34,-8.27,123.32,-8.35]],[[105.76,2.86,105.71,2.89,105.69,3.06,105.84,2.98,105.76,2.86]],[[108.95,-1.62,108.84,-1.66,108.8,-1.57,108.96,-1.56,108.95,-1.62]],[[97.34,2.08,97.11,2.22,97.29,2.2,97.34,2.08]],[[123.6,-1.7,123.48,-1.68,123.53,-1.5,123.62,-1.63,123.6,-1.7]],[[123.24,-4.11,123.14,-4.23,123.08,-4.23,122.97,-4.03,123.03,-3.98,123.21,-4,123.24,-4.11]],[[119.47,-8.74,119.39,-8.74,119.45,-8.43,119.56,-8.52,119.44,-8.67,119.47,-8.74]],[[117.65,4.17,117.88,4.19,117.92,4.05,117.74,4,117.63,4.12,117.65,4.17]],[[117.66,3.28,117.56,3.33,117.55,3.43,117.68,3.41,117.66,3.28]],[[120.78,-7.12,120.64,-7.12,120.63,-7.02,120.78,-7.06,120.78,-7.12]],[[117.56,-8.37,117.49,-8.35,117.49,-8.18,117.67,-8.15,117.56,-8.37]],[[133.57,-4.25,133.62,-4.3,133.33,-4.17,133.32,-4.11,133.57,-4.25]],[[130.91,-0.78,130.83,-0.86,130.4,-0.92,130.49,-0.83,130.91,-0.78]],[[130.63,-0.53,130.47,-0.49,130.61,-0.42,130.68,-0.47,130.63,-0.53]],[[127.3,-0.78,127.16,-0.76,127.21,-0.62,127.26,-0.62,127.3,-0.78]],[[131.98,-7.2,131.97,-7.25,131.75,-7.12,131.92,-7.1,131.98,-7.2]],[[123.41,-10.3,123.32,-10.34,123.32,-10.26,123.46,-10.14,123.5,-10.19,123.4,-10.23,123.41,-10.3]],[[121.88,-10.59,121.7,-10.56,121.87,-10.44,122,-10.45,121.88,-10.59]],[[122.98,-8.55,122.89,-8.59,123.01,-8.45,123.15,-8.48,122.98,-8.55]]]},
+  PH: {"name":"Philippines","bbox":[116.97,5.07,126.58,18.62],"polygons":[[[121.1,18.62,121.85,18.29,122.04,18.33,122.15,18.49,122.27,18.46,122.32,18.32,122.18,18.06,122.15,17.66,122.24,17.44,122.39,17.31,122.41,17.18,122.52,17.12,122.14,16.19,121.79,16.08,121.6,15.93,121.56,15.83,121.61,15.67,121.39,15.32,121.69,14.77,121.63,14.58,121.77,14.17,121.91,14.02,122.21,13.93,122.29,14,122.2,14.15,122.49,14.32,122.63,14.32,122.94,14.19,123.07,13.96,123.1,13.75,123.23,13.75,123.3,13.84,123.26,13.98,123.32,14.06,123.43,13.97,123.81,13.84,123.86,13.8,123.81,13.72,123.61,13.7,123.55,13.65,123.82,13.27,123.79,13.11,124.14,13.04,124.06,12.57,123.88,12.69,123.95,12.92,123.63,12.91,123.31,13.04,123.3,13.22,123.16,13.44,122.86,13.62,122.59,13.91,122.47,13.89,122.51,13.66,122.67,13.4,122.68,13.25,122.6,13.19,122.38,13.52,122.07,13.79,121.78,13.94,121.5,13.84,121.34,13.65,121.1,13.68,120.84,13.89,120.73,13.9,120.64,13.81,120.62,14.19,120.92,14.49,120.94,14.65,120.59,14.88,120.55,14.77,120.59,14.48,120.44,14.45,120.25,14.79,120.08,14.85,119.88,15.87,119.77,16.01,119.77,16.25,119.83,16.33,120.16,16.05,120.37,16.11,120.3,16.65,120.41,16.96,120.43,17.38,120.36,17.64,120.6,18.51,120.82,18.6,121.1,18.62]],[[117.31,8.44,117.22,8.37,117.35,8.71,117.88,9.24,118.12,9.35,119.02,10.35,119.22,10.48,119.31,10.69,119.26,10.85,119.31,10.97,119.5,11.35,119.55,11.31,119.53,10.95,119.69,10.5,119.37,10.33,119.19,10.06,118.78,9.92,118.77,9.77,118.44,9.26,118.13,9.1,117.99,8.88,117.31,8.44]],[[122.5,11.61,122.61,11.56,122.84,11.6,122.93,11.53,122.9,11.44,123.16,11.54,123.12,11.29,123.02,11.12,122.8,10.99,122.77,10.82,122.52,10.69,122.2,10.62,121.95,10.44,121.96,10.87,122.05,11.1,122.1,11.64,122.07,11.72,121.89,11.79,121.92,11.85,122.03,11.9,122.5,11.61]],[[123.13,9.06,122.99,9.06,122.87,9.32,122.56,9.48,122.41,9.69,122.4,9.82,122.47,9.96,122.71,9.99,122.86,10.09,122.82,10.5,122.96,10.7,122.98,10.89,123.26,10.99,123.51,10.92,123.57,10.78,123.16,9.86,123.15,9.61,123.32,9.27,123.13,9.06]],[[124.57,11.34,124.65,11.31,124.82,11.4,124.93,11.37,125.03,11.21,125.01,10.79,125.16,10.64,125.27,10.31,125.15,10.27,125.14,10.19,124.99,10.37,125.03,10.03,124.78,10.17,124.74,10.44,124.79,10.78,124.66,10.96,124.44,10.92,124.33,11.53,124.57,11.34]],[[125.24,12.53,125.32,12.32,125.54,12.19,125.46,11.95,125.49,11.59,125.61,11.32,125.57,11.24,125.7,11.16,125.74,11.05,125.63,11.13,125.23,11.15,125.03,11.34,124.92,11.56,125,11.77,124.88,11.78,124.68,12.02,124.44,12.15,124.29,12.57,124.57,12.53,125.15,12.57,125.24,12.53]],[[120.7,13.48,120.92,13.5,121.12,13.38,121.2,13.43,121.52,13.13,121.47,12.93,121.54,12.64,121.4,12.3,121.24,12.22,121.12,12.25,120.96,12.45,120.65,13.17,120.51,13.26,120.46,13.39,120.34,13.41,120.4,13.52,120.7,13.48]],[[126.01,9.32,126.09,9.26,126.19,9.28,126.19,9.13,126.31,8.95,126.32,8.85,126.14,8.6,126.37,8.48,126.46,8.2,126.44,7.83,126.57,7.68,126.58,7.25,126.44,7.01,126.19,6.85,126.24,6.73,126.19,6.31,126.04,6.84,125.82,7.33,125.69,7.26,125.38,6.69,125.59,6.47,125.67,6.22,125.67,5.98,125.46,5.66,125.35,5.6,125.24,5.76,125.23,6.07,125.03,5.87,124.93,5.88,124.21,6.23,124.08,6.4,123.99,6.99,124.19,7.27,124.21,7.4,123.97,7.67,123.67,7.82,123.49,7.81,123.39,7.41,123.18,7.53,123.1,7.7,122.99,7.55,122.84,7.53,122.79,7.72,122.62,7.76,122.48,7.64,122.14,6.95,122.03,6.93,121.9,7.07,122.05,7.36,122.13,7.81,122.24,7.94,122.39,8.05,122.91,8.16,123,8.22,123,8.36,123.09,8.48,123.34,8.57,123.44,8.7,123.68,8.62,123.85,8.43,123.88,8.19,123.75,8.06,123.8,8.05,124.2,8.23,124.4,8.6,124.62,8.52,124.73,8.56,124.79,8.87,124.87,8.97,125.14,8.87,125.21,9.03,125.5,9.01,125.54,9.14,125.41,9.67,125.47,9.76,125.88,9.51,126.01,9.32]],[[123.37,9.45,123.33,9.42,123.32,9.49,123.39,9.97,123.71,10.47,124.04,11.27,124.01,10.4,123.7,10.13,123.49,9.59,123.37,9.45]],[[121.16,6.07,121.22,6,121.39,6,121.41,5.94,121.29,5.87,121.22,5.94,120.93,5.9,120.88,5.95,121.04,6.1,121.16,6.07]],[[117.08,7.88,117.03,7.81,116.97,7.89,116.99,8.05,117.08,8.07,117.08,7.88]],[[119.92,10.49,119.79,10.45,119.76,10.55,119.85,10.64,120.01,10.57,119.92,10.49]],[[120.1,12.17,120.23,12.22,120.34,12.08,120.32,12.01,120.01,12.01,119.86,12.2,119.89,12.3,120.1,12.17]],[[120.04,11.7,119.94,11.69,119.86,11.95,120.03,11.92,120.04,11.7]],[[122.65,10.47,122.54,10.43,122.54,10.61,122.7,10.74,122.74,10.65,122.65,10.47]],[[124.6,9.79,124.36,9.63,124.12,9.6,123.94,9.62,123.82,9.82,124.17,10.14,124.34,10.16,124.58,10.03,124.6,9.79]],[[120.25,5.26,120.19,5.17,120.12,5.22,119.96,5.08,119.82,5.07,119.83,5.13,120.16,5.33,120.25,5.26]],[[122.09,6.43,121.96,6.42,121.81,6.61,121.83,6.66,122.06,6.74,122.32,6.6,122.09,6.43]],[[126.06,9.77,125.99,9.84,126.08,10.06,126.17,9.8,126.06,9.77]],[[125.69,9.91,125.5,10.12,125.52,10.31,125.67,10.44,125.69,9.91]],[[120.27,13.75,120.27,13.68,120.1,13.78,120.1,13.84,120.27,13.75]],[[121.91,13.54,122.12,13.46,122.12,13.36,122,13.2,121.83,13.33,121.87,13.57,121.91,13.54]],[[122.09,12.35,122.01,12.11,121.92,12.33,122,12.6,122.14,12.65,122.09,12.35]],[[122.66,12.31,122.6,12.29,122.42,12.45,122.6,12.49,122.67,12.42,122.66,12.31]],[[123.28,12.85,123.37,12.7,122.97,13.03,122.96,13.11,123.04,13.11,123.28,12.85]],[[123.77,12.45,123.78,12.37,123.59,12.63,123.62,12.68,123.77,12.45]],[[123.72,12.29,123.91,12.17,124.04,11.97,124.04,11.75,123.72,11.95,123.74,12,123.47,12.22,123.16,11.93,123.27,12.4,123.23,12.58,123.56,12.44,123.72,12.29]],[[124.35,13.63,124.33,13.57,124.17,13.53,124.04,13.66,124.12,13.79,124.12,13.98,124.22,14.08,124.42,13.87,124.35,13.63]],[[122.18,14.05,122.17,14.01,121.96,14.16,121.96,14.23,122.18,14.05]],[[122.03,15,121.97,14.89,122.02,14.76,121.93,14.66,121.92,14.8,121.82,14.96,121.84,15.04,122.03,15]],[[122.94,7.41,122.94,7.36,122.81,7.32,122.82,7.43,122.94,7.41]],[[125.78,6.96,125.77,6.91,125.68,7.07,125.72,7.19,125.78,7.13,125.78,6.96]],[[124.61,11.49,124.48,11.49,124.36,11.67,124.51,11.69,124.61,11.49]],[[124.81,9.14,124.78,9.08,124.67,9.13,124.65,9.23,124.74,9.24,124.81,9.14]],[[123.7,9.24,123.71,9.13,123.62,9.1,123.49,9.19,123.66,9.28,123.7,9.24]]]},
+  MY: {"name":"Malaysia","bbox":[99.65,0.86,119.26,7.35],"polygons":[[[100.12,6.44,100.18,6.67,100.26,6.68,100.35,6.55,100.76,6.46,100.87,6.25,101.05,6.24,101.08,5.96,100.98,5.77,101.11,5.64,101.26,5.79,101.56,5.91,101.68,5.78,101.79,5.78,101.87,5.82,102.1,6.24,102.28,6.2,102.53,5.86,103.1,5.41,103.42,4.85,103.45,4.67,103.47,4.39,103.36,3.77,103.45,3.52,103.44,2.93,103.54,2.77,103.81,2.58,104.22,1.72,104.29,1.48,104.25,1.39,104.11,1.41,103.98,1.62,103.99,1.46,103.69,1.45,103.48,1.33,103.36,1.55,102.73,1.86,102.55,2.04,102.15,2.25,101.78,2.57,101.52,2.68,101.3,2.89,101.35,3.01,101.3,3.25,100.72,3.97,100.8,4.02,100.62,4.37,100.62,4.65,100.35,5.59,100.34,5.98,100.12,6.44]],[[117.58,4.17,117.1,4.34,116.51,4.37,116.42,4.31,116.24,4.36,116.02,4.29,115.84,4.33,115.68,4.19,115.57,3.94,115.57,3.45,115.45,3.04,115.25,3.03,115.12,2.89,115.08,2.63,115.18,2.52,114.79,2.25,114.83,1.98,114.7,1.85,114.51,1.45,114.39,1.5,113.9,1.43,113.62,1.24,113.01,1.43,112.94,1.57,112.48,1.56,112.19,1.44,112.08,1.14,111.92,1.11,111.81,1.01,111.1,1.05,110.5,0.86,109.73,1.52,109.66,1.62,109.64,1.78,109.55,1.85,109.63,2.03,109.72,1.86,109.86,1.76,110.11,1.7,110.35,1.72,110.67,1.55,110.89,1.53,111.1,1.4,111.22,1.4,111.03,1.56,111.15,1.74,111.25,2.06,111.2,2.3,111.24,2.44,111.44,2.38,111.44,2.63,111.62,2.82,112.99,3.16,113.92,4.24,114.01,4.57,114.17,4.53,114.32,4.26,114.42,4.26,114.57,4.05,114.66,4.04,114.77,4.17,114.84,4.39,114.75,4.72,115.03,4.9,115.11,4.39,115.32,4.36,115.14,4.9,115.38,4.93,115.56,5.09,115.58,5.19,115.47,5.25,115.42,5.41,115.6,5.6,115.74,5.53,115.88,5.61,116.06,5.88,116.14,6.13,116.5,6.52,116.78,6.99,116.85,6.83,116.79,6.61,116.91,6.66,117.13,6.97,117.25,6.92,117.29,6.68,117.65,6.47,117.69,6.27,117.61,6.2,117.64,6,117.5,5.88,117.82,5.94,118,6.05,118.12,5.86,117.94,5.79,117.97,5.71,118.35,5.81,118.51,5.73,118.59,5.59,119.26,5.37,119.25,5.2,119.13,5.1,118.67,4.96,118.26,4.99,118.18,4.83,118.56,4.5,118.55,4.38,118.01,4.25,117.7,4.34,117.58,4.17]],[[100.29,5.3,100.19,5.28,100.24,5.47,100.34,5.41,100.29,5.3]],[[99.85,6.47,99.92,6.36,99.74,6.26,99.65,6.42,99.85,6.47]],[[117.14,7.17,117.08,7.11,117.06,7.26,117.27,7.35,117.27,7.22,117.14,7.17]],[[111.39,2.42,111.31,2.44,111.33,2.77,111.39,2.42]],[[117.88,4.19,117.65,4.17,117.71,4.26,117.88,4.19]]]},
+  AE: {"name":"United Arab Emirates","bbox":[51.57,22.62,56.39,26.06],"polygons":[[[56.3,25.65,56.36,25.57,56.39,24.98,56.07,24.74,55.97,24.86,56,24.95,55.87,24.95,55.8,24.87,55.81,24.35,55.76,24.24,55.93,24.21,55.99,24.06,55.47,23.94,55.53,23.82,55.2,23.03,55.19,22.7,55.12,22.62,52.56,22.93,51.57,24.13,51.6,24.34,51.67,24.25,51.77,24.25,51.79,24.08,51.91,23.99,52.25,24,52.65,24.16,53.89,24.08,54.4,24.28,54.66,24.72,55.1,25.04,55.52,25.5,55.94,25.79,56.08,26.06,56.17,26.05,56.14,25.69,56.3,25.65]],[[53.33,24.26,53.19,24.29,53.41,24.41,53.44,24.37,53.33,24.26]],[[53.93,24.18,53.64,24.17,53.83,24.26,53.93,24.18]]]},
+  SA: {"name":"Saudi Arabia","bbox":[34.62,16.37,55.64,32.13],"polygons":[[[36.9,25.38,36.5,25.64,36.53,25.69,36.96,25.41,36.9,25.38]],[[41.99,16.71,42.06,16.71,42.06,16.8,42.17,16.71,42.16,16.57,42.07,16.67,41.96,16.65,41.8,16.78,41.78,16.85,41.86,16.89,41.86,17,41.95,16.94,41.99,16.71]],[[51.98,19,49.04,18.58,48.17,18.16,47.58,17.45,47.44,17.11,47.14,16.95,46.98,16.95,46.73,17.27,46.31,17.23,45.54,17.3,45.15,17.43,44.16,17.4,43.92,17.32,43.42,17.52,43.19,17.36,43.24,17.27,43.16,17.2,43.12,16.94,43.18,16.81,43.17,16.69,42.8,16.37,42.7,16.74,42.39,17.12,42.3,17.44,41.75,17.88,41.43,18.45,41.23,18.68,41.12,19.08,40.76,19.75,40.08,20.27,39.88,20.29,39.73,20.39,39.27,20.97,39.09,21.31,39.15,21.52,38.99,21.88,39.09,22.39,39.06,22.59,38.46,23.71,37.92,24.18,37.54,24.29,37.18,24.82,37.27,24.96,37.15,25.29,36.92,25.64,36.76,25.75,36.68,26.04,36.52,26.1,36.25,26.59,35.18,28.04,34.72,28.13,34.62,28.06,34.78,28.51,34.95,29.35,36.07,29.2,36.48,29.5,36.75,29.87,37.47,30,37.63,30.31,37.98,30.5,36.96,31.49,38.96,32,39.14,32.13,40.37,31.94,42.08,31.08,44.69,29.2,47.43,28.99,47.67,28.53,48.44,28.54,48.63,28.13,48.81,27.9,48.8,27.72,49.24,27.49,49.17,27.44,49.41,27.18,49.54,27.15,49.72,26.96,49.98,26.83,50.15,26.66,50.01,26.68,50.03,26.53,50.19,26.41,50.22,26.31,50.15,26.1,50.03,26.11,50.24,25.62,50.46,25.42,50.56,25.09,50.93,24.59,51.41,24.57,51.31,24.34,51.57,24.29,51.59,24.08,52.56,22.93,55.1,22.62,55.19,22.7,55.64,22,54.98,20,51.98,19]]]}
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { COUNTRY_SHAPES };
+}
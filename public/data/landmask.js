@@ -0,0 +1,14 @@
+// Generated by scripts/build-landmask.js — do not edit by hand.
+// Land/water raster from Natural Earth 1:50m land (public domain) via world-atlas.
+// 7200×3600 cells of 0.05°, per-row varint run lengths (water first), base64.
+
+const LAND_MASK = {
+  res: 0.05,
+  cols: 7200,
+  rows: 3600,
+  data: "AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAC9BY/ArMWkwEEmxYNCZ8BApgWxgECiRbrAQToFQMe9wEE4hUUFv8BBqoVGhscF/QBBqEVKBMpFLYBCJIVQAYxD5EBZQ0O3xAUDhzsA4QBC3gcKw0EESQOlRAhIx4FJdEDEAKNAQZ5EX4IixA6DygDPbQDsQMK0A8TKjwKLgNckAO0AwzPDzQPOgmIARwH9AIUDJ4DENMPNg46CH8RCAYMCwSgA4MDBQQOuw8EGjUNOwhwEznsAhA9/QIOuQ8SFzAMRAFgFT/qAkISgwMMuw8oATMNlQEUTdECCBPZAwqmDw0LXA72AcACHRHVAwqoDxYBXQn9AbsCJw3QAwauD/QCvAIrDcgDCKQP+wIGHKACLQvAAwrqDggtpgPQASMsLAq6AwrjDhUopwPPAS0kKgqxAwzfDikcpAN7EEQyJCQJpwMO2A4zHp0DdB4SCiU3JRwFkgMSzg5ADAcOlANhAgguDg8hPCYUBeYCEM4OQwkPDIoDUU4MEyBAJQ4EugIQ1w4+CRIO/AJIXQsXH0YgCQSpAhapDhAnPAUXDvACQWkMGh5KHAMGqAKlAQEnCRafDh8JDhNZDeMCQG8NIBxKIKgCHiw/IyEMFpsOJwIXCGoG1wJGcA0jHkocqAINUiUpIA0SlQ6+AQXLAjYKFGkMKB1MGIsDHyojDBD+DdoBAsICNh0MZQuXAROPAxktJgoS9Q2fBDkoCmEKnQENkgMWLioFPgi7CxoO7g2dBD8vCV4IwAQSL2Q0lgscDuoNiwRTNQlaBcQECTdgQ4oLDAznDYsEVjkJVgKHBV1S1AsfDucNDxXZA2U9CdkFHgozW9cLFQztDQIZ0QNwRQbSBRsPMGMOgw4WH6ADcUoGzAUYFCtr3goQEP4NEg62AxUXSk0GxgUXKhZx1gobEv0NCRL1AQG9ARMgTFEGwAUXNgly1gokEJIO8AEItwESJ1BWA7wFFq4B1AoiDgkStA0bQOkBCrYBEC5TkwYWqwHNCgMHIg8OErQNJDxOCocBCrUBCzRYjwYWqwHNCjHtBQkStg0nNEgPhgEK8wFcjgYUrQHSChcDFecFERbGDRopSRCJAQjyAT0VDo0GEa8B9goMggEO8gMgRhgaxw0cJUQQJgxUAQMJ8QFAHQWNBhCuAfQJCYsCFO4DH0AiHLcNLScrHhcWXBDvAUOsBhCtAfkJB0sKOAsqFDYXgAQGNzMaoQ1FZg8UbQ/tATMPBqgGD6cB1AoTCQYVHB8aNRivBEIYng1KOTQQdg/oATEbA6QGC54B4gosDh4bFisnqgRKGpwNTyw6DnsT3wE0IAKhBgaoAYoKA1IxCx1SMZICGvsBUBqaDVMrNg18OLcBN8QGBa0B/QkbPj8MFjMLDjKVAhr3AVoenA1UKy8MfSzCATnGBgSvAcsJDR4mOkYGFQ8MCxwHMZkCCIgCZRqlDU4wIwx8Ic4BOfkHygkiDStAPgoNDjYKKK8EBQZdGqkNTjIZDUMPJh7TATrvB8sJGwYQCjFLJyo4DxPHBGAajQ0UClA1Dg47FiId1wE77gfBCScMDgowUBoxN+kEXRSNDRcMS1E4FBsj2gE14gfNCS8lKqABOOcEVhiNDRkSRVUJAyIXDS/ZATThB9kJIyslOAZnL+0EVxiPDXgHCFAMXLwBAR4y6AfmCQsZDgsXSQpiLOwEWxiSDYcBqgHJAQMYMfEH0QUCjgQIFSxRDDUJJw4FEOYEaRiWDYMBDgiEAdsBBREx/AfIBQo0C+ADMlkBOSMpAuUEbhiNDQUHgAEKE2fzAQkGNP0HywUOKBDcAzFCC00niAVyHIgNkAELFF79AT/7B7AFCQsCChAlEBQFvQMoTxAyFgIckwV1IokNjwELFBgYBggg/wE8+Ae2BQcLBgYUIQ8NFrMDLUIfGQkKFgMVmwVxJI8NBgKDAQ4QFTkS+AFAuAcPK88FLxEODCSWAQqLAgsKFREELRwuFgMUpQVfJpoNDQptDAwXPg/mAVG0ByEF0QUPCi0PRAMJdxGjAg8DBg0NMgQ7FwQQqwVHKMIMDDMDKH8BBhpDD9EBZDEG+Ab2BRkDMwlcXhKtAgkCBhcKcRoJCLgFJAECKBYivgwYLBAajAEVRQ/VAQMUVBMT+Ab+BU4EX8gDAxAEbgkrDZwFFwsEBjMevgwaK74BDUkO5QFhARb7BiQSoAUHLqcB0QMRmgES8wQXGAkPQQoNGr4MGiy+AQ1NDd0Bef4GGxueBQwoqwHLAxeaARDyBCUfQw0THr4MGizAAQtQDtIBgAH9BhgfnwUNAwgTswHRAwEQA50BAfsEMw5FDRkaywwOLb4BC1MOkQEFPHz+BhYgnwUfDrABgwoyC0QFBgEgGs4MCjC7AQ5UDokBFy19gAcVHuUEECokDaoBiworDUMELCTPDAkzuAEQVA+VARAigAGCBxQZugQFBg0HBwMXDAUXJxAdB3yWCiAPRgIvINUMATkdBJIBFVQOmwEOE4cBkQcNDr4ECQETAh8MCxIqOHKeChYSdxiTDREKkwEkSxIBCYoBpQGTB9kELRoPDyo1ccYKewIGGqcNmAEKChZQEI8BogGUB9oEKBwTDignfegHBgEFzwKAAQMEGp8NoAECFAcEDOwBoQGUB9oEJAQMDhcNJgkHGHztBxPCAoIBFpcNwAEDCAzoAaIBlAfbBDQNGgslCAwZdvgHErgChAEUlg3OAQyjAQsosQGVB9wENAwbCyUEEB5vxAqCARiVDTYMkAEMpgEOCcYBlgfeBDkGGwsjAhQoYtYKcjMFFpoNFAoNFo4BDaYB2QGXB94EOwQdCjlPNeAKbTINGOYLFKYBBhAIJ4YBDKcB1QGeB9oEXAo3TiT0CmwlBwYRFtMLL9MBlgEPqwHMAaIH2gQLCUcKNFIe+gpeMQkFDxbRCzXNAZUBFLIBCQewAaYH2gQKCUkJN1QV/gphKB8U0Qs3yQGQAR++Aa4BqAfbBAgITAk4CQHeC2AjIRjQCzq6AZYBKroBkAETBqgH4gQDClEGRwYIywtiHiIOCR7RCzoNBqABlQEiDQVlDRIdFYcBwwf4BFIFRwUMywsJBlUYIQoQFuELKgcQlgF5AhsofMQBzgf8BFQCV9wLVRcgBBgc4QsKAxwGGI0BeQQTNTADSQsekAHVB/EEBAmoAfcLPRQiBCAc3wsHDBoDHIsBdwQTUwwHeYkB1wfyBA0FpgGaAQ3PCjkVIQQkHN0LBw05kAFyBRIgETKIAX/UB+IEBhC6AY0BCAsLygowGSADJRbdCwQNO5kBagUPFDENowFv0wfsBAkQvAH6CxslVBruC00mFUoDBmQEDAtFAqsBXtoH8gQKDUcBeGUFxQteGOUKDokBRCIbQ2wGCQz4AVHeB/gECQxFBHdmB78LYhjfChp7TiEjPWga+QFM4Af+BAYPNAgGBHBxB7sLZBbbCiJ5TiEkPGoU+gE69Af+BAcRMRAWBj/IDGYg1gosXgMXTh4lUioCGAUKEfgBOfsH/gQGFSwPFAc9IAoDA5wMZiDICjxYFgRRHCpPKwQXBwcP3QEOAz6BCIEFCREqERAIPBUfmgxmHMAKRVdpHTwyOQQWGjIBsAFGhQiDBQoRKRIGEDkSJpgMZhy7CkpZZSBBLDsFFBczAbgBPYUIKQPgBAgOKSk0FiWWDGMetwooAyNbZSI/LjkFEhYzAr4BNYYIJwbjBAcPIzMrHCGVDGEmtwoLDwwKHGAVEDwjPjMlBgsHDhcyA8EBM4QIJwfmBAUSHB1CHiKSDFYsBCTpCwkYCAYxITY+IAoIBwsYHAISBL8BN4MIJwfoBAUSFx5DIiCODFEyByCBDAcaKiEwRx0LBQgIGRgFEQ+yATiFCCgHrwVIJB8EDfkLQT8GHP8LByUjKylOEQ8CJxQJDw22ATiGCCgHqQVNJjPzCyBzDhStDCQrKbABDQ23ATyDCCoHoQVVJjLyCx1xFhbcCiOxASMcNscBuQFA/wcrB40FBQVeKSv1CxqGAQMWmgoILTCxASQdMsUBuwFG+gctBY0FCgJTNijzCxYWlgoQHzi0ASIhLcMBNwF7VfUHMAOOBV87JPcLCxKUChYTOrwBHykcygE3A1x67wfCBV9AJByWChgJNqIBExQbKg2zAQwcMwRdgwHlBw0LrAU3CR0/KwYHHpkKFwYxqAEZFAs0BrMBGhYwBV2HAREIyAcLFSsG9wQaJBw9PxycChEKPZsBHGoICgWDASQTLAVfmwHMBwodIwj6BA4bLjtFHKIKBBI+UQpAEmw4ZycRKgZhlgHQBwglGwmWBTw5RLMMBRy5Cj1TC7cBPmYoDygFZJwBQgaEBwMYBQ0YB48FRTo8tgwSGrkKPVQNswE7LQ4xKA0mBWaeATsOlQcSCasFRjk5rgwjHrgKPVYOswE4LRUsKQsiBmmfARsGFRWSBxYDogUDBkc1PaoMLCDvCQw+O1kOswE1LRkqKgwJCgcIbKUBExAHHJMHswVVNRsJGKgMPBzsCRM/MGAO1AESLhwpKionBUCvAQc3lAeyBUw+DRUXpwxEGOwJF0EbcA6TAh4pLyAsBzpzEGqYB7EFSV8XpgxKHNYJAxkWQA56E48CHCwzDTsIMngUQRQPnAevBUZiC64MTBrGCRwFI8gBFI8CGTNyEBuQAQg9KAWlB6YFRGIJrQxKIgUWwAlIzAETlAIRN2SJAtoHCwiQBUFlBbAKCvIBSiQIFr0JRdQBEZsCBT5lCRHZAQMO4AcBEo8FPZoLCfABShC6CULdAQ3hAoEBBw2rAZsIkwU2rAwEYkUMtwlDswSxAaUBnwiYBTCmDAtgOwyzCUmpBLkBowGhCJ0FKaAMEWBYErEJTowDFYIBvQGiAaEInwUnmgwUYVsGDAMFEq4JVP8CKHa/ARICkwEYAYQIoQUm6gcQkQV+FKsJWP0CMGvGAQsJlAEQA98HBSGkBSPhByGJBYIBFKkJUiQO1AI/VuEBkQENBtIHGxioBR7eByqEBYABFqcJVxsZ1AI9QAcI5gGTAQYJ0QcoDKwFGdsHMYIFfh6lCTIFJBgaVA3rAQMGQDYQBeYBpAG0BwYRMQWyBRXXBzeCBXnMBgMknwkzCiUnB1UTlQEORUk1EQMUAdIBqAGtBw4I8AUS0wc7ggV2FwQJFAgT7wUMKJsJNQomgQEVkwELJAQqQhwLEA4EEwJ5AlW3AQsEkAdHBb4FD9IHO7gEA0h0FkbkBQ8umAk4CiOCARVSCzEMDgoODCs8FRkLDAUTAlUCJAZOxwGTB0MHvwUM0gc7ugQERXMYSQcEAwMqlgk5Ch2HARdQEz0WCg8tBQIvAzEICgUTAikBKwMlBkq+AakHOAiWDUKBBW0eTwUKKpQJNQ8UjwEaUBU2HQgVKDEENggIBBQCEwESBCoEJQdCvwGvBzcIkQ1EiwVmG1UGBy6SCTYQFCQSVR5RGi4iBhgiMgInDgMZEAITAhAHKAYiGSy/AbUHNgiIDUvbBA4DIgbRAQcDIooJQQ0UHB1OJFAcFwoNPSRoLhIICQwkRCTAAboHNQmDDUziBIQCAwQc/whMDxEaIUwoThgYDxE2K2xXH0QhwwG7BzUI/QxP6ASNAiL8CDwCERINGSNNKXoUFi0vJglGUg1OHcoBdQm9BjQH8AxavAQELYsCMPoIPQQNGgQeJE0oXxAKFBA1LwkQCA5KpgEX1gFcBwoQuwYHByUGvAwQGmGhBAIFCAEIBAUxiAIu+Ag/BglIHAYPOyNTHRQMDDhdHwMnpQEO5AE4BhcNBCXDBhoGuQyFAagEFwIBAwQgBBKFAgcFMPcIKAEXBwc1EwssPBtOJBESEy5fHg0RswEC8QEhBwgMEEe7BhcFuQyAAbYEDCcSC4QCCAT7AwaRAgQq/AghBRRAUD0WTyYOGAozYCXtAQPRAR14twYVBLkMe6MEBwUMLR4HgwIFB/MDDy8D3QEFLP0IIAYUIwgSVTsUUiYLHAgxYyfmAQbWARp7sQYXA6cMDQN3jgQGBS4gKASBAgQL7QMXKgss+wgNBQ8IFR4KFFg2IhYMLR8KHQcuZjDYAQjjARCAAakGGQGnDIEBjwQ+GQMFKgKRAukDHiISKvwIByITGw0UXC8nEhUlJA0aCCo8Aykw0wEJ8wEEhAGkBr4MfJUEPQgGCTUDkQLiAykbGC6cCQIIEBcRFWAoKRMZIQkJFAtNNwkqM8wBC4ADoAa0DH2eBAQEAwQCByEEDAU5BJIC3wMuFx0mnAkCCQwXEjU/LCYEDAYZMA8FBQlNNwkrMskBDYYDnAapDH+2BHUDmgLaAzAUISyaCQQKAR4UI1ooIAMQBxcuDwUOBEo5CSw3iwEIxwOZBqEMfbMEfgOAAgQYtQMBJTESKAgLKJgJBCgVGGoqMAEcLAwJEgZBPQkrOmgMCh6/A5cGnAx4rwSQAwUTtAMEHwIFNgtBHMEJFhVwLisBHD5dcTpiP78DkgaXDHWoBKEDBg61AwUcQApGIL4JGBQiBUwxRDszECRqOGBCxgOMBpEMcawEqAMMBrUDCBpBCBoQIyS8CRgVGgtQMEM4JhYvFAQYBTU1DAdEYLYDiwaODGygBL0DDAO2AwwWYREqKMEJEDdYLkI5EiYzEAwNFCwyEAkUBh4DAmi0A4oGjgxknQTQAwQCuAMKFmIPMRgBJscJBjV+DEM8BS42ChEHHic+BwsDCgMKE3S3A4kGiQxhoATWA7sDCRhjDDMWBiDqCeQBbTIEBAcKDSQiQwMsDXS2A4oGhwxdhgMFlgHgA7UDChliCy4bCCbkCUMCpQEaBkc2CQEHBw0qHnkJfagDjQaGDFeIAwMCBYoB7QOzAwsZYworHQkMDiTiCUQKnQEXDz85EwIOLhuBAqQDkQYNAggE3AsFCFSJAw6DAfID2QNjCSkeCwYcHOEJRQegARUSPzgjMBqBAqYDjgYKEtcLYY8DCYMB9QPSA2sJKRwuIOAJPgIFBqEBFRRFMSIyGYICqQPxBQoOCxPXC1idAwKAAfcD1ANtCCoaLh7hCT4LMwZoFRZDMx81Gf8BrQPsBRAKCxTXC1acBPoD1wNtCSUcTSboCTkKFgcRCGkVGEAvAgYZOhv5AbID6AUUBg0VxAsGClSKBAUM/APcA20KHyJPIvkJJwsUIGkXF0IwAwMYPBzzAbcD3wUvHbkLDARVigSNBOADbQoaLEwDBCL7CQ4GDw8DK2keEUYwGz0c7gG/A8wFAQ0GAiodugtijASKBOcDbREMM04e/wkJCQg+NgYrfBAFESQ9HOwBxAPMBQwJKxq8C1idBP8D7QNsUUkghQoBOUoKCwkR0QE5HPwBuAPKBQQPCQj5C0yOBAMDBAj6A/QDTwcVVkEaugpLhQIBAzUb/gG6A9oFBwv1C1OEBBAG9gP6AyQGHRARXzkctgpJkgIyHKoBAz4EC8AD1wUGDfALVoUEDwT1A4AEIQsKIQtmMRitCkWiAi8dRQFlBTzPA9UFBRDrC1aZBPMDhgQeOwFwJxymCkezAiIfEwImAgQHZAU60APTBQUS6AtViAQEDvIDjwQXvgEOGqIKSLkCHiMNBCMGAwdlBTrSA9AFBhPlC0+KBA0I8QOaBA8YoQpHvwIaJwkIHw9lBjrUA8wFBRfiC0YCCYkEgASnBAcSogpBswIFYRsPZQg42QPlBd8LRwgDkQT1AxakCjmTAgYdCmkOET0CBwIbDS3mA+UF3AtGogTrAx6JCQ2SATCWAgcjB4YBJQUEBAkHAwgLJBH5A64FAjThCz6oBOEDGQga/ggdkgEknQICxgEDcAH7A7QFBDL5BQnfBTIGBP4DBinYAx8UFOcIN5YBE9sItwUDM/sFB9IFQIcEBR0ICNIDIRwQ2QhKgAq1BQQz/gUC0wVCpgQNCcwDIh0M0ghW+wmxBQcz0gtFowTdAyIjDtMIW/UJrwUIIQcJ1AtGpwTaAyMgEtUIYxMXwAmyBQcg4gtHsATSAygYvgMEWxIY1ghhAggHINsDAtYFCgSrBQsZ5AtGtQTNAy0SwgMGVxQe1wheAQsGJMsDBQISyAUEEaYFFQjrC0bfAwYFDELJAzgIxwMHVBMW2AhpBCrzAg05LdgFpAWHDELoAwMKCEPCA44EB1ISFtkIaAIv5wIVNTUPAsUFpQWDDD/GBLoDKQnlAwhPEhbaCJoB4AIXNjoBHLcFqQX9Cz/JBLYDFQ0JA+4DBlAMGNwImwHGAgULGzldsgW+BeELRsoEsQMVHCAD4wEE5gEDVAMa3QidAcICCgcWCAguYLEFwwXWC0q5BAwGrQMWHyAE4QEFzwITIOMImgG1AgcICAoFDhMpXkcc0ATfBAJlzgtDAwisBBwKpAMXIh4GqwQgHuQImwGtAiEOHypbPi/HBOEEA2LLC0gEA6sEHAujAxoUARIYCKkEJCjiCKEBwAEYUU8dCAZYODctEBUN5APnBAMRA0rMC0qbBAwEHQ2jAx0NCRcLD9gBDMICKSThCKYBswEkT08bDwRSNjonHg4X2QPqBAQMB0fPC0mJBDsOoQM0NiQalAEVvAIuIt8IqwGuASpOSh1jNDsiKQs6tQPuBAQHC0XRC0bcA2YPnAM1PB4rfyO3AjIi3gitAawBLUIJBUMgYTM7HzEJQa4D8AQWQtULQNIDbQeeAz4+DVtgKbACNyreCK4BqQEwPQ8EOydeNDkgNApFrAPvBBZA1gs87gIKAgZTbAOjAzxACmdYLgsDDQeIAjow2wixAaoBLz0SAjoCAyJdMjkkNAlJqwPmBCA61ws7iQIQVAsHB1BoBKMDLwMIQwZrWS4ECgwS+gE/LtgIsgGyASk+VCFbMDoZDQE0CEqrAwQDswQBJSgj7AsICyaFAhe5AWoCpAMuUAdhYzoLGOoBDQszLtcIrgG7ASRDTyJZMDoWRwhLswOzBAQdBhsOG/ELAwYGCCCFAhq1AWwDoQMtVghdYz0FHOoBBxcsLtYIqgEWDH0HHSFHDAU1J1gxOBJOCE6vA7kEBxIGHxMQ+QsQEgyJAh6yAW0EmgMqYQZcZGKIAigq1QikARcVegwaHlsuLFUxORJRCU+sA74EBwoHJRcF7QsongIgsAFyA44DK2gDX2ZflwIaKtQIoAEWHHsOBAgLHFQIBCcvUjE6ElcOSKkDvwQQMf4LPJECIbABdAOJAyZvAWNlaJ8CBCrSCJ4BFCJ2JAgYVTIWAxhTLzoSXAtHqAOyBAYGBkP2Cz+QAiCxAXcDhQMWAQxzAWdhay7QCJwBEil0KAcUWQECKxYGF1IuOxFgCUqgA7IEBwcCTfILP5ACFEQDeHoCgAMKjgECaw4LQW0szwiYARAwdSoHDzcCJyYYChRRLjoTYApMnAO1BAJb8As9kgIMSA9UAxr6AwiRAQF0CAlAcSzRCJEBEDV1LgUMNAwiIwgICgoUUC46F10KTJwD6AQGKO0LO+YCDVUHHPQDCZEBAXk9AQ5xONUIiQEQOREKKQ4kMAQINA8cAQUhBBAICBVOMDkeVwtLoAMIBNIEDC7nCzqMAgNaCVQMG/IDCJIBAYABBgolCQVxMNQIhgEOPw4UIhEhMwQDNRIaAwM4IkwyNxYIB1IMTasDzwQOMuQLOYcCBl4GUhAZ8AMIkgECqwEQdzDPCIcBDkINHRwUHjM6Fhc9I0szNhURBU8LHxIcqwPGBAwGBTHZC0SGAjA6AVASGe0DCJMBArkC6wEHNMwIhQEQRA0jGxIcNTcZFEEgSTQ2FRcETA0VLQOmAwQGwAQNCwYw1gtGhgI1AwI1CUQSGOwDBpYBAr0C6AEOLswIgQERRg4oGRIaNTYaEkQfIBIUNTcUaw4KzgMTBrkEChUGMNQLQIwCQy8LRA8XiQUCwALnAREuzAh8E0cQLBYWFTU3GwhNHxwhBDc5FGszD6ADFQizBAocBjDTCz+MAkgsC0wFF4sFA74C6gEVKMwIeBRIES4VGBQ1OGwFCBUhVTsTaDAdmQMRC9kEBy/YCzqLAksrC2iMBQe1Au4BNSbMCHYTSQc5ER0VNTl3FiJSPRJmLiSdAwgM2wQILdkLOIsCTCwLKAU7xAfxAUUmzAh1EYsBDyMSNTx1FiNOQRJiLSwHAZQDAgzdBAks2Qs0jgJNLQskDzTAB/UBUyLJCHcQiwENKRA1P3IXI0xDEl8uO5kD3wQMKdkLNI8CTS0LIhQyuQf2AWAixwh3EYoBDSwRNEJuGCJLRRJbMECLA+YEEibYCzSPAk4uCiEWMsYHzwGDASzECHkRiQEFAgYvETNDbBohSkcTVwMFDQQaQooD3wQIAhEi1ws1jgJOLwoeFjinBwIdyQGKATTDCHkUgwEHBAQyEDREaRsfTEYiRwIHDAcHAhNAiwMIAtIEBAoSHNkLNowCTy8LGhQFGSOjBwUbxgFuDBI0wgh5F4MBAz0PNURkHx1ORh9IAggMCgIIBwQJPYoDBgMUAs4EFhPaCzeMAk8vDBcUAiEsmAcHGcMBbjQPLsEIdh3BAQ82UFgeG1BGH1APFQQOBTiEAwoEFgHSBBcO2As6igJPMAwrJy2WBwgVwwFpGBgGITK/CG8kxAEPNVJYHRlRRhQECUwTEwMTBjOEAwgEGALVBBgJ1gs9iQJPLwwpLS2WBwkRwwEJAVwLKAMsLsAIbCHJARA1WFEdGFZCEg0ESgwaA0qPAxwC2AQXBtQLP4gCTy8LJjknlwcJD8MBBg1wBQ8DNCq9CG8fzAEQNVlOHRhVRBESA0oGHQNIjwMeA9sE4QtJiQJQLgsmQCGZBwoL0QF2CggDOiq9CG4ezwEQNVpLHhhTRw0ZAkQHHwNGBgz+AiED3gTZC0yJAk8sDTQ3HpoH4wF2CgcDPyy8CG4d0QERNVtJHwYKBlJJCWIGIgNDAxX5AiQD4ATUC02IAlAoERoDGTYfmQfhAXkHBQRDKrsIbxvUARI0XEglBVtLB2MFJQM+Axn3AicC4gTQC02JAk8lExMRFTUimAfbAX0GAwVHLMkIYBvWARMyXkceDFpLCmADKQM7ARz3AicD6ATIC06IAk8fGBEYEjghmAcKAc8BbgIKD0gozQhcG9cBETRfRRsPWkwMxgEBHPcCKQLqBMYLUIUCTxsdEBwLPymOBwkCQgOMAWsYSijSCFYc1wESNWAeAiAaE1pNDMMBARr6AicE6wTFC1GDAk8ZIBFoKY0HBgU+BosBaxU/KNYIUhzYAQ45YRsDGh4XWE4MwAEBF/4CJgroBMQLUoECTxgjEWonjgcCCDwIigFqEz0q2whNHdcBCz5hGQMYHyRMUAu+AQETEQfpAiYL8AS9C1P+AVAYJhBsDREIkAdADIgBawpEJuAIRyHYAQVBYhkDFB8lTlILzQENDOoCJQkeAtIEvwtT/AFQFykPjAEHigdED4cBwQEq4ghFNYsCYhkzKE1UFMcBBA4QCNQCIQsME/ADAmHCC1P5AVAYKxCKAQeLB0ISNgQ1AxTGATQGBQQIzAhDNY0CYxgwLUpWE8UBBA4DAQsXyAIhCwgR9AMYScYLU/UBUBosEYcBCZAHPBUtExEMBgYCCBPIATYAIcQIPzEuCN0BZRcvMUdYEMQBBA0DBQYgwwIhG/8DG0DLCw0DDgQw8gFQGi0WggEKkQc7GCQdCRICFBLJAdYEAjgAJMMIOTQkCgYF3AFlFjcrRloNxAEDDAMJBCTBAh4WnAQIOwgH3gsy7gFSGi0bfQmVBzgcGygHBAIHAxcI3gHGBAUyACfBCCQECjsOHOoBZRU3LkZbCcUBAwsCDAQlwgIYF6AECDkEC90LNekBVhgsIncJlwc2IhQvEf0BwgQKNAApqwMCkwUhd+gBZxErBgcxSFkHxQECGwQmygIFH6IECjYDDcsLBAEDCjXkAVwYKiduDJoHM2kO+wEJA7UEDTAALaQDBJUFHm7yAXAGLAwCNEtTCMQBAh8BKOoCpAQOMwINxwsODTLdAWIaKSlnDpwHMmsT8QEFEK0EDywAMZ0DC5IFGmr4AaEBRVBKCsMBAkreAgMJpQQSLgEOyAsODTLXAWoaLDFVEZ4HMW4K9AECGqUEEyYAMpoDE40FFGj+AaEBRmI0Do4C3AIHCaMEFzrNCwsNMdQBbhgyLFETnwcwcAWWAp8EFiwAMpkDHIcFDmOGAqMBRmcmFowC3QIJCgQIlAQaN5ECAb8JCQ8w0QFyFkAEBRVQEqIHK3YElgKbBBguAC+aAx+IBQlgjAKhAUhqHgURBIsC3gIKGwMHggQfNYsCB54FBJ4EBw4DAy3PAXUVUQ1PEaQHKZIDmAQaMgAsmwMhBwffBZACoQFIbRcGEwWAAhUE0gIILPcDJDSJAgmbBQ0fBPcDBAsDATbKAXgVUwtNE6gHI5UDTCCpAxs0ACGkAyAJC9kFlgKeAUhGEhoNBhoC/wEEBQsJhwPwAwgEHTOHAgmeBQ8ZEPADAQs9ywF1F1MLSxWoByCYAzlAmgMbOAUSqwMgCg7XBZkCnAFIRxYTrgICHfUCAQUKAscDEBQJChs0ggIIkwUFDgkaFuwDAQtAxwF3F1UNAQVAFqkHHZMDNVCUAxk2CgOyAx4NDx0CugWbApgBSUfUAgQe8gIIBdQDJBEYNP4BBZgFCx8BDBf4A0LEAXgZWQhGCAUJrAcGAw+ZAyldIgLrAhU2nQMCHCUHEw8erAWbApcBSEnQAgYf8gILBtIDBgcOGRgz/AEEmQUPBAYQBQ4U9ANJwAF5GqYBBggJtAcNoAMWbx4E6gIIMpkDBw5UBCWrBZkClgFJSfMCDAbzAtEDBS8ZIQEQhAcBER8KCBEQBwvoA0m8AQcCcBqmAQQKCbQHCqwEGgTqAgEslgMHBoYBsAWYApUBS0fwAggXqQIRLdIDBS4bHwIR/gYGERwLCgsTCQ3wA0XCAW4cowEECwq0BweyBDKTA5QBtAWYApQBTEbtAgYfowImGdIDBy8aHgIR+AYCAgYIAwsXDAoKEQwR8wMEAiEDFrABARFsHqIBBAsL7ws4kAOXAbcFQw/GAZMBBwJEROoCBSafAisU0QMHMBsdAxDwBhAJBwYXDAoMDwMEBhcEBe8DCgYNBRKyAQERbCCfAQQMDPALOJEDlwG7BTUgwQEJAi8GV0lD4wIHL5oCLRHOAwcuIhoEEOkGFgoIBBcMDQkXBSP+AwMDAQMFBwi3AQIPbSCeAQMODfELNowDBAOYAZMGwAEFBCwHV0lDxAEElAELNJkCLg/KAwgqKRkEEeoGEAoDAgYDFwwPCBcFI4wEAscBAg5tIZwBAw8N8ws4iQMGDJkB2QMHsAK9AQMFLAVRUETAAQeRAQMEBTaaAjAOwgMMEg8ILxUEEuwGBg4GChcLEAgYBSvOBQEObSCeAQEPD/MLNoUDCQWfARQIChKjAwqzAsIBfVNGuwEKjgEDBgQ3nAIyDbkDBgMKBhwDNhAFEPwGDQUaChIFGwQv2gVtH58BAQ4P9QswgwMNA6oBAy+eAw22AsABeFZLJAKNAQ2KAQQHAzahAjUNwwMQEN0HDgMdCRMCHgIzrwQGogFtHqEBAQ4O9gsmgAMPBOEBmwMNuAK/AXRYTRUNjwEOkwEDMq0CNATlA94HCgMfCDQCNqsEC58BbB6vAQ75Cy7qAgESFQHjAQMGkAMPuQK/AW9aAwNJFQuWAQqPAQMwuQKQBBQMtwcKBAUDIQY2AjaoBBGbAWwdsAEL/Qsy6AIEC4wCkQMM8AEcIAIHxAEBBWZhSwQalwEKjQECJxYHiQIQEoQEFhyjBwcBDAohBzYBN6cEFJkBah6wAQaDDDLmAgUElgKQAw3fAZ4CZlQCDGmXAQwDB38CIxkLhAIbDf0DCQgBKuQGAggDEQMMIQchCGmtBBaXAWscsAEIggw05AIDA6cCAxDJAgIhE9IBqwJlUwUMaJcBFX8BIAgMCQ2BAiAM9wMHPt0GBAkFCgcMIAYiBmazBBeWAWsasgEHgAw24gLMAq0CBQsGGxguBZYBvgJbUGoED5UBFpwBBRILDf4BJAzyAwhLFAK7BgQKBwYIDx4FIgNJCRS3BBqTAWoZtAEG/ws04ALRAiET8gEaGRssBpEBxAJcVmAPCwgOQg0rFpkBBhIKEv0BJA7uAwdkugYECwQLBBQbBHDTBByPAWsYug3VAQ8y3wLZAg8j6gEcGR0mC5EBxQJcV2AOJEISIheuAQcZ/QEkFQsIBwXGAwZkuAYIAwMtGwR1zQQdjAFsGLoN1QEZKt0CkAPmARocHikHkQHFAl5ToQEMCiMXFxmtAQcbgAIiMK4EuwYPIQUImgHIBB+DAXEXuw2kAQwlJzDbApUD4gEYEgIJISYJkgHEAmBPvQEWAwgaDh3QAfkBKyuqBL8GDw4DEQkGmgEuA5gEH4EBchW7DaMBFh0vCgQ02QKZA9YBHhMECCQjC5IBxQJgS8QBDAwIQ9AB9wEwFwoIogTEBg4NBwQYA5kBBAQoB54EFX9zFboNoQEgFjIGFxQMQNcCoAPOAR0OCQknHwECDJMBqAIEDAELOAkgSIsBBQcOPAZPwwH3ATYQDQeiBMMGDQwJAxsBmQEEBAQDHgECCp0EEwcIcHMUvA2gASEUdEbWAqcDxQEdDA4HKh4QGh9apAIKCAMKNQ8kPo8BHDwECAYHCDOzAQIM9gE6DQoIngTDBgEBCwgFBAkEtgECAQcFAQoQFZgEEQUTZ3QTvw2iARwUeEbUAq0DtAEGBB0KFAMvGxMYJVWgAhAEBQg1EiY4kQEhPRsXAxiuARAD9wE6DQgFmQTLBg0ECwMKBL4BAQYBEAgblAQRAyxQdBPEDUoFRgUFGBR+RNMCsAOMAQMmIQlMGBcUKlOOAgIPHAM2EQMBJzEGBIkBOyQaFwYSCwShAQYDgwI6DgcDnQTIBgwEDQMKBPkBpQQ6RQQDbRTMDSwePwsGFBKEAUzSAsADHgVZBholDVAVFxUuUYsCBgxVGBoCDQYDLw8HcT4oBwEHFQwTCASZAQwJgwI6DAYEngTEBg4EDgILBeYBCgihBERAAgloFdANDQEOLDkPCw0TjAFM0gLVAwgEWwgXHBVUFBUVMlCMAgcIUQEEGBcIFDAJB3U8LAUaCiKUAQsBBwaNAjEOBQSSBAQGugYBCwwGDgIKCOcBrwRLQQEIYxfPDQoECUsbFA8DH4sBRNIC3QNfDBIVG1gUERY2To0CJQYyBQIaEwMCBhNEcDoxAxcIJpEBBA+iAiMRAQaUBMAGCxQPAgoEBQHoAa4EUDkFCWAYzg0HBwZZDBkwkAFC0QLhA1EIBAsQFRxbEw4VO02PAgwHEgQxBwIcDgQCBhUKBj5kN32oAQQHlAIeG5QEvgYQCxUBCgP4AcACDNsBUzQFDlwZzg0DCgOBATGXAUbRAuQDShoPFgYKAgQFYA8OFT9MxAEFRAkMDwMzKAsDBAUlOQcBAQFgPGcEDroBggIiH5MEwwYNAwQFHgP+AQUErwIT2AFWRFsazQ0DBwSEATGeAUTQAucDSBgIHQgQBGYIEgpMTL4BCUIFD0gpCQIDBSAEBDYFBl9ASgUTDQ62Af8BHSOQBMAGFAIGBhoD/wEBCa0CGdUBWEJZGs4NAwUEhgEyowE8zgLsAz8DAxcFHwkRA+ABSbYBC0IDEUgsKQkFNgEEAgVfQEcJEg0StQH/ARIqjgTCBhMDCwWiAqwCH9IBWj9ZGs8NAwQDiAEyogE+zQLxAzcgAiAJFALsAUqpAQxBAhNFMCYKBDAEAwMEAgNhP0gIEQwWtAGBAggwhwS0BgUQEwSyAgQTlAIj0AFYQFkZ0A0DBAOIATOmAT7LAvcDMj0MjQJgigENQQEYPzMlQQkCFwhITDcIFQoYkAECBgQXuQIGBfsDswYGEhMDsgIDHAIM/QEmzwFeOlgZIA2jDQMFAo4BLqkBOMkC+wMvPAuTAmGFARFYOjglQh4LSE8yBxgIGYoBFwQDC8gC+AOxBgYTCQIFBrECAzH3ASfPAWI2VxkdFp0NAwUClAEpqwE4xwKBBCo7B5wCX4IBIUovRCdCGg5MSTEHOIgBBQzUAgII/AOxBgcSCAyzAgM38wEozwECAmIyVhwDCAwemQ0CBQOXASasATLFAocEJzkFogJcgAEtPyAECkckRhcRTUQuCzegAc8CgwSyBgcSCQi2AgE/7wEhBALVAWIzVFaVDQIFApsBIq4BMsICjwQnMgenAlh9LkAaAwMFCUghSRQWSUMuCywfBIwBzAKABLQGBxoBCfsC6wEg3AFpLlJakw0EAgGcASCyAUAAAb0CmAQbNwmuAh0BBQUpdjM+HQYDAwpIHQsDPxIaRkAvDCsfApABzAL/A60GAwUIIv8C6AEfTQ5XBiVsLVFGBxCRDQMBAZ0BHbcBRAAGsAKoBBQ0C7YCFRAkaEIOASgjCA8JAj4ZDQQ/ER1APzILLRUGAgeNAcwC/gOuBgQECSCEA+UBHEoIWw4jcisCBkc+EBGPDQIBAZ0BG7kBSgAMiAIIC8cECysRxAIFEx9kKwwZAQkdKQgSBAU/BQIPDQVBDiA9RS0GMhISbQEezAL9A6wGCQUHCAEXiAPiARlIDVUBAhEhfClJNBsUiQ0FnwEXuwFEAA6GAt8ECSgCCAXjAhphKRQqCAUBLQkcCAI9DQwHPhAiPUlfDhRzBgUIB80C+QOwBgoDCAUGE40D3wEVSBJRGR1/KEsrIxSHDQOjARO+ATwAFIAC4wQGKAPyAhddJhxHBhcBAgQoOg8KCT4QIz9IXQsbc+ICBgPtA60GEgIJAwgRkgPeAQxKFFAdGoIBJk8jKROHDQL1AjAAGPwB5wQEngMVVyYiQwpHMSk/DiQxVl0HIH/cAuwDrgYTAgkECQ2YA60CGE0hFogBIlQcLhKFDQL2AjQAGvkBjAgUTycpQAtNKis/DSYtWXcFCQoGcbMCDBnpA7IGEwIIBAoGogNwA7UBGUshDpUBH1gYMRCEDQL3AjoAGQIB9wGOCBRBKCoDB0UFUiQuPgwnLFh4CAkKBHGvAhMU4gPEBggDCAENA6kDbgauARsrBxciD5kBHFoVNA+BDQP4AjgAGvgBkQgTKjkqCgYJBo8BHTM8DSgrVXoKCgkDcq0CGAvfA9YGCAELBK0DbgkVApUBGiQYByYQmwEYXhI2Dv4MA/oCNAAcBgLuAZIIFBtEKA0HCAuEAQIRDjJADSgrUn0LFXUCBqEC/QPaBhIHsANvKH0FChkcTBGbARVgEjcN+w80ACIDAuoBlQhwKA0ICwmDAQsOBTJDDSkqQQkEgwEKE4QBmgL0A+IGEgoQAp8DbytyDQkYGU8RnwEQYRE5DfoPLgAmAgLmAZcIbSkLDA0FhQENP0cLKylBkwEGFI4BjwLuA+QGFh2iA28pbREIGRdTDqQBCmETOQ75DzoAJwQD2wECA5oIayIFAgYUhwECCw88SwctKUKVAQMUiQGSAiQG+gIEQ+EGEAEHDQgIqQNxKGYVBRcbWgepAQZhFTgO+Q84ACgDBdwBnAhqFQIJDhiEAQcBFzlOAyYBCChEQQU6BicGA32SAiQH+wIFOuYGEAMDDsUDaiddMyCNAgFiGDcO+Q84ACcBCOMBkwhsExoffx8JAitRAiQEBhYED0RBBi0YKYABDQKNAhYH/gIHJOwGAQoLG8gDaChYNRcDB+8CGjYP+A8yADbgAYIIfhAZJHsoCAIgeR4IDEc/BSsgJoABBQeUAgYP/QIMFQMI6QYMAwkeygNmKVRUBO8CHDUL/A8uADnfAf0HhAEMFCp9JQQHHnwcCgpJAwJoIiZ/BQeGAgoZ/gIPEvIGCiQGBMwDYytOygMeNAj/DzAAPd8B9QemASx7AQEjBAgcfxsKC01nJSd8AwECB4UCEhGAAxEQ7QYMIgsEzgMIAVcsSs0DHzMHgBA4AEHgAe8HcgIqOBEGYiMECRIBB4EBGwsJTWcmCQcYewEDAQiEAhgKhAMVBfEGBAECJA8GzwMFA1YtRdADIDIHgBAuAEXgAewHcgIfW1sEAy0NjwEdCQhOZScHERKGAQQDEgPoAacDhwcCAgQmEATaA1UvP9QDIDIGgRA0AEjgAecHZgIRAgIBGF1YBgILASAMkAEdCQZQZCcIGgqEAQMFBQMHB+YBpwOHBwMyCwLeA1EyOdgDITEGgRAyAEzfAeEHYgoSBBdfVwcCBAwZDZABHAoEU2IpCBoKggEDDwMH5wGoA4cHAycIAg4C3wNPMjXcAyExBYIQLABP3wHgB10PKWNYBRQWDJIBGwoCVmAqCRkMfgQQAgfnAaUDigcCJ/wDTTMoAgjfAyEwB4EQLABT3gHgB1YWJGgtCx8FFBQLkwEbCQJZXSsLFw2QAQIIBwLcARcDigO1B/8DSy4u5wMiMAeBECoAVt4B6Qc+IyNuHR8PDRITC5UBHQUCXFsrMI8BAhTZAQ8QDgnsArYHhQRFID/kAyIxCIAQKgBa3QHwByM+GXsJLAQUEBMLlgEiX1gsMY8BAhXXAQsFCxbuArkHCAKABD8cROMDIjUJ/A8iAF3dAdEIF8oBCxQNlwEfYlYsMqcB1AEJBBUR6QK9BwMGgwQ9Gj/oAyM4D/QPIgBe3wHPCBEDA84BAxYQlgEeZVMsM6wBzQEIBCcF4wLIB4MEPBk57AMlPRnnDyIAXuABzggGAgoCBeQBEpcBHGZTKzStAcsBBgMuBd4CygeCBDsYN+4DJEMP7g8iAF/hAc0IBAQIAwfiAROYARloUio1qgHUATUC3ALCBwcFAgP7AzkXOewDJMIQHgBf4gHMCAMGBwQG4wETmQEXaVIoN6gB0QGWA8AHDgT9AzkVO+sDI8QQHgBfBALdAdYIBQUF5AESmgETbFMmOacBzQGYA8EHEQL+AzcVPOoDIsYQHgBdBAXdAdcIBQMF5QESmwENcFMjPKgBzAGWA8EHFAH/AzUXOukDI8cQGgBn3AHaCAvkARKdAQlyVB5BmwEQCr4BlgPAB5UENRg46QMjyBAcAGfdAdsICuQBAwYJnAEIclcWSZ4BCg66AZcDvweWBDUcM+kDI8kQFgBm3wHcCAnrAQmeAQR1tgG4AbgBlgPUB4QEMyAv6AMkyRAYAGXhAdwICu8BA58BAXa2AbcBCgWrAZUDxAeXBDUfLOYDJcoQGgBlFwXHAdkIDe4BAZcCtAG4AQoErQGUA74H5AILrwE5HCvlAybKEB4AZQgbxQESAbcIAQcP7gEBlgKwAbwBCQOxAZIDuwftAgypATsbKeUDJssQJABmDBUGB8cBAgMCC6sIFtoBAxEB0gEBQa8BvwEWA6UBjwO7B/ICCKkBPhoo4wMnzBAmAGcOEQICCgXWAasIBAYBBAbaAQoGBM8BCTW1Ab4BFgelAYwDuwf0AgioAT4bJuIDKM0QKgBoDw4DHLoBBAuvCAMEAgkC2wEEBwTQAQQEBTG2Ab0BBgwEC6oBhAO4B/cCC6YBPxwg3wMtzxAmAGgPDgMetgEICLEIBAED6AED2wEBCAUutgG7AQQiugEVAtoCuQf5AgujAUAeFugDKtEQJABoEDC1AQgGtQgF6gEC5AEELbYBugECKKsBIAPaAr4H+AILnwFBJwXDAwMJAx8m1BAiAGgQMrQBCgO2CATsAQLkAQMquAHmAagBHgTbArkHgAMNAgKVARsEJOwDFB4h2BAkAGcQNLcBBQS4CAPtAQLkAQciuQHpAaQBHQTdArgHgwMUjwEeBCPtAwgHBwYDEh7bECIAZhA3uAECBbkIAu0BAecBBh23AeIBAgugAR0E3wK0B48DFoQBSOwDCAsIER/fECIAZg08twECBwoJpAgD1AMGGrgB4QEICJ0BHQLdArkHkAMYgQFI7gMJCQcPHuMQKABsCD6DAQ0mAQkEFZ0IAtMDBxW6AYIBA2IHA54BHAPdAroHkAMZBQV0SfADCQkHCx3nECgAbgs9ehQlAx+eCAKfAwgHCxoIDr0BfQtkpAEaBN8C8AIBxwSTAyVvSvQDCAYNASHoECgAbww9dRcmBQMJEKAIAp0DGxoIC70BcwILCmahARkE4ALpAgzEBJgDI2ofByX9AzTpECoAbwQEBT5sHScUDaIIAZsDHRsHCL0BdgQJC2WfARcD4gLqAQt1DsIEnAMjZR8MIYEEMekQMgAcAVMBBwNBZSEpAQnVCx4aBwO+AXoGBgxSBQ6eARUCnwIIJwIS6gEQdA8RBqoEmQMrXCEcEYcELOkQMgAQAgkCWgNEXyU40gseGQwBtwF+BwQNUwcFowESA6QCDh8DDe8BBAIKcw8NBa4ElgM3UCMhDKUEDuoQOAANBQgDWgJEAQVUAgMmMAEI1gsdCwMIDAOxAYIBGSMDKbEBEAKrAgkhBQf8AQlwDwoGsAQMBo0DPj0kJAupBAftEDAADgQGBacBWSMwBwIBAdsLHAUJAw8CrQFyBRAbHgIqsgEOAa0CCCP/ARVtFAEIwASWA0AxJyYKnhUuAAYBBw6nAV0hLukL6AF2BQ8bCAERAy+vAQgErgIIJfMBAwkWOQMgBAgfpgQDD6IDQCkqJwueFSoABRWzAUIICCUq6wvnAXkEDyASAzO0AbACCCfyAQcKFDQICAkLLKYEBAetA0EfLjAFnRUuAAUVswE+RQEHFOwLHwfDAXsDEBwRBDeuAbMCByX1AQoMEhkEDhAGCwgupAQFBLIDSwk0NgOdFS4ABBEDAa4BAgM8zwwhCcEBegQQGg0ILQIJrgGyAgck8wEPBQIEFRUHCxIGDAU2qQSwA4MBOwGeFSoABBKtAUTODBQFDQnAAXcIDCwzvAGkAgMGBRoBCPcBFgQSFwgKFAUMATqeBAYFsQN64RUuAAQTqQFF6AsPBAIHBUUWBg4JwAF1DgMsN7oBpgIFAgYZAwX7ARQDFhQKCBYERZ8EAwO3A3fjFSgABROmAUTuCwMKDAIIPwwFBgcNCcEBdTo6uQGpAgoYBAP5ATITDAYYAkWjBLoDdOUVLAAFFKQBPogMEzoMCQQJDAfFAXQ2JwEUuAGsAgcOAweBAjEUDQUYA0OkBMIBAwMEIgHMAXLmFTQABxWPAQMPPJEMDjYMDgIIDAUBA8YBdjEoARC6ASUGggIGDAkB/gECBy4UEAIZAkEGA5wEwgENBRzMAXDoFSoACRWPAQMNMwEFlwwOMQ0QAggSCcABdDMnAg67AR8EigIEDYkCBwcoFXiZBMQBLssBbusVLgALE3MFGQQKMqAMEikOEQUGEAMCBsABcjUhCQu9ARsDigIIDAMGgwIwGHqKBAQIxQEwyQFs7hUwAA0RdgUYCQE0ogwRJg8TBQXcAXEFBC0lCAHDARoChwIPBAkGgwIzDAUEeAIGgwQECMYBNsMBaPIVLgANERkKVQUXPqMMEiIQEgcD3QFxAgksJcwBBQMPAvYBMAT8AQcCFAEfCQgBhAGLBMQBPb4BZ/QVJAANERYUUAkHBQVCoAwUHRER6gF8LCTWAQoD7AG7AhkQFAmSAYYEwQFEuwFn9BUeAAxCSmCeDBQZExPaAYwBKyPYAQUE8QG+AgwgCgmTAYUEwwFEuAFo9RUgAAtETWCcDBQWFBUIBY0BBjaQASoi3gH4Ab4CAycMBJQBhATDAUW2AWr1FSAACUhKaZcMFBEWFgYIigESHgUFkQEtIdsB/gHiAhACkwGGBLwBS7cBa/QVIAAJSUl2kQwzGAQLhwEYF50BLwoCE9gBgwLcAhQCkwGGBA4BrQFLuAFq9BUiAAhKSHufDCEYAw2HARsFrgEuBwMT2QGAAtsCGAGVAYQEDAKsAQIBSrkBa/IVHgAHTEICAnazDBMphwEfAq0BLgUDFNoB/QHaArEBiAQFA7ABS7oBa/EVIgAFTkhztgwRL4ABIgKsAS4EAxPdARwB3AHdAgwCoQGPBLIBSrwBFAMWBzfwFSAAA1BJar4METZ1JwOqATcR3wEaAtkB7AKlAf8DBQa0AUu8AREGFAw07xUiU0lsvAwQOW4uA6sBPQfgARsBwwENBu4CpgH7A8IBPwQKvAERBRQPM64VAT4gU0hvuQwROmoyA6sBPQXiARsBwgHuArcB+gPEAT8GCbwBEwMTEjKlFQ41JFRFc7UMEztoMgSrAQMCOQPjARsCwwHiAgQBuAHxAwMHxQFBAwq/AScVMrAVAzIgVz57sAwUP2MyBK0BAgWcAhwCwgHcAsMB7QMIBMUBUL8BIxsxmRUEEwQuKlkzhAFmBsMLFENgMwKuAQIIBgGTAhwCwgEBBswCywHsAwoCxQFKBQO/ASIeL5UVAwQDEQUqJFsvAQOCAWQJwQsVRV1FAakBAwePAhwDygHKAsoB+APFAUfLASImJ5EVBAgNBgYnKmcpfl4TvgsVSVpBBqYBBAmPAhIBCAQEAcQBywIHGKkB+QMCA8EBQ88BIiocAwSFFQoOGh8kbCKAAVsWvAsXUFJDBrQBjQIQAwYOwgHsAp0BAgT/A8UBQNABJC4TiRUDHA8HBhkkbx+CAVQbuwsXVU5FBbcBiQIOBAUFBwXBAesCngGABMoBP9ABJzANqRUEAQgKEAwkchyEAT0CERy7CxhXTEYKsgGIAg4LCwTDAegCDAOPAf8DzQE90QEoMgmoFQIXFAQmdCCDASIOCAUMHboLGlhMRgsEAQMJnQGKAg0MDAPFAegCBwOTAfsD0AE80gEpNQPCFSZ2DwERigEPAQMYBgQIHLwLG1lNLwUQCwMNnAGMAgwEFgPFAe4ClQH6A9MBOtQBKvgVJncNAgcEB5ABByADBQUXwQsdWk0tCggPAwumAYQCCwMaAsQB7AKWAfkD1wE22AEp+BUeeQkDCAQHvwEEGr4LHltOKyIBC6cBhAIKA98B7gKUAfgD2gE03AEp9hUgfQMECsoBAR+6Cx9cTyI3pAGFAggE3gHxAgQFhgH6A9sBM+EBBwEjAQfrFRqFAQjtAbcLIVtWFz2hAYcCBwTYAfUCAwSIAfsD2QE17QEr6hULAhr7ArULIlxdCEaZAY4CBQMVArMBBwn6AoABgwTZATbxASjtFQcEGPwCswskW6wBmwGMAgEEFAS3AQoB/AJ7hwTYATb1ASbwFQMGFP0CjgsBISZcrQGbAY8CDg24AYEDeYoE1wE2+QEl+RUa/QLBCgFIBh4oOQgarwGbAZACBQvDAQEI9QJ3igTaATX7ASX5FRz+AsEKAkgECwEOKjgKGREDnwGaAZkC0QHnAgEMdosE2wE1/QEk+BUk/gLCCgRGBgIDBAMIKjoLFwQUOgVhlwEFBIkC2AHmAgMGeYwEGQW9ATSAAiP4FRz/AsAKCjwBBQ4BMD0TKjUGZJ8BiALZAeYCgAGOBBYGvgEzhwId+xUa/wLACgUDBzhAQRgmnwGcAYsC2AHnAh0DXY4EFQe/ATKPAhOBFhyAA8EKBAYGNj5CGCefAQYCmAGGAtkB5gIaBlqPBBkGvQEwlwIKhhYYgAPQCgUzO0MZKp0BAQSbAYQC2gGJA0+VBBsHugEvnwICiRYYgAPUCg0mO0IcKqEBmwGDAtwBjAMFAjyKBAIQGwa4ATKrGBr/AtsKDx07QR4oogFECAwBRIMC2wGRAzeMBAcQGAe4ATKtGCalAQQSB7wB3goFBAgXPBYHIycfQwFtNwsKATUCCoUC2QGUAzSMBAQZEQS8ATGxGCakAQcNDbcB3goECgkKRQoUIC4XRAZsNwwIAjQDCIYC1gGYAzGUBAUSDQW5ATOvGCSkASK1AdwKBA9YBRccNxBEDGs1DQYDMwQHhwLVAZoDL5AEDQUHAwkHtwE1rxgkpAEjmwEEEvQKcxk9CkkKaTcOBQQyBAaJAtIBpgMdAQSQBA4DDAEEDLUBNrUYJqQBJZgBBgz/Cm0YQgQzChAJZjsOAwUxBAeJAswBsAMZkwQPAg8QrwECAzO4GAIBJKQBDQgXkAGVC2oXdxEOB11GDwEGLwUGigLLAboDCY8EBgYCARsCuQE7uBgCAximAQgQE44BmQtoFXkRc0YWLgUFiwLJAdMHBgrUAT28GBTBAR99nAtnFHwQdEUXLAUFjALHAeMH1AE+vRgWwwEee54LZxGAAQ90RRonBwSNAscB2wfZASgDE8EYGsMBHlgKFqELZw6FAQ12RRoFAR+aAsQB2wfVAS4FBgMDyBgcyAEOCAFYDxGjC2gJiwEJeUUbAwIgmQKvAQIQ3AfRATQCBdQYGMsBCGMSDaULagGTAQN/RxgCAyCZAq8BAw3eB9ABO9UYHM0BBGcPAQQGqAuDAwQDQxMBBAUBGpkCsAEDCtEHDAPOAT3UGBbNAQRiEgG0C4gDQxsEAxmbAg8BoAHZBxADyAE+1RgUzgECYcgLqgED3gFEIRibAgoDpgHPBxgDyQE71RgWsALCC6YBEd4BRR8BAgsCB5wCBgOoAcwHHQPHATrWGBawAsALnAEHAhTXAQIKQiIJpgIEA6cBzQchAcMBPNoYFq8CrAsKCJ4BHtgBCAZBIgimAgEDqAHNB90BBAM83hgWrwKpC7IBHt0BCAUHBjMjBakCqAHMB+ABQawYAgQBLBivAqoLsAEelQECSAkTMiIFpwKmAc8HBQcEB8kBQK0YBywYsAICAqgLrAEemAEIQQkTMyIDqAKUAfAH0AE/rBYJ+AEHLRazAq4LpQEfngEFQAoSNskCmQHZBwcK0gE+phYS9gEGLBavAqsLAwSkAR7nAQkSN8cCoAHKBxcFzgE/oBYa9wEMIRarAgIDpQuvARxgDpgBNyIImwKjAcgH6AFCmxYi7QEaFxaoAqwLrgEdXhaVATYfCpsCoQHIB+EBAgRFmhYr4AEkEBqnAqsLsAEbXR4yB1g3HgmdAqABxwcDBtcBTJoWGQkF4QErCxilAqwLsgEYNgodJSoMWjPGAp4BvgcHBt0BTZkWFfEBMQYapAKmCwMFsgEVNg0aLSESWzHHApoBygUB8QHuAU6WFhTwATgBHKICqwsDBLEBEjcQFzAFBw8YXDDKApUBvgUGBgLvAfABTZUWFOwBHqECrQsEA7EBBQUEOREXMAIPBh5hLckCkQHABQkCAu4B8wFLlBYU6QEYoAKsC7oBAUUSF0MCImoixwKTAcAFCe0BAQPyAU2UFhTlARieAq0LgAITF0YBJmsayAKTAboFBQIEAgLsAfcBTJQWFOIBFp4CrQuAAhMXbm0WyAIJCIQBuQUHAQTuAfcBTZUWE98BFJ0CqAuFAhMZbXMQyQIHBYoBwQUD7QH3AUyVFhPeARKdAqkLhAITGW13DdECjQHDBQLtAfUBTpQWE9oBFp4CowsIAv8BEhpsewoRA7oCkAG8B+sBT8MVAk0U1QEgoAKhCwgD/gEQHWoCBngDEwa4ApEBwQUD6QEMCQwC1gFQvhUJDwQ2FdMBGJgCqwuIAg4fdIwBBbgCkAHDBQPnARIP2QFRuBUPCwc2FdEBGJcCrwuGAg0gdI0BBbcCjQHHBQHnAfoBUp4VCwUaBQs3FMkBEpkCqwuLAgkidMgDhwG1B/sBUpsVLQEOOhDHARabAqcLjwIGJXMCAoQBB7oCiQGyB/UBV5cVPzEDCA7AARiVAqoLkwIEKG8DB3wOtgKKAcQFAfAB8gFYlBVBKgsFDsEBFJUCqAvEAnd8DrUCiQHGBQPuAfABWZIVQikOAw+/ARSWAgEEoAvGAnSBAQy5AoUBxwUC7wHvAVeSFUMoIb8BFJwCwgIG1gjFAnSGAQm6AoMByQUC8AHtAVeQFUQnI70BFJoCwgIF2AjEAneIAQW7AoMBtQfzAVePFUQmKLEBBAMUmgLBAgPcCMMCeYgBAr0CgQG2By8BwwFXjxVDJSuxARKcAr4CAt4IwwJ5xwOBAbYHLgHFAVaPFUIkLbIBFJ4CrAIECQTcCMYCescDf7cHLgHEAVePFUEjLq8BFp8CBQKhAhPdCMYCfM0Dd7gHHgEOAsQBVowVRCEusAEcnwIFAp4CEywBswjGAn7MAzICQbUHAgQbBwgGwQFWihVHHi6uAR6gAgQFmQIXKAIZBZUIxgKHAcUDMANBtAcDBwUUBgjHAVWJFUkcLq4BGq4CkgIbHwgYBJgIxQKNAcADLgRBtgcBDxoCywFUiBVKGy+wAR6rApECIhoBAwUWBZkIxQKbAQoDpgMqB0K5BygBywFThxVLBQYPMK8BIKkCjwIUBw8ZBQgBBgyZCMQCnQEKBLADGwpDuQcoAcsBU4YVSwMIDjSqASKqAgMFEQTvARMaBhEHBgUBDpgIxAKeAQkGrAMbBwIDQ7oH9AFThRVWDTeoAR6uAgQFCgLyARIyBQMblgjDAqIBBAmpAxsGBQNEugf1AVKEFVYNNqcBHq0CCBLtARAxCQMekgjDArABpwMJBwwECANExQYBdPUBU4IVVg0zpgEcrAINEuoBCzYpkQi8AgYNowGqAwkTCwJFwwYDdfQBU4EVVwwrrQEgqwIQBAQI5wELPCQDBYoIvAICEaIBrwMFGQUEQ8QGA3X0AVOAFVgFMK0BHqkCEQMGBxsExwENPiqKCM4CogHQAwIFQcMGAnoJAukBUv4UWgIxrAEkqAIRAgoCHQLIAQ89NBIB7QfPAqEB2QMYAiXDBgJ8BgLxAUkBAmcBIwbrE4wBrAEuiwEDmAE8AsgBETw0EQLtB9ECoAEgAroDEwMRBw2+BgMDAoEB9QEEAkICAwQCXgIgCekTigFzCQcGJTCLAQSYAQIBNwPHARM2AwksEAPrB9cCnAEgBb4DCwQUCga/BgQEAX/+AUEECF0BCwQJDwEC5hOKAXAeIC6MAQSbATUDxwEHAQxDGwENEQTrB9UCngEfBzwF/wIFBRzJBgSBAR4G3gFPWQEJCgEV5hOJAVEEGiUZNI8BBJgBNAPIAQYBDEIFAxMHAQMNBwbsB9MCnwEeCD0GhQMkxQYFAQF4AQMZB+QBSgEGTAMFLOITigFRBRUuEzaRAQh1AgIEFjIDyQEFAQ0/BwQTChQCBO0H1AKeAR0JPgf9AivEBgd4AgIWAwMC6AEfAyYCDUU03hOMAVEGETMSNpkBAm8TEi4DyAEVPwcDCgQHBRcCBe0H1QKdARwIPwMCAv4CLMMGBnkDAhMDBQLrAR0GJwYDQzvZE4wBTwkONxA2iAIWFSgFvAECCBZABgQJBgcBJOkH1wKdARsFQAj/Aiy+Bgt5AwISAgcB7gEYAgEIJQUDPAQBP9cTjQFMCw06DzL9AQYEFxcoBb0BHEEIAQkFMOcH2AKdAV4K/QIWAhXBBgd6AwMPA/gBFAIBAgEHKAIGNEzTE44BSQ8MPQwu/AEiGCgFvgEZQhEEOt8H2AKdAV0M/wIRAxbFBgOCAQwD+QETAwEHIQMIAgIIAipewxOOAUcSCz4MLv0BIRomBr8BFkADBAsEPtwH2QKdAVwLhAMNAxfFBgOJAQQE+gEXBh0DAQINCAMhaL8TjgFGFApACzD/AR8cJAa/ARQtARQCBQoEQBEQFQKjB9gCngFcCYoDCAIZxQYCgAEDAwgD/wFJBwUea70TjAFHFQpCCjSBAh4dIQi+ARMtAwMBDhAFQAkhDAOjB90ClQFfBwIIiAMCAhnGBgKAAQwEgQIhAjQUdLsTigEuBQcFChUIRgc0hQIbHRwMvQETLgkJEQY8AzMBByIF+wbdAokBbBKLAwsDCsYGAoEBCQWEAlYFAgVqBw63E4oBLgkCCQgVB0sCLIgCGB0aD7sBEy4iBjwCPCIDAwL6Bt0CmAFcE4wDDNEGAoEBCASHAlQEchAGthOJAS4KAQwGFgUqiwINJhQVswEaKQICIgc7Aj4gAwUE9waoAgE0mQFaFZEDCNEHCASIAlIEc8wTiQEsGwUWBCqSAgMsCh2yARkpAwEjAz4BRBoGBQL4BqYCAzSaAVoTkwME0wcIBQgBgAJPAmwDB8sTigEsIpQCAlOyARgPARUBA7EBEgoFAfkGpQICNpsBUwcBFeYKBg6CArUBAgbVE4gBLSDqAqkBAgYZCwMXugEIDwQB+QbbAp0BUx7lCgQLXgGmAbYBBATyEgtYhwEvIuoCpgEEBB8GBBfRAQUB+QaiAgIxAwKeAVIf5QoCBQQDXwGjAboB9hITU4YBLxjrAqQBMRbSAYAH1QIFAZ0BUiDoCmkBoQGJAQcs9BIaToQBMRzrAqQBLxMCAdEBgwfVAgcBmgFUIOYKagKfAYoBECP1Eh0JBTuBATUe6wKiAS8Q2QGDB9QCowFVIeMKFQJRBZ0BAQOHARkb9xIbBww1BwN1NyLrAqEBLBPdAYAH0wKjAVYBAxzkChMCUwWaAQQBeSwX7xIDASMDDjYBC3A4HuoCnwErFuEB/QbUAqIBVQUCGOYKEQJWBJYBAQF5RATDEgQpO0RrOSDqAp0BKxblAU8BqwbVAqEBVR/lCg8DWASTAQgEb9cSKQ0IFQkNN0VnOybpAp0BKxbpAUwBqwbUAqgBTQIBIQICugkCogELBlkFkgEECG3LEjkKEgoNCzlDZT0k6AKeASsPAwPuAUcCqwbSAqsBTCm7CQIFA5gBCAhaBpkBbMsSPgkYARIIQjxkPiDoAp0BLgf9AUUCqgbQAqwBSgEBK7wJAp4BBwlZCJgBaMsSQwh3OmI/GgEe6AKdAbcCPgSqBs4CrQFLLbwJAp4BBQtYC5UBZ8oSwQEaCQsFBGdAGQQe6QKcAbgCPwOoBs4CrgECA0crtAkEtQFXE40BaMcSpwECDCgLCHA+Ggco7gJAA1q3AjoEpQbPArABAgJLJAQDrwkHsgFKAgsTAgKHAQUBUwIQxRKoAQMJJocBPxcLLu0CGgIkB1y0AhgBEAEPA6gGywKwAQMDRQECLa8JBrQBSwIIE4kBBwFSBBDEEqgBAgwWAgyHAUEQETLsAhgHIQMdAkWzAhcDDQEPA6kGyAKxAQMDQwIBMa4JAQEJpwEFBQMCQwQCGIcBWwoLwhK5ARIHCYgBQBASKuwCFgocBh0CSLMCFAkIAg4EqQbGAqsBAgVINrAJAgMDpwEIBUMggwFYEgnCErsBEJgBPhQRMO0CEw8GAxAGGwNJtAISAQMHCAQMA6kGAQHDAqwBAwMFDjc0rQkDsAELAUAlfmENCcESvQEJnQE+FBAo7QINFwEIDgYXB0m1AhkFBgEPBKwGwAKrAQoTMjypCQMEAqgBTSV8ZQkMvxLjAj4VCijtAgoIAhoMCBIKSbcCGgYBAxAFqwa/AqcBDBcoAwQ+rwkCqAFNJXtmBRO7EuMCPRYHJusCCgcEHQoKDA9GugIaCg8GrAYEE6YCqwEGGiUHAz7YCkood2sEEbsS5AI8FwUk5wIOBQUfCQoJD0e+AhoJDwWtBgMUpQLLASQJAz7YCkkodHsBBrsS4wI8GAQo6gIFCwUgCQsDEUfDAhYLDgasBgIVpQLLASQKAjynCQetAUUsZnwBCgUEuBLkAjwYAyj7AgIjCB1FGgWoAhsHDQasBgIVqALJASILAzmJCQQSEa4BQi5vbg8CBAS2EuQCPRcDJqEDCBtFGwSsAhkFDwarBgEXqQLIASAMAjeLCQYCBAIZsAE/MHFsEgmyEuUCPRgBJqIDBhpFzwIYBA8HEQGYBgEXqwLGAQMCGBABNAoF5QgDFiizATsxcGUcCK0S6AI8KKQDAxtFGQW0AhYDEAcPAZkGARisAsQBAgQSSQIDAgnjCAUWKLYBNjNsahcMqhLpAj4swgNEGgcCA7ACEwwHCwoBmQYCGa0CwgEBBgIBDEoBD+IIBxYnuAE0NAEBa2oVDgwCmRLoAkAqwgNCHQ2xAggVBwICBgECBgKZBgEasAK/AQEGAgIIXd4IChglvAEvOmlpExUHBZYS5wJCKMIDQhcVsgIDGAYDAgMFAgMCtgayArsBAQcBAwVe3wgLGSHCASo8amYTGgEHlRLmAkQkxgM9FhEBBcICBBADBQQFtga0ArkBAQYBBANf4QgJEybLASA/amkIKpQS5QJGIsQDPxQTAwK6AgIDCRADDbcGtQK2AQEMAl7cCA4VJMsBIEFpbAQskxLkAkcowQM8GQ4BAgEBvwIEAQsQDAO4BrYCswEBDQJbBAjTCA0WIswBBAMWRWltAiyUEuMCSCTAAzwZDsMCEgMHBg0CuAa4ArABAQ4BWgIN0wgNFCHRAQEDE0lobAMskxLiAkkkwAM2JAfEAhEDDAQJAgIDtwa5AqoBBA8BWAIQ0ggNFR7iAQFRZ2sDLJQS4gJKHMADM/ICIAQJAwIEtQa6AqQBAoIB0ggKGBu5AmQxAzYDLJQS1QJYIMADMiADAwbIAh8ECQMDBLQGuwKgAQKLAc8IBB0YugJkLwJolBLUAloLBCa/AzIbAgYDAQfIAh4ECgMDBAMCAgSpBrsCrgLLCAQXH7sCYi0DAgFnlBLUAlwICiS/AzAbBQcBAQYEBcICHAUKAwIIsAa8Aq0CyQgEGCS3AmEoCmmTEsoCAQlfBg0gvwMsHwYECgEIxAITDAsDAgiwBrwCqgLLCAMYJLkCYSUKa5ASygJwARAavgMqIxvHAhcGDAMBCbAGvAKqAuUIIqICAhdhIwpujBLOAn8ivgMqJhnHAhgFDAICBAMDrga9AqkC5AghCwkCFfcBAhxeIgpGBiOJEtICfii/AyYdBgMfxQIJBAoFDQMBAwYCrQa8AqkCwQgIDwMJIQcl9AEDHV4hC0EMIogS1AJ8KMADJRoJBCDEAggIBgYNCAcBrAb/AQI7pgIDAcAIBgwICU3sAQodXh8NOxMhhxLVAnsouwMDBB0dDQMexgIIAwIFBAcMCbMG/wECO6ICBQfNCAkJTuoBDBxfHg06FiCEEtcCeia5AyYcDwIQBwbIAgcCBg4LCbQG/QEBPp0CCgbKCAwHUOgBDh1eHg04Gh6CEtoCdyK4AyIgEQEV1AIBAwkMCwm1BrsCpwIDA8oIDAdP6AEQHlweDjYdHIAS2wJ3ILYDIiISARXWAgwKDAm0BrwCqALBCAMLCwdO6AEQIFofDTYfG/8R2wJ2JLMDIyQTARPUAhAICwu0BrwCpwLCCAMQBgpK6AERCwITWQkCFQw2Ihn9EdwCdiKxAyYkIdgCEgcIDrQGvQKlAsMIAxEICEjoARIIAxZXCQIVDDciGfkR4AJ2JsMBAuoBKSQa3gIGAgsFCA+0BhkMmAKlAsMIAxIOAkboARMhVwkCFgo3JBf4EeECdyjBAQPqASolFwIE2gIFBAoFBxCzBhUUlgKrArwIAxgGBEbmARQjVggDFwY6JRX4EeECeSitAyomBAYLAwfYAgQFCwQGFa4GERyTAqwCvAgCGQQERtsBHyVVCAIYBTslE/gR4gJ6JqsDKikGAwkFA9wCBAULBQMbqQYNJJACrgLVCAIGRtUBJCdVBgIbAjwnDvoR4QJ8LKsDKSoGAgECBgYC3QICCgkQCQ6jBgMEAi2MArACywgDDEbVAQsDFydUBgIaAzwrCfkR4wJ9JqoDJjAECAPwAgoQEgSjBgI5iAKwArQIAxQDC0bUAQsGFSlTBgIaAzsvAfwR4wJ/IKoDIzQCBwTwAgwKAgYQBOQGgQKwAtYISdMBCwcVKlEGAhoBPasS4wKBAR6lAwEEIT0F8AINBwcFEAPpBv0BrgLYCEfTAQsHFixPBARWrBLiAoMBJKMDAwUePgTyAg4FCQUHAQcF7QayAQJDmQIDEtgIRtMBDAcWLU0EBFasEuEChQEmoQMivgMKBQwCCAIFAgEF7AawAQIFAjyZAgIU1AhI1AELBAICFi5MAwRWqxLhAogBKJ8DI78DCwQMAgkCBAICBewGtwEBPJsCAxHRCBEBN9cBCQIGARYvSgMFVqoS4QKKAQEEJJ0DJMIDCQUMAQoCAwEFA+4GtQEBPJ8CCAfVCAwCONoBAQYeMEgEBFepEuICkQEkzQEBywEgzAMHBgsCCgIBAgYF7QbwAaEC1QgBBgQCCgM44QEfM0QEBVenEuMCkgEozgEEwwEiRQMDBP4CBwcJBAoECATwBrUBATamAtcIBgIHBTbXAQYFITNCBAVYphLkApIBJJMDJkEEBAP/AgcJBwQKBAQJ8QazAQM0qALWCAgJN9gBCQIjMUEFBVimEuMCkwEikQMjRQOJAwYLBAYIEAIB8wawAQQzpALcCAgHM9wBNyhBBQRZpRLkAocBBwYojwMgSQKMAwUKBhIGBAQB9AanAQECAQMHBAIqpALcCAgGLuIBNyNFBgRYpRLkAoYBCAcojAMi2AMFCQcQCAQFBPEGowEDAwECCAMDKq4C0QgJBiwCB9sBNyREBgNZpBLlAoUBBwkoigMj2gMECQYGAwkHAggE8gadAQYEAQIJAgMqrQLQCAgIOdgBNiZCBwNZoxLmAoUBBAwqiQMo1wMDCAcGCQUEAwkD8wabAQUFAQIJAgQpqgLkCDnYAS0BByIBBUEHAlqhEucChwECDiSIAyrYAwEIBwYKCQwF8QaZAQMHAQIKAgMqqwLiCDjZAS0DBCVFZKAS6AKFAQQNJIcDJQEF4QMGCAkIDAjwBqABCgEDAgMrsQLcCAgBKt4BLC06BAZmnhLoAoMBCAskhwMkAgPkAwUICQgMBfQGngEKAgIwsgIEAtYIBwEGASLhASsuKn+cEuoCgAEMCCaGAyT1AwwICwT2BpsBBQIEAgIwtAICBc4IAgMGAgYBIeMBKiUJAip+mRLsAoABDwUshQMk9QMGAgkJBgMOA+gGmAEEAwQDAi+yAgcCzQgDBAQDBgMXEAXYASkjDAIkAwF/mBLtAn8s9AIEBQEHIvYDAwcLBgUECgbtBpMBBAMEAwIvtQLVCAEFBAMDCB0GC9QBKCINBCGFAZcS7gJ+LPACDQochAQMDQcGAwLyBowBBAMFAwIuugIFA8YIBAUEAwEHNNEBKAcBEQQFDQUehwGUEvECfi7sAhANFUkCvQMPCgUGBwIUAeEGjQEEM70CAwXACAQBAwYECzfOASQBAwcCEAUFDAYciAGSEvICfjDpAhUDBgMJAwRLBLcDAgMRCAYDCwISAeUGiQEBNscCvAgHAQIHBQk5zAEkCwMPBgQNBxqJAZAS9AJ9KOcCGAIPBwKGBBcHBwMMAvsGuwHJAgIDtggCAQQLAwo7ygElCwEPBwMOCBmKAY0S9gJ8JOUCKQkChwQXBQcEDQIPAe8GtQHPArUIAgIFCQQKPMkBJBUOAw4IGYoBixL4Anwi4wIpCwGNBBMEBwQOAQ8B9AavAc8CuwgECAQCBAY8yAEiFx8IGooBiBL5Anwk4gIQARWeBBMEBQUOAQ8B9warAdECuQgCCgUBBQg8xgEhGhsCAgYbiQGFEvwCeyjhAg4IEKQECgIDAwQGDgEPAfkGpwHUAsQIBQIFCD3FAR4JBQMCCRgFAQcbigGBEv8CeyjfAg8FD50EAgIDBAsEAgoQARAB+gajAdcCwwgEAwUIPccBGwUQCRYOHIYBAQKAEoADeyjeAhAFCaIEBwYIAwIMEAIQAQUB9QahAdkCwQgFBAQIPskBFwURChQPGogBAQP9EYIDeiTdAhEECaQEBAkOCREDEAEEBPQGnQHaAsIIBBE+zAEUBRIJFQ0SAQeNAfwRggN8KNwCEQcBCwMBAZoEBAgRBxEDEAEEA/gGmAHaAsQIBBBAzAEUBBMIGA8HlgEBA/wRgwN8KtoCEhMDAQIBA5YEAgkTBgYCCAUPAQMC+waVAdsCpQgDMEHMARQFEgcZqwEBBPoRhQN8Ugcw2AISFQYDAZoEBQMRCAMFBgUQAQMB+wYDBQkOdtwCCgSVCActQswBFAUSCBgvAXoBBvcRhwN8UQk61wIEAwsWBwsBkQQHAw8DAQQCAgMEAgMSAQMB/AYBJgUCZN4CBAuPCAMCCgkFHETLARQGEQkUMQV2AQf1EYkDfVIHONECCgQJFwYKBAUCjQQEAxIJAwcSAgIB/AYBL2HfAgMSAwX7BwoCCQISFkXLARMIEBEJNAdyAgjzESMC5gJ9VAU6zwIMBQQqBAYCjgQEAwMBDQkEBxACAwH7BgE4VuECAhMDB/YHDwEGBBMVR8kBEgwNAwEPCDQJbwIJ7xEmB+MCfVQFOs4CDgMEKgQGAQEBjgQEBAICDAgFBxAFtwdS4gIBFAMJ9QcOAgYDFRRHyQESEAcEARAHNghuAQruER0EBwrgAn5UBTbCAgcFBAMGMgIMAY0EBAcMCwMHDwS5B074AgML8wcQAh4TSckBFAMCEgIQBwQEMgNtAgvsER0FBw/cAn9TBja+Ag0DBAQDCQEpAQ8BjAQECAsLBAYPA7sHSvoCAg7yBzEQS8MBAQUVAgQPAhIGAgieAQMM6hEdBwUP3gKAAVQFOLwCDwMDDgQoAZ4EBAoICwQHDQO9B0X9AgER8QcyDx8IJcEBAQYVAgUEAQgDBAUJBgICmwERBuoRIgEGD98CgQFUBjC1AhcBAxADyAQJBgYWDAS9B0L/AgETDgPfBzQNHAknwQEGARUFAQYDBAMFBwgFngGBEikP4AKCAVQGMrQCGOEEBgcGFwoEvwc9ggMBFgoF3Qc3DQUCCAMHCSrAAQEHFRIDBQ0CBXYIIIESKQIECeECgQFXBBACJrMCG+AEBQgFHAMFvwc6rAPbBzoNAwYDFCvIARgPAgYOdBMdghIuCOICgQFYAxIDJrICGwED3gQDCwIkwAc2sgPXBzsQARwtwQEEAxgZC24YAgIZhBIuBeQCgAFbARMEHLECGpYFwQc0twPUBzkwLsgBGBoJHwNJHAMCF4gSKwLmAn50AxqvAhiPBQEKwQc1vAPTBwQDNCgyxgEXQQVFHxuNEpADe3gCGq4CDZoFBAfBBze8A9gHNiY2xAEWQAk9JRmkEvoCaAYMewIcrgIMmwUCCcEHOLoD2QczAQImOsEBFBYCKQk5KhamEvoCZQsIHK8CCh8ChgXBBzm3A9gHNgIBJzrAARIBBREFJgk5LBSnEvoCYhyvAgciBIMFwQc6tgPWBzkqPLsBHAICDgQYCAUJNy8RqRL7Al8a4AfABzuuA9sHOxcDETy3ASYIAR0MAgs0MgquEnUDgwJeGuEHvwc8qQPfBzwVBBI8tgEpAQYaDwIFAwMy6hJ2A4MCXCCgAgHBBb4HPaYDyQcLBAQGOxQFFDy5ASsZEQMDNe0SDAYUBUUKgwJZIp8CA8IFBgWxBz6hAwUBwQcSAkEXBhY8uAErFhYy9BIKBxYHCAgzCoICVyKWAgYEAssFswdBnQMDEbQHAgFSFwUYBwE1tgEqFhoq+RIICBcYMwqBAlUilgIIjQUIEgIgugdAnAMEAgQNtQdRFwUhN7QBKBEoHf8SBwYaGzEKgQJTKJcCBY4FCwEFCAMYAge8Bz6bAwgRtgdJAQQXAQECIza1ASYRLhWDEwgFGh0wCYECUiCqBxIBCRYGBL0HQZEDChe1B0pCNbYBJw4tAgMOhxMLBRgeMAeCAlImhgIGBAGZBRIBCRUIA74HP5EDBxysBwYCRkU2tgEvBS8BBQiLEwsHFh8wBoMCUCiDAgkDBJcFEwEHFQECBgK/Bz+NAwggrwcCAUdDObcBYQEJAY4TCgwMAwMgMASEAlAqggIKAgSYBRMBBhYBAwMDHAWgBz+JAwkjsQcBBUJBO64BAQxcApcTCgoNBAMgMASEAlAmggIOBAKVBREBBiAZAQEFogc+gAMRJbcHQ0A8rAEPAVsNixMDDw4FAyEvBYQCTiKDAgsFApYFDwMGHxkGpAc+/gIRJ7QHRkA9qwEQAVwLnBMPBAMjLQaEAk4miQIEBgGYBQsGBR8ZB6QHPf0CEicHCKMHSkEzAwWqARMBYAWcEw4EBCUsBYQCTiqDAgQBCZwFCAYHIBcCBAKkBz38AhEmBwyiB0pANwIEkAEPChQBYwGaEw4FBCcrBoMCTiiCAgygBRQdAQQUAgUDogc+9gICBA8lCA+jB0g/OooBAQgSCBUB+hMOBwQqJgmEAk4mggIKogUUHAUEEAIFBKIHP/cCECoFFZsHTD48kAEUAwIDFgH2EwwKBC0kCoMCTyTsAQYPCaUFExwHBQ0CBwOhBz/6AgkvAhiXB08+PY4BFQMEAaIUAjMiCoICTyTpAQsKC6gFEB8IAwwCCgMBBZkHP/oCBDMBG5YHTj4/jAEUA98UFQMHC4ICTiToAQsICLEFDSAIAgwDCwIGAZcHP/gCBVCVB08/P2kCEwgE+BQRCAMOgQJOIugBCgQJtwULIwYDCAUUApUHP/YCBlKZB0ogBhYDAUBwFQP6FA4aggJNKOgBCAQHtgUQJQUEAw0RAZQHKgIU9gIDVZgHAgNFIAcOBQIEAz5sGgP6FAwbgQJOJOgBBQkDuQUOJwUEAQYBAwIEpAdA9AIBWZ0HRh8JBA8BRF0CCp0VCRyAAk8e4gEIygUIBgElBQkCAwQEoQdBzwOoBzogBgJYZ58VCRyAAkYFBCLhAQjWBQYkAgcBAgQBBwSeBwcQK88DqAc6IgMBW1oBCqAVCRyAAkIKAxzgAQjNBREsAgIDAQkDnQcGEyrOA6QHPyNdWQIKnxUKHYACPRzgAQfPBREsAgUKApwHBhUpzQOiB0IiXVkDCJcVAgcLHYACOh7fAQXXBQ0sAQQLApwHBhYozAOiB0MhXFoCCJoVBQENHYACLwMGHN4BBNsFCjENAZ0HBxUoywOhB0QfXQsBV50VEh2AAi8EBJMCCx7dAQLcBQwyDAKdBwoTJ8sDoQdDHV0JD0YCAqIVEB7/ATEDAZQCDyDLAQIOAt4FBjkLAgUCmAcNDijKA6EHQxwEB1QHE0KpFQ4e/wEymwINHMgBBu4FCDYLCZkHEAsnygOgB0McAwlXAxZAqxUMHv8BMpsCCxy9BwgyAgIKBAICFwGDBxMHJ8oDngdEKXI9rBUMHoACMJ4CAxy/BwouAwIEAQUCAwIXAYQHQMoDnQcLAjgqczusFQwegAIwHLoBAoQGCi4EBQUBBAEXAYYHP8sDmgcMBjQrczusFQwegQIuHrgBBIYGBzAEBAUBAwIWAYkHPskDmQcEAwMFOSp1Oa0VCx6DAi0cuAEBigYFMgMEBQEDAhQBjAc+wQOeBwEJQCt0Oa0VCx6EAiwaxAcFMgIEBQEDAQQCDgGOBz7FA54HRC1zOawVDB6FAiscxgcFMQEEBAMCAQMBDgOPBz7IA5gHRS10OKwVDB6GAiuuAgMcyAcDAwEyAwMCAgICDQSQBz3JA5UHRyx1OKwVDB2HAiuqAgcecgUfArEGBjIDCwsDAgKQBzzDAwIDlgdFLnQ4rRULHogCKq8CAhpwCBwGsAYENAEMCAMGBIwHPcUDmQdELnQ5rxUIHokCKRpyBR0DtAYGPQYEDAKIB0DHA48HAwVFK3U4sRUHHokCKRpyA9cGBjoHAhABhQcCBTzIA4wHQgELKXg3tBUFHokCKBhuB9oGATkJAhIBjAc6yQOKB0QCATB5N7cVAx6JAigaaQwDAgMF0AYBNwgBFAKMBzfKA5QHMjd9NrcVBB6KAiYeTQMUDQgSxwYCNwYCFgGNByUDDMkDlQcwN382txUFHooCJYEDAhxNAw4K6gYCOAUCpwceBgzJA5IHMzWAATa5FQUeigIlgAMCKAEcQgLIBwQFpwccBQvJAwwBhQczM4IBNrsVBR+JAiT/AgQSAhIFHDkBBwTIBwMEqgcpyAMNAoQHMDaBATe7FQYfigIi/gIFEwISBRwkBg4CBwMIAcAHAgStBybHA5QHKAIGNoIBN7oVCB+JAiH+AgMcJgkIAggGAQICA8QHrgclxQOWBwoCHAQCOYEBNroVCh6JAiAYKAUIBAUJAQLJB68HIsUDnQcBBR1AeD+4FQweiAIfGCgEAwoFB84HsAciwgOiBx9BCgZmOwUCtRUNH4gCHh4nBBIGywcCAwgLngcivwOiBwcDFEYGCyACRDsEArIVDx6IAhweKQETAc8HBAIHAqkHGAEJvAOjBwMGElsfAkVBsBUTHIgCG6EDAx6OCAQCBQKqBxUFCbkDFgSSBxJcBAQWAkc0CAOxFRUchwIZpQMEII4IBAMDAqwHEwgItgMOBQUEkQcGAQZsDwZENwsDrxUWHIYCFqsDAxqPCAMGrwcSCgasAwEHDg+NCAsGQzwLA6wVGByFAhWuAwIWlwiwBxANA6YDGhKPCAgHRj4DA7AVGRuFAhSxAwMYlwiwBxANA6MDGhSeCEoJASkHBQIDrBUaG4UCE7QDBBKWCK8HAwENDwGiAxoNpghXI8AVHBqGAhASlgitBwIJCA8BlwMkDqUIWCDCFR4ahgIOEpYIrAcCDQSnAyUOkwgGClodxRUeG4YCCxCWCKoHAhECpgMlFIgIcBvHFR4bhwIJDpcIvQcCpAMlFYcIbxrKFR4bhwIHDpkIvAcCoQMmFocIbBrMFR8chgIFEJoIEwGpBwGfAyUYhghrFtIVHxyHAgMOnAgRAaoHAZ0DJheDCG4R2BUfHBCeCA4CqwcCmQMoF4IIahTZFR8d7gECEqIIAgqtBwGXAygXgwg/ASgU2hUgHu0BAxSLCAobrAcBlQMoFoUIQAYeF9sVHx/uAQINBBaKCA4XHgKhCikVCgP5Bz8LBBAEGtoVIB/7AQYWiQgSEx8CnwopFwkC+gc5CAY22hUgIPUBAwEGGIkIFRAEBhUCnQoqF4QIHwoOCQk12xUgIPQBBAMDFooIFxIaApwKLRWDCBwRAwMGCwU22xUfIfMBBRSMCAkFCwoRAQsCnAorF4MIHGTbFR8h8gEGFI0ICAQQCg0CCQKcCisXgggdZdsVHyLxAQYSlQgCAxYNAg2bCiwXgggeZdsVICHwAQYOkgglFJkKLheBCB9m2xUgIe8BBhKRCCsJAwOYCi8VgggSAgxm2xUgIuoBChKRCDEDBASVCi8WgQgMCwln2xUhIecBDBqTCDACBQObCQMEHQEKChAvMRWACAsRBWjbFSEh5AEOFJMIMQIEBJgJVBQFAjsW/QcLgQHbFSEi5AELFpMIMgEEAgECEgH7CF8ITBX7BwyCAd0VICPjAQcakwgCBwMBJQICAgMBEwL3CGICUBT8BwyCAd4VICPjAQUYnAgCAiYGAgITAfUItQEUCQLyBwIFBIIB4BUfJOIBBBCgCCcJEgH0CLcBFAgD+gcBggHhFSAkEqAIKAkQAfMIuAEUCAQBBgMD7QjkFSAlEqAIBQIiCg4B8gg0B30VBxHrCOYVISYSoggCBiAKDALxCDMPdxUFEuYI6xUiJhKmCAQBIAsIBPEINBZuFQUQ5QjvFSImEqYIBQEgDQIH8Ag5F2gVBBDlCPIVIScWpQgGAiAHBAgBAu4IPRdlFQMOJQK+CPUVISccpwgEBR0JBAUDAuwIQRhgFwEOAQIgBpMIBAIGHPcVISgeqQgCBR4JBAQEAwkB4AhEF18jAQQaAQUElQgMHPcVISjVAQIYrQgiCwIEDQLgCEYZXScVAQICnwgMG/gVISnTAQMarQgjDAEEDALgCEgZVwIDJBcDBAGcCAwb+BUhKdMBAhytCCQTCQLgCEgbUyoCBAYBAgIMAo0IAw4MHfUVICvRAQIcrQgCAQMBHxQEBN8ISh1POQECCwQFB5IIDBz0FSEr0AEDFrcIAQEdGN8ITR5MPAkGAQ2QCBIT9xUhK88BBBazCAMDIRkBAtIIVR1KOwcZjwgbBvoVICzPAQQWtQgCAiUS0QhfHEg7AwIBG48ImRYhGQ0H0AEBFL0IIxDMCC4QKRpLNgIhgggFCJcWIhYTBBS/CBABEQ/LCCYfKBZJNgIijwiXFiIVFQQUvQgSARMOygghJywPSDcCIZAIlxYiFBcEErwIEwEUDsQIIy16AgRYkgiWFiIUGgIWvwgPARUDAQoBBbwIIjF4BwFWlAiVFiIUGwISwAgEChcEAQ67CB83dV6VCJYWIRQdAhDMCBkFAg25CBw9cl6WCJYWIBQfAhLLCBsDAQ+3CBpCcVyYCJUWIRQgA7wBAhbJCB4CAg+zCBpAAwJwW/YHBCCUFiEVIQK8AQEWyQgfAQMPAQGvCBlEcl/vBwsdkxYiFCMBugEBEssIHhSuCBdIbAEEXu4HDh2SFiEVIwEWzggbAgEIBAasCBVMagEFY90HHBICCJEWIhMY0AgaAQIHAgirCBJQaAMEYwwCywciBgkBnBYiExLUCBkEAgupCBJSZmsLBccHJgOoFiMRFNgIFgMDAgEHqQgQVGYFB18GCcYH0hYlEBDbCBMHAgSrCA9VdVsDDsYH0hYmDhDfCA8OiQgDHQ5WdFoBEscH0RYnDhLSCAEQBxEBAokICBUNVHZtyQfQFikMEtIIBBIBEQMCkQgDEAtUeGvWB8UWKgwQ0ggIHwMEkwgDDApVd2vSB8kWLQoQ0ggLHAEEmQgDBgtWdmrVB8cWLgoQ0ggOGgICnQgOQAEUd2zYB8IWMAkY0ggaAwMGAQMBAQIBmwgMPwUQd24MAcoHwhYxCRTSCCIBBAMBBZoICzYSC3htDAPFB8YWMgkU0ggnAwQDmQgJNQIGEQR5aw0FxgfFFjQHEtMIJwQDAZkICEIgAWhxBwbLB78WNQgU0wgnAgECAQKZCAdIGgFocQcGzQe9FjYIEtQIJwECA5kIB0sZAWdwBwfOB7oWOAgY1ggkAgICmggGTQwDBwJoZwIFCAfQBwMGrxY4CR7XCCABAQEEApkIBk8HCwMBaUABAgMgBQMHB98HqhY3CtIBARrYCB4DAwSYCAZQBg5sPgcgBgIGCAcC2QemFjgK0QEBHNgIHQMDAgEClggHUwEQbREDKgcfBwMECQYD3wefFjgMHNkIGwIIApUIB2RBAysNGBMMCQgCAgkIEAYD4QecFjkMHNkIGgIGBpMIB2RABC4CKgQRCgsJBAEFDwUF5geWFjgOHtkIGgEIBZIIBmY+Am8EAQkJCQEBAwEGDwMH5QcDApEWOQ8c2QgZAQoBAQKQCAdmPgJ5AwgLAQEDAgYPAQnsB44WOhAY2ggXAgoBAgGOCAhnOwSDAQwBAgMBCBftB44WOxAU2ggXAwkCAQGNCAlnOwKEAQgTGOsHjxY8EhLbCBwBBQONCAhoPAGEAQgUF+0HjRY9ExLbCBoDAQSPCAdoPQKDAQcVF/oH/xU/ExrcCBkBAQEBBI4IB2g+A4EBBxUX9gcHAaYGAwYFxw9AFBLcCBgIjwgGZ8MBBxUY9QeuBgIGB8YPQhMW3AgdAo4IB2bCAQoVCAEO9wenBQGBARTDD0QUtwEBGt0IqggIaAMEqgECCQ8UCAIO+QemBQFxI+sBB9ANRBW1AQIc3QgBAaYICHIQAZkBAQgPFQcDDvkHpgUBcCHrAQ/KDUUWswECIOEIoggCAgR0DgNEBFEBBw8VBwQO+QenBQFtIOwBEg8Dtw1FFrIBAiDhCKEIAQMCdg4EQgVSAQcNFwUGDvgHqAUBbB7sARcMC68NRRiwAQIi3giiCAICAXkNBUEHUQIIAx8EBw35B6gFAWYg6wECAR4FD60NRRiuAQIa3gihCAN8DAVBCU8CLAEJDfoHpwUBZB/tATerDUUaqwEDFt4InwgCgAEKBUALUgIzDPwHpgUBYiDsATmqDUYfGOAImQgDgwEJCD0MhwEL/gedBQEHAVkHASLpATypDUYgHOIIkAgGiQEHCTwMhwEDBAOACJsFAgcCViQGAucBPqgNRg4EDxbiCI4IApABCgY6DJMJmQUOSyYDAu8BQKgNRgwHDhbiCIsIApMBDAU4DZMJjwUcAgJBKfABQqkNRgsPCBrfCAECiQgClQEMBAQEMA2VCYwFEAUMQCvoAUmpDUcLEgUa3wgBAYkIApcBCwYBCREHFA2XCYkFE00u5gFKqA1IChQEGt8IiQgCmQELEwIUEg2bCYYFGUABBTDjAQEBS6YNSQoUBBbfCIcIAZwBEiATDp0JhAUZPwMCNt4BTqUNSgkVBRjfCIUIAZ8BER4UD6EJ/wQQAQVCBAE53QFNpQ1KCRYDHuIIAQT6BwOhAREMAQ4WDwIDngn8BBICBz0EATvZAVGjDUwHFwMc7AjxBwanAQ4IAwwWEAEFngn7BBUFBDkFAT7XAVGjDUwHFwIe4QgKA+4HBa8BDAQFCBcelwn6BBwDAzQGAUDVAVKiDU0HFwKHAQUc4Qj7BwK1ARMHFg8CD5YJ+gQkCAogBAJC0QFUoQ1PBhkBhQEFGOEI+QcBtwESCRYMBQ+XCfgEOgICGULTAVigDVEFnQEGGuEI9wcBtgEXCBQLBg6TCQEF9gRBGD4CAtMBV6ANUgScAQYa4QixCRYFFQkCAgMRkgkCA/UEQhg9AwHUAVefDVQDmwEGGuEI9gcBqwEBEC4LCQyUCQIC9ARDGTzTAQMDVZ8NVgGbAQcY4Qj1BwGtAQEQAwIoCgkLlwkBAvMEQhs80gFboA3xAQYY4Qj0BwGuAQICAhIbAwkJBwudCe8EQx460gFboA3vAQYY4QjyBwKuAQYVAwUPBQkIBwueCewEQyE50QFdng3wAQUa4QjvBwSuAQUjCQcJCAEPnQmfAgUCBL8CRSY3zgFgng3wAQUg4QjsBwECAQEBrgEFIwcMBQIBFaAJnQINvQJEKTXDAQEEAQNjnQ3wAQUa4QjqBwEDAQIBqwEHPwERpQmYAhG8AkIsM8UBAgFnnA3xAQQa4QjpBwECAgIBqgEHQgEBBAGxCZQCEb8CPy8xxwEHAmCbDR7hCOEHAQUEBQGoAQdFBQKtCQEEigIBBBLBAj0yMMcBCAFgmg3lAQEc4QjkBwUHAaQBCUe0CQMDhgIDAhPEAjs0MMUBZQMElw1cA4QBBRzhCOcHCaMBC0a1CQQDhAIawwI5NxAHGMQBZwIHkw1MAQ8FggEFJOEI5wcEmgEBDAsEGSi2CQcBhAIawwI5OAcRBAUNwwFVFAqPDU4BDAl0AQoIJuEI5QcEmwEBChcBEzCuCQcCgwIaDwOxAkEyAxMGBAbJAVAeBY4NTwEMCnMCCAge4QjjBwSeAQEGGgIJOa4JCAGDAhsNB64CQ0UI0gFPsA1dDXEDBAUe4AjiBwSfAQQBGwQGN7IJCQGDAhsNCK0CRUIG1AFPsA1VAgcOcAgg4AjgBwKgAR8IBDa1CQoBgwIaDQYCAawCRwECPQPWAU+vDVcDBg9sCSTgCN4HApIBBAcBAx0MAzK5CQoBhAIZDAIBAwMDqQJNOgXVAU+uDVkCBhBqCCTgCNwHApQBBAIkEAEvvAkLAYMCGgoDAQIFA6gCTiYGDQrPAT0BEa8NYhBnCCDgCPIIKD+/CQwBgwIaCAUBBAMDpwJPJAkDFcsBOAEEAhCuDWQRZAke4AjyCCY+wgmSAhkHBQIEAwKZAgMLTyMlxwE5AQQBD68NZhFiCBrfCPMIJDzGCZICGgUFAwmYAgMLUCApxgE5AROvDWgRYAQa3wj0CCE7yQmSAhsDBwIJmAIDC1AfK8QBOwESrg1pEl0GHN8I9QgeOssJjwIBAiYCBAIDmAIEB1MeLcEBAQFPrA1qE1oHGt8I9AgEAhc4zwmOAisBBQICmAIDAlgVN8ABU6oNaxRYBhrfCPIIBgIVAgEz0wkBAosCKwEJlwJeEzu8AVenDW0UVwUY3wjtCAoCFzDaCYwCKwIIlwJeET8EA7IBWaQNbxZVAxjfCOoIISYBCN8JjQIzAQKWAl0RSLABSQkJow1uGFMDHN8I5AgCAyAkAQIDB94JjwIzAgGUAl0RSq4BSA0Lng1vGVAFHt8I0QgBEiQBAiADAgQG3gmPAjQCApMCXQ9MrQFHEAWhDXAbTQMc3wjQCAEHAQIEBCYi7QmPAjUCApECYAtPrAFHtQ1xHDsDDQIc3wjOCAQFAwIDAicj7QmPAjYDAY8CYwhRrAFGsg10HjgKBwEa3gjPCAMGAgQnAQIk7AnHAQhCNgMCjALAAa0BQrENdCE1CRreCM8IBgMCBCYBAyTsCcQBDj84AQSJAscBqQFCrg11IjQHGN4IzggIAQMCKyPuCcMBEzs6jALKAacBRqgNdSUjAgwGFt4IzQgHATIi7wnCARY6N44CywGoAUijDXYoHwMKBRTeCM0IOSLwCcEBGTk3jQLNAacBSKENdykcBAsDFt4IzQg5IPEJwQEcODABBowCzgGnAUegDXgrGQUJBBjdCM0IOh/yCcABIDYwAQMBAosC0AGlAUieDXkyEQUKAxbdCMwIOx7zCb8BJTQvAQaKAtIBpAFHng15NQwGCgMa3QjHCEEcYwGQCb4BKDQuAgMBAYkC0wGjAUicDXo3CQcJAxzdCMEIAQEBAkIaXwWSCb0BKjYsAgMBAocC1QGiAUebDXpHCAQU3Qi/CAEBRxr1CbwBLTczhQLXAaEBSJoNeUgGBBjdCLkIAwNJGPcJuAExODSDAtgBoAEDAkOZDXlIBwMVBRjdCLgIUQIDEfgJswE2OjSBAtkBoAECAUWXDXlJBwIVBBjdCLcIVwz9CAd4sAE6PDT/AdoBnwEBAkaUDXtJBwIWARTdCLYIWQr5CA52rQE+PTP+AdwBnQEBAUeTDXtLGNwIuAhZCPgIERsDV6wBPz8y/AHeAZwBAQFIkQ18SxcBFtwItwhaCPYIFgQcUW0DO0FBMPwB4AGcAUqODX1MFtsItwhgAfcIPklsBjlCQjAFBPIB4QGaAUyNDX1NFNsItgjaCUITCyVsCTVFQjrwAeIBmQFMig2AAU0g2ggBAbMI2wlKBxMHBRRsEAgDJEdBPucBAQPlAZcBTIgNggFODAECARjbCLMI2Ql3DG4WAQYhS0E3BAbfAe8BlQFMhw2DAU4HAxrZCLQI0QkDA38BciUbS0I1CQPeAfEBkwFMhQ1yAhFPBQIY2Qi0CNAJ9wEnGk1BOQQF3AH0AZEBTMsMAwUBL3MFDlUY2Ai0CM8J9wErF05CNgEL2QH4AY8BTMkMBAUDLHUHC1UW2Ai0CM0J+AExEFFBNQUK1wH5AY4BTMgMBAQFKndjFtgIswjNCfgBMwpWQTkLAtQB/AGMAVPADAUDBih6XxDXCLIIzwn3AZMBQ0fSAYIChQFWvQwOJ3xdEtcIsgjOCfcBlAFDQQIF0QGEAoMBVrwMDyV+WxrWCLMIzgn3AX0CFUQ3AwICBQID0AGGAoIBVroMECOAAUsDCBjWCLII0An1AX4CGUA4BQEEAwMCzgGHAoMBVbgMESGBAUoY1giyCNEJ9AF+Aho/SAMBzAGIAoMBVQMCsgwWAgEXggFIFNUIsgjUCfIBfQQQAgg/Ss0BiQKDAVuvDBwQhQFJFtYIsgjVCfABfgMMBgk+RQMGyQGMAoABYqYMIgiIAUgW1giyCNQJ8QF6AQIDHj1JAQXGAZACfWKlDCQEiQFJENcIsgjTCfEBeAgfPFLAAZMCfmGkDK8BShLYCLQIzwkEAe4BdAsgPFK+AZUCfmCbDLcBShLYCLEI1wnuAXEPIDxTuwGWAn9gmwy1AScBIhTYCK8I2QnvAW8RIDxUuAGYAn9fnAy0AQwGDAwfFNgIrgjaCfABbRIhPVS1AZkCgAFemwy1AQsICREcFNgIrQjcCe8BbRIfQFezAZcCgQFcnAy0AQsKBhUZFNgIrAjdCfABaxMmOla0AZcCgQFbmwy1AQoNAhkWEtgIqwjdCfIBaxIoOla0AZUCggFZnAy2AQkqExLYCK8I2wnvAWwSKjlXsgGVAoMBWJUMvQEKKxEU2AixCNgJ7gFsFCs6VrIBlQKDAVaVDLcBAQYLLA8U2QixCNYJ7wFtEyw6V7EBlAKEAVWTDLcBAwcLLgwW2QiyCNQJ8QFtEiw8VrEBlAKDAVQWBPkLuAECCgsvCBbaCLEICAPICfMBbRAuPVWxAZMChAFTDQ/2C8YBDywGGNsIsAgLAccJ8wFtDzE9VLEBigEFhAGEAVIMEfMLyAEQLQMY3AivCAsCxgnzAWwQMz1SsQFoEBAHhAGEAVIKE/ILygEQGNwIsQgKAscJ8QFsDzY/CAhArwFlKYUBhQFRChTwC8sBEhbcCLEICwHGCfABcA03UECtAWEuhAGHAU8JFe8LzAETFtsIswgKAcUJ8AFxDThQQqoBXTODAYkBTgcW7wvMARUa2wihCAESBwPFCe4Bcg45TkWpAVg4ggGLAUwHF+0LzAELAwcY3QigCAECARjGCesBdgw6TEapAVU8gAGNAUsGGOsLzgEKGt0InwgECQIMyQnoAXoJPUhIqgFSQQYGcI8BSwYY6gvNAQoY3gidCAUHBAXQCeYBewo+RUmsAVBPbpEBSgcX6QvOAQka3gidCAMBAQUGA9IJ4wF9CkBESK4BTVFtkgFLBRjpC84BCRreCJ0IAQEBAQEC3gnhAYEBCEFDSK8BSlRrlAFKBRnoC84BCBjeCJ0IAgLhCd8BhQEFQ0NGsgFFV2qWAUoEGucLzwEFDAMW3wicCA8D1AncAYkBAkhBRLQBQVpomAFKAxvnC94BBhbfCJoIEAXTCdsB1gFBQrcBPF1lmwFKAhzmC94BBwMCFt4IkAgpAckJ2gHZAUI/ugE2YQYFV54BSQIe5AveAQwa3gj/BwEILgTJCdcB3QEDBD08vAE0YwMJUqABSgEg4gvdAQwW3gj+B4YK0QGVAQFaOTq/AQQCKXFPowFs4AvdAQcBBBzdCOwHAQ6KCswBmQEFWDs2wAEBDQgGEnNKpwFt3wvUAQYDBAUDGN0I+QcTAfkJxwGbAQlXPTPAAQEfDXpCqQFu3QvUAQcMAx7dCO0HAQgUAfsJwwGPAQIMC1g/MK4BAg8BrgEeBRasAW7cC9UBBgwDIN0I8wcVAgMEAQHzCcEBkAEBDQ5XQS2rAQoJArABFRAPsAFt3QvUAQYMAyDdCPIHEQYCBfYJvwGfAQ9XQytwAi8ZAQW0AQ0XCbQBSAIi3QvUAQYLBCTdCOwHAQQFAwENAgX4Cb4BngEQWUMqYwQGCikilANHAyG+CgGeAdMBCAMDBAQg3AjwBwMY+wm+AZQBAgcUWEMpYgYEDyUjlANGBCCxCggEAp0B1AEIAwsc3AjsBwEBAhn9CbwBlgEeV0UmYiAeJpMDRQUHAQ+3ChGaAdUBFxrcCO0HAReBCr8BkwEeXkEjYAgDGRsujQNDEA62ChOWAdYBGBzcCOsHAhSFCsABkgEeUwIKQiBYEAUZGTCNA0IRDbQKFpIB1QEdGtoI6wcDEogKvwGTAR9dRh1YDwYZGCiXA0ESBLsKGY4B1gEeHtoI6gcBBQIGjwq9AZYBH1wCCD8bWQ8EGwoEBiWfAz7QChuNAdcBHhrZCOoHAQIEAZUKuwGaAR9mPhtFAhM6BSWnAzjPCh2MAdYBIBbZCOsHnAq7AZwBHWZAGkIEEzgEJ6sDNc4KH4oB2AEgHNkI6gedCroBnQEdZygFExpABBQgBBIEFAUTqgMyzwofiAHaASIe2QjvB5gKuQGfARtoJwcUGEAFEyIDDgYHBQoDFqkDMc4KH4cB3AEjHNkI8AeWCrkBoAEbaSUJFBVCBhctBQINCgIBvgMxzQoghQHfASMc2QjwB5YKuAGiARlpJQ0SFEIIDgUEKQYCEATGAzDMCiCEAeEBIxrZCPAHlgq3AaMBGGokFgsUQAsMCAIoBQLPAzzLCiCDAeMBJB7aCO4Hlgq3AaQBGGsjFwsUPw4CBQMIAh8CBgQBzgM/ygoghAHjASQe3AjsB5YKtgGlARhtIBkKFj0OAgYECAEbBgUDAc4DQMcKIoQB5AElHN0I6weXCrUBpQEZbh0aCxc6DwMGBCMEBgMBzgNCxAojgwHlASYY3gjpB5gKswGnARlwGxsJGzgPAgcEL84DQ8EKJYEB6AEnHN8I6AeXCrMBTAhTGncTHAkcNw8EBgMcARHPA0O/CiZ97AEoIOAI5geYCrIBTQhTGngSHQceNxAEHAQCAg/RA0QDA7UKKDIBSO4BKiLhCNAHARSXCrIBPAQRBlIaeRAfBh83EgEcBw/SA0UBCqwKKjICR+0BLCLiCM0HAhQBAZYKsgE6BxMDVBh5ECEEHzguAwECENEDUaoKKTMFRPMBKB7jCMkHARgBAZUKsgE5CGwWew9FODECENEDUakKKCoDAQ5A9gEoGuMI4geWCrIBOAsCAmcWew4/BQI5QtEDUacKKikUPPoBJxzkCMYHARmXCrEBNxJkGHsPPgUCOULQA1KmCisjGwMCNvoBJxzkCMUHARqWCrIBNhNkGHwOPwMEOUHQA1KmCisfHwMDNfoBJxzkCMQHAhmXCrEBNRRlGHwQPgMEOEHQA1SjCiofIgEHMvoBJyLkCLwHAQgBGAEBlQqxATUUZhh9EzsCBTg/0QNNAgahCikeKQEGL/oBJyLkCLoHAwgBFpkKsQE3AgMNZRl9FDsBBjk9CAjBA02pCikcKwEJLPoBJyDkCLoHBAcBFt8GArcDsQE+C2YZfhU6AQY5PAINwgNMqgopGTgs+gEnHuQIugcCCQIV3gYDtgOyAT4KZxl/FToDAzpJwwNLqwopFzos+gEnIOQItQcBAQcIAhPgBgK0A7UBPwhnGIABFkA6PAMIxANLqgo0Cz0o/AEnIuQItQcBAQIOAw+YCrUBQgNpGIEBFUA1AQU6BQbEA00BBKMKNAs+KPwBJxzkCLQHBBAEDJkKtQGuARiBARVCMQUENAoGwwNWnwozDD8o+wEoIOUIsAcHEAUKmgq2Aa0BDQEKgQEVRC8GAwwBJgwGwgNXnQo0Cz8p+gEoKOUIsQcFEQkGmQq3Aa4BDAYEggEVRS8FBAUBBAEnBgIGBcEDWYMKBgkBBjYKQCv4ASgk5QiyBwQRCgSaCrcBrwELjQEVRS8EAggCLAMCBwa7AwEDWoIKCQU/CUAw9AEoIuYIsgcFDwoDmwq4AR8FhwECAQuNARVHLT8KBboDAwJNAQ2ACk0IQjLxASgo5givBwgQCAOcCgkBrgEeBocBAgIJjgEVSAIFJwQCOAcGuwMDAU0BD/4JSwlDNPABJyLmCLAHBBQHApwKCQGwARwGiQEBAweQARRQJAMGPAIGuwNi/QlIB0c27wEkJOYIsAcDAQISpQq7ARsEkgEDkgEOAwFKAwQiAwkUAjC3A1MBD/wJRQtHN+0BJR7nCK8HBhOkCggBtAEaAqgCC1AlBgsVAjC2A1MBEPsJRQtGOewBJSDoCKMHAQoFFaIKCAK3AcECCVABASgJBhUCLrYDVAEQ+glGB0o76QElHukIogcBCQUYuwcF4AIIArgBwAIIUAIEKAgHQbcDZfoJRwJQO+cBJCLqCKAHAQoEAQIWqAcBEgbgAgUDuAEZAqICC1ECBCsGCTy5A2T6CZ8BN+UBJR7rCJ4HAQsIFaoHAg8G5QK6ARoEnwIMUAMFLAYMN7kDZPoJnQE74gEmHuwImwcCDQkSoAcCCwP2ArkBvgINUAMGLgQNLQIGuQNk+gmZAT/hASYe7QiaBwEOBRidBwQNA/QCtwG/Ag1aLgQMIgQGBAa4A2T7CZYBQt8BJx7vCJcHAQ8EGZ4HAgIE/wK0AcICDVovBQshBgUEBbgDZPsJlQFE3gEnIPEIlQcBDAEDAxmiBwf8AgMGqQHEAg1aMwELIgUFBAa3A2T8CZIBRt0BKCryCJQHAQMCCAEDAxijBwiBAwMBpQHGAg1QAQEBCAUBFAEXAgojBAYDCrMDZPwJkgFH3AEoJvIIlAcHCAIBBBWuCqgBxgINUQEBAggDAgkGBAQWCAMkAwUFAbsDZP0JkAFI2wEkJvMImQcBAgEGBwUBDq8KpgHHAgtQAQECAgEOAQYCDxgFAyIEA8QDY/4JjwFJ2gEhIPQImQcDCAsOrwqlAcACAwMLUgUWBg4YBAIhBATEA2OACo0BScYBARMgJPUImAcHBAoNAgGuCqUBvAIBAQUCC1IHFAkOFwMCIQQGwgNjggqKAUvEAQITHyT2CJoHBwIJDbEKpAGTAgQlBwILVgUNAgMNEREEAysCA7sDY4QKhgFNwgEEEiAq9QgKA4kHAQcFAQoLAgGvCqMBiwICBQcaEAMLVgYLFw4RAwgsugNjigoGA3ZPwQEDEx8m9AgKBgEFAQX8BgIHDwmyCqQBiQIFBAoVEgMKaBoJEwUGLbkDY5UKfka/AQQSICT0CAECBwWTBw0JswqkAYgCFgYFAhcECWgdAwwBCgYFMbUDY5YKfEi+AQYOIij4CAYDjQcBCQsJAgGwCqMBiAI6BghnHwIIAwIBCQ4BMbIDYZgKcQIGDgE8vgEFDCQk+ggEA44HAQoNBAIBsQqjAYgCOXQnBgMDBw0DMLIDYZgKcQEGDgM7vgEECyYm/AgCA48HAgkLBQEB3gcD0gKhAYgCOWsCCCYOBg4ELrIDYpgKegoGCAExvQEDCigiggmPBwIHDAThBw3IAqEBiAI4bAQHJg4FDwMuswNhmAp9BgkDBjC7AQIKKij+CAICkQcBBgsF4wcLyAKgAYkCOG0ECCUPAxECIQcFswNhmAofBlkDDAEEAwMuxQEsKP4IAgSQBwEFCgXpBwPLAqABigI2bwMBAQYlEAISASAJA7UDYJkKGwxWAhMCATHEASwi/ggDA5EHAgIKBrcKoAGKAjZwAQokFwIMASIDA7kDX5gKGBFqAgEywwEsHv4IAwSSBwsGuAqhAYsCNH0jFgINBBAFELkDXpcKGhJoAgIywQEtHv4IBQKVBwgGuAqeAZACMX8ZAQwSAQ8DDwQTugNclgoaF2kxwAEuHP4IBgKTBwkFuQqUAaACK4EBFwMLS7sDW5UKGRoLAVsyIgKbAS8i/wiSBwEJBgS7CpIBpgImggEXBgkcAQcDI8MDU5UKFx4IA1ozIAJ9BBowIP8IkwcBCAYDvAqRAagCJYMBFgcHEgIJAQcCJMkDTZUKFS1ZM5sBBhoxHoAJkwcBBAECBQO8CpABqwIkhAEWBgMXATjLA0qVChQ2UjKYAQgaMhyACYcHAgsBAwgDvAqPAeMBA0gjgwEWXMgDSpUKEzZTM5YBCBkzGoAJiwcDBwsDuwqPAeABB0shgQEYXMgDSpUKEjZUM5QBCBk0HoAJjgcDBgkCvAooAWXdAQsCBUYfgAEaXMgDSZcKDzdTNJQBBho1IoEJkQcCBQgBvAodDGTbAQ4CBkcdgAEaHwITASjHA0mZCgw4UzSTAQUZOB6CCZEHAQbDChsRYtkBGEkcfxseAg0BBAMkywNI2wpWNJMBAxc7IoMJkAcDBMIKAw4JFGCnAQEOAiEZUBZ+GywCAgUh0ANH2QpXNJMBBBQ9KoQJkAcDA8MKARIEGF6kAQUNBxobDgNBFH4JARIqAwMEGwEFEAS9A0baClczkwEFD0EmhgmPB4MIA/ICXaQBCAsIFh4MBEISgAEGBBEhAg0DHAIXwANE2gpPBAQzkwEFDEMkiwmLBwQE8QpaowEOAQ8NJwkHQhCCAQUEEmXEAz0DAs0KBwZMCgMykgEFCkQqiwmWB+4KAgFWchcZIgQvBAxCDoQBBAYQOQIXBA6eAQOmAjQIBMsKCQRMDAIzkgEFCUMojAmVB/AKTQMGcRsSWQUKEgEyDIYBAwcPOAEXBA80DF0GpwItDAXJCltBkQEHB0QqjAmVB+8KSwgDZSoMXQQKEwIyC4cBAQgGBAVOAwoNBikQQAUTCKkCJtsKXUKRAQgFRCqMCZYH7goqEAMKAm8uCWxMB5EBBQQFGgEBAg8CKQcFBAgmEzwJDgusAh7dCmBCkQFRJIwJlgfuCieQATEEbuYBAwYEGgISATQDDgEDHhY3DgsLsQIU3wpmAwE7kAFRHosJlgfwCiWPAaUB5gECCANCARwBGB4YNBEIC7cCCtwKAgRsO48BUhyKCZcHAQHwCiGFAbAB5wECCQM/BBsBGR0bLyWfDW0CAjuOAVIaigmXBwEB8AogeL0B6AECCgJAATcdHisloQ1tAQM6jQFTFooJlgfzChl6wQHqAQEMAXgbICkkow1tAQM6jAFTFooJlwcCAfAKFXrCAacCATYCEhshJyShDXQ6iwFUFooJmAcBAfAKE3rDAagCATMFEhsiJSShDXU5iwFVGIsJlwcBAfEKEnfFAfcBAmIGFBojIySiDXU5TQE8VhqMCZcHAQHxChB1xwH4AQNfCBYRAwMlICehDXU5TAM6VxyNCZAHAwMBAfIKDnTJAfgBBF4HGgsvHSmYDQIHdTlMAzhYHI4JgwcBCwUB9goMcssB+QECXQgfAzQZLZUNBAd1OU0CN1oYjwmCBwEGCwEBAfUKCHLNAdkCBlkPNZQNBQV4OIYBWhaQCYEHAQYOAfYKBnDPAdkCB1sFPJUNBAJ8N4UBWxSRCYEHAgIQAewLzwFLAY0CBKABlQ2CATYCAYEBXRCSCYAHCQMJAeoL0QHXAgShAZYNgAE6gQFeEpMJjAcDAoALAWzSAUwDiQICoQGWDYEBOoEBXhKTCYwHAQUDAfkKBGrUAUsEqgOVDYUBOIEBXxKUCYsHAQX6CgZhBgHYAUwCqgOUDYYBOIIBXxCVCYkHAgX0Cgxe5QHHAgGsAZQNhgE4hAFeEpYJiAcCBfQKDVvoAcYCAawBkw2FATpwAxBgEpYJjwcFAe4KDVjtAcMCAqwBkg2FATtsBw9eGJgJjAcGAe0KD1XwAf4BAUMBkQECGpENhQE7ZBAOTQULGpoJiAcIAe0KEFLyAf4BAgUDOgKOAQMajw2KATliEgxPBgkemwn5BgEMCQHtChFQ8wH7AQIBCTsCiwEEHY0NigE6RwYQGQhQBggcnAnwBgIFAwoKAewKE071AfoBDDsCiQEEIIsNiQE7RAsCfgUJGJ4J8AYICQsB7AoUS/cB+gEOCQG3AQUjig2JATtCiwEGChqfCfIGCQT4ChcnASD4AfoBDwQLngECDQgkiQ2JATtCjAEFChifCfUGFQHsChglAh76AfoBJAQEkAEVJocNiwE6Q4wBBAsangn4BhMB6wobIQUb/QH6ASsKAYUBFCiFDYwBOkKFAQUEAwscnwn2BhEC7QodDQoFCBr+AYICIwkChAEUKYUNiwE6QYYBCAMCCxyhCfMGDwHwCiQDHBf/AYoCHAMIfwEDFSmFDYoBOkGGAQkCAwoUownxBgwB8wpGEYICjgIifR0nhQ2LAThChgEPCBSjCekGAQaBC9gCkgIffB8mhA2MAStNfQYFDwUWownqBgEEgQvYApQCHXojJYMNjgEqTFoDIQcEDwQaownrBgcC/ArXApUCDIsBISeCDY8BHwMIBAJEWwMhBgYOBBijCfYGAgH2CtgCrQMaLYINkAEZCQcCBENbBCAHBg8CGKMJ9Qb6CtcCrgMZLoENiQECBhkEBAcBAQVCXAQfCAYcown0BvoK1wKwAxcvgg2JAQIFAgIQAwMDBAkFQVwGAQEbCQYeownyBvwK1gIJAqYDFTKBDYoBAQgRAwQCBAsCQF0HAQIZCgUGAiCjCe8G/grXAggBqQMRNYUNhgEBBw4BAwQCBQJMMgkjBwEHEwoFBwIYownlBgsBAgH5CtYCtgMJOoYNiAESAgRWMQ4hDRULAxqjCeEGAQKIC9YCvQMCPIcNhwEPAwYFAR8CLDEaGAoDEAMSownhBooL1QLAAwE8iA2HAQ0EBCYDKjIbGRalCd8GigvUAv0Diw2CAQMCCgUEJwIpMQYCCwIIGxqmCQYB1gaKC9MC/gOPDX4EAwQCAggBJwMoKwwDCgIIHRKyCc8GjAvSAv0DlA16BQMDNQInKhsCCCAUugnFBo0L0QL+A5cNeQIFAgEBMwMgLh0DByEWvAnCBo0L0AL/A5oNfgIBAlQbAwsBAw4GCgQFIhK+Cb8GjgvPAv8DnA2zAQMfHAUGEgsHBQQfEr8JvQaOC88CgASdDbIBAx8bGxEDAQEDBRsOvwm8Bo4L0AKABJ0NsgECIBscFAoYEMEJugaOC9ACgASeDbEBAiAaBgEWFAoXELIJARG2Bo4L0QL/A58N0wEaDgINFAoWGKgJAgQBAwcOAQWtBo0L0gL/A58N0wEMBggNBAsVChUYrAkEAwIZqgYBAYwL1AL+A6AN1wEECwUNBgUBAhcKFRKtCQIgqQaMC9YC/QOhDc4BARgEAQIJJwkUEtAJnQaWC9gCDATrA6INzAEHFgIBBAcnChMQ0AmbBpYL2wILBeoDow25AQIOCiIpChEQ0AmZBpYL3gIKBekDpA25AQINCyInDQ8S0QkBBJEGlQviAgkE6gOlDbgBAQ4MICYQDg7YCY4GlAvmAgQC7gOmDcYBDR8lEg0O2QmMBpML7gLuA6YNxQEQBwMSJRQLENsJiQaRC/ECBAPmA6gNwAEXAgYPJhYKEN0JhgaPC/QCAwXlA6kNeAVBIA4mGQUO3gmEBo4L/gLkA6oNdAo8JAwZBwcSzgkCD4MGiwuCA+IDrA1xDDskCwICFQsFEs4JAxCABokLhQPiA6wNbw47IwoBBRIPAxTPCQMQ/AUBAocLiQPgA60NbQ40AgEnERERAhK5CQEp/AWIC4oD3wOuDW4KNwECJxMPEgEQuQkCKfsFhguMA98Drw1uAj0CAi4MDgrkCfsFhQuSA9kDsA2zASsNDgzlCfkFhQuWA9YDsQ2zAQgEHgwODuYJ9wWFC5sD0QOzDbMBBwUeCw6FAQEQ5gn0BYcLngPPA7MNpAECCgIDBQUfCg0SzQkBGfEFiAuhA80DtA2jAQIKAwMEBh0MChTOCQEY8QWHC6QDvQEEiQK1DaIBAgsDAwQGHwoKFs4JAhfwBYcLpwMQB6MBEP4BtQ2jAQEMAwMDBx4OBhbPCQIW7gXiCQMCAp8BrAMIDp4BFPsBtg2xAQwEHA4GEucJ6wXlCQmcAcoDjwEf+AG1DZwBARYLBBsPBRLnCesF5wkImgHPA4kBJfMBtg2cAQQUAgQEBBoS5wkBAegF6gkFmQHUA4QBKvABtg2cAQUSAgwaDukJ5wWIC9YDgAEv7gG3DZsBAxQBDxcK6QniBYwL2QN8MuwBug3AARYQ6QnbBQIEjQvbA3kz7AG8DbMBAwMBBBYO6gnbBZIL3wNzNewBvw2vAQQBBAIWDuoJ3AWRC+UDazfrAcINrQEEAQMDFhLrCdUFAQEBA7wCAdQI6QNmOOsBww2sAQQGFxDrCdUFBAK7AgHVCOoDZDnrAcMNrAEEBhYO7AnVBb4CAdYI7ANiPOkBww2sAQMGFwztCdUFlAvsA2E+5wHEDawBAQcXCu4J0wWVC+0DX0ffAcUNsgEYCu4J0gWVC+4DXk3ZAccNrwEaDO8JzwWXC+4DXVDXAbINBBOsARoM7wnPBZYL7wNdUtUBsA0JEqoBGg7wCc4FlQvwA1xjxAGuDQQGAxKpARoO8QnMBZUL8gNbZcIBrA0DCgMSqAEaDPMJxwWXC/MDW2bAAboNBBKnARkO9AkjAaIFlgv0A1tmwAG7DQ0IpwEZFPQJIwEBAaAFlgv1A1pnvgG+DQYEAwaeAQEIGRTyCSYBAQObBZcL9gNaZ70Bwg0EBQMEnQECCRgS8wklB5kFlgv4A1lovAHEDQMFowEBCwYEDRDzCSUImQWVC/gDWWi7AcYNAwWuAQYEDRbzCSQLBgSLBZYL+gNYaQoJYgNByA0EBqsBBQMOGvMJJA0EBooFlQv7A1drAxNXAwMGCgEyyg0GBakBBQMOFvQJIxiJBZQL/QNXhwFNAwUKAwcwyw0IAaoBBQQMFvUJIhiIBZUL/gNWjAFDBQQWAQItzw2vAQcEBgMDEvcJIBiHBZYLgARVkAE+HgQBK9INrAEIBAYQ9wkgGoQFlwuDBFORATofMNUNqwEIBAUS+AkfHoEFlguGBFCTATgfCQEk2A2rAQgDBhL5CR0j/QSWC44ESZMBMCoFAiHbDa4BBAMFEvoJHCX4BAEBlguYBECaASgsBAQd3g2zAQUS+gkdJPgEmAucBDycASQvAgYJBATpDbMBAw76CR0k+ASYC6AEOKIBHToC9w2xAQIK+gkeIvkEmAukBDSpARS1Dgr6CR8h+ASZC6cEMKwBELcOCvsJHiH4BJkLqgQtrwELug4K/QkcIfkEmAurBCuyAQe6Dgj+CRwg+QSYC64EKO0PCv8JGyD4BJkLsQQk7A/AAQIK/wkbIPgEmQuyBCLsD8ABAgz/CRsh9AMBgwGYC7MEIOsPwgECDP8JGyH0AwKCAZkLtAQd6g/EAQIM/wkcIfMDAoIBmgu0BBvpD8YBARCAChsi8QMEDwEBAW+bC7UEGOkPxgECEoAKGyLxAwQOBQkGYJsLtQQWygQEmwvHAQIWgAobI/ADBA4ECAcBAV+bC7YEE8wEBZkLvwECBgIaggoZJMQDARcGDAYHAQQCBAxjmwu4BA/MBAKUCwYDvwEFFIMKGCTDAwYNHwUBAxhfmwu6BAvOBAOSC8kBBRiEChclwQMICx8FIAYCVJsLvgQD0gQFjgsDAgwFtgEEEoQKFyXBAwsHEAI1AwJWmguTCQeSCwkJEoQKFyXAAxABSwECVpoLkwkJCwSCCwcLFIQKGCW/AwoBAQMIAUhVmguTCQsHBpULCAQUhAoYJcEDBwUIAkgbBTaYC5QJDAMJlgsIBRKEChkkywMFA00YCTSYC4IJBAkelgsHBhaEChoj+gIBUAUDCwFCFwsylwuDCQYGH5cLCgIYhQoaI/kCAlECBQoBQxYNMJcLzAYDtAIDAiabCwkBFoYKGiP3AgJZCgFFDxMwlQvOBgK0AgIEJ5wLBgEUhgobIvYCAiYBM1EMFi+UC84GBLMCAgQnmwschgodIfYCAQgGFgQvUgEBCAEBGS6TC88GBLQCAQUnmAsDARyHCh4g4gICEQEBEBIJKVQIBAEZLpELzwYFtAIBBSiWCwUBFokKHR/fAgUOGA8KJmABGy6QC9AGBrQCAQMqlAsWiwobIN4CBQsdDgICBSZcAx4tkAvPBge4AiuRCxiMChwf3QIFCCYGAwUEJX4tjgvRBgawAgQBL48LAwMcjgobBwMV3AIJAjMDBwIBFgEJfiyNC9IGBi0BgQI2jAsDBRaPChsGBBTdAgYBQxYECH0siwvUBgYrAoACOJMLFpEKGwQEFN4CAwFGFwQHfSuLC9UGBikCgAI6kgsWlAoZBAQT3gJLFgUJeyuJC9cGBicDgQIDATWSCxiWChgEBBTbAgIBRwEBFgYMeCqIC9kGBSYEhgI0kgsYlwoXBQUT2QICAUgNBQUKCXophgvaBgYlBIcCM5ILHpgKFwUEEQIB1wICAUwKBgQMCHooxgoBPtwGBiMEiAIziQsGAyDQCQJHFwUDDwQB1QICAVEGCAMNCXkoxQoBPd0GByIEiAIziQsGAhrQCQJIFwUDDQUB1QJiAg8HfCbDCgM83gYIIQSJAjSHCxjQCQNIFgYCDQUB1QJ0BX4mvwoGO98GCCEEiQI2hwsW0QkCSRUVBgHTAnUBgwElvgoHOuAGCSADigI3hwsU0gkBShUUBgLRAvsBJbwKBjvhBgoeBIsCNYgLFtIJAUsXEQUEzgL9ASa7CgQ74wYKHgSMAjSGCwEBEp8KFhEFBcsCgAIluwoCO+YGCR4EjAI0iAsSoAoVEgQGyQKBAiboCQOKAekGCR0DjgI1hgsSoQoXEQEIxgKDAifmCQWIAesGCBwEjwI2hAsUogoWGsQChQIkAgHmCQZKAzjtBggcBI8CNoILFKMKFhqxAgEPhwIo5gkESwM28AYHHASQAjWBCxqlChQbsAICAgUBAgKJAiUBA+YJA0oENfEGCBoFkAI2gAsYpQoVG7ACCQGMAiUCAuYJAyABKQQ08wYHGgWQAjaACximChQcrwIHAY4CJQID5gkBHQUoBTP1BgcYBpECNYELFqcKFBuxApQCKAEBggoFKgUy9wYHFwWTAjSBC6EBAhinChgargKTAicBAQEBgQoFKgYx+QYHFgWTAjWBC58BAxinChgcpQICA5UCJwEB/wkHLAUx+gYIFAaTAjWBC5wBBBqPCgEXGBylAgUCkwIo/AkLKwYv/QYIEwWVAjX3CgEImQEGGo8KARYZHaQCBAGUAin9CQorBi2ABwgSBZUCNvUKAwScAQQajwoCFRodowICAZYCKvwJCSsFLYMHCBEElwI19AoEAZ4BBSKOCgMVGh6eAgIBAQKXAioBAfEJAwcIKgIuhwcIEASXAjbzCgICnwEBAQIijQoEFBsemwIFAZkCKwEB8QkEBwYPBhQDLYoHCA8DAgGWAjXyCgMCnwECII4KAxQbH5oCAQECApkCLPIJBAgEEAYTAyqPBwgNBAEJkAI18QoDARikCh0fmwICAZoCLAEB8QkBCgIRBzyUBwgMEI4CNu8KFKQKHSCZAgIBmwIDASmPCgg0ngcHChKOAjbqChSjCh4jlQKfAgMCKAEBjQoIMqEHBwkSjwI26woUpQocK4wCnwIFBCaOCggxogcJBhSOAjfpCqIBARyTCgUIAgMcLIcCowIFBCYBAeEJASsHMKMHCgQWjgI/3wqjAQIalAoOAx0qiAIFAZ4CBAMo4AkDLAQxpAcNAReMAkLcCqQBAhiVCg4CHimJAgQBnwICAykBAdwJBGGlByaLAkTaCqQBAhSWCg8BHyeKAgIBpQIpAQHeCQJgpgcmjAJF1woOmAouJooCAQGlAivACqcHJ4wCR9QKDpkKLySKAqYCLAEBvgqnByePAkXSCg6aCi8jiQIBAaQCL74KqAcnkAJE0QoOnAouI4gCpQIvAQG8CqoHJpECRNEKEJ0KLSOAAgEGAQGlAjC8CqoHJ5ACRc8KEJ4KLCT/AQIFAQGmAi68CqwHJ5ACRM8KEp4KLSOAAgMCAQGnAi4BAboKrAcojwJFzQoOngotJf8BBQGoAi66Cq8HJ48CRcsKDp8KLSWBAqsCLgEBuAqwByePAkbICg6hCiwlgQKrAi64CrEHJ5ECRkIF/gkOpQoqJv0BrAIvtwqxByiSAkY9DfgJDqYKKin5Aa0CL7UKswcnkwJHORH0CRCnCikp+AEDAasCLrUKswcokwJJNBTzCRKqCiYq9wEDAasCLrUKswcpkwJKLQgEDvEJGKwKJSn3AQMBrAIDAygrA4UKtAcqlAJJKwMCAgUP8AkYrQoLARko+AECAa0CAwIoMAOACrQHK5UCSCkFBxHvCRquCgkCGQICJfcBAgGyAigzAf8JtQcqlwJHJwUHEu4JowEBIK4KBQYaAQMk9wECAbICKB0BFgH9CbYHK5cCSCADAQUHFOYJAQaiAQIiugoZAQQk9gG0AikcBAgCCwL6CbcHLJcCSAYCFQgGAQIV4wkFBaEBA5QCASK6ChkCBCrwAQIBsQIoHA8KA/gJuActlAICAVMQBwQc4wkGBJwBAgIElQIBJLsKGQEEK+8BAgGvAgEBAwEkFwEDCBMD9Qm7ByyUAlkLBgUf4wkFA50BBpcCARy8ChkBAyzuAQIBrwIBAQIBJRgIGALzCb0HLJMCWwcs5QmkAQQWvQodLewBAwGyAiYZBBwD7wm/By2TAlsELuYJogEDFL8KHCzsAQMBrQIBBCY5A+0JwgcslAKMAeYJoQECEsAKGyztAQIBtAIkOATqCcUHLZQCiwHnCZ4BAhLBChos7QECAbQCJDkD6QnHByyVAooB5wmeAQIUwwoZLewBAgGzAiM5BOcJyQctlAJ7Ag7mCZ4BAxTFChcr7gECAbMCIzkD5wnLByyUAnsBD+QJnwECFsgKFCrwAQEBswIjOQLmCc0HLZMCBQNxAw/jCZ8BAxbJChQp8QEBAbMCIjkC5gnOBy2SAgUCcAUQ4AmhAQMWygoTKPIBtQIiOQHmCdAHLJECBgMMAmAGEN8JogECFsoKEyf0AbUCITcD5gnQBy6NAgkCCgVfBhDYCQIEFssKEgMCIvUBtAIhNgTmCdEHL4sCCQIJB10HENgJGMwKEQMBI/UBtQIgOALmCdEHL4wCBwMICVwHEdgJBAQWzAoRAwEj9QG3Ah45AeUJ0wcujAIIAggKWwcR4AkSzQoRJvUBuQIboArUBy2MAggCBwxZCBLfCRTNChEm9QG8AhegCtUHKgEDjAIIAQcMWAkS3gkSzgoQJvUBvAIXoArWBykBA40CDg1XCRbbCRLOChEl9QG8AhagCtgHKAEEjAIODVYJHdQJFM4KEiUIAeoBvgIVoArYBy+KAg4MVQseAgHQCRbOChImBQLrAb8CE6AK2gcmAgeKAgwNVAwkzQkDAhbPChIr6wHBAhKgCtoHKAIFigIMDVMOLpcBBaYIAwMazwoUKAQB5wHBAhJHAdgJ2wcqAQSLAgkOURAykgEHpggCAhjPChUt5QHDAhFHAtYJ3AcrAQSLAggOUBE0lQEDpQgCAx7PChUt5QHDAhBLAdMJ3gcrAgKMAgYPTxI2AwcTAWwMnAgGAwIBHM8KFS7jAcUCD0wB0gneBzCMAgUPThNGAgIIAz0DBAIhEJwIGs4KFy/hAccCDQEBTQHPCd8HMIsCBRBMFFABBDsNEx2cCBzOChcx3gHFAgICCgIBTwHNCeEHL4sCBRBLFVc4EgcmnAgtAhrOChcz2wHGAgxVAcwJ4QcwiwIEEUoVWyARAxUDKJsILAQgzAoBARg02QHGAgkGASsCJQLKCeIHL4sCBRBJFmAHAgoDA1aVCDEGGswKAQEYNtcB1AIBLAQlAckJ4gcwigIFEEgXYwNplAgvCx7MCgEBGQMBLwEE0wHUAgEtBQoDFwHJCeMHL4oCBRBHGM8BlQgrEBzMChwCAi8CAtMB0wIBLwQIBRcByQnjBy+LAgQQRRrPAZUIKhEWzgobAgIv1gGDAwQjAcoJ5AcujAIDEEQczgGVCCkTGssKAQIcAgEw1AHSAgEwBiIBygnkBy6NAgMOQx7OAZQIKRMWywoBAhw00wGDAwYiAcoJ5QcsjgIDDkIgzQGRCCwSGsoKAgMbNdIBzgIBMwghAcoJ5QcsjwIBDkEi0QGLCC0SRgEWywoCAxo20QGBAwofAskJ5wcrngJAI9YBhwgrE0UDFtIKGDbQAcoCAjYLHgLJCecHLJwCQCXWAYYIKxNGAhbTChY30AHEAgI9Ch8BCAK+CekHLJsCQCXWAYYIKhQazQoBBRY4zwHAAgE+AgELKQK8CeoHLZgCQibVAfoHAgkqFhTOCgEFFTnOAYADDSoBvAnrByyXAkIo1QH4BzUXGNAKAwQTPMkBggMMKgK5Ce0HLZgCPynVAfcHAgEyFzEBHtIKAgQSQMUBhAMBAQgrAbcJ8AcslwI8AQIr1AH0BwUBBAIsFzACGtMKAgQRPAEDxQGGAwctAbUJ8gcslgI/LNMB9AcKAisYLgMc1QoBBBE9AQHFAYcDBDABswn0ByyUAioBFC7TAfcHMhgoAwQDGtwKDwcBNsUBiQMBMgKxCfYHK5UCGQENAhUv0gH3BzIYJwUY3QoPBgMFATDDAY8DAd4J+AculwIfAxUw0gH3BzEZKQEY3woOBQQEAjDCAYoDBy0Brgn6By6YAigDBzTRAfcHMBka4QoPAgYDATLAAYsDBAIBKgSsCfsHMpUCJQYEN9AB9gcxGBTjCg0BBze/AYsDCNgJ/gcxlAIPDBE70AHzBzIZFOQKFTi9AYwDBzwCmQmACDGTAg0ZAz/QAfIHMhgS5QoVOLwBjQMGPAKYCYMIMZICCV/QAfAHMhkS5goVOLsBjQMGPAGXCYYIMZUCAmTPAewHNBoO5woVOLoBjgMF0wmDCDb7As4B6wc1GhDpChM5uQGOAwbRCYQIN/4CzQEEAeMHNBsS6goTObcBkAME0QmECDmAA8oBAwUNAc4HOBoU6woTObYBkAME0AkBAoIIOoMDzwEBAQcC0Ac3GxDsChI6tQHkDAECggg7iAPLAQUD0Qc2HBDuChA6tQHmDIMIPIoDyAEEAs8HAgI2HBbwChA5tAGyAwOwCYQIPIwDAgTAAQMCyQcDAwMBNxsS8QoROLMBtAMCCwGiCYUIPZMDwgG7AwGOBEEbEvIKETiyAbYDAQsBoQmFCD2UA8IBugMBjgRAHBLzChE4sQG3AwIJAaAJhgg+lAPBAboDAY0EQhsS8woRObABwwMBnwmHCD6TA8IBtAMEAQGMBEMbEPQKEDqvAcMDAZ4JiAg+lAPBAbYDBYoERBoQ9AoPO68BxAMBnQmICD+UA8EBuAMCiQRFGhD1Cg48rgHEAwGcCYkIP5UDwQG4AwGJBEQbEPUKDj2tAcQDAZwJigg/lQPAAbgDAYgERRoS9QoNPq0BtwIFhwEDmgmLCD+VA8EBtwMBhgRHGhT2CgtBqwGyAhEDBHoDmAmMCD+WA8EBtgMBhgRHGhj2CglEqgGwAhsDCXAClgmNCD+WA8IBIQGQAwPJAwI7RxkY9goIRqkBqgIucAKWCYwIP5cDwgEfAo8DAgEByAMDOkkYGPcKBkioAaMCN28BlQmOCD+XA8QBGwKRAwECAccDAzpJFxb3CgVKpwGgAkJnAZUJjghAlgPGARMHkwMDxgMENE8WGMcLpgGdAkcBAfgJkAg/lwPHAQ4JkgMGDgG1AwECAjFTFRzIC6QBmwJMbwGHCZIIPpgDyQEJC5IDAQMCDgG2AwIBAiYEA1YUHMkLowGZAlADAWkChgmTCD+XA80BAwuTAwEEAgsDtwMFHAQFXRMeyguhAZcCVQICZwUDAf4Ilgg9lwPaAZQDAgMDCQS3AwYRAgcGA18RHMsLoAGVAhkSLQMCawL/CJkIOpgD2QGVAwEDAwgGtwMGEAMDaxAazAufAZMCGhUrcQL+CJwIOJkD1gGWAwEEAwYItwMFDwQCbA8azQueAZICGRgrcQH+CJwIOJoD1QGWAwIEDQEDtgMGCQMCcw4azQueAZACGRosEAdZAf0Ingg3ngPMAZwDAgQLAgS1AwgHeQwazgudAY8CGRovEAZXAf0IoAg3nwPIAZ4DAgQLAwO1AwkGegsgzgueAY4CGBc1FQJTAg8D6wihCDafA7gBAQyiAwIDBAIGAgS0AwcJewgkzwudAY0CGBZBDAJQAxAH5gijCDWfA7cBAweYAwENAgMEAgYCBLQDCAEBBX0HIs8LnQGNAhYZRAgDTgIYAuQIpQg0nwO3AQQDmgMBDgIDBAINtAMIAQMCfgYgzwudAYwCFhtFVgH9CKoIMZ8DuAFHAbMCASUBDgEEBAMNsgMHAgMBgAEGJs8LnQGNAhMfDQE3CAJJAf0IrAgwnwO4AUELsAIBHAEHAQ0BBQQCDrIDBgMEAYABBSKXAwexCJ4BjAILLwUBOQYDxQmuCC+eA7oBQQa2AgEiAQwCBQQCDqgDAQaRAQUglQMJsQieAYwCCDMDAzrMCbAILZ4DugFBBbgCASEBBAIFAgUVpwMDA5QBBCKVAwmxCJ4BjAIIOgsBLwQDwgmyCCydA7wBPwa4AgEaAQYCAgIFAgQXpwOaAQMglAMJsgifAYcCC0gvAwXACbIIK50DvgE+BrcCAggDBgEIAQYFBR+mA5oBAySNAwIHB7IIngGGAg1JLwQDvwmzCCudA78BOwi2AgIJAwYBCAEFBgQgmQMBDJsBAiqMAwIKBLQInQEBAYECBAIHFwMzMHYCzAizCCudA8EBOAuzAgMJAwQDCAEEBgUgmQMCBgICKosDAsQInQEBAf4BAwUEGQcxMQUBbwHLCLUIKpwDwwE3CrQCAwkCBgIIAQIJAyDNAgJMAQUuiwMBxQidAQEBhgICGggzMQQBZgEJBMYItQgqmwPFATULswIDCQMGAwYCAgoBIAECywICQwIHAgMi0gucAQIBogIINTVkAwoBxgi1CCuZA8cBNgizAgQKAgcDBAMBL8sCAkMEBBzSC50BAgGhAgk3M7cJtQgrmQPIATYHsQIFCwIHBAI1ygIEQBECKrcDAoIIAhacAQMBoQIIOjG2CbUILJcDygE2DqcCCAMCBQIDAQM4AgHGAgICBBACKxACAgEmtgMEgQgDFZwBBAKfAgk9L7QJtQgslwPLATULpwISAQQCPQIBxgIDAQgBAgoBKhUBJLMDCIEIAhebAQQCtgEGDQVNAQIJQQUHHLYJtwgslQPNATQKpAJaAgHFAhEJAigiswMInAiZAQQCrgETCgRMClAcAgNPAt8ItwgslQPPATIJoQJeAgHBAhUIBiAeswMInQiaAQIBrQEYBgZMB1MhTgHgCLgIK5QD0QEwCaACY7wCGgYLFRa0AwqaCJoBAQKqASilASOtCbgIK5MD0gEwCp4CZLsCLBUWtQMJmQibAQEBpQEvpQEirQm5CCmSA9UBLgqeAma4Ai0RGLYDAgIFmAicAZ8BNqUBJaoJuggokQPXAS0KnQJntQIuDAEFGLwDAZoInAGZATylASdGAt8IvAgnjwPaASsLnQJnswIvDQEEGtcLnQGVAT8BAaQBLT8C3wi8CCiNA9wBKgybAmizAgECLA0BAxrHAweJCJ0BkwFBpgEvNAQDA+AIvQgnjAPeASgNmwJoswIBAisOGMYDC4YIngGQAUOmATIwC+AIvggnigPgASUQmgJpsQIBAiwMHs0DA4cIngGOAUWmATkoC+EIAgK4CAEBJ4kD4gEhFJkCarACLwsBAgIBGtMDAoEIoAGLAUenATkmC+IIAQO4CCqIA+MBHheYAmqvAjAKAQYe0gME/wehAYsBRqkBOCYK4ggCBLcIKocD5gEaGZkCaqICAgQCAgYBKwka0gMEAgP5B6MBiQFHqwE1kwkCBLcIK4UD6AEXG5kCa6ECDwErChrMAwMECvYHpAGJAUesATSTCQEGtggshAPqARMdmQJroQIBAjkKGswDBAQK9AemAYgBRq4BM5oJtggtggPsAQ8hmAJsoQIBAQEDNgwazAMDCAn0B6QBhwFGsAEwnQm1CC6AA/ABCiOZAmygAgQCNg3kAQEY1wMJ9geiAYcBRbQBLQECmgm1CC//AvMBAyeZAmygAj0L5QEBFNcDCPgHogGGAUXBATCOCQICsQgv/QKeApkCbZ4CPgoW1wME/AeiAYYBRMUBL40JAQOwCC/9AgUBmAKZAm6cAj8LFtcLowGEAUMHAb8BMY8JsAgw8gIDBgYClwKYAnCaAkANGNULpgGDAUIFBMABMo0JsAgw8QIEBgUDlgKYAnIDAZQCQg0Y0AusAYIBQQUEwgEyjQmvCDHwAgMGBQOXApcCdAMBkwJECxrPC64BgQFABgPDATOMCa8IMu4CBAYEA5gClgJ2AgKSAkUK5QEBGM8LrwGAAUAGAsMBNYwJrggz7AIPApgClwJ2AgKSAkML5QEBGNALrwF/PwcCwgE5igmtCDXqAg4DmAKXAncBAwIBjgJDChTQC7ABfj7LAT6GCa0IOOYCDwOYApYCewMBjQJHAxTiAwPsB7ABfT7JAUCHCawIO+ICEAKYApUCfAMCjAIS4gMF6gexAXw9yQFBhgmtCDzhAqoCkwJ/AQSJAhLjAwboB7IBez3HAUKHCa0IPt8CqgKSAoQBiQJXARbjAwnlB7MBej3GAT8dBOoIrQg/3gKpApMCgQEBAYkCVwMe5AMK5AeyAXo9xQE5JwPoCK0IQdsCqgKPAgIBggEBAgIFgAJPBAECAgQa4wMN4gezAXk9xAEaCBWVCa0IQtoCqgKQAoQBAgEDBvsBRwMFEh7iAw/iB7MBeD3EARAYCQICKgHsCK4IQtkCqgKQAoUBAQICBAEC+QFHHCDhAxHiB7MBdj7DAQdSDRQEBQfDCK4IQ9cCqwL/AQIMiAEBAgIEAgT1AUIiGuADEuMHsgF1P5oCEg8TvwgBAa8IQ9cCqgL+AQQIlgEBA/YBQSQY3wMU4geyAXQ9nAIWDBm4CAIBrwhF1QKrAvsBBgWcAfYBQiQY3wMV4geyAXI9nAIdBRy2CAIBrwhG0wKsAvsBBQOhAfQBQyMW4AMV4gexAXI9nQI+tQgBAbAIR9ICrAL6AQMBpwHyAUMkFOADFuIHsAFyPKICQq8IsAhH0gKsAvkBAgSmAfIBQSUU4QMW4wevAXE9AwGiAj2uCLEISNECrQL8AakB8AFAJhThAxfiB68BcUGkAjuuCLEISdECrQL5AagBAgLvAT8lFOIDFeQHrwFvQqYCOa8IsAhJ0QKsAvkBqQEFAe0BPiUU4gMU5QevAW9BqAI5rgixCEnQAqwC+AGrAQUB7AE8JxjiAxPnB64Bbz6qAjqrCLQISdACrQL1AakBAgMEAewBOyfWAQIc4gMR6geuAW4+fQanATwIAaAItAhKzwKvAvIBqgEDAgMB7QE6J9cBAxriAw3wB60BbD8BAnsBqwFGoAizCErPAq0C8wGsAQME7gE5KNgBAhTiAwv0B6wBaUSnAkahCLMISs4CrQLyAa4BCAHqATonFOIDCfgHqwFnRKgCP6kIsghKzwKsAvEBrwEIAeoBOicY4gMI/AeoAWZFqAI/qgixCEvOAqwCAwHrAbIBBgLpATsm1QEBGOIDB/8HqAFiRqgCRaYIsAhLzgKsAgMB6wGzAQUC6AE8JtUBARbkAwWBCKcBYEepAkiiCLEIS80CrAICAusBswEFAugBPCYW5gMChAilAV5JqgJNnQiwCEvMArEC6gG2AQMC5wE9JeQBARbuC6MBXEueAgUHT5sIsQhKwwK6AukBuQEBAugBPCXjAQIY8AuiAVkBAUqgAgYGUJkIsQhLvgK9AukBswEDCOgBOyXjAQEa4woCjQGgAQEBWUEBCKICBgZPmQiwCEu7Ar8C6QGzAQUI5wE7JRzjCgKOAaABVQEEQAMHpAIFBlCXCLEISrkCwQLpAbQBBAnnATokwAUBHOQKAY8BoQECAk0CBj4EBqgCAgdQlgizCEm3AsIC6AG2AQIK5wE7Ixj1C6wBNgoDAgg+BAazAk+VCLYIRrYCwgLoAbgBAQroATohFvYLrAExDw09AwaLAgciUJUItwhFtALEAuYBxQHnAToeGPcLrQEtEQs+BAaLAgsdUZUIuAhEswLFAuUBxgHoATkd1AEJGPgLrwEqEQlABAaKAhETVpUIuQhEsgLFAuQBxwHoATkc0wENIPkLsAEmFQZABgXEAQk9GwhWGRMjAcYHughEsQLGAuIByQHoAToZ0wEQDwIi+QuwARgIAWAHBL4BFjZcBgQDDxkcFgPKB7oIRK8CxwLhAcoB6QE7F9MBEgwEHvoLsAEUawgDvgEcMVkWCBkgDQLRB7sIQ68CxwLgAcwB6QE8ENgBFAoEIPsLsAEQcwQCvQEfMUcDCxoEGyAOAdEHvAhDrgLHAuABzAHqAT8L2AEYBgUe/guuAQ11BAG+ASAzQAgJGwMdIN8HvQgBAUCuAscC3gHPAeoBQgbZASMggQyrAQp4xAEiMgkIFAQTDAIhAh4eMwKrB8AIQKwCyQLbAdEB7QFBAdwBIxiEDKkBBH3JASAwBg8HDhFPHOIHwQg/rALJAtkB1AHtAZwCIxqHDKcCBAHFASEwAycPThwFBNoHwwg+qgLKAtcB1gHuAZsCItcDARiJDKUCAwHGASIwASkOThw2AqsHxAg9qQLLAtUB2AHvAZoCIhaODJ8CBAHIASFaDE8aOQGrB8UIPacCzALUAdkB8AGYAiMWkgybAs4BFAELWwpRBwYL5gfFCD6lAs4C0gHaAfABmAIiFJsMkQIEAcsBEgUJWwnPCMYIPZwC1wLRAdwB8AGXAiIUnAyQAtEBDQEDBwReCNAIxwg9lQLdAtAB3QHvAZcCIxCdDI8C2QEEbgfRCMcIP5AC4QLOAd4B7wGXAiMSngyOAtoBAm8HgQECzgfICD+OAuICzgHeAe8BlwIjEp8MjALPAgOBAQXMB8gIQYwC4gLMAeEB7QEBAZYCIxCgDIsC0AICvgECkgfJCEGKAuQCygHiAe8BlQIkDqIMiQKQBAKSB8kIQogC5QLJAeQB7wGUAiQOowyIApEEAZEHywhChgLmAsgB5QHwAZMCJQ6kDIgCBwGaC8sIQ4UC5gLGAecB8AGUAiQOpgyGAgcBmgvMCEOEAuYCxQHoAfEBkwIkDqgMgwIHAZsLzAhEhALmAsIB6gHyAZICJRCpDIIC/AMCpAfOCEOEAuYCwAHrAS4BxQGSAiUSqwz/AQcB9gMCowfOCEOEAuYCvgHtAS8BxQGQAigQrAz+AYAEAaEHzwhEggLnArwB7wEvAsUBjwIoDq4M/AGiC9AIQ4EC6QK6Ae8BLwTFAY4CKBKxDPkBggQB7AUCsQHQCEOBAukCuAHxAS8FxgGMAigUtAz2AYIEAQ4C2gUFrwHRCET/AeoCtwHxATEFxgGLAioStwzzAZAEBNcFB68B0ghE/QHrArYB8gExBsYBigIqFLkM8gGQBALZBQWvAdMIRewBBgjtArUB8wExBscBiQIqFLwM7wHrCQOxAdMIOAIM5gEOAfECtQHzATEGxwGJAikQvwzsAZ4L1Qg3AgzkAYMDtAHzATAHxwGJAikSwQzqAfAJA6sB1Qg3AgziAYUDtAHyATEHyAGHAioUwwznAfAJBCcBggHWCDYDDd4BiAO1AfEBMQjJAYUCKhjEDOYBigQBjwYCggHXCDUDAgEL3AGJA7UB8QEkAQsJywGDAikYxgzkAYoEAY8GAoIB1wg2AwECC9QBkAO1AfABJQELCssBgQIpFswM3gH+CQEcAYEB2Ag3BQvRAZMDtQHwASUBCgzLAYACKRTQDNoB/gkGFwGBAdgIOwEMzQGWA7QB8QEvDcwB/wEoFNQM1QGACgEDApgB2AhIywGYA7MB8gEmAQcOzQH+ASgU2QzPAYEKAZ0B2AhIyAGcA7EB8gEnAgQQAwPIAf0BJxTaDM4BMQLnAwKCB9oISMQBnwOvAfMBKRgCAcoB+wEnFtsMzAEpAwYB5wMDggfaCEjCAaEDrQH1ASkXAwHLAfoBJxrcDEkDficC8wMDgQfaCEjBAaIDqgH4AQgBHhoCAcsB+wEl1QMBHt0MRwQCAnknAe8DAwMEgAfaCEi/AaUDngGDAggBGx0CAcwBAQP2ASUa4AxEBwUBc5gEDP0G2whIvgGmA50BhAIHAhsdAgHQAesBAgklHOQMRAIGAnCaBAQCAoIGAX7bCEi+AacDnAGEAgYDGSLRAekBBAkjHOYMOw4DA2ybBAWFBgR73AhHvQGoA5sBhAIGAQECFiTTAegBBgciHugMOBIDAmmdBASEBgV73AhIuwGpA5sBhAIFAgECAwERJdQB5wEHBR8g6Qw1FwICZp4EBIQGBXvcCBABN7sBqQOaAYUCBAICAQQBECbVAeYBBwUdHOsMMR5lngQDhQYEfNwIDwI3uwGqA5kBhQIDAgICBAEQJtUB5gEnHu0MLiBjOwUNAtEDAQcC/QbdCEa8AasDmAGJAgIDAwIIAQcm1gHmASUg9QwiJWIGATMJCAjVAwL9Bt0IRrwBqwOXAYoCAQQBAgEBBwIGKNYB5gEjIPoMGiphBgILBhwf0greCAwCN7wBrAOMAQMGiwIBBwEBBgIGKtYB5gEiIvwMFi1iBAMJCAMDEyIDBMoK3wgMAjW9Aa0DiAEHBJMCAQMBBgUr1gHmASEc/gwRMWMBBgUVAzXJCuAICgQ0vQGtA4YBCQEBAp4CAy7WAeUBIhKADQ01agJPyArgCAsDNL0BrQOFAd0C1gHlASIUhA0DPLwBxQrhCAoBAQICATC+Aa4DhAHdAtcB5AEiDsQNvAHDCuIICgkuvQGxA4EB3gLYAeMBIg7FDbwBwgMD/QbjCEG6AbIDggHeAtkB4gEhDscNuwHAAwT8BuUIQLgBtQOAAd8C2gHhASAQyA22AQQCvwME+gbnCD+2AbgDf98C2wHhAR8SyQ21AQYBvgME+gboCAQCObMBuwN94ALcAeABHhLKDbgBwgMD+QbpCAMEMwEEsQG7A3/gAt0B3wEdFMsNuAEFAbsDA/kG6ggCBTIBBLABvQN94QLeAd4BHRjNDbcBBQK5AwLvBQEJA33rCAIFNQEBrQHBA3zhAt4B3wEcGM4NtwEBAwEDqAkCCAN87AgCBTStAcQDfOIC3gHeAR3mAwEUzw2+AacJBAcDe+4IAQY1qAHHA3vjAt4B3gEd5QMCENANvgGmCQWDAfYIN6IBzAN64wLeAd8BHeQDAQ7RDb0BpgkGggH3CDadAdEDeuMC3gHfAR0U0g2+AZgJAQwGgAH5CDaYAdYDeeMC3wHeAR4GA9gDARTTDb4BlQkEDAV//Ag0lgHYA3njAt8B3gEeBQXXAwES1A28AZYJBA0Df4IJMJQB2gN54gLfAd4BHwUDEtUNtwECAZcJBI0BhgktkgHeA3jiAuAB3QEfBgIW1g22AQIBuQME3AUBjAGJCSyMAeUDd+MC3wHeAQkCFAUCEtcNtQG8AwXmBowJLIgB6QN24wLgAeABBgMUBQEU2A22AboDBuQGAgGMCSqEAe0DduUC3wHfAQYGEQUBFNkNtQG7AwXqBowJKIEB8AN24wIBAd4B4AEFBw8FAhDaDbUBuwME6waOCSV/8wN14wLgAeEBBQcOENsNtAG8AwTqBo8JJH32A3TkAt8B4QEFBw4Q3A2zAbsDBesGjwkje/gDdOQC3wHiAQQHDhDdDbMBuwME7AaPCSJ5+wN04wLfAeIBBAYPDN4NsgGsCo8JIXn7A3TkAt4B6wEQDOANsAGtCo4JInf8A3PlAt8B6QESDOENrwGtCo8JIXf9A3LlAt8B6AETDuINrgGuCo8JIHb+A3LmAt8B5QEWDQgO5A2rAa8KkAkgdP8DcecC3wHlARYMCxLlDaoBsAqQCR9zgARx6ALeAeQBFwQBBQ69AwES5w2nAbIKjwkfcoIEcecC3gHkARgEAgIQvAMBFOkNpAHAAwHyBpAJHnCEBHHnAt8B4wEZBQECDxgBGusNoQHAAwLyBgIBjgkVAgZhAwiIBHHnAt8B4wEaCA8FAg8CFu0NnwHAAwL0Bo8JFgEGX5YEceYC3wHjARwFEAQEDQQY/A2PAcADA/MGkgkcXZcEceYCAgHdAeIBFQMOAQoFBQsFGoAOiwHAAwPzBpMJHFmbBHDmAgIB3QHjAQEDDgcLBAgFCQcGGoIOiQHAAwP0BpQJG1ecBHHlAgIB3QHYAQIODAoKBAcFCwUGGoQOhgHBAwP1BpQJGlaeBHDlAgEC3AHZAQMNCw0IBQYEDAUGGIcOgwG6CpUJDQEKVZ8EcOUCAQLcAdsBARAIDgcGFAYGFIkOgQG6CpYJGFKhBG0CAekC2wHtAQYQBgYQCQcSig6AAbsKlwkWUKQEbAIB6QLbAYQCBgYOCgYWjA5+uwqYCRRNqARsAwHpAtoBhQIGBw0KAwEBmQMDGJAOebwKmQkTSqsEbAMB/gEBaysCrAH8AQQGBQgMqAMCHJcOcrwKEAaDCRNHrgRu/gEDayQNqQHdAQgBBBEFBgUJC6UDAxyZDnC4CgMCBgiLCRJDsgRw/AEDbCERpwHdAQ4PBgcECwqjAwMgmw4YAgICULcKBAMDA5IJEjTBBHH6AQRsIBKnAd8BEQoGCAMLC6IDAh6dDhYHT74DAvcGBQeTCRIwxQRx+gEDbh4TpgHhARALBQgDCwyhAwIinw4DAg8HT74DAh4C1wYHAZgJES/HBHD6AQRtHhOmAeEBEQsDCQQLC6IDAR6jDgICCwlOvQMDHgPWBqAJES7IBG/7AQRuHROnAeEBEQsCCgINChqrDgYKTr4DAh4E1QajCQ8syQRv+wEEaAEFHhKoAeIBECUKFrwOTd4DBNYGowkOK8oEb/sBBGgBBh0SqAHjARAkChi9DkzgAwHXBqUJDSnLBG/6AQRpAQYeEKkB4wERHAIFDhi4DgEETLgKpgkMJs8EbvoBA2oBBh4QqgHjAQ8eAgYPFrcOAwNNtwqmCQ0j0QRu+wEBch0RqgHjAQ8fAgcNGrcOBAFOtwqmCQ4h0wRs+QEBAQJyHRGqAeMBDiECCAUCBBa3DlO3CqcJBAEIINQEbPsBA3IbEqoB4wEPIQIOBBa5DlG3CqkJAQMIH9QEbPoBBHIbEqoB4wEPIwEMBRa6Dk+4Cq0JCBUEAtkEa/oBBHIbEqoB5AEOJAELBRa7Dk64Cq0JCAEDD+EEa/oBBXEaEqkBAQHlAQ0wBBq9Dky3CgMCqgkOCrYBBagDavsBBXEaEw8ClgEDAeUBDS8EIL4OS7gKAgSoCQ8DuwESnQNp+wEFagIFGh0BCJQBAwHlAQ0KAh0CBQMcvw5IAQGOAgGrCK0JywEWmgNp+wEFagMEGyaTAekBDAoDAgEaAiDADkUDAo0CAqgIsAnKARaaA2j7AQZrAgQbKZAB6QELCwMCARMDBQILEyDBDkQCA44CAqYIsgnKARScA2f7AQVsAgQbKpAB6QEKCwIHAw0FBAELFCDCDkQCAu0BA8cIsQnMAQ+fA2b8AQNtAwQbK48B6gEIDAIHBAwGAwIKFCDDDkPuAQnECLIJzAEMogNl/AEDZgIFAgUbLIwB7QEHCwMIBAsHAwELEx7FDkLrAQ0qApgIsAnPAQGqA2T+AQJmAgwbLooB7gEGCwMJAgwIDhMexg5B6gEPKQIOAYsIrwn6BGKAAgJnAQocL4kB1gEBFwQNAhgKDRUixw5A5wESKgINA4MBAYcHAgKpCfoEYYECAmcBDBowiAHVAQQXAQ4CGAsMFiTIDj/mARQqBAsCggECigeqCfsEYP4BBGgCCxoxAwGDAdYBBAIBIgIXBAMHCxYiyQ495wEUFAQUAwoCgQEDigeqCfsEYP4BBHQaLgIDAQKDAdcBBzoDBQcLFCDKDjznARQTBhUCCQGCAQOJB6oJ/QRe/wEDdhkvAgaCAdcBCDkCBwYMEx7KDjvnARUSCKIBAYwHqQn+BF3/AQNxAQQYMAIHggHXAQY6AggGDREgyw465wEUEwiwCKcJlQEB6gNb/wEDBAJsAwIXMwEGggHVAQFAAQsGDQ8ezA445wEUFAmxCAEECAiOCZQBB+gDWv4BBXEDARg7f9YBA0wFDg4ezQ435gEUFAqxCAMCBweOCZUBC+YDWP8BBXUXPH/XAQMmAiUDDw0gzQ444wEVFgmxCAMBBgOTCZYBDuMDWP8BBWgBDBc9ftcBAyUFJQEQDCLODjjfARcXCbIIAQMCBpAJmAEP5ANX/wEEaQEHAwIXPn7XAQIlCCIBEQsizw442wEYGgi+CI4JmQEQ5QNWgAIDaQIDAQIDAgEDEz4BAXzXAQIoBjUKJNAON9oBFh0JvggDAocJmAER5wNUgQIDagEDAQIDBRM4AQh8ggIHJwMEAQQKItEONtgBFCkBvwgBBYQJmAES5wNUgQIDbgECAwQTOQEIe4MCCCYEAwEDCybTDjLZARMrArIIAgYCBYYJBAWOARPpA1OCAgJtAgMCBBNCeYUCCgEEHwQEAQILItQOMdcBFSsDsQgCBgEEhgkDCooBFekDU/ECAQoSRHiFAhECAhcBAgMHCyDVDi/XARYkBAMOpggCCZcJggEb6gNTgQIBeRJFdtcBAywQAQQXAgsMGtYOLdYBGCQbqwiYCX0e7ANSgQIBeRFGdtcBAiwWGAMKCxzYDivVARkiHqwIlwl5IewDUYECAnkRRAEBdoUCFhgEBQICDCDZDirCAQMPGx8iqQiZCXUk7QNPAQH7AhFEAQF01AEBMhYYBQMEAgsg2g4pwQEJAyIcJ50BA4AHAgWaCWIJBSjtA1L6AhFGctUBAjIVGgwDCSDbDijBAS8WLZoBA4IHAQaaCV857gNR+gIQR3HWAQIyFQwCBAEHDAQJItwOJ8EBMBIylQgCAgELmglOAQw87gNR+QIRR27YAQMyFA4BAwIHDQMKKN0OJsEBMBA0WQK5BwMCAQ4CAZUJSgcEQe4DUfkCEEgIAWPaAQMyExMCBw0HAwIBKt0OJ7IBAwozDDdSAQQDuQcCAwEOAQKVCUhO7wNQ9QIBAxBIBwRg2gEEMhIUAgcNDQEi3Q4nsQEIBjQJOVAEAwTOB5cJRVDvA1D1AgEDEEgHBF/bAQQyEBYCCAwk3Q4orwENATMHPU8L0AeXCUNS7gNQ7gIBBgECEUkFBl3bAQUxEAgDDAIIDCjaDiytAQsENAU/OgQVBdEHAgSSCUBU7wNP7QICCRFJBAda3gEFMRAFCQgDCAIDByLbDi2qAQwDNQU/qQgCBJIJPlbvA0/8AQFyAQcSVFjfAQYwEQQLBwMOBibcDiyoAQ4DNQRAkAEDlgcCBJMJKAESWO8DT/sBA3EBBxFVV+ABBjAQBAwGBA4FJt4OKqcBEAE3AkGJAQqdB5MJJA0HWvADTvoBBHIBBRFMAQlX4QEGLw4GDAYEDwQo3w4qpQFKAUFtBwoCBQ2eBwEBkwkfcfADTvoBBHcSTQEGWOIBBi8MAgEFDAYEDwYk3w4qpAFLAUFjHAgKoQeUCRxz8ANO+gEEdhJUVeYBBy8JAwMEDAUFBQIIByrfDiuhAU0CQSMFJykPCaEHlQkZdfEDTfsBA3cQVQYBTOgBBwQBKgQHBAMMBQYFAQkHLN4OLKEBTQJBFxQlAgEjEgmgB5cJFXbyA036AQN4EFUGAzwBC+oBBwMEJwMJAwQMBQYOCS7dDi2gAU0DQg0dLhIdCKEHmAkSeAIB8ANM/AEBeA9YAQwwAQQCCesBCQEEKAIJBAMMBQcOCSrdDi6fAU0ERwEjLhMcCKIHmAkPeQMD7gNM9QIPZi0EAwUF6wEJAwEqAQoDBAsGBg8JItwOMJ4BTAVsJBwbCqEHpwruA0v1Ag9fAQcvAgIEAQEB7QEJQQsGBg8JINsOMZ0BTAZtISAZCqIHngr2A0v1Ag5eAwgvBgHuAQlDCgYHDwoHAiLbDjKcAUsIbR4jGAuiB5wK+ANDAQb1Ag1fBAks9QEHRgoFBxEEAQQGAiDbDjOaAUwIbxskGAqjB5sK+QNA/wIOXgQKJvkBB0cKBQYSBAEEBQMi2w4MASeYAUwKchUnFA2kB5oK+gM+gAMOXwMKKPYBB0gJBQUUBAIBBwMq3A4LAiaXAQECSQxzESkBAhAOpweXCvoDPYEDAwEKXwIMAQMaAQvzAQdICQUEFQQKAyrcDgsEJZgBSQ52CyoCAg4PrAeTCvoDPYEDAgIKYAEQGwEL8QEHSQkEBAkFCQMDAQYELN0OCwUklwFJDnoCLwEECwEDCbEHkgr6Az2CAwEBC2ABExkBCfEBCEkIBAQJCAkCAgIGAyLdDgwFJJYBSBCvAckHkgr6Az37AgIHC3UZAQfwAQdKCgQECAsMAQYDBwEm3g4NBSSUAUcRrwEGAcMHkQr8Azr7AgIHC3cPAQkBBfEBBEgOBAUHCw4BBgIHASLfDg4EI5QBRxKvAQUDwgePCv4DOYQDC3cQAQkBBPABA0kPBAUFDRYBBgMm4Q4NBCOSAUcUrgEDAQEFBgG9B4sK/AMBATiFAwt1EwEJAgHwAQNJDwUEBQ4dAiLlDgkFI5EBRxSvAQIIBQK8B4sK/AMCATaFAwxzFgEJ8QEESQ8FBAQQHAMk5g4HBiSQAUcVuAECBrwHigr8AwIBNRIG7gIMEQFhFwEJ7wEFSQ8FAwYPHQIo5w4FByWOAUkUuQEBB7sHigr9AwEBNRABAQftAgwRAWEXAgjuAQZJDwQEBgwUAggBJOgOAwgljwFJE8IBugeKCv0DAQE0EQECB+sCDnEZAgftAQZKDwQEBgsUBAcBJOkOAggojAFJE8MBuQeKCv0DAQIyEwEFBOoCDnEaAwXsAQdLDgQDCQcWBgQCIvQOKTsETEgTxwG0B4sK/QMCATIcAukCDg8CYBoEA+wBB00NBAMnB/cBASL2Dig4DUVJEcsBtAeICv0DAgEyFwIEAucCEA4CYBvxAQhODQIDKAj1AQIe+w4kNg9DSxDMAbQHhwr9AzQYBAEF5QIQDgJgG/EBB08OAQIpCRz9DiQBATEXNwEDTQ/NAbQHhQr/AzQXC+MCEm8b8AEHUgwsChr+DiMBATAcMVQOzgG0B4QK/wM0FwziAhFwGfEBCFQLLAoYgA8hLyItVg3OAbQHgwqABDYVDeECEW8Y8gEIVwksChqCDx8uJSlXDc4BtgeBCoIEOhAN4AISBwVjFvMBCFkILAsigw8eLSkmWAvNAbkHgAqCBDEJAg4O7wEBbxQCCGMU8QELWggFAxMCDw4ghQ8fJy0kWQrNAQICtwf+CYQELB0P7QECbx9iEvIBCV0HBQQTAw8NIoYPHQcBHTIiWQnNAQICtwf/CYUEKB8Q3AIBAR9iD/QBCGAGBgMUAg8NHocPHAgBGTYgWwXQAbsH/gmGBCYbAgQR2wIBAR9iDvQBCGIDLw4chw8cCQIVOR+wAgECuAf9CYcEJB4CAhLdAh9iDfQBCY4BAQUPGogPHQcDEhkJGh2wAgEEuAf8CYgEIiMT3AIfYgz0AQmPARYaiA8nERkMGRuxAgEDugf6CYkEISMV2gIhYQzzAQqHAQQEFhqIDygPGA8YGbMCAQG/B/YJiwQgIxbZAiFhC/MBCogBBgEXFogPKQobEhgWswK/B/gJjQQfIxfXAiJhC/IBCYoBHhSID00UGBO1Ar8H+AmOBB0kF9cCImIJ8gEJigEfFocPThYYELUCvwf4CY8EHSQY1gIiYwYcAdYBCIwBHhiGDwUDRhkXDbcCwAf3CZAEHCQZ1QIiYgb0AQZzAhkdHIUPBwREGhcKuAISAa4HBQHwCZIEGyMa1QIjYAb0AQV1BRYcHIYPBwRDGhgIsgIPAwUHsAfwCZMEGiMa1QIj2QIGdAgNAgUcGocPBwNCGxgItAILFKsH8gmTBBojGtUCJNgCBXIMCwUBISCIDwYDQB0CAQQBEQi1AgQZpgcBA/IJlQQYIx3TAiUBAdUCA3IOCikcjA8CAz8VAggBAwEDEgfSAqUH9gmWBBcjHtICKNQCAXMQCSkakg88FwIOAQETBtMCAgGhB/UJmAQVJB/RAijTAgFzEQkqGJIPOhkCDQICEwXYAqAH9AmZBBImH9ECBQIhxwMRCCsgkw8FCyUdAQ0EAhMF2QKeB/MJyQMBURAnH+kBAmcEBCDUAgFxEQgrHJQPAw0jKwcCEQXaAp4H8QmeBAwoIOoBAWcDBSDUAgFxEgYtGpUPAhMdLAgBEQTcAp8H7gmfBAonAQEg8QEBaR/FAxIEMBqWDwEXGSwbA90CnwfrCaMEBSoBASHwAQFgAQgfvwMYATMalg8BFxkrHQLfAp0H6gnTBAEBIfABAl8DAgEEHrwDGQI0FK4PGigeA+ACnQfoCdQEJNACAgMBBR7NAgJpUhavDxonHgPhApwH5wnVBCXrAQJhAwMBBxzMAgNoUxSwDxomHgHkApsH5wnWBCTsAQJgAwwbzAIDZ1MSsA8KAQ8nhAOZB+cJ1gQlzQIDDRrNAgFnVRSxDwgCECaFA5kH5QnXBCbNAgEOGs0CAWYcAjgQsQ8HAxEmhQOaB+MJ1wQm3AIbsgMcBTcWsg8GAxIlhgOaBwMB3gnXBCfbAhYDArIDCQUOBjcUtQ8DBBIlhgOdB90J2QQm3gITAwKyAwgGDgk0GrcPAQQTJYYDlgcEAt0J2QQn3gISAwKyAwcHBQIGCzSgAQEcrA8CDhMlhwOSBwkB2wnaBCfaAgEEEQMDsQMHBwQDBgwznwECGqsPBA4TJYcDlAcGAdsJ2gQn2gIBBBIEAbEDBw8FDTKeAQMYqw8DDxInhwOXBwIB2gnbBCjfAhEEAbADBxEDDzGeAQIYrA8CEAwthgOZB9sJ2wQp3gISAwGwAwYJAQoBEDCeAQIarQ8DDgsuhwOZB9kJ3AQp7AEBcRMCAq8DBgkDGTCfAQHUAgEavg8LL4YDnAfWCdwEKesBAnYPAgHNAgJfBgoBGyABD8oGARS+DwkyhQOfB9IJ3QQp4gIQAgLLAgReBiYeAw8Uvw8DOIQDoQfPCd4EKe8BAXIRzQIEXgYmHgQOFPsPgwOkB8wJ3wQp7AEDcxHMAgNeByUfAQEDDRT8D4IDpgfJCeAEKesBBXQTqQMHJCABAgIM/AYBFP0PgQOoB8YJ4QQp6wEFdBSoAwYlHwICAwv+BgIU/g+AA6kHxAniBCnrAQV0FagDBSQfAwIDCocHAhT+D4ADqgfDCeIEKO0BBXMXvgIBZwQlHgUBBAgW/w/+AqwHwQnjBCjuAQN0GLwCAwUDYAEmHQsH/AQDFv8P/gKtB8AJ4wQo7gEDdBoDBrECAwQEhwEdCwT/BAMWgBD8AgMHpQe+CeQEKO8BAnUkrgIEBASHARwNA4AFAhSBEPsCAwqjB70J5QQn7wEBeCOtAgQDBYcBHA0DFIEQ+wICDKMHuwnmBCbqAiOrAgQDB14CJxsOAxSDEPkCAQ6kB7kJ5gQm6wIiqwIEAghcBiUbDgMWhBD4AgEPpQe3CecEJOUCAgUjqQIFAQpZCiMbDgMUhRCIA6YHpgICjAfoBCTlAgIGI6gCE1cIJB0MAxKFEIkDpwegAgSOB+gEI+8CIqcCFlYGJR4LAxSFEPYCAROoB50CA48H6gQi8AIipQIYVQYlHwoCFIUQiwOnB5wCApEH6gQh6wIBBSOjAhlWAigfCwEShBCNA6cHjwIfgAfqBB/qAgUFJKACG4ABHgsBEIQQjgOmB4UCLP0G6wQd7AIEBSWeAhyBAR4QhBCRA6QH/QE1+gbsBBzuAgEIJZwCHYIBHQ6DEJMDpQf2ATv5BuwEGvoCJ5kCHIQBHA6DEJQDqAfuAUH3Bu0EFv0CKpUCHIYBGw6DEJUDqQfoAUb1Bu8EE4ADKZQCHocBGRCEEJQDqwfkAUn0BvAED4MDKpMCHkMDQxcUhRCTA6wH4gFL8gbyBAyGAyqRAh8GAjoFRAsCCBqFEJMDBAQVBAYK/AbgAU3xBvUEBokDKpECHwUDOQpCCQIIGIYQkwMCDQsc9wbeAU/vBoUIK5ACHgMHOAUCA0QGAwgUhhCTAwESBiLzBt0BUO0GoAcCZCyOAimJAQIEBxSHEJIDARUDJPIG2wFR7QagBwJkLYwCKZABBvEGARSHEJEDAhcBJQMB7gbXAVbqBocILooCKAUFiAEGEoYQkgMBPgIE7QbKAWLqBocIL4gCKQIJhwEFEoYQkgMBPgEH7AbHAWQEAeQGiAgwhwI1hgEEFIQQlAMBPgEJ7AbDAWcCAuQGpQcCYTGGAjaGAQIQghCWAwFJ7AbAAWvlBqMHClwz/QEBBTgMghDmA+cGvAFt5QajBwxbNfoBQg6DENMDARTlBrgBceQGpAcNWjX4AUQShBDqA+MGtgF0AgLdBqUHDlUCAjb3AUYEAQ6EEOsD4wazAXndBqYHD1QCAjb2AU0UhRDrA+MGfAIyeN8GpgcRUwICN/YBTBIB1wYBEoUQ7APjBmEMDgIwet8GpgcUVDj1AUwRAxaFEO0D4wZpBAwDL3veBqgHGgIJBQM7N/YBSw8FFIUQ7gPjBk8HBxUGBCiCAdwGqQcvOTj3AUkNBBCFEO8D5AZRJiiFAdsGqwcvODj2AUgOAxCFEPED4wZGNCGIAdsGrAcvNzn1AUYPAw6FEPID4wZBPRmLAdoGrQcwNzj0AUQShRD0A+MGPEUSjgHYBq8HMDY55wEDCDgGAxCFEPUD5AY3Sw6PAdcGsAcxNTrkAQUFOxCFEPUD5gYzUAmSATcBngaxBzE1OeMBRRKFEPUDAQHmBi5UBpQBNwKcBrIHMjQ54gFGEIYQ+APmBipYApcBNwKbBrMHMTQ63wFJDoYQ+QPnBiX0ATcFlwa1BzE0Od4BShCGEPkD6QYf+QEeARcFlwa1BzE0OdwBTRiGEPoDAgLmBhv7ARgBBgEGAQ8FAgGTBrcHMTM52gFRGIYQ+gMCAugGGP0BFwEGAgUBDwUDBI4GuQcxMjnTAVkYhhD7AwED6gYTgAIWAQYKAxABBY4GugcxMTnTAVukAQEWhRD8AwED7QYNhQIUAQUCAiCNBrwHMTA50wFcowECGIUQ+wMBBO8GCYgCDgEEAgMCAyCMBr4HMS850wFcogEDFIQQgQTxBgWLAgYCBQEFKYsGwAcwLznSAVyjAQQSgxCDBIIJBAEDMosGwgcuMDjSAUsBC6kBAxCCEIQEAwO3CYkGxActMDjSAUoEBa4BAhKEEIMEAgS3CYcGgwQBwgMsMDjRAUoBA7QBAhSEEIMEAQa2CYYGgwQBxAMrMTdeAnBLAQWyAQESgxCEBAEHtQmFBsoHKzE2XQRuSgMFsQECEIMQjQS1CYMGzQcqMDZcBW5JBAWwAQMUhBACAYkEtwkHA/YFzgcsLzVbB2xLBAKyAQIShBABAokEugkEA/UF0ActLDVcCGpNtgEBEIcQigS7CQEF8wXSBy4qNV0HaU62AQIQnAMC6QwCAYcEwgnyBdMHLik1XQdoURCeAwHrDIcEvwn0BdUHLSo0YARnU7YBAQ6JEIkEvQn0BdcHLSoyYQNnVbUBARCJEIkEqwkGDfIF3AcrKTFgBGZWmgEBEogQigSrCQYN8QXgByooMGACZ1IBBJoBAg6IEIsEqgkGDu8F4gcrKC/HAUuoAQEOhxCMBKkJBhDtBeQHLCYvxwFNpgECDoYQjQSpCQYQ7AXmBy0lL8UBT6UBAg6GEI0EqAkGEuoF6ActJC/EAVGkAQMQhRCOBKYJBxPpBeoHLSQuwwFTBAKfAQEOhRCOBKYJBxTnBesHLyMtwgFVAwIOgxCQBKYJBhblBe0HLyMswgFUBAIQgxCQBKYJBhfjBZMEAdsDMCIrwQFVBQEOghCRBKkJAhjiBfAHMSErNwGIAVYMghCSBMMJ4AXyBzIfKzcChgFYDoEQkwTDCd8F9AcyHyo3AoQBXNQIAQqBEJMEwwneBfUHMx4qugFhEP4PlwTCCd0F9wcyHAEBKi0BiAFlzwgBEP4PlwTBCd0F+QcyGwEBKi0DPAFFag7/D5YEwQncBfsHMhsrLQI8AkFtEP8PlwTACdsF2wcCITEaKy0BPQE8dQ79D5kEvwnbBdoHBSEwHCoNAZUBeBD8D5oEvwnaBdwHBSAxHCoMAZMBfJgBAhT6DwEBmwS+CdkF3QcHHzAdKgsBjgEBA36XAQEO+g+dBL4J2AXfBwceMR0rmAECAX8Q9A8BBJ8EvQnXBeIHBxwyHiqXAQIBgAES9A8CAqAEvQnWBeYHBRszICiWAQIBgAHVAQIQ9w+hBLwJ1gXpBwUZNB8plQECAYEB0gEFEu8PAQGnBLwJ1QXrBwUYNR8olQECAYIB0AEHEO0PrAS7CdQF7gcDGTUfKJUBAQGDAc4BCBDtD6wEuwnSBfEHAhk1ISaSAQMChAHMAQgM7A+uBLoJ0QWOCDUhJpEBiQHMAQgO7A+uBLoJzwWSCDQIAxYlkQGJAcsBCRDsD64EugnNBYYIARExBgYWJJABiQHMAQcS7A+uBLoJzAWICAIQMQUHFyKRAYcBxwECBAcU6w+wBAMDswnKBYsIAhExBAcYIZABhQHIAQMEBhbrD7EEAgSyCcgFjggBEzECCAYDEB+QAYUBxwEDBQUWwgMBqQywBAIEsgnGBaUIMQIIAgcQH24BIIMByAEDFsQDAacMsQQBBLIJxAWpCDABCAIHER5sAx+FAcYBBBTEAwGoDLAEAgKzCcMFrAg4AQcSHWoGHoYBxAEEFMEDAQIBqAyxBLUJwgWvCDcBBxMdaAcdhwHDAQUUwwMDoQwDA7IEtAnABbEIOAEGFRtnCRyIAcEBBhLEAwOfDL8ErQm/BbQINwEFGRlmCxqJAcABBxLlD8IEqwm+BbYINwIBHBhmDRiKAb8BCIQHARLkD8QE/AgBLL4Ftwg5HxdkGA2MAYkBAzEJEuMPxgT6CAIsvAW6CD0cFWMbCo8BhgEFMAkU5Q/EBPoIAiy7BbsIPgMFFRNiHQmQAYQBBy8JGuYPxASlCbsFoQgBHD4DBxMNAgRgIQECA5EBgwEHLwkJBRjnD8MEpQm6BaEIAxtAAwcSDAIEXycCkgGAAQgvCgYHHOcPwwSkCboFnggBAgUaQQYDEwQBBAQEXygCkgF9CS8KBQkc5w/DBKMJuQWhCAgaQQMBAgITAwIGAwFhvgF5CjAKBAr4BgEY5Q8BAcMEowm4BaIICRlBAwIaBmbAAS8CRgovCwMLGOQPAgHDBKMJtwWkCAkYQgIDHAFnwgEsBkMKMAsDCxTmD8QEogm3BaYICBlBAgSFAcEBKgw9Cy8LBAsY5A/GBKIJtgWoCAgYQgEEHwEGBVjEASgNOwwxCQULHOEPyASkCbQFqggJFkIBBAUECQELBAMGV8YBJw45DTEIBQwg3A/MBKcJsQWrCAoVQgIDAQICBgYCCwMDCFbHASUQAwUvDTIGBQ0i2g/NBKkJrwWtCAoVQQIDAQMDBQYCCgMDAgIEVrQBARMkHikMNAMGDSLVDwIBzgSqCa0FrwgLFEICAQIFAwQbBFa0AQITGgEHJSENNQMGC/sGASDUD9AErAmsBbIICBVDAwgDAxMBBwNVtQEDERoCBikFBxAONgMGCSLSD9EErQmrBbQIBxZDAgsBAhMDBQJWtQEFDRwDBCsDDggPOQIECP4GARzPD9MErgmqBbYIBhZEAwkHAgYBBwFetAELBB8GAVM0AQUNFM4P0wSvCakFuAgFF0UGBAcCbbIBL1o1AQUNEs4P0wSvCagFuQgFF0oNAmyxAS9bNwECDhTPD9EEsAmmBbsIBRdOBAIDAW2wAS9bNwICEBTPD9AEBwGkCQQBpQW9CAMYTwMDcLABL1o8EhTPD88EAgECBKQJqQXACAEZTwIDcK8BMFo8FBLPD84EAwEBBaQJqQXaCE92rgEvCwFOPRYYzw/OBAICAQSmCacF2whPBAVtrQEvCQgJCAsSGz4WFs8PzQQDAgEDqAmlBd0ITQMIbK0BLgg5GEEGBgoYzw/NBAMCAgHwCAI3pAXeCEwCC2usAS8IOhJGBgwEFs8PzAQEAvEIBTeiBeAISQMNa6sBLgg9C00EDgMYzw/LBAQDCATlCAUzAgSfBeIIRQQQa6oBLgeWAQQRAhjPD8oEBAQBDOMIBjMCBpwF5AhYEAFbqAEuB5cBBBMBFs8PyQQEBAIM5AgENAMKlgXnCFcQAVunAS4HlwEEGM8PxgQHAwIM5QgDNQcDmAXrCFQRAVqnAS8FkgEBBQQc6g0E4AHGBAgDAgsFAt8IAjcIAZcF7ghTEQFapgEvBZIBAQUEGOkNBt8BxQQKAgcFAwaXCZ8F8AhRbqUBLwSTAQEFBBwBHOgNAgEF3QHFBBYBBAeXCZ4F1ggBGlARAlumAS8EmQEEHQEbAxrsDQTcAcMEBwURCJcJnQXXCAIaTRIDW6YBLQaZAQUdARQNHuwNBNsBwwQGBwcCCQSaCZwF2QgBGksUBVimAS4GmQEFHgEQBwEKIOwNBAgB0AHFBAYGBAwLBo8JnAXaCAIaSRQJVaYBLgWaAQUfAQ4JAQsg7A0FBgXNAcUEBQUFEgQPiAmbBdwIARpIFgMCBFSmAS4FmgEFLgkCCiLoDQMCBQUGywHFBAcDBCyDCZoF3AgDGkgBBBYEUqcBLgWPAQIJBjIFAwkk5w0FAgUFBcoBxgQIAQUtggmZBd0IAxpHAQZrpwEuBY4BAwUBBQQzAQIDAgci5w0FAwXSAcYEDi6CCZgF3QgDHEcCAg8CXKgBLQWOAQMCAQEDBQQ1BB0HIugNBAMG0gHEBA8ugQmZBd0IAx1HEAVcpwEtBiIDaAMBBwUDMwECAhsNIOkNAQYF0gHEBA8tgQmZBd4IAx5GDwdbpwEtBiEEaAMBCAQEMAQcEiDxDQQJBsQBwgQQLYAJmQXeCAMgRBEFXacBLQUgAXAHBgMxAhwVpAUBHPENBAgHxAHBBAIECyyBCZgFgwlDEgNfpgEtBT4BUwUHBE0XIvENBQcHwgHCBAIGCS34CAEHmAWFCUISAWOkAS0GOQhNAQQDCARKG7cGASbvDQgGB8IBwQQCCAcuDQEHBd8IAQOaBYcJQnWkAS4FNwtMAgMEBwRJHikCiwYBLO0NCwcEEASvAcAEAggILQkCAggBBt4IngWICUF0pQEqAgIGNwpLAwMIBQNFIycHAQKDBgEm7A0MGwOvAcEEAQkILQkY2gicBYkJQnKmASkEAQcpGEsCAwMBBAcCMgIMMxwKIusNDBoEsAHBBAEJCC0HHNgImwWLCUJxpAEqBQEHJxlVBAgCLAcIOB0JIOoNDRkEsAHLBAktBh/XCJkFjAlEc54BLA4ZAwkaVwEKAikGCjkhBiDqDQwaA68BzQQJLAYh1giYBfAIAR1FdJkBLREWBgURBgWUAQUEOSIGIOsNCcsB0AQGAgEsBiLWCJYF7QgGHEh0lQEuExMcCASRAQgEOBACEQcgvw/GBAEIBgMCKgcl0wiVBe4IBhxKbAUCkwEuFREcnwEHBDkOAxEIIr4PxgQCBwUFAwEBJgcrzwiTBe8IBh1QZQYCkQEvFg8coAEHBDkPAxEJIL4PxQQDBgQGBiYGL8wIkwXvCAccUGUGA48BLxcOHaABBwM7DwESCiS/D8MEAwYEBwMnBzHMCJEF7wgJHE9lBQWIAQEEMBcOHAgDlwEGAzsjAQEGIP4NAcABwgQDBgQJAiYJM8kIkQXvCAkcT2UDB4gBNBkMHAUIlgEGAj0k/g0CwAHBBAIGAwsCJgg2DwK3CI8F8QgJG1BkAgmHATQZDBsGBwIEkgEEAUAk/g0CwAHBBAIFAg0CJwY4DgK4CI4F8QgJHE9vhwE0GgocBgUBAQIFkwECAUAowA+7BAIDAgQCEAIlCDwJAbgIAQIBAogF8wgIHU5vhgE0IAQcBgYBCFAEQUGyAgIiwA+5BAkCAhICJQg9wggBA4kF9AgIHE5vhAE2PggFAgdQCD4FAzmyAgMkwA+3BA4TAh4CBAs7BgG7CAICiAX1CAgdTXCCATc9CgMEAQIDTwpINrICBCzAD7QEDxYCFwEFCQQCPgMEuwgCAQIBhAX3CAgcTRoEUoIBNzwLAgQCBQFOC0oyRgXpAQMsvw+7BAcYAhcDAwgGAT4DBbsIAQWDBfcICB1NEwMDBTgDFoIBNzoTAgUBTQ5NLUQJ6QEBJr8PvQQBHQIWDkUCB7oIAgODBfkICB1MEgUCBjcDFYIBODcdAkwPTCwaBiMNIsAP2gQCFQ5GAgi6CIYF+wgHHUwRBgIGT4ABOjQgAhAJNA5MLBsPFxIiwA/aBAMJAggOUrkIhQX9CAYeSxEOTn88MzINAgIvATQDICshDxAXIsAP2gQEAgsBCAEIVAEBtgiEBYAJAx9LEg5Nfz0wNBFfCR8rJBMHHB7BD9oEFwMHWLUIgwWkCUoREEyCATowGwEYEwITRgsfLCYOCB8iwQ/cBAgFBgUEW7kI/wSkCUsPEU2BATooAwQ1EwIQRw0gKykCAQULIB7BD90EBREEXbUIAgL8BKcJSg0TToABOSk8CAQCCARTDCArPCIiwQ/eBAITA162CPkEAQKqCUwKFU5/OSowAQsFGQFOCyArPSOaAQEBCBrBD/MEA163CPcElAkCGE4IFU5/OC1YAlEEJCo8J5YBERzBD/IEA1+4CPUEAwKQCQMXUAgTTn44LlcDeikEATYqlAEOHr8PEwHgBANeugj0BAECkgkDF1ARCk59OS9XAnsiAQU5LpEBDh69DxUB4AQCXrwI8wSVCQQWUBIJTn43MlUCfB8DBTcyjwEDAwUevQ8VAd8EA14CA7cI8wSWCQMXTxMJTYEBNDRTAn4DAg0NBjE6HL4PFAHfBAJdAwS4CPIElwkDFk4UCU6AATQ1UwGcAQgsQaMBARy/DxMC3gQCXgEFuAjxBJoJAhZMFQpNgAE0NlICnQEGK0SgAQIawQ8OAQIC3gQCZLkI7wSzCUsFCAoJTYABNDZSAp0BBypNHsMPDAECAt0EAmMVB6II6wS1CUkEDQcKTIABMzhSAZsBCSlRwgEFIMQPCgICA9wEAmMFAg4LoQjnBLcJSAQOCAlMfzM53gEFCQsoWLkBCijFDwgCAwPcBAJiBQQHEpwIAgPlBKMJARRIAxAHDUh7AQIzOt0BCQUMBQEhWbsBCCbGDwYJ2wQCYgYEBReaCAQB3gSoCQMURwISBRIRBi16NjzbAQ4BDQMDIFq7AQcixw8ECtsEAWMFBAMbmgjhBKoJAxRbBBESCSp8Mj7aAR0DAx9jtAEGCAEiyQ8CAwIFvwUFBAIemgjeBKsJBBRbAxATCyh7MSUHFdkBHgIDHWi/AQIkzA8GAr8FBgMCIZkI3ASsCQQWWQQOFAwoejEjChTKAQgFIAIDHGu8AQUSASqlAQGlDgYDvwUCAQIEASUHA40I2wSsCQMYWQMOEw0oejEiCxXGAQ4BIgEDG2+6AQYQASLLDwQEwAUBAgI2FQrtB9oEsAkCFVoDDRMOJ3oxIA0XjwEGLzYZcrwBAyjLDwMFwAUBAgI3DRXqB9kEsAkDFVoGCBACAg0oejIeDhh3EQUJLTYZdLwBAw0BMMsPAwXABQIBAT0CHeoH1wSwCQQVWQgGAwMNDigDBAUBDwJbMx0PGXUTAg4sNAIBFXa8AQULAi7LDwIFwAUCAQJd6gfWBLAJBRRaCQUCAw4MMQICBwwZAT0BATQcEBlwAQMmLzIUe7oBBQoBINIPwAUEYOkH1QSxCQQVWgoDEww1BQ4YAzw2HBAZczAnMRN+ugEEItIPwAUDY+gH0wSzCQMVWiAMSBgDPTQdEBpTBxcyKBgDFBKBAbkBBRECJtEPwQUCZucH0gS0CQIWWiAEAgVJFwQ9Mx4PGkoCAg4UNCgXAhURhQG3AQUQAiTQD6wG5gfRBLQJAhdZHwMEA0sWBjs0Hg8bSRQRBAIwKBUCFw+IAbcBBBABINAPrgblB88EtQkCGFh0FQgBBTM1Hw4aShQRAwQvKRQBGA6MAbUBBibOD7IG5AfOBLYJARlWdRQQDQEjAgE0Hg0aSxUIAQcDBQoDIioSARkMkAGzAQcqzQ+0BuMHzATTCVV1CAEJEggCAgEkAQI0HwsbSxYHAgYDBggEDAURKhIBGwmVAbEBBiTKD7kG4gfLBNQJU3YGBgQUBwYjAQM0HwocSxcPAQgGCQcIDysRAb8BrAEGJsgPvAbhB8oE1wlQdwUfBQgEAR0CBAIBMR4KHEsYDQIJBA8CCREpDQTEAagBBiLHD78G4QfHBNkJT3cDMAECHQEFAQEyBwMUChxMFw0BKRApDgPFAaoBBCTFD8IG4QfGBNoJTXcDNB0BBQEBNAEJEgobThYUAgIBAgIdDigOA8cBqwEDIMQPxAbhB8QE3QlLrgEcAgUBAT4SCxpPFRIDAgMBAh8MKA0EyAGrAQIcww/GBuEHwwTeCUqvARoCBkATCxlQFA8GAgEmCicOBsgBqgEDGsIPygbfB8IE3wlJrwEYBAZAEwwZUQ8RBiwIJg4IyAGqAQMcwA/PBt0HwQTfCUmvARUIBUATDRpRCxMCAgEvBiYNCskBqQEDGMAPzwbdB8AE4QlJrgETCgVAEg8aUgdLAycNC8kBqQEDFr8P0QbdB78E4glIrgERDQRAEhAapQEBKAwQzgGfAQUUvg/TBt0HvgTiCUmtAQ8OBUERERrNAQwQzwGfAQUYvQ/VBt0HvATkCUeuAQwRBEIREhrNAQsRAgEHAcMBoAEFFrwP1wbdB7sE5QlGrgEKEwNEDxUYzQEKGAECxgGgAQUWuw/ZBt0HuQTmCUauAQgVAkUPGBYGBsEBCBzJAZ0BBhr0AwHFC9sG3Qe4BOcJRK8BBl4PGRYCAQMFwgECIcoBnQEHDAEUuQ/cBt4HtgTpCUOwAQNgDxkaAgXJAQEbywGcAQgSuA/eBt4HtQTqCUKTAg8ZGgIEywECGssBnAEHFrgP3wbdB7QE7QlAkwIPGBsDAs4BARrLAYUBBQUBCwgUtw/iBt0HsgTuCT+TAg8YG9UBARrKAYMBBwMDCgkQtg/kBt0HsATwCT6TAhAXG/IByQGCAQ8ICRK2D+UG3QevBPEJPZMCEBYYAgLzAcsBfxEGCBK2D+YG3QetBPMJPJMCEBYTCwHyAc0BfBAGCBK2D+cG3QesBPUJO5ICEBYQDQP8AcIBfA8HBxK2D+gG3QeqBPcJOpICEBYNDwWAAr4Bew8HBxS2D+kG3QeoBPoJOJECERYMEAaCArwBCQJwDwYHGLUP7AbbB6UEAgHAAgK6BzaRAhEWCxAHgwK8AQcDcA8HBhi1D+8G2AelBMQCAroHNZECERYLCwMCB4YCugEGA3APBwUYtg/wBtYHpATGAgG7BzSQAhIXCgkFAgeJArgBBQJxDwgEFrYP8QbWB6MEgwozkAISGAkGCAIEAgGLArcBeA4JAhK3D/AG1gejBIQKMpACER0FBggCA5ECtgF2DhC4D/AG1gehBIcKMJACESgIAgOUArQBdQ0SuQ/yBtQHoAQNAfsJLpACESgIAgOYArABdA4UuQ/2BtEHnwQLA/wJLZACECoHAQScAgEBqgFuEha6D/YG0QedBAwD/gkrjwIRKgYCBJ8CqQFVAhYPNAEauQ/6BgwEvgedBAwDgAopjwIRIAEJBQMEoAKoAVUCFRAzAxi5D5AHuQecBAwDgAoojwISHwMHBQQDowKmAVQCFREzAxi5D5IHtwecBAwDgQonjwISHwQFBgMHogKkAVQCFBIzAxq5D5MHtweaBA0DggomjwISHgUFBwIIowKiARkDOAITFDMDHLoPkge3B5oEDASDCiWOAhQdBQUHAQoHApoCoAEZBDgBFBUyAiC7D5IHtweZBAwE3QkEIiWOAhQeBAUGAQsHAr0BAV2fARkEOAISFjICILwPkQe3B5gEDQPfCQUhJI4CFR4DBQECAwEKxwEBYJwBGgM3AxIXMQIcvA+SB7YHmAQOAeEJBCIjjwIUHwIMBsoBAmGcARoCNwMRFzIBGr0PkQe2B5gE8gkBJCKPAhQsBssBAhsDRJwBUQUFAwUZNgEavg+RB7UHmASZCiCQAhMsBssBAhsDRKEBIgIJEAkMAiI3Ax6+D5EHtAeYBJoKBwMLAgmRAgwGASsGygECGwREpQEeBAcSBClBBh7iAwHbC5IHsweXBJwKBgUIBAeUAgU4BMQBAQYBGwZDpwEcBQY/QQcavg+SB7MHlwSdCgYFBgYGlgICgQICBAIaCEKqARkFBj5BCRi+D5IHtAeWBJ4KBQcCCQWaBAEEARgLRqgBGAQHPUEJGr4Pkge0B5UECQGWCgQTA4kBApADAgIBGgpFqwEYAgg7Qgocug8BA5MHtAeUBAkBlwoEngECmwEB8wEDAgEcCEasARcBCzdDChi5D5gHtQcKBYMECQKYCgO7AgHzAQMCARwISKwBJDNFChy4D5kHtgcIBIUECAO2CgETAYsCAkQCrQEBAgEcCUevASMwRwsYuQ+YB7cHBQSHBAgEtAoFDwaHAgJFAc0BCEi3AR0tSQsUuQ+ZB7sHiwQIBLMKDQgIhQICkAIMSLcBHShOCxS6D5gHtgeQBAgEsgoRBAqEAgKQAgxIuQEdI1ILFLsPlwe0B5IECAWwCiGDAgKRAgtIugEdAQcZVAoSvA+WB7UHkgQHBq8KIoICApICCkm5ASYWVwoUvg+VB7QHkgQHBq8KJ/0BAo8CAwEJSboBJRRaDBbAD5MHtAeSBAgGrgorBQHzAQKPAgQBB0q7ASURXgsUwQ+TB7QHkQQKBK0KM/IBAZACBQIFAwFHuwGUAQsSww+RB7QHkgQLAq0KNPEBAZACBggBSLsBlAEMEsUPjwe1B5IECgKtCjXwAQGQAggGAUm7AZQBDBDHD44HtAeTBLcKNy0F0AMHAgFNugGTAQ4QyQ+MB7UHlASzCjorB80DCAMBTrkBkwEOEMsPige1B5UEqAoCBzsqCcwDCFO4AZQBDhTND4gHtgeVBKcKAgc7KgnMAwcFAU+3AZQBDgoCFM4Phwe3B5QEsAo8KQoGA8EDBwUBULcBlQENCgQWzw+GB7gHlASpCgIDPSgVwAMHBQFQqAEBCpoBDAoFFNAPhQe5B5MEqAoDAj8nF74DBlmlAacBCQEBCwYS0Q+FB7gHlASnCkwIAhQdugMFWqIBqwEFEQYS0g+EB7kHlgSzCkoRHh8IGQX1AgJapAHCAQcQ0g+EB7oHlgS2ClIDKgYYFwfNA6cBwwEHDtMPgwe7B5UEuAp9BRoXAtIDpwHDAQcO1A+DB7oHlgS6CnsDGO8DpgGuAQMTBhLVD4IHugeWBLsKegMWiAEDnAEBygGmAa0BAxMHFNYPgge5B5UEvAp6AxINApsCAjsBAgSJAaYBwwEGEtYPgge5B5QEvAp7Bg2tAgE6AwQBjAGjAcQBBhDXD4EHuQeTBLwKffoCAwUBiAEEAaIBxAEGENcPgQe6B5IEkwUBAQGmBX/2AgSOAagBxgEGDtgPgAe6B5EElQUCpgWAAfUCBJABpgHHAQgO2A+AB7oHkQSVBQKnBX/0AgWRAaYBywEDDNgP/wa8B48ExQp58wIHhQEJAqcBENkP/ga8B48E0Apu8QIJgwEMAl4BSPMEARDZD/4GvQeOBNQKaqMCAkwIggEPA10BSBTaD/0GvQeOBNYKaaICA0oJgAESA10BDgE53gECGNoP/Qa+B40E2AppjgIFDQFMCIABEwNeAQwFN7UBAyYEHtsP/Aa+B40E2goSBFQQBewBAQcJWAiAARQBXwIJAQEINbQBBCUFGtsP+wa/B40ECwHQCg0QY+gBElcHgQEUAmAEBA01tAEFJAUY3A/7Br8HjQQJAtYKBhZg5gEPWgeBARQBYRU2tAEEJAcY3A/7Br8HjwQGAvgKW+UBDj0EGgaCARQCYhc0swEDJwYa3Q/6BsAHjgQFA/sKWeMBDj4FGQaBARUBYxwwsgECBgMgBh7eD/kGmQMCpQSOBAMD/wpX4wEDCAM+BRkFggEUAmQeL7EBAQUFIQcg3w/4BpkDAacEjQQEAYILVeMBAUwDGgWBARUBFwFLJyusAQEHBQUBGwkY4A/3BsEHjQSKC1KxAgKgARQCXQQCKSqrAQEHBQQEGwoa4Q/1BsMHiwSNC1AOAcMDFAMGAQ4CRjIpqQEBCAQDBRwKIuIP9AbDB4sEjwtNAQMJBjEGXgNhAz0ChQETAwUEBwdIMimoAQEPBR8ILuMP8wbEB4kEkwtKAQcECigDAggSAUkFHQMBBwwBKwY5A4QBEwIBAQQGAwotAhkyKbcBBiAJLuQP8gbEB4kEmAtFAhUQAhUDAgkRAUwCDgMHAgIPCAEvAjkChgESAQQBAhUuARY1KLYBCSAINOQP8QbGB4gEoQs8AhYNBxICAwkGAiIHLAMCBQEDAgUGAgIPBwJpAYgBEQEFGS0BBgEKOyi0AQMEBSAHNuUP8AbGB4cEsQsRBxUDFgsKEAIECQMFAgQZDScEAQUDBgUBAgMCDyQBTAGIARACBxktTSe1AQEFBiEHEQEw5Q/wBscHhgS3CwgMEwQWCQwIAgwRAQUWEyEFAgUCBwQGAgwmB9EBDgUGGjUKAjgnuwEGJAMQBCzmD+8GxgeHBM0LEQkRBw0IBQwWEAECFh0HCQYGBQQEKwuDAjYJBDYmtwEBBAUiAgECEQQy5w/tBscHhwTQCw4KDgkNBg0JEwgBBxwOAgkGAwQDBgkDLRCFAjgDAQQCNic4AXwCBAYhAgICEAUw5w/tBscHiATRCw0LCwoNAxAKEgcDBh4FCggHAQIFBwkCHh+HAjgEAjomNwJ7AwcDAgEkARAFLOgP6wbIB4gE1AsKDAcNDAMSChEHAwUhAg0FCAEBCQEnI4oCOAMCOiY4AXkDCQEBBDQFJukP6gbJB4cE2AsBAgQMBQ8LAxMJEgYCBjECCDIkjQI3BQI5JjcBegILBDMHIOkP6gbIB4gE3AsFCwMQCgQUBRYFAQc3NCWPAjdAJzQBfAELBDQGJOkP6QbIB4oE3AsECwIFAgoJBR4CCAMDBgEHNTUkkgI3Pyc0AX8DBwI1BRzpD+kGyAeKBOsLAgYBBQ4FHQMHFiw9IJYCOD8ntQECCgIxBR6bBgTLCegGxweMBOkLAg4MBhwEBAMCFQINDwQGPx+ZAjc/J/UBBBibBgQJAcEJ5wbHB44E+wsLBBg5CgYBQh6cAjZAJvUBBhqcBgEKAsEJ5wbEBwEBjgSCDAEHEwICPQNNHp4CNUAm9QEHEusP5QbEBwEBkASKDBCSARujAjNCJlAFoAEHFusP5QbEB5IEiwwLlAEapwIwRSUKA0MGfQISAwsIFuwP4wbFB5MEjAwElwEaqgIsSiUECEQGegQRBQoHEuwP4wbGB5MEpQ0arQIoTy5FBnsBFQMJBxTtD+EGxweUBKENGLMCBQQOAQ1RLkYElAEBCgcO7Q/gBskHkwSdDRnRAghTLhMB1gEGEO4P3gbKB5MEmg0Z1gIFVC0TBLoBAhoEEO8P3QbKB5MExQwCURqxAywSBbkBBBkEGJ0GAtAJ3AbMB5IEuAwKAQRPGrMDLBIFAgO0AQYZAwEBGO8P2wbNB5IEtAwUTRq1AysUAwIEAQKwAQcBBxEDAQEU8A/ZBs8HkQSzDBdKGbkDKhQCAgivAREQAgEBEvAP2AbQB5EEsgwaRxm7AyoYCK4BEhABAQIQ8A/XBtEHkgSyDBlGGb4DKxUIrwETDgQQ8Q/VBtIHkgSyDBlFGr8DMgwJrwEUDwMQ8Q/UBtMHkgSzDB1AGcEDNBEBsAETDwMQsgYDvQnRBtUHkwS0DBw+GcMDM8MBFA8BELEGBrsJ0QbWB5IEvQwUPRjFAy8TAbMBFBCxBgLACdAG1weRBL8MEzwXxgMtFgG9AQkO8w/PBtgHkgS/DBM6F8gDLBYCvgEHDrEGAsAJzgbZB5EEwgwSORbJAy0WAxCxBgHCCcwG2weQBMQMETgVzAMsFQMCAwz0D8wG2weSBMMMETcTzwMsFQcO9A/LBt0HkgTCDBA6EOECAXAtEgYQ9Q/JBt4HkwTCDA86D+ECAnUBAycRBBL1D8gG4AeVBMAMDTUCAwznAgN4BQMfEgEQ9g/GBuEHlwTADAk2AQQK6gICggEk1gEDDvYPxQbjB5cEwwwCOAIECPcDIdIBBQ73D8MG5AeZBPsMAQcEgAQTAgLVAQYI+A/CBuUHmQSMEQ3dAQQI+A/BBuYHmgSMEQ3cAQYQugYBvgm/BugHmQSXCgLDAgOvBA3aAQoBAhC6BgG+Cb0G6weZBJcKAcECBRkDlAQN2gEMDvoPugbuB5gE2QwDGgSUBAwEAtUBDQ77D7cG8AeZBPQMBfcCAZ8BBwYC1wEMDPsPtgbyB5kE8gwF+AIChQMLSQQO/A+zBvQHmATwDAf5AgIEAoEDCkcGDPwPsgb1B5cE7wwI/wIEhAMGRgQM/Q+wBvcHmATsDAeBAwOKAwJFAwj+D68G9weXBO0MBIMDBAb+D64G+QeVBPIPCAb+D60G+geVBPEPCwr/D6wG+geWBLAOAVMBawwK/w+pBgEB+weWBK8OAr8BDAr/D6kG/QeVBLAOAlIBbA0K/w+pBv0HlQSwDgNRAWwNFP8PpgYBAvwHlQSGDgIQAQwDBAIEAVEBbQ0U/w+mBgEB/QeUBIgOAgwFCQYCBAMBUAJtDhSAEKQGAQH+B5QEiA4EBgECCAkMUgFtD+EBARiCEKEGAgH+B5UEOQHKDQIBBAMOCgxQAW4PzwEDDgUUgxCgBoEIlQQ4A8gNGwkMBARGAW8P0AEEDQEWhBCgBoAIlQQ4A8cNBQEVCwQCBgIGRAFwD9EBBRSGEJ4GgAiVBDgDyA0EARQVC0ICcBDSAQd+AxSGEJ0GgQiVBDgDyA0EAhMXCj8DcRDUAQZ9BRaHEJwGgQiVBDgDyA0FAREaCT8BcxDWAQGCAQSBAQISiBCaBoIIlQQ4A8cNBgIPGwqyARDdAgKAAQEQiBCaBoIIlQQ4BMQNCgIMHA6tARHeAgMSiBCZBoMIlQQ4BMQNBQEFAgodEKsBEd8CAxCIEJkGgwiWBDgExA0BBgIFBh8XpAESDokQlwaDCJcEOgLTDQQgGyQBehQKiRCXBoMIlwSzDh0hAnoWDIkQlgaECJcEsw4fHQUKA2wYEIkQlgaDCJkEsg4iBgMQBQoEagEBGAyJEJUGhAiYBLMOLA0GCwVoGxSLEJMGhAiYBE4CXQPnDAEZAgEsCQgLBmgbFIsQkgaECJkESwVdBOUMAxYzBggDAwUIZhsWjBCQBoUImQRMBVsF4QwHEQMCQQIEBggBAmIbFI0QjwaECJoEPwINA1oH4QwIBgYBTgYMYBwQjxCMBoQImwQ/Aw0CWgjgDGQFDV8dDJAQigaFCJsEqgEK2wxoBQxgHg6QEIoGhAicBKkBDNYMAgNoAw1gHwyQEIkGhAidBKYBD9UMAwN3YSAMkRCHBoQInwSlARDUDAQCdmMfCpEQhwaCCKEEpgEP1Ax7Zh4KkhCFBoEIpASlARDTDHpoHg6TEPcFAgqBCKUEWQFMD88MfWkeDpMQ9gUECIAIpgRaA0oQzgx8ah4OlBD0BQYGgAinBFsCShHMDHxrHg6VEPMFBgb/B6gEWwJKEcwMe2kiDpUQ9AUFBIEIpwRcAkoSygx9ZyMQlhDzBQECAgOCCKYEXQJKE8gMf2UkDpYQ8gUCAoYIpwRdAkoUxQyBAWQmDJYQ8QUCAocIqQSnARTFDIEBZCYMlxDwBQEChwiqBKYBFsQMgAFmJQqYEO8FiQirBKYBFsQMf2clDJgQ7wWICKwEpgEWxAx5AwNnJQ6ZEO0FiQisBJoBAQoXxQx2BgFoJQ5MAc0P6wWJCK0EmQEDCRfGDHNxJg5MAc4P6QWJCK4EmQEDCBnFDHJxJwycEOcFiQiwBJgBAwcaxAxzcScMnBDnBQEChQiwBKEBHMMMdHEoDpcBA4IP5wUBAoUIsASfAR/ADHZwKQyRAQqBD+YFiQiwBJ0BIb0MeXApDpEBC4AP5gUBAYcIsASdASG8DHpwKA6SAQqAD+gFhgixBJQBAwUjugx7bykQkwEJgA/oBYYIsQSUAQQDJLoMewUBaSkSlAEI/w7oBYcIsQSTASy6DHsEAgcCYCneAwEWlQEH/w7oBYcIsgSSASz+CwQ3fQIDBgMDAVwp3QMDFqABBPYO6QWGCLMEkgEt/AsGNn0DAgUFAQJbK9wDAxKfAQnxDuoFhgizBJIBLfwLBzV8CQldKt0DAhCgAQjyDukFhgizBJMBLPwLCjF9CQheKhKhAQrvDukFhQi0BJQBK+4LAgwML30JCF4rEqQBB+8O6QWFCLQEkwEs7gsDCw4sfgkHYCoUmhDpBQEBggi1BJMBLe4LAgIEBBAqfgoHYCsSmhDrBYIItQSSAS7uCwMBBQETKH8LBmEqEJsQ6gWCCLUEkgEu7gsfJX8LCV8q2wMDEJwQ6AWDCLcEjwEv7QshI38LDF0q2gMEGiQClAEC4Q7nBYMItwSPAS/kCwEIIiJ+EgIBAl0sDAPKAwMSuAEC4w7nBYMItwSOATDkCwIHIyB+dSwJBxCeEOYFggi3BI8BMOQLAgYkIH51LQcJEp8Q5QWCCLcEAQKMATDkCwIGJR99di8DCxKgEOMFgwi3BAECjAEw2wsBCAQEJh97dj8SoBDjBYMIugSMATDaCwIFBAEDAiggeXc/EKEQ4gWDCLsEjAEv2gsCAgsBKiJ1eEAOoRDiBYMIugSOAS7aCwECOCB1eUIOohDhBYIIvASJATPcCzoedHpDsQMCEKQQ3wWCCLwEgwEBBTPbCzwddHtErwMCEqUQ3gWCCLwEggEDAzTbCzwHARdxfEWuAwMSpxDcBYEIvASCAQQCNdsLOwUIFW98Rq0DBBSoENwFgAi7BIMBAwM22ws6BQwFAQd0e0irAwQWqhDaBYAIugSEAQMCN9sLOQQQAwQDdXtJqgMEBQEWqhDaBf8HuwSDAQQCONsLOAMSAgUCdnpKqQMEBQEYqxDZBf8HuwSCAT/VCwEHNgITAgYCd3hKqgMEAwIVARisENgF/we6BIIBQdQLBQM2ARQCBwF4d0mrAwQDAhUBFq0Q1wX+B7oEggFD0QtAAhQBBwF6dUmrAwQDAxQBEK4Q1gX+B7sEgQFD0AtBApkBc0msAwoTAhKvENUF/ge7BH0BA0PRCz8EmQFxS6sDChMCFLAQ1AX9B7wEewQCQ8kLAQc/Ap0Bb0urAwoUARiwENQF/Qe7BHsFA0LJCwICAgY7AZ8BbkurAwoNBAMBFLEQ0wX9B7sEegYDQ8gLAgIEBN0Ba0yrAwsLBBKyENMF/Ae7BHgJAUPMCwcB3wFqTKsDCwoEELQQ0QX7B7sEeD8EC8sL6QFpS6wDCwoDErYQzwX7B7oEd0AFC8gL7AEMAVxMrAMJFAEUuBDNBfsHuQR3QQYJyAvuAQQCBQFbTa0DBxUBFroQywX6B7oEdkIGCcgL8AECAggBWE2tAwIFARQBErwQygX5B7kEd0IGCcgL8gEJAlhOswMDEQISvhDIBfgHuQR4QwYHyQv2AQYBWE60AwETAhS5BQGFC8cF9we5BHMDA0MGB8kL9gEGAlZPyAMCEsAQxgX1B7oEbQsCQwcFywsDAfEBXk/IAwISwxDDBfUHuQRtDQJCBwXLCwIC8gFdT8gDAhTFEMEFlwUC3AK4BG5RCQLNCwEB+QFXULQDAxEBEMcQvwWWBQPdArYEZgIGUtoL+wFVULMDBA7IEL4F9ge2BGQEAVfaC/0BU1GyAwUMyRC8BfcHtgRjXdoL/gFSUbIDBRDLELoF9we1BGNf1QuFAk9RswMCAQMMAhKwBQGbC7kF9we0BGJi1AuHAkxStgMDCwPrAQESzxC2BfcHtARZa8QLAw2KAklStgMFBwbkAQYWsQUBoAuyBfgHsARdbMMLBAQCBosCSFK3AwYFB+ABCBTVEK8F+AewBFxtxAsDAwUFiwJHUrcDBwYF3wEIEtYQrgX4B7AEXG3ECwQBBwqGAkVTtwMI5wEJENgQqwX5B7EEW23DC50CIQIiU7cDCOMBDBQAAdoQqAX5B68EXW21CwIKoAIcByFTuAMH4AEOFgAB3BCmBfkHrgRfbLQLAwqhAhoHIVW3AwPiAQ4FAhLfEKMF+getBGBrtQsDC6ECGAYjVZsFDwQCGroEAZwBAQEChguhBfoHqwRia7QLBQuiAhUGJFbEAwHUAQ8DBBTkEJ4F+gepBGRqtQsFC6MCFAQlWMMDA80BFAIFGAIB5BCbBfoHpwRla7QLBwyjAhIBJ1rCAwTLAQ4DBAEGGAADtwQCrQyZBfoHpQRnawQBrwsHDKcCNlvBAwbJAQwFBRYAA7cEAq4MlwX7B6QEZ2wDAa4LCQ2sAi9ckgUJEgEWAAK5BAGvDJYF+wejBGdsBAGtCwsOrQIrXpIFBxMBFAAB6xCVBfsHogRoagUBrQsNDbACKGGPBQQVAhDtEJQF+geiBGhqBgGrCw8NsQImYqgFAhDvEJIF+gefBGprsAsSBwEEsQIHAhxjEvEQkAX6B5oEb2qwCxQGAgOyAgYCHGPyBAIQ8hCOBfsHlwRxa68LFQa3AgUBHmTxBAEOFAHfEIwF+weUBHNsrwsWBbcCI2UOFQHgEIoF+weRBHZrrwsXBbgCImUQFAHjEIgF+wePBHdsrwsXBbgCImacBQEQ+hCGBfsHjgR3ba4LGQS5AiBngwUCFwEO+xCFBfsHiwR6ba4LGgK9Ah1o/wQGDvwQhAX6B4oEe26uCxsBvwIaafkEDBDaBAKgDIQF+geIBH1urgsbAcECF2v2BA8Q2gQCBASYDIQF+geGBH9urgveAhRt9QQREN8EBpgMgwX7B4MEgQFvrQvhAhBuuwMEtAEVEt8EBpgMhAX6B4IEggFvrQvjAgxwugMGsgEXBQES4AQGlwyEBfoHgASFAW6uC+QCBnS6AwexARgDAhDgBAiXDIIF+gf+A4cBbq4L3gO8AwWxARgDAg7mBAOXDIAF+wf9A4gBbq4L3gO7AwawARkO5gQDpgEB8Qr+BPwH/AOJAW6uC94D8QQZCoMR+gT+B/sDigFurgveA+8EGwwhAuIQ9wT/B/kDjAFtsAvdA+8EGw4TAfIQ9QSACPgDjQFtsAvcA/AEHAwCDIcR8wSCCPcDjQFtsgvaA/EEGwwCDIgR8QSDCPYDjgFtsgvaA/EEGw0BCooR7wSECPUDjgFssgvbA/MEFgyOBgH8Cu0EhgjzA5ABa7EL2wP4BA0MGAH0EOoEhwjyA5EBa7AL3QP7BAgKjhHpBIgI8QORAWuvC94DAQQKjxHoBIgI8AOSAWqvC+ADAQMMkQYB/grmBIoI7gOTAWquC+EDAgMKkRHlBIoI7QOVAWmsC+QDAQMK5wYBqQrlBIsI6wOWAWirC+cDCukGAacK5QSMCOkDlwFoqgvpAwp4AZgQ5QSNCOcDmQFnqQvsAwx3ApgQ5ASPCOUDmwFlqgvrA8cDAQx3AZkQ5ASQCOQDmwFlqQvsA8YDAwqREeQEkQjiA5wBZakL7APGAwQMkRHkBJII3gMBAp0BY6kL7QPGAwUKkRHkBJMI3QOgAWOpC+0DxgMFCpER5ASTCNkDpAFiqQvuA8YDBgqSEeMElAjWA6YBYqkL7wPHAwUOygEBxw/jBJUI1AOnAWGpC/EDyQMBsgEGDskBA8YP5ASUCNIDqQFhqQvyA/oEAgICDMkBA8YP5ASVCNADqgFhqAv0A/cEAwwcAfUQ5ASVCM8DqwFgqQv1A/QEBAiSEeQElgjNA60BX6gL+AMIkhHkBJYIzAOvAV2oC/wDCJMR4wSXCMoDsAFdpwuBBAiTEeMElwjJA7IBXKcLgwQKkxHjBJgIxwOzAVunC4QEuwMCCpMR4gSZCMcDtAFapguMBLQDAgqUEeEEmgjFA7UBWqULjgSyAwQKlBHhBJoIxAO2AVmkC5EEsgMECpQR4AScCMEDuAFZowuSBLMDAwqUEeAEnQi/A7kBWaELlQSzAwIIlRHdBJ8IvgO6AVmfC5gECpUR3AShCLMDAga8AVieC5sECpUR2wSiCLQDAgS8AVmbC58ECJUR2gSkCLQDwQFZmQukBAiVEdkEpQi0A8EBWJYLqQQIlRHZBKYIswPBAViRC7IECJUR2ASnCLMDwQFYiwu5BAyVEdgEqAiyA8EBV7ABA8sJCAO+BAqVEdgEqQixA8ABWK8BBMoJywQMlRHXBKoIsQPAAVivAQXICdAEBwEOlRHXBKsIsAPAAVevAQbGCdQEtAIBcQMQlRHXBKwIrwO/AViuAQjECdYEBQGtAgJxAQ6VEdUErgiuA8ABWK4BCMIJ2QQEAqwCBAyVEdUErgiuA78BWK4BCb0J3wSzAgcMlRHVBK8IrQO/AViuAQe6CeUEsgIJDpQR1gSvCK0DvgFYrgEIuAnnBLICCicBDJQR1QSwCK0DvQFZrwEGtwnqBLECCwyUEdUEsQitA7wBWeoK6AS2AgskAQyUEdQEsgiuA7oBWeoK6QS3AgwiAQyUEdMEtAiuA7kBWecK7AS4AgwhAQ6UEdIEtQivA7cBWtIKCwfwBLgCDB8BDpQR0QS2CK8DtgFaugoBF4QFtwIOKAUOlBHQBLgIrwO1AVq5CgIVhwW3AhAnAxC9BgHXCs0EugiwA7MBW7gKAhSKBbcCECYDDpURzAS8CK8DsgFcigEDvwmNBbcCECUDDpURywS9CK8DsgFbiQEHuwmQBbgCDyIGDpURywS+CK8DsQFbiAEJuAmTBbgCDyEHDpURygTACK4DsAFciAEKtQmWBbgCDiIGEF0BuBDJBMAIrwOvAVuJAQuzCZgFuAIOIwUQXQO2EMgEwgiuA68BW4kBDLEJmgW4Ag4kAg5eBLQQyATDCK0DrgFcigELsAmbBbkCDhBgAbICAoEOxwTECK0DrQFdigELrwmdBbgCDwyWEccExQisA6sBXowBCa4JnwW5AhAOZQGwEMYExwirA6kBYI8BBq0JoQW6AhAOZQGwEMYExwisA6cBYcEKogW7AhApAg5lAbAQxgTICKsDpwFgwAqkBb0CECYDDJYRxQTKCKoDpgFhvwqmBb0CESQGDJYRxQTKCKsDpQFhvgqoBb0CESQFDJYRxQTLCKsDpAFgvQqrBb0CEiIEDJURxwTKCKsDpAFgugquBcACESEDDJURxwTKCKsDowFhuAqwBcICEKUBAQqVEccEywiqA6MBYLYKswXDAhAKlRHHBMwIqQOiAWG0CrUFxgIPCpURxwTMCKoDoQFhsgq4BcYCDwyVEccEzQipA6ABYaYKAgq5BccCDwyVEccEzgioA6ABYaQKBAm6BcoCDQyUEcgEzwinA6ABYKUKBAm6BcwCDQyUEccE0QinA54BYaQKBAm8BcwCDg6UEcYE0wimA54BYKUKBAm8BQYBxQIPEJQRwwTWCKYDAgGbAWClCgQIvQUGAccCDhKUEcAE2gilAwECmwFgpAoFB74FBwEBAsUCDBCTEb4E3gikAwECmwFfpQoFB78FBwPHAgsSkxG8BOAIowMCA5oBX6QKBwXABQcEBwHBAggQkxG7BOIIogMCA5oBXqUKBwXBBQYFygIFEpMRugTjCKIDAgOaAV6lCgcEwgUGBgcBwgIBEpMRuQTlCKIDAQOaAV2lCggDxAUBAgMHBAMMkxG4BOYIpQOcAVylCtMFAggDAwyTEbcE6AikA5wBXKQK1QUBCgEECpMRtQTqCKQDnAFcpArlBc4CAQqSEbYE6gikA5wBXKQK5QXOAgIIkhG2BOoIpAOcAVulCuUFCpIRnwQBFuoIpAOdAVqlCuUFCpIRnQQEFukIpAOdAVqmCuUFCpERngQDF+kIpAOdAVqmCuUFCpERnwQCFuoIpQOdAVmnCuQFDJERkAQDDAMU6QinA54BV6gK5AUKkBGOBAgKgAmnA54BV6gK5AUKjxGHBBAFhQmnA58BVqgK5AUKjRGGBA4EiwmnA6ABVagK5AUKjRGFBAgDlAmlA6IBU6kK5AUKjRGFBAcDlQmlA6IBU6gK5QUIjBGHBJ4JpQOiAVOoCuUFCIwRiQScCaQDpAFRqQrlBQiMEYcEngmkA6QBUakK5QUIjBGCBKMJpAOkAVGpCuYFCI0R/wOlCaQDpQFPqgrmBQqOEfwDpwmkA6UBT6kK5wUEAQqPEfoDqQmiA6YBT6kK6AUDBAqQEfgDqgmiA6YBTqkK6gUCBAqQEfUDrQmiA6UBT6gK7AUCAwqQEfQDrgmiA6UBT6gK7QUCAwqPEfQDrwmiA6UBT6cK7wUBAwyOEewDBQQCAqsJoQOmAU+nCvAFDI4R6QMNA6sJogMBAqIBTqcK8wUKjhHnAw4EqwmlA6IBTqcK9AUMjhHlAxEBAQGrCaQDowFOpgr3BQiOEeMDwQmkA6MBTacK+AUIjhHhA8MJpAOjAU2nCvoFCI4R3wPFCaQDowFMqAr+BQiOEd0DxwmjA6QBTKcKgQYIjhHbA8kJowOkAUuoCoIGCI0R2gPLCaIDpQFKqQqCBgiNEdkDzQmgA6YBSqkKgwYKiQgBgwnYA84JoAOnAUmpCoMGCokIAYMJ1wPPCZ8DqAFJqQqEBgiNEdYD0QmdA6oBR6oKhAYIjRHVA9IJnAOsAUarCoQGCI0R0wPUCZsDrgFFqwqFBgiNEdID1gmZA68BRK0KhAYIjRHQA9gJmAOxAUOtCoUGCI0RzwPaCZUDswFDrgqGBgiNEc0D3QmRA7cBQbAKhwYKjRHLA98JjwO5AUGwCogGDwMKjRHKA+EJjAO7AUCxCokGDgMKjRHJA+IJiQO/AT6zCokGDgIKjhHGA+QJhgPCAT6zCokGDwEKjhHFA+UJggPHATy0CokGDwIKjhHDA+gJ/gLLATm3CokGDQMKjxHDA+cJ+wLQATa5CogGDQMKjxHDA+cJ+QLTATO7CokGCgQKjxHCA+gJ9gLXASrECokGCAUKjxHBA+gJ9QLaASXICooGBwQKjxHAA+kJ8wLfAR/MCosGBQQMjxG4AwUC6gnxAucBF88KiwYEBA6OEbMDAQUFAewJ7gLqARTRCosGBAMMjRG1AwEE8gnsAu4BENQKiwYCBAqNEbUD9wnrAvABDtUKiwYCAwyMEboD8wnpAvQBCsMKARSKBgIDCosRvQPxCegCwQwCFIoGAgIMixG9A/EJ5wLCDAIIAwqJBgICDIoRvQPyCecCwwwCBwQKiAYCAgyKEbwD8wnmAsQMAgcECokGAQIKihG8A/MJ5gLEDAMHBAqIBgqKEboD9gnkAsYMAgcFCogGCooRugP2CeQCxgwDBwQKiQYKixG5A/YJ4wLIDAIHBAqLBgqLEbkD9wnhAsoMAQgDC4oGCosRuQP3CeECygwBCAMKiwYKixG5A/cJ4gLTDAIDAQaLBg6LEbkD9wnjAgQByAwBBAICAgaLBgyLEbkD9wnkAgMByAwBBQUGigYQixG3AwIC9QnlAgECxQwCAQIFBQWKBgyLEbYDAgP1CegCxgwEBwMFigYMixG3AwEC9gnoAscMBAcDBIoGDIsRtwMCAfgJ5gLHDAQHBAGMBgiKEbkD+wnkAskMBAaRBgiKEbkD+wnkAsoMAwaRBgiKEbkD/AnjAssMAgWSBgiKEbkD/AnjAssMBAKTBgaKEbgD/QnjAswMmAYGiRG5A/wJ5ALNDJgGBokRugP8CeMCzgyXBgaIEbsD/AnjAs8MlgYGiBG7A/wJ4wLQDJUGBogRvAP7CeMC0QyUBgaIEbwD/AnhAtIMlAYGiBG8A/wJ4QLTDJMGBocRvQP8CeEC0wyTBgqECwGCBr0D/QngAtQMkgYFAQqDCwT/Bb8D/AngAtUMkQYEAgiGEb8D/AnfAtYMkAYFAgiGEb8D/AnfAtcMkAYFAQiGEb4D/gndAtkMjwYFAQiGEb4D/gndAtkMjwYFAQaGEb8D/gncAtoMjwYKhhG+AwMB+wnbAtsMjwYFAQqGEb4DAgL8CdoC2wyQBgMDCoYRvQMDAv0J2QLcDI8GAwIKhhG9AwID/QnYAt0MkAYCAgqFEb4DAgL/CdcC3QyQBgICCoQRvwMCAYEK1gLdDJEGAQEIgxHBAwEBgQrWAt0MkQYIgxHBAwEBggrUAt4MkgYGghHCA4UK0wLeDJIGBoIRwgOFCtMC3wyRBgaCEcIDhgrSAt8MkgYGgRHDA4cK0QLfDJIGBoERwwOHCtAC4AySBgaBEcMDiArPAuAMkgYGgRHCA4oKzgLhDJIGBoERwgOMCswC4gySBgaBEcIDjQrKAuQMkQYGgRHBA48KyQLlDJAGBoARwgOQCscC5wyPBgaAEcEDkgrGAucMjwYGgBHAA5QKxALpDI4GBv8QwQOVCsMC6gyNBgb/EMEDlgrBAusMjQYG/hDCA5gKvgLtDI0GBv4QwAObCr0C7QyNBgb+EL4Dngq6AvAMjAYG/RC+A6AKuALxDIwGBvwQvQOiCrcC8gyMBgb7EL0DpAq1AvMMjAYG+hC8A6cKsgL2DIsGBvoQuwOpCq8C+AyKBgb6ELoDqgqtAvsMiAYG+hC5A6wKqwL9DIcGBvoQuAOtCqoC/wyFBgb6ELcDrwqoAoENhAYG+hC2A7EKpgKCDYMGBvsQtAOyCqUChA2CBgb8ELMDswqjAoUNgQYG/BCyA7QKogKGDYEGBv0QsAO2CqACiA2ABgb9EK8DtwqfAokNgAYG/hCuA7gKnQKKDYAGBv4QrQO5CpwCiw2ABgb+EKwDugqcAosNgAYG/hCsA7sKmgKMDf8FBv4QqwO8CpoCjA3/BQb+EKoDvQqZAo0N/wUG/RCrA74KmAKNDf8FBv0QqgO/CpcCjg3/BQb9EKoDvwqXAo4N/wUG/RCpA8EKlQKPDf4FBv0QqQPBCpQCkA3+BQb9EKgDwgqTApEN/QUI/BCSAwEWwwqSApEN/QUI/BCSAwEWwwqRApMN/AUI+xCTAwIUxAqQApQN/AUI+hCUAwMTxQqPApQN+wUK+BCXAwQGBAbGCo4ClQ37BQr3EJkDAwQGBscKjQKVDfoFCPcQmgMMBcgKjAKXDfkFCvYQmgMKAQEGyQqKApgN+QUI9hCZAwsHygqKApgN+AUI9hCZAwsHywqIApkN+AUI9hCYAwwGzAqHApsN9wUI9hCYAwwFzgqGApsN9wUI9hCYAwwFzwqEApwN9wUI9hCXAw0E0AqDAp4N9gUI9hCXAwwE0gqCAp4N9gUI9hCWAwwF0gqBAqAN9QUI9hCWAwoG1Ar/AaIN9AUI9xCUAwoG1Qr+AaMN9AUI9xCTAwsF1wr9AaQN8wUI9xCUAwoF2Ar7AaUN8wUI9xCTAwsE2Qr6AacN8QUI9xCSAwgH2wr4AagN8QUI9xCRAwkG3Qr2AaoN8AUI9xCPAwsF3gr1AasN8AUI9xCNAw0E4ArzAa0N7gUI+BCKAw8D4grxAa4N7gUI+BCJAw8D5ArvAbAN7QUI+BCIAw8D5QruAbIN7AUI+BCIAw8C5wrrAbQN7AUK+RCHAwwE6QroAbcNtQIFsAMK+RCHAwsD7ArmAbgNsgILrQMK+RCGAwsD7grkAboNlwInqgMK+RCFAwsD7wrjAbwNjAIzqAMK+RCEAwoD8grhAb0NiAI5pQMK+RCEAwkC9ArfAb8NhgI9owMM+RCEAwICAgT2Ct0BwQ2DAkChAwr6EIIDAwb4CtwBwg2AAkWeAwr6EIIDAwT6CtsBww3+AUmbAwz6EIIDAwP7CtoBxA37AU0IBYwDCvoQggMDAv0K2AHFDfkBXooDCvoQgwMCAf4K1wHGDfYBY4cDCPoQgwOBC9YBxw3xAWqFAwj6EIMDgQvVAcgN7QFwgwMI+hCCA4IL1AHJDeoBffkCCvoQgQOEC9IByg3OAQYSgwH3Agj7EP8ChQvRAcsNygGgAfUCCPsQ/wKFC9ABzA3JAaIB9AII+xD+AoYLzwHMDcgBpQHzAgj7EP4ChgvOAc0NxgGpAfACCPsQ/QKGC80Bzw3FAa0B6wIK+xCJAgFzhgvMAdANwgGxAekCCvsQiQIBc4ULzAHQDcABtAHoAgz7EIkCAXKFC8sB0Q2/AbYBRwGfAg76EIoCAXKACwEDywHTDbwBuAFHAp4CDPoQigICcf8KzgHVDboBtwFKApwCDPkQiwICcP8KzgHWDbgBuQFKA5gCDPkQiwICcP8KzQHXDbYBvAFIBJYCDPkQiwICb4ALywHZDbMBvwFHBZUCDPgQjAICb4ELyQHaDa4BxAFHBZQCDPcQjQIBb4MLxwHbDawBxwFEB5MCDvYQigIBAgJvgwvFAd4NqgHJAUIJkgIM9RCKAgVvhQvCAeANqQHKAUEJkgIM9hCJAgJxhwvAAeENqAHOAT0JkgIM9hCJAgJwiQu9AeINqQHTATgIkwIM9hCJAgJwiQu8AeMNqAHWATUJkgIM9hCJAgJujAu5AeUNqAHXATQJkQIM9hCIAgJujgu3AeUNqAHYATMLjwIM9hCIAgJtkAu0AecNqAHZATILjwIM9xCHAgJskguxAegNqAHaATILjwIM9xCHAgJqlAuvAekNqAHbATENjQIO9xCHAgJplgusAeENAgepAdwBLw6LAhDlDwSOAYYCAmmYC6gB5A0DBakB3QEvDYwCDPYQhwICZ5oLpgHmDbAB3wEsDY4CDvUQiAICZpwLlQEECekNrwHhASgPjwIM9BCKAgFlnQuSAfkNrgHjASUQkAIM8xCLAgJjnguRAfoNrQHlASISkAIO8xCMAgFinwuQAfsNdBkf5wEfE5ECEPIQjQIBYp4LkQH6DW8gCQsF7QEcFJICFPIQjQICYZ0LhQEFCPoNYi4CEwHwARoVjwIBARLxEI8CAl+eC1MGDQoUCgP7DWC2AhgWkQIS8RCPAgNdnwsGAUcSAxMNig5etwIXF5ECEPAQkAIEW6ALAwZDLQmLDly6AhUXkQIO8BCQAgZYoQsCB0LCDly6AhQYkAIQ8BCQAgdXoQsCCD/EDlu7AhQYCwKCAhDwEI4CClWjCwEIPsYOWb0CEhkLAoECEPAQjgILVKwLPMkOAQRTvQIRGQsE/wEQ8BCOAgxSsgslAwnWDlC+AhAaCwX+AQ7vEI8CDFG2Cx/nDkvCAg8aCgb9ARLvEJACDAENQLkLGO8OQskCDRwJCPwBtAMGEu8QkQIbPbsLFfIOP8YCAgQLHggJ+gG2AwQU7xCRAhw7uwsV9A48xwIBAQMCCh8ICfoBtwMEEO8QkgIcOb4LEfcOOswCDR8ICvkBuAMEEO4QlAIdM8QLDvkON88CCyAIC/gBuQMEEO4QlgIfLscLCvwONdICCR8IDPgBugMDEO4QmQIgJ9ELAv4OMtUCCR4IDfYBvAMDEO0QnAIfCgsP1hou1wIIHggN9gG9AwMU7RCfAh0GEArcGinaAgMBBBwIDvYBvgMCBAEQ7BCiAjcB4Rom4AIDFBAO9gG/AwICAgrsEKMCmxsh+QIPD/YBvwMJCuwQpQKgGxb8AhAP9QHBAwoK7BCnAqobBYEDDxD0AcIDDwjrEKkCrx4PD/UBwgMRCOoQrAKsHggX9QHBAxMI6RCtAqweBRryAcQDEwjoEK8CyR7zAcUDEwICCOcQsQLIHvIBxgMHAQ8K5xCyAsYeEAPgAcgDBAIQCuYQswLFHg8G3gHJAwMCEgrlELQCxB4OB98BygMBARUK5BC0AsUeDQUBAt4BzQMVCuQQtALEHgkJAgLeAc0DFgrkELMCsR4IDQYJ4wHPAxUI5BCyAq8eCx3hAdADFAjkELECqh4RHt8B0gMUCOQQsQKnHh0W3gHTAxQI4xCyAqYeHxfbAdUDDwriELMCph4ZAQUY2gHWAw8I4RC0AqceFSLYAdgDDwrgELUCqB4TJNcB2QMCAQwO4BC1AqoeBQECBQQm1QHZAwIBDAjgELYC4R7UAdoDAgEMCuAQtgLhHtQB2wMCAQwOAgzgELcC4R7SAd0DAgICAQgNAwzfELoC4B7RAd4DAgIBAggMBArfELsC3x7RAd4DAwUHDgIK3xC9At4e0AHfAwIECQ4BCN8QwgLaHs8B4AMBBAkG3hDEAtkezwHnAwcG3RDFAtkezwHnAwYK3RDFAtoezQHjAwIDBg0CCtwQxgLaHs0B5AMCAQgMAwjcEMYC2x7MAeUDCg0CCNoQyALbHssB5wMIDwII2hDJAtoeywHoAwcPAwjZEMoC2h7LAegDBw8GCNkQygLZHssB6gMFEAYK2RDJAtoeywHqAwgBAgoHCNkQyQLaHssB6gMNCAcK2RDIAtoezAHsAwIDCQYHCNkQxwLbHswB8gMJBQcI2BDIAtsezAHzAwkEBwrYEMcC3B7MAe0DAgILBAcK1xDHAt0ezAHtAwIBDAQHBtAQzgLeHswB7QMaBs8QzgLfHswB7QMaBs8QzQLhHsoB7wMZBs8QzALjHskB8AMYBs8QzALkHsgB8AMZBtAQygLmHscB8AMaBs8QygLpHsUB8AMbCs8QyQLrHsAB9QMZAQEkBwjPEMgC7R6+AfYDGiQKCM8QxwLvHrwB+AMdHg4IzxDFAvEeugH6Ax8aEQjQEMQC8h63Af0DIBcRCNAQwwL0HqABkgQjFRAI0RDBAvUemgGXBCcREQrSEMAC9x5YAjuaBCoMEgrSEMAC+R5UBTidBC0GFAjTEL4C+x5RCDWfBEcI0xC+AoMfRwsyoARHCNMQvQKGH0IOMaEERwjSEL0CiR9ECi+iBEgI0hC7AowfRAgvogRJDNIQuQKQHwcCNwkFBSWjBEkO0hC3ApMfBQcwCwYBAwEjpQRJDtEQtgKWHwMLKgoJAgMCIaUESQrRELQCrh8gDgUHIqYESQzSELACsx8dEAIEAgMhpwRJDNIQrAK5HxkXAQIBASGoBEkI0hCpAr4fFh4eqQRJCNIQpQLFHxIhG6oESAjTEKECyh8PJxOtBEYI0xCbAtIfCyoItwRECNQQlQLbHwUsB7gEQwrUEN0BBC+SIAcDAbMEQwzUEN0BBSiYIAIDAwECsgRECNUQ3AEGH6YgBbAERQjVEN0BCxGvIAWsBEgG1hDcAcwgBKgETAjWENwBzSADpgRGAQgK1xDaAQYCxiACpARECwMI1xDaAQYD6iRDDgIG1xDbAQgB6SRBBNcQ3QHvJEEE1xDfAe0kQQTXEN8B7iQ/BNcQ3gHvJD8E1xDfAfAkPQTWEOAB8iQ7BNYQ4AH1JDgG1RDhAZkgAt0ENgbVEOEBmCAE3gQ2BtQQ4gGXIAXfBDUI1BDiAZcgBUwCkgQzCNMQ4gGYIAVLBJMEMAjSEOEBmiAFSQeXBCsI0BDiAZsgBksFmAQoCM8Q4gGdIAVLCJcEJgjPEOIBnSAETAiXBCUIzxDiAZ0gA04HmAQkBs4Q4gHwIAaZBCIGzhDiAfEgBZoEIQbNEOMB8SADnAQfBM0Q4wGRJR0GzRDjAfYgAZoEHAbNEOMB8CAJmAQcBswQ5AHxIAiXBBwIzBDkAa8gAUcBmAQcCswQ5QGtIAJCA+gDBS4aCMwQ5gHxIAHnAwMyGQbLEOcB1yQFMRkIyxDoAasgAakEBjEZCMsQ6AGrIAOlBAkvGQ7KELIBBDKsIAYEApsEChYCFhkOyhCwAQYyrCANMwXiAw0SAxYZDsoQrwEMLK0gESkN3wMQEAIWGQ7JELABDyavIBQmD90DEhIBExkQyBCxARMgsSAWHgIDEN0DEg8DExkQyBCxARUbtCAXFhzdAxINBAIGDBgQyRCwARgWtiAbER3cAxMLBgIFDBkSyRCwARoQuyAdCQQBHdwDEwkHAgUMGQ7JELAB5SBI3AMTBwkCBAMBCBkOyhCvAeUgSNwDFAQLAQQCAwcZDMoQsAHlIEfbAxUDFQcEARQKyxCvAeUgR9sDKwkCAhQIyxCvAeUgR9sDKQ8SCssQsAHlIEbaAykRAQQKCMsQsAHlIEbaAyoWBwrMEBADnAHmIEXZAysWBQzOEA0GBwGTAeUgRdgDLRUECs8QCwgGAZMB5iBE1wMtCs4QDAkDApQB5yBD1gMwCM0QDA2WAeggQtQDMwjQEAcLmgHoIELQAzcIxxACGJoB6iBB0AM3CMgQBRObAesgQM8DNwjHEAoPmwHsID/PAzYIxxALD5oB7SA+zgM2CscQCxSVAe4gOgIBzgM1CscQDBOWAe0gOgEDzAM1DMYQDRSWARUC1SA5AwLMAzMOxRAOFJgBEAfTIAEBNgUBzAMzDsUQDg8CA5sBCQzUIDYFAcsDNA7FEA4NBQKfAQkI0SABAzTSAzMOxRAMEAUBngEKCdAgAwMy0gMxDsUQDBAGAZ0BCQrQIAQCMtEDMQzEEA4QpAEEDtEgBAEy0gMvCsQQDhG1AdEgBAEy0QMvCsQQCxGkAQMR0SA20AMwCsUQCBOiAQgO0iA00QMvDMUQCBKhAQsN0iA0AwLLAzAMxRAJEZ0BDw3TIDMDAcsDMAzEEAsQnQEPDNQgM80DAQEvDMQQDQ6dARAL1SAyzAMCAS8OxBANDqABDgfZICUBC8sDAwEuDsQQDg6iAQ0B3SAlAgMDBckDMgzDEBAOpAHpICUBAwUDyAMyDsMQEA6oAecgIwICBQPFAwIBMQrDEA8PqAHoICEHBsQDNAzCEA8NqAHsIB8JBcADBAExDMEQDg+kAfAgHwECBga/AzMOwRAMEKMB8yAZAQQBAgcEvgM0DMAQDRChAfYgGAIDAgLHAzMIwRAMD6EB+CAZzAMyCsQQCQ2iAYAhEQQCxgM1CNoQoQH9IBQEA8QDNwjaEKAB/iAUAgXCAzgI2hCfAf8gEwQDwwM6CNsQnQGBIQIICMoDOgi3EAMhnAGOIQXIAz4E3BCaAdgkQgTcEJoB1iRJCEQDlBCbAdQkNwEUDEAGAgKREJsB0iQ6AQUEChI/AwIDAQH8DwcPmwHRJDwBBAICAwcMRQH/DwcNnQHPJAEBPA4EBkUCkBCgAcwkPwZEBY4QoAHKJD8GQwaOEKABwyRDBkQDkBCgAcEkQwTXEJ8BwCRABscQBAyfAb8kQAbGEAUOnQG+JEAITAH5DwgNnAG8JD8GxhAID5kBuyRBCMYQBwoEBJcBuiRCCMAQDQoGBZMBuiRCCL4QCw0KA5IBuSRDCL4QCg4LApABuiRECr4QCgQDBQwCkAG7JEMMvRAMAwMEDAOOAbskAgFCCrwQDgIDBAwDjQG6JEcKvhAMAwMECgOOAbkkSAq+EA0CAwQIBI4BuCRKDLEQAgwMAwEGBQSRAbYkSwqyEAENDBCUAbMkAgFJCMEQCw6WAbEkBAFGCMIQCgmPAQIKsCRPBsIQCgiNAb8kTgjDEAoHjAG+JAECTAbEEAkHigG/JE8GxRAJBYoBvyRPCr8QAwQHBoQBwyQCAU4KvhAEBAcLfcYkAQRKCr4QBAQFD3rFJAIDTAq+EAQTBAN3xyQDAksKvhAEBQMJCAJ1xSRSCL0QBQQFBoABxiRSCL0QBgMFAoMBxyRRCLwQBwMEA4IByyROCrsQCAMEAoIBxyQBAk8KuhAIBAQDgAHGJAQBTgy6EAIBBAUDBX/IJAIFSgbEEAUHfM0kTgq4EAEHCQIDAnvHJFYIsxAVAgQCesgkVQqzEBQDBAJ6yCQDAksKsxAUAwQCec0kAwFFCrMQFAMEAXnNJAMBRQi0EBMCBQF50CRFCLUQEQMEAnnOJEYKtRAOBQUCec4kDwMzCrMQDQYHAnnRJAsGMAaxEBsDeeMkLQawEBwCe+MkKwivEB0Ce9ASA5gSIgitEB4DfNASA5kSHgarEB8DfuwkHAiqEAkBFQOAAeskGwioEAoCmQHqJAcCDwanEAgEmwH3JAMEphAECZ0BBqYQAwudAdskBAimEAULCQGSAdkkBginEAUNBQWRAdckBwqoEAQQAwWRAasQBacUBwipEAMYkgGqEAWnFAUExRCTAdMkCATEEJYB0CQLBMQQnwHGJAwExBClAcAkBwbFEKYBvSQEAQEEwxCpAbskAwLCEKsBAsAQrQECvxCuAQK+EK8BAsAQrQECwRCsAQS9EAEHpwEEvBAFBKcBBLsQEgGdAQawEAUGEQKbAQavEAYIDwOYAQawEAIODAOVAQa1EAIJCwScAQa0EAMKCAadAQSwEAcZmgEGrxAIBQUQmAEIqRAEAgkEEAWXAQipEAUCCQMSBZQBCKkQBQIKAhQEkQEGqhAFAgkCqAEGqhAFAgoBpgEGqhAGAgkCpAEGqRAHAwkCoAEGqRAIAgkCngEIqBAJAgkEAgaSAQaoEAkDCAeVAQanEAoECAWUAQSnEAoQkgEGpxAIEpEBohUCCKcQBAwDB5ABohUDCLEQAQMIA5ABohUECK0QBQIJA44BoxUGCKgQCgMJAo0BpBUFCqcQCwMJAosBphUFAQUMqBAJBAkCigGmFQUDAwQBDqoQBgMLAggBgQGmFQUDAwIDDqoQBQINAgcBgQGmFQYGBQ4DDKkQBAMOAwYBgAGoFRAMBgyoEAQFDgIGAX+qFQsLDAyoEAIIDQIFAn+pFQ4HDgqtEAIDDQIEAn+rFSIIqxAUAgQCf6sVIQqrEBMDAwKBAaoVFQcDDKwQDQEEAwMCgAGrFRQJAgqtEAoCBQQCBH6rFRIKrhAHAwYMfKsVFAQEDq4QBgQGBgMEe6oVBwULAgUOqhACAQcDBwSDAasVBggEAggKqRALAgkDgwGrFQURBgapEAsCCQODAQapEAsDCAODAQitEAYFBgVwARAGuBAGBm8CDwa4EAUIbgIOBrgQBQxkCQwGrRABEnUCCQatEAYMdwMFBK0QCgd5BKwQCwV7BKwQCgZ4BKwQCApzBKsQBw1wBLsQAQVsBLkQBQZoBLkQBwhkCKwQBQkHAwkCXAqrEAUKCAIJAVzgJAMKqxADDQcCCARa4CQCCqsQAwoLAgYDXOAkAgqrEAMEEQMFAlzfJAQIsxARAwMCXd0kBwizEBMCAQNd4SQDBLQQFARdBLUQFQJcArYQcQS3EG4BAgK5EHACvBBtAsAQagS5EAMLYwi3EAYMYbIBARkBCrAQDQ1hrwEFFwQBBA6wEAkBAg5hqgEBBQMOAQkKEK8QBAICE2GrAQIHBQMIBQoFBw6vEAMYDgNQqwEGAREFCwQJDK4QAxkRA02sARYFDgMICq4QAhoUA0K3ARIGFwjFEBsCRbQBDwgaCrYQAgweAkmsARAKGQy2EAIOHgJIpwEEAg0IGg6yEAYHAwYBAhkCSawBCwgXDrIQBgcECxMFSZsBBAwLBxgOsxAIBQUKDglKmgEECQ0GFg6zEAkHAgsLCU2aAQIIDgYSDLMQChQIBgMBT54BEQgSELQQCRQGBwQCTpwBDQ0IAwgCAg60EAggBwFQmQENDQoHAwMBDrUQBgcCCgMICwFQmgEKDgsOthAFCAUGFgJQmwEFDgICCw62EAQJCAEYAkAEDa4BAQMECrkQAQogAT4KC7MBAQbFEB0DPREFBMUQHQE+AscQWgLIEFcKyBAQAhEDKwgEoCUDCscQEQIHBQMPHgoGCsgQCwYIGBoMCQUGDMkQAwMCBwgNBgMXERYG1hAKCx8TGA66EAMXCgMCBhMBCwkFBRsKuxADEg0CGwYICiYKvBAEEQsCGQoGDSUKvRADEgoCFwsHDiUMvxAJCwkCFQwIDiWPFgIMwRAKCQcDEg4JCSuPFgUKwhANDw8QCQkolBYHCswQBQ0NEAsJJ5YWCArOEAYIDQ8NCieXFgMI0BAFBg0ODwonCtAQBwUKAwoCEAooCtQQBAUJAgsCEAstCuAQBQMLAg8NCAsaDM8QBAcDBQMDCwEQIRkKzRAIBQMMCQIQIRoGzBASDBseHAjPEA8BBgYaGyAG0BAXBRkXJQjREBcHFgYDCyoK0hADARQJEQYECC8I1hAVCg8HAwcxCNYQFQ4JCQQGMgrWEAUGCRMCCAgGNArWEAQHCAUIEQkFNQrXEAQFCQQNDQkGNgrfEAgFEAsFCzbMBAwK3RAHCRIIBQw3zwQMCO4QFgMGDDnMBBQI8BAUBAgNN88EEAjxEBMFCQ43zwQNDPEQAwgICAcQNtAEDQICCv8QAwwFCQIINdAEEAqFEQUFBQUICDTSBA0K+xAEBQYGFAcz0gQNCvQQAwIRCBMEN9IEDAryEB8BFAI70wQIvB4BBvIQdNEEC7geAQjzEAIHbs4ECrceAQb+EHrBBAm3HgEMhxEWAVoNAQUDBAKmBAgKixEGAgcFWAwQqAQJCKERFwU5Cwe1BAUI+xAJIQoXLw0CDPwQAQQECAMKBTYUBAQKgxEOCQ0LBQMUCwwIhRENCB4DFgwCBocRCwceBhUGjREFBxsJFQqOEQELDAIMCRULAQybEQICBgUQBQgEBgoEBp8RBgkMEgMEnxEGCQsEohEEBw4EoxEEBw4EpxEBDggCuhEFArsRBAS8EQMMAgLJEQUCyREFAs0RAQLEEQUCxhEDAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAC/xcEAoIYAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAC/RQBAvkUCwL9FAgChRUDAogVAQAAAAAAAAK8EwECvBMOBL0TBhMBBL0TAxUCAtUTAgAAAAAAAAAAAAAAAAKHEwMC/RISAvoSEQT5EgwDAQT2EgoCAwT1EgIBBgL7EgMC8RIGAvISAwLnEgUC6RIEAALPEgMCzRIRBskSCQEDAwkEyxICDAcC2xICAAAABK0SBCECBKwSBCIDBKsSA3cKAqQTCwKnEwYCrhMLAqkTGASPEwwMGwaKExELCwYLBIgTFAoJBoUTFwsDBQYEgRMcDgoG+xIXCAQPBgT2EhkKBwb1EhgMAwECBNESASEWBNASBBsXBNASAxkWCNASAxYYCAMDCgjOEgQSGwYHCAIE2hIjBQoIuxIBGiYGCQUCCq4SBAYCGSgFCwMFCKwSBwQCFisFFwisEgoYKwcBBBIGrRIKFykOEgauEggWJxMRCJkSBQ8IFioQDwyXEggNCBYuCgUCAgQGDpcSCAwJFCEDChMCCQEFAwqWEgkLBxMkBgkfBwySEg4JBBYcBgMMBBsJDJESDgYBHBoJBA0CGwYGjRIaGhgNAQSMEhcXHQaLEhUOAggdBo0SEQ8EBB4GkRIHBQIOJQaVEgEEBA8jBJkSBAkpAqMSKgKiEikCohIbBpMSBgUBBBsEkRIPAxwEjxIx1xkHBo8SKQIF2RkIBI8SJ+YZBASPEibpGQIEjxIn6RkCBo8SJ7QZDCkFBJMSJbAZEASUEiiqGRMG6REGHi+qGRIG6BEHHSuvGRAG5xEFHC6zGQsG5xEEHS2QGAcI5REGGAMBLZIYBwbkEQcYL64bCQrmEQEcL40SCswHAsABFgqFEi0bAegRJrQHEK0BJQz4EQcGLhkJ0RE+mAcqngEwCvcRPRIOyRFKkwc6iwE3ENsRARw+Cg0CA8gRUK4GC1g+gQE9ENgRBBtVyhFWqwYNQAIUQn1A/AINFtgRBBNUBAfFEVuoBg4+BBJNckPrAgoDFBsGFtgRAxM+CwoIBcIRYPIGAhJVa0XHAhQIKhcNFtcRAhQoCgsPBQsEwBFmggdcZEjAAk4SFI0EARTtESkKChEDDQG9EWz+BmNeSrsCUxAZiQQCGO4RKQoKEAPFEXXOBgEpbFhM4wEET1cJIggP7wMEFu4RJg8J1BGBAcQGBiF4UE7aARFHWQYnAxfrAwQW7hElEgfSEYYBuQYBCQEcjAFEVdIBF0FbAkfqAwMY7hEkFAXTEYcBsQQBhwEFMwcmBREKHJYBP1zJAR08qAEa7hEjFgXREYoBrgQEfRINAhsPGxAJEhOfATpgxQEfOsABHsMRARwHBiIaBNARdgUPrwQEcTUPFwc7DqUBNWSqAQgQITnHARbAEQYYMRsD0BF3CAmiBT8FmQIqaKQBDwkmN8wBFr0RCRg0xBEJH3jFBAIQCE/iAiVsnAFGNdUBywMDGLsRCQYEEDbCEQofesEECgoES+wCH3GRAVA05gG7AwMYuREJBwYPJAIR7RF3wgQKJqMDF3OJAVsx7AECDqYDAxa3EQoHBhEjCAvtEXfDBAofsAMMdoQBYy7/AaYDARK2EQsdIw4B8hF3xgQHGbcEgQFqKoICFAwWtREMDwUII94RDRh1yQQBGrgEXQYebieIAgoRFrQRDQ4GCSDdERIWchoDxgS6BFYMHnMkpQIIAxizERALBwkh2xEXEnAMGLIEwAQjCC4NIIUBEqgCBQkYshETBQsJItsRGRBsCyCOBA0PvQQlGgIMDg0c1gMUsREUBQwIIN4RHAEGBWkMJ4cE1gQkQxvdAxKwERMGDQQCAh/rEYcBBzD+A9QEH0kZ4gMQrhESCRQBIbQRBy3CAfcD1wQaTBTpAxKtERELKgMGtBENKcUB8QPbBBdNDPIDlQMCDqsREQ0pvREUIckB7QPcBBHRBJYDAxCqERYIKrwRFR7OAQ0RygPhBAPcBJcDBA6pERcJKbwREh/SAQMewwPACZgDBRCpERYKBA0YvhEPHvsBKQ2GA8EJmAMEDKoRDiIYvhEOH44CEBr+AsEJEKsRDRAJBxu8ERIblwIFJeYC0AkUERCsEQsOCwYdshEeCwMMywLXAtMJEhYSrREGAQERCAcdrhEmAQ4I2AK/At0JEBsOyBEDCR2jEUIH9AIpBe8B4QkMJAzUERyhEUUH/QIdCekB5gkIKgzTER2fEUcGiQMHFeEB7wkELwjSER+bEUsEpgPZAa0KCNERIZERVAGoA9QBtQoG0REhiRGFBM4BuwoI0hEeDAPvEJMExgHCCgjUERsKBukQmgS/AckKBtYRKOkQmwS7Ac0KBtgRIusQngS3Ac8KBtcRH+0QoQSzAdEKBtYRHe4QpASwAdYKCtURJeMQqQSuAdwKSQM4Bg7UESgiBbMQsQSsAe4KHA4GDTYIDNMRJxoNAQOrELcErAGrCzYKCtIRJhgLrxC9BKsBrAs2DArSESUWCrAQvgStAawLNg0K0hEnFAiwEL0EsAGsCzUQDNMRKw8Ilw8EkgG/BK8Brws0EhDSETMJCTUG0g4YhAG/BK8BsQsHDx0VDs4RTjMEzQ4ce8gErQGzCwUdDBwMhxEKPFCBDx14zASrAdoLBiEK/BAXOk+BDx13zgSqAYUMCvUQIDlNgQ8cd9IEpwGJDArwECY6S4EPGnfTBKYBjgwK7hAoPUiBDxh50gSmAZEMCu4QKT1I/w4ZeNMEpQGcDArtECo9Sf8OKWfUBKEBowwM7RAqPUsOBuoOKmTVBJ8BqgwO7hApPE4MCegOKmPWBJYBwQwKChDvECgCAjVTCwrnDith1ASUAcgMBQ8M8RAtMFYLCugOKmDRBJQB5QwO9BArGQwJWgkM5g4qXsgEmwHtDA7gEAMSKxN3CArnDipdyASZAfQMDt0QCw0sEXoHCecOK1vJBJYB/QwO3RAOCywRegcH6Q4rWcsEjQGMDQ7eEA4JLhJ6BQbqDixXzwSIAY8NDuAQDgcvEnkGBOsOLFXSBIYBkQ0Q5RALBDESeAYE6g4wARs11ASFAZMNEusQAwYyEXgHAZgMDcYCTw0FH9UEhQGWDRKuEAs6MxJ4mgwRxwJSBQ4a1gReBSGXDRCuEA04MxJ4mAwQyQJqFNcEXA0amQ0WqBAVNjQReRQD/wsPywJrEsQEBA9VGQMMBJ0NEKUQGjQ1EHoSBf8LDcsCbg7DBGnMDRCkEBs0NRB7EwODDAnIAnMKwwRpzg0QpBAYODUPfPYJAaUCBMUCeAjCBGnUDRKlEBY8Mw997gkJ3wEKiAIFcn4HvgRq2w0SqhARQDAPf+oJCuABCoQCC2qHAQO8BGrfDRS2EAFJBwwZEH3qCQnmAQc6B78BDmPKBWzgDRaVERgQfOsJB5sBBUcINQ0sBYoBEFYDBM8FbOMNIPUQAQQCHBYQdAUB7QkFOAlZDT4PMA8nCzMDUhFI4gVZARPkDSL0EAkeFRBxngkLTAM5ClYRORcHHAYRIxAwCFARPfMFUAQS5g0aByT1EAcUCgQTEHCcCQ1NAToKPQMVFDRVIg8vDE4RN/wFEwkxBBLnDRUNJPYQBBEnEHHiCAQzDnAHEgk7CwwZMFwcEC4QHwYsBTmdBjAGD+gNExEehxEsEHTZCAkxEGwLFAY6NStnEhEsFBwLY6AGMAcM6w0RFCCEETAQfgwIvAgIMQdyDE1BJnMFEiwWGg1fogYyBwrtDREVGQMexhAEODMPfgsKvQgErAEKRk4hiwErFhoPW6UGMwcH8A0QFxQVHrQQBAcFAgc0NQ97DQquCmEbjAEsFBsQVqoGNQQG8g0QGw0gGrMQBgYQMTcPeBAG/ggCnwF3FY4BKxUZElGvBjv3DRBcGrIQCQQSMDYQct4IBC8RkAGFAQ2QASoZFBRJtgY3/Q0PYRivEA0BEjUzEHHZCA4uEYQBrAIoIAsZQLwGNoAOD2YWohAqQSoRcMAICgkVMhRztgInRjnABjaBDhBsFpoQLk4jD3AECq0ILTQRZ8UCHFE0wwY1hQ4NbhSXEC1XHw99CQWfCCw2Dl7CAyvGBjWODgZvGJYQKE4HCR4PfgYI7AcHLCo5DFfQAxzNBjWRDgVvGJYQH0gYBx4QfgcG7AcJKyY9CVPiAwjUBjWUDgJxFpcQEzgHEhwEHxB//QcIKCMzBAgHUcAKN4gPFpoQBD0XBiECIA+AAf0HDSQfNQUHBU3ECjiLDw7cEF8PggH5BxIhHjcGUckKOI4PDt4QXQ+CAfYHFx8eOgRLywo7lg8O5xBUDoMB8wcbHR9jAiDMCj2cDxTSEAMWUA+BAdEHChcfGx9BBRsGG8wKQKAPEtAQDQlVD37SBw8TIRluEQkWzgpBpA8UwBAICGsPfNMHFA4jGHEFExPOCkOoDxUBEsAQCwdpEHfYBxYKJReJARHPCkSsDw4FEsAQDgZnEHXbBxgFKBaJAQ/QCkWwDwoGFLEQCAcSAWgRcgkC0wdFE4wBDNIKRLUPBgcQrhAOBHsTbQkH0wdEEI8BCdIKRcQPDq0QOgVPFHEBC9YH4QEE1ApExw8KrRA4CU0VfdoHswxEyQ8O2wwDzwM2DkoWe+AHBQOlDEHODwzXDA3IAzUTRxh36wejDD7TDxK2DAkVERkOoQMfCgkkNxpp+AeiDD3VDxSnDBkTEwYFChKiAx85Mhxj/AeiDC0DDtMPFJkMKAcdBgcIEqYDHjYyHl/+B6IMLQMNyg8WkwwwAx8GBwcRqwMcMzQfXdkHBCGiDC8BC8wPFpIMUwUHBw8OA6oDDC47IGsJB7sHBh6jDDjODxSTDF4GCw8HqwMJJkQhe7wHBxujDBoDGNEPFJcMWwQJDA3bAxgFJSF8vwcFGaQMGQUV0g8QrAxRCBTdAxAOHyJ93AekDBgGFNQPErgMAwFdygMBFgQUHiR+2welDBcEFtUPDMEMWMUDDiMfJX/aB6UMMNYPCsYMU8MDTyh/2QemDC7YDwzNDEnFA04pf9cHqQwlxA8IGxDXDDgdAa8DTSh1gQcDV68MH84PCxYS3gwWAxkYBq8DSyh2gAcFULUMGNcPEwsU/AwCEAETDTsM6gJAL3eABwZKuQwX3Q8UBBCfDQ46Ee8CGgkNNnv+BgdEvQwV5w8M6A0R0wN/BAbzBgZAwAwT7g8MggwI3gEQIQ6jA4sBtgfCDBP0Dw6ADBHZAQ0hE54DjAGdBwsLxAwU9Q8Q/QsVpQEBMwshFYACAZoBjgGfB9gMFPQPEv0LFaQBBjANEgcEFvoBFIoBkgGfB9YMFfIPDv4LEtwBDRAh/QEbf5YBnwfUDBbxDxbaCwQgEdwBDgkmnAEGYBl5nAEEBJcH0QwYsQ8FOhjaCwYfHgIYByeGAQ0KJZ0BD1wUdKoBlgfPDBqyDwg1GtoLCB5qgAEMDCSeARRIBwQXca4B/AYMDc4MG7UPCBsDExrbCwkdbH0KDiOgARZDIgsGXLMB9gbsDBu4DwkOAwUNCRrdCwgdd1MMEgcQJaABGEAhCgdVlAEHIPMG8AwYvA8sAx6EDHsfAh0mHSgBBAcJGgdpGT4gCQdLoQEMDgIJ8gb4DA7CDxyGDH4RGgoyEEUTDlcHCRs9GwoJNLoBDAoLAfEGgQ0EzA8YnggZ6AMFB5cCDBVUCwccPRoJBzK/AQ0CgQfaHCwBEpwIHoEEqgJSDwMdQBcLASjMAY4H3xwnAxCcCCKEBKYCTzBEFCvUAYkHqRwHMSkEFJwIJIcEpAJMMSUCIRAb5AEEAoIHqRwIKDAGEpwIJYsEpAJIMw4XJAwX8gH9BqkcCSUxCRCeCCWOBKsCPFgpBhT5AfoGqRwKD0cGEJ8IJ8cDB0CuAjdWP4ECowYCUqocCQ4WnwgHBxosAZQDGia+AjJVHg0ShgKfBgZTqBwJEBSgCAQKDTUf+AIiGdQCIFUaqwKeBghZohwIERSvCAwVCBc3FAHMApUDFlgTsgKeBglboBwIDxSvCBsCERE5DRHDApkDCWAEwQKdBglZpBwIDBKyCC0XMwwRMgGQAsUGngYIVxkIhxwIARS3CCYcMQwPLgkfBu4BrwYIBKAGClsKE4gcELsIIx0vDQ0qCyAN8gGlBqoGDHiIHBC+CCQXLwwMKgwiE/MBngakBhN2hxwQxAggEywPCSoQIhnvAasGjwYadIocDscIHRIpRREhHO8BqgacBgxxjhwOyggZFSRKCCgc8AGnBqIGCW6RHA7bCAgUJHoZKA3AAZsGrgYJa5QcDvUIJnkZJxa6AZgGEQScBglolxwSjggEZCZ4GSgatgGgBgELnQYKQgYcmhwSwAcKRAlmEIYBGigdswGqBp8GCjseCJ8cFK8HCgQXOhGpARgyIiIctAGoBqEGCTqfHAYiFrEHBQkWOROkAUMIJCIdtAGMBgUUpQYGOaEcCCMSwgcSPQ+jAW8jHroBBA32BfsGoRwKCQIXEMwHB0ELoAFwJR/LAfgF9wajHCACBAUMmAgEnwFxKR7MAfkF9AaiHBMDCq4JfCwczQH6BfEGoBwTBhL3BhOHARoTEUyOAS4azQHjBQgR7wafHBMHEO8GIC4DR6ICLhnMAeUFChDtBp4cFQYQ7AYpEy0krwImIMwB5wUKD+0GnRwYBAzrBnYOuAIYK80B6gULDe0GnhwM6Qa9Aw4z1AEHAdQFGAbwBp8cCOgGvgMEOeYBywWPB6AcBucG+gPrAcsFiQejHAbmBvgD8gHPBf4GphwOvgYYD/YDggECDQEKIz3JBfsGqBwIrgauBHtIPbwFggeoHAqlBu8EO1E8tQWIB5gcAw0Iogb8BClbObEFjgeQHAyfBogFCgcHZSINA7oFiweIHAacBosGDeoF/waHHASZBoUMgweXHASUBoYM/AamHAqnBQc6DhWKDN8GEAmvHAqlBQ0mIRCGDOIGyxwMAwqpBQwfKQ2BDOIG0BwIBQyvBQgZMQv6C8UGCBLaHAUEBswFOgj0C7sGhB0ExwW2DKwGnB0EwgWzDKsGqB0EugW2DKYGsh0EpgXFDKIGuh0EpAXCDJ8GwR0EoQW9DKIGxR0GjAUEEbEMqQbJHQj2BAsLCgylDK4GzR0I8wQVBwkNmwyvBtIdCPEEHAYGD5AMrwbfHQbuBCUYhgyrBusdBuQENRb7C6oG8x0G4ARCD/MLqQb7HQbmBEUE8guoBv8dBu8EDReKDKcGhB4EmgWADKYGhx4IgAUECgkH+gukBooeCoMFBAYLCugKL16gBo8eCJAFBw/hCj5PnwaUHgzHBA8PBQYEN9wKZR+lBpceCMkEChEVNdoKpQeZHgbpBAg92gqhB5seCNoEATcPDdwKmgeeHgrPBA4JCSQRC94KkwehHgrJBBcHEBwHFOEKjQenHgbLBBhH5wqGB7IeBs8EFUXqCoEHux4OtgMHHRAGBmcKCQY45wr8BsAeDLQDDBYqcAk45grpBtIeQgUOtAMODTo4AysOMuoK4gbZHj0MDrMDWywPJhMQBBbvCtoG4B48DQ6zA100CRMHCSkT9ArPBugePQoMswNeVQYKJRT1CscG7R49DgyzA2ISD0UjEfkKvgbyHjowCrMDiAFBJg2DC7IG9B44OgizA40BOtQLlAb2HjQ/CLIDkwEw5guGBvceNjcIsQOYASPzC4EG+R43MQqwA50BGfkL/wX9HjcREgcIrwOiARH7C4AGgB82DQquA6oBCOEKCJIB/wWHHzQGCq8DjQwXhwH/Ax/eAYsfNQIIsAOCDDF1+QMv0QGTHwixA4gMPl72AzzIAZofCLQDjAxGTPIDScABnR8MuAPNCwJASzzvA1a3AZ8fOwQOuwPKCwVETy3wA16xAZ4fFAQjBhDAA8YLBkpQHvQDY6wBnR8WBQkIDwoQxAPDCwhOWQP9A2ioAZsfFggKDAYNDvwDjQsIVc8EbKMBnB8VCwkRAgoMgQSKCwlaxARxnwGnHwcRCgoK/wOPCwlg2gED3AJ0nQHCHwz8A4wLAwQLY8wBENQCd5sBxx8K9AORCxhlwQEV0wJ5mgHMHwrpA5wLHWG6ARjUAnuYAdMfCuADpgsgXbQBHNMCfZkB4R8O2wOsCyRYrgEf1QJ9mQHzHgZTBBMO1wOyCyhRqQEj1QJ0pAHzHgcyJxAO2QOyCyxJpQEm1wJnsgHzHgkrLwwOzwIHhgGxCy9ApQEm2wJltAH0HgsiDs0CFX6vCzQguQEo3QJktgH2HgwXDMkCH3yxC4ECKuIChAGaAfIeDg0MxgIne7EL9QEv5QKGAZ0B7h4QBArEAi18sAvtAS/nAooBnwHsHgq/AjV9sQvkATDoAo0BqQHjHgy9AjuCAa0L2wEx6wKOAa4Byh4MBwq8AkCKAaYL0gEx7wKPAbMBwB4QuwJFmAENCIMLywEx8QKRAZgBCRhDAfMdDrsCSasBgwvHATDzApMBkQEYGSIf6R0QugJOpgGHC8IBLxoL0AKUAYYBKxsGMucdELsCUKYBhgsVA6cBLhgWyAKWAYQBNEznHRC8AlWnAYALDk1jLBYX0QKRAZ0BG0voHQ7AAlSnAf0KDlVaLBYX0wKRAYIC6R0OxAJTqQH6CgxXWCoWGdQCkQGBAukdDsoCUKsB+AoJWFYrHRHUApQB/wHmHQrRAkuwAdILVyqAA5YBgALhHQ7YAka4AckLWCcmEcgCmAHSAQom2R0O3wJBwwG8C1siKiKzApoB0AEJOskdEucCO8wBsAtmDzgerwKdAdABBAsGDgE8sh0O7wI10gGmC7MBG6sCoAHbAQ0KBFeUHRL5AitCApQBnwu4AR1gErEBoQHdAQ8HC3jmHBCEAxNOCZABmwu7AR1aGawBpAHfASh23RwO7wMFigGYC78BHFYfpwGmAeMBKH3VHA70Awh8mgvGARpTIKUBpwHyARt84RwQ9wMOc5ML1QEQVx6iAaEBBQL8AQiDAeUcDIEECHDiCoUCC1MmnwGiAYkD7BwM+QTqCv8BA1kmkgECB6oB9gL2HA7ZBJQLJQelAi15AgwHArABxgKdHQjSBMkLpAIudscBmgLEHQrPBM4LwQEDYCh4wAGbAsUdCs4E0gu6AQpjIHi1AZwCyh0KzQTWC7cBCl8jd6sBmwLSHQrNBNgLuQEJOkR2oAGmAtIdCM8E2Au8AYIBdJYBsALVHQjSBNYLwAF9c4oBpwKTHgrYBNELxQF3cIEBoQIDA58eCOEEyQvKAXFseKECsR4M6ATCC1kGcRoPQmxrnALEHgzoBMQLURFzDBZBbWKaAtMeDOoEwwtHHHgEGEBtXpsC1x4K9wS4Cz0llQE7cFyaAtQeDP4EsgsUBxwrmAE0dTDBAtEeCv4EtwsEGRAznwEn5gPYHgjvBKoMsAENrQMPKeMeCNAE0QwRA8cEHxXuHgayBIgNvAQsCfMeBI0ErQ22BK8fBOgD1Q2uBLQfBNQD8Q2YBMEfBNAD/A2NBMMfBM4Dhg6BBMUfBsMCHmuQDvYDxx8GwQIrao0O7APRHwbCAjRsiQ7iA9cfBs0CMm+GDtcD3B8G4wIhdIsOxwPgHwb6Agx5sg6XA+UfBIQEsA6RA+8fCIcE+A0VAQkQlAP4HwSIBOkNzgP+HwSGBOwNygOFIAamAwRZig6tA4kgBqgDB0+MDq0DkiAIrAMGSewN0wIYY5QgCq8DB0btDbICPhQHPpsgCLMDCEXsDaICZzuhIAi1AwVJ6Q2XAnM4piAGhwTkDY8CfTWsIAaKBOAN9QGYATOvIAiNBN4NWg6DAZ8BM6ogCJEE3Q05KYABpAEyoiAKlATlDRg4ggGlASoDA54gCJcEqw6EAakBJpsgOAoImgSiDoYBrAEfmyAyHQiaBJoOgwG5ARGoICgqBpcEkw6HAZoiAzEElQSVDoQB1SIEkAScDn7dIgSLBKIOeOciBIQEqw5x8SIE/QO1DmmBIwZ0Bf0CwA5giSMKdg0YDZ4BFJYBxw5bjyMIezaXARmNAcoOVpMjCoMBN44BIIMBzw4IBUSXIwqLATmJASJx6A5AniMHDAiUATuCARli/A49tyMInAE8hAELWIgPO7gjBqQBO+EBhg84uiMKrAE7AgYBMqgB+g43uiMGtAF3ngH5DjWyIwa/AXCWAfsOM7sjCMkBaBQUZoMPLs4jCNQBYAseWJYPIewjBtsBhgFJtDMBEQTgAbgBB9IzAuQBkjUC6AGUNQLrAac1Au4BqjUE8wEqCfw0Aq8CgTUCtQKKNQK8AoY1Ar8CkDUCvwKgNQK2Ark1ArMCyDUCtALWNQK6Ats1AsAC2TUCxQLZNQQAKv4B+DUEAEvhAfQ1BgBOERXPAd01BACZAa8B2DUEALQBqAHENQQAyQGoAa81BADfAacBmjUEAO4BrQGFNQQA9AG8AfA0BgD5AQgKxQHQNAQAtQKgAcs0BADhAmTbNAQA+gJR1TQEAI4DQdE0BACgAzPNNAQAswMiyzQEAMYDEMo0AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4AgCgOAIAoDgCAKA4"
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { LAND_MASK };
+}
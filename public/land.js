@@ -0,0 +1,481 @@
+// Random Spot Certificate — land checks
+// Loaded as a plain <script> (after data/landmask.js) and require()able from Node.
+// The offline mask answers "is this land?" with no network; remote lookups are only
+// ever a refinement on top of it.
+
+// --- Offline land mask ------------------------------------------------------
+
+const LAND_MASK_DATA =
+  typeof module !== "undefined" && module.exports
+    ? require("./data/landmask.js").LAND_MASK
+    : (typeof LAND_MASK !== "undefined" ? LAND_MASK : null);
+
+// Mode rule sets are defined next to the seed format in spot.js
+const MODE_RULES =
+  typeof module !== "undefined" && module.exports
+    ? require("./spot.js").LAND_MODES
+    : (typeof LAND_MODES !== "undefined" ? LAND_MODES : {});
+
+let landMaskRows = null;
+
+function base64ToBytes(b64){
+  if (typeof Buffer !== "undefined") return new Uint8Array(Buffer.from(b64, "base64"));
+  const bin = atob(b64);
+  const out = new Uint8Array(bin.length);
+  for (let i=0;i<bin.length;i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+// Per row: sorted column boundaries [landStart, landEnd, landStart, landEnd, …)
+function decodeLandMask(mask){
+  const bytes = base64ToBytes(mask.data);
+  let p = 0;
+  const next = () => {
+    let n = 0, shift = 0, b;
+    do {
+      b = bytes[p++];
+      n |= (b & 0x7f) << shift;
+      shift += 7;
+    } while (b & 0x80);
+    return n;
+  };
+
+  const rows = new Array(mask.rows);
+  for (let r=0;r<mask.rows;r++){
+    const count = next();
+    const edges = new Uint16Array(count);
+    let col = 0;
+    for (let i=0;i<count;i++){
+      col += next();
+      edges[i] = col;
+    }
+    rows[r] = edges;
+  }
+  return rows;
+}
+
+// true/false, or null when the mask isn't loaded (caller decides how to treat that)
+function isLandLocal(lat, lon){
+  if (!LAND_MASK_DATA) return null;
+  if (!landMaskRows) landMaskRows = decodeLandMask(LAND_MASK_DATA);
+
+  const { res, cols, rows } = LAND_MASK_DATA;
+  const r = Math.min(rows - 1, Math.max(0, Math.floor((90 - lat) / res)));
+  const c = ((Math.floor((lon + 180) / res) % cols) + cols) % cols;
+
+  const edges = landMaskRows[r];
+  for (let i=0;i+1<edges.length;i+=2){
+    if (c < edges[i]) return false;
+    if (c < edges[i+1]) return true;
+  }
+  return false;
+}
+
+function landMaskCheck(lat, lon){
+  const land = isLandLocal(lat, lon);
+  return { ok: land !== false, land, source: "mask" };
+}
+
+// --- Remote providers -------------------------------------------------------
+// Each provider wraps one service behind a fixed result shape, so the endpoint can be a
+// self-hosted instance or the local stub (scripts/land-stub-server.js):
+//   nominatim.reverse(lat, lon, opts?)            -> { ok, provider, looksWater, place, type, category, signals }
+//   overpass.countNearby(lat, lon, r, sel, opts?) -> { ok, provider, count, radiusMeters, selector }
+// opts: { onStep } — progress callback, see strongLandCheck().
+//
+// Config per provider: { baseUrl, timeoutMs, retries, minIntervalMs, backoffMs, cacheTtlMs }.
+// Overrides, last wins:
+//   browser: window.RSC_PROVIDERS, then localStorage "rsc_providers" (same JSON shape)
+//   node   : NOMINATIM_URL / OVERPASS_URL / LAND_TIMEOUT_MS / LAND_RETRIES
+//
+// Every request goes through a per-provider queue spaced minIntervalMs apart (Nominatim's
+// usage policy is at most 1 request/second), 429/5xx back off exponentially, and
+// successful results are cached by rounded coordinates for cacheTtlMs.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_PROVIDER_CONFIG = {
+  nominatim: {
+    baseUrl: "https://nominatim.openstreetmap.org",
+    timeoutMs: 8000,
+    retries: 3,
+    minIntervalMs: 1100,
+    backoffMs: 1000,
+    cacheTtlMs: 7 * DAY_MS
+  },
+  overpass: {
+    baseUrl: "https://overpass-api.de/api",
+    timeoutMs: 15000,
+    retries: 3,
+    minIntervalMs: 1000,
+    backoffMs: 2000,
+    cacheTtlMs: 7 * DAY_MS
+  }
+};
+
+const IS_NODE = typeof window === "undefined";
+
+function providerConfigOverrides(){
+  if (IS_NODE) {
+    const env = process.env;
+    const shared = {
+      ...(env.LAND_TIMEOUT_MS ? { timeoutMs: Number(env.LAND_TIMEOUT_MS) } : {}),
+      ...(env.LAND_RETRIES ? { retries: Number(env.LAND_RETRIES) } : {})
+    };
+    return {
+      nominatim: { ...shared, ...(env.NOMINATIM_URL ? { baseUrl: env.NOMINATIM_URL } : {}) },
+      overpass: { ...shared, ...(env.OVERPASS_URL ? { baseUrl: env.OVERPASS_URL } : {}) }
+    };
+  }
+
+  let stored = {};
+  try { stored = JSON.parse(localStorage.getItem("rsc_providers") || "{}") || {}; }
+  catch { stored = {}; }
+  const fromWindow = window.RSC_PROVIDERS || {};
+  return {
+    nominatim: { ...fromWindow.nominatim, ...stored.nominatim },
+    overpass: { ...fromWindow.overpass, ...stored.overpass }
+  };
+}
+
+function providerConfig(name, overrides = providerConfigOverrides()){
+  const cfg = { ...DEFAULT_PROVIDER_CONFIG[name], ...(overrides[name] || {}) };
+  cfg.baseUrl = String(cfg.baseUrl).replace(/\/+$/, "");
+  return cfg;
+}
+
+class ProviderError extends Error {
+  constructor(provider, message, status = 0){
+    super(`${provider}: ${message}`);
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+// --- Request queue ----------------------------------------------------------
+// Serializes a provider's requests so each one starts at least minIntervalMs after the
+// previous one. Retries queue up again, so backoff never bypasses the spacing.
+
+const providerQueues = {};
+
+function throttled(name, minIntervalMs, fn){
+  const q = providerQueues[name] || (providerQueues[name] = { tail: Promise.resolve(), last: 0 });
+  const run = q.tail.then(async () => {
+    const wait = q.last + minIntervalMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    q.last = Date.now();
+  });
+  q.tail = run.catch(() => {});
+  return run.then(fn);
+}
+
+function sleep(ms){ return new Promise((r) => setTimeout(r, ms)); }
+
+// Exponential with jitter; a Retry-After header (seconds) wins when the server sends one
+function backoffDelay(cfg, attempt, retryAfter){
+  const s = Number(retryAfter);
+  if (Number.isFinite(s) && s > 0) return s * 1000;
+  return cfg.backoffMs * 2 ** attempt + Math.floor(Math.random() * 250);
+}
+
+// One HTTP attempt per try, aborted after timeoutMs; retries network errors, 429 and 5xx
+async function providerFetchJSON(name, cfg, url, init = {}, onStep = null){
+  const headers = { "Accept": "application/json", ...(init.headers || {}) };
+  // Nominatim's usage policy wants an identifying UA; browsers send their own + Referer
+  if (IS_NODE) headers["User-Agent"] = "RandomSpotCertificate/1.0 (land check)";
+
+  let lastErr = null;
+  for (let attempt = 0; attempt <= cfg.retries; attempt++) {
+    if (attempt > 0) {
+      const delayMs = backoffDelay(cfg, attempt - 1, lastErr?.retryAfter);
+      onStep?.({ step: "backoff", provider: name, attempt, delayMs });
+      await sleep(delayMs);
+    }
+
+    const r = await throttled(name, cfg.minIntervalMs, async () => {
+      const ctrl = new AbortController();
+      const timer = setTimeout(() => ctrl.abort(), cfg.timeoutMs);
+      try {
+        return await fetch(url, { ...init, headers, signal: ctrl.signal });
+      } catch (e) {
+        return e;
+      } finally {
+        clearTimeout(timer);
+      }
+    });
+
+    if (r instanceof Error) {
+      lastErr = new ProviderError(name, r.name === "AbortError" ? "timed out" : String(r.message || r));
+      continue;
+    }
+    if (r.status === 429 || r.status >= 500) {
+      lastErr = new ProviderError(name, `HTTP ${r.status}`, r.status);
+      lastErr.retryAfter = r.headers.get("Retry-After");
+      continue;
+    }
+    if (!r.ok) throw new ProviderError(name, `HTTP ${r.status}`, r.status);
+    return r.json();
+  }
+  throw lastErr;
+}
+
+// --- Result cache -----------------------------------------------------------
+// IndexedDB in the browser (survives reloads), a Map in Node. Both are best effort:
+// a cache that can't open (private mode, quota) just misses.
+
+function cacheKey(provider, lat, lon, extra = ""){
+  return `${provider}:${Number(lat).toFixed(3)},${Number(lon).toFixed(3)}${extra ? `:${extra}` : ""}`;
+}
+
+function createMemoryCache(){
+  const map = new Map();
+  return {
+    async get(key){
+      const e = map.get(key);
+      if (!e || e.expiresAt <= Date.now()) return null;
+      return e.value;
+    },
+    async set(key, value, ttlMs){
+      map.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+  };
+}
+
+function createIndexedDBCache(dbName = "rsc_land_cache", storeName = "results"){
+  let dbp = null;
+  function open(){
+    if (!dbp) {
+      dbp = new Promise((resolve, reject) => {
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbp;
+  }
+  function run(mode, fn){
+    return open().then((db) => new Promise((resolve) => {
+      const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    })).catch(() => null);
+  }
+
+  return {
+    async get(key){
+      const e = await run("readonly", (store) => store.get(key));
+      if (!e || e.expiresAt <= Date.now()) return null;
+      return e.value;
+    },
+    async set(key, value, ttlMs){
+      await run("readwrite", (store) => store.put({ value, expiresAt: Date.now() + ttlMs }, key));
+    }
+  };
+}
+
+let landCache = null;
+
+function getLandCache(){
+  if (!landCache) {
+    landCache = !IS_NODE && typeof indexedDB !== "undefined" ? createIndexedDBCache() : createMemoryCache();
+  }
+  return landCache;
+}
+
+async function cached(key, ttlMs, onStep, fn){
+  const cache = getLandCache();
+  const hit = await cache.get(key);
+  if (hit) {
+    onStep?.({ step: "cache", key });
+    return { ...hit, cached: true };
+  }
+  const value = await fn();
+  await cache.set(key, value, ttlMs);
+  return value;
+}
+
+// --- Providers --------------------------------------------------------------
+
+function createNominatimProvider(cfg = providerConfig("nominatim")){
+  async function reverse(lat, lon, { onStep } = {}){
+    return cached(cacheKey("nominatim", lat, lon), cfg.cacheTtlMs, onStep, async () => {
+      const url = new URL(`${cfg.baseUrl}/reverse`);
+      url.searchParams.set("format", "jsonv2");
+      url.searchParams.set("lat", String(lat));
+      url.searchParams.set("lon", String(lon));
+      url.searchParams.set("zoom", "18");
+      url.searchParams.set("addressdetails", "1");
+
+      const data = await providerFetchJSON("nominatim", cfg, url.toString(), {}, onStep);
+      return parseNominatimReverse(data);
+    });
+  }
+
+  return { name: "nominatim", config: cfg, reverse };
+}
+
+function parseNominatimReverse(data){
+  const type = String(data?.type || "").toLowerCase();
+  const category = String(data?.category || "").toLowerCase();
+  const display = String(data?.display_name || "").trim();
+  const addr = data?.address || {};
+
+  const waterWords = ["ocean","sea","bay","strait","channel","water","river","lake","reservoir","reef","coastline","beach"];
+  const looksWater =
+    waterWords.some(w => type.includes(w)) ||
+    waterWords.some(w => category.includes(w)) ||
+    (category === "natural" && (type === "water" || type === "coastline"));
+
+  const hasRoadish = !!(addr.road || addr.pedestrian || addr.footway || addr.cycleway);
+  const hasPlaceish = !!(addr.city || addr.town || addr.village || addr.hamlet || addr.suburb || addr.neighbourhood);
+  const hasSettlement = !!(addr.city || addr.town);
+  const hasCountry = !!addr.country;
+
+  const ok = !looksWater && hasCountry && (hasRoadish || hasPlaceish || display.length > 12);
+
+  return {
+    ok,
+    provider: "nominatim",
+    looksWater,
+    place: display || "Unknown",
+    type,
+    category,
+    signals: { hasRoadish, hasPlaceish, hasSettlement, hasCountry }
+  };
+}
+
+function createOverpassProvider(cfg = providerConfig("overpass")){
+  // selector is an Overpass tag filter, e.g. '["highway"]' or '["natural"="peak"]'
+  async function countNearby(lat, lon, radiusMeters, selector, { onStep } = {}){
+    const key = cacheKey("overpass", lat, lon, `${radiusMeters}${selector}`);
+    return cached(key, cfg.cacheTtlMs, onStep, () => fetchCount(lat, lon, radiusMeters, selector, onStep));
+  }
+
+  async function fetchCount(lat, lon, radiusMeters, selector, onStep){
+    const query = `
+[out:json][timeout:12];
+(
+  way${selector}(around:${radiusMeters},${lat},${lon});
+  node${selector}(around:${radiusMeters},${lat},${lon});
+  relation${selector}(around:${radiusMeters},${lat},${lon});
+);
+out tags 1;
+    `.trim();
+
+    const data = await providerFetchJSON("overpass", cfg, `${cfg.baseUrl}/interpreter`, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain;charset=UTF-8" },
+      body: query
+    }, onStep);
+
+    const count = Array.isArray(data?.elements) ? data.elements.length : 0;
+    return { ok: count > 0, provider: "overpass", count, radiusMeters, selector };
+  }
+
+  return { name: "overpass", config: cfg, countNearby };
+}
+
+let landProviders = null;
+
+function getLandProviders(){
+  if (!landProviders) {
+    landProviders = { nominatim: createNominatimProvider(), overpass: createOverpassProvider() };
+  }
+  return landProviders;
+}
+
+// Swap in other providers (self-hosted, stubs); pass null to rebuild from config
+function setLandProviders(providers){
+  landProviders = providers ? { ...getLandProviders(), ...providers } : null;
+}
+
+// --- Strong check -----------------------------------------------------------
+
+const NOMINATIM_TESTS = {
+  land: (nom) => nom.ok,
+  notWater: (nom) => !nom.looksWater,
+  settlement: (nom) => nom.ok && nom.signals.hasSettlement
+};
+
+function getMode(mode){
+  const def = MODE_RULES[mode];
+  if (!def) throw new Error(`Unknown mode: ${mode}`);
+  return def;
+}
+
+// Offline mask first: open water is rejected with no network at all.
+// refine=false stops there; otherwise the Nominatim place name is looked up and the
+// mode's rules (see LAND_MODES in spot.js) run in order until one fails.
+// onStep({ step, … }) reports progress: mask | nominatim | overpass | cache | backoff.
+// level: mask | lite (no rules) | nominatim | overpass | strong | fallback (a rule was skipped)
+async function strongLandCheck(lat, lon, mode, { refine = true, onStep = null } = {}) {
+  const def = getMode(mode);
+
+  onStep?.({ step: "mask" });
+  const mask = landMaskCheck(lat, lon);
+  if (!mask.ok) {
+    return { ok: false, level: "mask", place: "Open water (offline mask)", mask };
+  }
+  if (!refine) {
+    return { ok: true, level: "mask", place: "Land (offline mask)", mask };
+  }
+
+  const { nominatim, overpass } = getLandProviders();
+  onStep?.({ step: "nominatim" });
+  const nom = await nominatim.reverse(lat, lon, { onStep });
+
+  if (!def.rules.length) {
+    return { ok: true, level: "lite", place: nom.place, mask, nom };
+  }
+
+  const nearby = [];
+  let skipped = false;
+  for (const rule of def.rules) {
+    if (rule.nominatim) {
+      const test = NOMINATIM_TESTS[rule.nominatim];
+      if (!test) throw new Error(`Unknown nominatim rule: ${rule.nominatim}`);
+      if (!test(nom)) return { ok: false, level: "nominatim", place: nom.place, mask, nom, nearby, rule };
+      continue;
+    }
+
+    let found;
+    try {
+      onStep?.({ step: "overpass", feature: rule.feature });
+      found = await overpass.countNearby(lat, lon, rule.within, rule.overpass, { onStep });
+    } catch (e) {
+      found = { ok: null, selector: rule.overpass, radiusMeters: rule.within, error: String(e?.message || e) };
+      nearby.push(found);
+      if (rule.onError === "pass") {
+        skipped = true;
+        continue;
+      }
+      return { ok: false, level: "overpass", place: nom.place, mask, nom, nearby, rule };
+    }
+
+    nearby.push(found);
+    const wanted = rule.expect === "none" ? found.count === 0 : found.count > 0;
+    if (!wanted) return { ok: false, level: "overpass", place: nom.place, mask, nom, nearby, rule };
+  }
+
+  return { ok: true, level: skipped ? "fallback" : "strong", place: nom.place, mask, nom, nearby };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    isLandLocal,
+    landMaskCheck,
+    DEFAULT_PROVIDER_CONFIG,
+    providerConfig,
+    ProviderError,
+    createNominatimProvider,
+    parseNominatimReverse,
+    createOverpassProvider,
+    getLandProviders,
+    setLandProviders,
+    createMemoryCache,
+    createIndexedDBCache,
+    strongLandCheck
+  };
+}
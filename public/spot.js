@@ -0,0 +1,550 @@
+// Random Spot Certificate — shared spot generation
+// Loaded as a plain <script> before app.js, and require()d by the Netlify function
+// so the server can replay a seed with exactly the same RNG + tile math.
+
+// --- RNG --------------------------------------------------------------------
+
+function hashStrToSeed(str) {
+  let h = 2166136261 >>> 0;
+  for (let i=0;i<str.length;i++){
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+function mulberry32(seed){
+  let t = seed >>> 0;
+  return function(){
+    t += 0x6D2B79F5;
+    let x = Math.imul(t ^ (t >>> 15), 1 | t);
+    x ^= x + Math.imul(x ^ (x >>> 7), 61 | x);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// --- Countries --------------------------------------------------------------
+// COUNTRY_SHAPES comes from data/countries.js (simplified Natural Earth polygons).
+// Pages that never roll can skip loading it; only rolling/validation needs it.
+
+const COUNTRIES =
+  typeof module !== "undefined" && module.exports
+    ? require("./data/countries.js").COUNTRY_SHAPES
+    : (typeof COUNTRY_SHAPES !== "undefined" ? COUNTRY_SHAPES : {});
+
+// Legacy boxes: only used to replay rsc1 seeds sold before the polygons existed
+const COUNTRY_BOUNDS = {
+  NZ: { name:"New Zealand", latMin:-47.5, latMax:-34.0, lonMin:166.0, lonMax:179.8 },
+  AU: { name:"Australia",   latMin:-43.8, latMax:-10.0, lonMin:112.0, lonMax:154.0 },
+  US: { name:"USA (lower 48)", latMin:24.5, latMax:49.5, lonMin:-125.0, lonMax:-66.5 },
+  GB: { name:"United Kingdom", latMin:49.8, latMax:59.0, lonMin:-8.6, lonMax:1.8 },
+  JP: { name:"Japan", latMin:30.0, latMax:45.8, lonMin:129.0, lonMax:145.8 }
+};
+
+function normLon(lon){
+  return lon > 180 ? lon - 360 : lon;
+}
+
+// Even-odd ray cast over every ring, so holes (lakes, enclaves) are excluded
+function pointInPolygon(poly, x, y){
+  let inside = false;
+  for (const ring of poly) {
+    for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+      const xi = ring[i], yi = ring[i+1], xj = ring[j], yj = ring[j+1];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInCountry(countryCode, lat, lon){
+  const shape = COUNTRIES[countryCode];
+  if (!shape) return false;
+
+  const x = shape.wrap && lon < 0 ? lon + 360 : lon;
+  const [w, s, e, n] = shape.bbox;
+  if (x < w || x > e || lat < s || lat > n) return false;
+
+  return shape.polygons.some((poly) => pointInPolygon(poly, x, lat));
+}
+
+// Uniform in the bbox, rejected until it lands inside the country. Deterministic for a
+// given rng; the cap only matters for a broken shape.
+const MAX_COUNTRY_SAMPLES = 10000;
+
+function samplePolygon(shape, rng){
+  const [w, s, e, n] = shape.bbox;
+  let lat = 0, lon = 0;
+  for (let i = 0; i < MAX_COUNTRY_SAMPLES; i++) {
+    lat = s + rng() * (n - s);
+    lon = w + rng() * (e - w);
+    if (shape.polygons.some((poly) => pointInPolygon(poly, lon, lat))) break;
+  }
+  return { lat, lon: normLon(lon) };
+}
+
+function sampleBounds(bounds, rng){
+  const lat = bounds.latMin + rng() * (bounds.latMax - bounds.latMin);
+  const lon = bounds.lonMin + rng() * (bounds.lonMax - bounds.lonMin);
+  return { lat, lon };
+}
+
+function countryName(countryCode){
+  return COUNTRIES[countryCode]?.name || COUNTRY_BOUNDS[countryCode]?.name || countryCode;
+}
+
+function rollCenter(countryCode, mode, userSeed, rerolls, version = SEED_VERSION){
+  const base = `${countryCode}|${mode}|${userSeed}|${rerolls}`;
+  const seed32 = hashStrToSeed(base);
+  const rng = mulberry32(seed32);
+
+  let country, point;
+  if (version === "rsc1") {
+    const bounds = COUNTRY_BOUNDS[countryCode] || COUNTRY_BOUNDS.NZ;
+    country = bounds.name;
+    point = sampleBounds(bounds, rng);
+  } else {
+    const shape = COUNTRIES[countryCode] || COUNTRIES.NZ;
+    country = shape.name;
+    point = samplePolygon(shape, rng);
+  }
+
+  return {
+    country,
+    countryCode,
+    mode,
+    lat: Number(point.lat.toFixed(6)),
+    lon: Number(point.lon.toFixed(6)),
+    seed: makeSeedToken(countryCode, mode, userSeed, rerolls, version),
+    rerolls
+  };
+}
+
+// --- Modes ------------------------------------------------------------------
+// A mode is a declarative rule set; strongLandCheck() in land.js evaluates the rules in order
+// after the offline mask and a Nominatim reverse lookup. The mode key is part of the seed.
+// Rules:
+//   { nominatim: "land" }        reverse lookup looks like addressed land (not water)
+//   { nominatim: "notWater" }    reverse lookup is anything but water
+//   { nominatim: "settlement" }  address has a city or town
+//   { overpass: '<tag filter>', within: <m>, expect: "some" | "none", feature, onError? }
+//       count OSM features around the point; onError "pass" lets the rule through when
+//       Overpass is unreachable (default "fail")
+// strict: a failed Nominatim lookup fails the candidate instead of letting it through.
+
+const LAND_MODES = {
+  publicish: {
+    label: "Publicish (check rules)",
+    picker: "Prefer likely-land + near-roads (still check rules)",
+    hint: "Avoids obvious water and totally remote picks: a road within 3 km.",
+    strict: true,
+    rules: [
+      { nominatim: "land" },
+      // 3km: kills ocean + super remote
+      { overpass: '["highway"]', within: 3000, expect: "some", feature: "roads", onError: "pass" }
+    ]
+  },
+  urban: {
+    label: "Urban",
+    picker: "Urban (inside a city or town)",
+    hint: "Only spots whose address falls inside a city or town. Rural countries may need a few rerolls.",
+    strict: true,
+    rules: [{ nominatim: "settlement" }]
+  },
+  wilderness: {
+    label: "Wilderness",
+    picker: "Wilderness (no road within 5 km)",
+    hint: "On land, with no mapped road of any kind within 5 km.",
+    strict: true,
+    rules: [
+      { nominatim: "notWater" },
+      { overpass: '["highway"]', within: 5000, expect: "none", feature: "roads" }
+    ]
+  },
+  coastal: {
+    label: "Coastal",
+    picker: "Coastal (within 1 km of the coastline)",
+    hint: "On land, within 1 km of the mapped coastline.",
+    strict: true,
+    rules: [
+      { nominatim: "notWater" },
+      { overpass: '["natural"="coastline"]', within: 1000, expect: "some", feature: "coastline" }
+    ]
+  },
+  summit: {
+    label: "Summit",
+    picker: "Summit (within 1 km of a mapped peak)",
+    hint: "Near a mapped peak (OSM natural=peak). Flat countries may need a few rerolls.",
+    strict: true,
+    rules: [
+      { overpass: '["natural"="peak"]', within: 1000, expect: "some", feature: "peaks" }
+    ]
+  },
+  anywhere: {
+    label: "Anywhere",
+    picker: "Anywhere (may be private/restricted)",
+    hint: "Any land at all, including private or restricted ground.",
+    strict: false,
+    rules: []
+  }
+};
+
+function modeLabel(m){
+  return LAND_MODES[m]?.label || m || "—";
+}
+
+// --- Seed tokens ------------------------------------------------------------
+// A seed is everything rollCenter() needs, so a certificate can be replayed exactly:
+//   <version>.<countryCode>.<mode>.<userSeed>.<rerolls>
+// The version prefix pins the sampling algorithm (and its data); bump it if either changes
+// and keep the old branch in rollCenter() so sold certificates still replay.
+//   rsc1: uniform in COUNTRY_BOUNDS boxes
+//   rsc2: rejection sampling inside data/countries.js polygons
+
+const SEED_VERSION = "rsc2";
+const SEED_VERSIONS = ["rsc1", "rsc2"];
+
+function makeSeedToken(countryCode, mode, userSeed, rerolls, version = SEED_VERSION){
+  return [version, countryCode, mode, userSeed, rerolls].join(".");
+}
+
+function parseSeed(token){
+  const parts = String(token || "").trim().split(".");
+  if (parts.length !== 5 || !SEED_VERSIONS.includes(parts[0])) return null;
+
+  const [version, countryCode, mode, userSeed, rerollsStr] = parts;
+  const rerolls = Number(rerollsStr);
+  const known = version === "rsc1" ? COUNTRY_BOUNDS : COUNTRIES;
+  if (!known[countryCode]) return null;
+  if (!/^[a-z]+$/.test(mode) || !LAND_MODES[mode]) return null;
+  if (!/^[A-Za-z0-9-]{1,64}$/.test(userSeed)) return null;
+  if (!Number.isInteger(rerolls) || rerolls < 0 || String(rerolls) !== rerollsStr) return null;
+
+  return { version, countryCode, mode, userSeed, rerolls };
+}
+
+function replaySeed(token){
+  const p = parseSeed(token);
+  if (!p) return null;
+  return rollCenter(p.countryCode, p.mode, p.userSeed, p.rerolls, p.version);
+}
+
+// --- Tile math --------------------------------------------------------------
+// Tiles live on the WGS84 ellipsoid. A tile of size s is the lat/lon box whose N–S side is
+// s metres along the centre meridian and whose E–W side is s metres along the centre
+// parallel; areaM2 is the true ellipsoidal area of that box (it drifts from s² as the
+// edges converge near the poles). Longitudes stay in [-180, 180], so a tile straddling the
+// antimeridian has west > east (crossesAntimeridian). A tile reaching a pole becomes a
+// polar cap spanning every longitude.
+
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+const WGS84_E = Math.sqrt(WGS84_E2);
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+
+const DEG = Math.PI / 180;
+
+// Radius of curvature along the meridian
+function meridionalRadius(phi){
+  const s = Math.sin(phi);
+  return (WGS84_A * (1 - WGS84_E2)) / Math.pow(1 - WGS84_E2 * s * s, 1.5);
+}
+
+// Radius of curvature in the prime vertical (the parallel's radius is this × cos φ)
+function primeVerticalRadius(phi){
+  const s = Math.sin(phi);
+  return WGS84_A / Math.sqrt(1 - WGS84_E2 * s * s);
+}
+
+// Distance along a meridian from the equator to latitude phi (radians), sub-mm series
+function meridianArc(phi){
+  const e2 = WGS84_E2, e4 = e2 * e2, e6 = e4 * e2;
+  const A0 = 1 - e2 / 4 - (3 * e4) / 64 - (5 * e6) / 256;
+  const A2 = (3 / 8) * (e2 + e4 / 4 + (15 * e6) / 128);
+  const A4 = (15 / 256) * (e4 + (3 * e6) / 4);
+  const A6 = (35 * e6) / 3072;
+  return WGS84_A * (A0 * phi - A2 * Math.sin(2 * phi) + A4 * Math.sin(4 * phi) - A6 * Math.sin(6 * phi));
+}
+
+// Latitude (radians) whose meridian arc from the equator is `arc` metres
+function latitudeAtArc(arc, guess){
+  let phi = guess;
+  for (let i = 0; i < 8; i++) {
+    const step = (meridianArc(phi) - arc) / meridionalRadius(phi);
+    phi -= step;
+    if (Math.abs(step) < 1e-15) break;
+  }
+  return phi;
+}
+
+// Local conversions at latDeg (exact for a meridian/parallel arc, not just near the equator)
+function metersToLatDeg(m, latDeg = 0){
+  return m / (meridionalRadius(latDeg * DEG) * DEG);
+}
+function metersToLonDeg(m, latDeg){
+  const phi = latDeg * DEG;
+  return m / (primeVerticalRadius(phi) * Math.cos(phi) * DEG);
+}
+
+// Ellipsoidal area between two parallels, per radian of longitude (authalic formula)
+function zoneArea(phi){
+  const s = Math.sin(phi);
+  const es = WGS84_E * s;
+  return (WGS84_B * WGS84_B / 2) * (s / (1 - es * es) + Math.log((1 + es) / (1 - es)) / (2 * WGS84_E));
+}
+
+function lonSpan(b){
+  const span = b.east - b.west;
+  return span < 0 ? span + 360 : span;
+}
+
+// True area (m²) of a lat/lon box, antimeridian-aware
+function boundsAreaM2(b){
+  return lonSpan(b) * DEG * (zoneArea(b.north * DEG) - zoneArea(b.south * DEG));
+}
+
+// Lat/lon box of widthM × heightM metres (along the centre parallel / meridian)
+function boxFromCenter(lat, lon, widthM, heightM){
+  const phi = lat * DEG;
+  const arc = meridianArc(phi);
+  const halfH = heightM / 2;
+
+  let north = latitudeAtArc(arc + halfH, phi + halfH / meridionalRadius(phi)) / DEG;
+  let south = latitudeAtArc(arc - halfH, phi - halfH / meridionalRadius(phi)) / DEG;
+
+  const parallel = primeVerticalRadius(phi) * Math.cos(phi);
+  const dLon = parallel > 0 ? widthM / 2 / (parallel * DEG) : Infinity;
+
+  let west, east;
+  if (north >= 90 || south <= -90 || dLon >= 180) {
+    // Polar cap: the box contains the pole, so it covers every longitude
+    north = Math.min(north, 90);
+    south = Math.max(south, -90);
+    west = -180;
+    east = 180;
+  } else {
+    west = normLon(lon - dLon < -180 ? lon - dLon + 360 : lon - dLon);
+    east = normLon(lon + dLon);
+  }
+
+  const bounds = { north, south, east, west };
+  if (west > east) bounds.crossesAntimeridian = true;
+
+  return {
+    areaM2: Number(boundsAreaM2(bounds).toFixed(4)),
+    center: { lat, lon },
+    bounds,
+    corners: {
+      NW: { lat: north, lon: west },
+      NE: { lat: north, lon: east },
+      SW: { lat: south, lon: west },
+      SE: { lat: south, lon: east }
+    }
+  };
+}
+
+function makeTileFromCenter(lat, lon, sizeMeters = 1) {
+  return { sizeMeters, ...boxFromCenter(lat, lon, sizeMeters, sizeMeters) };
+}
+
+// Strict overlap: tiles that only share an edge don't collide.
+// Longitudes are compared on the circle, so antimeridian tiles collide with their neighbours.
+function tilesOverlap(a, b){
+  if (!(a.south < b.north && b.south < a.north)) return false;
+  const aEast = a.west + lonSpan(a);
+  const bEast = b.west + lonSpan(b);
+  return [-360, 0, 360].some((k) => a.west < bEast + k && b.west + k < aEast);
+}
+
+// --- Plots ------------------------------------------------------------------
+// What a buyer actually gets: one tile, a contiguous block of cols × rows tiles, or a circle /
+// flat-topped hexagon sizeMeters across. Every plot is a GeoJSON Polygon (one closed [lon, lat]
+// ring, counter-clockwise, longitudes kept continuous with the centre so antimeridian plots
+// don't jump) plus its lat/lon bounding box, which is what the tile registry checks overlap on.
+// Metadata carries a compact spec ("square", "block:3x2", "circle", "hex") next to tile_m, and
+// the ring itself in plot_geojson_0…n (Stripe caps metadata values at 500 characters).
+
+const PLOT_SHAPES = ["square", "block", "circle", "hex"];
+const MAX_BLOCK_SIDE = 10;
+const CIRCLE_SEGMENTS = 32;
+const PLOT_GEOJSON_CHUNK = 500;
+
+function parsePlotSpec(str){
+  const m = /^(square|block|circle|hex)(?::(\d{1,2})x(\d{1,2}))?$/.exec(String(str || "square").trim());
+  if (!m) return null;
+  const shape = m[1];
+  if (shape !== "block") return m[2] ? null : { shape, cols: 1, rows: 1 };
+
+  const cols = Number(m[2]), rows = Number(m[3]);
+  if (!(cols >= 1 && rows >= 1 && cols <= MAX_BLOCK_SIDE && rows <= MAX_BLOCK_SIDE)) return null;
+  return { shape, cols, rows };
+}
+
+function plotSpecString(spec){
+  return spec.shape === "block" ? `block:${spec.cols}x${spec.rows}` : spec.shape;
+}
+
+// Plot outline in local metres around the centre (x east, y north), counter-clockwise
+function plotOutlineMeters(spec, sizeMeters){
+  const r = sizeMeters / 2;
+  if (spec.shape === "circle" || spec.shape === "hex") {
+    const n = spec.shape === "circle" ? CIRCLE_SEGMENTS : 6;
+    const out = [];
+    for (let i = 0; i < n; i++) {
+      const a = (2 * Math.PI * i) / n;
+      out.push([r * Math.cos(a), r * Math.sin(a)]);
+    }
+    return out;
+  }
+  const w = r * spec.cols, h = r * spec.rows;
+  return [[-w, -h], [w, -h], [w, h], [-w, h]];
+}
+
+// Local metres -> [lon, lat], measured like tiles: y along the meridian, x along the centre parallel
+function metersToLonLat(lat, lon, x, y){
+  const phi = lat * DEG;
+  const nLat = latitudeAtArc(meridianArc(phi) + y, phi + y / meridionalRadius(phi)) / DEG;
+  const nLon = lon + x / (primeVerticalRadius(phi) * Math.cos(phi) * DEG);
+  return [Number(nLon.toFixed(8)), Number(nLat.toFixed(8))];
+}
+
+// Ellipsoidal area of a closed [lon, lat] ring (exact along meridians and parallels)
+function ringAreaM2(ring){
+  const z0 = zoneArea(ring[0][1] * DEG);
+  let sum = 0;
+  for (let i = 0; i + 1 < ring.length; i++) {
+    const [lon1, lat1] = ring[i], [lon2, lat2] = ring[i + 1];
+    const z = (zoneArea(lat1 * DEG) + zoneArea(lat2 * DEG)) / 2 - z0;
+    sum += (lon2 - lon1) * DEG * z;
+  }
+  return Math.abs(sum);
+}
+
+function makePlot(lat, lon, sizeMeters = 1, spec = { shape: "square", cols: 1, rows: 1 }){
+  const outline = plotOutlineMeters(spec, sizeMeters);
+  const ring = outline.map(([x, y]) => metersToLonLat(lat, lon, x, y));
+  ring.push(ring[0]);
+
+  const height = spec.shape === "hex" ? (sizeMeters * Math.sqrt(3)) / 2 : sizeMeters * spec.rows;
+  const width = spec.shape === "circle" || spec.shape === "hex" ? sizeMeters : sizeMeters * spec.cols;
+  const box = boxFromCenter(lat, lon, width, height);
+
+  return {
+    ...box,
+    shape: spec.shape,
+    cols: spec.cols,
+    rows: spec.rows,
+    spec: plotSpecString(spec),
+    sizeMeters,
+    // A square / block is its box; round shapes use the polygon that is actually sold
+    areaM2: spec.shape === "circle" || spec.shape === "hex" ? Number(ringAreaM2(ring).toFixed(4)) : box.areaM2,
+    geometry: { type: "Polygon", coordinates: [ring] }
+  };
+}
+
+// Outline (and block grid lines) fitted into a size × size box, y pointing down, for the
+// certificate renderers. Reads the carried geometry, so what's drawn is what was sold.
+// metersPerUnit is the drawing's scale (for a scale bar).
+function plotDiagram(plot, size, pad = 0.1){
+  const { lat, lon } = plot.center;
+  const phi = lat * DEG;
+  const kx = primeVerticalRadius(phi) * Math.cos(phi) * DEG;
+  const ky = meridionalRadius(phi) * DEG;
+  const pts = plot.geometry.coordinates[0].map(([x, y]) => [(x - lon) * kx, (y - lat) * ky]);
+
+  const extent = Math.max(...pts.map(([x, y]) => Math.max(Math.abs(x), Math.abs(y)))) || 1;
+  const scale = (size * (1 - 2 * pad)) / (2 * extent);
+  const toBox = ([x, y]) => [size / 2 + x * scale, size / 2 - y * scale];
+
+  const grid = [];
+  if (plot.shape === "block") {
+    const w = (plot.sizeMeters * plot.cols) / 2, h = (plot.sizeMeters * plot.rows) / 2;
+    for (let i = 1; i < plot.cols; i++) {
+      const x = -w + i * plot.sizeMeters;
+      grid.push([...toBox([x, -h]), ...toBox([x, h])]);
+    }
+    for (let j = 1; j < plot.rows; j++) {
+      const y = -h + j * plot.sizeMeters;
+      grid.push([...toBox([-w, y]), ...toBox([w, y])]);
+    }
+  }
+  return { outline: pts.map(toBox), grid, metersPerUnit: 1 / scale };
+}
+
+function plotLabel(plot){
+  const s = plot.sizeMeters;
+  if (plot.shape === "block") return `Block of ${plot.cols} × ${plot.rows} tiles, ${s} m × ${s} m each`;
+  if (plot.shape === "circle") return `Circle, ${s} m across`;
+  if (plot.shape === "hex") return `Hexagon, ${s} m across`;
+  return `Tile ${s} m × ${s} m`;
+}
+
+// Metadata fields for a plot (spread into the Checkout Session metadata)
+function plotMetadata(plot){
+  const text = JSON.stringify(plot.geometry);
+  const meta = { plot: plot.spec, area_m2: plot.areaM2.toFixed(2) };
+  for (let i = 0; i * PLOT_GEOJSON_CHUNK < text.length; i++) {
+    meta[`plot_geojson_${i}`] = text.slice(i * PLOT_GEOJSON_CHUNK, (i + 1) * PLOT_GEOJSON_CHUNK);
+  }
+  return meta;
+}
+
+// The sold plot, from metadata. Sessions from before plots existed are a single square tile.
+function plotFromMetadata(meta = {}){
+  const lat = Number(meta.lat), lon = Number(meta.lon), sizeMeters = Number(meta.tile_m || 1);
+  const spec = parsePlotSpec(meta.plot);
+  if (!spec || !Number.isFinite(lat) || !Number.isFinite(lon) || !(sizeMeters > 0)) return null;
+
+  const plot = makePlot(lat, lon, sizeMeters, spec);
+
+  let text = "";
+  for (let i = 0; meta[`plot_geojson_${i}`]; i++) text += meta[`plot_geojson_${i}`];
+  if (text) {
+    try {
+      const geometry = JSON.parse(text);
+      const ring = geometry?.coordinates?.[0];
+      if (geometry.type === "Polygon" && Array.isArray(ring) && ring.length >= 4) {
+        plot.geometry = geometry;
+        if (spec.shape === "circle" || spec.shape === "hex") plot.areaM2 = Number(ringAreaM2(ring).toFixed(4));
+      }
+    } catch {
+      // keep the rebuilt geometry
+    }
+  }
+  return plot;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    hashStrToSeed,
+    mulberry32,
+    COUNTRIES,
+    COUNTRY_BOUNDS,
+    pointInCountry,
+    countryName,
+    rollCenter,
+    LAND_MODES,
+    modeLabel,
+    SEED_VERSION,
+    SEED_VERSIONS,
+    makeSeedToken,
+    parseSeed,
+    replaySeed,
+    metersToLatDeg,
+    metersToLonDeg,
+    makeTileFromCenter,
+    boundsAreaM2,
+    tilesOverlap,
+    PLOT_SHAPES,
+    MAX_BLOCK_SIDE,
+    parsePlotSpec,
+    plotSpecString,
+    plotOutlineMeters,
+    ringAreaM2,
+    makePlot,
+    plotDiagram,
+    plotLabel,
+    plotMetadata,
+    plotFromMetadata
+  };
+}
@@ -0,0 +1,205 @@
+// scripts/build-countries.js
+// Regenerate public/data/countries.js from Natural Earth 1:50m boundaries (world-atlas).
+//
+//   npm run build:countries
+//
+// Each country is simplified (Douglas–Peucker) and rounded so the bundle stays small.
+// Rings are flat [lon, lat, lon, lat, …] arrays; a polygon is [outer, ...holes].
+// Countries that straddle the antimeridian are stored with longitudes shifted into
+// (0, 360) so their bbox stays tight; see `wrap` in the output and spot.js.
+//
+// NOTE: changing this data changes where rsc2 seeds land. Only regenerate together with a
+// seed version bump in spot.js, or old certificates stop replaying.
+
+const fs = require("fs");
+const path = require("path");
+const topojson = require("topojson-client");
+const world = require("world-atlas/countries-50m.json");
+
+const TOLERANCE_DEG = 0.04;
+const DECIMALS = 2;
+const MIN_RING_AREA_DEG2 = 0.01; // drops rocks and specks (~100 km² at the equator)
+
+// code, ISO numeric, display name, options
+//  clip: [west, south, east, north] keep only polygons whose bbox center is inside
+//  wrap: shift negative longitudes by +360 (antimeridian)
+const COUNTRIES = [
+  ["NZ", "554", "New Zealand", { wrap: true }],
+  ["AU", "036", "Australia", { clip: [110, -45, 155, -9] }],
+  ["US", "840", "USA (lower 48)", { clip: [-125, 24, -66, 50] }],
+  ["GB", "826", "United Kingdom"],
+  ["JP", "392", "Japan"],
+  ["CA", "124", "Canada"],
+  ["MX", "484", "Mexico"],
+  ["BR", "076", "Brazil"],
+  ["AR", "032", "Argentina"],
+  ["CL", "152", "Chile", { clip: [-76, -56, -66, -17] }],
+  ["PE", "604", "Peru"],
+  ["CO", "170", "Colombia", { clip: [-80, -5, -66, 13] }],
+  ["ZA", "710", "South Africa", { clip: [16, -35, 33, -22] }],
+  ["KE", "404", "Kenya"],
+  ["EG", "818", "Egypt"],
+  ["MA", "504", "Morocco"],
+  ["NG", "566", "Nigeria"],
+  ["FR", "250", "France (metropolitan)", { clip: [-5.5, 41, 10, 51.5] }],
+  ["DE", "276", "Germany"],
+  ["ES", "724", "Spain (mainland + Balearics)", { clip: [-10, 35.5, 5, 44] }],
+  ["IT", "380", "Italy"],
+  ["PT", "620", "Portugal (mainland)", { clip: [-10, 36.5, -6, 42.5] }],
+  ["IE", "372", "Ireland"],
+  ["NL", "528", "Netherlands", { clip: [3, 50.5, 7.5, 54] }],
+  ["NO", "578", "Norway (mainland)", { clip: [4, 57, 32, 72] }],
+  ["SE", "752", "Sweden"],
+  ["FI", "246", "Finland"],
+  ["IS", "352", "Iceland"],
+  ["PL", "616", "Poland"],
+  ["GR", "300", "Greece"],
+  ["TR", "792", "Turkey"],
+  ["IN", "356", "India", { clip: [68, 6, 98, 36] }],
+  ["CN", "156", "China"],
+  ["KR", "410", "South Korea"],
+  ["TH", "764", "Thailand"],
+  ["VN", "704", "Vietnam"],
+  ["ID", "360", "Indonesia"],
+  ["PH", "608", "Philippines"],
+  ["MY", "458", "Malaysia"],
+  ["AE", "784", "United Arab Emirates"],
+  ["SA", "682", "Saudi Arabia"],
+];
+
+function perpDist(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const len2 = dx * dx + dy * dy;
+  if (!len2) return Math.hypot(p[0] - a[0], p[1] - a[1]);
+  const t = Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len2));
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+function simplify(points, tol) {
+  if (points.length < 3) return points;
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [i, j] = stack.pop();
+    let best = -1;
+    let bestD = tol;
+    for (let k = i + 1; k < j; k++) {
+      const d = perpDist(points[k], points[i], points[j]);
+      if (d > bestD) {
+        bestD = d;
+        best = k;
+      }
+    }
+    if (best > -1) {
+      keep[best] = 1;
+      stack.push([i, best], [best, j]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+function ringArea(ring) {
+  let a = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    a += (ring[j][0] + ring[i][0]) * (ring[j][1] - ring[i][1]);
+  }
+  return Math.abs(a / 2);
+}
+
+function bboxOf(rings) {
+  let w = Infinity;
+  let s = Infinity;
+  let e = -Infinity;
+  let n = -Infinity;
+  for (const ring of rings) {
+    for (const [lon, lat] of ring) {
+      w = Math.min(w, lon);
+      e = Math.max(e, lon);
+      s = Math.min(s, lat);
+      n = Math.max(n, lat);
+    }
+  }
+  return [w, s, e, n];
+}
+
+const round = (v) => Number(v.toFixed(DECIMALS));
+
+function build() {
+  const features = topojson.feature(world, world.objects.countries).features;
+  const out = {};
+
+  for (const [code, id, name, opts = {}] of COUNTRIES) {
+    const f = features.find((x) => x.id === id);
+    if (!f) throw new Error(`Missing ${code} (${id}) in world-atlas`);
+
+    const geom = f.geometry;
+    const polys = geom.type === "Polygon" ? [geom.coordinates] : geom.coordinates;
+    const polygons = [];
+
+    for (const poly of polys) {
+      let rings = poly.map((ring) =>
+        ring.map(([lon, lat]) => [opts.wrap && lon < 0 ? lon + 360 : lon, lat])
+      );
+
+      if (opts.clip) {
+        const [w, s, e, n] = bboxOf([rings[0]]);
+        const cx = (w + e) / 2;
+        const cy = (s + n) / 2;
+        const [cw, cs, ce, cn] = opts.clip;
+        if (cx < cw || cx > ce || cy < cs || cy > cn) continue;
+      }
+
+      // Holes only make sense while their outer ring survives
+      const usable = (ring) => ring.length >= 4 && ringArea(ring) >= MIN_RING_AREA_DEG2;
+      rings = rings.map((ring) => simplify(ring, TOLERANCE_DEG));
+      if (!usable(rings[0])) continue;
+      rings = [rings[0], ...rings.slice(1).filter(usable)];
+
+      polygons.push(rings.map((ring) => ring.flatMap(([lon, lat]) => [round(lon), round(lat)])));
+    }
+
+    if (!polygons.length) throw new Error(`${code}: nothing left after simplify/clip`);
+
+    const bbox = bboxOf(polygons.flatMap((p) => p.map((r) => pairs(r)))).map(round);
+    out[code] = { name, bbox, ...(opts.wrap ? { wrap: true } : {}), polygons };
+  }
+
+  return out;
+}
+
+function pairs(flat) {
+  const out = [];
+  for (let i = 0; i < flat.length; i += 2) out.push([flat[i], flat[i + 1]]);
+  return out;
+}
+
+function main() {
+  const shapes = build();
+  const file = path.join(__dirname, "..", "public", "data", "countries.js");
+
+  const body = Object.entries(shapes)
+    .map(([code, c]) => `  ${code}: ${JSON.stringify(c)}`)
+    .join(",\n");
+
+  const src = `// Generated by scripts/build-countries.js — do not edit by hand.
+// Simplified country boundaries from Natural Earth 1:50m (public domain) via world-atlas.
+// { code: { name, bbox: [west, south, east, north], wrap?, polygons: [[ring, ...holes]] } }
+// Rings are flat [lon, lat, lon, lat, …]. wrap: longitudes are shifted into (0, 360).
+
+const COUNTRY_SHAPES = {
+${body}
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { COUNTRY_SHAPES };
+}
+`;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, src);
+  console.log(`Wrote ${Object.keys(shapes).length} countries to ${path.relative(process.cwd(), file)}`);
+}
+
+main();
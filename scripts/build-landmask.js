@@ -0,0 +1,147 @@
+// scripts/build-landmask.js
+// Regenerate public/data/landmask.js: a run-length encoded land/water raster built from
+// Natural Earth 1:50m land polygons (world-atlas).
+//
+//   npm run build:landmask
+//
+// Grid: RES_DEG cells, row 0 starts at 90°N, column 0 at 180°W. A cell is land if its
+// center is inside a land polygon. Each row is stored as alternating run lengths that
+// start with water, written as LEB128 varints and base64'd. Lookup is in public/land.js.
+
+const fs = require("fs");
+const path = require("path");
+const topojson = require("topojson-client");
+const world = require("world-atlas/land-50m.json");
+
+const RES_DEG = 0.05;
+const COLS = Math.round(360 / RES_DEG);
+const ROWS = Math.round(180 / RES_DEG);
+
+// Rings that cross the antimeridian jump from ±180 to ∓180. Unwrap them into one
+// continuous run of longitudes; a ring that still ends 360° from where it started goes
+// round a pole (Antarctica), so close it along that pole.
+function unwrapRing(ring) {
+  const out = [ring[0].slice()];
+  for (let i = 1; i < ring.length; i++) {
+    let x = ring[i][0];
+    const prev = out[i - 1][0];
+    while (x - prev > 180) x -= 360;
+    while (prev - x > 180) x += 360;
+    out.push([x, ring[i][1]]);
+  }
+
+  const first = out[0];
+  const last = out[out.length - 1];
+  if (Math.abs(last[0] - first[0]) > 180) {
+    const meanLat = out.reduce((a, p) => a + p[1], 0) / out.length;
+    const pole = meanLat < 0 ? -90 : 90;
+    out.push([last[0], pole], [first[0], pole]);
+  }
+  return out;
+}
+
+function ringsOf(features) {
+  const rings = [];
+  for (const f of features) {
+    const geom = f.geometry;
+    const polys = geom.type === "Polygon" ? [geom.coordinates] : geom.coordinates;
+    for (const poly of polys) for (const ring of poly) rings.push(unwrapRing(ring));
+  }
+  return rings;
+}
+
+// Each ring is scanned on its own and XORed in, which is even-odd fill across rings
+// (holes cancel their outer ring) and lets unwrapped spans wrap round the columns.
+function rasterize(rings) {
+  const grid = Array.from({ length: ROWS }, () => new Uint8Array(COLS));
+
+  for (const ring of rings) {
+    let top = -90;
+    let bottom = 90;
+    for (const [, y] of ring) {
+      top = Math.max(top, y);
+      bottom = Math.min(bottom, y);
+    }
+    const r0 = Math.max(0, Math.floor((90 - top) / RES_DEG));
+    const r1 = Math.min(ROWS - 1, Math.floor((90 - bottom) / RES_DEG));
+
+    for (let r = r0; r <= r1; r++) {
+      const y = 90 - (r + 0.5) * RES_DEG;
+      const xs = [];
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [x1, y1] = ring[j];
+        const [x2, y2] = ring[i];
+        if ((y1 > y) !== (y2 > y)) xs.push(x1 + ((y - y1) * (x2 - x1)) / (y2 - y1));
+      }
+      xs.sort((a, b) => a - b);
+
+      const row = grid[r];
+      for (let i = 0; i + 1 < xs.length; i += 2) {
+        // Cells whose centers fall inside [xs[i], xs[i+1]]
+        const c0 = Math.ceil((xs[i] + 180) / RES_DEG - 0.5);
+        const c1 = Math.ceil((xs[i + 1] + 180) / RES_DEG - 0.5);
+        for (let c = c0; c < c1; c++) row[((c % COLS) + COLS) % COLS] ^= 1;
+      }
+    }
+  }
+
+  // Bitmap rows -> alternating run lengths, starting with water
+  return grid.map((row) => {
+    const runs = [];
+    let value = 0;
+    let start = 0;
+    for (let c = 0; c <= COLS; c++) {
+      const v = c < COLS ? row[c] : value ^ 1;
+      if (v !== value) {
+        if (c < COLS || value === 1) runs.push(c - start);
+        start = c;
+        value = v;
+      }
+    }
+    return runs;
+  });
+}
+
+function varints(rows) {
+  const bytes = [];
+  const push = (n) => {
+    while (n >= 0x80) {
+      bytes.push((n & 0x7f) | 0x80);
+      n >>>= 7;
+    }
+    bytes.push(n);
+  };
+  for (const runs of rows) {
+    push(runs.length);
+    for (const n of runs) push(n);
+  }
+  return Buffer.from(bytes);
+}
+
+function main() {
+  const land = topojson.feature(world, world.objects.land);
+  const features = land.type === "FeatureCollection" ? land.features : [land];
+  const rows = rasterize(ringsOf(features));
+  const b64 = varints(rows).toString("base64");
+
+  const file = path.join(__dirname, "..", "public", "data", "landmask.js");
+  const src = `// Generated by scripts/build-landmask.js — do not edit by hand.
+// Land/water raster from Natural Earth 1:50m land (public domain) via world-atlas.
+// ${COLS}×${ROWS} cells of ${RES_DEG}°, per-row varint run lengths (water first), base64.
+
+const LAND_MASK = {
+  res: ${RES_DEG},
+  cols: ${COLS},
+  rows: ${ROWS},
+  data: "${b64}"
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { LAND_MASK };
+}
+`;
+  fs.writeFileSync(file, src);
+  console.log(`Wrote ${path.relative(process.cwd(), file)} (${(src.length / 1024).toFixed(0)} KB)`);
+}
+
+main();
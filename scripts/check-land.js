@@ -0,0 +1,32 @@
+// scripts/check-land.js
+// Run strongLandCheck() from public/land.js for one point, exactly as the generator does.
+//
+//   node scripts/check-land.js <lat> <lon> [mode] [--offline]
+//
+// mode is any key of LAND_MODES in public/spot.js (publicish, urban, wilderness, …).
+// Pair with scripts/land-stub-server.js (NOMINATIM_URL / OVERPASS_URL) to exercise the
+// mode rules without network access.
+
+const { strongLandCheck, getLandProviders } = require("../public/land.js");
+
+async function main() {
+  const args = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+  const [lat, lon] = args.slice(0, 2).map(Number);
+  const mode = args[2] || "publicish";
+  const refine = !process.argv.includes("--offline");
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new Error("Usage: node scripts/check-land.js <lat> <lon> [mode] [--offline]");
+  }
+
+  const { nominatim, overpass } = getLandProviders();
+  console.log(`nominatim: ${nominatim.config.baseUrl}\noverpass:  ${overpass.config.baseUrl}`);
+
+  const check = await strongLandCheck(lat, lon, mode, { refine });
+  console.log(JSON.stringify(check, null, 2));
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
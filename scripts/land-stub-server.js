@@ -0,0 +1,103 @@
+// scripts/land-stub-server.js
+// Local stand-in for Nominatim + Overpass, answering from fixtures/land/*.json so the
+// land checks in public/land.js can run end-to-end with no network.
+//
+//   npm run stub:land                      # http://localhost:8787
+//   PORT=9000 STUB_STATUS=503 STUB_DELAY_MS=2000 node scripts/land-stub-server.js
+//
+// Routes (match the real services under a prefix):
+//   GET  /nominatim/reverse?lat=&lon=…
+//   POST /overpass/interpreter   (Overpass QL body; the first [tag filter](around:r,lat,lon)
+//                                 is matched against each fixture's selector)
+//
+// Point the checks at it:
+//   node   : NOMINATIM_URL=http://localhost:8787/nominatim OVERPASS_URL=http://localhost:8787/overpass
+//   browser: localStorage.rsc_providers = JSON.stringify({
+//              nominatim: { baseUrl: "http://localhost:8787/nominatim" },
+//              overpass: { baseUrl: "http://localhost:8787/overpass" } })
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const PORT = Number(process.env.PORT || 8787);
+const FORCE_STATUS = Number(process.env.STUB_STATUS || 0);
+const DELAY_MS = Number(process.env.STUB_DELAY_MS || 0);
+const MATCH_DEG = 0.05;
+const DEFAULT_SELECTOR = '["highway"]';
+
+const FIXTURES = path.join(__dirname, "..", "fixtures", "land");
+const load = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, name), "utf8"));
+const nominatim = load("nominatim.json");
+const overpass = load("overpass.json");
+
+// What the real services return for a point with nothing there (open ocean)
+const NOMINATIM_MISS = { error: "Unable to geocode" };
+const OVERPASS_MISS = { version: 0.6, generator: "land-stub-server", elements: [] };
+
+function nearest(entries, lat, lon) {
+  let best = null;
+  let bestD = MATCH_DEG;
+  for (const e of entries) {
+    const d = Math.max(Math.abs(e.lat - lat), Math.abs(e.lon - lon));
+    if (d <= bestD) {
+      best = e;
+      bestD = d;
+    }
+  }
+  return best;
+}
+
+function send(res, status, data) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+async function route(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (req.method === "OPTIONS") return send(res, 204, {});
+
+  if (DELAY_MS) await new Promise((r) => setTimeout(r, DELAY_MS));
+  if (FORCE_STATUS) return send(res, FORCE_STATUS, { error: `forced ${FORCE_STATUS}` });
+
+  if (req.method === "GET" && url.pathname === "/nominatim/reverse") {
+    const lat = Number(url.searchParams.get("lat"));
+    const lon = Number(url.searchParams.get("lon"));
+    const hit = nearest(nominatim, lat, lon);
+    console.log(`nominatim ${lat},${lon} -> ${hit ? hit.name : "miss"}`);
+    return send(res, 200, hit ? hit.response : NOMINATIM_MISS);
+  }
+
+  if (req.method === "POST" && url.pathname === "/overpass/interpreter") {
+    const query = await readBody(req);
+    const m = /((?:\[[^\]]*\])*)\(around:(\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)\)/.exec(query);
+    if (!m) return send(res, 400, { error: "No around: filter in query" });
+    const selector = m[1] || DEFAULT_SELECTOR;
+    const entries = overpass.filter((e) => (e.selector || DEFAULT_SELECTOR) === selector);
+    const hit = nearest(entries, Number(m[3]), Number(m[4]));
+    console.log(`overpass  ${selector} ${m[3]},${m[4]} r=${m[2]} -> ${hit ? hit.name : "miss"}`);
+    return send(res, 200, hit ? hit.response : OVERPASS_MISS);
+  }
+
+  return send(res, 404, { error: "Not found" });
+}
+
+http
+  .createServer((req, res) => {
+    route(req, res).catch((err) => send(res, 500, { error: String(err?.message || err) }));
+  })
+  .listen(PORT, () => console.log(`land stub listening on http://localhost:${PORT}`));
@@ -0,0 +1,24 @@
+// scripts/run-scheduled-delivery.js
+// Run the deliver-scheduled function once, outside Netlify's scheduler:
+//
+//   STRIPE_SECRET_KEY=... GMAIL_USER=... GMAIL_APP_PASSWORD=... \
+//     node scripts/run-scheduled-delivery.js [YYYY-MM-DD]
+//
+// MAIL_TRANSPORT=file writes the emails to .data/mail.jsonl instead (netlify/lib/mail.js).
+//
+// The optional date stands in for "today" (UTC), e.g. to send gifts due on a missed day.
+
+const { stripeFromEnv } = require("../netlify/lib/stripe-client");
+const { deliverDue } = require("../netlify/functions/deliver-scheduled");
+
+async function main() {
+  const today = process.argv[2];
+  if (today && !/^\d{4}-\d{2}-\d{2}$/.test(today)) throw new Error("Date must be YYYY-MM-DD");
+
+  console.log(JSON.stringify(await deliverDue(stripeFromEnv(), today || undefined), null, 2));
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
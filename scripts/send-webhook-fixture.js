@@ -0,0 +1,51 @@
+// scripts/send-webhook-fixture.js
+// Sign a Stripe event fixture with STRIPE_WEBHOOK_SECRET and POST it to the webhook action,
+// the same way Stripe would. Point it at `netlify dev`:
+//
+//   STRIPE_WEBHOOK_SECRET=whsec_... node scripts/send-webhook-fixture.js \
+//     [--url http://localhost:8888/api/stripe?action=webhook] \
+//     [--fixture fixtures/stripe/checkout.session.completed.json] \
+//     [--session cs_test_...]
+//
+// The handler re-fetches the session from Stripe, so pass --session with a real
+// test-mode Checkout Session id to go all the way through to the email.
+
+const fs = require("fs");
+const path = require("path");
+const Stripe = require("stripe");
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+async function main() {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) throw new Error("Missing STRIPE_WEBHOOK_SECRET");
+
+  const url = arg("url", "http://localhost:8888/api/stripe?action=webhook");
+  const fixture = arg(
+    "fixture",
+    path.join(__dirname, "..", "fixtures", "stripe", "checkout.session.completed.json")
+  );
+  const session = arg("session", "");
+
+  const evt = JSON.parse(fs.readFileSync(fixture, "utf8"));
+  if (session) evt.data.object.id = session;
+
+  const payload = JSON.stringify(evt, null, 2);
+  const header = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Stripe-Signature": header },
+    body: payload,
+  });
+
+  console.log(r.status, await r.text());
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
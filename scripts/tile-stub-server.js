@@ -0,0 +1,110 @@
+// scripts/tile-stub-server.js
+// Local stand-in for a slippy-map tile server, so the certificate map inset
+// (public/certificate.js) can be rendered with no network. Every tile is a generated
+// 256 × 256 PNG: a checkerboard tint per tile with a faint 32 px grid, so tile seams and
+// placement are easy to eyeball.
+//
+//   npm run stub:tiles                     # http://localhost:8788/tiles/{z}/{x}/{y}.png
+//   PORT=9001 STUB_STATUS=404 STUB_DELAY_MS=2000 node scripts/tile-stub-server.js
+//
+// STUB_STATUS makes every tile fail, which exercises the vector-only fallback.
+//
+// Point the renderers at it:
+//   node   : MAP_TILE_URL=http://localhost:8788/tiles/{z}/{x}/{y}.png
+//   browser: localStorage.rsc_map_tiles = JSON.stringify({
+//              url: "http://localhost:8788/tiles/{z}/{x}/{y}.png", attribution: "stub tiles" })
+
+const http = require("http");
+const zlib = require("zlib");
+
+const PORT = Number(process.env.PORT || 8788);
+const FORCE_STATUS = Number(process.env.STUB_STATUS || 0);
+const DELAY_MS = Number(process.env.STUB_DELAY_MS || 0);
+const SIZE = 256;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// 8-bit RGB PNG from a (x, y) -> [r, g, b] function
+function encodePng(pixel) {
+  const raw = Buffer.alloc((SIZE * 3 + 1) * SIZE);
+  let p = 0;
+  for (let y = 0; y < SIZE; y++) {
+    raw[p++] = 0; // filter: none
+    for (let x = 0; x < SIZE; x++) {
+      const [r, g, b] = pixel(x, y);
+      raw[p++] = r;
+      raw[p++] = g;
+      raw[p++] = b;
+    }
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(SIZE, 0);
+  ihdr.writeUInt32BE(SIZE, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // color type: RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function tilePng(z, x, y) {
+  const base = (x + y) % 2 ? [214, 226, 206] : [226, 234, 218];
+  return encodePng((px, py) => {
+    if (px === 0 || py === 0) return [150, 160, 150];
+    if (px % 32 === 0 || py % 32 === 0) return base.map((c) => c - 14);
+    return base;
+  });
+}
+
+async function route(req, res) {
+  const cors = { "Access-Control-Allow-Origin": "*" };
+  if (DELAY_MS) await new Promise((r) => setTimeout(r, DELAY_MS));
+
+  const m = /^\/tiles\/(\d+)\/(\d+)\/(\d+)\.png$/.exec(new URL(req.url, "http://x").pathname);
+  if (req.method !== "GET" || !m) {
+    res.writeHead(404, cors);
+    return res.end("Not found");
+  }
+  if (FORCE_STATUS) {
+    res.writeHead(FORCE_STATUS, cors);
+    return res.end(`forced ${FORCE_STATUS}`);
+  }
+
+  const [z, x, y] = m.slice(1).map(Number);
+  console.log(`tile ${z}/${x}/${y}`);
+  res.writeHead(200, { ...cors, "Content-Type": "image/png", "Cache-Control": "max-age=60" });
+  res.end(tilePng(z, x, y));
+}
+
+http
+  .createServer((req, res) => {
+    route(req, res).catch((err) => {
+      res.writeHead(500);
+      res.end(String(err?.message || err));
+    });
+  })
+  .listen(PORT, () => console.log(`tile stub listening on http://localhost:${PORT}`));
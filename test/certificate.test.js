@@ -0,0 +1,41 @@
+// test/certificate.test.js
+// Map inset config in public/certificate.js: server-side renders fetch no tiles unless a tile
+// server is configured.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadMapInset } = require("../public/certificate.js");
+
+const META = { lat: "-41.29", lon: "174.78", tile_m: "1", plot: "square" };
+
+function countingLoader() {
+  const urls = [];
+  return { urls, loadTile: async (url) => urls.push(url) && new Uint8Array() };
+}
+
+test("without MAP_TILE_URL the server draws the vector inset and fetches nothing", async (t) => {
+  const saved = process.env.MAP_TILE_URL;
+  delete process.env.MAP_TILE_URL;
+  t.after(() => {
+    if (saved !== undefined) process.env.MAP_TILE_URL = saved;
+  });
+
+  const { urls, loadTile } = countingLoader();
+  const map = await loadMapInset(META, { loadTile });
+  assert.deepEqual(map.tiles, []);
+  assert.equal(urls.length, 0);
+});
+
+test("MAP_TILE_URL turns server-side imagery on", async (t) => {
+  const saved = process.env.MAP_TILE_URL;
+  process.env.MAP_TILE_URL = "http://localhost:8788/tiles/{z}/{x}/{y}.png";
+  t.after(() => {
+    if (saved === undefined) delete process.env.MAP_TILE_URL;
+    else process.env.MAP_TILE_URL = saved;
+  });
+
+  const { urls, loadTile } = countingLoader();
+  const map = await loadMapInset(META, { loadTile });
+  assert.ok(map.tiles.length > 0);
+  assert.ok(urls.every((u) => u.startsWith("http://localhost:8788/tiles/")));
+});
@@ -0,0 +1,84 @@
+// test/pricing.test.js
+// resolvePrice: the Stripe quantity follows the plot's area for every shape, and the regional
+// table sets the unit price.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { makePlot, parsePlotSpec } = require("../public/spot.js");
+const { resolvePrice, priceQuantity, PRICE_TABLE } = require("../netlify/lib/pricing");
+
+const plot = (sizeMeters, spec) => makePlot(-41.29, 174.78, sizeMeters, parsePlotSpec(spec));
+
+// Only for countries outside the table
+const stripe = {
+  prices: { retrieve: async (id) => ({ id, currency: "eur", unit_amount: 40 }) },
+};
+
+function withEnv(t, vars) {
+  const saved = Object.fromEntries(Object.keys(vars).map((k) => [k, process.env[k]]));
+  Object.assign(process.env, vars);
+  t.after(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+}
+
+test("a 1 m tile is one unit, and a hair of float error doesn't make it two", () => {
+  assert.equal(priceQuantity(1), 1);
+  assert.equal(priceQuantity(1 + 1e-12), 1);
+  assert.equal(priceQuantity(0.4), 1);
+  assert.equal(priceQuantity(1.01), 2);
+});
+
+test("circles are charged by their area", async () => {
+  const circle = plot(100, "circle");
+  const price = await resolvePrice(stripe, { countryCode: "NZ", plot: circle });
+  assert.equal(price.quantity, Math.ceil(circle.areaM2));
+  assert.ok(price.quantity > 7800 && price.quantity < 7860);
+  assert.equal(price.unitAmount, PRICE_TABLE.NZ[25].nzd);
+  assert.equal(price.amount, price.unitAmount * price.quantity);
+  assert.equal(price.lineItems[0].quantity, price.quantity);
+});
+
+test("hexagons are charged by their area", async () => {
+  const hex = plot(1000, "hex");
+  const price = await resolvePrice(stripe, { countryCode: "NZ", plot: hex, currency: "usd" });
+  assert.equal(price.quantity, Math.ceil(hex.areaM2));
+  assert.ok(price.quantity > 649000 && price.quantity < 650000);
+  assert.equal(price.currency, "usd");
+  assert.equal(price.unitAmount, PRICE_TABLE.NZ[25].usd);
+});
+
+test("bigger plots in the same tier cost more", async () => {
+  const small = await resolvePrice(stripe, { countryCode: "US", plot: plot(25, "square") });
+  const big = await resolvePrice(stripe, { countryCode: "US", plot: plot(100, "square") });
+  assert.equal(small.unitAmount, big.unitAmount);
+  assert.equal(small.quantity, 625);
+  assert.equal(big.quantity, 10000);
+  assert.ok(big.amount > small.amount);
+});
+
+test("blocks are charged by their whole area", async () => {
+  const price = await resolvePrice(stripe, { countryCode: "GB", plot: plot(2, "block:3x2") });
+  assert.equal(price.quantity, 24);
+  assert.equal(price.unitAmount, PRICE_TABLE.GB[0].gbp);
+});
+
+test("PRICE_UNIT_M2 sets how many m² one unit covers", async (t) => {
+  withEnv(t, { PRICE_UNIT_M2: "100" });
+  const circle = plot(100, "circle");
+  const price = await resolvePrice(stripe, { countryCode: "JP", plot: circle });
+  assert.equal(price.quantity, Math.ceil(circle.areaM2 / 100));
+  assert.equal(price.currency, "jpy");
+});
+
+test("countries outside the table use the env Price with the same quantity", async (t) => {
+  withEnv(t, { STRIPE_PRICE_ID: "price_test_env" });
+  const hex = plot(50, "hex");
+  const price = await resolvePrice(stripe, { countryCode: "FR", plot: hex });
+  assert.equal(price.quantity, Math.ceil(hex.areaM2));
+  assert.deepEqual(price.lineItems[0], { price: "price_test_env", quantity: price.quantity });
+  assert.equal(price.amount, 40 * price.quantity);
+});
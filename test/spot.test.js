@@ -0,0 +1,150 @@
+// test/spot.test.js
+// Tile math in public/spot.js against published WGS84 figures: metres per degree, areas, and
+// overlap at the antimeridian and the poles.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  metersToLatDeg,
+  metersToLonDeg,
+  boundsAreaM2,
+  makeTileFromCenter,
+  tilesOverlap,
+} = require("../public/spot.js");
+
+// Length of one degree on WGS84, in metres (the usual table, e.g. Wikipedia "Latitude")
+const METERS_PER_DEGREE = [
+  { lat: 0, lat_m: 110574, lon_m: 111320 },
+  { lat: 15, lat_m: 110649, lon_m: 107551 },
+  { lat: 30, lat_m: 110852, lon_m: 96486 },
+  { lat: 60, lat_m: 111412, lon_m: 55800 },
+  { lat: 75, lat_m: 111618, lon_m: 28902 },
+  { lat: 90, lat_m: 111694, lon_m: 0 },
+];
+
+// WGS84 surface area (m²)
+const EARTH_AREA_M2 = 510065621724088;
+
+const near = (actual, expected, tolerance, what) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${what}: ${actual} is not within ${tolerance} of ${expected}`
+  );
+
+// --- Metres per degree -------------------------------------------------------
+
+test("metres per degree of latitude match the WGS84 table", () => {
+  for (const { lat, lat_m } of METERS_PER_DEGREE) {
+    near(1 / metersToLatDeg(1, lat), lat_m, 1, `lat ${lat}`);
+    near(1 / metersToLatDeg(1, -lat), lat_m, 1, `lat ${-lat}`);
+  }
+});
+
+test("metres per degree of longitude match the WGS84 table", () => {
+  for (const { lat, lon_m } of METERS_PER_DEGREE.filter((r) => r.lat < 90)) {
+    near(1 / metersToLonDeg(1, lat), lon_m, 1, `lat ${lat}`);
+    near(1 / metersToLonDeg(1, -lat), lon_m, 1, `lat ${-lat}`);
+  }
+});
+
+test("a degree of latitude lengthens and one of longitude shrinks towards the poles", () => {
+  near(1 / metersToLatDeg(1, 89.999), 111694, 1, "lat 89.999");
+  assert.ok(1 / metersToLonDeg(1, 89.999) < 2);
+  assert.ok(metersToLatDeg(1, 0) > metersToLatDeg(1, 45));
+  assert.ok(metersToLonDeg(1, 0) < metersToLonDeg(1, 45));
+});
+
+test("conversions scale linearly with distance", () => {
+  near(metersToLatDeg(1000, 60), 1000 * metersToLatDeg(1, 60), 1e-15, "lat");
+  near(metersToLonDeg(1000, 60), 1000 * metersToLonDeg(1, 60), 1e-15, "lon");
+});
+
+// --- Areas -------------------------------------------------------------------
+
+test("the whole globe has the WGS84 surface area", () => {
+  const globe = { north: 90, south: -90, west: -180, east: 180 };
+  near(boundsAreaM2(globe), EARTH_AREA_M2, 1e3, "globe");
+  const north = { north: 90, south: 0, west: -180, east: 180 };
+  near(boundsAreaM2(north), EARTH_AREA_M2 / 2, 1e3, "northern hemisphere");
+});
+
+test("a 1 m tile covers 1 m² from the equator to near the poles", () => {
+  for (const lat of [0, 30, -45, 60, 80, -89.9]) {
+    const tile = makeTileFromCenter(lat, 10, 1);
+    near(boundsAreaM2(tile.bounds), 1, 1e-6, `lat ${lat}`);
+    assert.equal(tile.areaM2, 1);
+  }
+});
+
+test("larger tiles scale with the square of their side", () => {
+  for (const lat of [0, 60]) {
+    near(makeTileFromCenter(lat, 10, 100).areaM2, 1e4, 1e-3, `100 m at ${lat}`);
+  }
+});
+
+test("a box across the antimeridian has the same area as its mirror", () => {
+  const across = { north: 1, south: -1, west: 179, east: -179 };
+  const inside = { north: 1, south: -1, west: -1, east: 1 };
+  near(boundsAreaM2(across), boundsAreaM2(inside), 1e-3, "antimeridian");
+});
+
+// --- Overlap -----------------------------------------------------------------
+
+test("tiles overlap when they share area, not when they only share an edge", () => {
+  const a = makeTileFromCenter(10, 20, 1).bounds;
+  assert.ok(tilesOverlap(a, makeTileFromCenter(10, 20, 1).bounds));
+  assert.ok(tilesOverlap(a, makeTileFromCenter(10, 20 + metersToLonDeg(0.5, 10), 1).bounds));
+
+  const edge = { ...a, west: a.east, east: a.east + (a.east - a.west) };
+  assert.equal(tilesOverlap(a, edge), false);
+  assert.equal(tilesOverlap(a, makeTileFromCenter(10, 20.001, 1).bounds), false);
+});
+
+test("a tile centred on the antimeridian wraps and collides with both sides", () => {
+  const across = makeTileFromCenter(0, 180, 1).bounds;
+  assert.equal(across.crossesAntimeridian, true);
+  assert.ok(across.west > across.east);
+  near(boundsAreaM2(across), 1, 1e-6, "area");
+
+  const step = metersToLonDeg(0.5, 0);
+  const east = makeTileFromCenter(0, -180 + step, 1).bounds;
+  const west = makeTileFromCenter(0, 180 - step, 1).bounds;
+  assert.ok(tilesOverlap(across, east));
+  assert.ok(tilesOverlap(east, across));
+  assert.ok(tilesOverlap(across, west));
+  assert.ok(tilesOverlap(west, across));
+});
+
+test("neighbours either side of the antimeridian collide only when they touch", () => {
+  const step = metersToLonDeg(0.4, 0);
+  const west = makeTileFromCenter(0, 180 - step, 1).bounds;
+  const east = makeTileFromCenter(0, -180 + step, 1).bounds;
+  assert.ok(tilesOverlap(west, east));
+
+  const far = makeTileFromCenter(0, -180 + metersToLonDeg(5, 0), 1).bounds;
+  assert.equal(tilesOverlap(west, far), false);
+});
+
+test("a tile reaching a pole becomes a cap that every nearby longitude hits", () => {
+  const cap = makeTileFromCenter(89.999999, 10, 1).bounds;
+  assert.equal(cap.north, 90);
+  assert.equal(cap.west, -180);
+  assert.equal(cap.east, 180);
+
+  for (const lon of [-170, 10, 100, 179.9]) {
+    assert.ok(tilesOverlap(cap, makeTileFromCenter(89.999999, lon, 1).bounds), `lon ${lon}`);
+  }
+  const below = makeTileFromCenter(90 - metersToLatDeg(0.8, 90), -120, 1).bounds;
+  assert.ok(tilesOverlap(cap, below));
+  assert.ok(tilesOverlap(below, cap));
+});
+
+test("caps at opposite poles, or a tile well below a cap, don't collide", () => {
+  const north = makeTileFromCenter(90, 0, 1).bounds;
+  const south = makeTileFromCenter(-90, 0, 1).bounds;
+  assert.equal(south.south, -90);
+  assert.equal(tilesOverlap(north, south), false);
+
+  const below = makeTileFromCenter(89.99, 0, 1).bounds;
+  assert.equal(tilesOverlap(north, below), false);
+});
@@ -0,0 +1,417 @@
+// test/stripe-handler.test.js
+// /api/stripe through createHandler with synthetic Netlify events: a stub Stripe client and
+// in-memory tiles / limits / list, so nothing leaves the process.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createHandler } = require("../netlify/functions/stripe");
+const { ApiError } = require("../netlify/lib/api/http");
+
+const SESSION = {
+  id: "cs_test_handler",
+  status: "complete",
+  payment_status: "paid",
+  created: 1700000000,
+  amount_total: 500,
+  currency: "usd",
+  metadata: { lat: "1.5", lon: "2.5" },
+};
+
+// Records what the handler asked of each dependency
+// `orders` are the sessions sessions.list searches: like Stripe, its customer_details.email
+// filter matches exactly.
+function setup({ session = SESSION, retrieve = null, retryAfterMs = 0, orders = [] } = {}) {
+  const calls = {
+    retrieve: [],
+    list: [],
+    piUpdates: [],
+    markPaid: [],
+    markPending: [],
+    release: [],
+    limits: [],
+  };
+  const stripe = {
+    checkout: {
+      sessions: {
+        retrieve:
+          retrieve ||
+          (async (id, opts) => {
+            calls.retrieve.push({ id, opts });
+            return orders.find((o) => o.id === id) || { ...session, id };
+          }),
+        list: async function* ({ customer_details }) {
+          calls.list.push(customer_details.email);
+          yield* orders.filter((o) => o.customer_details.email === customer_details.email);
+        },
+      },
+    },
+    paymentIntents: {
+      update: async (id, { metadata }) => {
+        calls.piUpdates.push(id);
+        return { id, metadata };
+      },
+    },
+    webhooks: { constructEvent: (raw) => JSON.parse(raw) },
+  };
+  const tiles = {
+    isAvailable: async () => true,
+    markPaid: async (s) => calls.markPaid.push(s.id),
+    markPending: async (s) => calls.markPending.push(s.id),
+    release: async (id) => calls.release.push(id),
+  };
+  const limits = {
+    check: async (action, rules) => {
+      calls.limits.push({ action, rules });
+      return retryAfterMs;
+    },
+  };
+  const list = { list: async () => [], subscribe: async () => ({ confirm: false }) };
+  return { handler: createHandler({ stripe, tiles, limits, list }), calls };
+}
+
+function get(query, headers = {}) {
+  return { httpMethod: "GET", queryStringParameters: query, headers, body: null };
+}
+
+function post(query, body, headers = {}) {
+  const raw = typeof body === "string" ? body : JSON.stringify(body);
+  return { httpMethod: "POST", queryStringParameters: query, headers, body: raw };
+}
+
+function parse(res) {
+  return { status: res.statusCode, body: JSON.parse(res.body) };
+}
+
+// --- Routing -----------------------------------------------------------------
+
+test("OPTIONS answers the CORS preflight without an action", async () => {
+  const { handler } = setup();
+  const res = await handler({ httpMethod: "OPTIONS", headers: {} });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["Access-Control-Allow-Origin"], "*");
+});
+
+test("?action= routes to its module", async () => {
+  const { handler, calls } = setup();
+  const { status, body } = parse(await handler(get({ action: "verify", session_id: SESSION.id })));
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(body.paid, true);
+  assert.deepEqual(calls.retrieve.map((c) => c.id), [SESSION.id]);
+  assert.deepEqual(calls.markPaid, [SESSION.id]);
+});
+
+test("the action can come from the JSON body instead", async () => {
+  const { handler } = setup();
+  const res = await handler(post({}, { action: "verify", session_id: SESSION.id }));
+  assert.deepEqual(parse(res).body.paid, true);
+});
+
+test("the query string wins over the body", async () => {
+  const { handler, calls } = setup();
+  const res = await handler(
+    post({ action: "verify", session_id: SESSION.id }, { session_id: "cs_test_body" })
+  );
+  assert.equal(parse(res).status, 200);
+  assert.deepEqual(calls.retrieve.map((c) => c.id), [SESSION.id]);
+});
+
+test("an unknown action is a 400 unknown_action listing the real ones", async () => {
+  const { handler } = setup();
+  const { status, body } = parse(await handler(get({ action: "nope" })));
+  assert.equal(status, 400);
+  assert.equal(body.ok, false);
+  assert.equal(body.error.code, "unknown_action");
+  assert.match(body.error.message, /verify \| deliver/);
+});
+
+test("no action at all is an unknown_action too", async () => {
+  const { handler } = setup();
+  const { status, body } = parse(await handler(get({})));
+  assert.equal(status, 400);
+  assert.equal(body.error.code, "unknown_action");
+});
+
+test("inherited object keys aren't actions", async () => {
+  const { handler } = setup();
+  const { body } = parse(await handler(get({ action: "constructor" })));
+  assert.equal(body.error.code, "unknown_action");
+});
+
+test("the wrong method is a 405", async () => {
+  const { handler } = setup();
+  const { status, body } = parse(await handler(get({ action: "webhook" })));
+  assert.equal(status, 405);
+  assert.equal(body.error.code, "method_not_allowed");
+});
+
+test("admin actions need the admin token", async (t) => {
+  process.env.ADMIN_TOKEN = "secret-admin-token";
+  t.after(() => delete process.env.ADMIN_TOKEN);
+
+  const { handler } = setup();
+  const { status, body } = parse(await handler(get({ action: "list_export" })));
+  assert.equal(status, 401);
+  assert.equal(body.error.code, "unauthorized");
+
+  const authorized = get(
+    { action: "list_export", format: "json" },
+    { authorization: "Bearer secret-admin-token" }
+  );
+  assert.deepEqual(parse(await handler(authorized)).body, { ok: true, count: 0, subscribers: [] });
+});
+
+// --- Bodies and validation ---------------------------------------------------
+
+test("a body that isn't JSON is a 400 invalid_json", async () => {
+  const { handler } = setup();
+  const { status, body } = parse(await handler(post({ action: "verify" }, "{not json")));
+  assert.equal(status, 400);
+  assert.equal(body.error.code, "invalid_json");
+});
+
+test("invalid JSON without ?action= is caught while looking for the action", async () => {
+  const { handler } = setup();
+  const { status, body } = parse(await handler(post({}, "{not json")));
+  assert.equal(status, 400);
+  assert.equal(body.error.code, "invalid_json");
+});
+
+test("base64 bodies are decoded before parsing", async () => {
+  const { handler } = setup();
+  const raw = Buffer.from(JSON.stringify({ action: "verify", session_id: SESSION.id }));
+  const res = await handler({
+    httpMethod: "POST",
+    headers: {},
+    body: raw.toString("base64"),
+    isBase64Encoded: true,
+  });
+  assert.equal(parse(res).body.paid, true);
+});
+
+test("a missing required field is a 400 invalid_request naming it", async () => {
+  const { handler, calls } = setup();
+  const { status, body } = parse(await handler(get({ action: "verify" })));
+  assert.equal(status, 400);
+  assert.deepEqual(body, {
+    ok: false,
+    error: {
+      code: "invalid_request",
+      message: "session_id: is required",
+      fields: { session_id: "is required" },
+    },
+  });
+  assert.equal(calls.retrieve.length, 0);
+});
+
+test("a malformed field is rejected before Stripe is called", async () => {
+  const { handler, calls } = setup();
+  const { body } = parse(await handler(get({ action: "verify", session_id: "pi_123" })));
+  assert.equal(body.error.code, "invalid_request");
+  assert.deepEqual(body.error.fields, { session_id: "is not a session ID" });
+  assert.equal(calls.retrieve.length, 0);
+});
+
+test("every bad field is reported, in the summary too", async () => {
+  const { handler } = setup();
+  const { body } = parse(await handler(get({ action: "tile_status", lat: "91", lon: "x" })));
+  assert.equal(body.error.code, "invalid_request");
+  assert.deepEqual(Object.keys(body.error.fields).sort(), ["lat", "lon"]);
+  assert.match(body.error.message, /lat: .*; lon: /);
+});
+
+// --- Rate limits and errors --------------------------------------------------
+
+test("rate limited actions are counted, and refused with a 429 + Retry-After", async () => {
+  const { handler, calls } = setup({ retryAfterMs: 90 * 1000 });
+  const res = await handler(post({ action: "deliver" }, { session_id: SESSION.id }));
+  const { status, body } = parse(res);
+  assert.equal(status, 429);
+  assert.equal(body.error.code, "rate_limited");
+  assert.equal(res.headers["Retry-After"], "90");
+  assert.equal(calls.limits[0].action, "deliver");
+  assert.equal(calls.retrieve.length, 0);
+});
+
+test("an ApiError answers with its own status, code and public message", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const { handler } = setup({
+    retrieve: async () => {
+      throw new ApiError(502, "upstream_down", "internal detail", { publicMessage: "Try later" });
+    },
+  });
+  const { status, body } = parse(await handler(get({ action: "verify", session_id: SESSION.id })));
+  assert.equal(status, 502);
+  assert.deepEqual(body, { ok: false, error: { code: "upstream_down", message: "Try later" } });
+});
+
+test("anything else thrown is a bare 500 server_error", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const { handler } = setup({
+    retrieve: async () => {
+      throw new Error("No such checkout.session: secret detail");
+    },
+  });
+  const { status, body } = parse(await handler(get({ action: "verify", session_id: SESSION.id })));
+  assert.equal(status, 500);
+  assert.equal(body.error.code, "server_error");
+  assert.doesNotMatch(body.error.message, /secret detail/);
+});
+
+// --- Webhook -----------------------------------------------------------------
+
+function webhookEvent(type, id = SESSION.id) {
+  return post(
+    { action: "webhook" },
+    { type, data: { object: { id } } },
+    { "stripe-signature": "t=1,v1=stub" }
+  );
+}
+
+test("the webhook needs a signature", async (t) => {
+  process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+  t.after(() => delete process.env.STRIPE_WEBHOOK_SECRET);
+
+  const { handler } = setup();
+  const res = await handler(post({ action: "webhook" }, { type: "checkout.session.expired" }));
+  assert.equal(parse(res).body.error.code, "invalid_signature");
+});
+
+test("the webhook frees the tile of an expired or failed checkout", async (t) => {
+  process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+  t.after(() => delete process.env.STRIPE_WEBHOOK_SECRET);
+
+  const { handler, calls } = setup();
+  await handler(webhookEvent("checkout.session.expired", "cs_test_a"));
+  await handler(webhookEvent("checkout.session.async_payment_failed", "cs_test_b"));
+  assert.deepEqual(calls.release, ["cs_test_a", "cs_test_b"]);
+});
+
+test("a completed but unpaid checkout holds its tile and waits", async (t) => {
+  process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+  t.after(() => delete process.env.STRIPE_WEBHOOK_SECRET);
+
+  const { handler, calls } = setup({ session: { ...SESSION, payment_status: "unpaid" } });
+  const { status, body } = parse(await handler(webhookEvent("checkout.session.completed")));
+  assert.equal(status, 200);
+  assert.equal(body.status, "awaiting_payment");
+  assert.deepEqual(calls.markPending, [SESSION.id]);
+  assert.equal(calls.markPaid.length, 0);
+});
+
+test("other webhook events are acknowledged and ignored", async (t) => {
+  process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+  t.after(() => delete process.env.STRIPE_WEBHOOK_SECRET);
+
+  const { handler, calls } = setup();
+  const { body } = parse(await handler(webhookEvent("invoice.paid")));
+  assert.equal(body.ignored, "invoice.paid");
+  assert.equal(calls.retrieve.length, 0);
+});
+
+// --- Order history -----------------------------------------------------------
+
+function paidOrder(id, email, created, piMetadata = {}) {
+  return {
+    ...SESSION,
+    id,
+    created,
+    customer_details: { email },
+    payment_intent: { id: `pi_${id}`, metadata: piMetadata },
+  };
+}
+
+test("login is rate limited per address as well as per IP", async () => {
+  const { handler, calls } = setup({ retryAfterMs: 60 * 1000 });
+  const res = await handler(post({ action: "login" }, { email: "buyer@example.com" }));
+  assert.equal(res.statusCode, 429);
+  assert.deepEqual(calls.limits[0].rules.map((r) => r.by), ["ip", "email"]);
+  assert.equal(calls.list.length, 0);
+});
+
+test("the order list reads certificates without writing to Stripe", async (t) => {
+  process.env.CERT_SIGNING_SECRET = "test-signing-secret";
+  t.after(() => delete process.env.CERT_SIGNING_SECRET);
+  const { makeLoginToken } = require("../netlify/lib/login");
+
+  const issued = {
+    certificate_id: "RSC-AAAA-BBBB-CCCC-DDDD",
+    certificate_session: "cs_test_old",
+    certificate_issued_at: "2026-01-02T03:04:05.000Z",
+  };
+  const orders = [
+    paidOrder("cs_test_old", "buyer@example.com", 100, issued),
+    paidOrder("cs_test_new", "buyer@example.com", 200),
+  ];
+  const { handler, calls } = setup({ orders });
+  const token = makeLoginToken("buyer@example.com");
+  const { body } = parse(await handler(get({ action: "orders", token })));
+
+  assert.deepEqual(body.orders.map((o) => o.session_id), ["cs_test_new", "cs_test_old"]);
+  assert.equal(body.orders[0].certificate, null);
+  assert.equal(body.orders[1].certificate.id, issued.certificate_id);
+  assert.equal(calls.piUpdates.length, 0);
+
+  // Opening one order issues its certificate
+  const opened = parse(await handler(get({ action: "order", token, session_id: "cs_test_new" })));
+  assert.match(opened.body.certificate.id, /^RSC(-[0-9A-Z]{4}){4}$/);
+  assert.deepEqual(calls.piUpdates, ["pi_cs_test_new"]);
+});
+
+test("orders placed with a mixed-case email are found", async (t) => {
+  process.env.CERT_SIGNING_SECRET = "test-signing-secret";
+  t.after(() => delete process.env.CERT_SIGNING_SECRET);
+  const { makeLoginToken } = require("../netlify/lib/login");
+
+  const orders = [
+    paidOrder("cs_test_mixed", "Buyer@Example.com", 100),
+    paidOrder("cs_test_lower", "buyer@example.com", 200),
+    paidOrder("cs_test_other", "someone@example.com", 300),
+  ];
+  const { handler } = setup({ orders });
+  const token = makeLoginToken("Buyer@Example.com");
+  const { body } = parse(await handler(get({ action: "orders", token })));
+  assert.deepEqual(body.orders.map((o) => o.session_id), ["cs_test_lower", "cs_test_mixed"]);
+
+  const opened = await handler(get({ action: "order", token, session_id: "cs_test_lower" }));
+  assert.equal(opened.statusCode, 200);
+  const foreign = await handler(get({ action: "order", token, session_id: "cs_test_other" }));
+  assert.equal(foreign.statusCode, 404);
+});
+
+// --- Subscribe form tokens ---------------------------------------------------
+
+test("a form token is good for one subscribe only", async (t) => {
+  process.env.CERT_SIGNING_SECRET = "test-signing-secret";
+  process.env.SITE_URL = "https://example.test";
+  t.after(() => {
+    delete process.env.CERT_SIGNING_SECRET;
+    delete process.env.SITE_URL;
+  });
+  const { makeFormToken } = require("../netlify/lib/form-token");
+
+  const { handler } = setup();
+  const form_token = makeFormToken("subscribe", Date.now() - 5000);
+  const send = (email) => handler(post({ action: "subscribe" }, { email, form_token }));
+
+  assert.equal((await send("first@example.com")).statusCode, 200);
+  const replay = parse(await send("second@example.com"));
+  assert.equal(replay.status, 400);
+  assert.equal(replay.body.error.code, "form_token");
+});
+
+test("a form token younger than the minimum age is refused", async (t) => {
+  process.env.CERT_SIGNING_SECRET = "test-signing-secret";
+  process.env.SITE_URL = "https://example.test";
+  t.after(() => {
+    delete process.env.CERT_SIGNING_SECRET;
+    delete process.env.SITE_URL;
+  });
+  const { makeFormToken } = require("../netlify/lib/form-token");
+
+  const { handler } = setup();
+  const body = { email: "quick@example.com", form_token: makeFormToken("subscribe") };
+  const { status, body: out } = parse(await handler(post({ action: "subscribe" }, body)));
+  assert.equal(status, 400);
+  assert.match(out.error.message, /quick/);
+});